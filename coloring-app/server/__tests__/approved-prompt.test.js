@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+
+// The openai SDK refuses to load in the jsdom test environment; these tests use the local image provider
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+const { default: promptRefinementService, InputSanitizer } = await import('../services/promptRefinement.js')
+const { runGeneration } = await import('../services/generationPipeline.js')
+
+const foxSeries = {
+  id: 'fox-tales',
+  name: 'Fox Tales',
+  characterDescription: 'a small red fox with a blue scarf',
+  lineWeight: 'thick'
+}
+
+describe('InputSanitizer.sanitizeApprovedPrompt', () => {
+  it('keeps punctuation but strips markup and extra whitespace', () => {
+    expect(InputSanitizer.sanitizeApprovedPrompt('  a fox, in a <b>library</b>,\n\nthick lines  '))
+      .toBe('a fox, in a blibrary/b, thick lines')
+  })
+
+  it('rejects empty and oversized prompts', () => {
+    expect(() => InputSanitizer.sanitizeApprovedPrompt('<>')).toThrow('between 1 and 2000 characters')
+    expect(() => InputSanitizer.sanitizeApprovedPrompt('a'.repeat(2001))).toThrow('between 1 and 2000 characters')
+  })
+})
+
+describe('approveRefinedPrompt', () => {
+  it('returns a refinement result without refining again', () => {
+    const result = promptRefinementService.approveRefinedPrompt(
+      'a fox reading books',
+      'line art of a fox reading in a cozy library, thick lines',
+      { complexity: 'simple' },
+      { series: foxSeries }
+    )
+
+    expect(result.success).toBe(true)
+    expect(result.metadata.method).toBe('user-approved')
+    expect(result.appliedSettings).toMatchObject({ complexity: 'simple', lineThickness: 'thick' })
+    // An edit that dropped the series character gets it back
+    expect(result.refinedPrompt).toContain('a small red fox with a blue scarf')
+  })
+
+  it('rejects an unusable approved prompt as a client error', () => {
+    expect(() => promptRefinementService.approveRefinedPrompt('a fox', '   '))
+      .toThrow(expect.objectContaining({ status: 400 }))
+  })
+
+  it('rejects an edited prompt with inappropriate terms as a client error', () => {
+    expect(() => promptRefinementService.approveRefinedPrompt('a fox', 'line art of a fox holding a sword'))
+      .toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining('inappropriate terms') }))
+  })
+})
+
+describe('runGeneration with an approved prompt', () => {
+  afterEach(() => {
+    delete process.env.IMAGE_PROVIDER
+    vi.restoreAllMocks()
+  })
+
+  it('generates from the approved prompt and skips refinement', async () => {
+    process.env.IMAGE_PROVIDER = 'local'
+    const refine = vi.spyOn(promptRefinementService, 'refinePrompt')
+    const stages = []
+
+    const approvedPrompt = 'line art of a cat asleep on a pillow, thick lines, with border'
+    const response = await runGeneration({
+      prompt: 'a cat',
+      customizations: { lineThickness: 'thick' },
+      approvedPrompt,
+      requestId: 'test_approved',
+      onStatus: (status) => stages.push(status)
+    })
+
+    expect(refine).not.toHaveBeenCalled()
+    expect(response.success).toBe(true)
+    expect(response.refinedPrompt).toBe(approvedPrompt)
+    expect(response.metadata.refinementData.method).toBe('user-approved')
+    expect(stages).toEqual(['generating'])
+  })
+})
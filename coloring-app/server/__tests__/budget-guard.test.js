@@ -0,0 +1,95 @@
+import { describe, it, expect, vi } from 'vitest'
+
+// The openai SDK refuses to load in the jsdom test environment; the guard never calls it
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+const { BudgetGuard, BUDGET_ERROR_CODES } = await import('../services/budgetGuard.js')
+
+const createGuard = (options = {}) => new BudgetGuard({
+  globalLimit: 10,
+  userLimit: 1,
+  downgradeAt: 0.8,
+  loadSpend: async () => null,
+  now: () => new Date('2026-10-19T12:00:00.000Z'),
+  ...options
+})
+
+describe('BudgetGuard', () => {
+  it('uses gpt-image-1 while spend is well under the caps', async () => {
+    const guard = createGuard()
+
+    const ticket = await guard.reserve({ userId: 'user-a', images: 2 })
+
+    expect(ticket).toMatchObject({ tier: 'standard', estimate: 0.334, downgraded: false, generationOptions: {} })
+    expect(guard.getStatus().global).toMatchObject({ spent: 0, held: 0.334, state: 'normal' })
+  })
+
+  it('downgrades to dall-e-3 close to the user cap and refuses over it', async () => {
+    const guard = createGuard()
+    guard.settle(await guard.reserve({ userId: 'user-a' }), 0.7)
+
+    const ticket = await guard.reserve({ userId: 'user-a' })
+    expect(ticket).toMatchObject({
+      tier: 'economy',
+      downgraded: true,
+      generationOptions: { forceFallback: true, quality: 'standard' }
+    })
+    guard.settle(ticket, 0.28)
+
+    await expect(guard.reserve({ userId: 'user-a' })).rejects.toMatchObject({
+      status: 429,
+      code: BUDGET_ERROR_CODES.user,
+      retryAfter: 12 * 60 * 60,
+      resetsAt: '2026-10-20T00:00:00.000Z'
+    })
+
+    // Other users are unaffected by one user's cap
+    await expect(guard.reserve({ userId: 'user-b' })).resolves.toMatchObject({ tier: 'standard' })
+  })
+
+  it('refuses everyone once the global cap is spent, and image edits as soon as they would be downgraded', async () => {
+    const guard = createGuard({ globalLimit: 1, userLimit: null })
+    guard.settle(await guard.reserve(), 0.8)
+
+    await expect(guard.reserve({ allowDowngrade: false })).rejects.toMatchObject({
+      status: 503,
+      code: BUDGET_ERROR_CODES.global
+    })
+    await expect(guard.reserve({ userId: 'user-a' })).resolves.toMatchObject({ tier: 'economy' })
+    expect(guard.getStatus().global.state).toBe('downgraded')
+  })
+
+  it('releases the hold of failed generations', async () => {
+    const guard = createGuard({ globalLimit: 0.25, userLimit: null, downgradeAt: 1 })
+
+    const ticket = await guard.reserve()
+    await expect(guard.reserve()).resolves.toMatchObject({ tier: 'economy' })
+
+    guard.release(ticket)
+    expect(guard.getStatus().global).toMatchObject({ spent: 0, held: 0.04 })
+  })
+
+  it('loads the day\'s spend once and starts over at midnight UTC', async () => {
+    let now = new Date('2026-10-19T23:59:00.000Z')
+    const loadSpend = vi.fn(async () => ({ total: 9.97, byUser: { 'user-a': 0.5 } }))
+    const guard = createGuard({ loadSpend, now: () => now })
+
+    await expect(guard.reserve({ userId: 'user-a' })).rejects.toMatchObject({ code: BUDGET_ERROR_CODES.global })
+    await expect(guard.reserve()).rejects.toMatchObject({ code: BUDGET_ERROR_CODES.global })
+    expect(loadSpend).toHaveBeenCalledTimes(1)
+    expect(loadSpend).toHaveBeenCalledWith('2026-10-19T00:00:00.000Z')
+
+    now = new Date('2026-10-20T00:01:00.000Z')
+    loadSpend.mockResolvedValueOnce(null)
+    await expect(guard.reserve({ userId: 'user-a' })).resolves.toMatchObject({ tier: 'standard' })
+    expect(guard.getStatus()).toMatchObject({ day: '2026-10-20', global: { spent: 0 } })
+  })
+
+  it('never blocks when no caps are configured', async () => {
+    const guard = createGuard({ globalLimit: null, userLimit: null })
+    guard.settle(await guard.reserve({ userId: 'user-a', images: 4 }), 1000)
+
+    await expect(guard.reserve({ userId: 'user-a' })).resolves.toMatchObject({ tier: 'standard' })
+    expect(guard.getStatus()).toMatchObject({ enabled: false, global: { state: 'uncapped', spent: 1000 } })
+  })
+})
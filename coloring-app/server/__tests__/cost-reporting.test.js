@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { CostReportingService, aggregateCosts, bucketStart, reportToCsv, ANONYMOUS_USER } from '../services/costReporting.js'
+
+const entry = (createdAt, overrides = {}) => ({
+  userId: 'user-a',
+  userEmail: 'a@example.com',
+  model: 'gpt-image-1',
+  category: 'animals',
+  imageCount: 1,
+  costs: { imageCost: 0.167, tokenCost: 0, totalCost: 0.167 },
+  createdAt,
+  ...overrides
+})
+
+describe('Cost reporting', () => {
+  it('buckets timestamps by UTC day, Monday-based week and month', () => {
+    // 2026-10-18 is a Sunday
+    expect(bucketStart('2026-10-18T23:30:00.000Z', 'day')).toBe('2026-10-18')
+    expect(bucketStart('2026-10-18T23:30:00.000Z', 'week')).toBe('2026-10-12')
+    expect(bucketStart('2026-10-19T00:00:00.000Z', 'week')).toBe('2026-10-19')
+    expect(bucketStart('2026-10-18T23:30:00.000Z', 'month')).toBe('2026-10')
+  })
+
+  it('totals costs per period and by model, category and user', () => {
+    const report = aggregateCosts([
+      entry('2026-10-19T09:00:00.000Z'),
+      entry('2026-10-19T10:00:00.000Z', {
+        model: 'dall-e-3',
+        imageCount: 2,
+        costs: { imageCost: 0.08, tokenCost: 0, totalCost: 0.08 }
+      }),
+      entry('2026-10-20T10:00:00.000Z', { userId: null, userEmail: null, category: 'fantasy' })
+    ], 'day')
+
+    expect(report.totals).toMatchObject({ generations: 3, images: 4, totalCost: 0.414 })
+    expect(report.buckets.map(bucket => [bucket.start, bucket.totalCost])).toEqual([
+      ['2026-10-19', 0.247],
+      ['2026-10-20', 0.167]
+    ])
+    expect(report.byModel.map(row => [row.key, row.totalCost])).toEqual([
+      ['gpt-image-1', 0.334],
+      ['dall-e-3', 0.08]
+    ])
+    expect(report.byCategory[0]).toMatchObject({ key: 'animals', generations: 2 })
+    expect(report.byUser.find(row => row.key === 'user-a')).toMatchObject({ label: 'a@example.com', share: 0.5966 })
+    expect(report.byUser.find(row => row.key === ANONYMOUS_USER)).toBeTruthy()
+  })
+
+  it('exports one CSV row per period, user, model and category', () => {
+    const report = aggregateCosts([
+      entry('2026-10-19T09:00:00.000Z', { category: 'animals, pets' }),
+      entry('2026-10-19T11:00:00.000Z', { category: 'animals, pets' })
+    ], 'week')
+
+    const [header, row, ...rest] = reportToCsv(report).trim().split('\n')
+    expect(header).toBe('period_start,user_id,user_email,model,category,generations,images,image_cost_usd,token_cost_usd,total_cost_usd')
+    expect(row).toBe('2026-10-19,user-a,a@example.com,gpt-image-1,"animals, pets",2,2,0.334,0,0.334')
+    expect(rest).toEqual([])
+  })
+
+  it('defaults the range to the period window ending today', () => {
+    const service = new CostReportingService({ getDb: () => null })
+    const range = service.resolveRange('day', undefined, undefined, new Date('2026-10-19T15:00:00.000Z'))
+
+    expect(range).toMatchObject({
+      from: '2026-09-20',
+      to: '2026-10-19',
+      fromIso: '2026-09-20T00:00:00.000Z',
+      toIso: '2026-10-20T00:00:00.000Z'
+    })
+  })
+})
@@ -0,0 +1,203 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import sharp from 'sharp'
+
+// The ledger only uses CostCalculator; the OpenAI client refuses to load under jsdom
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+import creditLedger, { CreditLedger, CREDIT_PLANS, DEFAULT_PLAN, toCredits } from '../services/creditLedger.js'
+import { runGeneration, runPhotoConversion } from '../services/generationPipeline.js'
+import resultCache from '../services/resultCache.js'
+import { getImageProvider } from '../services/imageProviders.js'
+
+// Minimal in-memory stand-in for the Firestore calls the ledger makes
+const createFakeDb = () => {
+  const docs = new Map()
+  let nextId = 0
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    collection: (name) => collectionRef(`${path}/${name}`)
+  })
+
+  const collectionRef = (path) => ({
+    doc: (id = `entry-${++nextId}`) => docRef(`${path}/${id}`),
+    orderBy: (field, direction) => ({
+      limit: (count) => ({
+        get: async () => {
+          const entries = [...docs.entries()]
+            .filter(([key]) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+            .sort(([, a], [, b]) => (direction === 'desc' ? -1 : 1) * String(a[field]).localeCompare(String(b[field])))
+            .slice(0, count)
+          return { docs: entries.map(([key, data]) => ({ id: key.split('/').pop(), data: () => ({ ...data }) })) }
+        }
+      })
+    })
+  })
+
+  const snapshot = (ref) => ({ exists: docs.has(ref.path), data: () => ({ ...docs.get(ref.path) }) })
+
+  return {
+    docs,
+    collection: collectionRef,
+    runTransaction: async (callback) => {
+      const writes = []
+      const result = await callback({
+        get: async (ref) => snapshot(ref),
+        set: (ref, data) => writes.push(() => docs.set(ref.path, { ...data })),
+        update: (ref, data) => writes.push(() => docs.set(ref.path, { ...docs.get(ref.path), ...data }))
+      })
+      writes.forEach(write => write())
+      return result
+    }
+  }
+}
+
+const allowance = CREDIT_PLANS[DEFAULT_PLAN].monthlyCredits
+
+describe('CreditLedger', () => {
+  it('creates an account with the default plan allowance on first use', async () => {
+    const db = createFakeDb()
+    const ledger = new CreditLedger({ getDb: () => db })
+
+    const account = await ledger.getAccount('user-a')
+    expect(account).toMatchObject({ plan: DEFAULT_PLAN, balance: allowance, reserved: 0 })
+
+    const history = await ledger.getHistory('user-a')
+    expect(history).toHaveLength(1)
+    expect(history[0]).toMatchObject({ type: 'grant', credits: allowance })
+  })
+
+  it('reserves the estimate and settles at the actual cost', async () => {
+    const db = createFakeDb()
+    const ledger = new CreditLedger({ getDb: () => db })
+    const estimate = ledger.estimateGenerationCost(2)
+
+    const reservation = await ledger.reserve('user-a', estimate, { requestId: 'req-1', variations: 2 })
+    expect(reservation.credits).toBe(toCredits(estimate))
+    expect(reservation.balance).toBe(allowance - toCredits(estimate))
+
+    const settled = await ledger.settle(reservation, 0.08, { model: 'dall-e-3' })
+    expect(settled).toEqual({ charged: 8, balance: allowance - 8 })
+
+    const account = await ledger.getAccount('user-a')
+    expect(account).toMatchObject({ balance: allowance - 8, reserved: 0, totalSpent: 8 })
+
+    // Closing an already settled reservation again changes nothing
+    expect(await ledger.refund(reservation)).toBeNull()
+    expect((await ledger.getAccount('user-a')).balance).toBe(allowance - 8)
+  })
+
+  it('refunds the full reservation when generation fails', async () => {
+    const db = createFakeDb()
+    const ledger = new CreditLedger({ getDb: () => db })
+
+    const reservation = await ledger.reserve('user-a', ledger.estimateGenerationCost(), { requestId: 'req-2' })
+    const refunded = await ledger.refund(reservation, 'Image generation service returned failure')
+
+    expect(refunded).toEqual({ charged: 0, balance: allowance })
+    const [entry] = (await ledger.getHistory('user-a')).filter(item => item.type === 'generation')
+    expect(entry).toMatchObject({ status: 'refunded', credits: 0 })
+  })
+
+  it('rejects generations the balance cannot cover with a 402', async () => {
+    const db = createFakeDb()
+    const ledger = new CreditLedger({ getDb: () => db })
+
+    await expect(ledger.reserve('user-a', (allowance + 1) / 100)).rejects.toMatchObject({
+      status: 402,
+      code: 'INSUFFICIENT_CREDITS',
+      balance: allowance,
+      required: allowance + 1
+    })
+    expect((await ledger.getAccount('user-a')).reserved).toBe(0)
+  })
+
+  it('tops the balance back up to the allowance in a new month', () => {
+    const ledger = new CreditLedger({ getDb: () => null })
+    const stored = { userId: 'user-a', plan: 'free', balance: 12, reserved: 0, totalSpent: 188, period: '2026-09' }
+
+    const { account, grant } = ledger.refreshAccount('user-a', stored, new Date('2026-10-01T00:00:00Z'))
+    expect(account).toMatchObject({ balance: allowance, period: '2026-10', totalSpent: 188 })
+    expect(grant).toMatchObject({ type: 'grant', credits: allowance - 12 })
+  })
+
+  it('skips anonymous users and servers without Firestore', async () => {
+    const ledger = new CreditLedger({ getDb: () => null })
+
+    expect(ledger.isEnabled()).toBe(false)
+    expect(await ledger.reserve('user-a', 1)).toBeNull()
+    expect(await ledger.settle(null, 1)).toBeNull()
+    expect(await new CreditLedger({ getDb: () => createFakeDb() }).reserve(null, 1)).toBeNull()
+  })
+})
+
+describe('runPhotoConversion credits', () => {
+  const toDataUrl = async (input, options) => `data:image/png;base64,${(await sharp(input, options).png().toBuffer()).toString('base64')}`
+
+  // Noise stands in for a photo - a flat image is too small to pass upload validation
+  const convert = async () => runPhotoConversion({
+    image: await toDataUrl(
+      Buffer.from(Array.from({ length: 64 * 64 * 3 }, () => Math.floor(Math.random() * 256))),
+      { raw: { width: 64, height: 64, channels: 3 } }
+    ),
+    mode: 'ai',
+    user: { uid: 'user-a' },
+    requestId: 'req-photo'
+  })
+
+  afterEach(() => {
+    delete process.env.IMAGE_PROVIDER
+    vi.restoreAllMocks()
+  })
+
+  it('charges the actual cost of an AI conversion', async () => {
+    process.env.IMAGE_PROVIDER = 'local'
+    vi.spyOn(creditLedger, 'getDb').mockReturnValue(createFakeDb())
+    vi.spyOn(getImageProvider('local'), 'editImage').mockResolvedValue({
+      success: true,
+      imageUrl: await toDataUrl({ create: { width: 64, height: 64, channels: 3, background: '#ffffff' } }),
+      model: 'gpt-image-1',
+      metadata: { model: 'gpt-image-1', costs: { imageCost: 0.05, tokenCost: 0, totalCost: 0.05 } }
+    })
+
+    const response = await convert()
+
+    expect(response.credits).toEqual({ charged: 5, balance: allowance - 5 })
+    expect(await creditLedger.getAccount('user-a')).toMatchObject({ balance: allowance - 5, reserved: 0 })
+  })
+
+  it('refunds the reservation when the conversion fails', async () => {
+    process.env.IMAGE_PROVIDER = 'local'
+    vi.spyOn(creditLedger, 'getDb').mockReturnValue(createFakeDb())
+    vi.spyOn(getImageProvider('local'), 'editImage').mockRejectedValue(new Error('Edit failed'))
+
+    await expect(convert()).rejects.toThrow('Edit failed')
+
+    expect(await creditLedger.getAccount('user-a')).toMatchObject({ balance: allowance, reserved: 0 })
+    const [entry] = (await creditLedger.getHistory('user-a')).filter(item => item.type === 'generation')
+    expect(entry).toMatchObject({ status: 'refunded', credits: 0 })
+  })
+})
+
+describe('runGeneration credits', () => {
+  afterEach(() => {
+    delete process.env.IMAGE_PROVIDER
+    vi.restoreAllMocks()
+  })
+
+  it('keeps the charge when a step after settling fails', async () => {
+    process.env.IMAGE_PROVIDER = 'local'
+    vi.spyOn(creditLedger, 'getDb').mockReturnValue(createFakeDb())
+    vi.spyOn(resultCache, 'get').mockResolvedValue(null)
+    vi.spyOn(resultCache, 'set').mockRejectedValue(new Error('Cache write failed'))
+    const refund = vi.spyOn(creditLedger, 'refund')
+
+    await expect(runGeneration({ prompt: 'a fox', useCache: true, user: { uid: 'user-a' }, requestId: 'req-cache' }))
+      .rejects.toThrow('Cache write failed')
+
+    expect(refund).not.toHaveBeenCalled()
+    const [entry] = (await creditLedger.getHistory('user-a')).filter(item => item.type === 'generation')
+    expect(entry).toMatchObject({ status: 'settled' })
+  })
+})
@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest'
+import { CollectionService } from '../services/collectionService.js'
+import { GalleryService } from '../services/galleryService.js'
+
+/**
+ * Minimal in-memory Firestore for collections: documents by collection name,
+ * equality queries, count(), getAll and batched writes
+ */
+const createFakeDb = (seed = {}) => {
+  const stores = new Map(Object.entries(seed).map(([name, docs]) => [
+    name,
+    new Map(docs.map(({ id, ...data }) => [id, data]))
+  ]))
+  const store = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map())
+    return stores.get(name)
+  }
+  let nextId = 1
+
+  const docRef = (name, id) => ({
+    id,
+    name,
+    get: async () => ({ id, exists: store(name).has(id), ref: docRef(name, id), data: () => ({ ...store(name).get(id) }) }),
+    update: async (data) => store(name).set(id, { ...store(name).get(id), ...data })
+  })
+
+  const buildQuery = (name, filters = [], count = Infinity) => {
+    const run = () => [...store(name).entries()]
+      .filter(([, data]) => filters.every(({ field, value }) => data[field] === value))
+      .slice(0, count)
+      .map(([id, data]) => ({ id, ref: docRef(name, id), data: () => ({ ...data }) }))
+
+    return {
+      where: (field, _op, value) => buildQuery(name, [...filters, { field, value }], count),
+      limit: (limit) => buildQuery(name, filters, limit),
+      select: () => buildQuery(name, filters, count),
+      orderBy: () => buildQuery(name, filters, count),
+      count: () => ({ get: async () => ({ data: () => ({ count: run().length }) }) }),
+      get: async () => ({ docs: run() })
+    }
+  }
+
+  return {
+    stores,
+    collection: (name) => ({
+      ...buildQuery(name),
+      doc: (id) => docRef(name, id),
+      add: async (data) => {
+        const id = `new${nextId++}`
+        store(name).set(id, data)
+        return docRef(name, id)
+      }
+    }),
+    getAll: async (...refs) => Promise.all(refs.map(ref => ref.get())),
+    batch: () => {
+      const writes = []
+      return {
+        update: (ref, data) => writes.push(() => store(ref.name).set(ref.id, { ...store(ref.name).get(ref.id), ...data })),
+        delete: (ref) => writes.push(() => store(ref.name).delete(ref.id)),
+        commit: async () => writes.forEach(write => write())
+      }
+    }
+  }
+}
+
+const image = (id, userId = 'user-a', extra = {}) => ({ id, userId, imageUrl: `https://img/${id}.png`, ...extra })
+
+const setup = () => {
+  const db = createFakeDb({
+    user_images: [image('i1'), image('i2'), image('i3'), image('x1', 'user-b')],
+    user_collections: [{ id: 'theirs', userId: 'user-b', name: 'Theirs', coverImageId: null }]
+  })
+  return { db, service: new CollectionService({ getDb: () => db }) }
+}
+
+describe('CollectionService', () => {
+  it('creates collections with unique names per user and lists them A-Z', async () => {
+    const { service } = setup()
+
+    const party = await service.createCollection('user-a', { name: '  Birthday   party ' })
+    expect(party).toMatchObject({ name: 'Birthday party', imageCount: 0, coverImageUrl: null })
+    await service.createCollection('user-a', { name: 'Dinosaur book' })
+    await service.createCollection('user-a', { name: 'Animals' })
+
+    await expect(service.createCollection('user-a', { name: 'birthday PARTY' }))
+      .rejects.toMatchObject({ status: 409, code: 'DUPLICATE_NAME' })
+    await expect(service.createCollection('user-a', { name: '   ' }))
+      .rejects.toMatchObject({ status: 400 })
+
+    const names = (await service.listCollections('user-a')).map(collection => collection.name)
+    expect(names).toEqual(['Animals', 'Birthday party', 'Dinosaur book'])
+  })
+
+  it('moves images between collections and picks the first as cover', async () => {
+    const { db, service } = setup()
+    const party = await service.createCollection('user-a', { name: 'Party' })
+    const dinos = await service.createCollection('user-a', { name: 'Dinos' })
+
+    expect(await service.addImages('user-a', party.id, ['i2', 'i1'])).toEqual({ moved: 2, coverImageId: 'i2' })
+    // Moving into another collection takes the image out of the first
+    await service.addImages('user-a', dinos.id, ['i1'])
+
+    expect(db.stores.get('user_images').get('i1').collectionId).toBe(dinos.id)
+    const listed = Object.fromEntries((await service.listCollections('user-a')).map(c => [c.name, c]))
+    expect(listed.Party).toMatchObject({ imageCount: 1, coverImageId: 'i2', coverImageUrl: 'https://img/i2.png' })
+    expect(listed.Dinos).toMatchObject({ imageCount: 1, coverImageId: 'i1' })
+  })
+
+  it('clears the cover of the collection an image leaves and replaces a cover that left', async () => {
+    const { db, service } = setup()
+    const party = await service.createCollection('user-a', { name: 'Party' })
+    const dinos = await service.createCollection('user-a', { name: 'Dinos' })
+    await service.addImages('user-a', party.id, ['i1', 'i2'])
+
+    // The cover moves out of Party in the same batch that moves the image
+    await service.addImages('user-a', dinos.id, ['i1'])
+    expect(db.stores.get('user_collections').get(party.id).coverImageId).toBeNull()
+    expect(db.stores.get('user_collections').get(dinos.id).coverImageId).toBe('i1')
+
+    // A stale cover that is no longer a member is replaced
+    db.stores.get('user_collections').get(party.id).coverImageId = 'i1'
+    expect(await service.addImages('user-a', party.id, ['i3'])).toEqual({ moved: 1, coverImageId: 'i3' })
+  })
+
+  it('only touches the user\'s own collections and images', async () => {
+    const { service } = setup()
+    const party = await service.createCollection('user-a', { name: 'Party' })
+
+    await expect(service.addImages('user-a', 'theirs', ['i1'])).rejects.toMatchObject({ status: 404 })
+    await expect(service.addImages('user-a', party.id, ['i1', 'x1'])).rejects.toMatchObject({ status: 404 })
+    await expect(service.deleteCollection('user-a', 'missing')).rejects.toMatchObject({ status: 404 })
+  })
+
+  it('renames, sets a cover from the collection and clears it when the cover leaves', async () => {
+    const { service } = setup()
+    const party = await service.createCollection('user-a', { name: 'Party' })
+    await service.createCollection('user-a', { name: 'Dinos' })
+    await service.addImages('user-a', party.id, ['i1', 'i2'])
+
+    await expect(service.updateCollection('user-a', party.id, { name: 'dinos' })).rejects.toMatchObject({ status: 409 })
+    await expect(service.updateCollection('user-a', party.id, { coverImageId: 'i3' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_COVER' })
+
+    expect(await service.updateCollection('user-a', party.id, { name: 'Birthday party', coverImageId: 'i2' }))
+      .toEqual({ id: party.id, name: 'Birthday party', coverImageId: 'i2' })
+
+    // i3 isn't in the collection and is skipped
+    expect(await service.removeImages('user-a', party.id, ['i2', 'i3'])).toEqual({ removed: 1, coverImageId: null })
+  })
+
+  it('deletes a collection but keeps its images', async () => {
+    const { db, service } = setup()
+    const party = await service.createCollection('user-a', { name: 'Party' })
+    await service.addImages('user-a', party.id, ['i1', 'i2'])
+
+    expect(await service.deleteCollection('user-a', party.id)).toBe(2)
+    expect(db.stores.get('user_collections').has(party.id)).toBe(false)
+    expect(db.stores.get('user_images').get('i1')).toMatchObject({ collectionId: null, userId: 'user-a' })
+  })
+
+  it('lists only a collection\'s images in the gallery', async () => {
+    const { db, service } = setup()
+    const party = await service.createCollection('user-a', { name: 'Party' })
+    await service.addImages('user-a', party.id, ['i3'])
+
+    const gallery = new GalleryService({ getDb: () => db })
+    const page = await gallery.listImages('user-a', { collection: party.id })
+    expect(page.images.map(item => item.id)).toEqual(['i3'])
+  })
+})
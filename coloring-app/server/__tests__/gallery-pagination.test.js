@@ -0,0 +1,240 @@
+import { describe, it, expect } from 'vitest'
+import admin from 'firebase-admin'
+import {
+  GalleryService,
+  encodeGalleryCursor,
+  decodeGalleryCursor,
+  describeGalleryImage,
+  tokenizeText
+} from '../services/galleryService.js'
+
+const { Timestamp } = admin.firestore
+
+const readField = (data, path) => path.split('.').reduce((value, key) => value?.[key], data)
+
+const compareValues = (a, b) => {
+  if (a instanceof Timestamp) return a.seconds - b.seconds || a.nanoseconds - b.nanoseconds
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Minimal in-memory Firestore for the gallery queries:
+ * where (==, array-contains, >=, <) → orderBy(field, __name__) → startAfter → limit,
+ * plus select, batched updates and the backfill marker document
+ */
+const createFakeDb = (images) => {
+  const docs = new Map(images.map(({ id, ...data }) => [id, data]))
+  const markers = new Map()
+
+  const tests = {
+    '==': (value, expected) => value === expected,
+    'array-contains': (value, expected) => Array.isArray(value) && value.includes(expected),
+    '>=': (value, expected) => value !== undefined && compareValues(value, expected) >= 0,
+    '<': (value, expected) => value !== undefined && compareValues(value, expected) < 0
+  }
+
+  const buildQuery = (state) => ({
+    where: (field, op, value) => buildQuery({ ...state, filters: [...state.filters, { field, op, value }] }),
+    // The second orderBy is always the document id in the same direction
+    orderBy: (field, direction) => buildQuery(state.order ? state : { ...state, order: { field, direction } }),
+    startAfter: (value, id) => buildQuery({ ...state, after: { value, id } }),
+    limit: (count) => buildQuery({ ...state, count }),
+    select: () => buildQuery(state),
+    get: async () => {
+      const { field, direction = 'asc' } = state.order || {}
+      const sign = direction === 'desc' ? -1 : 1
+      const compare = (a, b) => sign * (field ? compareValues(readField(a.data, field), readField(b.data, field)) : 0) ||
+        sign * compareValues(a.id, b.id)
+
+      const matched = [...docs.entries()]
+        .map(([id, data]) => ({ id, data }))
+        .filter(({ data }) => state.filters.every(({ field: path, op, value }) => tests[op](readField(data, path), value)))
+        .filter(({ data }) => !field || readField(data, field) !== undefined)
+        .sort(compare)
+        .filter(entry => !state.after || compare(entry, { id: state.after.id, data: { [field]: state.after.value } }) > 0)
+        .slice(0, state.count ?? Infinity)
+
+      return {
+        docs: matched.map(({ id, data }) => ({ id, ref: { id }, data: () => ({ ...data }) }))
+      }
+    }
+  })
+
+  return {
+    docs,
+    markers,
+    collection: (name) => name === 'user_gallery_index'
+      ? {
+          doc: (id) => ({
+            get: async () => ({ exists: markers.has(id), data: () => markers.get(id) }),
+            set: async (data) => markers.set(id, data)
+          })
+        }
+      : buildQuery({ filters: [] }),
+    batch: () => {
+      const writes = []
+      return {
+        update: (ref, data) => writes.push(() => docs.set(ref.id, { ...docs.get(ref.id), ...data })),
+        commit: async () => writes.forEach(write => write())
+      }
+    }
+  }
+}
+
+const saved = (id, originalPrompt, metadata, createdAt) => ({
+  id,
+  userId: 'user-a',
+  originalPrompt,
+  metadata,
+  createdAt,
+  ...describeGalleryImage({ originalPrompt, metadata })
+})
+
+// 7 pages for user-a; three share a createdAt second and differ only in nanoseconds
+const images = [
+  ...Array.from({ length: 4 }, (_, i) => ({ id: `a${i}`, userId: 'user-a', createdAt: Timestamp.fromMillis(1700000000000 + i * 1000) })),
+  ...Array.from({ length: 3 }, (_, i) => ({ id: `b${i}`, userId: 'user-a', createdAt: new Timestamp(1700000100, i * 10) })),
+  { id: 'c0', userId: 'user-b', createdAt: Timestamp.fromMillis(1700000200000) }
+]
+
+const library = [
+  saved('dog', 'A happy dog in the park', { refinementData: { category: 'domesticAnimals', appliedSettings: { complexity: 'simple', ageGroup: 'kids', theme: 'animals' } }, model: 'gpt-image-1' }, Timestamp.fromDate(new Date('2024-03-01T10:00:00Z'))),
+  saved('dragon', 'Dragon flying over a castle', { detectedCategory: 'fantasy', complexity: 'detailed', ageGroup: 'adults', model: 'dall-e-3' }, Timestamp.fromDate(new Date('2024-03-05T10:00:00Z'))),
+  saved('cat', 'Chat dans le jardin', { detectedCategory: 'domesticAnimals', complexity: 'simple', model: 'gpt-image-1', translation: { language: 'fr', translatedPrompt: 'Cat in the garden' } }, Timestamp.fromDate(new Date('2024-03-10T10:00:00Z'))),
+  saved('park', 'Big park with a dog and a kite', { detectedCategory: 'nature', complexity: 'medium', model: 'gpt-image-1' }, Timestamp.fromDate(new Date('2024-03-20T10:00:00Z')))
+]
+
+const ids = (page) => page.images.map(image => image.id)
+
+describe('GalleryService', () => {
+  it('walks every page newest first without repeats or gaps', async () => {
+    const service = new GalleryService({ getDb: () => createFakeDb(images) })
+    const seen = []
+    let cursor = null
+    let pages = 0
+
+    do {
+      const page = await service.listImages('user-a', { limit: 3, cursor })
+      seen.push(...ids(page))
+      expect(page.hasMore).toBe(page.nextCursor !== null)
+      cursor = page.nextCursor
+      pages += 1
+    } while (cursor)
+
+    expect(pages).toBe(3)
+    expect(seen).toEqual(['b2', 'b1', 'b0', 'a3', 'a2', 'a1', 'a0'])
+  })
+
+  it('returns ISO timestamps and no cursor on the last page', async () => {
+    const service = new GalleryService({ getDb: () => createFakeDb(images) })
+    const page = await service.listImages('user-b')
+
+    expect(page).toMatchObject({ hasMore: false, nextCursor: null })
+    expect(page.images).toEqual([{ id: 'c0', userId: 'user-b', createdAt: '2023-11-14T22:16:40.000Z', updatedAt: null }])
+  })
+
+  it('round-trips cursors and rejects tampered or mismatched ones', () => {
+    const cursor = encodeGalleryCursor({ createdAt: new Timestamp(1700000100, 20), id: 'b2' })
+    const decoded = decodeGalleryCursor(cursor)
+    expect(decoded.id).toBe('b2')
+    expect(decoded.value.isEqual(new Timestamp(1700000100, 20))).toBe(true)
+
+    const titleCursor = encodeGalleryCursor({ sort: 'title', titleSort: 'a happy dog', id: 'dog' })
+    expect(decodeGalleryCursor(titleCursor, 'title')).toEqual({ id: 'dog', value: 'a happy dog' })
+
+    for (const [bad, sort] of [
+      ['not-a-cursor', 'newest'],
+      [Buffer.from('{"s":1.5,"n":0,"id":"x"}').toString('base64url'), 'newest'],
+      [Buffer.from('{"s":1,"n":0,"id":"a/b"}').toString('base64url'), 'newest'],
+      [titleCursor, 'newest'],
+      [cursor, 'oldest']
+    ]) {
+      expect(() => decodeGalleryCursor(bad, sort)).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_CURSOR' }))
+    }
+  })
+
+  it('reports the gallery unavailable without Firestore', async () => {
+    const service = new GalleryService({ getDb: () => null })
+    expect(service.isEnabled()).toBe(false)
+    await expect(service.listImages('user-a')).rejects.toThrow('Firestore database not available')
+  })
+})
+
+describe('describeGalleryImage', () => {
+  it('stores search words, a sort title and the facets from either metadata shape', () => {
+    expect(tokenizeText('A happy DOG, a happy day!')).toEqual(['happy', 'dog', 'day'])
+    expect(library[0]).toMatchObject({
+      titleSort: 'a happy dog in the park',
+      facets: { theme: 'animals', complexity: 'simple', ageGroup: 'kids', category: 'domesticAnimals', model: 'gpt-image-1' }
+    })
+    expect(library[1].facets).toEqual({ theme: null, complexity: 'detailed', ageGroup: 'adults', category: 'fantasy', model: 'dall-e-3' })
+    // The English translation is searchable too
+    expect(library[2].searchTokens).toEqual(expect.arrayContaining(['chat', 'jardin', 'cat', 'garden']))
+  })
+})
+
+describe('GalleryService search, filters and sort', () => {
+  it('requires every search word and matches translated prompts', async () => {
+    const service = new GalleryService({ getDb: () => createFakeDb(library) })
+
+    expect(ids(await service.listImages('user-a', { search: 'dog' }))).toEqual(['park', 'dog'])
+    expect(ids(await service.listImages('user-a', { search: 'Park dog kite' }))).toEqual(['park'])
+    expect(ids(await service.listImages('user-a', { search: 'garden' }))).toEqual(['cat'])
+    expect(ids(await service.listImages('user-a', { search: 'unicorn' }))).toEqual([])
+  })
+
+  it('combines exact filters with a date range', async () => {
+    const service = new GalleryService({ getDb: () => createFakeDb(library) })
+
+    expect(ids(await service.listImages('user-a', { filters: { model: 'gpt-image-1', complexity: 'simple' } }))).toEqual(['cat', 'dog'])
+    expect(ids(await service.listImages('user-a', { filters: { category: 'domesticAnimals' }, from: '2024-03-02', to: '2024-03-10' }))).toEqual(['cat'])
+    expect(ids(await service.listImages('user-a', { from: '2024-03-05', to: '2024-03-05' }))).toEqual(['dragon'])
+  })
+
+  it('sorts by date either way or by title, paging within the sort', async () => {
+    const service = new GalleryService({ getDb: () => createFakeDb(library) })
+
+    expect(ids(await service.listImages('user-a', { sort: 'oldest' }))).toEqual(['dog', 'dragon', 'cat', 'park'])
+
+    const first = await service.listImages('user-a', { sort: 'title', limit: 2 })
+    expect(ids(first)).toEqual(['dog', 'park'])
+    const second = await service.listImages('user-a', { sort: 'title', limit: 2, cursor: first.nextCursor })
+    expect(ids(second)).toEqual(['cat', 'dragon'])
+    expect(second.hasMore).toBe(false)
+
+    // The date range is checked in memory for the title sort
+    expect(ids(await service.listImages('user-a', { sort: 'title', from: '2024-03-04' }))).toEqual(['park', 'cat', 'dragon'])
+  })
+
+  it('keeps paging past documents that fail an in-memory check', async () => {
+    const db = createFakeDb(library)
+    const service = new GalleryService({ getDb: () => db })
+
+    // 'park' goes to Firestore (dog and park pages); 'kite' is checked on each document read
+    const page = await service.listImages('user-a', { search: 'park kite', limit: 1 })
+    expect(page).toMatchObject({ hasMore: true })
+    expect(ids(page)).toEqual(['park'])
+    const next = await service.listImages('user-a', { search: 'park kite', limit: 1, cursor: page.nextCursor })
+    expect(next).toMatchObject({ images: [], hasMore: false, nextCursor: null })
+  })
+
+  it('backfills search fields on older images once, the first time they are filtered', async () => {
+    const legacy = [
+      { id: 'old1', userId: 'user-a', originalPrompt: 'Old rocket ship', metadata: { complexity: 'simple' }, createdAt: Timestamp.fromMillis(1600000000000) },
+      { id: 'old2', userId: 'user-a', originalPrompt: 'Old castle', metadata: {}, createdAt: Timestamp.fromMillis(1600000001000) }
+    ]
+    const db = createFakeDb(legacy)
+    const service = new GalleryService({ getDb: () => db })
+
+    expect(ids(await service.listImages('user-a'))).toEqual(['old2', 'old1'])
+    expect(db.markers.size).toBe(0)
+
+    expect(ids(await service.listImages('user-a', { search: 'rocket' }))).toEqual(['old1'])
+    expect(db.markers.get('user-a')).toMatchObject({ version: 1, imageCount: 2 })
+    expect(db.docs.get('old2').titleSort).toBe('old castle')
+
+    // Another server process sees the marker instead of rewriting the images
+    const other = new GalleryService({ getDb: () => db })
+    expect(await other.ensureSearchFields('user-a')).toBe(0)
+  })
+})
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import { GenerationJobService, JOB_STATUS } from '../services/generationJobs.js'
+
+const waitForStatus = async (service, jobId, statuses, userId = null) => {
+  for (let i = 0; i < 50; i++) {
+    const job = service.getJob(jobId, userId)
+    if (job && statuses.includes(job.status)) return job
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+  throw new Error(`Job ${jobId} never reached ${statuses.join('/')}`)
+}
+
+describe('GenerationJobService', () => {
+  it('runs a job through its statuses and exposes the result', async () => {
+    const service = new GenerationJobService()
+    const seen = []
+
+    const job = service.createJob({ prompt: 'a cat' }, async (record, setStatus) => {
+      setStatus(JOB_STATUS.REFINING)
+      seen.push(service.getJob(record.id).status)
+      setStatus(JOB_STATUS.GENERATING)
+      seen.push(service.getJob(record.id).status)
+      return { success: true, imageUrl: 'data:image/png;base64,abc' }
+    })
+
+    expect(job.status).toBe(JOB_STATUS.QUEUED)
+
+    const finished = await waitForStatus(service, job.id, [JOB_STATUS.DONE])
+    expect(seen).toEqual([JOB_STATUS.REFINING, JOB_STATUS.GENERATING])
+    expect(finished.result.imageUrl).toBe('data:image/png;base64,abc')
+    expect(finished.completedAt).toBeTruthy()
+  })
+
+  it('records failures with status code and message', async () => {
+    const service = new GenerationJobService()
+
+    const job = service.createJob({ prompt: 'a dog' }, async () => {
+      const error = new Error('Rate limit exceeded')
+      error.status = 429
+      throw error
+    })
+
+    const failed = await waitForStatus(service, job.id, [JOB_STATUS.FAILED])
+    expect(failed.error).toMatchObject({ message: 'Rate limit exceeded', status: 429 })
+    expect(failed.result).toBeUndefined()
+  })
+
+  it('hides jobs owned by another user', async () => {
+    const service = new GenerationJobService()
+    const job = service.createJob({ prompt: 'a bird', userId: 'user-a' }, async () => ({ success: true }))
+
+    await waitForStatus(service, job.id, [JOB_STATUS.DONE], 'user-a')
+    expect(service.getJob(job.id, 'user-b')).toBeNull()
+    expect(service.getJob(job.id)).toBeNull()
+  })
+
+  it('prunes finished jobs past their TTL', async () => {
+    const service = new GenerationJobService({ ttl: 1 })
+    const job = service.createJob({ prompt: 'a fish' }, async () => ({ success: true }))
+
+    await waitForStatus(service, job.id, [JOB_STATUS.DONE])
+    await new Promise(resolve => setTimeout(resolve, 5))
+    service.pruneExpiredJobs()
+
+    expect(service.getJob(job.id)).toBeNull()
+  })
+
+  it('streams progress events to subscribers and replays them for late ones', async () => {
+    const service = new GenerationJobService()
+    let release
+    const gate = new Promise(resolve => { release = resolve })
+
+    const job = service.createJob({ prompt: 'a dragon' }, async (record, setStatus, reportProgress) => {
+      reportProgress('sanitizing')
+      reportProgress('refined-prompt-ready', { refinedPrompt: 'line art of a dragon' })
+      await gate
+      reportProgress('model-attempt', { model: 'gpt-image-1', attempt: 1 })
+      return { success: true }
+    })
+
+    await waitForStatus(service, job.id, [JOB_STATUS.QUEUED])
+    await new Promise(resolve => setTimeout(resolve, 10))
+
+    const received = []
+    service.subscribe(job.id, null, event => received.push(event))
+    release()
+    await waitForStatus(service, job.id, [JOB_STATUS.DONE])
+
+    expect(received.map(e => e.data.stage || e.type)).toEqual([
+      'status', 'sanitizing', 'refined-prompt-ready', 'model-attempt', 'status', 'done'
+    ])
+    expect(service.getJob(job.id).refinedPrompt).toBe('line art of a dragon')
+
+    const replayed = []
+    service.subscribe(job.id, null, event => replayed.push(event.type))
+    expect(replayed[replayed.length - 1]).toBe('done')
+  })
+})
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import { postProcessLineArt } from '../services/imageOptimization.js'
+
+// Off-white paper, a black outline, a gray-filled box and light gray shading
+const PAGE = Buffer.from(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200">' +
+  '<rect width="300" height="200" fill="#f2efe6"/>' +
+  '<circle cx="75" cy="100" r="50" fill="none" stroke="#111" stroke-width="4"/>' +
+  '<rect x="170" y="50" width="100" height="100" fill="#888" stroke="#000" stroke-width="4"/>' +
+  '<ellipse cx="75" cy="170" rx="40" ry="15" fill="#ccc"/>' +
+  '</svg>'
+)
+
+const toDataUrl = async () => `data:image/png;base64,${(await sharp(PAGE).png().toBuffer()).toString('base64')}`
+
+const pixels = async (buffer) => (await sharp(buffer).toColourspace('b-w').raw().toBuffer({ resolveWithObject: true }))
+
+describe('postProcessLineArt', () => {
+  it('leaves only pure black lines on a white background', async () => {
+    const result = await postProcessLineArt(await toDataUrl(), { lineThickness: 'thin' })
+
+    expect(result.success).toBe(true)
+    expect(result.steps).toEqual(['whiten-background', 'remove-gray-fills', 'binarize'])
+    expect(result.grayFillPixelsRemoved).toBeGreaterThan(0)
+
+    const { data, info } = await pixels(result.buffer)
+    expect(data.every(value => value === 0 || value === 255)).toBe(true)
+    // Paper corner is white, the gray box interior is white, its outline stays black
+    expect(data[0]).toBe(255)
+    expect(data[100 * info.width + 220]).toBe(255)
+    expect(data[100 * info.width + 170]).toBe(0)
+  })
+
+  it('thickens lines and traces an SVG on request', async () => {
+    const image = await toDataUrl()
+    const thin = await postProcessLineArt(image, { lineThickness: 'thin' })
+    const thick = await postProcessLineArt(image, { lineThickness: 'thick', vectorize: true })
+    const ink = async (buffer) => (await pixels(buffer)).data.filter(value => value === 0).length
+
+    expect(thick.steps).toEqual(expect.arrayContaining(['thicken-lines', 'vectorize']))
+    expect(await ink(thick.buffer)).toBeGreaterThan(await ink(thin.buffer))
+    expect(Buffer.from(thick.svgUrl.split(',')[1], 'base64').toString()).toContain('<path')
+  })
+
+  it('returns vector sources unchanged', async () => {
+    const svg = `data:image/svg+xml;base64,${PAGE.toString('base64')}`
+    const result = await postProcessLineArt(svg)
+
+    expect(result).toMatchObject({ success: true, skipped: 'vector-source', imageUrl: svg, steps: [] })
+  })
+})
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+
+// The openai SDK refuses to load in the jsdom test environment; the registry only checks for a key
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+const { LocalImageProvider, describePrompt, renderColoringPage } = await import('../services/localImageProvider.js')
+const { getImageProvider, registerImageProvider, listImageProviders } = await import('../services/imageProviders.js')
+
+describe('describePrompt', () => {
+  it('picks a motif and drawing settings from the refined prompt', () => {
+    expect(describePrompt('A cute bunny in a meadow, thick lines, detailed complexity')).toMatchObject({
+      motif: 'animal',
+      subject: 'bunny',
+      ears: 'long',
+      strokeWidth: 9,
+      detail: 3
+    })
+    expect(describePrompt('a goldfish').motif).toBe('fish')
+    expect(describePrompt('an enchanted castle').motif).toBe('castle')
+    expect(describePrompt('a quiet afternoon').motif).toBe('landscape')
+  })
+
+  it('only draws a border when one is asked for', () => {
+    expect(describePrompt('a cat with a decorative border').border).toBe(true)
+    expect(describePrompt('a cat without a border').border).toBe(false)
+  })
+})
+
+describe('renderColoringPage', () => {
+  it('is deterministic per prompt and varies by index', () => {
+    const first = renderColoringPage('a mandala, medium complexity')
+    const again = renderColoringPage('a mandala, medium complexity')
+    const variation = renderColoringPage('a mandala, medium complexity', { index: 1 })
+
+    expect(first.svg).toBe(again.svg)
+    expect(variation.svg).not.toBe(first.svg)
+    expect(first.svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/)
+    expect(first.svg).toContain('stroke="black"')
+  })
+})
+
+describe('LocalImageProvider', () => {
+  it('returns pages in the same shape as the OpenAI provider, at no cost', async () => {
+    const provider = new LocalImageProvider()
+    const stages = []
+    const result = await provider.generateImage('  an owl on a branch  ', {
+      n: 2,
+      onProgress: (stage) => stages.push(stage)
+    })
+
+    expect(result.success).toBe(true)
+    expect(result.model).toBe('local-procedural')
+    expect(result.images).toHaveLength(2)
+    expect(result.imageUrl).toBe(result.images[0].imageUrl)
+    expect(result.imageUrl.startsWith('data:image/svg+xml;base64,')).toBe(true)
+    expect(result.metadata).toMatchObject({
+      provider: 'local',
+      variationCount: 2,
+      costs: { imageCost: 0, tokenCost: 0, totalCost: 0 },
+      procedural: { motif: 'bird', subject: 'owl' }
+    })
+    expect(stages).toEqual(['model-attempt'])
+  })
+
+  it('rejects an empty prompt', async () => {
+    await expect(new LocalImageProvider().generateImage('   ')).rejects.toThrow('Invalid prompt')
+  })
+})
+
+describe('image provider registry', () => {
+  afterEach(() => {
+    delete process.env.IMAGE_PROVIDER
+  })
+
+  it('selects the provider named in IMAGE_PROVIDER', () => {
+    process.env.IMAGE_PROVIDER = 'local'
+    expect(getImageProvider().name).toBe('local')
+  })
+
+  it('falls back to OpenAI for an unknown provider name', () => {
+    expect(getImageProvider('does-not-exist').name).toBe('openai')
+  })
+
+  it('validates providers before registering them', () => {
+    expect(() => registerImageProvider('broken', { generateImage: () => {} }))
+      .toThrow('missing editImage, healthCheck, estimateCost')
+
+    const custom = new LocalImageProvider()
+    registerImageProvider('custom', custom)
+    expect(listImageProviders()).toContain('custom')
+    expect(getImageProvider('custom')).toBe(custom)
+  })
+})
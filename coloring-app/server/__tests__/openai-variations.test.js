@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, afterEach, afterAll } from 'vitest'
+
+// Stands in for images.generate; each test queues its answers
+const generate = vi.fn()
+
+vi.mock('openai', () => ({
+  default: class OpenAI {
+    constructor() {
+      this.images = { generate }
+    }
+  }
+}))
+
+// Test files share modules - load the service again so it sees this file's openai mock
+vi.resetModules()
+const { OpenAIImageService } = await import('../services/openaiService.js')
+
+const image = (id) => ({ data: [{ url: `https://images.example/${id}.png`, revised_prompt: `prompt ${id}` }] })
+const rateLimited = () => Object.assign(new Error('Rate limit exceeded'), { status: 429 })
+
+const createService = () => {
+  const service = new OpenAIImageService()
+  service.delay = vi.fn(async () => {})
+  return service
+}
+
+describe('OpenAIImageService variations', () => {
+  const savedKey = process.env.OPENAI_API_KEY
+
+  afterEach(() => {
+    generate.mockReset()
+    if (savedKey === undefined) delete process.env.OPENAI_API_KEY
+    else process.env.OPENAI_API_KEY = savedKey
+  })
+
+  // Later test files must not get modules bound to this file's openai mock
+  afterAll(() => {
+    vi.resetModules()
+  })
+
+  it('asks gpt-image-1 for every variation in one request', async () => {
+    process.env.OPENAI_API_KEY = 'sk-test-key'
+    generate.mockResolvedValueOnce({ data: [image(1).data[0], image(2).data[0], image(3).data[0]] })
+
+    const result = await createService().generateImage('a fox in a forest', { n: 3 })
+
+    expect(generate).toHaveBeenCalledTimes(1)
+    expect(generate.mock.calls[0][0]).toMatchObject({ model: 'gpt-image-1', n: 3 })
+    expect(result.images.map(item => item.imageUrl)).toHaveLength(3)
+    expect(result.metadata).toMatchObject({ model: 'gpt-image-1', variationCount: 3 })
+    expect(result.metadata.partial).toBeUndefined()
+  })
+
+  it('splits dall-e-3 variations into single-image calls and retries each on its own', async () => {
+    process.env.OPENAI_API_KEY = 'sk-test-key'
+    generate
+      .mockResolvedValueOnce(image(1))
+      .mockRejectedValueOnce(rateLimited())
+      .mockResolvedValueOnce(image(2))
+      .mockResolvedValueOnce(image(3))
+
+    const result = await createService().generateImage('a fox in a forest', { n: 3, forceFallback: true })
+
+    // Four calls, not five: the rate-limited second image is retried alone
+    expect(generate).toHaveBeenCalledTimes(4)
+    generate.mock.calls.forEach(([params]) => expect(params).toMatchObject({ model: 'dall-e-3', n: 1 }))
+    expect(result.images.map(item => item.imageUrl)).toEqual([1, 2, 3].map(id => `https://images.example/${id}.png`))
+    expect(result.metadata).toMatchObject({ variationCount: 3, attemptCount: 2 })
+  })
+
+  it('keeps and charges the images generated before a variation fails for good', async () => {
+    process.env.OPENAI_API_KEY = 'sk-test-key'
+    generate
+      .mockResolvedValueOnce(image(1))
+      .mockRejectedValue(rateLimited())
+
+    const service = createService()
+    const result = await service.generateImage('a fox in a forest', { n: 3, forceFallback: true })
+
+    expect(generate).toHaveBeenCalledTimes(1 + service.config.maxRetries)
+    expect(result.images).toHaveLength(1)
+    expect(result.metadata.partial).toEqual({ requested: 3, generated: 1, error: 'Rate limit exceeded' })
+    const single = service.costCalculator.calculateBatchCost('dall-e-3', '1024x1024', result.metadata.quality, 1)
+    expect(result.metadata.costs.totalCost).toBe(single.totalCost)
+  })
+
+  it('fails when no variation could be generated', async () => {
+    process.env.OPENAI_API_KEY = 'sk-test-key'
+    generate.mockRejectedValue(rateLimited())
+
+    await expect(createService().generateImage('a fox in a forest', { n: 2, forceFallback: true }))
+      .rejects.toThrow('Rate limit exceeded')
+  })
+})
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { jsPDF } from 'jspdf'
+import { PDFService } from '../services/pdfService.js'
+
+// 1x1 grayscale PNG
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAAAAAA6fptVAAAACklEQVR4nGP4DwABAQEAG7buVgAAAABJRU5ErkJggg=='
+
+const countPages = (buffer) => (buffer.toString('latin1').match(/\/Type \/Page\b/g) || []).length
+
+describe('PDFService book export', () => {
+  const service = new PDFService()
+  const metrics = { pageHeight: 792, margin: 36 }
+  const pages = [{ imageUrl: PIXEL, title: 'Whale' }, { imageUrl: PIXEL }, { imageUrl: PIXEL }]
+
+  it('numbers coloring pages after the cover and contents', () => {
+    const { entries, tocPageCount } = service.planBookLayout(new jsPDF(), pages, {
+      ...metrics, blankBacks: false, tableOfContents: true
+    })
+
+    expect(tocPageCount).toBe(1)
+    expect(entries).toEqual([
+      { title: 'Whale', pageNumber: 3 },
+      { title: 'Page 2', pageNumber: 4 },
+      { title: 'Page 3', pageNumber: 5 }
+    ])
+  })
+
+  it('skips a blank back for every printed page', () => {
+    const { entries } = service.planBookLayout(new jsPDF(), pages, {
+      ...metrics, blankBacks: true, tableOfContents: false
+    })
+
+    expect(entries.map(entry => entry.pageNumber)).toEqual([3, 5, 7])
+  })
+
+  it('builds one PDF with cover, contents and every page', async () => {
+    const single = await service.generateBookPDF({ title: 'Ocean Friends', pages })
+    expect(countPages(single)).toBe(5)
+
+    const withBacks = await service.generateBookPDF(
+      { title: 'Ocean Friends', author: 'Sam', pages },
+      { blankBacks: true }
+    )
+    expect(countPages(withBacks)).toBe(10)
+  })
+
+  it('localizes the cover, contents and default page titles', async () => {
+    const { entries } = service.planBookLayout(new jsPDF(), pages, {
+      ...metrics, blankBacks: false, tableOfContents: true, labels: service.getLabels('de-AT')
+    })
+    expect(entries.map(entry => entry.title)).toEqual(['Whale', 'Seite 2', 'Seite 3'])
+
+    const buffer = await service.generateBookPDF(
+      { title: 'Amigos del Mar', author: 'Sam', pages },
+      { locale: 'es', compress: false }
+    )
+    const text = buffer.toString('latin1')
+    expect(text).toContain('(Contenido)')
+    expect(text).toContain('(por Sam)')
+    expect(text).not.toContain('(Contents)')
+  })
+
+  it('rejects an empty book', async () => {
+    await expect(service.generateBookPDF({ title: 'Empty', pages: [] })).rejects.toThrow('at least one page')
+  })
+})
+
+describe('PDFService remote pages', () => {
+  const service = new PDFService()
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('never downloads pages from hosts outside the allowlist', async () => {
+    const fetch = vi.fn()
+    vi.stubGlobal('fetch', fetch)
+
+    const book = { title: 'Probe', pages: [{ imageUrl: PIXEL }, { imageUrl: 'http://169.254.169.254/latest/meta-data' }] }
+    await expect(service.generateBookPDF(book)).rejects.toThrow('Image host not allowed: 169.254.169.254')
+    await expect(service.fetchImageData('https://example.com/page.png', 'req-1')).rejects.toThrow('Image host not allowed')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  it('embeds pages downloaded from the storage host', async () => {
+    const png = Buffer.from(PIXEL.split(',')[1], 'base64')
+    const fetch = vi.fn(async () => new Response(png, { headers: { 'content-type': 'image/png' } }))
+    vi.stubGlobal('fetch', fetch)
+
+    const imageData = await service.fetchImageData('https://firebasestorage.googleapis.com/v0/b/app/o/page.png', 'req-2')
+
+    expect(imageData).toBe(PIXEL)
+    expect(fetch.mock.calls[0][1]).toMatchObject({ redirect: 'error', signal: expect.any(AbortSignal) })
+  })
+})
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest'
+import { PDFService } from '../services/pdfService.js'
+
+// 1x1 grayscale PNG
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAAAAAA6fptVAAAACklEQVR4nGP4DwABAQEAG7buVgAAAABJRU5ErkJggg=='
+
+describe('PDFService localized footer', () => {
+  const service = new PDFService()
+  const date = new Date('2026-03-05T12:00:00Z')
+
+  it('formats the footer label and date for the locale', () => {
+    expect(service.getFooterText('de', date)).toMatchObject({
+      locale: 'de',
+      generated: 'Erstellt am 5. März 2026',
+      appName: 'Malbuch-Generator'
+    })
+    expect(service.getFooterText('fr-CA', date).generated).toBe('Créé le 5 mars 2026')
+    expect(service.getFooterText('es', date).generated).toBe('Creado el 5 de marzo de 2026')
+  })
+
+  it('falls back to English for scripts the PDF fonts cannot draw', () => {
+    expect(service.getFooterText('ar', date)).toMatchObject({
+      locale: 'en',
+      generated: 'Generated: March 5, 2026',
+      appName: 'Coloring Book Creator'
+    })
+    expect(service.getFooterText(undefined, date).locale).toBe('en')
+  })
+
+  it('writes the localized footer into the PDF', async () => {
+    const { buffer } = await service.generatePDFWithReport(PIXEL, { title: 'Whale' }, { locale: 'es', compress: false })
+
+    expect(buffer.toString('latin1')).toContain('Creador de Libros para Colorear')
+  })
+})
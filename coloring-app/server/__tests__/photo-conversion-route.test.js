@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, afterEach, afterAll } from 'vitest'
+import sharp from 'sharp'
+
+// In-memory Firestore behind a mocked Admin SDK: documents by path, add(),
+// transactions and empty query results for everything the route doesn't seed
+const firebase = vi.hoisted(() => {
+  const docs = new Map()
+  let nextId = 0
+
+  const snapshot = (ref) => ({ id: ref.id, ref, exists: docs.has(ref.path), data: () => ({ ...docs.get(ref.path) }) })
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    collection: (name) => collectionRef(`${path}/${name}`),
+    get: async () => snapshot(docRef(path)),
+    set: async (data) => docs.set(path, { ...data }),
+    update: async (data) => docs.set(path, { ...docs.get(path), ...data })
+  })
+
+  const query = (path) => ({
+    where: () => query(path),
+    orderBy: () => query(path),
+    limit: () => query(path),
+    select: () => query(path),
+    get: async () => ({ empty: true, docs: [] })
+  })
+
+  const collectionRef = (path) => ({
+    ...query(path),
+    doc: (id = `doc-${++nextId}`) => docRef(`${path}/${id}`),
+    add: async (data) => {
+      const ref = docRef(`${path}/doc-${++nextId}`)
+      docs.set(ref.path, { ...data })
+      return ref
+    }
+  })
+
+  const db = {
+    collection: collectionRef,
+    runTransaction: async (callback) => {
+      const writes = []
+      const result = await callback({
+        get: async (ref) => snapshot(ref),
+        set: (ref, data) => writes.push(() => docs.set(ref.path, { ...data })),
+        update: (ref, data) => writes.push(() => docs.set(ref.path, { ...docs.get(ref.path), ...data }))
+      })
+      writes.forEach(write => write())
+      return result
+    }
+  }
+
+  const entries = (prefix) => [...docs.entries()]
+    .filter(([path]) => path.startsWith(prefix))
+    .map(([, data]) => data)
+
+  return { docs, db, entries }
+})
+
+vi.mock('firebase-admin', () => {
+  const app = { options: { projectId: 'test' }, firestore: () => firebase.db }
+  const firestore = Object.assign(() => firebase.db, {
+    FieldValue: { serverTimestamp: () => new Date().toISOString(), increment: (value) => value }
+  })
+  return {
+    default: {
+      apps: [app],
+      app: () => app,
+      initializeApp: () => app,
+      credential: { cert: () => ({}) },
+      firestore,
+      storage: () => ({}),
+      auth: () => ({
+        verifyIdToken: async (token) => {
+          if (token !== 'valid-token') throw new Error('Invalid token')
+          return { uid: 'user-a', email: 'a@example.com' }
+        }
+      })
+    }
+  }
+})
+
+// The openai SDK refuses to load in the jsdom test environment; the route uses the local provider
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+// Test files share modules - load the app again so it sees this file's mocks
+vi.resetModules()
+const { default: request } = await import('supertest')
+vi.stubEnv('NODE_ENV', 'development')
+const { default: app } = await import('../app.js')
+vi.unstubAllEnvs()
+
+// Noise stands in for a photo - a flat image is too small to pass upload validation
+const photo = async () => `data:image/png;base64,${(await sharp(
+  Buffer.from(Array.from({ length: 64 * 64 * 3 }, () => Math.floor(Math.random() * 256))),
+  { raw: { width: 64, height: 64, channels: 3 } }
+).png().toBuffer()).toString('base64')}`
+
+describe('POST /api/convert-photo', () => {
+  afterEach(() => {
+    delete process.env.IMAGE_PROVIDER
+    firebase.docs.clear()
+  })
+
+  // Later test files must not get modules bound to the mocked Admin SDK
+  afterAll(() => {
+    vi.resetModules()
+  })
+
+  it('reserves and settles credits for a signed-in AI conversion', async () => {
+    process.env.IMAGE_PROVIDER = 'local'
+
+    const response = await request(app)
+      .post('/api/convert-photo')
+      .set('Authorization', 'Bearer valid-token')
+      .send({ image: await photo(), mode: 'ai' })
+
+    expect(response.status).toBe(200)
+    expect(response.body.credits).toMatchObject({ charged: 0 })
+
+    const [entry] = firebase.entries('user_credits/user-a/transactions/')
+      .filter(item => item.type === 'generation')
+    expect(entry).toMatchObject({ status: 'settled', requestId: expect.any(String) })
+    expect(entry.reservedCredits).toBeGreaterThan(0)
+  })
+
+  it('saves a signed-in user\'s converted photo to their gallery', async () => {
+    const response = await request(app)
+      .post('/api/convert-photo')
+      .set('Authorization', 'Bearer valid-token')
+      .send({ image: await photo(), style: 'drawing' })
+
+    expect(response.status).toBe(200)
+    expect(response.body).toMatchObject({ savedToGallery: true, galleryImageId: expect.any(String) })
+
+    const saved = firebase.docs.get(`user_images/${response.body.galleryImageId}`)
+    expect(saved).toMatchObject({
+      userId: 'user-a',
+      imageUrl: response.body.imageUrl,
+      metadata: { source: 'photo-upload', conversion: { mode: 'local', style: 'drawing' } }
+    })
+  })
+
+  it('does not charge anonymous conversions', async () => {
+    process.env.IMAGE_PROVIDER = 'local'
+
+    const response = await request(app)
+      .post('/api/convert-photo')
+      .send({ image: await photo(), mode: 'ai' })
+
+    expect(response.status).toBe(200)
+    expect(response.body.credits).toBeNull()
+    expect(firebase.entries('user_credits/')).toHaveLength(0)
+  })
+})
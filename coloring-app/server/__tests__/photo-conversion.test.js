@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import { convertToLineArt } from '../services/imageOptimization.js'
+
+// Solid shapes on a coloured background, like a simple photo
+const SCENE = Buffer.from(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300">' +
+  '<rect width="400" height="300" fill="#88aabb"/>' +
+  '<circle cx="150" cy="150" r="90" fill="#cc3333"/>' +
+  '</svg>'
+)
+
+const toDataUrl = async () => `data:image/jpeg;base64,${(await sharp(SCENE).jpeg().toBuffer()).toString('base64')}`
+
+// Share of black pixels in a single-channel image
+const inkCoverage = async (buffer) => {
+  const { data } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true })
+  return data.filter(value => value < 128).length / data.length
+}
+
+describe('convertToLineArt', () => {
+  it('traces a photo into black outlines on white', async () => {
+    const result = await convertToLineArt(await toDataUrl(), { style: 'photo', lineThickness: 'thin' })
+
+    expect(result.success).toBe(true)
+    expect(result.dataUrl).toMatch(/^data:image\/png;base64,/)
+    expect([result.width, result.height]).toEqual([400, 300])
+    expect(result.steps).toEqual(['normalize', 'edge-detect', 'threshold', 'invert', 'despeckle'])
+
+    const coverage = await inkCoverage(result.buffer)
+    expect(coverage).toBeGreaterThan(0)
+    expect(coverage).toBeLessThan(0.1)
+  })
+
+  it('thickens lines for the thick line setting', async () => {
+    const image = await toDataUrl()
+    const thin = await convertToLineArt(image, { lineThickness: 'thin' })
+    const thick = await convertToLineArt(image, { lineThickness: 'thick' })
+
+    expect(thick.steps).toContain('thicken-lines')
+    expect(await inkCoverage(thick.buffer)).toBeGreaterThan(await inkCoverage(thin.buffer))
+  })
+
+  it('rejects input that is not an image', async () => {
+    const result = await convertToLineArt('data:image/png;base64,AAAA')
+
+    expect(result.success).toBe(false)
+    expect(result.error).toBe('Image too small')
+  })
+})
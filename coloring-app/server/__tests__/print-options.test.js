@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest'
+import { PDFService } from '../services/pdfService.js'
+
+// 1x1 grayscale PNG
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAAAAAA6fptVAAAACklEQVR4nGP4DwABAQEAG7buVgAAAABJRU5ErkJggg=='
+
+const box = (buffer, name) => {
+  const match = buffer.toString('latin1').match(new RegExp(`/${name} \\[([^\\]]*)\\]`))
+  return match ? match[1].split(/\s+/).map(Number) : null
+}
+
+describe('PDFService print options', () => {
+  const service = new PDFService()
+
+  it('sizes landscape pages with bleed and room for trim marks', () => {
+    const layout = service.resolvePrintLayout({ pageSize: 'a5', orientation: 'landscape', margin: 0.25, bleed: true, trimMarks: true })
+
+    expect(layout.pageWidth).toBeCloseTo(595.28)
+    expect(layout.pageHeight).toBeCloseTo(419.53)
+    expect(layout.margin).toBe(18)
+    expect(layout.offset).toBe(27) // 9pt bleed + 18pt slug
+    expect(layout.mediaWidth).toBeCloseTo(649.28)
+  })
+
+  it('falls back to the defaults for missing options', () => {
+    const layout = service.resolvePrintLayout({ pageSize: undefined, margin: undefined })
+
+    expect(layout).toMatchObject({ pageSize: 'letter', orientation: 'portrait', pageWidth: 612, pageHeight: 792, margin: 36, offset: 0 })
+  })
+
+  it('keeps page numbers inside the trim box for narrow margins', () => {
+    const layout = service.resolvePrintLayout({ pageSize: 'letter', margin: 0.125, bleed: true })
+    const pdf = { setFont: vi.fn(), setFontSize: vi.fn(), getTextWidth: () => 6, text: vi.fn() }
+
+    service.addPageNumber(pdf, 7, layout)
+
+    const [text, x, y] = pdf.text.mock.calls[0]
+    expect(text).toBe('7')
+    expect(x).toBeCloseTo(layout.offset + (layout.pageWidth - 6) / 2)
+    expect(y).toBeGreaterThan(layout.offset + layout.pageHeight - layout.margin)
+    expect(y).toBeLessThan(layout.offset + layout.pageHeight)
+  })
+
+  it('records trim and bleed boxes for square KDP pages', async () => {
+    const { buffer } = await service.generatePDFWithReport(PIXEL, {}, { pageSize: 'kdp-8.5x8.5', bleed: true })
+
+    expect(box(buffer, 'MediaBox')).toEqual([0, 0, 630, 630])
+    expect(box(buffer, 'TrimBox')).toEqual([9, 9, 621, 621])
+    expect(box(buffer, 'BleedBox')).toEqual([0, 0, 630, 630])
+  })
+
+  it('warns when a bitmap prints below 300 DPI but not for vector pages', async () => {
+    const { report } = await service.generatePDFWithReport(PIXEL, {}, { pageSize: 'a4' })
+    expect(report.effectiveDpi).toBeLessThan(300)
+    expect(report.warnings[0]).toContain('A4')
+
+    const vector = await service.generatePDFWithReport(
+      `data:image/svg+xml;base64,${Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10" width="10" height="10"><path fill="#000" d="M1 1 L9 1 L9 9 Z"/></svg>').toString('base64')}`
+    )
+    expect(vector.report.effectiveDpi).toBeNull()
+    expect(vector.report.warnings).toEqual([])
+  })
+})
@@ -0,0 +1,126 @@
+import { describe, it, expect, vi, afterEach, afterAll } from 'vitest'
+
+// The openai SDK refuses to load in the jsdom test environment; these tests use the template and local providers
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+const { default: promptRefinementService, InputSanitizer } = await import('../services/promptRefinement.js')
+const { runGeneration } = await import('../services/generationPipeline.js')
+
+describe('InputSanitizer.validateCustomizations constraints', () => {
+  it('cleans, lower-cases and de-duplicates constraint lists', () => {
+    expect(InputSanitizer.validateCustomizations({
+      mustInclude: ['A Crown!', 'a crown', 'a castle'],
+      mustAvoid: ['no text', 'Text', 'background']
+    })).toEqual({
+      mustInclude: ['a crown', 'a castle'],
+      mustAvoid: ['text', 'background']
+    })
+  })
+
+  it('rejects malformed, oversized, conflicting and inappropriate lists', () => {
+    expect(() => InputSanitizer.validateCustomizations({ mustInclude: 'a crown' })).toThrow('must be an array')
+    expect(() => InputSanitizer.validateCustomizations({ mustAvoid: ['a', 'b', 'c', 'd', 'e', 'f'] })).toThrow('At most 5')
+    expect(() => InputSanitizer.validateCustomizations({ mustInclude: ['a'.repeat(61)] })).toThrow('at most 60 characters')
+    expect(() => InputSanitizer.validateCustomizations({ mustInclude: ['text'], mustAvoid: ['no text'] }))
+      .toThrow('Cannot both include and avoid: text')
+    expect(() => InputSanitizer.validateCustomizations({ mustInclude: ['a sword'] })).toThrow('inappropriate terms')
+  })
+})
+
+describe('constraint injection', () => {
+  const constraints = { mustInclude: ['a crown'], mustAvoid: ['text', 'clouds'] }
+
+  it('adds constraint phrases to template prompts', async () => {
+    const result = await promptRefinementService.refinePrompt('a princess', constraints, { useGPT: false })
+
+    expect(result.success).toBe(true)
+    expect(result.refinedPrompt).toContain('must include a crown')
+    expect(result.refinedPrompt).toContain('no text, letters, words or numbers')
+    expect(result.refinedPrompt).toContain('no clouds')
+    expect(result.appliedSettings).toMatchObject(constraints)
+  })
+
+  it('asks chat providers for the constraints and re-appends any they drop', () => {
+    const config = promptRefinementService.resolveConfig(InputSanitizer.validateCustomizations(constraints), null)
+    const [, message] = promptRefinementService.buildRefinementMessages('a princess', config)
+
+    expect(message.content).toContain('The image must clearly include: a crown')
+    expect(message.content).toContain('The image must not contain: text, clouds')
+
+    const withConstraints = promptRefinementService.applyConstraints('line art of a princess, no clouds', config)
+    expect(withConstraints).toBe('line art of a princess, no clouds, must include a crown, no text, letters, words or numbers')
+  })
+
+  it('keeps constraints in an edited approved prompt', () => {
+    const result = promptRefinementService.approveRefinedPrompt('a princess', 'line art of a princess in a garden', constraints)
+
+    expect(result.refinedPrompt).toContain('must include a crown')
+    expect(result.refinedPrompt).toContain('no clouds')
+  })
+})
+
+describe('runGeneration with constraints', () => {
+  afterEach(() => {
+    delete process.env.IMAGE_PROVIDER
+  })
+
+  it('records the constraints in the page metadata', async () => {
+    process.env.IMAGE_PROVIDER = 'local'
+    const response = await runGeneration({
+      prompt: 'a princess',
+      customizations: { mustInclude: ['a crown'], mustAvoid: ['background'] },
+      approvedPrompt: 'line art of a princess',
+      requestId: 'test_constraints'
+    })
+
+    expect(response.success).toBe(true)
+    expect(response.refinedPrompt).toContain('plain white background with no background scenery')
+    expect(response.metadata.constraints).toEqual({ mustInclude: ['a crown'], mustAvoid: ['background'] })
+  })
+})
+
+describe('inappropriate constraints', () => {
+  const customizations = { mustInclude: ['a sword'], mustAvoid: ['text'] }
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.unstubAllEnvs()
+    delete process.env.IMAGE_PROVIDER
+  })
+
+  // Later test files mock openai differently and must not get the app's modules
+  afterAll(() => {
+    vi.resetModules()
+  })
+
+  it('reject the refinement instead of falling back to a prompt without them', async () => {
+    await expect(promptRefinementService.refinePrompt('a knight', customizations, { useGPT: false }))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('inappropriate terms') })
+  })
+
+  it('are refused by /api/generate with a 400 before any image is generated', async () => {
+    process.env.IMAGE_PROVIDER = 'local'
+    // Development mode lets the app load without Firebase credentials
+    vi.stubEnv('NODE_ENV', 'development')
+    const { default: request } = await import('supertest')
+    const { default: app } = await import('../app.js')
+    const { getImageProvider } = await import('../services/imageProviders.js')
+    const generateImage = vi.spyOn(getImageProvider('local'), 'generateImage')
+
+    const response = await request(app).post('/api/generate').send({ prompt: 'a knight', customizations })
+    expect(response.status).toBe(400)
+    expect(response.body.details[0].msg).toBe('Content must be family-friendly')
+
+    // A series sheet goes into the prompt too
+    const withSeries = await request(app).post('/api/generate').send({
+      prompt: 'a knight',
+      series: { name: 'Knights', characterDescription: 'a knight with a sword' }
+    })
+    expect(withSeries.status).toBe(400)
+
+    // Past the route, the pipeline refunds and rethrows instead of generating
+    await expect(runGeneration({ prompt: 'a knight', customizations, requestId: 'test_inappropriate' }))
+      .rejects.toMatchObject({ status: 400 })
+    expect(generateImage).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,82 @@
+import { describe, it, expect, vi } from 'vitest'
+
+// The openai SDK refuses to load in the jsdom test environment; suggestions only read the subject patterns
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+const { PromptSuggestionService } = await import('../services/promptSuggestions.js')
+const { ThemeRegistry } = await import('../services/themeRegistry.js')
+
+/**
+ * Repeatable stand-in for Math.random
+ */
+const seededRandom = (seed = 1) => () => {
+  seed = (seed * 16807) % 2147483647
+  return (seed - 1) / 2147483646
+}
+
+const createService = (seed) => new PromptSuggestionService({
+  registry: new ThemeRegistry({ getDb: () => null }),
+  random: seededRandom(seed)
+})
+
+describe('PromptSuggestionService.suggest', () => {
+  it('completes the word being typed, theme categories first', () => {
+    const service = createService()
+
+    expect(service.suggest('a drag').completions.map(completion => completion.text)).toEqual(['a dragon', 'a dragonfly'])
+    expect(service.suggest('a drag', { theme: 'nature' }).completions[0]).toEqual({
+      text: 'a dragonfly',
+      subject: 'dragonfly',
+      category: 'insects'
+    })
+    expect(service.suggest('a d').completions).toEqual([])
+    expect(service.suggest('a dragon ').completions).toEqual([])
+  })
+
+  it('builds ideas on the subject already described', () => {
+    const { ideas } = createService().suggest('a dragon', { limit: 3 })
+
+    expect(ideas).toHaveLength(3)
+    ideas.forEach(idea => expect(idea).toMatch(/^an? (\w+ )?dragon /))
+  })
+
+  it('offers the theme sample prompts while the description is empty', () => {
+    const { ideas } = createService().suggest('', { theme: 'space', limit: 5 })
+
+    expect(ideas.slice(0, 3)).toEqual([
+      'an astronaut planting a flag on the moon',
+      'a rocket launching past planets',
+      'a friendly alien in a flying saucer'
+    ])
+    expect(ideas).toHaveLength(5)
+  })
+
+  it('never suggests styles or occasions as subjects', () => {
+    const terms = createService().subjects.map(subject => subject.term)
+
+    expect(terms).toEqual(expect.arrayContaining(['dragon', 'fire truck', 'lighthouse']))
+    expect(terms).not.toEqual(expect.arrayContaining(['magical']))
+    expect(terms).not.toContain('abstract')
+    expect(terms).not.toContain('christmas')
+  })
+})
+
+describe('PromptSuggestionService.surprise', () => {
+  it('stays within the requested theme', () => {
+    const service = createService(7)
+
+    for (let i = 0; i < 5; i++) {
+      const surprise = service.surprise({ theme: 'sports' })
+      expect(surprise).toMatchObject({ theme: 'sports', category: 'sports' })
+      expect(surprise.prompt).toMatch(/^a kid /)
+    }
+  })
+
+  it('picks a theme when none is given and is repeatable with the same random source', () => {
+    const first = createService(42).surprise()
+
+    expect(first.theme).toBeTruthy()
+    expect(first.prompt).toContain(first.subject)
+    expect(createService(42).surprise()).toEqual(first)
+  })
+})
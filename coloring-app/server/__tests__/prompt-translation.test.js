@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+
+// The openai SDK refuses to load in the jsdom test environment; these tests use the template and local providers
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+const { default: promptRefinementService, InputSanitizer } = await import('../services/promptRefinement.js')
+const { default: promptTranslationService } = await import('../services/promptTranslation.js')
+const { runGeneration } = await import('../services/generationPipeline.js')
+
+describe('PromptTranslationService', () => {
+  it('detects Spanish, French and German descriptions and leaves English alone', () => {
+    expect(promptTranslationService.detectLanguage('un dragón en un castillo')).toBe('es')
+    expect(promptTranslationService.detectLanguage('une licorne dans la forêt')).toBe('fr')
+    expect(promptTranslationService.detectLanguage('ein Drache in einem Schloss')).toBe('de')
+    expect(promptTranslationService.detectLanguage('a dragon in a castle')).toBe('en')
+    expect(promptTranslationService.detectLanguage('dragon castle')).toBe('en')
+  })
+
+  it('translates common subjects with the dictionary', () => {
+    expect(promptTranslationService.translateLocally('un gato feliz jugando en el jardín', 'es').text)
+      .toBe('a happy cat playing in the garden')
+    expect(promptTranslationService.translateLocally('un camión de bomberos', 'es').text).toBe('a fire truck')
+    expect(promptTranslationService.translateLocally('les étoiles', 'fr').text).toBe('the stars')
+    expect(promptTranslationService.translateLocally('ein kleiner Drache', 'de')).toEqual({
+      text: 'a little dragon',
+      known: 3,
+      total: 3
+    })
+  })
+
+  it('uses a chat provider when it can translate and falls back to the dictionary', async () => {
+    const provider = {
+      name: 'openai',
+      isAvailable: () => true,
+      translate: vi.fn(async () => 'a dragon in a castle')
+    }
+
+    expect(await promptTranslationService.translate('un dragón en un castillo', { provider })).toMatchObject({
+      language: 'es',
+      original: 'un dragón en un castillo',
+      text: 'a dragon in a castle',
+      method: 'provider'
+    })
+    expect(provider.translate).toHaveBeenCalledWith({ text: 'un dragón en un castillo', language: 'Spanish' })
+
+    provider.translate.mockRejectedValueOnce(new Error('rate limited'))
+    expect(await promptTranslationService.translate('un dragón en un castillo', { provider })).toMatchObject({
+      text: 'a dragon in a castle',
+      method: 'dictionary'
+    })
+  })
+})
+
+describe('refinement of translated descriptions', () => {
+  it('keeps accented letters when sanitizing', () => {
+    expect(InputSanitizer.sanitizeText('¡Un dragón en el château!')).toBe('Un dragón en el château')
+  })
+
+  it('categorizes and refines the English text but keeps the original', async () => {
+    const result = await promptRefinementService.refinePrompt('un dragón en un castillo', {}, { useGPT: false })
+
+    expect(result).toMatchObject({
+      success: true,
+      originalInput: 'un dragón en un castillo',
+      language: 'es',
+      translatedInput: 'a dragon in a castle',
+      translationMethod: 'dictionary',
+      detectedCategory: 'fantasy'
+    })
+    expect(result.refinedPrompt).toContain('dragon in a castle')
+
+    const english = await promptRefinementService.refinePrompt('a dragon in a castle', {}, { useGPT: false })
+    expect(english.translatedInput).toBeUndefined()
+  })
+
+  it('checks the translation against the family-friendly list', async () => {
+    const provider = { name: 'openai', isAvailable: () => true, translate: async () => 'a dragon with a sword' }
+    const reportProgress = vi.fn()
+
+    await expect(promptRefinementService.translateInput('un dragón con una espada', provider, 'req_1', reportProgress))
+      .rejects.toThrow('inappropriate terms')
+    expect(reportProgress).toHaveBeenCalledWith('translating', { language: 'es' })
+  })
+})
+
+describe('runGeneration with a translated description', () => {
+  afterEach(() => {
+    delete process.env.IMAGE_PROVIDER
+  })
+
+  it('stores the original and the English text in the page metadata', async () => {
+    process.env.IMAGE_PROVIDER = 'local'
+    const response = await runGeneration({
+      prompt: 'une licorne dans la forêt',
+      customizations: {},
+      requestId: 'test_translation'
+    })
+
+    expect(response.success).toBe(true)
+    expect(response.originalPrompt).toBe('une licorne dans la forêt')
+    expect(response.metadata.translation).toEqual({
+      language: 'fr',
+      translatedPrompt: 'a unicorn in the forest',
+      method: 'dictionary'
+    })
+  })
+})
@@ -0,0 +1,127 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+
+const created = []
+
+// Records the client options and answers every chat request with a fixed prompt
+vi.mock('openai', () => ({
+  default: class OpenAI {
+    constructor(options) {
+      this.options = options
+      this.chat = {
+        completions: {
+          create: vi.fn(async (body, requestOptions) => {
+            created.push({ options, body, requestOptions })
+            return { choices: [{ message: { content: '  a fox in a library, coloring book style  ' } }] }
+          })
+        }
+      }
+    }
+  }
+}))
+
+// Test files share modules - load the services again so they see this file's openai mock
+vi.resetModules()
+const { PromptRefinementService } = await import('../services/promptRefinement.js')
+const {
+  getRefinementProvider,
+  getRefinementTimeout,
+  registerRefinementProvider
+} = await import('../services/refinementProviders.js')
+
+const ENV_KEYS = [
+  'OPENAI_API_KEY',
+  'REFINEMENT_PROVIDER',
+  'REFINEMENT_COMPARE',
+  'REFINEMENT_COMPATIBLE_URL',
+  'REFINEMENT_SLOW_TIMEOUT_MS',
+  'REFINEMENT_OPENAI_COMPATIBLE_TIMEOUT_MS'
+]
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]))
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key]
+    else process.env[key] = savedEnv[key]
+  })
+  created.length = 0
+})
+
+describe('refinement provider selection', () => {
+  it('defaults to the template engine without a real OpenAI key', () => {
+    process.env.OPENAI_API_KEY = 'sk-mock-key-for-testing'
+    expect(getRefinementProvider().name).toBe('template')
+
+    process.env.REFINEMENT_PROVIDER = 'openai-compatible'
+    expect(getRefinementProvider().name).toBe('openai-compatible')
+
+    process.env.REFINEMENT_PROVIDER = 'nope'
+    expect(getRefinementProvider().name).toBe('template')
+  })
+
+  it('reads per-provider timeouts from the environment', () => {
+    process.env.REFINEMENT_OPENAI_COMPATIBLE_TIMEOUT_MS = '4500'
+    expect(getRefinementTimeout('openai-compatible')).toBe(4500)
+    expect(getRefinementTimeout('openai')).toBe(15000)
+  })
+})
+
+describe('PromptRefinementService with providers', () => {
+  const service = new PromptRefinementService()
+
+  it('sends the meta-prompt to an OpenAI-compatible server', async () => {
+    process.env.REFINEMENT_PROVIDER = 'openai-compatible'
+    process.env.REFINEMENT_COMPATIBLE_URL = 'http://localhost:11434/v1'
+
+    const result = await service.refinePrompt('a fox reading books')
+
+    expect(result.refinedPrompt).toBe('a fox in a library, coloring book style')
+    expect(result.metadata).toMatchObject({ method: 'meta-prompt-openai-compatible', provider: 'openai-compatible' })
+    expect(created[0].options.baseURL).toBe('http://localhost:11434/v1')
+    expect(created[0].body.messages[1].content).toContain('INPUT TO ENHANCE: "a fox reading books"')
+    expect(created[0].requestOptions).toEqual({ timeout: 30000, maxRetries: 0 })
+  })
+
+  it('falls back to templates when a provider is not configured', async () => {
+    process.env.REFINEMENT_PROVIDER = 'openai-compatible'
+
+    const result = await service.refinePrompt('a fox reading books')
+
+    expect(result.metadata).toMatchObject({ method: 'template-fallback', fallbackReason: 'not-configured' })
+    expect(result.refinedPrompt).toContain('professional black-and-white line art illustration')
+    expect(created).toHaveLength(0)
+  })
+
+  it('falls back to templates when a provider times out', async () => {
+    registerRefinementProvider('slow', {
+      name: 'slow',
+      method: 'slow-model',
+      isAvailable: () => true,
+      refine: () => new Promise(() => {})
+    })
+    process.env.REFINEMENT_PROVIDER = 'slow'
+    process.env.REFINEMENT_SLOW_TIMEOUT_MS = '20'
+
+    const result = await service.refinePrompt('a fox reading books')
+
+    expect(result.success).toBe(true)
+    expect(result.metadata.method).toBe('template-fallback')
+    expect(result.metadata.fallbackReason).toBe('slow refinement timed out after 20ms')
+  })
+
+  it('logs both outputs in comparison mode but returns the active one', async () => {
+    process.env.REFINEMENT_PROVIDER = 'openai-compatible'
+    process.env.REFINEMENT_COMPATIBLE_URL = 'http://localhost:11434/v1'
+    process.env.REFINEMENT_COMPARE = 'template'
+    const info = vi.spyOn(service.logger, 'info')
+
+    const result = await service.refinePrompt('a fox reading books')
+    expect(result.metadata.provider).toBe('openai-compatible')
+
+    await vi.waitFor(() => {
+      const call = info.mock.calls.find(([message]) => message === 'Refinement comparison')
+      expect(call[1].primary).toMatchObject({ provider: 'openai-compatible', prompt: 'a fox in a library, coloring book style' })
+      expect(call[1].compared).toMatchObject({ provider: 'template', method: 'template-based' })
+    })
+    info.mockRestore()
+  })
+})
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi } from 'vitest'
+
+// The openai SDK refuses to load in the jsdom test environment; the cache never calls it
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+const { ResultCache, normalizePrompt } = await import('../services/resultCache.js')
+
+/**
+ * Minimal in-memory Firestore: doc get/set/update and batched writes
+ */
+const createFakeDb = () => {
+  const docs = new Map()
+  const docRef = (id) => ({
+    id,
+    get: async () => ({ exists: docs.has(id), data: () => docs.get(id) }),
+    update: async (fields) => docs.set(id, { ...docs.get(id), ...fields })
+  })
+  return {
+    docs,
+    collection: () => ({ doc: docRef }),
+    batch: () => {
+      const writes = []
+      return {
+        set: (ref, data) => writes.push(() => docs.set(ref.id, data)),
+        commit: async () => writes.forEach(write => write())
+      }
+    }
+  }
+}
+
+const request = {
+  customizations: { complexity: 'medium', ageGroup: 'kids', theme: null },
+  variations: 1,
+  vectorize: false,
+  model: 'gpt-image-1'
+}
+
+const entryFor = (cache, overrides = {}) => ({
+  key: cache.resultKey({ ...request, refinedPrompt: 'A cat, coloring page' }),
+  inputKey: cache.inputKey({ ...request, prompt: 'a cat' }),
+  refinedPrompt: 'A cat, coloring page',
+  model: 'gpt-image-1',
+  images: [{ imageUrl: 'data:image/png;base64,AAAA', costs: { totalCost: 0.167 } }],
+  metadata: { costs: { imageCost: 0.167, tokenCost: 0, totalCost: 0.167 } },
+  ...overrides
+})
+
+describe('ResultCache', () => {
+  it('ignores case, punctuation, spacing and key order when building keys', () => {
+    const cache = new ResultCache({ getDb: () => null })
+
+    expect(normalizePrompt('  A  Cat, wearing a HAT!  ')).toBe('a cat wearing a hat')
+    expect(normalizePrompt('Café')).toBe('cafe')
+    expect(cache.resultKey({ ...request, refinedPrompt: 'A cat.' })).toBe(
+      cache.resultKey({ ...request, customizations: { ageGroup: 'kids', complexity: 'medium' }, refinedPrompt: 'a   CAT' })
+    )
+    expect(cache.resultKey({ ...request, refinedPrompt: 'A cat' })).not.toBe(
+      cache.resultKey({ ...request, model: 'dall-e-3', refinedPrompt: 'A cat' })
+    )
+    expect(cache.inputKey({ ...request, prompt: 'A cat' })).not.toBe(
+      cache.resultKey({ ...request, refinedPrompt: 'A cat' })
+    )
+  })
+
+  it('persists entries with an input alias and reads them back after a restart', async () => {
+    const db = createFakeDb()
+    const entry = entryFor(new ResultCache({ getDb: () => db }))
+
+    expect(await new ResultCache({ getDb: () => db }).set(entry)).toBe(true)
+    expect(db.docs.get(entry.inputKey)).toMatchObject({ aliasOf: entry.key })
+
+    const restarted = new ResultCache({ getDb: () => db })
+    const hit = await restarted.get(entry.inputKey)
+
+    expect(hit).toMatchObject({ key: entry.key, refinedPrompt: 'A cat, coloring page', model: 'gpt-image-1' })
+    expect(restarted.getStats()).toMatchObject({ hits: 1, misses: 0, savedCost: 0.167 })
+    await vi.waitFor(() => expect(db.docs.get(entry.key).lastHitAt).toBeTruthy())
+  })
+
+  it('skips remote image URLs, which expire', async () => {
+    const cache = new ResultCache({ getDb: () => null })
+    const entry = entryFor(cache, { images: [{ imageUrl: 'https://example.com/page.png' }] })
+
+    expect(await cache.set(entry)).toBe(false)
+    expect(await cache.get(entry.key)).toBeNull()
+  })
+
+  it('treats expired entries as misses', async () => {
+    const cache = new ResultCache({ getDb: () => null, ttlDays: 1 })
+    const entry = entryFor(cache)
+    await cache.set(entry)
+
+    vi.useFakeTimers({ now: Date.now() + 2 * 24 * 60 * 60 * 1000 })
+    try {
+      expect(await cache.get(entry.key)).toBeNull()
+      expect(cache.getStats().misses).toBe(1)
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+})
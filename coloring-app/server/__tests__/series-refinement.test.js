@@ -0,0 +1,48 @@
+import { describe, it, expect, vi } from 'vitest'
+import { InputSanitizer, PromptRefinementService } from '../services/promptRefinement.js'
+
+// The OpenAI client refuses to construct under jsdom; these tests only use template refinement
+vi.mock('openai', () => ({
+  default: class OpenAI {
+    constructor() {
+      this.chat = { completions: { create: vi.fn() } }
+    }
+  }
+}))
+
+const foxSeries = {
+  id: 'fox-tales',
+  name: 'Fox Tales',
+  characterName: 'Fenn',
+  characterDescription: 'a small red fox with a blue scarf and round glasses',
+  artStyle: 'whimsical storybook',
+  lineWeight: 'thick'
+}
+
+describe('Series character sheets', () => {
+  const service = new PromptRefinementService()
+
+  it('injects the same character into every page of a series', async () => {
+    const school = await service.refinePrompt('a fox going to school', {}, { useGPT: false, series: foxSeries })
+    const beach = await service.refinePrompt('the fox at the beach', { lineThickness: 'thin' }, { useGPT: false, series: foxSeries })
+
+    for (const result of [school, beach]) {
+      expect(result.success).toBe(true)
+      expect(result.refinedPrompt).toContain('Fenn: a small red fox with a blue scarf and round glasses, drawn in whimsical storybook style')
+      expect(result.appliedSettings.lineThickness).toBe('thick')
+      expect(result.series).toMatchObject({ id: 'fox-tales', name: 'Fox Tales' })
+    }
+  })
+
+  it('adds the sheet when the refined prompt left it out', () => {
+    const prompt = service.applySeriesSheet('line art of a fox on a bike', InputSanitizer.validateSeries(foxSeries))
+    expect(prompt).toMatch(/recurring series character Fenn: a small red fox/)
+    expect(service.applySeriesSheet(prompt, InputSanitizer.validateSeries(foxSeries))).toBe(prompt)
+  })
+
+  it('rejects sheets without a character description or with unsafe text', () => {
+    expect(InputSanitizer.validateSeries(null)).toBeNull()
+    expect(() => InputSanitizer.validateSeries({ name: 'Empty' })).toThrow('character description is required')
+    expect(() => InputSanitizer.validateSeries({ characterDescription: 'a fox with a sword' })).toThrow()
+  })
+})
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import sharp from 'sharp'
+import { exportSvg } from '../services/imageOptimization.js'
+import { PDFService } from '../services/pdfService.js'
+
+// Ring and arc on white - the ring's inner edge must survive as a hole
+const PAGE = Buffer.from(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200">' +
+  '<rect width="300" height="200" fill="#fff"/>' +
+  '<circle cx="75" cy="100" r="50" fill="none" stroke="#000" stroke-width="5"/>' +
+  '<path d="M170 160 Q220 40 270 160" fill="none" stroke="#000" stroke-width="4"/>' +
+  '</svg>'
+)
+
+const toDataUrl = async () => `data:image/png;base64,${(await sharp(PAGE).png().toBuffer()).toString('base64')}`
+
+const countImages = (pdfBuffer) => (pdfBuffer.toString('latin1').match(/\/Subtype \/Image/g) || []).length
+
+describe('SVG export', () => {
+  it('traces line art into a single compact path', async () => {
+    const result = await exportSvg(await toDataUrl())
+
+    expect(result.success).toBe(true)
+    expect(result.traced).toBe(true)
+    expect(result.svg.match(/<path /g)).toHaveLength(1)
+    expect(result.svg).toContain('viewBox="0 0 300 200"')
+
+    // Rendering the trace gives back the original drawing (white inside the ring)
+    const { data, info } = await sharp(Buffer.from(result.svg))
+      .flatten({ background: '#fff' })
+      .toColourspace('b-w')
+      .raw()
+      .toBuffer({ resolveWithObject: true })
+    expect(data[100 * info.width + 75]).toBe(255)
+    expect(data[100 * info.width + 25]).toBeLessThan(128)
+  })
+
+  it('returns SVG pages without tracing them again', async () => {
+    const svg = `data:image/svg+xml;base64,${PAGE.toString('base64')}`
+    const result = await exportSvg(svg)
+
+    expect(result).toMatchObject({ success: true, traced: false, svg: PAGE.toString('utf8') })
+  })
+})
+
+describe('SVG export of remote images', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('only downloads from the provider and storage hosts', async () => {
+    const fetch = vi.fn()
+    vi.stubGlobal('fetch', fetch)
+
+    for (const url of ['https://example.com/page.png', 'http://169.254.169.254/latest/meta-data', 'http://storage.googleapis.com/page.png']) {
+      const result = await exportSvg(url)
+      expect(result.success).toBe(false)
+      expect(result.error).toMatch(/^Image host not allowed/)
+    }
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  it('rejects downloads that are not images or are too large', async () => {
+    const respond = (headers) => vi.fn(async () => new Response('<html></html>', { headers }))
+    const url = 'https://firebasestorage.googleapis.com/v0/b/app/o/page.png'
+
+    vi.stubGlobal('fetch', respond({ 'content-type': 'text/html' }))
+    expect((await exportSvg(url)).error).toBe('Not an image: text/html')
+
+    vi.stubGlobal('fetch', respond({ 'content-type': 'image/png', 'content-length': String(100 * 1024 * 1024) }))
+    expect((await exportSvg(url)).error).toMatch(/^Image too large/)
+  })
+
+  it('downloads allowed images with a timeout', async () => {
+    const png = await sharp(PAGE).png().toBuffer()
+    const fetch = vi.fn(async () => new Response(png, { headers: { 'content-type': 'image/png' } }))
+    vi.stubGlobal('fetch', fetch)
+
+    const result = await exportSvg('https://oaidalleapiprodscus.blob.core.windows.net/private/page.png')
+
+    expect(result.success).toBe(true)
+    expect(fetch.mock.calls[0][1]).toMatchObject({ redirect: 'error', signal: expect.any(AbortSignal) })
+  })
+})
+
+describe('PDFService vector pages', () => {
+  const service = new PDFService()
+
+  it('only accepts traced path-only SVGs as vectors', () => {
+    expect(service.parseTracedSvg('<svg viewBox="0 0 10 10"><path fill="#000" d="M 1 1 L 5 5 Q 6 6 7 7 Z"/></svg>'))
+      .toEqual({ width: 10, height: 10, paths: ['M 1 1 L 5 5 Q 6 6 7 7 Z'] })
+    expect(service.parseTracedSvg(PAGE.toString('utf8'))).toBeNull()
+  })
+
+  it('draws traced pages as paths instead of embedding a bitmap', async () => {
+    const image = await toDataUrl()
+
+    expect(countImages(await service.generatePDF(image))).toBeGreaterThan(0)
+    expect(countImages(await service.generatePDF(image, {}, { vector: true }))).toBe(0)
+  })
+
+  it('rasterizes other SVG pages so they can be printed', async () => {
+    const pdf = await service.generatePDF(`data:image/svg+xml;base64,${PAGE.toString('base64')}`)
+
+    expect(countImages(pdf)).toBeGreaterThan(0)
+  })
+})
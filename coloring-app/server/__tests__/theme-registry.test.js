@@ -0,0 +1,144 @@
+import { describe, it, expect, vi } from 'vitest'
+
+// The openai SDK refuses to load in the jsdom test environment; refinement here uses the template provider
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+const { ThemeRegistry, normalizeTheme } = await import('../services/themeRegistry.js')
+const { default: promptRefinementService, InputSanitizer } = await import('../services/promptRefinement.js')
+
+/**
+ * Minimal in-memory Firestore: one collection with doc get/set/delete
+ */
+const createFakeDb = (initial = {}) => {
+  const docs = new Map(Object.entries(initial))
+  return {
+    docs,
+    collection: () => ({
+      get: async () => ({
+        docs: [...docs.entries()].map(([id, data]) => ({ id, data: () => data }))
+      }),
+      doc: (id) => ({
+        get: async () => ({ exists: docs.has(id), data: () => docs.get(id) }),
+        set: async (data) => docs.set(id, data),
+        delete: async () => docs.delete(id)
+      })
+    })
+  }
+}
+
+const rocketTheme = {
+  id: 'rockets',
+  label: 'Rockets',
+  icon: '🚀',
+  modifiers: ['retro rocket ships'],
+  defaultComplexity: 'simple',
+  samplePrompts: ['a rocket on a launch pad']
+}
+
+describe('normalizeTheme', () => {
+  it('fills optional fields and rejects malformed themes', () => {
+    expect(normalizeTheme({ id: 'space', label: 'Space' })).toEqual({
+      id: 'space',
+      label: 'Space',
+      description: '',
+      icon: '',
+      modifiers: [],
+      defaultComplexity: null,
+      categories: [],
+      samplePrompts: [],
+      thumbnail: null,
+      enabled: true
+    })
+
+    expect(() => normalizeTheme({ id: 'Space!', label: 'Space' })).toThrow('Theme id')
+    expect(() => normalizeTheme({ id: 'space' })).toThrow('Theme label is required')
+    expect(() => normalizeTheme({ ...rocketTheme, defaultComplexity: 'extreme' })).toThrow('default complexity')
+    expect(() => normalizeTheme({ ...rocketTheme, thumbnail: 'javascript:alert(1)' })).toThrow('thumbnail')
+    expect(() => normalizeTheme({ ...rocketTheme, modifiers: 'retro' })).toThrow(expect.objectContaining({ status: 400 }))
+  })
+})
+
+describe('ThemeRegistry', () => {
+  it('loads the shared catalog', () => {
+    const registry = new ThemeRegistry({ getDb: () => null })
+
+    expect(registry.list().map(theme => theme.id)).toEqual(expect.arrayContaining(['animals', 'holidays', 'vehicles', 'space']))
+    expect(registry.get('mandalas')).toMatchObject({ label: 'Mandalas', defaultComplexity: 'detailed' })
+    expect(registry.has('unknown')).toBe(false)
+  })
+
+  it('applies admin themes over the file catalog and reverts them on delete', async () => {
+    const db = createFakeDb()
+    const registry = new ThemeRegistry({ getDb: () => db })
+
+    await registry.save(rocketTheme, 'admin-1')
+    await registry.save({ id: 'food', label: 'Food', enabled: false }, 'admin-1')
+
+    expect(db.docs.get('rockets')).toMatchObject({ label: 'Rockets', updatedBy: 'admin-1' })
+    expect(registry.has('rockets')).toBe(true)
+    expect(registry.has('food')).toBe(false)
+    expect(registry.list({ includeDisabled: true }).map(theme => theme.id)).toContain('food')
+
+    expect(await registry.remove('food')).toMatchObject({ id: 'food', enabled: true })
+    expect(registry.has('food')).toBe(true)
+    expect(await registry.remove('rockets')).toBeNull()
+    await expect(registry.remove('rockets')).rejects.toMatchObject({ status: 404 })
+  })
+
+  it('picks up themes saved by another server and skips invalid ones', async () => {
+    const db = createFakeDb({ rockets: rocketTheme, broken: { label: 'Broken', defaultComplexity: 'extreme' } })
+    const registry = new ThemeRegistry({ getDb: () => db })
+
+    await registry.refresh()
+
+    expect(registry.has('rockets')).toBe(true)
+    expect(registry.has('broken')).toBe(false)
+  })
+
+  it('backs off after a failed Firestore read', async () => {
+    vi.useFakeTimers()
+    try {
+      const db = createFakeDb({ rockets: rocketTheme })
+      const get = vi.fn(() => db.collection().get()).mockRejectedValueOnce(new Error('unavailable'))
+      const registry = new ThemeRegistry({ getDb: () => ({ collection: () => ({ get }) }) })
+
+      await registry.refresh()
+      await registry.refresh()
+      expect(get).toHaveBeenCalledTimes(1)
+      expect(registry.has('rockets')).toBe(false)
+
+      vi.advanceTimersByTime(31 * 1000)
+      await registry.refresh()
+      expect(get).toHaveBeenCalledTimes(2)
+      expect(registry.has('rockets')).toBe(true)
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  it('needs Firestore to save', async () => {
+    await expect(new ThemeRegistry({ getDb: () => null }).save(rocketTheme)).rejects.toMatchObject({ status: 503 })
+  })
+})
+
+describe('themes in refinement', () => {
+  it('accepts any catalog theme and adds its modifiers and default complexity', async () => {
+    expect(InputSanitizer.validateCustomizations({ theme: 'space' })).toEqual({ theme: 'space' })
+    expect(() => InputSanitizer.validateCustomizations({ theme: 'pirates' })).toThrow('Invalid theme')
+
+    const result = await promptRefinementService.refinePrompt('a rocket', { theme: 'space' }, { useGPT: false })
+
+    expect(result.appliedSettings).toMatchObject({ theme: 'space', complexity: 'medium' })
+    expect(result.refinedPrompt).toContain('outer space adventure')
+
+    const mandala = await promptRefinementService.refinePrompt('a flower', { theme: 'mandalas' }, { useGPT: false })
+    expect(mandala.appliedSettings.complexity).toBe('detailed')
+  })
+
+  it('asks chat providers to follow the theme', () => {
+    const config = promptRefinementService.resolveConfig({ theme: 'holidays' }, null)
+    const [, message] = promptRefinementService.buildRefinementMessages('a tree', config)
+
+    expect(message.content).toContain('- Follow the Seasonal Holidays theme: festive seasonal celebration')
+  })
+})
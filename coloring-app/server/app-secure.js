@@ -23,6 +23,7 @@ import OpenAI from 'openai';
 import promptRefinementService from './services/promptRefinement.js';
 import openaiImageService from './services/openaiService.js';
 import pdfService from './services/pdfService.js';
+import themeRegistry from './services/themeRegistry.js';
 import { apiLogger, loggerUtils } from './utils/logger.js';
 import authRoutes from './routes/auth.js';
 import admin from 'firebase-admin';
@@ -366,9 +367,14 @@ const validateGenerateRequest = [
     .isIn(['with', 'without'])
     .withMessage('Border must be with or without'),
   body('customizations.theme')
-    .optional()
-    .isIn(['animals', 'mandalas', 'fantasy', 'nature'])
-    .withMessage('Theme must be animals, mandalas, fantasy, or nature')
+    .optional({ values: 'falsy' })
+    .custom(async (value) => {
+      await themeRegistry.refresh();
+      if (typeof value !== 'string' || !themeRegistry.has(value)) {
+        throw new Error('Unknown theme - see GET /api/themes');
+      }
+      return true;
+    })
 ];
 
 // Apply validation and continue with existing endpoints...
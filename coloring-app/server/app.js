@@ -14,11 +14,24 @@
 
 import express from 'express';
 import cors from 'cors';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import OpenAI from 'openai';
-import promptRefinementService from './services/promptRefinement.js';
-import openaiImageService from './services/openaiService.js';
-import pdfService from './services/pdfService.js';
+import promptRefinementService, {
+  InputSanitizer,
+  MAX_APPROVED_PROMPT_LENGTH,
+  MAX_CONSTRAINTS,
+  MAX_CONSTRAINT_LENGTH
+} from './services/promptRefinement.js';
+import pdfService, { PAGE_SIZES } from './services/pdfService.js';
+import { exportSvg } from './services/imageOptimization.js';
+import { runGeneration, runPhotoConversion, describeGenerationError } from './services/generationPipeline.js';
+import generationJobService from './services/generationJobs.js';
+import budgetGuard from './services/budgetGuard.js';
+import resultCache from './services/resultCache.js';
+import { getImageProvider, listImageProviders } from './services/imageProviders.js';
+import { renderColoringPage } from './services/localImageProvider.js';
+import themeRegistry from './services/themeRegistry.js';
+import promptSuggestionService, { MAX_SUGGESTIONS } from './services/promptSuggestions.js';
 import { apiLogger, loggerUtils } from './utils/logger.js';
 import authRoutes from './routes/auth.js';
 import admin from 'firebase-admin';
@@ -42,82 +55,6 @@ try {
   });
 }
 
-/**
- * Helper function to save generated image to user's gallery
- */
-const saveToGallery = async (userId, imageData) => {
-  if (!firebaseAdmin || !userId) {
-    return null; // Skip if no auth or admin not initialized
-  }
-
-  try {
-    const db = firebaseAdmin.firestore();
-    
-    // Handle large imageUrl values that exceed Firestore's 1MB field limit
-    let imageUrl = imageData.imageUrl;
-    let imageUrlSize = 0;
-    let isLargeImage = false;
-    
-    if (imageUrl) {
-      imageUrlSize = Buffer.byteLength(imageUrl, 'utf8');
-      // Firestore field limit is 1,048,487 bytes (1MB - 89 bytes)
-      isLargeImage = imageUrlSize > 1000000; // Use 1MB threshold for safety
-      
-      if (isLargeImage) {
-        // For large images, store a reference/placeholder instead of the full URL
-        // This prevents the Firestore error while maintaining functionality
-        imageUrl = '[Large Image - View in App]';
-        
-        apiLogger.warn('Large image URL detected, storing placeholder', {
-          userId,
-          originalSize: imageUrlSize,
-          promptLength: imageData.originalPrompt?.length || 0
-        });
-      }
-    }
-
-    const imageDoc = {
-      userId,
-      imageUrl,
-      originalPrompt: imageData.originalPrompt,
-      refinedPrompt: imageData.refinedPrompt,
-      metadata: {
-        ...imageData.metadata || {},
-        // Add metadata about image size for troubleshooting
-        imageUrlSize,
-        isLargeImage,
-        // Store original URL info if it was too large
-        ...(isLargeImage && {
-          originalImageUrlSize: imageUrlSize,
-          imageUrlTruncated: true,
-          imageType: imageData.imageUrl?.startsWith('data:') ? 'base64' : 'url'
-        })
-      },
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
-
-    const docRef = await db.collection('user_images').add(imageDoc);
-    
-    apiLogger.info('Image saved to gallery', {
-      userId,
-      imageId: docRef.id,
-      promptLength: imageData.originalPrompt?.length || 0,
-      imageUrlSize,
-      isLargeImage
-    });
-
-    return docRef.id;
-  } catch (error) {
-    apiLogger.error('Failed to save image to gallery', {
-      userId,
-      error: error.message,
-      imageUrlSize: imageData.imageUrl ? Buffer.byteLength(imageData.imageUrl, 'utf8') : 0
-    });
-    return null;
-  }
-};
-
 /**
  * Initialize OpenAI client with environment-based key selection
  * Evidence: architecture.md 6.1 - Mock keys for development, API cost mitigation
@@ -153,7 +90,8 @@ function getOpenAIClient() {
 // Middleware setup
 app.use(cors({
   origin: ['http://localhost:5173', 'http://localhost:3000'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Print-Report', 'Content-Disposition']
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -260,18 +198,55 @@ function isContentAppropriate(text) {
  * following the service layer pattern outlined in architecture.md Section 3.3.2
  */
 
-// Validation middleware for API endpoints
-const validateGenerateRequest = [
-  body('prompt')
-    .trim()
-    .isLength({ min: 1, max: 500 })
-    .withMessage('Prompt must be between 1 and 500 characters')
-    .custom((value) => {
-      if (!isContentAppropriate(value)) {
-        throw new Error('Content must be family-friendly');
-      }
-      return true;
-    }),
+// Image sources accepted by the PDF endpoints: remote URLs or base64 data URIs
+// (gpt-image-1 returns base64, which isURL() rejects even with the 'data' protocol)
+const isImageSource = (value) =>
+  typeof value === 'string' && (/^https?:\/\/\S+$/i.test(value) || /^data:image\/[a-z0-9.+-]+;base64,/i.test(value));
+
+// Print options shared by the single page and book PDF endpoints
+const validatePrintFields = [
+  body('pageSize')
+    .optional()
+    .isIn(Object.keys(PAGE_SIZES))
+    .withMessage(`Page size must be one of: ${Object.keys(PAGE_SIZES).join(', ')}`),
+  body('orientation')
+    .optional()
+    .isIn(['portrait', 'landscape'])
+    .withMessage('Orientation must be portrait or landscape'),
+  body('margin')
+    .optional()
+    .isFloat({ min: 0, max: 1.5 })
+    .withMessage('Margin must be between 0 and 1.5 inches')
+    .toFloat(),
+  body(['bleed', 'trimMarks'])
+    .optional()
+    .isBoolean()
+    .withMessage('Bleed and trim marks must be true or false')
+    .toBoolean()
+];
+
+/**
+ * The refinement service's own family-friendly check (InputSanitizer.checkFamilyFriendly)
+ * Constraint items and series sheets go into the prompt verbatim, so they get this
+ * stricter list here - otherwise they'd pass the route and fail later, after credits
+ * and budget are already reserved.
+ * @param {string} text - Text to validate
+ * @returns {boolean} - True if the refinement service would accept it
+ */
+function passesPromptFilter(text) {
+  try {
+    return InputSanitizer.checkFamilyFriendly(text);
+  } catch {
+    return false;
+  }
+}
+
+// Print options from a validated request body; missing fields use the PDF service defaults
+const pickPrintOptions = ({ pageSize, orientation, margin, bleed, trimMarks }) =>
+  ({ pageSize, orientation, margin, bleed, trimMarks });
+
+// Customization options shared by the generation and photo conversion endpoints
+const validateCustomizationFields = [
   body('customizations.complexity')
     .optional()
     .isIn(['simple', 'medium', 'detailed'])
@@ -288,10 +263,128 @@ const validateGenerateRequest = [
     .optional()
     .isIn(['with', 'without'])
     .withMessage('Border must be with or without'),
+  // Any enabled theme from the theme registry (shared/themes.json plus admin edits)
   body('customizations.theme')
+    .optional({ values: 'falsy' })
+    .custom(async (value) => {
+      await themeRegistry.refresh();
+      if (typeof value !== 'string' || !themeRegistry.has(value)) {
+        throw new Error('Unknown theme - see GET /api/themes');
+      }
+      return true;
+    }),
+  // "Must include" / "must avoid" lists - see InputSanitizer.validateConstraints
+  body(['customizations.mustInclude', 'customizations.mustAvoid'])
+    .optional({ values: 'null' })
+    .isArray({ max: MAX_CONSTRAINTS })
+    .withMessage(`Constraints must be a list of at most ${MAX_CONSTRAINTS} items`),
+  body('customizations.mustAvoid')
+    .optional({ values: 'null' })
+    .custom((mustAvoid, { req }) => {
+      const normalize = (item) => String(item).trim().toLowerCase().replace(/^(no|without)\s+/, '');
+      const mustInclude = req.body.customizations.mustInclude;
+      if (!Array.isArray(mustAvoid) || !Array.isArray(mustInclude)) {
+        return true; // Malformed lists are reported by the isArray check
+      }
+      const avoided = new Set(mustAvoid.map(normalize));
+      const conflicting = mustInclude.filter(item => avoided.has(normalize(item)));
+      if (conflicting.length > 0) {
+        throw new Error(`Cannot both include and avoid: ${conflicting.join(', ')}`);
+      }
+      return true;
+    }),
+  body(['customizations.mustInclude.*', 'customizations.mustAvoid.*'])
+    .isString()
+    .withMessage('Each constraint must be text')
+    .trim()
+    .isLength({ min: 1, max: MAX_CONSTRAINT_LENGTH })
+    .withMessage(`Each constraint must be between 1 and ${MAX_CONSTRAINT_LENGTH} characters`)
+    .custom((value) => {
+      if (!isContentAppropriate(value) || !passesPromptFilter(value)) {
+        throw new Error('Content must be family-friendly');
+      }
+      return true;
+    })
+];
+
+// Validation middleware for API endpoints
+const validateGenerateRequest = [
+  body('prompt')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Prompt must be between 1 and 500 characters')
+    .custom((value) => {
+      if (!isContentAppropriate(value)) {
+        throw new Error('Content must be family-friendly');
+      }
+      return true;
+    }),
+  ...validateCustomizationFields,
+  body('variations')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Variations must be between 1 and 4')
+    .toInt(),
+  body('vectorize')
+    .optional()
+    .isBoolean()
+    .withMessage('Vectorize must be true or false')
+    .toBoolean(),
+  body('useCache')
+    .optional()
+    .isBoolean()
+    .withMessage('useCache must be true or false')
+    .toBoolean(),
+  // Refined prompt approved in the refinement preview - generated without refining again
+  body('approvedPrompt')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_APPROVED_PROMPT_LENGTH })
+    .withMessage(`Approved prompt must be between 1 and ${MAX_APPROVED_PROMPT_LENGTH} characters`)
+    .custom((value) => {
+      if (!isContentAppropriate(value)) {
+        throw new Error('Content must be family-friendly');
+      }
+      return true;
+    }),
+  // Optional series character/style sheet - see PromptRefinementService.applySeriesSheet
+  body('series')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Series must be an object'),
+  body('series.characterDescription')
+    .if(body('series').exists({ values: 'null' }))
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Series character description must be between 1 and 500 characters'),
+  // The sheet is injected into every page prompt - see InputSanitizer.validateSeries
+  body(['series.name', 'series.characterName', 'series.characterDescription', 'series.artStyle'])
+    .optional({ values: 'falsy' })
+    .custom((value) => {
+      if (typeof value !== 'string' || !passesPromptFilter(value)) {
+        throw new Error('Series sheet must be family-friendly');
+      }
+      return true;
+    }),
+  body(['series.name', 'series.characterName'])
+    .optional()
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('Series and character names must be 60 characters or less'),
+  body('series.artStyle')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Series art style must be 200 characters or less'),
+  body('series.lineWeight')
     .optional()
-    .isIn(['animals', 'mandalas', 'fantasy', 'nature'])
-    .withMessage('Theme must be animals, mandalas, fantasy, or nature')
+    .isIn(['thin', 'medium', 'thick'])
+    .withMessage('Series line weight must be thin, medium, or thick'),
+  body('series.id')
+    .optional()
+    .matches(/^[\w-]+$/)
+    .withMessage('Invalid series ID')
 ];
 
 /**
@@ -303,6 +396,9 @@ const validateGenerateRequest = [
  * - OpenAI API connectivity  
  * - Environment mode (development/production)
  * - Prompt refinement service status
+ * - Active image provider (IMAGE_PROVIDER)
+ * - Active refinement provider (REFINEMENT_PROVIDER), its timeout and comparison mode
+ * - Daily budget caps (spent, remaining, normal/downgraded/blocked)
  */
 app.get('/api/health', async (req, res) => {
   try {
@@ -320,9 +416,22 @@ app.get('/api/health', async (req, res) => {
       environment: process.env.NODE_ENV || 'production',
       openai: refinementHealth.openaiConnected ? 'connected' : 'mock',
       promptRefinement: refinementHealth.status,
+      imageProvider: {
+        active: getImageProvider().name,
+        available: listImageProviders()
+      },
+      refinementProvider: refinementHealth.refinementProvider,
+      generationJobs: generationJobService.getStats(),
+      budget: budgetGuard.getStatus(),
+      resultCache: resultCache.getStats(),
       endpoints: {
         generate: '/api/generate',
+        generationJobs: '/api/generate/jobs',
         refinePrompt: '/api/refine-prompt',
+        convertPhoto: '/api/convert-photo',
+        themes: '/api/themes',
+        suggestions: '/api/suggestions',
+        surpriseMe: '/api/suggestions/surprise',
         health: '/api/health'
       }
     };
@@ -353,12 +462,119 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+/**
+ * Theme catalog for the create form
+ * Themes without their own thumbnail point at a procedural preview drawn from
+ * their first sample prompt (see the thumbnail route below).
+ */
+app.get('/api/themes', async (req, res) => {
+  await themeRegistry.refresh();
+
+  res.json({
+    success: true,
+    data: {
+      themes: themeRegistry.list().map(theme => ({
+        ...theme,
+        thumbnail: theme.thumbnail || `/api/themes/${theme.id}/thumbnail.svg`
+      }))
+    }
+  });
+});
+
+app.get('/api/themes/:themeId/thumbnail.svg', async (req, res) => {
+  await themeRegistry.refresh();
+  const theme = themeRegistry.get(req.params.themeId);
+
+  if (!theme) {
+    return res.status(404).json({
+      success: false,
+      error: 'Theme not found'
+    });
+  }
+
+  const { svg } = renderColoringPage(
+    [theme.samplePrompts[0] || theme.label, ...theme.modifiers].join(', '),
+    { size: '256x256' }
+  );
+
+  res.set({
+    'Content-Type': 'image/svg+xml',
+    'Cache-Control': 'public, max-age=3600'
+  });
+  res.send(svg);
+});
+
+const validateSuggestionQuery = [
+  query('q')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Query must be at most 500 characters'),
+  query('theme')
+    .optional({ values: 'falsy' })
+    .isString()
+    .isLength({ max: 40 })
+    .withMessage('Invalid theme'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_SUGGESTIONS })
+    .withMessage(`Limit must be between 1 and ${MAX_SUGGESTIONS}`)
+    .toInt()
+];
+
+/**
+ * Prompt suggestions for the create form
+ * Completes the word being typed from the refinement subject patterns and
+ * offers idea prompts; an unknown theme falls back to every category.
+ */
+app.get('/api/suggestions', validateSuggestionQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  await themeRegistry.refresh();
+  const { q = '', theme = null, limit } = req.query;
+
+  res.json({
+    success: true,
+    data: promptSuggestionService.suggest(q, { theme, limit })
+  });
+});
+
+/**
+ * "Surprise me" - a random prompt, and the theme it was composed for when none was given
+ */
+app.get('/api/suggestions/surprise', validateSuggestionQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  await themeRegistry.refresh();
+
+  res.json({
+    success: true,
+    data: promptSuggestionService.surprise({ theme: req.query.theme || null })
+  });
+});
+
 /**
  * Prompt refinement endpoint - Standalone prompt enhancement service
  * Evidence: architecture.md 3.2.4 - Prompt Testing (Development) endpoint
  * 
  * Uses the dedicated PromptRefinementService for intelligent enhancement
- * Returns refined prompt with detailed metadata for testing and validation
+ * Returns refined prompt with detailed metadata for testing and validation.
+ * The app's refinement preview uses it too: the user reviews or edits the
+ * result, then sends it to /api/generate as `approvedPrompt`. Nothing is charged here.
  */
 app.post('/api/refine-prompt', 
   validateGenerateRequest,
@@ -385,10 +601,10 @@ app.post('/api/refine-prompt',
         });
       }
 
-      const { prompt, customizations } = req.body;
+      const { prompt, customizations, series } = req.body;
 
       // Use dedicated prompt refinement service - architecture.md 3.1.3
-      const refinementResult = await promptRefinementService.refinePrompt(prompt, customizations);
+      const refinementResult = await promptRefinementService.refinePrompt(prompt, customizations, { series });
       
       const processingTime = Date.now() - startTime;
 
@@ -409,6 +625,11 @@ app.post('/api/refine-prompt',
         metadata: {
           detectedCategory: refinementResult.detectedCategory,
           appliedSettings: refinementResult.appliedSettings,
+          ...(refinementResult.translatedInput && {
+            translation: { language: refinementResult.language, translatedPrompt: refinementResult.translatedInput }
+          }),
+          method: refinementResult.metadata?.method,
+          provider: refinementResult.metadata?.provider,
           timestamp: refinementResult.timestamp,
           error: refinementResult.error,
           processingTime
@@ -424,9 +645,10 @@ app.post('/api/refine-prompt',
         input: req.body.prompt?.substring(0, 100)
       });
       
-      res.status(500).json({
+      // 400: the description, constraints or series sheet were rejected by the refinement service
+      res.status(error.status === 400 ? 400 : 500).json({
         success: false,
-        error: 'Failed to refine prompt',
+        error: error.status === 400 ? 'Invalid request' : 'Failed to refine prompt',
         message: error.message,
         timestamp: new Date().toISOString()
       });
@@ -456,115 +678,23 @@ app.post('/api/generate',
         });
       }
 
-      const { prompt, customizations } = req.body;
-      
-      apiLogger.info('Image generation started', {
-        prompt: prompt.substring(0, 100),
-        customizations,
-        requestId: req.ip + '_' + Date.now()
-      });
+      const { prompt, customizations, variations, series, vectorize, useCache, approvedPrompt } = req.body;
 
-      // Step 1: Refine the prompt using dedicated service with GPT enhancement - architecture.md 4.1
-      // FLOW STEP 2: "Send to backend to create/refine an enhanced image prompt 
-      // (using OpenAI GPT model with the existing API key from .env, adding subtle details for quality coloring book style)"
-      apiLogger.info('Starting prompt refinement with GPT enhancement');
-      const refinementResult = await promptRefinementService.refinePrompt(prompt, customizations, {
-        useGPT: true, // Enable GPT-based refinement as specified in requirements
-        requestId: req.ip + '_' + Date.now()
-      });
-      const refinedPrompt = refinementResult.refinedPrompt;
-
-      // Step 2: Generate image using OpenAI Image Service (gpt-image-1 with dall-e-3 fallback)
-      // FLOW STEP 3: "Use the refined prompt for OpenAI image generation (with the same API key)"
-      // Reference: https://platform.openai.com/docs/models/gpt-image-1
-      // Architecture: Enhanced service-based approach with intelligent model selection
-      apiLogger.info('Starting OpenAI image generation with refined prompt', {
-        promptLength: refinedPrompt.length,
-        promptPreview: refinedPrompt.substring(0, 100) + '...'
+      // FLOW STEPS 2-4 run in the shared generation pipeline
+      const response = await runGeneration({
+        prompt,
+        customizations,
+        variations,
+        series,
+        vectorize,
+        useCache,
+        approvedPrompt,
+        user: req.user,
+        requestId: req.ip + '_' + Date.now(),
+        endpoint: '/api/generate'
       });
-      
-      try {
-        // Use the new OpenAI Image Service with intelligent model selection
-        // Primary: gpt-image-1 ($0.167/image, 300 DPI equivalent quality: "high")
-        // Fallback: dall-e-3 ($0.040/image, quality: "standard")  
-        // Reference: https://platform.openai.com/docs/models/gpt-image-1
-        const imageGenerationResult = await openaiImageService.generateImage(refinedPrompt, {
-          requestId: req.ip + '_' + Date.now(),
-          size: '1024x1024'
-          // Note: gpt-image-1 doesn't use quality/style parameters
-        });
 
-        if (!imageGenerationResult.success) {
-          throw new Error('Image generation service returned failure');
-        }
-
-        const { imageUrl, model: usedModel, metadata: imageMetadata } = imageGenerationResult;
-        const processingTime = Date.now() - startTime;
-
-        // Prepare comprehensive image data for gallery save with cost tracking
-        const imageData = {
-          imageUrl,
-          originalPrompt: prompt,
-          refinedPrompt,
-          metadata: {
-            ...imageMetadata,
-            // Enhanced metadata with refinement context
-            refinementData: {
-              category: refinementResult.detectedCategory,
-              success: refinementResult.success,
-              appliedSettings: refinementResult.appliedSettings,
-              method: refinementResult.metadata?.method
-            },
-            // Cost analysis and usage tracking
-            totalProcessingTime: processingTime,
-            apiEndpointUsed: '/api/generate'
-          }
-        };
-
-        // Save to gallery if user is authenticated
-        let galleryImageId = null;
-        if (req.user) {
-          galleryImageId = await saveToGallery(req.user.uid, imageData);
-        }
-
-        // Enhanced response with comprehensive metadata and cost tracking
-        const response = {
-          success: true,
-          imageUrl,
-          refinedPrompt,
-          originalPrompt: prompt,
-          customizations: customizations || {},
-          metadata: imageData.metadata,
-          galleryImageId,
-          savedToGallery: !!galleryImageId
-        };
-
-        // Log successful generation with comprehensive metrics
-        loggerUtils.logPerformance(apiLogger, 'image-generation-service', processingTime, {
-          modelUsed: usedModel,
-          category: refinementResult.detectedCategory,
-          promptLength: prompt.length,
-          refinedLength: refinedPrompt.length,
-          imageGenerated: !!imageUrl,
-          savedToGallery: !!galleryImageId,
-          userId: req.user?.uid,
-          costs: imageMetadata.costs,
-          attemptCount: imageMetadata.attemptCount
-        });
-
-        res.json(response);
-
-      } catch (imageError) {
-        // Enhanced error handling with fallback information
-        apiLogger.error('Image generation service failed', {
-          error: imageError.message,
-          promptLength: refinedPrompt.length,
-          userId: req.user?.uid,
-          processingTime: Date.now() - startTime
-        });
-        
-        throw imageError; // Re-throw to be handled by main error handler
-      }
+      res.json(response);
 
     } catch (error) {
       const processingTime = Date.now() - startTime;
@@ -577,54 +707,246 @@ app.post('/api/generate',
         statusCode: error.status,
         input: req.body.prompt?.substring(0, 100)
       });
-      
-      // Handle rate limiting - Evidence: architecture.md 6.3 Exponential backoff
-      if (error.status === 429) {
-        apiLogger.warn('Rate limit exceeded', {
-          retryAfter: 60,
-          processingTime
+
+      const { status, body } = describeGenerationError(error);
+      if (status >= 500) {
+        apiLogger.error('Internal server error during image generation', {
+          processingTime,
+          errorMessage: error.message
         });
-        
-        return res.status(429).json({
-          success: false,
-          error: 'Rate limit exceeded',
-          message: 'Too many requests. Please try again later.',
-          retryAfter: 60,
-          timestamp: new Date().toISOString()
+      } else {
+        apiLogger.warn('Client error during image generation', {
+          statusCode: status,
+          message: error.message
         });
       }
 
-      // Handle other OpenAI API errors - Evidence: architecture.md 6.3 Error handling
-      if (error.status >= 400 && error.status < 500) {
-        apiLogger.warn('Client error during image generation', {
-          statusCode: error.status,
-          message: error.message
+      res.status(status).json(body);
+    }
+  }
+);
+
+/**
+ * Photo to coloring page conversion endpoint
+ * 
+ * Accepts an uploaded photo or drawing as a base64 data URI (within the 10mb
+ * JSON body limit) and returns line art in the same shape as /api/generate,
+ * so the result can be previewed, saved to the gallery and exported to PDF.
+ */
+app.post('/api/convert-photo',
+  [
+    body('image')
+      .notEmpty()
+      .withMessage('An image is required')
+      .matches(/^data:image\/(png|jpe?g|webp|gif|avif|tiff);base64,/i)
+      .withMessage('Image must be a PNG, JPEG, WebP, GIF, AVIF or TIFF data URI'),
+    body('mode')
+      .optional()
+      .isIn(['local', 'ai'])
+      .withMessage('Mode must be local or ai'),
+    body('style')
+      .optional()
+      .isIn(['photo', 'drawing'])
+      .withMessage('Style must be photo or drawing'),
+    body('detail')
+      .optional()
+      .isIn(['low', 'medium', 'high'])
+      .withMessage('Detail must be low, medium, or high'),
+    body('prompt')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must be 500 characters or less')
+      .custom((value) => {
+        if (!isContentAppropriate(value)) {
+          throw new Error('Content must be family-friendly');
+        }
+        return true;
+      }),
+    ...validateCustomizationFields
+  ],
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        apiLogger.warn('Validation failed for photo conversion', {
+          errors: errors.array().map(({ value: _value, ...error }) => error)
         });
         
-        return res.status(error.status).json({
+        return res.status(400).json({
           success: false,
-          error: 'API error',
-          message: error.message,
-          timestamp: new Date().toISOString()
+          error: 'Validation failed',
+          details: errors.array().map(({ value: _value, ...error }) => error)
         });
       }
 
-      // Generic server error with enhanced logging
-      apiLogger.error('Internal server error during image generation', {
-        processingTime,
-        errorMessage: error.message
+      const { image, mode, style, detail, prompt, customizations } = req.body;
+
+      const response = await runPhotoConversion({
+        image,
+        mode,
+        style,
+        detail,
+        prompt: prompt || undefined,
+        customizations: customizations || {},
+        user: req.user,
+        requestId: req.ip + '_' + Date.now()
       });
+
+      res.json(response);
+
+    } catch (error) {
+      const processingTime = Date.now() - startTime;
       
-      res.status(500).json({
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'photo-conversion',
+        processingTime,
+        statusCode: error.status,
+        mode: req.body.mode
+      });
+
+      const { status, body } = describeGenerationError(error);
+      res.status(status).json(body);
+    }
+  }
+);
+
+/**
+ * Background generation job endpoints
+ * Evidence: architecture.md 3.3.1 - Core API endpoints for generation flow
+ *
+ * POST starts a generation and returns 202 with a job ID right away; the
+ * client then polls GET /api/generate/jobs/:jobId until the job is done or
+ * failed. Keeping the result server-side means a page reload or dropped
+ * connection can resume the job instead of losing a paid generation.
+ */
+app.post('/api/generate/jobs',
+  validateGenerateRequest,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      apiLogger.warn('Validation failed for generation job', {
+        errors: errors.array(),
+        input: req.body.prompt?.substring(0, 50)
+      });
+
+      return res.status(400).json({
         success: false,
-        error: 'Image generation failed',
-        message: 'An unexpected error occurred during image generation',
-        timestamp: new Date().toISOString()
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
+
+    const { prompt, customizations, variations, series, vectorize, useCache, approvedPrompt } = req.body;
+    const user = req.user;
+
+    const job = generationJobService.createJob(
+      { prompt, customizations, userId: user?.uid },
+      async (jobRecord, setStatus, reportProgress) => {
+        try {
+          return await runGeneration({
+            prompt,
+            customizations,
+            variations,
+            series,
+            vectorize,
+            useCache,
+            approvedPrompt,
+            user,
+            requestId: `job_${jobRecord.id}`,
+            endpoint: '/api/generate/jobs',
+            onStatus: setStatus,
+            onProgress: reportProgress
+          });
+        } catch (error) {
+          const { status, body } = describeGenerationError(error);
+          const jobError = new Error(body.message);
+          jobError.status = status;
+          jobError.code = body.code;
+          throw jobError;
+        }
+      }
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/generate/jobs/${job.id}`,
+      eventsUrl: `/api/generate/jobs/${job.id}/events`,
+      timestamp: new Date().toISOString()
+    });
   }
 );
 
+app.get('/api/generate/jobs/:jobId', (req, res) => {
+  const job = generationJobService.getJob(req.params.jobId, req.user?.uid || null);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: 'Generation job does not exist or has expired',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    job,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Server-Sent Events stream of a generation job's stages
+ *
+ * Emits `status` and `progress` events (sanitizing, translating, category-detected,
+ * refined-prompt-ready, model-attempt, model-fallback, saving-to-gallery)
+ * followed by a final `done` or `failed` event carrying the job, then closes.
+ */
+app.get('/api/generate/jobs/:jobId/events', (req, res) => {
+  const userId = req.user?.uid || null;
+
+  if (!generationJobService.getJob(req.params.jobId, userId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: 'Generation job does not exist or has expired',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Headers go out before the replay so the first events are not buffered
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const sendEvent = ({ type, data }) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (type === 'done' || type === 'failed') {
+      clearInterval(heartbeat);
+      res.end();
+    }
+  };
+
+  const unsubscribe = generationJobService.subscribe(req.params.jobId, userId, sendEvent);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe?.();
+  });
+});
+
 /**
  * PDF Generation Endpoint
  * Evidence: architecture.md Section 3.3.1 - PDF generation endpoint
@@ -641,7 +963,7 @@ app.post('/api/generate-pdf',
     body('imageUrl')
       .notEmpty()
       .withMessage('Image URL is required')
-      .isURL({ protocols: ['http', 'https', 'data'] })
+      .custom(isImageSource)
       .withMessage('Must be a valid URL or data URI'),
     body('title')
       .optional()
@@ -651,7 +973,17 @@ app.post('/api/generate-pdf',
     body('metadata')
       .optional()
       .isObject()
-      .withMessage('Metadata must be an object')
+      .withMessage('Metadata must be an object'),
+    body('vector')
+      .optional()
+      .isBoolean()
+      .withMessage('Vector must be true or false')
+      .toBoolean(),
+    body('locale')
+      .optional()
+      .matches(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/)
+      .withMessage('Locale must be a language tag such as en or fr-CA'),
+    ...validatePrintFields
   ],
   async (req, res) => {
     const startTime = Date.now();
@@ -661,18 +993,18 @@ app.post('/api/generate-pdf',
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         apiLogger.warn('Validation failed for PDF generation', {
-          errors: errors.array(),
+          errors: errors.array().map(({ value: _value, ...error }) => error),
           imageUrl: req.body.imageUrl ? 'provided' : 'missing'
         });
         
         return res.status(400).json({
           success: false,
           error: 'Validation failed',
-          details: errors.array()
+          details: errors.array().map(({ value: _value, ...error }) => error)
         });
       }
 
-      const { imageUrl, title, metadata = {} } = req.body;
+      const { imageUrl, title, metadata = {}, vector, locale } = req.body;
       
       apiLogger.info('PDF generation requested', {
         hasImageUrl: !!imageUrl,
@@ -695,10 +1027,12 @@ app.post('/api/generate-pdf',
 
       // Generate PDF using the PDF service
       apiLogger.info('Starting PDF generation with pdfService');
-      const pdfBuffer = await pdfService.generatePDF(imageUrl, pdfMetadata, {
-        orientation: 'portrait',
-        format: 'letter',
-        compress: true
+      const { buffer: pdfBuffer, report } = await pdfService.generatePDFWithReport(imageUrl, pdfMetadata, {
+        ...pickPrintOptions(req.body),
+        compress: true,
+        vector,
+        // Footer date and labels follow the UI language
+        locale
       });
 
       const processingTime = Date.now() - startTime;
@@ -708,16 +1042,19 @@ app.post('/api/generate-pdf',
         pdfSize: pdfBuffer.length,
         hasTitle: !!title,
         userAuthenticated: !!req.user,
-        metadata: Object.keys(pdfMetadata).length
+        metadata: Object.keys(pdfMetadata).length,
+        pageSize: report.pageSize,
+        effectiveDpi: report.effectiveDpi
       });
 
-      // Set response headers for PDF download
+      // Set response headers for PDF download; the print report carries DPI warnings
       const filename = `coloring-page-${Date.now()}.pdf`;
       res.set({
         'Content-Type': 'application/pdf',
         'Content-Disposition': `attachment; filename="${filename}"`,
         'Content-Length': pdfBuffer.length,
-        'Cache-Control': 'no-cache'
+        'Cache-Control': 'no-cache',
+        'X-Print-Report': JSON.stringify(report)
       });
 
       // Send PDF buffer
@@ -742,6 +1079,200 @@ app.post('/api/generate-pdf',
   }
 );
 
+/**
+ * SVG Export Endpoint
+ * 
+ * Traces a coloring page into an optimized single-path SVG for print shops
+ * and cutting machines (Cricut etc.). Pages that are already SVG are returned as-is.
+ */
+app.post('/api/export-svg',
+  [
+    body('imageUrl')
+      .notEmpty()
+      .withMessage('Image URL is required')
+      .custom(isImageSource)
+      .withMessage('Must be a valid URL or data URI')
+  ],
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        apiLogger.warn('Validation failed for SVG export', {
+          errors: errors.array().map(({ value: _value, ...error }) => error)
+        });
+        
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array().map(({ value: _value, ...error }) => error)
+        });
+      }
+
+      const result = await exportSvg(req.body.imageUrl);
+      if (!result.success) {
+        return res.status(422).json({
+          success: false,
+          error: 'SVG export failed',
+          message: `Unable to trace this image: ${result.error}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      loggerUtils.logPerformance(apiLogger, 'svg-export', Date.now() - startTime, {
+        traced: result.traced,
+        pathCount: result.pathCount,
+        svgSize: result.svg.length,
+        userAuthenticated: !!req.user
+      });
+
+      res.set({
+        'Content-Type': 'image/svg+xml',
+        'Content-Disposition': `attachment; filename="coloring-page-${Date.now()}.svg"`,
+        'Cache-Control': 'no-cache'
+      });
+
+      res.send(result.svg);
+
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'svg-export',
+        processingTime: Date.now() - startTime
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'SVG export failed',
+        message: 'Unable to export SVG. Please try again.',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+/**
+ * Book PDF Generation Endpoint
+ * Evidence: architecture.md Section 3.3.1 - PDF generation endpoint
+ * 
+ * Bundles several coloring pages (in the given order) into one printable book
+ * with a cover page, optional table of contents, page numbers and blank backs
+ * for single-sided printing.
+ */
+app.post('/api/generate-book-pdf',
+  // Validation for book generation
+  [
+    body('title')
+      .trim()
+      .notEmpty()
+      .withMessage('Book title is required')
+      .isLength({ max: 100 })
+      .withMessage('Title must be 100 characters or less'),
+    body('author')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Author must be 100 characters or less'),
+    body('pages')
+      .isArray({ min: 1, max: 50 })
+      .withMessage('A book needs between 1 and 50 pages'),
+    body('pages.*.imageUrl')
+      .notEmpty()
+      .withMessage('Every page needs an image URL')
+      .custom(isImageSource)
+      .withMessage('Must be a valid URL or data URI'),
+    body('pages.*.title')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Page title must be 100 characters or less'),
+    body(['blankBacks', 'pageNumbers', 'tableOfContents', 'vector'])
+      .optional()
+      .isBoolean()
+      .withMessage('Book options must be true or false')
+      .toBoolean(),
+    body('locale')
+      .optional()
+      .matches(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/)
+      .withMessage('Locale must be a language tag such as en or fr-CA'),
+    ...validatePrintFields
+  ],
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        apiLogger.warn('Validation failed for book PDF generation', {
+          errors: errors.array().map(({ value: _value, ...error }) => error),
+          pageCount: Array.isArray(req.body.pages) ? req.body.pages.length : 0
+        });
+        
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array().map(({ value: _value, ...error }) => error)
+        });
+      }
+
+      const { title, author, pages, blankBacks, pageNumbers, tableOfContents, vector, locale } = req.body;
+
+      apiLogger.info('Book PDF generation requested', {
+        pageCount: pages.length,
+        hasAuthor: !!author,
+        blankBacks: !!blankBacks,
+        userAuthenticated: !!req.user
+      });
+
+      const { buffer: pdfBuffer, report } = await pdfService.generateBookPDFWithReport(
+        {
+          title,
+          author,
+          pages: pages.map(page => ({ imageUrl: page.imageUrl, title: page.title }))
+        },
+        { ...pickPrintOptions(req.body), blankBacks, pageNumbers, tableOfContents, vector, locale }
+      );
+
+      const processingTime = Date.now() - startTime;
+
+      loggerUtils.logPerformance(apiLogger, 'book-pdf-generation', processingTime, {
+        pdfSize: pdfBuffer.length,
+        pageCount: pages.length,
+        userAuthenticated: !!req.user,
+        pageSize: report.pageSize,
+        effectiveDpi: report.effectiveDpi
+      });
+
+      // Set response headers for PDF download
+      const filename = `coloring-book-${Date.now()}.pdf`;
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': pdfBuffer.length,
+        'Cache-Control': 'no-cache',
+        'X-Print-Report': JSON.stringify(report)
+      });
+
+      res.send(pdfBuffer);
+
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'book-pdf-generation',
+        processingTime: Date.now() - startTime,
+        pageCount: Array.isArray(req.body.pages) ? req.body.pages.length : 0
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Book PDF generation failed',
+        message: 'Unable to generate the book PDF. Please try again.',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
 // Enhanced error handling middleware with winston
 app.use((err, req, res, _next) => {
   loggerUtils.logError(apiLogger, err, {
@@ -36,6 +36,9 @@ app.listen(PORT, () => {
   serverLogger.info('API Endpoints Available', {
     endpoints: [
       { method: 'POST', path: '/api/generate', purpose: 'Main generation flow with prompt refinement' },
+      { method: 'POST', path: '/api/generate/jobs', purpose: 'Start a background generation job' },
+      { method: 'GET', path: '/api/generate/jobs/:jobId', purpose: 'Poll generation job status and result' },
+      { method: 'GET', path: '/api/generate/jobs/:jobId/events', purpose: 'Server-Sent Events stream of generation stages' },
       { method: 'POST', path: '/api/refine-prompt', purpose: 'Standalone prompt testing and validation' },
       { method: 'GET', path: '/api/health', purpose: 'Service status and OpenAI connectivity' }
     ]
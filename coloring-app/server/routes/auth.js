@@ -11,12 +11,40 @@
  */
 
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import { apiLogger, loggerUtils } from '../utils/logger.js';
 import { admin, db, auth, firebaseHealthCheck } from '../firebase-config.js';
+import creditLedger from '../services/creditLedger.js';
+import costReportingService, { REPORT_PERIODS, reportToCsv } from '../services/costReporting.js';
+import themeRegistry, { THEME_ID_PATTERN } from '../services/themeRegistry.js';
+import galleryService, {
+  GALLERY_PAGE_SIZE,
+  GALLERY_SORTS,
+  SEARCH_LIMITS,
+  decodeGalleryCursor,
+  describeGalleryImage
+} from '../services/galleryService.js';
+import collectionService, { COLLECTION_ID_PATTERN, COLLECTION_LIMITS } from '../services/collectionService.js';
 
 const router = express.Router();
 
+/**
+ * Whether a verified token belongs to an admin
+ * Admins have the Firebase custom claim `admin: true` or an email listed in ADMIN_EMAILS.
+ *
+ * @param {Object} decodedToken - Verified Firebase ID token
+ * @returns {boolean}
+ */
+const isAdminToken = (decodedToken) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  return decodedToken.admin === true ||
+    (!!decodedToken.email && decodedToken.email_verified === true && adminEmails.includes(decodedToken.email.toLowerCase()));
+};
+
 /**
  * Enhanced JWT Token Verification Middleware
  * 
@@ -83,7 +111,8 @@ export const verifyToken = async (req, res, next) => {
       provider: decodedToken.firebase?.sign_in_provider || 'unknown',
       authTime: decodedToken.auth_time,
       issuedAt: decodedToken.iat,
-      expiresAt: decodedToken.exp
+      expiresAt: decodedToken.exp,
+      isAdmin: isAdminToken(decodedToken)
     };
     
     const responseTime = Date.now() - startTime;
@@ -155,12 +184,33 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Admin-only routes - use after verifyToken
+ */
+export const requireAdmin = (req, res, next) => {
+  if (!req.user?.isAdmin) {
+    apiLogger.warn('Admin route denied', {
+      userId: req.user?.uid,
+      path: req.path
+    });
+    
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'This page is only available to administrators'
+    });
+  }
+  
+  next();
+};
+
 /**
  * POST /save-image
  * Save generated image to user's gallery
  * 
  * INTEGRATION: Called from frontend after successful image generation
  * Saves image metadata and URL to Firestore for user gallery
+ * Optional parentImageId links a colored-in version to its original image
  */
 router.post('/save-image',
   verifyToken,
@@ -184,7 +234,13 @@ router.post('/save-image',
     body('metadata')
       .optional()
       .isObject()
-      .withMessage('Metadata must be an object')
+      .withMessage('Metadata must be an object'),
+    body('parentImageId')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 128 })
+      .withMessage('Parent image ID must be a gallery image ID')
   ],
   async (req, res) => {
     const startTime = Date.now();
@@ -210,7 +266,19 @@ router.post('/save-image',
         throw new Error('Firestore database not available');
       }
       
-      const { imageUrl: originalImageUrl, originalPrompt, refinedPrompt, metadata } = req.body;
+      const { imageUrl: originalImageUrl, originalPrompt, refinedPrompt, metadata, parentImageId } = req.body;
+
+      // Colored versions link to their original, which must be one of the user's images
+      if (parentImageId) {
+        const parentDoc = await db.collection('user_images').doc(parentImageId).get();
+        if (!parentDoc.exists || parentDoc.data().userId !== req.user.uid) {
+          return res.status(404).json({
+            success: false,
+            error: 'Parent image not found',
+            message: 'The original image for this colored page was not found in your gallery'
+          });
+        }
+      }
       
       // Handle large imageUrl values that exceed Firestore's 1MB field limit
       let imageUrl = originalImageUrl;
@@ -242,6 +310,7 @@ router.post('/save-image',
         imageUrl,
         originalPrompt,
         refinedPrompt: refinedPrompt || null,
+        parentImageId: parentImageId || null,
         metadata: {
           ...metadata || {},
           // Add metadata about image size for troubleshooting
@@ -254,6 +323,8 @@ router.post('/save-image',
             imageType: originalImageUrl?.startsWith('data:') ? 'base64' : 'url'
           })
         },
+        // Search, filter and title-sort fields for the gallery
+        ...describeGalleryImage({ originalPrompt, metadata }),
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       };
@@ -304,74 +375,130 @@ router.post('/save-image',
 
 /**
  * GET /get-gallery
- * Retrieve user's image gallery with pagination
+ * One page of the user's gallery. Pass the returned `pagination.nextCursor` as
+ * `cursor` (with the same search, filters and sort) to read the next page.
+ *
+ * Query: q (words that must all appear in the prompt), theme, complexity,
+ * ageGroup, category, model, from/to (YYYY-MM-DD), sort (newest|oldest|title),
+ * collection (a collection id - only its images)
  */
 router.get('/get-gallery',
   verifyToken,
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: GALLERY_PAGE_SIZE.max })
+      .withMessage(`Limit must be between 1 and ${GALLERY_PAGE_SIZE.max}`),
+    query('sort')
+      .optional()
+      .isIn(Object.keys(GALLERY_SORTS))
+      .withMessage(`Sort must be one of: ${Object.keys(GALLERY_SORTS).join(', ')}`),
+    query('cursor')
+      .optional()
+      .isString()
+      .isLength({ max: 2048 })
+      .custom((value, { req }) => Boolean(decodeGalleryCursor(value, req.query.sort || 'newest')))
+      .withMessage('Cursor is invalid or belongs to another sort'),
+    query('q')
+      .optional()
+      .isString()
+      .isLength({ max: SEARCH_LIMITS.queryLength })
+      .withMessage(`Search must be at most ${SEARCH_LIMITS.queryLength} characters`),
+    query('theme')
+      .optional()
+      .matches(THEME_ID_PATTERN)
+      .withMessage('Theme must be a theme id'),
+    query('complexity')
+      .optional()
+      .isIn(['simple', 'medium', 'detailed'])
+      .withMessage('Complexity must be simple, medium, or detailed'),
+    query('ageGroup')
+      .optional()
+      .isIn(['kids', 'teens', 'adults'])
+      .withMessage('Age group must be kids, teens, or adults'),
+    query('category')
+      .optional()
+      .matches(/^[a-zA-Z]{1,40}$/)
+      .withMessage('Category must be a category name'),
+    query('model')
+      .optional()
+      .matches(/^[a-z0-9][a-z0-9.-]{0,39}$/)
+      .withMessage('Model must be a model name'),
+    query('collection')
+      .optional()
+      .matches(COLLECTION_ID_PATTERN)
+      .withMessage('Collection must be a collection id'),
+    query('from')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('From must be a date (YYYY-MM-DD)')
+      .bail()
+      .isISO8601({ strict: true })
+      .withMessage('From must be a valid date'),
+    query('to')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('To must be a date (YYYY-MM-DD)')
+      .bail()
+      .isISO8601({ strict: true })
+      .withMessage('To must be a valid date')
+      .custom((value, { req }) => {
+        if (req.query.from && value < req.query.from) {
+          throw new Error('To must not be before from');
+        }
+        return true;
+      })
+  ],
   async (req, res) => {
     const startTime = Date.now();
     
     try {
-      // Check Firebase availability
-      if (!db) {
-        throw new Error('Firestore database not available');
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
       }
       
-      const { limit = 20, offset = 0, orderBy = 'createdAt', order = 'desc' } = req.query;
-      
-      // Validate query parameters
-      const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
-      const offsetNum = Math.max(parseInt(offset) || 0, 0);
-      
-      // Build Firestore query
-      let query = db.collection('user_images')
-        .where('userId', '==', req.user.uid)
-        .orderBy(orderBy, order)
-        .limit(limitNum);
-      
-      if (offsetNum > 0) {
-        // For pagination, you might want to use cursor-based pagination in production
-        query = query.offset(offsetNum);
+      // Check Firebase availability
+      if (!galleryService.isEnabled()) {
+        throw new Error('Firestore database not available');
       }
       
-      const snapshot = await query.get();
-      
-      const images = [];
-      snapshot.forEach(doc => {
-        const data = doc.data();
-        images.push({
-          id: doc.id,
-          ...data,
-          createdAt: data.createdAt?.toDate()?.toISOString() || null,
-          updatedAt: data.updatedAt?.toDate()?.toISOString() || null
-        });
+      const { q, theme, complexity, ageGroup, category, model, collection, from, to, sort = 'newest' } = req.query;
+      const limitNum = parseInt(req.query.limit) || GALLERY_PAGE_SIZE.default;
+      const page = await galleryService.listImages(req.user.uid, {
+        limit: limitNum,
+        cursor: req.query.cursor || null,
+        sort,
+        search: q,
+        filters: { theme, complexity, ageGroup, category, model },
+        collection,
+        from,
+        to
       });
       
-      // Get total count (optional, can be expensive for large collections)
-      const countSnapshot = await db.collection('user_images')
-        .where('userId', '==', req.user.uid)
-        .count()
-        .get();
-      
-      const total = countSnapshot.data().count;
-      
       const processingTime = Date.now() - startTime;
       
       loggerUtils.logPerformance(apiLogger, 'gallery-retrieve', processingTime, {
         userId: req.user.uid,
-        imageCount: images.length,
-        totalImages: total
+        imageCount: page.images.length,
+        hasMore: page.hasMore,
+        sort,
+        searched: !!q,
+        collection: collection || null
       });
       
       res.json({
         success: true,
         data: {
-          images,
+          images: page.images,
           pagination: {
-            total,
             limit: limitNum,
-            offset: offsetNum,
-            hasMore: offsetNum + limitNum < total
+            nextCursor: page.nextCursor,
+            hasMore: page.hasMore
           }
         }
       });
@@ -575,6 +702,850 @@ router.post('/delete-bulk',
   }
 );
 
+/**
+ * GET /series
+ * List the user's series character/style sheets (most recently updated first)
+ */
+router.get('/series',
+  verifyToken,
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      // Check Firebase availability
+      if (!db) {
+        throw new Error('Firestore database not available');
+      }
+      
+      const snapshot = await db.collection('user_series')
+        .where('userId', '==', req.user.uid)
+        .limit(100)
+        .get();
+      
+      // Sorted here so the query needs no composite index
+      const series = snapshot.docs
+        .map(doc => {
+          const data = doc.data();
+          return {
+            id: doc.id,
+            name: data.name,
+            characterName: data.characterName || null,
+            characterDescription: data.characterDescription,
+            artStyle: data.artStyle || null,
+            lineWeight: data.lineWeight || null,
+            createdAt: data.createdAt?.toDate()?.toISOString() || null,
+            updatedAt: data.updatedAt?.toDate()?.toISOString() || null
+          };
+        })
+        .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+      
+      loggerUtils.logPerformance(apiLogger, 'series-list', Date.now() - startTime, {
+        userId: req.user.uid,
+        seriesCount: series.length
+      });
+      
+      res.json({
+        success: true,
+        data: { series }
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'list-series',
+        userId: req.user?.uid,
+        processingTime: Date.now() - startTime
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve series',
+        message: 'An error occurred while loading your series'
+      });
+    }
+  }
+);
+
+/**
+ * POST /series
+ * Create a series character/style sheet, or update one when an id is given
+ * 
+ * The sheet is injected into every page prompt of the series by
+ * PromptRefinementService and copied into each gallery image's metadata.
+ */
+router.post('/series',
+  verifyToken,
+  [
+    body('id')
+      .optional()
+      .matches(/^[\w-]+$/)
+      .withMessage('Invalid series ID'),
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 60 })
+      .withMessage('Series name must be between 1 and 60 characters'),
+    body('characterName')
+      .optional()
+      .trim()
+      .isLength({ max: 60 })
+      .withMessage('Character name must be 60 characters or less'),
+    body('characterDescription')
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Character description must be between 1 and 500 characters'),
+    body('artStyle')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Art style must be 200 characters or less'),
+    body('lineWeight')
+      .optional()
+      .isIn(['thin', 'medium', 'thick'])
+      .withMessage('Line weight must be thin, medium, or thick')
+  ],
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        apiLogger.warn('Validation failed for save-series', {
+          errors: errors.array(),
+          userId: req.user.uid
+        });
+        
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      // Check Firebase availability
+      if (!db) {
+        throw new Error('Firestore database not available');
+      }
+      
+      const { id, name, characterName, characterDescription, artStyle, lineWeight } = req.body;
+      const seriesDoc = {
+        userId: req.user.uid,
+        name,
+        characterName: characterName || null,
+        characterDescription,
+        artStyle: artStyle || null,
+        lineWeight: lineWeight || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      
+      let docRef;
+      if (id) {
+        // Only the owner may update an existing series
+        docRef = db.collection('user_series').doc(id);
+        const existing = await docRef.get();
+        
+        if (!existing.exists) {
+          return res.status(404).json({
+            success: false,
+            error: 'Series not found'
+          });
+        }
+        
+        if (existing.data().userId !== req.user.uid) {
+          return res.status(403).json({
+            success: false,
+            error: 'Unauthorized to update this series'
+          });
+        }
+        
+        await docRef.update(seriesDoc);
+      } else {
+        docRef = await db.collection('user_series').add({
+          ...seriesDoc,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+      
+      loggerUtils.logPerformance(apiLogger, 'series-save', Date.now() - startTime, {
+        userId: req.user.uid,
+        seriesId: docRef.id,
+        updated: !!id
+      });
+      
+      const { userId: _userId, updatedAt: _updatedAt, ...sheet } = seriesDoc;
+      res.status(id ? 200 : 201).json({
+        success: true,
+        message: id ? 'Series updated successfully' : 'Series created successfully',
+        data: {
+          id: docRef.id,
+          ...sheet,
+          updatedAt: new Date().toISOString()
+        }
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'save-series',
+        userId: req.user?.uid,
+        processingTime: Date.now() - startTime
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save series',
+        message: 'An error occurred while saving your series'
+      });
+    }
+  }
+);
+
+/**
+ * Collection routes - user-defined folders for the gallery
+ * An image is in at most one collection; adding it to another moves it.
+ * Deleting a collection keeps its images. List one with GET /get-gallery?collection=<id>.
+ */
+const collectionIdParam = param('collectionId')
+  .matches(COLLECTION_ID_PATTERN)
+  .withMessage('Invalid collection ID');
+
+const imageIdsBody = [
+  body('imageIds')
+    .isArray({ min: 1, max: COLLECTION_LIMITS.imagesPerRequest })
+    .withMessage(`Image IDs must be an array with 1-${COLLECTION_LIMITS.imagesPerRequest} items`),
+  body('imageIds.*')
+    .isString()
+    .matches(/^[\w-]{1,128}$/)
+    .withMessage('Each image ID must be a valid ID')
+];
+
+/**
+ * Error response for collection routes: the service's own message for
+ * 400/404/409, a generic one otherwise
+ */
+const sendCollectionError = (res, error, fallback) => {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallback,
+    message: error.status ? error.message : 'An error occurred while updating your collections'
+  });
+};
+
+/**
+ * GET /collections
+ * The user's collections (A-Z) with image counts and cover images
+ */
+router.get('/collections',
+  verifyToken,
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      if (!collectionService.isEnabled()) {
+        throw new Error('Firestore database not available');
+      }
+      
+      const collections = await collectionService.listCollections(req.user.uid);
+      
+      loggerUtils.logPerformance(apiLogger, 'collections-list', Date.now() - startTime, {
+        userId: req.user.uid,
+        collectionCount: collections.length
+      });
+      
+      res.json({
+        success: true,
+        data: { collections }
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'list-collections',
+        userId: req.user?.uid,
+        processingTime: Date.now() - startTime
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve collections',
+        message: 'An error occurred while loading your collections'
+      });
+    }
+  }
+);
+
+/**
+ * POST /collections
+ * Create a collection; names are unique per user, ignoring case (409 otherwise)
+ */
+router.post('/collections',
+  verifyToken,
+  [
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: COLLECTION_LIMITS.nameLength })
+      .withMessage(`Collection name must be between 1 and ${COLLECTION_LIMITS.nameLength} characters`)
+  ],
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+      
+      if (!collectionService.isEnabled()) {
+        throw new Error('Firestore database not available');
+      }
+      
+      const collection = await collectionService.createCollection(req.user.uid, { name: req.body.name });
+      
+      loggerUtils.logPerformance(apiLogger, 'collection-create', Date.now() - startTime, {
+        userId: req.user.uid,
+        collectionId: collection.id
+      });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Collection created successfully',
+        data: { collection }
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'create-collection',
+        userId: req.user?.uid,
+        processingTime: Date.now() - startTime
+      });
+      
+      sendCollectionError(res, error, 'Failed to create collection');
+    }
+  }
+);
+
+/**
+ * PATCH /collections/:collectionId
+ * Rename a collection and/or set its cover (an image in the collection, or null)
+ */
+router.patch('/collections/:collectionId',
+  verifyToken,
+  [
+    collectionIdParam,
+    body('name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: COLLECTION_LIMITS.nameLength })
+      .withMessage(`Collection name must be between 1 and ${COLLECTION_LIMITS.nameLength} characters`),
+    body('coverImageId')
+      .optional({ values: 'null' })
+      .isString()
+      .matches(/^[\w-]{1,128}$/)
+      .withMessage('Cover image ID must be a valid ID'),
+    body()
+      .custom(value => value?.name !== undefined || value?.coverImageId !== undefined)
+      .withMessage('Provide a name or a cover image')
+  ],
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+      
+      if (!collectionService.isEnabled()) {
+        throw new Error('Firestore database not available');
+      }
+      
+      const { name, coverImageId } = req.body;
+      const collection = await collectionService.updateCollection(req.user.uid, req.params.collectionId, {
+        name,
+        coverImageId
+      });
+      
+      loggerUtils.logPerformance(apiLogger, 'collection-update', Date.now() - startTime, {
+        userId: req.user.uid,
+        collectionId: collection.id,
+        renamed: name !== undefined,
+        coverChanged: coverImageId !== undefined
+      });
+      
+      res.json({
+        success: true,
+        message: 'Collection updated successfully',
+        data: { collection }
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'update-collection',
+        userId: req.user?.uid,
+        collectionId: req.params.collectionId,
+        processingTime: Date.now() - startTime
+      });
+      
+      sendCollectionError(res, error, 'Failed to update collection');
+    }
+  }
+);
+
+/**
+ * DELETE /collections/:collectionId
+ * Delete a collection; its images stay in the gallery
+ */
+router.delete('/collections/:collectionId',
+  verifyToken,
+  [collectionIdParam],
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+      
+      if (!collectionService.isEnabled()) {
+        throw new Error('Firestore database not available');
+      }
+      
+      const releasedCount = await collectionService.deleteCollection(req.user.uid, req.params.collectionId);
+      
+      loggerUtils.logPerformance(apiLogger, 'collection-delete', Date.now() - startTime, {
+        userId: req.user.uid,
+        collectionId: req.params.collectionId,
+        releasedCount
+      });
+      
+      res.json({
+        success: true,
+        message: 'Collection deleted successfully',
+        data: { releasedCount }
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'delete-collection',
+        userId: req.user?.uid,
+        collectionId: req.params.collectionId,
+        processingTime: Date.now() - startTime
+      });
+      
+      sendCollectionError(res, error, 'Failed to delete collection');
+    }
+  }
+);
+
+/**
+ * POST /collections/:collectionId/images
+ * Move images into a collection; the first becomes the cover if it has none
+ */
+router.post('/collections/:collectionId/images',
+  verifyToken,
+  [collectionIdParam, ...imageIdsBody],
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+      
+      if (!collectionService.isEnabled()) {
+        throw new Error('Firestore database not available');
+      }
+      
+      const result = await collectionService.addImages(req.user.uid, req.params.collectionId, req.body.imageIds);
+      
+      loggerUtils.logPerformance(apiLogger, 'collection-add-images', Date.now() - startTime, {
+        userId: req.user.uid,
+        collectionId: req.params.collectionId,
+        movedCount: result.moved
+      });
+      
+      res.json({
+        success: true,
+        message: `${result.moved} images moved to the collection`,
+        data: result
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'collection-add-images',
+        userId: req.user?.uid,
+        collectionId: req.params.collectionId,
+        processingTime: Date.now() - startTime
+      });
+      
+      sendCollectionError(res, error, 'Failed to move images');
+    }
+  }
+);
+
+/**
+ * POST /collections/:collectionId/images/remove
+ * Take images out of a collection; they stay in the gallery
+ */
+router.post('/collections/:collectionId/images/remove',
+  verifyToken,
+  [collectionIdParam, ...imageIdsBody],
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+      
+      if (!collectionService.isEnabled()) {
+        throw new Error('Firestore database not available');
+      }
+      
+      const result = await collectionService.removeImages(req.user.uid, req.params.collectionId, req.body.imageIds);
+      
+      loggerUtils.logPerformance(apiLogger, 'collection-remove-images', Date.now() - startTime, {
+        userId: req.user.uid,
+        collectionId: req.params.collectionId,
+        removedCount: result.removed
+      });
+      
+      res.json({
+        success: true,
+        message: `${result.removed} images removed from the collection`,
+        data: result
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'collection-remove-images',
+        userId: req.user?.uid,
+        collectionId: req.params.collectionId,
+        processingTime: Date.now() - startTime
+      });
+      
+      sendCollectionError(res, error, 'Failed to remove images');
+    }
+  }
+);
+
+/**
+ * GET /credits
+ * The user's credit plan and balance (created with the default plan on first visit)
+ */
+router.get('/credits',
+  verifyToken,
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const account = await creditLedger.getAccount(req.user.uid);
+      if (!account) {
+        throw new Error('Firestore database not available');
+      }
+      
+      loggerUtils.logPerformance(apiLogger, 'credits-get', Date.now() - startTime, {
+        userId: req.user.uid,
+        balance: account.balance
+      });
+      
+      res.json({
+        success: true,
+        data: { account }
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'get-credits',
+        userId: req.user?.uid,
+        processingTime: Date.now() - startTime
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve credits',
+        message: 'An error occurred while loading your credits'
+      });
+    }
+  }
+);
+
+/**
+ * GET /credits/history
+ * The user's credit ledger - monthly grants and each generation's reserved,
+ * settled or refunded charge (newest first)
+ */
+router.get('/credits/history',
+  verifyToken,
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      if (!creditLedger.isEnabled()) {
+        throw new Error('Firestore database not available');
+      }
+      
+      const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const history = await creditLedger.getHistory(req.user.uid, limitNum);
+      
+      loggerUtils.logPerformance(apiLogger, 'credits-history', Date.now() - startTime, {
+        userId: req.user.uid,
+        entryCount: history.length
+      });
+      
+      res.json({
+        success: true,
+        data: { history }
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'get-credit-history',
+        userId: req.user?.uid,
+        processingTime: Date.now() - startTime
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve credit history',
+        message: 'An error occurred while loading your credit history'
+      });
+    }
+  }
+);
+
+/**
+ * GET /reports/costs
+ * Spending report for admins: generation costs totalled per day, week or month,
+ * broken down by user, model and category. `format=csv` downloads one row per
+ * period, user, model and category.
+ */
+router.get('/reports/costs',
+  verifyToken,
+  requireAdmin,
+  [
+    query('period')
+      .optional()
+      .isIn(Object.keys(REPORT_PERIODS))
+      .withMessage('Period must be day, week, or month'),
+    query('from')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('From must be a date (YYYY-MM-DD)')
+      .bail()
+      .isISO8601({ strict: true })
+      .withMessage('From must be a valid date'),
+    query('to')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('To must be a date (YYYY-MM-DD)')
+      .bail()
+      .isISO8601({ strict: true })
+      .withMessage('To must be a valid date')
+      .custom((value, { req }) => {
+        if (req.query.from && value < req.query.from) {
+          throw new Error('To must not be before from');
+        }
+        return true;
+      }),
+    query('format')
+      .optional()
+      .isIn(['json', 'csv'])
+      .withMessage('Format must be json or csv')
+  ],
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+      
+      const { period = 'day', from, to, format = 'json' } = req.query;
+      const report = await costReportingService.getReport({ period, from, to });
+      if (!report) {
+        throw new Error('Firestore database not available');
+      }
+      
+      loggerUtils.logPerformance(apiLogger, 'cost-report', Date.now() - startTime, {
+        userId: req.user.uid,
+        period,
+        format,
+        generations: report.totals.generations,
+        truncated: report.truncated
+      });
+      
+      if (format === 'csv') {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="spending-${period}-${report.from}-to-${report.to}.csv"`);
+        return res.send(reportToCsv(report));
+      }
+      
+      const { rows: _rows, ...summary } = report;
+      res.json({
+        success: true,
+        data: summary
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'cost-report',
+        userId: req.user?.uid,
+        processingTime: Date.now() - startTime
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build report',
+        message: 'An error occurred while building the spending report'
+      });
+    }
+  }
+);
+
+/**
+ * GET /themes
+ * Every theme for admins, including hidden ones
+ */
+router.get('/themes',
+  verifyToken,
+  requireAdmin,
+  async (req, res) => {
+    await themeRegistry.refresh({ force: true });
+
+    res.json({
+      success: true,
+      data: { themes: themeRegistry.list({ includeDisabled: true }) }
+    });
+  }
+);
+
+/**
+ * PUT /themes/:themeId
+ * Create or replace a theme (admin). Overrides a theme from shared/themes.json
+ * with the same id; `enabled: false` hides it from the create form.
+ * Field checks live in themeRegistry.normalizeTheme.
+ */
+router.put('/themes/:themeId',
+  verifyToken,
+  requireAdmin,
+  [
+    param('themeId')
+      .matches(THEME_ID_PATTERN)
+      .withMessage('Theme id must be 2-40 lowercase letters, numbers or dashes')
+  ],
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+      
+      const theme = await themeRegistry.save({ ...req.body, id: req.params.themeId }, req.user.uid);
+      
+      loggerUtils.logPerformance(apiLogger, 'theme-save', Date.now() - startTime, {
+        userId: req.user.uid,
+        themeId: theme.id
+      });
+      
+      res.json({
+        success: true,
+        message: 'Theme saved successfully',
+        data: { theme }
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'save-theme',
+        userId: req.user?.uid,
+        themeId: req.params.themeId,
+        processingTime: Date.now() - startTime
+      });
+      
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status === 400 ? error.message : 'Failed to save theme',
+        message: error.status ? error.message : 'An error occurred while saving the theme'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /themes/:themeId
+ * Remove an admin-saved theme; a theme from shared/themes.json reverts to its file version
+ */
+router.delete('/themes/:themeId',
+  verifyToken,
+  requireAdmin,
+  async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const theme = await themeRegistry.remove(req.params.themeId);
+      
+      loggerUtils.logPerformance(apiLogger, 'theme-delete', Date.now() - startTime, {
+        userId: req.user.uid,
+        themeId: req.params.themeId,
+        reverted: !!theme
+      });
+      
+      res.json({
+        success: true,
+        message: theme ? 'Theme reverted to its default' : 'Theme deleted successfully',
+        data: { theme }
+      });
+      
+    } catch (error) {
+      loggerUtils.logError(apiLogger, error, {
+        operation: 'delete-theme',
+        userId: req.user?.uid,
+        themeId: req.params.themeId,
+        processingTime: Date.now() - startTime
+      });
+      
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status === 404 ? 'Theme not found' : 'Failed to delete theme',
+        message: error.status ? error.message : 'An error occurred while deleting the theme'
+      });
+    }
+  }
+);
+
 /**
  * GET /auth-status
  * Check authentication status and user information
@@ -589,7 +1560,8 @@ router.get('/auth-status',
           uid: req.user.uid,
           email: req.user.email,
           displayName: req.user.displayName,
-          emailVerified: req.user.emailVerified
+          emailVerified: req.user.emailVerified,
+          isAdmin: req.user.isAdmin
         },
         authenticated: true
       });
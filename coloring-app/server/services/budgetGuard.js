@@ -0,0 +1,306 @@
+/**
+ * Budget Guard for Coloring Book Creator
+ *
+ * Enforces daily spend caps on image generation - one for the whole service
+ * and one per signed-in user. Close to a cap, generations are downgraded from
+ * gpt-image-1 ($0.167/image, quality "high") to dall-e-3 ($0.040/image,
+ * quality "standard"); once even the cheaper model would go over, requests are
+ * refused with DAILY_BUDGET_EXCEEDED or USER_DAILY_BUDGET_EXCEEDED.
+ *
+ * Spend is tracked in memory per UTC day. On the first request of a day the
+ * totals are loaded from the generation cost log so a restart doesn't reset
+ * them; generations in progress hold their estimate until they finish.
+ *
+ * Evidence: architecture.md 6.1 - API cost mitigation
+ * Note: Caps are off unless DAILY_BUDGET_USD / USER_DAILY_BUDGET_USD are set.
+ */
+
+import costReportingService from './costReporting.js';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('budget-guard');
+
+export const BUDGET_ERROR_CODES = {
+  global: 'DAILY_BUDGET_EXCEEDED',
+  user: 'USER_DAILY_BUDGET_EXCEEDED'
+};
+
+/**
+ * Generation tiers, most expensive first - per-image prices match CostCalculator
+ */
+export const BUDGET_TIERS = {
+  standard: { model: 'gpt-image-1', quality: 'high', costPerImage: 0.167 },
+  economy: { model: 'dall-e-3', quality: 'standard', costPerImage: 0.04 }
+};
+
+const DEFAULT_DOWNGRADE_AT = 0.8;
+
+const roundCost = (value) => Number(value.toFixed(4));
+
+const parseLimit = (value) => {
+  const limit = parseFloat(value);
+  return Number.isFinite(limit) && limit > 0 ? limit : null;
+};
+
+const parseRatio = (value) => {
+  const ratio = parseFloat(value);
+  return Number.isFinite(ratio) && ratio > 0 && ratio <= 1 ? ratio : DEFAULT_DOWNGRADE_AT;
+};
+
+/**
+ * Current UTC day as YYYY-MM-DD
+ */
+const utcDay = (now = new Date()) => now.toISOString().slice(0, 10);
+
+/**
+ * Next UTC midnight, when the caps reset
+ */
+const nextReset = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+
+const secondsUntilReset = (now = new Date()) => Math.ceil((nextReset(now).getTime() - now.getTime()) / 1000);
+
+/**
+ * Daily spend caps with automatic model downgrade
+ */
+class BudgetGuard {
+  constructor(options = {}) {
+    this.globalLimit = parseLimit(options.globalLimit ?? process.env.DAILY_BUDGET_USD);
+    this.userLimit = parseLimit(options.userLimit ?? process.env.USER_DAILY_BUDGET_USD);
+    this.downgradeAt = parseRatio(options.downgradeAt ?? process.env.BUDGET_DOWNGRADE_AT);
+    this.loadSpend = options.loadSpend || ((sinceIso) => costReportingService.getSpendSince(sinceIso));
+    this.now = options.now || (() => new Date());
+    this.logger = logger;
+    this.day = null;
+    this.dayLoaded = null;
+    this.resetDay(utcDay(this.now()));
+  }
+
+  get isEnabled() {
+    return this.globalLimit !== null || this.userLimit !== null;
+  }
+
+  resetDay(day) {
+    this.day = day;
+    this.dayLoaded = null;
+    this.global = { spent: 0, held: 0 };
+    this.users = new Map();
+  }
+
+  userState(userId) {
+    if (!this.users.has(userId)) {
+      this.users.set(userId, { spent: 0, held: 0 });
+    }
+    return this.users.get(userId);
+  }
+
+  /**
+   * Roll over at UTC midnight and load the day's spend once
+   * A failed load leaves the totals at zero rather than blocking generation
+   */
+  async ensureDay() {
+    const today = utcDay(this.now());
+    if (today !== this.day) {
+      this.resetDay(today);
+    }
+
+    this.dayLoaded ??= (async () => {
+      try {
+        const spend = await this.loadSpend(`${today}T00:00:00.000Z`);
+        if (!spend || this.day !== today) return;
+
+        this.global.spent += spend.total;
+        Object.entries(spend.byUser || {}).forEach(([userId, total]) => {
+          this.userState(userId).spent += total;
+        });
+      } catch (error) {
+        this.logger.warn('Failed to load today\'s spend, starting from zero', {
+          day: today,
+          error: error.message
+        });
+      }
+    })();
+
+    await this.dayLoaded;
+  }
+
+  /**
+   * Tier that fits under a cap, or null when none does
+   */
+  pickTier(state, limit, images, allowDowngrade) {
+    if (limit === null) {
+      return 'standard';
+    }
+
+    const committed = state.spent + state.held;
+    if (committed + BUDGET_TIERS.standard.costPerImage * images <= limit * this.downgradeAt) {
+      return 'standard';
+    }
+    if (allowDowngrade && committed + BUDGET_TIERS.economy.costPerImage * images <= limit) {
+      return 'economy';
+    }
+    return null;
+  }
+
+  budgetError(scope, limit) {
+    const now = this.now();
+    const message = scope === 'global'
+      ? 'The daily spending limit for image generation has been reached. Please try again tomorrow.'
+      : 'You have reached your daily spending limit for image generation. Please try again tomorrow.';
+
+    return Object.assign(new Error(message), {
+      status: scope === 'global' ? 503 : 429,
+      code: BUDGET_ERROR_CODES[scope],
+      limit,
+      resetsAt: nextReset(now).toISOString(),
+      retryAfter: secondsUntilReset(now)
+    });
+  }
+
+  /**
+   * Check the caps and hold the estimated cost of a generation
+   *
+   * @param {Object} request - Generation details
+   * @param {string} [request.userId] - Signed-in user; anonymous requests only count against the global cap
+   * @param {number} [request.images=1] - Images that will be generated
+   * @param {boolean} [request.allowDowngrade=true] - False when only the standard model can do the job (image edits)
+   * @returns {Promise<Object>} - Ticket { day, userId, tier, estimate, downgraded, generationOptions }
+   * @throws {Error} - status 503 (global cap) or 429 (user cap) with a BUDGET_ERROR_CODES code
+   */
+  async reserve({ userId = null, images = 1, allowDowngrade = true } = {}) {
+    await this.ensureDay();
+
+    const tiers = ['standard', 'economy'];
+    const globalTier = this.pickTier(this.global, this.globalLimit, images, allowDowngrade);
+    if (!globalTier) {
+      this.logger.warn('Global daily budget exhausted, refusing generation', {
+        spent: roundCost(this.global.spent),
+        limit: this.globalLimit
+      });
+      throw this.budgetError('global', this.globalLimit);
+    }
+
+    const userTier = userId ? this.pickTier(this.userState(userId), this.userLimit, images, allowDowngrade) : 'standard';
+    if (!userTier) {
+      this.logger.warn('User daily budget exhausted, refusing generation', {
+        userId,
+        spent: roundCost(this.userState(userId).spent),
+        limit: this.userLimit
+      });
+      throw this.budgetError('user', this.userLimit);
+    }
+
+    // The stricter of the two caps decides
+    const tier = tiers[Math.max(tiers.indexOf(globalTier), tiers.indexOf(userTier))];
+    const estimate = roundCost(BUDGET_TIERS[tier].costPerImage * images);
+
+    this.global.held += estimate;
+    if (userId) this.userState(userId).held += estimate;
+
+    if (tier !== 'standard') {
+      this.logger.info('Close to a daily budget cap, downgrading generation', {
+        userId,
+        tier,
+        globalSpent: roundCost(this.global.spent),
+        globalLimit: this.globalLimit,
+        userLimit: this.userLimit
+      });
+    }
+
+    return {
+      day: this.day,
+      userId,
+      tier,
+      estimate,
+      downgraded: tier !== 'standard',
+      // Passed straight to openaiImageService.generateImage
+      generationOptions: tier === 'economy'
+        ? { forceFallback: true, quality: BUDGET_TIERS.economy.quality }
+        : {}
+    };
+  }
+
+  /**
+   * Release a ticket's hold and add what the generation actually cost
+   *
+   * @param {Object|null} ticket - Result of reserve
+   * @param {number} [actualCost=0] - Actual cost in USD (0 on failure)
+   */
+  settle(ticket, actualCost = 0) {
+    // Tickets from before midnight belong to a day that is no longer tracked
+    if (!ticket || ticket.day !== this.day) return;
+
+    const cost = Number(actualCost) || 0;
+    this.global.held = Math.max(0, this.global.held - ticket.estimate);
+    this.global.spent += cost;
+
+    if (ticket.userId) {
+      const state = this.userState(ticket.userId);
+      state.held = Math.max(0, state.held - ticket.estimate);
+      state.spent += cost;
+    }
+  }
+
+  /**
+   * Release a ticket without charging anything (the generation failed)
+   */
+  release(ticket) {
+    this.settle(ticket, 0);
+  }
+
+  describeCap(state, limit) {
+    if (limit === null) {
+      return { limit: null, spent: roundCost(state.spent), state: 'uncapped' };
+    }
+
+    const committed = state.spent + state.held;
+    let capState = 'normal';
+    if (committed + BUDGET_TIERS.economy.costPerImage > limit) {
+      capState = 'blocked';
+    } else if (committed + BUDGET_TIERS.standard.costPerImage > limit * this.downgradeAt) {
+      capState = 'downgraded';
+    }
+
+    return {
+      limit,
+      spent: roundCost(state.spent),
+      held: roundCost(state.held),
+      remaining: roundCost(Math.max(0, limit - committed)),
+      state: capState
+    };
+  }
+
+  /**
+   * Budget state for /api/health - per-user details are summarized, not listed
+   */
+  getStatus() {
+    const today = utcDay(this.now());
+    if (today !== this.day) {
+      this.resetDay(today);
+    }
+
+    const userCaps = [...this.users.values()].map(state => this.describeCap(state, this.userLimit).state);
+
+    return {
+      enabled: this.isEnabled,
+      day: this.day,
+      resetsInSeconds: secondsUntilReset(this.now()),
+      downgradeAt: this.downgradeAt,
+      tiers: BUDGET_TIERS,
+      global: this.describeCap(this.global, this.globalLimit),
+      users: {
+        limit: this.userLimit,
+        tracked: userCaps.length,
+        downgraded: userCaps.filter(state => state === 'downgraded').length,
+        blocked: userCaps.filter(state => state === 'blocked').length
+      }
+    };
+  }
+}
+
+// Export singleton instance for consistent usage
+const budgetGuard = new BudgetGuard();
+export default budgetGuard;
+
+// Also export the class for testing
+export { BudgetGuard };
@@ -0,0 +1,429 @@
+/**
+ * Collection Service for Coloring Book Creator
+ *
+ * User-defined collections ("Birthday party", "Dinosaur book") for organizing
+ * the gallery. Collections work like folders: each collection is a document in
+ * `user_collections`, and an image belongs to at most one collection through its
+ * `collectionId` field, so adding an image to a collection moves it out of any
+ * other. Deleting a collection keeps its images in the gallery.
+ *
+ * Image counts are counted when collections are listed rather than stored, so
+ * images deleted straight from Firestore by the client never leave them stale.
+ * The cover is an image of the collection - chosen by the user, or the first
+ * image added.
+ *
+ * Evidence: architecture.md Section 3.3.2 - Service layer pattern
+ */
+
+import admin from 'firebase-admin';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('collection-service');
+
+const COLLECTIONS_COLLECTION = 'user_collections';
+const IMAGES_COLLECTION = 'user_images';
+
+export const COLLECTION_LIMITS = {
+  nameLength: 60,
+  perUser: 100,
+  imagesPerRequest: 50
+};
+
+export const COLLECTION_ID_PATTERN = /^[\w-]{1,128}$/;
+
+const badRequest = (message, code = 'INVALID_COLLECTION') => Object.assign(new Error(message), { status: 400, code });
+const notFound = (message) => Object.assign(new Error(message), { status: 404, code: 'NOT_FOUND' });
+
+/**
+ * Trimmed collection name, or a 400 when it is empty or too long
+ *
+ * @param {*} name - Requested name
+ * @returns {string}
+ */
+const readName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+  if (!trimmed || trimmed.length > COLLECTION_LIMITS.nameLength) {
+    throw badRequest(`Collection name must be between 1 and ${COLLECTION_LIMITS.nameLength} characters`);
+  }
+  return trimmed;
+};
+
+/**
+ * Firestore-backed gallery collections
+ */
+class CollectionService {
+  constructor(options = {}) {
+    this.getDb = options.getDb || (() => (admin.apps.length ? admin.app().firestore() : null));
+    this.logger = logger;
+  }
+
+  /**
+   * Whether collections are available (Firebase Admin initialized)
+   *
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.getDb();
+  }
+
+  /**
+   * Firestore handle, or an error when Firebase isn't initialized
+   *
+   * @returns {Object}
+   */
+  requireDb() {
+    const db = this.getDb();
+    if (!db) {
+      throw new Error('Firestore database not available');
+    }
+    return db;
+  }
+
+  /**
+   * A collection owned by the user
+   *
+   * @param {Object} db - Firestore
+   * @param {string} userId - Owner's uid
+   * @param {string} collectionId - Collection id
+   * @returns {Promise<Object>} - { ref, data }
+   * @throws {Error} - 404 when missing or owned by someone else
+   */
+  async getOwnedCollection(db, userId, collectionId) {
+    const ref = db.collection(COLLECTIONS_COLLECTION).doc(collectionId);
+    const snapshot = await ref.get();
+    // Someone else's collection looks the same as a missing one
+    if (!snapshot.exists || snapshot.data().userId !== userId) {
+      throw notFound('Collection not found');
+    }
+    return { ref, data: snapshot.data() };
+  }
+
+  /**
+   * The user's images with the given ids
+   *
+   * @param {Object} db - Firestore
+   * @param {string} userId - Owner's uid
+   * @param {string[]} imageIds - Image ids
+   * @returns {Promise<Object[]>} - Image snapshots
+   * @throws {Error} - 404 naming the first id that is missing or not the user's
+   */
+  async getOwnedImages(db, userId, imageIds) {
+    const ids = [...new Set(imageIds)];
+    if (ids.length === 0 || ids.length > COLLECTION_LIMITS.imagesPerRequest) {
+      throw badRequest(`Choose between 1 and ${COLLECTION_LIMITS.imagesPerRequest} images`, 'INVALID_IMAGES');
+    }
+
+    const snapshots = await db.getAll(...ids.map(id => db.collection(IMAGES_COLLECTION).doc(id)));
+    const missing = snapshots.find(snapshot => !snapshot.exists || snapshot.data().userId !== userId);
+    if (missing) {
+      throw notFound(`Image ${missing.id} not found`);
+    }
+    return snapshots;
+  }
+
+  /**
+   * Whether an image is one of the user's and in the collection
+   *
+   * @param {Object} db - Firestore
+   * @param {string} userId - Owner's uid
+   * @param {string} collectionId - Collection id
+   * @param {string|null} imageId - Image id
+   * @returns {Promise<boolean>}
+   */
+  async isMember(db, userId, collectionId, imageId) {
+    if (!imageId) {
+      return false;
+    }
+
+    const snapshot = await db.collection(IMAGES_COLLECTION).doc(imageId).get();
+    return snapshot.exists && snapshot.data().userId === userId && snapshot.data().collectionId === collectionId;
+  }
+
+  /**
+   * The user's collections, alphabetically, with image counts and covers
+   *
+   * @param {string} userId - Owner's uid
+   * @returns {Promise<Object[]>} - Public collections
+   */
+  async listCollections(userId) {
+    const db = this.requireDb();
+    const snapshot = await db.collection(COLLECTIONS_COLLECTION)
+      .where('userId', '==', userId)
+      .limit(COLLECTION_LIMITS.perUser)
+      .get();
+
+    if (snapshot.docs.length === 0) {
+      return [];
+    }
+
+    const images = db.collection(IMAGES_COLLECTION);
+    const [counts, covers] = await Promise.all([
+      Promise.all(snapshot.docs.map(doc => images
+        .where('userId', '==', userId)
+        .where('collectionId', '==', doc.id)
+        .count()
+        .get()
+        .then(result => result.data().count))),
+      this.readCovers(db, userId, snapshot.docs)
+    ]);
+
+    // Sorted here so the query needs no composite index
+    return snapshot.docs
+      .map((doc, index) => this.toPublicCollection(doc.id, doc.data(), {
+        imageCount: counts[index],
+        cover: covers.get(doc.id) || null
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  }
+
+  /**
+   * Cover images that still exist and are still in their collection
+   *
+   * @param {Object} db - Firestore
+   * @param {string} userId - Owner's uid
+   * @param {Object[]} collectionDocs - Collection snapshots
+   * @returns {Promise<Map>} - Collection id → { id, imageUrl }
+   */
+  async readCovers(db, userId, collectionDocs) {
+    const withCover = collectionDocs.filter(doc => doc.data().coverImageId);
+    const covers = new Map();
+    if (withCover.length === 0) {
+      return covers;
+    }
+
+    const snapshots = await db.getAll(
+      ...withCover.map(doc => db.collection(IMAGES_COLLECTION).doc(doc.data().coverImageId))
+    );
+    snapshots.forEach((snapshot, index) => {
+      const image = snapshot.exists ? snapshot.data() : null;
+      const collectionId = withCover[index].id;
+      if (image && image.userId === userId && image.collectionId === collectionId) {
+        covers.set(collectionId, { id: snapshot.id, imageUrl: image.imageUrl });
+      }
+    });
+    return covers;
+  }
+
+  /**
+   * Create a collection
+   *
+   * @param {string} userId - Owner's uid
+   * @param {Object} fields
+   * @param {string} fields.name - Collection name, unique per user (ignoring case)
+   * @returns {Promise<Object>} - Public collection
+   */
+  async createCollection(userId, { name }) {
+    const db = this.requireDb();
+    const collectionName = readName(name);
+
+    const existing = await db.collection(COLLECTIONS_COLLECTION)
+      .where('userId', '==', userId)
+      .limit(COLLECTION_LIMITS.perUser)
+      .get();
+    if (existing.docs.length >= COLLECTION_LIMITS.perUser) {
+      throw badRequest(`You can have up to ${COLLECTION_LIMITS.perUser} collections`, 'COLLECTION_LIMIT');
+    }
+    this.assertUniqueName(existing.docs, collectionName);
+
+    const collection = {
+      userId,
+      name: collectionName,
+      coverImageId: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    const ref = await db.collection(COLLECTIONS_COLLECTION).add(collection);
+
+    this.logger.info('Collection created', { userId, collectionId: ref.id });
+    return this.toPublicCollection(ref.id, { ...collection, createdAt: null, updatedAt: null }, { imageCount: 0, cover: null });
+  }
+
+  /**
+   * Rename a collection and/or choose its cover
+   *
+   * @param {string} userId - Owner's uid
+   * @param {string} collectionId - Collection id
+   * @param {Object} changes
+   * @param {string} [changes.name] - New name
+   * @param {string|null} [changes.coverImageId] - An image in the collection, or null for none
+   * @returns {Promise<Object>} - { id, name, coverImageId }
+   */
+  async updateCollection(userId, collectionId, { name, coverImageId } = {}) {
+    const db = this.requireDb();
+    const { ref, data } = await this.getOwnedCollection(db, userId, collectionId);
+    const changes = {};
+
+    if (name !== undefined) {
+      changes.name = readName(name);
+      if (changes.name.toLowerCase() !== data.name.toLowerCase()) {
+        const siblings = await db.collection(COLLECTIONS_COLLECTION)
+          .where('userId', '==', userId)
+          .limit(COLLECTION_LIMITS.perUser)
+          .get();
+        this.assertUniqueName(siblings.docs.filter(doc => doc.id !== collectionId), changes.name);
+      }
+    }
+
+    if (coverImageId !== undefined) {
+      if (coverImageId !== null) {
+        const [image] = await this.getOwnedImages(db, userId, [coverImageId]);
+        if (image.data().collectionId !== collectionId) {
+          throw badRequest('The cover must be an image in this collection', 'INVALID_COVER');
+        }
+      }
+      changes.coverImageId = coverImageId;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw badRequest('Nothing to update');
+    }
+
+    await ref.update({ ...changes, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return { id: collectionId, name: changes.name ?? data.name, coverImageId: changes.coverImageId ?? data.coverImageId ?? null };
+  }
+
+  /**
+   * Delete a collection; its images stay in the gallery without a collection
+   *
+   * @param {string} userId - Owner's uid
+   * @param {string} collectionId - Collection id
+   * @returns {Promise<number>} - Images taken out of the collection
+   */
+  async deleteCollection(userId, collectionId) {
+    const db = this.requireDb();
+    const { ref } = await this.getOwnedCollection(db, userId, collectionId);
+
+    const members = await db.collection(IMAGES_COLLECTION)
+      .where('userId', '==', userId)
+      .where('collectionId', '==', collectionId)
+      .select()
+      .get();
+
+    // Batches hold up to 500 writes; the collection document goes in the last one
+    const docs = members.docs;
+    for (let index = 0; index === 0 || index < docs.length; index += 400) {
+      const batch = db.batch();
+      docs.slice(index, index + 400).forEach(doc => batch.update(doc.ref, { collectionId: null }));
+      if (index + 400 >= docs.length) {
+        batch.delete(ref);
+      }
+      await batch.commit();
+    }
+
+    this.logger.info('Collection deleted', { userId, collectionId, imageCount: docs.length });
+    return docs.length;
+  }
+
+  /**
+   * Move images into a collection (out of whichever collection they were in)
+   * The first image becomes the cover when the collection has none or its cover
+   * is no longer in it. Collections the images leave lose them as their cover.
+   *
+   * @param {string} userId - Owner's uid
+   * @param {string} collectionId - Target collection
+   * @param {string[]} imageIds - Images to move
+   * @returns {Promise<Object>} - { moved, coverImageId }
+   */
+  async addImages(userId, collectionId, imageIds) {
+    const db = this.requireDb();
+    const { ref, data } = await this.getOwnedCollection(db, userId, collectionId);
+    const images = await this.getOwnedImages(db, userId, imageIds);
+
+    const movedIds = new Set(images.map(image => image.id));
+    const sourceIds = [...new Set(images.map(image => image.data().collectionId))]
+      .filter(id => id && id !== collectionId);
+    const sources = sourceIds.length
+      ? await db.getAll(...sourceIds.map(id => db.collection(COLLECTIONS_COLLECTION).doc(id)))
+      : [];
+
+    const batch = db.batch();
+    images.forEach(image => batch.update(image.ref, { collectionId }));
+
+    sources
+      .filter(source => source.exists && movedIds.has(source.data().coverImageId))
+      .forEach(source => batch.update(source.ref, {
+        coverImageId: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }));
+
+    const keepCover = movedIds.has(data.coverImageId) ||
+      await this.isMember(db, userId, collectionId, data.coverImageId);
+    const coverImageId = keepCover ? data.coverImageId : images[0].id;
+    batch.update(ref, {
+      coverImageId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await batch.commit();
+
+    return { moved: images.length, coverImageId };
+  }
+
+  /**
+   * Take images out of a collection (they stay in the gallery)
+   * Images that aren't in this collection are left alone.
+   *
+   * @param {string} userId - Owner's uid
+   * @param {string} collectionId - Collection id
+   * @param {string[]} imageIds - Images to take out
+   * @returns {Promise<Object>} - { removed, coverImageId }
+   */
+  async removeImages(userId, collectionId, imageIds) {
+    const db = this.requireDb();
+    const { ref, data } = await this.getOwnedCollection(db, userId, collectionId);
+    const members = (await this.getOwnedImages(db, userId, imageIds))
+      .filter(image => image.data().collectionId === collectionId);
+
+    const batch = db.batch();
+    members.forEach(image => batch.update(image.ref, { collectionId: null }));
+
+    const coverRemoved = members.some(image => image.id === data.coverImageId);
+    const coverImageId = coverRemoved ? null : data.coverImageId || null;
+    batch.update(ref, {
+      coverImageId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await batch.commit();
+
+    return { removed: members.length, coverImageId };
+  }
+
+  /**
+   * Reject a name another of the user's collections already has (ignoring case)
+   *
+   * @param {Object[]} docs - The user's other collections
+   * @param {string} name - Requested name
+   */
+  assertUniqueName(docs, name) {
+    const lower = name.toLowerCase();
+    if (docs.some(doc => String(doc.data().name).toLowerCase() === lower)) {
+      throw Object.assign(new Error(`You already have a collection named "${name}"`), { status: 409, code: 'DUPLICATE_NAME' });
+    }
+  }
+
+  /**
+   * Client-facing view of a collection
+   *
+   * @param {string} id - Collection id
+   * @param {Object} collection - Stored collection
+   * @param {Object} extra - { imageCount, cover }
+   * @returns {Object} - Public collection
+   */
+  toPublicCollection(id, collection, { imageCount, cover }) {
+    return {
+      id,
+      name: collection.name,
+      imageCount,
+      coverImageId: cover?.id || null,
+      coverImageUrl: cover?.imageUrl || null,
+      createdAt: collection.createdAt?.toDate?.()?.toISOString() || null,
+      updatedAt: collection.updatedAt?.toDate?.()?.toISOString() || null
+    };
+  }
+}
+
+// Export singleton instance for consistent usage
+const collectionService = new CollectionService();
+export default collectionService;
+
+// Also export the class for testing
+export { CollectionService };
@@ -0,0 +1,320 @@
+/**
+ * Cost Reporting Service for Coloring Book Creator
+ *
+ * Records the `costs` object of every generation (signed-in or anonymous) in
+ * Firestore and aggregates it into daily, weekly or monthly spending totals by
+ * user, model (gpt-image-1 vs the dall-e-3 fallback) and detected category.
+ * Powers the admin spending dashboard and its CSV export.
+ *
+ * Evidence: architecture.md Section 3.3.2 - Service layer pattern
+ * Note: Weeks start on Monday; all buckets are in UTC.
+ */
+
+import admin from 'firebase-admin';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('cost-reporting');
+
+const COSTS_COLLECTION = 'generation_costs';
+
+// Upper bound on entries read for one report; larger ranges are flagged as truncated
+const MAX_REPORT_ENTRIES = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Report periods and the range shown when no dates are given
+ */
+export const REPORT_PERIODS = {
+  day: { defaultDays: 30 },
+  week: { defaultDays: 12 * 7 },
+  month: { defaultDays: 365 }
+};
+
+export const ANONYMOUS_USER = 'anonymous';
+
+const CSV_COLUMNS = ['period_start', 'user_id', 'user_email', 'model', 'category', 'generations', 'images', 'image_cost_usd', 'token_cost_usd', 'total_cost_usd'];
+
+const roundCost = (value) => Number(value.toFixed(4));
+
+/**
+ * Start of the bucket a timestamp falls in
+ *
+ * @param {string} iso - ISO timestamp
+ * @param {string} period - 'day' | 'week' | 'month'
+ * @returns {string} - YYYY-MM-DD (day, week) or YYYY-MM (month)
+ */
+export const bucketStart = (iso, period) => {
+  if (period === 'month') {
+    return iso.slice(0, 7);
+  }
+
+  const date = new Date(iso);
+  if (period === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+const emptyTotals = () => ({ generations: 0, images: 0, imageCost: 0, tokenCost: 0, totalCost: 0 });
+
+const addEntry = (totals, entry) => {
+  totals.generations += 1;
+  totals.images += entry.imageCount || 1;
+  totals.imageCost += entry.costs?.imageCost || 0;
+  totals.tokenCost += entry.costs?.tokenCost || 0;
+  totals.totalCost += entry.costs?.totalCost || 0;
+  return totals;
+};
+
+const finishTotals = (totals) => ({
+  ...totals,
+  imageCost: roundCost(totals.imageCost),
+  tokenCost: roundCost(totals.tokenCost),
+  totalCost: roundCost(totals.totalCost)
+});
+
+/**
+ * Aggregate cost entries into period buckets and per-dimension breakdowns
+ *
+ * @param {Array<Object>} entries - Recorded cost entries
+ * @param {string} period - 'day' | 'week' | 'month'
+ * @returns {Object} - { totals, buckets, byModel, byCategory, byUser, rows }
+ */
+export const aggregateCosts = (entries, period) => {
+  const totals = emptyTotals();
+  const buckets = new Map();
+  const dimensions = { byModel: new Map(), byCategory: new Map(), byUser: new Map() };
+  const rows = new Map();
+  const userEmails = new Map();
+
+  const addTo = (map, key, entry) => {
+    if (!map.has(key)) map.set(key, emptyTotals());
+    addEntry(map.get(key), entry);
+  };
+
+  entries.forEach(entry => {
+    const start = bucketStart(entry.createdAt, period);
+    const userId = entry.userId || ANONYMOUS_USER;
+    const model = entry.model || 'unknown';
+    const category = entry.category || 'uncategorized';
+
+    if (entry.userEmail) userEmails.set(userId, entry.userEmail);
+
+    addEntry(totals, entry);
+    addTo(buckets, start, entry);
+    addTo(dimensions.byModel, model, entry);
+    addTo(dimensions.byCategory, category, entry);
+    addTo(dimensions.byUser, userId, entry);
+    addTo(rows, JSON.stringify([start, userId, model, category]), entry);
+  });
+
+  // Breakdowns are listed most expensive first, with their share of the total spend
+  const toBreakdown = (map, withLabel = false) => [...map.entries()]
+    .map(([key, value]) => ({
+      key,
+      ...(withLabel && { label: userEmails.get(key) || key }),
+      ...finishTotals(value),
+      share: totals.totalCost > 0 ? roundCost(value.totalCost / totals.totalCost) : 0
+    }))
+    .sort((a, b) => b.totalCost - a.totalCost || b.generations - a.generations);
+
+  return {
+    totals: finishTotals(totals),
+    buckets: [...buckets.entries()]
+      .map(([start, value]) => ({ start, ...finishTotals(value) }))
+      .sort((a, b) => a.start.localeCompare(b.start)),
+    byModel: toBreakdown(dimensions.byModel),
+    byCategory: toBreakdown(dimensions.byCategory),
+    byUser: toBreakdown(dimensions.byUser, true),
+    rows: [...rows.entries()]
+      .map(([key, value]) => {
+        const [start, userId, model, category] = JSON.parse(key);
+        return { start, userId, userEmail: userEmails.get(userId) || null, model, category, ...finishTotals(value) };
+      })
+      .sort((a, b) => a.start.localeCompare(b.start) || b.totalCost - a.totalCost)
+  };
+};
+
+/**
+ * Quote a CSV field when it contains a separator, quote or newline
+ */
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV row per period, user, model and category - ready for a spreadsheet pivot
+ *
+ * @param {Object} report - Result of getReport
+ * @returns {string} - CSV text with a header row
+ */
+export const reportToCsv = (report) => [
+  CSV_COLUMNS.join(','),
+  ...report.rows.map(row => [
+    row.start,
+    row.userId,
+    row.userEmail,
+    row.model,
+    row.category,
+    row.generations,
+    row.images,
+    row.imageCost,
+    row.tokenCost,
+    row.totalCost
+  ].map(csvField).join(','))
+].join('\n') + '\n';
+
+/**
+ * Firestore-backed generation cost log and reports
+ */
+class CostReportingService {
+  constructor(options = {}) {
+    this.getDb = options.getDb || (() => (admin.apps.length ? admin.app().firestore() : null));
+    this.maxEntries = options.maxEntries || MAX_REPORT_ENTRIES;
+    this.logger = logger;
+  }
+
+  /**
+   * Record the cost of a finished generation
+   * Never throws - a reporting failure must not fail the generation.
+   *
+   * @param {Object} entry - Generation details
+   * @param {Object|null} entry.user - Authenticated user ({ uid, email }) or null
+   * @param {string} entry.model - Model that produced the images
+   * @param {string} [entry.category] - Detected prompt category
+   * @param {Object} entry.costs - { imageCost, tokenCost, totalCost } from the image metadata
+   * @param {number} [entry.imageCount=1] - Images produced
+   * @param {string} [entry.endpoint] - Endpoint that ran the generation
+   * @param {string} [entry.requestId] - Request ID for log correlation
+   * @returns {Promise<string|null>} - Entry ID or null when skipped/failed
+   */
+  async recordGeneration({ user, model, category, costs, imageCount = 1, endpoint, requestId }) {
+    const db = this.getDb();
+    if (!db) {
+      return null;
+    }
+
+    try {
+      const docRef = await db.collection(COSTS_COLLECTION).add({
+        userId: user?.uid || null,
+        userEmail: user?.email || null,
+        model: model || 'unknown',
+        category: category || null,
+        imageCount,
+        costs: {
+          imageCost: costs?.imageCost || 0,
+          tokenCost: costs?.tokenCost || 0,
+          totalCost: costs?.totalCost || 0
+        },
+        mock: !!costs?.mock,
+        endpoint: endpoint || null,
+        requestId: requestId || null,
+        createdAt: new Date().toISOString()
+      });
+
+      return docRef.id;
+    } catch (error) {
+      this.logger.error('Failed to record generation cost', {
+        requestId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the report range; `to` is inclusive
+   *
+   * @param {string} period - 'day' | 'week' | 'month'
+   * @param {string} [from] - YYYY-MM-DD
+   * @param {string} [to] - YYYY-MM-DD
+   * @param {Date} [now] - Current time, for the default range
+   * @returns {{ from: string, to: string, fromIso: string, toIso: string }} - Dates and the exclusive ISO query bounds
+   */
+  resolveRange(period, from, to, now = new Date()) {
+    const toDate = to ? new Date(`${to}T00:00:00.000Z`) : new Date(now.toISOString().slice(0, 10) + 'T00:00:00.000Z');
+    const fromDate = from
+      ? new Date(`${from}T00:00:00.000Z`)
+      : new Date(toDate.getTime() - (REPORT_PERIODS[period].defaultDays - 1) * DAY_MS);
+
+    return {
+      from: fromDate.toISOString().slice(0, 10),
+      to: toDate.toISOString().slice(0, 10),
+      fromIso: fromDate.toISOString(),
+      toIso: new Date(toDate.getTime() + DAY_MS).toISOString()
+    };
+  }
+
+  /**
+   * Total spend since a point in time, overall and per signed-in user
+   * Used by the budget guard to pick up the day's spend after a restart.
+   *
+   * @param {string} sinceIso - ISO timestamp
+   * @returns {Promise<{ total: number, byUser: Object<string, number> }|null>} - Spend in USD, or null when Firestore is unavailable
+   */
+  async getSpendSince(sinceIso) {
+    const db = this.getDb();
+    if (!db) {
+      return null;
+    }
+
+    const snapshot = await db.collection(COSTS_COLLECTION)
+      .where('createdAt', '>=', sinceIso)
+      .limit(this.maxEntries)
+      .get();
+
+    return snapshot.docs.reduce((spend, doc) => {
+      const { userId, costs } = doc.data();
+      const cost = costs?.totalCost || 0;
+      spend.total += cost;
+      if (userId) spend.byUser[userId] = (spend.byUser[userId] || 0) + cost;
+      return spend;
+    }, { total: 0, byUser: {} });
+  }
+
+  /**
+   * Spending report for a date range
+   *
+   * @param {Object} options - Report options
+   * @param {string} [options.period='day'] - 'day' | 'week' | 'month'
+   * @param {string} [options.from] - First day (YYYY-MM-DD); defaults to the period's usual range
+   * @param {string} [options.to] - Last day (YYYY-MM-DD, inclusive); defaults to today
+   * @returns {Promise<Object|null>} - Aggregated report, or null when Firestore is unavailable
+   */
+  async getReport({ period = 'day', from, to } = {}) {
+    const db = this.getDb();
+    if (!db) {
+      return null;
+    }
+
+    const range = this.resolveRange(period, from, to);
+
+    // Single-field range on createdAt - no composite index needed
+    const snapshot = await db.collection(COSTS_COLLECTION)
+      .where('createdAt', '>=', range.fromIso)
+      .where('createdAt', '<', range.toIso)
+      .orderBy('createdAt')
+      .limit(this.maxEntries)
+      .get();
+
+    const entries = snapshot.docs.map(doc => doc.data());
+
+    return {
+      period,
+      from: range.from,
+      to: range.to,
+      truncated: entries.length >= this.maxEntries,
+      generatedAt: new Date().toISOString(),
+      ...aggregateCosts(entries, period)
+    };
+  }
+}
+
+// Export singleton instance for consistent usage
+const costReportingService = new CostReportingService();
+export default costReportingService;
+
+// Also export the class for testing
+export { CostReportingService };
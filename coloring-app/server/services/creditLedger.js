@@ -0,0 +1,416 @@
+/**
+ * Credit Ledger Service for Coloring Book Creator
+ *
+ * Per-user generation quotas backed by CostCalculator. Each signed-in user has
+ * a credit account in Firestore (plan, balance) and a transaction history:
+ *
+ *   reserve → the estimated cost is held before the image request is sent
+ *   settle  → the hold is replaced by the actual cost from the image metadata
+ *   refund  → the hold is released when generation fails
+ *
+ * One credit is one cent of OpenAI cost. Plans grant a monthly allowance; at the
+ * start of each month the balance is topped back up to it (bonus credits above
+ * the allowance are kept).
+ *
+ * Evidence: architecture.md Section 3.3.2 - Service layer pattern
+ * Note: Anonymous requests and servers without Firebase skip the ledger - the
+ * per-IP rate limits still apply to them.
+ */
+
+import admin from 'firebase-admin';
+import { CostCalculator } from './openaiService.js';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('credit-ledger');
+
+const ACCOUNTS_COLLECTION = 'user_credits';
+const TRANSACTIONS_COLLECTION = 'transactions';
+
+export const CREDITS_PER_DOLLAR = 100;
+
+/**
+ * Plans and their monthly credit allowance
+ * Users start on DEFAULT_PLAN; the plan field on their account can be changed in Firestore.
+ */
+export const CREDIT_PLANS = {
+  free: { label: 'Free', monthlyCredits: 200 },
+  creator: { label: 'Creator', monthlyCredits: 2000 },
+  studio: { label: 'Studio', monthlyCredits: 10000 }
+};
+
+export const DEFAULT_PLAN = 'free';
+
+// gpt-image-1 bills output tokens on top of the per-image price (~4160 for a high quality 1024x1024)
+const ESTIMATED_OUTPUT_TOKENS_PER_IMAGE = 4160;
+
+/**
+ * Convert a dollar cost to whole credits, rounding up so partial cents are charged
+ *
+ * @param {number} cost - Cost in dollars
+ * @returns {number} - Credits
+ */
+export const toCredits = (cost) => Math.ceil(Number(((cost || 0) * CREDITS_PER_DOLLAR).toFixed(4)));
+
+/**
+ * Firestore-backed credit accounts and transaction history
+ */
+class CreditLedger {
+  constructor(options = {}) {
+    this.getDb = options.getDb || (() => (admin.apps.length ? admin.app().firestore() : null));
+    this.costCalculator = options.costCalculator || new CostCalculator();
+    this.logger = logger;
+  }
+
+  /**
+   * Whether credit accounts are available (Firebase Admin initialized)
+   *
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.getDb();
+  }
+
+  /**
+   * Worst-case cost of a generation, held until the actual cost is known
+   * Priced at the primary model so a dall-e-3 fallback only ever settles lower.
+   *
+   * @param {number} [variations=1] - Number of images requested
+   * @returns {number} - Estimated cost in dollars
+   */
+  estimateGenerationCost(variations = 1) {
+    const { totalCost } = this.costCalculator.calculateImageCost(
+      'gpt-image-1',
+      '1024x1024',
+      'high',
+      ESTIMATED_OUTPUT_TOKENS_PER_IMAGE
+    );
+    return Number((totalCost * variations).toFixed(4));
+  }
+
+  /**
+   * Apply the plan's monthly allowance to an account
+   *
+   * @param {string} userId - Firebase user ID
+   * @param {Object|null} data - Stored account, or null for a new user
+   * @param {Date} now - Current time
+   * @returns {{ account: Object, grant: Object|null }} - Refreshed account and the grant entry to record
+   */
+  refreshAccount(userId, data, now) {
+    const period = now.toISOString().slice(0, 7);
+    const timestamp = now.toISOString();
+
+    if (data && data.period === period) {
+      return { account: data, grant: null };
+    }
+
+    const plan = CREDIT_PLANS[data?.plan] ? data.plan : DEFAULT_PLAN;
+    const { label, monthlyCredits } = CREDIT_PLANS[plan];
+    const previousBalance = data?.balance ?? 0;
+    const balance = Math.max(previousBalance, monthlyCredits);
+
+    const account = {
+      userId,
+      plan,
+      reserved: 0,
+      totalSpent: 0,
+      createdAt: timestamp,
+      ...data,
+      balance,
+      period,
+      updatedAt: timestamp
+    };
+
+    const grant = balance > previousBalance
+      ? {
+        type: 'grant',
+        status: 'settled',
+        credits: balance - previousBalance,
+        description: `${label} plan monthly credits`,
+        createdAt: timestamp
+      }
+      : null;
+
+    return { account, grant };
+  }
+
+  /**
+   * Hold the estimated cost of a generation
+   *
+   * @param {string|null} userId - Firebase user ID; anonymous requests are not charged
+   * @param {number} estimatedCost - Estimated cost in dollars
+   * @param {Object} [details] - Stored with the entry ({ requestId, description, variations })
+   * @returns {Promise<Object|null>} - Reservation ({ id, userId, credits, balance }) or null when skipped
+   * @throws {Error} - status 402 (code INSUFFICIENT_CREDITS) when the balance is too low
+   */
+  async reserve(userId, estimatedCost, details = {}) {
+    const db = this.getDb();
+    if (!db || !userId) {
+      return null;
+    }
+
+    const credits = toCredits(estimatedCost);
+    const accountRef = db.collection(ACCOUNTS_COLLECTION).doc(userId);
+    const entryRef = accountRef.collection(TRANSACTIONS_COLLECTION).doc();
+
+    try {
+      const balance = await db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(accountRef);
+        const now = new Date();
+        const { account, grant } = this.refreshAccount(userId, snapshot.exists ? snapshot.data() : null, now);
+
+        if (account.balance < credits) {
+          throw Object.assign(
+            new Error(`Not enough credits: this generation needs ${credits} and you have ${Math.max(account.balance, 0)} left`),
+            { status: 402, code: 'INSUFFICIENT_CREDITS', balance: account.balance, required: credits }
+          );
+        }
+
+        if (grant) {
+          transaction.set(accountRef.collection(TRANSACTIONS_COLLECTION).doc(), grant);
+        }
+
+        transaction.set(accountRef, {
+          ...account,
+          balance: account.balance - credits,
+          reserved: (account.reserved || 0) + credits,
+          updatedAt: now.toISOString()
+        });
+
+        transaction.set(entryRef, {
+          type: 'generation',
+          status: 'reserved',
+          reservedCredits: credits,
+          credits,
+          requestId: details.requestId || null,
+          description: details.description || null,
+          variations: details.variations || 1,
+          createdAt: now.toISOString()
+        });
+
+        return account.balance - credits;
+      });
+
+      this.logger.info('Credits reserved', { userId, credits, balance, requestId: details.requestId });
+      return { id: entryRef.id, userId, credits, balance };
+
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_CREDITS') {
+        this.logger.warn('Generation blocked - insufficient credits', {
+          userId,
+          balance: error.balance,
+          required: error.required,
+          requestId: details.requestId
+        });
+        throw error;
+      }
+
+      // Ledger outages shouldn't block generation - the per-IP limits still apply
+      this.logger.error('Credit reservation failed, continuing without charge', {
+        userId,
+        error: error.message,
+        requestId: details.requestId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Replace a reservation with the actual cost of the generation
+   *
+   * @param {Object|null} reservation - Result of reserve()
+   * @param {number} actualCost - Actual cost in dollars (image metadata costs.totalCost)
+   * @param {Object} [details] - Stored with the entry ({ model })
+   * @returns {Promise<Object|null>} - { charged, balance } or null when skipped
+   */
+  async settle(reservation, actualCost, details = {}) {
+    return this.closeReservation(reservation, 'settled', toCredits(actualCost), {
+      cost: Number((actualCost || 0).toFixed(4)),
+      model: details.model || null
+    });
+  }
+
+  /**
+   * Release a reservation after a failed generation
+   *
+   * @param {Object|null} reservation - Result of reserve()
+   * @param {string} [reason] - Failure message stored with the entry
+   * @returns {Promise<Object|null>} - { charged: 0, balance } or null when skipped
+   */
+  async refund(reservation, reason = null) {
+    return this.closeReservation(reservation, 'refunded', 0, { reason });
+  }
+
+  /**
+   * Settle or refund a reservation; entries that are already closed are left alone
+   *
+   * @param {Object|null} reservation - Result of reserve()
+   * @param {string} status - 'settled' | 'refunded'
+   * @param {number} credits - Credits finally charged
+   * @param {Object} fields - Extra fields stored with the entry
+   * @returns {Promise<Object|null>} - { charged, balance } or null when skipped
+   */
+  async closeReservation(reservation, status, credits, fields) {
+    const db = this.getDb();
+    if (!db || !reservation) {
+      return null;
+    }
+
+    const accountRef = db.collection(ACCOUNTS_COLLECTION).doc(reservation.userId);
+    const entryRef = accountRef.collection(TRANSACTIONS_COLLECTION).doc(reservation.id);
+
+    try {
+      const result = await db.runTransaction(async (transaction) => {
+        const accountSnapshot = await transaction.get(accountRef);
+        const entrySnapshot = await transaction.get(entryRef);
+
+        if (!accountSnapshot.exists || !entrySnapshot.exists || entrySnapshot.data().status !== 'reserved') {
+          return null;
+        }
+
+        const account = accountSnapshot.data();
+        const { reservedCredits } = entrySnapshot.data();
+        const now = new Date().toISOString();
+        const balance = account.balance + reservedCredits - credits;
+
+        transaction.update(accountRef, {
+          balance,
+          reserved: Math.max((account.reserved || 0) - reservedCredits, 0),
+          totalSpent: (account.totalSpent || 0) + credits,
+          updatedAt: now
+        });
+
+        transaction.update(entryRef, {
+          status,
+          credits,
+          ...fields,
+          settledAt: now
+        });
+
+        return { charged: credits, balance };
+      });
+
+      if (result) {
+        this.logger.info(`Credit reservation ${status}`, {
+          userId: reservation.userId,
+          reservationId: reservation.id,
+          reserved: reservation.credits,
+          charged: result.charged,
+          balance: result.balance
+        });
+      }
+
+      return result;
+
+    } catch (error) {
+      // The image is already generated - a ledger error must not fail the request
+      this.logger.error(`Failed to mark credit reservation ${status}`, {
+        userId: reservation.userId,
+        reservationId: reservation.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Load a user's account, creating it with the default plan on first use
+   *
+   * @param {string} userId - Firebase user ID
+   * @returns {Promise<Object|null>} - Public account view or null when the ledger is disabled
+   */
+  async getAccount(userId) {
+    const db = this.getDb();
+    if (!db || !userId) {
+      return null;
+    }
+
+    const accountRef = db.collection(ACCOUNTS_COLLECTION).doc(userId);
+
+    const account = await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(accountRef);
+      const stored = snapshot.exists ? snapshot.data() : null;
+      const { account: refreshed, grant } = this.refreshAccount(userId, stored, new Date());
+
+      if (grant) {
+        transaction.set(accountRef.collection(TRANSACTIONS_COLLECTION).doc(), grant);
+      }
+      // New users and a new month both produce a refreshed account to store
+      if (refreshed !== stored) {
+        transaction.set(accountRef, refreshed);
+      }
+
+      return refreshed;
+    });
+
+    return this.toPublicAccount(account);
+  }
+
+  /**
+   * Most recent ledger entries for a user (newest first)
+   *
+   * @param {string} userId - Firebase user ID
+   * @param {number} [limit=20] - Maximum entries to return
+   * @returns {Promise<Array<Object>>} - Public entry views
+   */
+  async getHistory(userId, limit = 20) {
+    const db = this.getDb();
+    if (!db || !userId) {
+      return [];
+    }
+
+    const snapshot = await db.collection(ACCOUNTS_COLLECTION).doc(userId)
+      .collection(TRANSACTIONS_COLLECTION)
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => this.toPublicEntry(doc.id, doc.data()));
+  }
+
+  /**
+   * Client-facing view of an account
+   *
+   * @param {Object} account - Stored account
+   * @returns {Object} - Public account data
+   */
+  toPublicAccount(account) {
+    const plan = CREDIT_PLANS[account.plan] ? account.plan : DEFAULT_PLAN;
+    return {
+      plan,
+      planLabel: CREDIT_PLANS[plan].label,
+      monthlyCredits: CREDIT_PLANS[plan].monthlyCredits,
+      balance: account.balance,
+      reserved: account.reserved || 0,
+      totalSpent: account.totalSpent || 0,
+      period: account.period
+    };
+  }
+
+  /**
+   * Client-facing view of a ledger entry
+   *
+   * @param {string} id - Entry ID
+   * @param {Object} entry - Stored entry
+   * @returns {Object} - Public entry data
+   */
+  toPublicEntry(id, entry) {
+    return {
+      id,
+      type: entry.type,
+      status: entry.status,
+      credits: entry.credits,
+      description: entry.description || null,
+      model: entry.model || null,
+      variations: entry.variations || null,
+      createdAt: entry.createdAt,
+      settledAt: entry.settledAt || null
+    };
+  }
+}
+
+// Export singleton instance for consistent usage
+const creditLedger = new CreditLedger();
+export default creditLedger;
+
+// Also export the class for testing
+export { CreditLedger };
@@ -0,0 +1,383 @@
+/**
+ * Gallery Service for Coloring Book Creator
+ *
+ * Reads a user's saved pages (`user_images`) a page at a time, with optional
+ * search, filters and sort order. Pages are cursor-based: each one is ordered by
+ * the sort field and then document id, and the next page starts after the last
+ * document read. Unlike offset() this costs the same for page 30 as for page 1,
+ * and pages don't shift when an image is saved or deleted in between.
+ *
+ * Search and filters run as Firestore queries on fields written when an image
+ * is saved (see describeGalleryImage):
+ *   searchTokens → lowercase words of the prompt (and its English translation)
+ *   titleSort    → lowercase prompt, for A-Z sorting
+ *   facets       → theme, complexity, age group, detected category and model
+ * Images saved before these fields existed are backfilled the first time their
+ * owner searches, filters or sorts. Each combination needs a composite index
+ * from firestore.indexes.json.
+ *
+ * Evidence: architecture.md Section 3.3.2 - Service layer pattern
+ */
+
+import admin from 'firebase-admin';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('gallery-service');
+
+const IMAGES_COLLECTION = 'user_images';
+// Per-user marker: which version of the search fields their images were backfilled to
+const INDEX_STATE_COLLECTION = 'user_gallery_index';
+const SEARCH_FIELDS_VERSION = 1;
+
+export const GALLERY_PAGE_SIZE = {
+  default: 20,
+  max: 50
+};
+
+/**
+ * Sort orders - every one ends with the document id so equal values page stably
+ */
+export const GALLERY_SORTS = {
+  newest: { field: 'createdAt', direction: 'desc' },
+  oldest: { field: 'createdAt', direction: 'asc' },
+  title: { field: 'titleSort', direction: 'asc' }
+};
+
+// Exact-match filters, stored under `facets`
+export const GALLERY_FILTERS = ['theme', 'complexity', 'ageGroup', 'category', 'model'];
+
+export const SEARCH_LIMITS = {
+  queryLength: 100,
+  tokens: 60, // Stored per image
+  tokenLength: 30,
+  titleLength: 120
+};
+
+// Search and the title-sorted date range are checked in memory; a page stops
+// after this many reads so a rare word can't scan a whole gallery in one request
+const MAX_SCAN_BATCHES = 5;
+const BACKFILL_BATCH_SIZE = 400;
+
+const invalidCursor = () => Object.assign(new Error('Cursor is invalid'), { status: 400, code: 'INVALID_CURSOR' });
+
+/**
+ * Lowercase words of a prompt, without duplicates
+ * Words are split on anything that isn't a letter or digit, so accents are kept.
+ *
+ * @param {string} text - Prompt or search text
+ * @returns {string[]} - Words of two or more characters
+ */
+export const tokenizeText = (text) => [...new Set(
+  String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 2)
+    .map(word => word.slice(0, SEARCH_LIMITS.tokenLength))
+)];
+
+/**
+ * Search and filter fields stored with a gallery image
+ * Settings are read from refinementData.appliedSettings when present (server
+ * generations) and from the metadata itself otherwise (older client saves).
+ *
+ * @param {Object} image - Image document or save request
+ * @param {string} image.originalPrompt - User's description
+ * @param {Object} [image.metadata] - Generation metadata
+ * @returns {Object} - { searchTokens, titleSort, facets }
+ */
+export const describeGalleryImage = ({ originalPrompt, metadata } = {}) => {
+  const meta = metadata || {};
+  const settings = meta.refinementData?.appliedSettings || meta;
+  const pick = (value) => (typeof value === 'string' && value ? value : null);
+
+  return {
+    searchTokens: tokenizeText(`${originalPrompt || ''} ${meta.translation?.translatedPrompt || ''}`)
+      .slice(0, SEARCH_LIMITS.tokens),
+    titleSort: String(originalPrompt || '').trim().toLowerCase().slice(0, SEARCH_LIMITS.titleLength),
+    facets: {
+      theme: pick(settings.theme),
+      complexity: pick(settings.complexity),
+      ageGroup: pick(settings.ageGroup),
+      category: pick(meta.detectedCategory || meta.refinementData?.category),
+      model: pick(meta.model)
+    }
+  };
+};
+
+/**
+ * Encode the position after a document as an opaque cursor
+ *
+ * @param {Object} position - Last document read
+ * @param {string} [position.sort='newest'] - GALLERY_SORTS key the page was read with
+ * @param {Object} [position.createdAt] - Firestore Timestamp (date sorts)
+ * @param {string} [position.titleSort] - Sort title (title sort)
+ * @param {string} position.id - Document id
+ * @returns {string} - URL-safe cursor
+ */
+export const encodeGalleryCursor = ({ sort = 'newest', createdAt, titleSort, id }) => {
+  const value = GALLERY_SORTS[sort].field === 'createdAt'
+    ? { s: createdAt.seconds, n: createdAt.nanoseconds }
+    : { t: titleSort || '' };
+  return Buffer.from(JSON.stringify({ k: sort, ...value, id })).toString('base64url');
+};
+
+/**
+ * Decode a cursor from encodeGalleryCursor
+ * Nanoseconds are kept so pages with several images saved in the same millisecond don't skip any.
+ *
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} [sort='newest'] - Sort of the page being read; a cursor from another sort is rejected
+ * @returns {Object} - { id, value } where value is a Timestamp (date sorts) or the sort title
+ * @throws {Error} - 400 INVALID_CURSOR when the cursor is malformed or belongs to another sort
+ */
+export const decodeGalleryCursor = (cursor, sort = 'newest') => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw invalidCursor();
+  }
+
+  const { k = 'newest', s: seconds, n: nanoseconds, t: title, id } = position || {};
+  if (k !== sort || !GALLERY_SORTS[sort] ||
+      typeof id !== 'string' || id.length === 0 || id.length > 1500 || id.includes('/')) {
+    throw invalidCursor();
+  }
+
+  if (GALLERY_SORTS[sort].field === 'titleSort') {
+    if (typeof title !== 'string' || title.length > SEARCH_LIMITS.titleLength) {
+      throw invalidCursor();
+    }
+    return { id, value: title };
+  }
+
+  if (!Number.isInteger(seconds) || !Number.isInteger(nanoseconds) || nanoseconds < 0 || nanoseconds > 999999999) {
+    throw invalidCursor();
+  }
+  return { id, value: new admin.firestore.Timestamp(seconds, nanoseconds) };
+};
+
+/**
+ * Day range from YYYY-MM-DD dates (UTC), `to` inclusive
+ *
+ * @param {string} [from] - First day
+ * @param {string} [to] - Last day
+ * @returns {Object} - { start, end } Dates, end exclusive; either may be null
+ */
+const toDateRange = (from, to) => ({
+  start: from ? new Date(`${from}T00:00:00.000Z`) : null,
+  end: to ? new Date(new Date(`${to}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000) : null
+});
+
+/**
+ * Client-facing view of a saved image (timestamps as ISO strings, no search fields)
+ *
+ * @param {string} id - Document id
+ * @param {Object} data - Stored image
+ * @returns {Object} - Public image data
+ */
+const toPublicImage = (id, { searchTokens: _tokens, titleSort: _title, facets: _facets, ...data }) => ({
+  id,
+  ...data,
+  createdAt: data.createdAt?.toDate()?.toISOString() || null,
+  updatedAt: data.updatedAt?.toDate()?.toISOString() || null
+});
+
+/**
+ * Paged reads of a user's gallery
+ */
+class GalleryService {
+  constructor(options = {}) {
+    this.getDb = options.getDb || (() => (admin.apps.length ? admin.app().firestore() : null));
+    this.logger = logger;
+    // Users whose images already have the search fields (this process)
+    this.indexedUsers = new Set();
+  }
+
+  /**
+   * Whether the gallery is available (Firebase Admin initialized)
+   *
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.getDb();
+  }
+
+  /**
+   * One page of a user's images
+   * Filters and the longest search word go to Firestore; any other search words
+   * (and, for the title sort, the date range) are checked on the documents read.
+   * Such a page can come back short - keep paging while hasMore is true.
+   *
+   * @param {string} userId - Owner's uid
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Page size, capped at GALLERY_PAGE_SIZE.max
+   * @param {string} [options.cursor] - nextCursor of the previous page (same sort)
+   * @param {string} [options.sort='newest'] - GALLERY_SORTS key
+   * @param {string} [options.search] - Words that must all appear in the prompt
+   * @param {Object} [options.filters] - GALLERY_FILTERS values to match exactly
+   * @param {string} [options.collection] - Only images in this collection (see collectionService)
+   * @param {string} [options.from] - First day (YYYY-MM-DD, UTC)
+   * @param {string} [options.to] - Last day (YYYY-MM-DD, UTC)
+   * @returns {Promise<Object>} - { images, nextCursor, hasMore }
+   */
+  async listImages(userId, {
+    limit = GALLERY_PAGE_SIZE.default,
+    cursor = null,
+    sort = 'newest',
+    search = '',
+    filters = {},
+    collection = null,
+    from = null,
+    to = null
+  } = {}) {
+    const db = this.getDb();
+    if (!db) {
+      throw new Error('Firestore database not available');
+    }
+
+    const order = GALLERY_SORTS[sort];
+    if (!order) {
+      throw Object.assign(new Error(`Unknown sort: ${sort}`), { status: 400, code: 'INVALID_SORT' });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || GALLERY_PAGE_SIZE.default, 1), GALLERY_PAGE_SIZE.max);
+    const words = tokenizeText(String(search || '').slice(0, SEARCH_LIMITS.queryLength))
+      .sort((a, b) => b.length - a.length);
+    const activeFilters = GALLERY_FILTERS.filter(name => filters[name]);
+    const { start, end } = toDateRange(from, to);
+
+    // Older images only have the search fields once backfilled
+    if (sort !== 'newest' || words.length > 0 || activeFilters.length > 0) {
+      await this.ensureSearchFields(userId);
+    }
+
+    let query = db.collection(IMAGES_COLLECTION).where('userId', '==', userId);
+    if (collection) {
+      query = query.where('collectionId', '==', collection);
+    }
+    activeFilters.forEach(name => {
+      query = query.where(`facets.${name}`, '==', filters[name]);
+    });
+    if (words.length > 0) {
+      query = query.where('searchTokens', 'array-contains', words[0]);
+    }
+
+    // A date range can only be queried alongside a createdAt order
+    const datesInQuery = order.field === 'createdAt';
+    if (datesInQuery && start) {
+      query = query.where('createdAt', '>=', admin.firestore.Timestamp.fromDate(start));
+    }
+    if (datesInQuery && end) {
+      query = query.where('createdAt', '<', admin.firestore.Timestamp.fromDate(end));
+    }
+
+    query = query
+      .orderBy(order.field, order.direction)
+      .orderBy(admin.firestore.FieldPath.documentId(), order.direction);
+
+    const otherWords = words.slice(1);
+    const matches = (data) => {
+      if (otherWords.some(word => !(data.searchTokens || []).includes(word))) {
+        return false;
+      }
+      if (!datesInQuery && (start || end)) {
+        const createdAt = data.createdAt?.toDate?.();
+        return !!createdAt && (!start || createdAt >= start) && (!end || createdAt < end);
+      }
+      return true;
+    };
+
+    let position = cursor ? decodeGalleryCursor(cursor, sort) : null;
+    const docs = [];
+    let hasMore = false;
+
+    for (let batch = 0; batch < MAX_SCAN_BATCHES; batch++) {
+      const pageQuery = position ? query.startAfter(position.value, position.id) : query;
+      // One extra document tells whether anything follows this batch
+      const snapshot = await pageQuery.limit(pageSize + 1).get();
+      const batchDocs = snapshot.docs.slice(0, pageSize);
+      hasMore = snapshot.docs.length > pageSize;
+
+      for (let index = 0; index < batchDocs.length; index++) {
+        const doc = batchDocs[index];
+        position = { value: doc.data()[order.field], id: doc.id };
+        if (matches(doc.data())) {
+          docs.push(doc);
+        }
+        if (docs.length === pageSize) {
+          hasMore = hasMore || index < batchDocs.length - 1;
+          break;
+        }
+      }
+
+      if (docs.length === pageSize || !hasMore) {
+        break;
+      }
+    }
+
+    this.logger.debug('Gallery page read', {
+      userId, sort, pageSize, returned: docs.length, hasMore, words: words.length, filters: activeFilters, collection
+    });
+
+    return {
+      images: docs.map(doc => toPublicImage(doc.id, doc.data())),
+      nextCursor: hasMore && position
+        ? encodeGalleryCursor({ sort, [order.field]: position.value, id: position.id })
+        : null,
+      hasMore
+    };
+  }
+
+  /**
+   * Write the search fields onto a user's images saved before they existed
+   * Runs once per user and SEARCH_FIELDS_VERSION; a marker document records it.
+   *
+   * @param {string} userId - Owner's uid
+   * @returns {Promise<number>} - Images updated (0 when already done)
+   */
+  async ensureSearchFields(userId) {
+    if (this.indexedUsers.has(userId)) {
+      return 0;
+    }
+
+    const db = this.getDb();
+    const stateRef = db.collection(INDEX_STATE_COLLECTION).doc(userId);
+    const state = await stateRef.get();
+    if (state.exists && state.data().version >= SEARCH_FIELDS_VERSION) {
+      this.indexedUsers.add(userId);
+      return 0;
+    }
+
+    // Only the fields the search fields are built from - image data URIs can be large
+    const snapshot = await db.collection(IMAGES_COLLECTION)
+      .where('userId', '==', userId)
+      .select('originalPrompt', 'metadata')
+      .get();
+
+    for (let index = 0; index < snapshot.docs.length; index += BACKFILL_BATCH_SIZE) {
+      const batch = db.batch();
+      snapshot.docs.slice(index, index + BACKFILL_BATCH_SIZE).forEach(doc => {
+        batch.update(doc.ref, describeGalleryImage(doc.data()));
+      });
+      await batch.commit();
+    }
+
+    await stateRef.set({
+      version: SEARCH_FIELDS_VERSION,
+      imageCount: snapshot.docs.length,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    this.indexedUsers.add(userId);
+
+    this.logger.info('Gallery search fields backfilled', { userId, imageCount: snapshot.docs.length });
+    return snapshot.docs.length;
+  }
+}
+
+// Export singleton instance for consistent usage
+const galleryService = new GalleryService();
+export default galleryService;
+
+// Also export the class for testing
+export { GalleryService };
@@ -0,0 +1,306 @@
+/**
+ * Generation Job Service for Coloring Book Creator
+ *
+ * Runs image generation in the background so the HTTP request that starts a
+ * generation can return immediately with a job ID. Clients poll the job status
+ * instead of holding a single request open for up to two minutes, which means a
+ * page reload or dropped connection no longer loses a paid generation.
+ *
+ * Job lifecycle: queued → refining → generating → done | failed
+ *
+ * Within a job, pipeline stages (sanitizing, category detected, refined prompt
+ * ready, model attempt N, fallback, saving to gallery) are recorded as progress
+ * events and broadcast to subscribers of the Server-Sent Events stream.
+ *
+ * Evidence: architecture.md Section 3.3.2 - Service layer pattern
+ * Note: Jobs are kept in memory; finished jobs expire after JOB_TTL_MS.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('generation-jobs');
+
+/**
+ * Job status values exposed to clients
+ */
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  REFINING: 'refining',
+  GENERATING: 'generating',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+const TERMINAL_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED];
+
+// Finished jobs are kept long enough for a reloaded page to pick up the result
+const JOB_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MAX_JOBS = 500;
+
+/**
+ * In-memory generation job store and runner
+ */
+class GenerationJobService {
+  constructor(options = {}) {
+    this.jobs = new Map();
+    this.ttl = options.ttl || JOB_TTL_MS;
+    this.maxJobs = options.maxJobs || MAX_JOBS;
+    this.logger = logger;
+
+    // One listener per open SSE connection
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Create a job and start running it in the background
+   *
+   * @param {Object} params - Job parameters
+   * @param {string} params.prompt - Validated user prompt
+   * @param {Object} params.customizations - Validated customization options
+   * @param {string} [params.userId] - Owner of the job when authenticated
+   * @param {Function} runner - async (job, setStatus, reportProgress) => result
+   * @returns {Object} - Public view of the created job
+   */
+  createJob({ prompt, customizations, userId = null }, runner) {
+    this.pruneExpiredJobs();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      prompt,
+      customizations: customizations || {},
+      userId,
+      refinedPrompt: null,
+      events: [],
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+
+    this.logger.info('Generation job queued', {
+      jobId: job.id,
+      userId,
+      promptLength: prompt.length
+    });
+
+    // Run on the next tick so the caller can respond with the job ID first
+    setImmediate(() => this.runJob(job, runner));
+
+    return this.toPublicJob(job);
+  }
+
+  /**
+   * Execute a job's runner and record its outcome
+   *
+   * @param {Object} job - Internal job record
+   * @param {Function} runner - async (job, setStatus, reportProgress) => result
+   */
+  async runJob(job, runner) {
+    const startTime = Date.now();
+    const setStatus = (status) => this.updateStatus(job.id, status);
+    const reportProgress = (stage, data) => this.addProgress(job.id, stage, data);
+
+    try {
+      const result = await runner(job, setStatus, reportProgress);
+
+      job.result = result;
+      this.updateStatus(job.id, JOB_STATUS.DONE);
+
+      this.logger.info('Generation job completed', {
+        jobId: job.id,
+        processingTime: Date.now() - startTime
+      });
+    } catch (error) {
+      job.error = {
+        message: error.message,
+        status: error.status || 500,
+        ...(error.code && { code: error.code }),
+        details: error.details
+      };
+      this.updateStatus(job.id, JOB_STATUS.FAILED);
+
+      this.logger.error('Generation job failed', {
+        jobId: job.id,
+        error: error.message,
+        statusCode: error.status,
+        processingTime: Date.now() - startTime
+      });
+    }
+  }
+
+  /**
+   * Move a job to a new status
+   *
+   * @param {string} jobId - Job ID
+   * @param {string} status - One of JOB_STATUS
+   */
+  updateStatus(jobId, status) {
+    const job = this.jobs.get(jobId);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+      return;
+    }
+
+    job.status = status;
+    job.updatedAt = new Date().toISOString();
+    if (TERMINAL_STATUSES.includes(status)) {
+      job.completedAt = job.updatedAt;
+    }
+
+    this.logger.debug('Generation job status changed', { jobId, status });
+    this.publish(job, 'status', { status });
+
+    if (TERMINAL_STATUSES.includes(status)) {
+      this.publish(job, status, this.toPublicJob(job));
+    }
+  }
+
+  /**
+   * Record a pipeline stage for a running job
+   *
+   * @param {string} jobId - Job ID
+   * @param {string} stage - Stage name (e.g. 'model-attempt')
+   * @param {Object} [data] - Stage details (e.g. { model, attempt })
+   */
+  addProgress(jobId, stage, data = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+      return;
+    }
+
+    const event = { stage, ...data, at: new Date().toISOString() };
+    job.events.push(event);
+    job.updatedAt = event.at;
+
+    if (stage === 'refined-prompt-ready' && data.refinedPrompt) {
+      job.refinedPrompt = data.refinedPrompt;
+    }
+
+    this.publish(job, 'progress', event);
+  }
+
+  /**
+   * Broadcast an event to the job's subscribers
+   *
+   * @param {Object} job - Internal job record
+   * @param {string} type - 'status' | 'progress' | 'done' | 'failed'
+   * @param {Object} data - Event payload
+   */
+  publish(job, type, data) {
+    this.emitter.emit(job.id, { type, data });
+  }
+
+  /**
+   * Subscribe to a job's events
+   *
+   * Past progress events are replayed first so late subscribers (e.g. after a
+   * reload) see the full stage history. Terminal jobs replay their outcome.
+   *
+   * @param {string} jobId - Job ID
+   * @param {string|null} userId - Requesting user ID
+   * @param {Function} listener - ({ type, data }) => void
+   * @returns {Function|null} - Unsubscribe function, or null when the job is not visible
+   */
+  subscribe(jobId, userId, listener) {
+    const job = this.jobs.get(jobId);
+    if (!job || (job.userId && job.userId !== userId)) {
+      return null;
+    }
+
+    listener({ type: 'status', data: { status: job.status } });
+    job.events.forEach(event => listener({ type: 'progress', data: event }));
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      listener({ type: job.status, data: this.toPublicJob(job) });
+      return () => {};
+    }
+
+    this.emitter.on(jobId, listener);
+    return () => this.emitter.off(jobId, listener);
+  }
+
+  /**
+   * Look up a job visible to the given user
+   *
+   * Jobs created by an authenticated user are only visible to that user.
+   *
+   * @param {string} jobId - Job ID
+   * @param {string|null} userId - Requesting user ID
+   * @returns {Object|null} - Public view of the job or null when not found
+   */
+  getJob(jobId, userId = null) {
+    const job = this.jobs.get(jobId);
+    if (!job || (job.userId && job.userId !== userId)) {
+      return null;
+    }
+    return this.toPublicJob(job);
+  }
+
+  /**
+   * Client-facing view of a job (no owner or internal fields)
+   *
+   * @param {Object} job - Internal job record
+   * @returns {Object} - Public job data
+   */
+  toPublicJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt,
+      progress: job.events[job.events.length - 1] || null,
+      refinedPrompt: job.refinedPrompt,
+      ...(job.status === JOB_STATUS.DONE && { result: job.result }),
+      ...(job.status === JOB_STATUS.FAILED && { error: job.error })
+    };
+  }
+
+  /**
+   * Drop finished jobs past their TTL and cap total jobs held in memory
+   */
+  pruneExpiredJobs() {
+    const now = Date.now();
+
+    for (const [id, job] of this.jobs) {
+      if (job.completedAt && now - new Date(job.completedAt).getTime() > this.ttl) {
+        this.jobs.delete(id);
+      }
+    }
+
+    // Map iteration order is insertion order, so the oldest jobs go first
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size < this.maxJobs) break;
+      if (job.completedAt) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Job store statistics for the health endpoint
+   *
+   * @returns {Object} - Counts by status
+   */
+  getStats() {
+    const byStatus = Object.values(JOB_STATUS).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+    for (const job of this.jobs.values()) {
+      byStatus[job.status] += 1;
+    }
+    return { total: this.jobs.size, byStatus };
+  }
+}
+
+// Export singleton instance for consistent usage
+const generationJobService = new GenerationJobService();
+export default generationJobService;
+
+// Also export the class for testing
+export { GenerationJobService };
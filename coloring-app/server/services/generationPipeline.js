@@ -0,0 +1,802 @@
+/**
+ * Generation Pipeline for Coloring Book Creator
+ *
+ * Shared refine → generate → save flow used by both the synchronous
+ * /api/generate endpoint and the background generation jobs.
+ *
+ * Evidence: architecture.md Section 3.3.2 - Service layer pattern
+ *
+ * FLOW STEPS 2-4: refine the prompt, generate the image with the configured
+ * image provider (gpt-image-1 with dall-e-3 fallback, or the offline local
+ * provider) and optionally save the result to the user's gallery.
+ * Signed-in users pay from their credit balance: the estimated cost is reserved
+ * up front, settled at the actual cost and refunded if generation fails.
+ * Daily spend caps (budget guard) can switch a generation to the cheaper model
+ * or refuse it before anything is billed. Requests that opt in to the result
+ * cache are served from an identical earlier generation when there is one.
+ * A refined prompt the user already reviewed (approvedPrompt) skips refinement.
+ *
+ * Photo uploads take a shorter path (runPhotoConversion): the photo is traced
+ * into line art locally, or redrawn by the image edit endpoint, then saved the same way.
+ */
+
+import admin from 'firebase-admin';
+import promptRefinementService from './promptRefinement.js';
+import { getImageProvider } from './imageProviders.js';
+import creditLedger from './creditLedger.js';
+import costReportingService from './costReporting.js';
+import budgetGuard, { BUDGET_ERROR_CODES } from './budgetGuard.js';
+import resultCache from './resultCache.js';
+import { describeGalleryImage } from './galleryService.js';
+import { convertToLineArt, postProcessLineArt, prepareImageForEdit } from './imageOptimization.js';
+import { apiLogger, loggerUtils } from '../utils/logger.js';
+
+/**
+ * Gallery metadata for the "must include" / "must avoid" constraints of a page
+ *
+ * @param {Object} [appliedSettings] - Settings the prompt was refined with
+ * @returns {Object} - { constraints: { mustInclude, mustAvoid } }, or {} when there are none
+ */
+const describeConstraints = ({ mustInclude = [], mustAvoid = [] } = {}) => (
+  mustInclude.length > 0 || mustAvoid.length > 0
+    ? { constraints: { mustInclude, mustAvoid } }
+    : {}
+);
+
+/**
+ * Gallery metadata for a description typed in another language
+ * originalPrompt keeps the text as typed; this records the English text it was refined from.
+ *
+ * @param {Object} refinementResult - Result of refinePrompt / approveRefinedPrompt
+ * @returns {Object} - { translation: { language, translatedPrompt, method } }, or {} for English
+ */
+const describeTranslation = ({ language, translatedInput, translationMethod } = {}) => (
+  translatedInput
+    ? { translation: { language, translatedPrompt: translatedInput, method: translationMethod } }
+    : {}
+);
+
+/**
+ * Helper function to save generated image to user's gallery
+ *
+ * @param {string} userId - Firebase user ID
+ * @param {Object} imageData - Image URL, prompts and metadata
+ * @returns {Promise<string|null>} - Gallery document ID or null when skipped/failed
+ */
+export const saveToGallery = async (userId, imageData) => {
+  // Firebase Admin is initialized by the auth routes; skip when it is unavailable
+  const firebaseAdmin = admin.apps.length ? admin.app() : null;
+  if (!firebaseAdmin || !userId) {
+    return null; // Skip if no auth or admin not initialized
+  }
+
+  try {
+    const db = firebaseAdmin.firestore();
+
+    // Handle large imageUrl values that exceed Firestore's 1MB field limit
+    let imageUrl = imageData.imageUrl;
+    let imageUrlSize = 0;
+    let isLargeImage = false;
+
+    if (imageUrl) {
+      imageUrlSize = Buffer.byteLength(imageUrl, 'utf8');
+      // Firestore field limit is 1,048,487 bytes (1MB - 89 bytes)
+      isLargeImage = imageUrlSize > 1000000; // Use 1MB threshold for safety
+
+      if (isLargeImage) {
+        // For large images, store a reference/placeholder instead of the full URL
+        // This prevents the Firestore error while maintaining functionality
+        imageUrl = '[Large Image - View in App]';
+
+        apiLogger.warn('Large image URL detected, storing placeholder', {
+          userId,
+          originalSize: imageUrlSize,
+          promptLength: imageData.originalPrompt?.length || 0
+        });
+      }
+    }
+
+    const imageDoc = {
+      userId,
+      imageUrl,
+      originalPrompt: imageData.originalPrompt,
+      refinedPrompt: imageData.refinedPrompt,
+      metadata: {
+        ...imageData.metadata || {},
+        // Add metadata about image size for troubleshooting
+        imageUrlSize,
+        isLargeImage,
+        // Store original URL info if it was too large
+        ...(isLargeImage && {
+          originalImageUrlSize: imageUrlSize,
+          imageUrlTruncated: true,
+          imageType: imageData.imageUrl?.startsWith('data:') ? 'base64' : 'url'
+        })
+      },
+      // Search, filter and title-sort fields for the gallery
+      ...describeGalleryImage(imageData),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const docRef = await db.collection('user_images').add(imageDoc);
+
+    apiLogger.info('Image saved to gallery', {
+      userId,
+      imageId: docRef.id,
+      promptLength: imageData.originalPrompt?.length || 0,
+      imageUrlSize,
+      isLargeImage
+    });
+
+    return docRef.id;
+  } catch (error) {
+    apiLogger.error('Failed to save image to gallery', {
+      userId,
+      error: error.message,
+      imageUrlSize: imageData.imageUrl ? Buffer.byteLength(imageData.imageUrl, 'utf8') : 0
+    });
+    return null;
+  }
+};
+
+/**
+ * Clean up generated pages so they print as pure black-and-white line art
+ * Failures keep the original image - a slightly gray page beats no page
+ *
+ * @param {Object[]} images - Generated images ({ imageUrl, ... })
+ * @param {Object} options - { lineThickness, vectorize, requestId }
+ * @returns {Promise<{ images: Object[], summary: Object }>} Processed images and metadata summary
+ */
+export const applyLineArtPostProcessing = async (images, { lineThickness = 'medium', vectorize = false, requestId } = {}) => {
+  const processed = [];
+  let summary = null;
+
+  // One at a time - each full-size page holds several raw buffers in memory
+  for (const image of images) {
+    const result = await postProcessLineArt(image.imageUrl, { lineThickness, vectorize });
+
+    if (result.success && !result.skipped) {
+      processed.push({ ...image, imageUrl: result.imageUrl, ...(result.svgUrl && { svgUrl: result.svgUrl }) });
+    } else {
+      processed.push(image);
+    }
+
+    summary ??= {
+      applied: result.success && !result.skipped,
+      steps: result.steps,
+      lineThickness,
+      vectorized: !!result.svgUrl,
+      ...(result.skipped && { skipped: result.skipped }),
+      ...(!result.success && { error: result.error }),
+      processingTime: 0
+    };
+    summary.processingTime += result.processingTime;
+  }
+
+  if (summary?.error) {
+    apiLogger.warn('Line-art post-processing failed, keeping original image', {
+      requestId,
+      error: summary.error
+    });
+  }
+
+  return { images: processed, summary: { ...summary, imagesProcessed: processed.length } };
+};
+
+/**
+ * Build the runGeneration response from a cached result - nothing is billed
+ *
+ * @param {Object} entry - Cached entry from resultCache.get
+ * @param {Object} context - Request context
+ * @param {string} context.matchedOn - 'input' (skipped refinement) or 'refined-prompt'
+ * @param {Object|null} context.credits - Result of settling the reservation at no charge
+ * @returns {Promise<Object>} - Response payload in the runGeneration shape
+ */
+const serveCachedResult = async (entry, {
+  matchedOn,
+  prompt,
+  customizations,
+  user,
+  requestId,
+  endpoint,
+  startTime,
+  credits,
+  onProgress
+}) => {
+  const savedCost = entry.metadata?.costs?.totalCost || 0;
+  onProgress('cache-hit', { matchedOn, savedCost });
+
+  const images = entry.images.length > 1 ? entry.images : [];
+  const { imageUrl, svgUrl } = entry.images[0];
+  const processingTime = Date.now() - startTime;
+
+  const metadata = {
+    ...entry.metadata,
+    requestId,
+    costs: { imageCost: 0, tokenCost: 0, totalCost: 0 },
+    cache: {
+      hit: true,
+      key: entry.key,
+      matchedOn,
+      savedCost,
+      originalGeneratedAt: entry.createdAt
+    },
+    totalProcessingTime: processingTime,
+    apiEndpointUsed: endpoint
+  };
+
+  let galleryImageId = null;
+  if (user && images.length <= 1) {
+    onProgress('saving-to-gallery');
+    galleryImageId = await saveToGallery(user.uid, {
+      imageUrl,
+      originalPrompt: prompt,
+      refinedPrompt: entry.refinedPrompt,
+      metadata
+    });
+  }
+
+  loggerUtils.logPerformance(apiLogger, 'image-generation-cache-hit', processingTime, {
+    requestId,
+    cacheKey: entry.key,
+    matchedOn,
+    savedCost,
+    savedToGallery: !!galleryImageId,
+    userId: user?.uid
+  });
+
+  return {
+    success: true,
+    imageUrl,
+    ...(svgUrl && { svgUrl }),
+    refinedPrompt: entry.refinedPrompt,
+    originalPrompt: prompt,
+    customizations: customizations || {},
+    metadata,
+    galleryImageId,
+    savedToGallery: !!galleryImageId,
+    credits,
+    ...(images.length > 1 && {
+      variations: images.map((image, index) => ({
+        index,
+        imageUrl: image.imageUrl,
+        ...(image.svgUrl && { svgUrl: image.svgUrl }),
+        revisedPrompt: image.revisedPrompt,
+        costs: { imageCost: 0, tokenCost: 0, totalCost: 0 }
+      }))
+    })
+  };
+};
+
+/**
+ * Run the full generation flow for a validated request
+ *
+ * @param {Object} params - Generation parameters
+ * @param {string} params.prompt - Validated user prompt
+ * @param {Object} params.customizations - Validated customization options
+ * @param {number} [params.variations] - Number of candidate images (1-4) from one refinement
+ * @param {Object} [params.series] - Series character/style sheet injected into the refined prompt
+ * @param {boolean} [params.vectorize] - Also return an SVG trace of each page (svgUrl)
+ * @param {boolean} [params.useCache] - Serve an identical earlier generation from the result cache (metadata.cache)
+ * @param {string} [params.approvedPrompt] - Refined prompt reviewed (and possibly edited) by the user; used instead of refining again
+ * @param {Object} [params.user] - Authenticated user ({ uid, email }) for gallery save
+ * @param {string} params.requestId - Request ID for logging correlation
+ * @param {string} [params.endpoint] - Endpoint recorded in metadata.apiEndpointUsed
+ * @param {Function} [params.onStatus] - Called with 'refining' | 'generating' as the flow advances
+ * @param {Function} [params.onProgress] - Called with (stage, data) for each pipeline stage:
+ *   sanitizing, translating, category-detected, refined-prompt-ready, cache-hit, model-attempt, model-fallback, post-processing, saving-to-gallery
+ * @returns {Promise<Object>} - Response payload for the client ({ credits: { charged, balance } } for signed-in users)
+ * @throws {Error} - status 402 when the user doesn't have enough credits, 429/503 when a daily budget cap is reached
+ */
+export const runGeneration = async ({
+  prompt,
+  customizations,
+  variations = 1,
+  series = null,
+  vectorize = false,
+  useCache = false,
+  approvedPrompt = null,
+  user,
+  requestId,
+  endpoint = '/api/generate',
+  onStatus = () => {},
+  onProgress = () => {}
+}) => {
+  const startTime = Date.now();
+  const imageProvider = getImageProvider();
+
+  apiLogger.info('Image generation started', {
+    prompt: prompt.substring(0, 100),
+    customizations,
+    variations,
+    seriesId: series?.id,
+    approvedPrompt: !!approvedPrompt,
+    requestId
+  });
+
+  // Hold the worst-case cost against the user's credits before anything is billed;
+  // throws a 402 when the balance is too low
+  const reservation = await creditLedger.reserve(
+    user?.uid,
+    creditLedger.estimateGenerationCost(variations),
+    { requestId, description: prompt.substring(0, 100), variations }
+  );
+
+  let budget = null;
+  let settled = false;
+
+  // Charge what the images actually cost and release the rest of the hold;
+  // from here on the images are paid for, so a later failure keeps the charge
+  const settle = (actualCost, model) => {
+    settled = true;
+    budgetGuard.settle(budget, actualCost);
+    return creditLedger.settle(reservation, actualCost, { model });
+  };
+
+  try {
+    // Check the daily spend caps before paying for refinement - close to a cap
+    // the cheaper model is used, over it the request is refused
+    budget = await budgetGuard.reserve({ userId: user?.uid, images: variations });
+
+    // Cached results are keyed on the model this request would use
+    const cacheContext = useCache && {
+      customizations: customizations || {},
+      variations,
+      vectorize,
+      model: budget.generationOptions.forceFallback ? imageProvider.models.fallback : imageProvider.models.primary
+    };
+    const cacheHitContext = {
+      prompt, customizations, user, requestId, endpoint, startTime, onProgress
+    };
+
+    // An identical request skips refinement as well as generation; an approved
+    // prompt may have been edited, so only its refined text is a safe key
+    const inputKey = cacheContext && !approvedPrompt && resultCache.inputKey({ ...cacheContext, prompt, series });
+    const inputHit = inputKey && await resultCache.get(inputKey);
+    if (inputHit) {
+      onProgress('refined-prompt-ready', {
+        refinedPrompt: inputHit.refinedPrompt,
+        category: inputHit.metadata?.refinementData?.category
+      });
+      const credits = await settle(0, inputHit.model);
+      return await serveCachedResult(inputHit, { ...cacheHitContext, matchedOn: 'input', credits });
+    }
+
+    // Step 1: Refine the prompt using dedicated service with GPT enhancement - architecture.md 4.1
+    // FLOW STEP 2: "Send to backend to create/refine an enhanced image prompt
+    // (using OpenAI GPT model with the existing API key from .env, adding subtle details for quality coloring book style)"
+    // A prompt the user approved in the refinement preview is used as is
+    let refinementResult;
+    if (approvedPrompt) {
+      refinementResult = promptRefinementService.approveRefinedPrompt(prompt, approvedPrompt, customizations, {
+        requestId,
+        series,
+        onProgress
+      });
+    } else {
+      onStatus('refining');
+      apiLogger.info('Starting prompt refinement with GPT enhancement', { requestId });
+      refinementResult = await promptRefinementService.refinePrompt(prompt, customizations, {
+        useGPT: true, // Enable GPT-based refinement as specified in requirements
+        requestId,
+        series,
+        onProgress
+      });
+    }
+    const refinedPrompt = refinementResult.refinedPrompt;
+
+    // Let clients show the refined prompt while the image is still being generated
+    onProgress('refined-prompt-ready', {
+      refinedPrompt,
+      category: refinementResult.detectedCategory
+    });
+
+    // A different request that refined to the same prompt
+    const resultKey = cacheContext && resultCache.resultKey({ ...cacheContext, refinedPrompt });
+    const resultHit = resultKey && await resultCache.get(resultKey);
+    if (resultHit) {
+      const credits = await settle(0, resultHit.model);
+      return await serveCachedResult(resultHit, { ...cacheHitContext, matchedOn: 'refined-prompt', credits });
+    }
+
+    // Step 2: Generate image using the configured image provider (OpenAI: gpt-image-1 with dall-e-3 fallback)
+    // FLOW STEP 3: "Use the refined prompt for OpenAI image generation (with the same API key)"
+    // Reference: https://platform.openai.com/docs/models/gpt-image-1
+    onStatus('generating');
+    apiLogger.info('Starting image generation with refined prompt', {
+      requestId,
+      provider: imageProvider.name,
+      promptLength: refinedPrompt.length,
+      promptPreview: refinedPrompt.substring(0, 100) + '...'
+    });
+
+    // Primary: gpt-image-1 ($0.167/image, 300 DPI equivalent quality: "high")
+    // Fallback: dall-e-3 ($0.040/image, quality: "standard")
+    const imageGenerationResult = await imageProvider.generateImage(refinedPrompt, {
+      requestId,
+      size: '1024x1024',
+      n: variations,
+      onProgress,
+      // Budget downgrade: { forceFallback: true, quality: 'standard' }
+      ...budget.generationOptions
+      // Note: gpt-image-1 doesn't use quality/style parameters
+    });
+
+    if (!imageGenerationResult.success) {
+      throw new Error('Image generation service returned failure');
+    }
+
+    const { model: usedModel, metadata: imageMetadata } = imageGenerationResult;
+
+    const credits = await settle(imageMetadata.costs?.totalCost, usedModel);
+
+    // Spending reports - not awaited, recording never fails the generation
+    costReportingService.recordGeneration({
+      user,
+      model: usedModel,
+      category: refinementResult.detectedCategory,
+      costs: imageMetadata.costs,
+      imageCount: imageGenerationResult.images?.length || 1,
+      endpoint,
+      requestId
+    });
+
+    // Step 3: Force printable black-and-white output - models sometimes add shading
+    onProgress('post-processing');
+    const { images: processedImages, summary: postProcessing } = await applyLineArtPostProcessing(
+      imageGenerationResult.images?.length
+        ? imageGenerationResult.images
+        : [{ imageUrl: imageGenerationResult.imageUrl }],
+      {
+        lineThickness: refinementResult.appliedSettings?.lineThickness || customizations?.lineThickness,
+        vectorize,
+        requestId
+      }
+    );
+    const images = imageGenerationResult.images?.length ? processedImages : [];
+    const { imageUrl, svgUrl } = processedImages[0];
+    const processingTime = Date.now() - startTime;
+
+    // Prepare comprehensive image data for gallery save with cost tracking
+    const imageData = {
+      imageUrl,
+      originalPrompt: prompt,
+      refinedPrompt,
+      metadata: {
+        ...imageMetadata,
+        // Enhanced metadata with refinement context
+        refinementData: {
+          category: refinementResult.detectedCategory,
+          success: refinementResult.success,
+          appliedSettings: refinementResult.appliedSettings,
+          method: refinementResult.metadata?.method
+        },
+        // Series sheet travels with every page so the gallery can regroup and reuse it
+        ...(refinementResult.series && { series: refinementResult.series }),
+        // Constraints travel with the page too, so a page made again from the gallery keeps them
+        ...describeConstraints(refinementResult.appliedSettings),
+        // A description typed in another language keeps the English text it was refined from
+        ...describeTranslation(refinementResult),
+        postProcessing,
+        ...(budget.downgraded && { budget: { downgraded: true, tier: budget.tier } }),
+        // Cost analysis and usage tracking
+        totalProcessingTime: processingTime,
+        apiEndpointUsed: endpoint
+      }
+    };
+
+    // Keep the result for the next identical request; results from the
+    // fallback model are stored under that model's key
+    if (cacheContext) {
+      const cacheParams = { ...cacheContext, model: usedModel };
+      const stored = await resultCache.set({
+        key: resultCache.resultKey({ ...cacheParams, refinedPrompt }),
+        inputKey: approvedPrompt ? null : resultCache.inputKey({ ...cacheParams, prompt, series }),
+        refinedPrompt,
+        model: usedModel,
+        images: processedImages,
+        metadata: { ...imageData.metadata }
+      });
+      imageData.metadata.cache = { hit: false, stored };
+    }
+
+    // Save to gallery if user is authenticated - with several variations the
+    // user picks which ones to keep, so nothing is saved automatically
+    let galleryImageId = null;
+    if (user && images.length <= 1) {
+      onProgress('saving-to-gallery');
+      galleryImageId = await saveToGallery(user.uid, imageData);
+    }
+
+    // Log successful generation with comprehensive metrics
+    loggerUtils.logPerformance(apiLogger, 'image-generation-service', processingTime, {
+      requestId,
+      modelUsed: usedModel,
+      category: refinementResult.detectedCategory,
+      promptLength: prompt.length,
+      refinedLength: refinedPrompt.length,
+      imageGenerated: !!imageUrl,
+      savedToGallery: !!galleryImageId,
+      userId: user?.uid,
+      costs: imageMetadata.costs,
+      attemptCount: imageMetadata.attemptCount
+    });
+
+    // Enhanced response with comprehensive metadata and cost tracking
+    return {
+      success: true,
+      imageUrl,
+      ...(svgUrl && { svgUrl }),
+      refinedPrompt,
+      originalPrompt: prompt,
+      customizations: customizations || {},
+      metadata: imageData.metadata,
+      galleryImageId,
+      savedToGallery: !!galleryImageId,
+      credits,
+      ...(images.length > 1 && {
+        variations: images.map(image => ({
+          index: image.index,
+          imageUrl: image.imageUrl,
+          ...(image.svgUrl && { svgUrl: image.svgUrl }),
+          revisedPrompt: image.revisedPrompt,
+          costs: image.costs
+        }))
+      })
+    };
+
+  } catch (imageError) {
+    // Enhanced error handling with fallback information
+    apiLogger.error('Image generation service failed', {
+      requestId,
+      error: imageError.message,
+      promptLength: prompt.length,
+      userId: user?.uid,
+      processingTime: Date.now() - startTime
+    });
+
+    // Nothing usable was produced, so the user isn't charged
+    if (!settled) {
+      await creditLedger.refund(reservation, imageError.message);
+      budgetGuard.release(budget);
+    }
+
+    throw imageError; // Re-throw to be handled by the caller
+  }
+};
+
+/**
+ * Convert an uploaded photo or drawing into a coloring page
+ *
+ * 'local' traces the photo with sharp (free, offline, instant); 'ai' asks
+ * gpt-image-1 to redraw it as line art. Both return the runGeneration shape so
+ * the result flows into the same preview, gallery and PDF paths.
+ *
+ * @param {Object} params - Conversion parameters
+ * @param {string} params.image - Validated image data URL
+ * @param {string} [params.mode='local'] - 'local' or 'ai'
+ * @param {string} [params.style='photo'] - 'photo' or 'drawing' (local mode)
+ * @param {string} [params.detail='medium'] - 'low', 'medium' or 'high' (local mode)
+ * @param {string} [params.prompt] - Optional description of the photo subject
+ * @param {Object} [params.customizations] - Validated customization options
+ * @param {Object} [params.user] - Authenticated user ({ uid, email }) for gallery save
+ * @param {string} params.requestId - Request ID for logging correlation
+ * @param {string} [params.endpoint] - Endpoint recorded in metadata.apiEndpointUsed
+ * @returns {Promise<Object>} - Response payload for the client ({ credits: { charged, balance } } for signed-in AI conversions)
+ * @throws {Error} - status 400 for an unusable image, 402 when the user doesn't have enough credits for an AI conversion
+ */
+export const runPhotoConversion = async ({
+  image,
+  mode = 'local',
+  style = 'photo',
+  detail = 'medium',
+  prompt,
+  customizations = {},
+  user,
+  requestId,
+  endpoint = '/api/convert-photo'
+}) => {
+  const startTime = Date.now();
+
+  apiLogger.info('Photo conversion started', {
+    mode,
+    style,
+    detail,
+    imageSize: image.length,
+    requestId
+  });
+
+  let imageUrl;
+  let refinedPrompt;
+  let conversionMetadata;
+  let credits = null;
+
+  if (mode === 'ai') {
+    const prepared = await prepareImageForEdit(image);
+    if (!prepared.success) {
+      throw Object.assign(new Error(`Invalid image: ${prepared.error}`), { status: 400 });
+    }
+
+    refinedPrompt = promptRefinementService.buildPhotoConversionPrompt(prompt, customizations);
+
+    // Held like a generation of one image; throws a 402 when the balance is too low
+    const reservation = await creditLedger.reserve(
+      user?.uid,
+      creditLedger.estimateGenerationCost(),
+      { requestId, description: (prompt || 'Photo conversion').substring(0, 100) }
+    );
+
+    let budget = null;
+    let editResult;
+    try {
+      // Only gpt-image-1 can edit, so there is no cheaper model to fall back to
+      budget = await budgetGuard.reserve({ userId: user?.uid, allowDowngrade: false });
+      editResult = await getImageProvider().editImage(prepared.buffer, refinedPrompt, {
+        requestId,
+        size: '1024x1024'
+      });
+    } catch (error) {
+      await creditLedger.refund(reservation, error.message);
+      budgetGuard.release(budget);
+      throw error;
+    }
+    credits = await creditLedger.settle(reservation, editResult.metadata.costs?.totalCost, { model: editResult.model });
+    budgetGuard.settle(budget, editResult.metadata.costs?.totalCost);
+
+    const { images: [processed], summary: postProcessing } = await applyLineArtPostProcessing(
+      [{ imageUrl: editResult.imageUrl }],
+      { lineThickness: customizations.lineThickness, requestId }
+    );
+
+    imageUrl = processed.imageUrl;
+    conversionMetadata = { ...editResult.metadata, postProcessing };
+  } else {
+    const lineArt = await convertToLineArt(image, {
+      style,
+      detail,
+      lineThickness: customizations.lineThickness
+    });
+    if (!lineArt.success) {
+      throw Object.assign(new Error(`Invalid image: ${lineArt.error}`), { status: 400 });
+    }
+
+    imageUrl = lineArt.dataUrl;
+    refinedPrompt = `Line art traced from an uploaded ${style}`;
+    conversionMetadata = {
+      model: 'local-line-art',
+      size: `${lineArt.width}x${lineArt.height}`,
+      generatedAt: new Date().toISOString(),
+      processingTime: lineArt.processingTime,
+      apiMode: 'local-conversion',
+      requestId,
+      costs: { imageCost: 0, tokenCost: 0, totalCost: 0 },
+      steps: lineArt.steps
+    };
+  }
+
+  costReportingService.recordGeneration({
+    user,
+    model: conversionMetadata.model,
+    category: 'photo-conversion',
+    costs: conversionMetadata.costs,
+    endpoint,
+    requestId
+  });
+
+  const processingTime = Date.now() - startTime;
+  const imageData = {
+    imageUrl,
+    originalPrompt: prompt || 'Photo conversion',
+    refinedPrompt,
+    metadata: {
+      ...conversionMetadata,
+      source: 'photo-upload',
+      conversion: { mode, style, detail },
+      totalProcessingTime: processingTime,
+      apiEndpointUsed: endpoint
+    }
+  };
+
+  const galleryImageId = user ? await saveToGallery(user.uid, imageData) : null;
+
+  loggerUtils.logPerformance(apiLogger, 'photo-conversion-service', processingTime, {
+    requestId,
+    mode,
+    style,
+    modelUsed: conversionMetadata.model,
+    savedToGallery: !!galleryImageId,
+    userId: user?.uid,
+    costs: conversionMetadata.costs
+  });
+
+  return {
+    success: true,
+    imageUrl,
+    refinedPrompt,
+    originalPrompt: imageData.originalPrompt,
+    customizations,
+    metadata: imageData.metadata,
+    galleryImageId,
+    savedToGallery: !!galleryImageId,
+    credits
+  };
+};
+
+/**
+ * Map a generation error to an HTTP status and client-facing body
+ * Evidence: architecture.md 6.3 - Error handling and exponential backoff
+ *
+ * @param {Error} error - Error thrown by runGeneration
+ * @returns {{ status: number, body: Object }} - Status code and JSON body
+ */
+export const describeGenerationError = (error) => {
+  // Daily spend cap reached - checked before the generic 429 so clients get the code and reset time
+  if (Object.values(BUDGET_ERROR_CODES).includes(error.code)) {
+    return {
+      status: error.status,
+      body: {
+        success: false,
+        error: 'Daily budget exceeded',
+        code: error.code,
+        message: error.message,
+        retryAfter: error.retryAfter,
+        resetsAt: error.resetsAt,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  // Handle rate limiting - Evidence: architecture.md 6.3 Exponential backoff
+  if (error.status === 429) {
+    return {
+      status: 429,
+      body: {
+        success: false,
+        error: 'Rate limit exceeded',
+        message: 'Too many requests. Please try again later.',
+        retryAfter: 60,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  // Credit balance too low for the requested generation
+  if (error.status === 402) {
+    return {
+      status: 402,
+      body: {
+        success: false,
+        error: 'Insufficient credits',
+        code: error.code,
+        message: error.message,
+        balance: error.balance,
+        required: error.required,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  // Handle other OpenAI API errors
+  if (error.status >= 400 && error.status < 500) {
+    return {
+      status: error.status,
+      body: {
+        success: false,
+        error: 'API error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  return {
+    status: 500,
+    body: {
+      success: false,
+      error: 'Image generation failed',
+      message: 'An unexpected error occurred during image generation',
+      timestamp: new Date().toISOString()
+    }
+  };
+};
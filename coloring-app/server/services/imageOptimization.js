@@ -2,18 +2,22 @@
  * Image Optimization Service for Coloring Book Creator
  * 
  * PERFORMANCE ENHANCEMENTS:
- * - Image compression using Sharp (mock implementation)
+ * - Image compression using Sharp
  * - Progressive loading support
  * - WebP conversion with fallbacks
  * - Memory optimization for large images
  * - Caching layer for processed images
+ * - Photo to line-art conversion for uploaded photos and drawings
+ * - Line-art post-processing so generated pages print as pure black and white
+ * - SVG tracing of line art for scalable (print shop / cutting machine) output
  * 
  * Addresses audit findings: Large image handling, memory leaks, compression
  * Target: <3s load times, optimized memory usage
  */
 
-import sharp from 'sharp'; // Mock: npm install sharp
+import sharp from 'sharp';
 import crypto from 'crypto';
+import ImageTracer from 'imagetracerjs';
 import { apiLogger } from '../utils/logger.js';
 
 /**
@@ -41,6 +45,52 @@ const OPTIMIZATION_CONFIG = {
     maxInputSize: 50 * 1024 * 1024, // 50MB max input
     maxOutputSize: 10 * 1024 * 1024, // 10MB max output
     concurrentProcessing: 3 // Limit concurrent operations
+  },
+  
+  // Remote images are only downloaded from the image provider and the app's storage,
+  // never from arbitrary client-supplied URLs
+  remoteImages: {
+    hosts: [
+      'oaidalleapiprodscus.blob.core.windows.net', // dall-e-3 temporary URLs
+      'firebasestorage.googleapis.com',
+      'storage.googleapis.com'
+    ],
+    timeoutMs: 15000
+  },
+  
+  // Photo to line-art conversion
+  lineArt: {
+    // Photos: blur sigma before edge detection and the edge strength kept as a line
+    detail: {
+      low: { blur: 2.2, edgeThreshold: 28, drawingThreshold: 140 },
+      medium: { blur: 1.4, edgeThreshold: 20, drawingThreshold: 170 },
+      high: { blur: 1.0, edgeThreshold: 14, drawingThreshold: 200 }
+    },
+    // Dilation radius per lineThickness customization (0 = keep detected width)
+    lineThickness: { thin: 0, medium: 1, thick: 2 },
+    // Laplacian kernel - responds to intensity changes in every direction
+    edgeKernel: [-1, -1, -1, -1, 8, -1, -1, -1, -1]
+  },
+  
+  // Post-processing of generated coloring pages (see postProcessLineArt)
+  postProcessing: {
+    enabled: process.env.LINE_ART_POSTPROCESSING !== 'false',
+    whiteCutoff: 235, // Lighter than this is paper - forced to pure white
+    lineCutoff: 70, // Darker than this is ink - everything in between is gray
+    fillRadius: 2, // Gray areas wider than 2 * radius px are fills, narrower ones are anti-aliasing
+    binarizeThreshold: 128,
+    // Two-colour trace for SVG output (see traceLineArt)
+    vectorize: {
+      colorsampling: 0,
+      numberofcolors: 2,
+      colorquantcycles: 1,
+      pal: [{ r: 0, g: 0, b: 0, a: 255 }, { r: 255, g: 255, b: 255, a: 255 }],
+      pathomit: 8,
+      strokewidth: 0,
+      linefilter: true,
+      roundcoords: 1,
+      viewbox: true
+    }
   }
 };
 
@@ -48,7 +98,7 @@ const OPTIMIZATION_CONFIG = {
  * In-memory cache for processed images
  * Implements LRU eviction to prevent memory bloat
  */
-class ImageCache {
+export class ImageCache {
   constructor(maxSize = 100) {
     this.cache = new Map();
     this.maxSize = maxSize;
@@ -490,6 +540,418 @@ export async function batchOptimizeImages(images, options = {}) {
   return results;
 }
 
+/**
+ * Converts a photo or scanned drawing into black-and-white line art
+ * 
+ * Runs fully offline with sharp. Each stage is rendered to a buffer before the
+ * next one starts because sharp applies chained operations in its own fixed
+ * order, not in call order.
+ * 
+ * - style 'photo': grayscale → blur → Laplacian edge detection → threshold → invert
+ * - style 'drawing': grayscale → threshold (keeps the child's own strokes single)
+ * Both then despeckle and thicken lines to the requested lineThickness.
+ * 
+ * @param {Buffer|string} imageData - Input image buffer or data URL
+ * @param {Object} options - Conversion options
+ * @param {string} [options.style='photo'] - 'photo' or 'drawing'
+ * @param {string} [options.detail='medium'] - 'low', 'medium' or 'high'
+ * @param {string} [options.lineThickness='medium'] - 'thin', 'medium' or 'thick'
+ * @returns {Promise<Object>} Conversion result with PNG data URL and the steps that ran
+ */
+export async function convertToLineArt(imageData, options = {}) {
+  const startTime = Date.now();
+  const { style = 'photo', detail = 'medium', lineThickness = 'medium' } = options;
+  const config = OPTIMIZATION_CONFIG.lineArt;
+  const detailConfig = config.detail[detail] || config.detail.medium;
+  const steps = [];
+  
+  // Materialize one stage so the next starts from its output
+  const runStep = async (name, pipeline) => {
+    steps.push(name);
+    return pipeline.png().toBuffer();
+  };
+  
+  try {
+    const validation = validateImageInput(imageData);
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+    
+    const sizeConfig = OPTIMIZATION_CONFIG.sizes.full;
+    
+    // Upright, bounded in size, transparent areas on white, single channel
+    let buffer = await runStep('normalize', sharp(validation.buffer)
+      .rotate()
+      .resize(sizeConfig.width, sizeConfig.height, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: { r: 255, g: 255, b: 255 } })
+      .grayscale()
+      .normalise());
+    
+    if (style === 'drawing') {
+      buffer = await runStep('threshold', sharp(buffer).threshold(detailConfig.drawingThreshold));
+    } else {
+      buffer = await runStep('edge-detect', sharp(buffer)
+        .blur(detailConfig.blur)
+        .convolve({ width: 3, height: 3, kernel: config.edgeKernel }));
+      buffer = await runStep('threshold', sharp(buffer).toColourspace('b-w').threshold(detailConfig.edgeThreshold));
+      buffer = await runStep('invert', sharp(buffer).negate());
+    }
+    
+    // Remove isolated specks left by noise and textures
+    buffer = await runStep('despeckle', sharp(buffer).median(3));
+    
+    const radius = config.lineThickness[lineThickness] ?? config.lineThickness.medium;
+    if (radius > 0) {
+      // sharp's dilate grows the dark lines on the white background
+      buffer = await runStep('thicken-lines', sharp(buffer).dilate(radius));
+    }
+    
+    const output = await sharp(buffer).toColourspace('b-w').png({ compressionLevel: 9 }).toBuffer();
+    const metadata = await sharp(output).metadata();
+    const processingTime = Date.now() - startTime;
+    
+    apiLogger.info('Line-art conversion completed', {
+      style,
+      detail,
+      lineThickness,
+      steps,
+      originalSize: validation.originalSize,
+      outputSize: output.length,
+      processingTime
+    });
+    
+    return {
+      success: true,
+      buffer: output,
+      dataUrl: `data:image/png;base64,${output.toString('base64')}`,
+      width: metadata.width,
+      height: metadata.height,
+      steps,
+      processingTime
+    };
+    
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    
+    apiLogger.error('Line-art conversion failed', {
+      error: error.message,
+      style,
+      detail,
+      completedSteps: steps,
+      processingTime
+    });
+    
+    return {
+      success: false,
+      error: error.message,
+      processingTime
+    };
+  }
+}
+
+/**
+ * Loads an image source (data URL, buffer or remote URL) into a buffer
+ * dall-e-3 returns temporary URLs, so those are downloaded first. Remote URLs
+ * can come from clients (SVG and PDF export), so only HTTPS URLs on the allowed
+ * hosts are fetched, without redirects, with a timeout and the input size limit.
+ * 
+ * @param {Buffer|string} source - Image source
+ * @returns {Promise<Buffer|string>} Buffer for remote URLs, the source otherwise
+ * @throws {Error} When the host is not allowed or the download is not a usable image
+ */
+export async function loadImageSource(source) {
+  if (typeof source === 'string' && /^https?:\/\//i.test(source)) {
+    const { hosts, timeoutMs } = OPTIMIZATION_CONFIG.remoteImages;
+    const { maxInputSize } = OPTIMIZATION_CONFIG.limits;
+    
+    const url = new URL(source);
+    if (url.protocol !== 'https:' || !hosts.includes(url.hostname)) {
+      throw new Error(`Image host not allowed: ${url.hostname}`);
+    }
+    
+    const response = await fetch(url, { redirect: 'error', signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`Failed to download image: ${response.status}`);
+    }
+    
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.startsWith('image/')) {
+      throw new Error(`Not an image: ${contentType || 'unknown content type'}`);
+    }
+    
+    // validateImageInput checks the size again for responses without a length
+    if (Number(response.headers.get('content-length')) > maxInputSize) {
+      throw new Error(`Image too large (max: ${maxInputSize / 1024 / 1024}MB)`);
+    }
+    
+    return Buffer.from(await response.arrayBuffer());
+  }
+  
+  return source;
+}
+
+/**
+ * Wraps a single-channel raw image in a sharp pipeline
+ */
+function fromRawGray(data, width, height) {
+  return sharp(data, { raw: { width, height, channels: 1 } });
+}
+
+/**
+ * Reads a pipeline back as single-channel raw pixels
+ * (sharp outputs three channels after most operations unless told otherwise)
+ */
+function toRawGray(pipeline) {
+  return pipeline.toColourspace('b-w').raw().toBuffer();
+}
+
+/**
+ * Traces binarized line art into a compact SVG
+ * 
+ * imagetracer emits one <path> per shape for both the black and the white
+ * layer, each with verbose styling. Only the ink matters on white paper, so
+ * the black paths are merged into a single path (holes are kept as subpaths).
+ * 
+ * @param {Buffer} pngBuffer - Black-and-white PNG
+ * @returns {Promise<Object>} { svg, width, height, pathCount }
+ */
+async function traceLineArt(pngBuffer) {
+  const { data, info } = await sharp(pngBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  
+  const traced = ImageTracer.imagedataToSVG(
+    { width, height, data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length) },
+    OPTIMIZATION_CONFIG.postProcessing.vectorize
+  );
+  
+  const inkPaths = [...traced.matchAll(/<path fill="rgb\(0,0,0\)"[^>]*\sd="([^"]+)"/g)]
+    .map(match => match[1].trim().replace(/\s+/g, ' '));
+  
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">` +
+    (inkPaths.length ? `<path fill="#000" d="${inkPaths.join(' ')}"/>` : '') +
+    '</svg>';
+  
+  return { svg, width, height, pathCount: inkPaths.length };
+}
+
+/**
+ * Cleans up a generated coloring page for printing
+ * 
+ * Image models sometimes return gray shading, filled areas or an off-white
+ * background. This forces the page to pure black lines on pure white:
+ * 1. whiten-background - flatten transparency, stretch levels, paper → white
+ * 2. remove-gray-fills - gray areas too wide to be anti-aliasing become white
+ * 3. binarize - every remaining pixel becomes black or white
+ * 4. thicken-lines - dilate lines for the lineThickness customization
+ * 5. vectorize (optional) - two-colour SVG trace of the result
+ * 
+ * SVG sources (mock mode) are already vector line art and are returned unchanged.
+ * 
+ * @param {Buffer|string} imageSource - Image buffer, data URL or remote URL
+ * @param {Object} options - Post-processing options
+ * @param {string} [options.lineThickness='medium'] - 'thin', 'medium' or 'thick'
+ * @param {boolean} [options.vectorize=false] - Also return an SVG trace
+ * @returns {Promise<Object>} Result with PNG data URL, optional SVG data URL and the steps that ran
+ */
+export async function postProcessLineArt(imageSource, options = {}) {
+  const startTime = Date.now();
+  const { lineThickness = 'medium', vectorize = false } = options;
+  const config = OPTIMIZATION_CONFIG.postProcessing;
+  const steps = [];
+  
+  if (typeof imageSource === 'string' && imageSource.startsWith('data:image/svg+xml')) {
+    return {
+      success: true,
+      skipped: 'vector-source',
+      imageUrl: imageSource,
+      steps,
+      processingTime: 0
+    };
+  }
+  
+  try {
+    const validation = validateImageInput(await loadImageSource(imageSource));
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+    
+    // 1. Paper to pure white
+    const { data, info } = await sharp(validation.buffer)
+      .flatten({ background: { r: 255, g: 255, b: 255 } })
+      .toColourspace('b-w')
+      .normalise({ lower: 1, upper: 99 })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] >= config.whiteCutoff) data[i] = 255;
+    }
+    steps.push('whiten-background');
+    
+    // 2. Gray fills - open the gray mask so thin anti-aliased edges drop out
+    // (sharp's erode grows white, shrinking the black gray-mask regions)
+    const grayMask = Buffer.alloc(data.length, 255);
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] >= config.lineCutoff && data[i] < config.whiteCutoff) grayMask[i] = 0;
+    }
+    const erodedMask = await toRawGray(fromRawGray(grayMask, width, height).erode(config.fillRadius));
+    const fillMask = await toRawGray(fromRawGray(erodedMask, width, height).dilate(config.fillRadius));
+    let grayFillPixelsRemoved = 0;
+    for (let i = 0; i < data.length; i++) {
+      if (fillMask[i] === 0 && data[i] >= config.lineCutoff) {
+        data[i] = 255;
+        grayFillPixelsRemoved++;
+      }
+    }
+    steps.push('remove-gray-fills');
+    
+    // 3. Pure black and white
+    for (let i = 0; i < data.length; i++) {
+      data[i] = data[i] < config.binarizeThreshold ? 0 : 255;
+    }
+    steps.push('binarize');
+    
+    // 4. Line weight
+    let pipeline = fromRawGray(data, width, height);
+    const radius = OPTIMIZATION_CONFIG.lineArt.lineThickness[lineThickness] ?? OPTIMIZATION_CONFIG.lineArt.lineThickness.medium;
+    if (radius > 0) {
+      pipeline = fromRawGray(await toRawGray(pipeline.dilate(radius)), width, height);
+      steps.push('thicken-lines');
+    }
+    
+    const output = await pipeline.toColourspace('b-w').png({ compressionLevel: 9 }).toBuffer();
+    
+    // 5. Optional SVG trace
+    let svgUrl = null;
+    if (vectorize) {
+      const { svg } = await traceLineArt(output);
+      svgUrl = `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+      steps.push('vectorize');
+    }
+    
+    const processingTime = Date.now() - startTime;
+    
+    apiLogger.info('Line-art post-processing completed', {
+      steps,
+      lineThickness,
+      grayFillPixelsRemoved,
+      originalSize: validation.originalSize,
+      outputSize: output.length,
+      processingTime
+    });
+    
+    return {
+      success: true,
+      buffer: output,
+      imageUrl: `data:image/png;base64,${output.toString('base64')}`,
+      svgUrl,
+      width,
+      height,
+      steps,
+      grayFillPixelsRemoved,
+      processingTime
+    };
+    
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    
+    apiLogger.error('Line-art post-processing failed', {
+      error: error.message,
+      completedSteps: steps,
+      processingTime
+    });
+    
+    return {
+      success: false,
+      error: error.message,
+      steps,
+      processingTime
+    };
+  }
+}
+
+/**
+ * Exports a coloring page as an optimized SVG
+ * Raster pages are thresholded (postProcessLineArt) and traced; pages that are
+ * already SVG are returned as they are.
+ * 
+ * @param {Buffer|string} imageSource - Image buffer, data URL or remote URL
+ * @returns {Promise<Object>} Result with SVG markup, dimensions and path count
+ */
+export async function exportSvg(imageSource) {
+  const startTime = Date.now();
+  
+  if (typeof imageSource === 'string' && imageSource.startsWith('data:image/svg+xml')) {
+    return {
+      success: true,
+      traced: false,
+      svg: Buffer.from(imageSource.split(',')[1], 'base64').toString('utf8'),
+      processingTime: 0
+    };
+  }
+  
+  // Thin lines - the trace should follow the page, not thicken it again
+  const lineArt = await postProcessLineArt(imageSource, { lineThickness: 'thin' });
+  if (!lineArt.success) {
+    return { success: false, error: lineArt.error, processingTime: Date.now() - startTime };
+  }
+  
+  try {
+    const { svg, width, height, pathCount } = await traceLineArt(lineArt.buffer);
+    const processingTime = Date.now() - startTime;
+    
+    apiLogger.info('SVG export completed', {
+      width,
+      height,
+      pathCount,
+      svgSize: svg.length,
+      processingTime
+    });
+    
+    return { success: true, traced: true, svg, width, height, pathCount, processingTime };
+    
+  } catch (error) {
+    apiLogger.error('SVG export failed', { error: error.message });
+    
+    return { success: false, error: error.message, processingTime: Date.now() - startTime };
+  }
+}
+
+/**
+ * Prepares an uploaded image for the OpenAI image edit endpoint
+ * Converts to an upright PNG no larger than the full-size preset
+ * 
+ * @param {Buffer|string} imageData - Input image buffer or data URL
+ * @returns {Promise<Object>} Result with PNG buffer
+ */
+export async function prepareImageForEdit(imageData) {
+  try {
+    const validation = validateImageInput(imageData);
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+    
+    const sizeConfig = OPTIMIZATION_CONFIG.sizes.full;
+    const buffer = await sharp(validation.buffer)
+      .rotate()
+      .resize(sizeConfig.width, sizeConfig.height, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+    
+    return { success: true, buffer };
+    
+  } catch (error) {
+    apiLogger.error('Image edit preparation failed', {
+      error: error.message
+    });
+    
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Clears image cache and reports statistics
  */
@@ -513,6 +975,11 @@ export default {
   optimizeImage,
   generateProgressivePlaceholder,
   batchOptimizeImages,
+  convertToLineArt,
+  postProcessLineArt,
+  exportSvg,
+  loadImageSource,
+  prepareImageForEdit,
   clearImageCache,
   getCacheStats,
   config: OPTIMIZATION_CONFIG
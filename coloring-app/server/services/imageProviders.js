@@ -0,0 +1,87 @@
+/**
+ * Image Providers for Coloring Book Creator
+ *
+ * Registry of the backends that draw coloring pages. The generation pipeline
+ * asks for the active provider instead of calling OpenAI directly, so other
+ * backends can be configured with IMAGE_PROVIDER:
+ *   openai - gpt-image-1 with dall-e-3 fallback (mock pages without a real key)
+ *   local  - deterministic procedural line art, offline and free
+ * Without IMAGE_PROVIDER, OpenAI is used when a real API key is set and the
+ * local provider otherwise.
+ *
+ * Evidence: architecture.md Section 3.3.2 - Service layer pattern
+ */
+
+import openaiImageService from './openaiService.js';
+import localImageProvider from './localImageProvider.js';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('image-providers');
+
+/**
+ * @typedef {Object} ImageProvider
+ * @property {string} name - Registry name
+ * @property {{ primary: string, fallback: string }} models - Model names recorded in metadata
+ * @property {(prompt: string, options: Object) => Promise<Object>} generateImage - { success, imageUrl, model, images, metadata }
+ * @property {(imageBuffer: Buffer, prompt: string, options: Object) => Promise<Object>} editImage - Same shape as generateImage
+ * @property {() => Promise<Object>} healthCheck - { status, ... }
+ * @property {(model?: string, size?: string, quality?: string, tokens?: number) => Object} estimateCost - { imageCost, tokenCost, totalCost }
+ */
+
+const PROVIDER_METHODS = ['generateImage', 'editImage', 'healthCheck', 'estimateCost'];
+
+const providers = new Map([
+  ['openai', openaiImageService],
+  ['local', localImageProvider]
+]);
+
+const warnedNames = new Set();
+
+/**
+ * Register an additional image provider
+ *
+ * @param {string} name - Name used in IMAGE_PROVIDER
+ * @param {ImageProvider} provider - Provider implementation
+ */
+export const registerImageProvider = (name, provider) => {
+  const missing = PROVIDER_METHODS.filter(method => typeof provider?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Image provider "${name}" is missing ${missing.join(', ')}`);
+  }
+  providers.set(name, provider);
+};
+
+export const listImageProviders = () => [...providers.keys()];
+
+/**
+ * Provider name from IMAGE_PROVIDER, or the default for this environment
+ */
+export const resolveImageProviderName = () => {
+  const configured = process.env.IMAGE_PROVIDER?.trim().toLowerCase();
+  if (configured) {
+    return configured;
+  }
+  return openaiImageService.hasRealApiKey() ? 'openai' : 'local';
+};
+
+/**
+ * Active image provider
+ * An unknown IMAGE_PROVIDER is logged once and the OpenAI provider is used.
+ *
+ * @param {string} [name] - Provider name; defaults to the configured one
+ * @returns {ImageProvider}
+ */
+export const getImageProvider = (name = resolveImageProviderName()) => {
+  if (providers.has(name)) {
+    return providers.get(name);
+  }
+
+  if (!warnedNames.has(name)) {
+    warnedNames.add(name);
+    logger.error('Unknown image provider, using openai', {
+      provider: name,
+      available: listImageProviders()
+    });
+  }
+  return providers.get('openai');
+};
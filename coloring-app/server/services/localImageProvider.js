@@ -0,0 +1,542 @@
+/**
+ * Local Image Provider for Coloring Book Creator
+ *
+ * Offline stand-in for the OpenAI image provider. Renders procedural
+ * black-and-white line-art SVGs from the prompt - animals, castles, mandalas,
+ * gardens, vehicles or landscapes - so development, e2e tests and demos get
+ * varied, printable pages without network access or API cost.
+ *
+ * Output is deterministic: the same prompt, options and variation index always
+ * render the same page. Edits (photo conversion) trace the photo locally.
+ *
+ * Evidence: architecture.md 6.1 - API cost mitigation
+ * Note: Implements the image provider interface documented in imageProviders.js.
+ */
+
+import crypto from 'crypto';
+import { convertToLineArt } from './imageOptimization.js';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('local-image-provider');
+
+const MODEL = 'local-procedural';
+const CANVAS = 1024;
+
+const FREE = { imageCost: 0, tokenCost: 0, totalCost: 0 };
+
+// Subject keywords, checked in order - the first match picks the motif
+const SUBJECTS = [
+  { motif: 'fish', pattern: /\b(fish|goldfish|shark|whale|dolphin)\w*/ },
+  { motif: 'bird', pattern: /\b(bird|owl|parrot|penguin|duck|chick|chicken|eagle)\w*/ },
+  { motif: 'animal', pattern: /\b(cat|kitten|kitty|dog|puppy|bunny|rabbit|fox|bear|teddy|mouse|lion|tiger|pig|cow|horse|pony|elephant|monkey|panda|koala|animal|pet)s?\b/ },
+  { motif: 'castle', pattern: /\b(castle|palace|dragon|unicorn|fairy|princess|prince|wizard|knight|kingdom)s?\b/ },
+  { motif: 'mandala', pattern: /\b(mandala|kaleidoscope|rosette|zentangle)s?\b/ },
+  { motif: 'vehicle', pattern: /\b(car|truck|bus|train|tractor|vehicle|race ?car)s?\b/ },
+  { motif: 'garden', pattern: /\b(flower|garden|rose|tulip|daisy|sunflower|bouquet|butterfly|butterflies|plant)s?\b/ }
+];
+
+// Ear shapes for the generic animal
+const EARS = [
+  { pattern: /\b(cat|kitten|kitty|fox|tiger|lion)\b/, ears: 'pointy' },
+  { pattern: /\b(bunny|rabbit)\b/, ears: 'long' },
+  { pattern: /\b(pig|cow|horse|pony)\b/, ears: 'floppy' }
+];
+
+const STROKE_WIDTHS = { thin: 3, medium: 5, thick: 9 };
+const DETAIL_LEVELS = { simple: 1, medium: 2, detailed: 3, complex: 3 };
+
+/**
+ * Small seeded PRNG (mulberry32) so pages are reproducible
+ */
+const createRandom = (seedText) => {
+  let seed = crypto.createHash('sha256').update(seedText).digest().readUInt32LE(0);
+  const next = () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    between: (min, max) => min + next() * (max - min),
+    int: (min, max) => Math.floor(min + next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)]
+  };
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const shape = (tag, attributes) => `<${tag} ${Object.entries(attributes)
+  .map(([name, value]) => `${name}="${typeof value === 'number' ? round(value) : value}"`)
+  .join(' ')}/>`;
+
+const circle = (cx, cy, r) => shape('circle', { cx, cy, r });
+const ellipse = (cx, cy, rx, ry, rotate = 0) =>
+  shape('ellipse', { cx, cy, rx, ry, ...(rotate && { transform: `rotate(${round(rotate)} ${round(cx)} ${round(cy)})` }) });
+const rect = (x, y, width, height, rx = 0) => shape('rect', { x, y, width, height, ...(rx && { rx }) });
+const line = (x1, y1, x2, y2) => shape('line', { x1, y1, x2, y2 });
+const path = (d) => shape('path', { d });
+const polygon = (points) => shape('polygon', { points: points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ') });
+
+/**
+ * Read the subject and page settings back out of a (refined) prompt
+ *
+ * @param {string} prompt - Prompt text
+ * @returns {{ motif: string, subject: string|null, ears: string, detail: number, strokeWidth: number, border: boolean }}
+ */
+export const describePrompt = (prompt) => {
+  const text = prompt.toLowerCase();
+  const subject = SUBJECTS.find(({ pattern }) => pattern.test(text));
+  const thickness = text.match(/\b(thin|medium|thick)\s+line/)?.[1] || 'medium';
+  const complexity = text.match(/\b(simple|medium|detailed|complex)\s+complexity/)?.[1] || 'medium';
+
+  return {
+    motif: subject?.motif || 'landscape',
+    subject: subject ? text.match(subject.pattern)[0] : null,
+    ears: EARS.find(({ pattern }) => pattern.test(text))?.ears || 'round',
+    detail: DETAIL_LEVELS[complexity],
+    strokeWidth: STROKE_WIDTHS[thickness],
+    border: /\bborder\b/.test(text) && !/\b(no|without)\s+(\w+\s+)?border|borderless/.test(text)
+  };
+};
+
+// --- Scenery -------------------------------------------------------------
+
+const sun = (random, x, y, r) => {
+  const rays = random.int(8, 12);
+  return [
+    circle(x, y, r),
+    ...Array.from({ length: rays }, (_, i) => {
+      const angle = (i / rays) * Math.PI * 2;
+      return line(x + Math.cos(angle) * r * 1.3, y + Math.sin(angle) * r * 1.3, x + Math.cos(angle) * r * 1.8, y + Math.sin(angle) * r * 1.8);
+    })
+  ];
+};
+
+const cloud = (random, x, y, size) => [
+  circle(x - size * 0.6, y + size * 0.15, size * 0.45),
+  circle(x + size * 0.6, y + size * 0.15, size * 0.45),
+  circle(x, y - size * 0.1, size * 0.65)
+];
+
+const ground = (random, y) => {
+  const points = Array.from({ length: 9 }, (_, i) => [i * CANVAS / 8, y + random.between(-18, 18)]);
+  const tufts = Array.from({ length: random.int(4, 8) }, () => {
+    const x = random.between(60, CANVAS - 60);
+    return path(`M${round(x - 12)} ${y + 40} l6 -28 l6 28 l6 -34 l6 34`);
+  });
+  return [path(`M0 ${round(points[0][1])} ${points.slice(1).map(([px, py]) => `L${round(px)} ${round(py)}`).join(' ')}`), ...tufts];
+};
+
+const flower = (random, x, y, size, stemHeight = size * 2) => {
+  const petals = random.int(5, 9);
+  const rotation = random.between(0, 360);
+  return [
+    path(`M${round(x)} ${round(y)} Q${round(x + random.between(-30, 30))} ${round(y + stemHeight / 2)} ${round(x)} ${round(y + stemHeight)}`),
+    ellipse(x + size * 0.5, y + stemHeight * 0.6, size * 0.45, size * 0.18, -30),
+    ...Array.from({ length: petals }, (_, i) => {
+      const angle = rotation + (i * 360) / petals;
+      const radians = (angle * Math.PI) / 180;
+      return ellipse(x + Math.cos(radians) * size * 0.55, y + Math.sin(radians) * size * 0.55, size * 0.45, size * 0.22, angle);
+    }),
+    circle(x, y, size * 0.3)
+  ];
+};
+
+const tree = (random, x, y, size) => [
+  rect(x - size * 0.12, y - size * 0.9, size * 0.24, size * 0.9),
+  ...Array.from({ length: 3 }, (_, i) => circle(x + (i - 1) * size * 0.35, y - size * (1.1 + (i === 1 ? 0.35 : 0)), size * 0.45))
+];
+
+const butterfly = (random, x, y, size) => [
+  ellipse(x - size * 0.5, y - size * 0.3, size * 0.5, size * 0.4, -20),
+  ellipse(x + size * 0.5, y - size * 0.3, size * 0.5, size * 0.4, 20),
+  ellipse(x - size * 0.4, y + size * 0.35, size * 0.35, size * 0.3, 20),
+  ellipse(x + size * 0.4, y + size * 0.35, size * 0.35, size * 0.3, -20),
+  ellipse(x, y, size * 0.12, size * 0.6),
+  path(`M${round(x)} ${round(y - size * 0.6)} q-${round(size * 0.2)} -${round(size * 0.4)} -${round(size * 0.35)} -${round(size * 0.45)}`),
+  path(`M${round(x)} ${round(y - size * 0.6)} q${round(size * 0.2)} -${round(size * 0.4)} ${round(size * 0.35)} -${round(size * 0.45)}`)
+];
+
+const sky = (random, detail) => [
+  ...sun(random, random.between(120, 260), random.between(120, 200), random.between(45, 65)),
+  ...Array.from({ length: detail }, () => cloud(random, random.between(420, 900), random.between(110, 260), random.between(50, 80))).flat()
+];
+
+// --- Motifs --------------------------------------------------------------
+
+const animalMotif = (random, { ears, detail }) => {
+  const x = random.between(440, 580);
+  const y = random.between(560, 620);
+  const size = random.between(150, 190);
+  const headX = x + size * 0.9;
+  const headY = y - size * 0.75;
+  const head = size * 0.6;
+
+  const earShapes = {
+    pointy: [
+      polygon([[headX - head * 0.8, headY - head * 0.4], [headX - head * 0.55, headY - head * 1.35], [headX - head * 0.1, headY - head * 0.85]]),
+      polygon([[headX + head * 0.8, headY - head * 0.4], [headX + head * 0.55, headY - head * 1.35], [headX + head * 0.1, headY - head * 0.85]])
+    ],
+    long: [
+      ellipse(headX - head * 0.35, headY - head * 1.4, head * 0.22, head * 0.75, -10),
+      ellipse(headX + head * 0.35, headY - head * 1.4, head * 0.22, head * 0.75, 10)
+    ],
+    floppy: [
+      ellipse(headX - head * 0.95, headY - head * 0.1, head * 0.25, head * 0.5, 30),
+      ellipse(headX + head * 0.95, headY - head * 0.1, head * 0.25, head * 0.5, -30)
+    ],
+    round: [
+      circle(headX - head * 0.7, headY - head * 0.75, head * 0.32),
+      circle(headX + head * 0.7, headY - head * 0.75, head * 0.32)
+    ]
+  };
+
+  return [
+    ...ground(random, 800),
+    ...sky(random, detail),
+    // Tail, legs, body, head
+    path(`M${round(x - size)} ${round(y)} q-${round(size * 0.6)} -${round(size * 0.2)} -${round(size * 0.45)} -${round(size * 0.8)}`),
+    ...[-0.6, -0.2, 0.3, 0.7].map(offset => rect(x + offset * size - 16, y + size * 0.35, 32, size * 0.55, 12)),
+    ellipse(x, y, size, size * 0.6),
+    ...earShapes[ears],
+    circle(headX, headY, head),
+    // Face
+    circle(headX - head * 0.35, headY - head * 0.1, head * 0.14),
+    circle(headX + head * 0.35, headY - head * 0.1, head * 0.14),
+    circle(headX - head * 0.32, headY - head * 0.13, head * 0.05),
+    circle(headX + head * 0.38, headY - head * 0.13, head * 0.05),
+    ellipse(headX, headY + head * 0.22, head * 0.12, head * 0.08),
+    path(`M${round(headX - head * 0.25)} ${round(headY + head * 0.4)} q${round(head * 0.25)} ${round(head * 0.22)} ${round(head * 0.5)} 0`),
+    // Spots to color in
+    ...Array.from({ length: detail + 1 }, () => circle(x + random.between(-0.6, 0.5) * size, y + random.between(-0.25, 0.25) * size, random.between(14, 26))),
+    ...(detail > 1 ? flower(random, random.between(110, 220), 700, 40, 100) : [])
+  ];
+};
+
+const fishMotif = (random, { detail }) => {
+  const x = random.between(430, 560);
+  const y = random.between(460, 560);
+  const size = random.between(180, 230);
+
+  // Bubbles and seaweed first so the fish is drawn over them
+  return [
+    ...Array.from({ length: 4 + detail * 2 }, () => circle(random.between(620, 900), random.between(120, 420), random.between(10, 30))),
+    ...Array.from({ length: detail + 2 }, () => {
+      const baseX = random.between(80, 950);
+      return path(`M${round(baseX)} 960 q-30 -60 0 -120 q30 -60 0 -120 q-30 -60 0 -110`);
+    }),
+    path(`M${round(x - size)} ${round(y)} Q${round(x)} ${round(y - size * 0.9)} ${round(x + size)} ${round(y)} Q${round(x)} ${round(y + size * 0.9)} ${round(x - size)} ${round(y)} Z`),
+    polygon([[x - size * 0.95, y], [x - size * 1.5, y - size * 0.45], [x - size * 1.5, y + size * 0.45]]),
+    circle(x + size * 0.55, y - size * 0.12, size * 0.1),
+    circle(x + size * 0.57, y - size * 0.14, size * 0.04),
+    path(`M${round(x + size * 0.3)} ${round(y - size * 0.4)} q-${round(size * 0.1)} ${round(size * 0.4)} 0 ${round(size * 0.8)}`),
+    ...Array.from({ length: 3 + detail * 2 }, (_, i) => path(`M${round(x - size * 0.5 + i * size * 0.18)} ${round(y - size * 0.2)} q${round(size * 0.08)} ${round(size * 0.2)} 0 ${round(size * 0.4)}`)),
+    path(`M0 960 Q256 920 512 960 T1024 960`)
+  ];
+};
+
+const birdMotif = (random, { detail }) => {
+  const x = random.between(460, 560);
+  const y = random.between(480, 560);
+  const size = random.between(150, 190);
+
+  return [
+    ...sky(random, detail),
+    // Branch the bird sits on
+    path(`M60 ${round(y + size * 1.05)} Q512 ${round(y + size * 0.9)} 960 ${round(y + size * 1.1)}`),
+    ...Array.from({ length: detail + 2 }, (_, i) => ellipse(160 + i * 170, y + size * 0.95, 40, 16, -25)),
+    ellipse(x, y + size * 0.2, size * 0.7, size * 0.85),
+    circle(x, y - size * 0.75, size * 0.5),
+    ellipse(x - size * 0.45, y + size * 0.25, size * 0.25, size * 0.55, 20),
+    ellipse(x + size * 0.45, y + size * 0.25, size * 0.25, size * 0.55, -20),
+    polygon([[x - size * 0.12, y - size * 0.65], [x + size * 0.12, y - size * 0.65], [x, y - size * 0.45]]),
+    circle(x - size * 0.2, y - size * 0.85, size * 0.1),
+    circle(x + size * 0.2, y - size * 0.85, size * 0.1),
+    ...Array.from({ length: 2 + detail }, (_, i) => path(`M${round(x - size * 0.3)} ${round(y + size * (0.1 + i * 0.18))} q${round(size * 0.3)} ${round(size * 0.12)} ${round(size * 0.6)} 0`)),
+    line(x - size * 0.15, y + size * 1.0, x - size * 0.15, y + size * 1.12),
+    line(x + size * 0.15, y + size * 1.0, x + size * 0.15, y + size * 1.12)
+  ];
+};
+
+const castleMotif = (random, { detail }) => {
+  const towers = random.int(2, 3);
+  const wallTop = random.between(460, 520);
+  const tower = (x, width, top) => [
+    rect(x, top, width, 820 - top),
+    ...Array.from({ length: 3 }, (_, i) => rect(x + i * (width / 3) + 4, top - 28, width / 3 - 8, 28)),
+    polygon([[x - 10, top - 28], [x + width / 2, top - 28 - width * 1.1], [x + width + 10, top - 28]]),
+    line(x + width / 2, top - 28 - width * 1.1, x + width / 2, top - 28 - width * 1.5),
+    polygon([[x + width / 2, top - 28 - width * 1.5], [x + width / 2 + 50, top - 28 - width * 1.38], [x + width / 2, top - 28 - width * 1.26]]),
+    rect(x + width / 2 - 18, top + 60, 36, 60, 18)
+  ];
+
+  // A third tower is the keep, standing behind the wall above the gate
+  return [
+    ...sky(random, detail),
+    ...(towers === 3 ? tower(447, 130, random.between(200, 260)) : []),
+    rect(170, wallTop, 684, 820 - wallTop),
+    ...Array.from({ length: 9 }, (_, i) => rect(180 + i * 76, wallTop - 30, 44, 30)),
+    path(`M442 820 L442 ${round(wallTop + 170)} Q512 ${round(wallTop + 90)} 582 ${round(wallTop + 170)} L582 820`),
+    ...Array.from({ length: 4 }, (_, i) => line(470 + i * 28, wallTop + 150, 470 + i * 28, 820)),
+    ...Array.from({ length: detail * 2 }, (_, i) => rect(random.between(i % 2 ? 600 : 260, i % 2 ? 720 : 380), random.between(wallTop + 40, 760), 40, 22)),
+    ...tower(110, 130, random.between(280, 360)),
+    ...tower(784, 130, random.between(280, 360)),
+    ...ground(random, 840)
+  ];
+};
+
+const mandalaMotif = (random, { detail }) => {
+  const center = CANVAS / 2;
+  const rings = 2 + detail;
+  const elements = [];
+
+  // Outermost ring first - shapes are filled white, so inner rings go on top
+  for (let ring = rings; ring >= 1; ring--) {
+    const radius = 60 + ring * (380 / rings);
+    const petals = random.pick([6, 8, 10, 12, 16]) + ring * 2;
+    const petalLength = (380 / rings) * 0.55;
+    elements.push(circle(center, center, radius));
+
+    for (let i = 0; i < petals; i++) {
+      const angle = (i * 360) / petals + (ring % 2 ? 180 / petals : 0);
+      const radians = (angle * Math.PI) / 180;
+      const distance = radius - petalLength;
+      const px = center + Math.cos(radians) * distance;
+      const py = center + Math.sin(radians) * distance;
+      elements.push(ring % 2
+        ? ellipse(px, py, petalLength * 0.9, petalLength * 0.35, angle)
+        : circle(px, py, petalLength * 0.35));
+    }
+  }
+
+  elements.push(circle(center, center, random.between(40, 60)));
+  return elements;
+};
+
+const vehicleMotif = (random, { detail }) => {
+  const x = random.between(180, 260);
+  const y = random.between(560, 620);
+  const length = random.between(520, 600);
+
+  return [
+    ...sky(random, detail),
+    path(`M${round(x)} ${round(y)} L${round(x)} ${round(y - 90)} L${round(x + length * 0.25)} ${round(y - 100)} L${round(x + length * 0.38)} ${round(y - 200)} L${round(x + length * 0.75)} ${round(y - 200)} L${round(x + length * 0.88)} ${round(y - 100)} L${round(x + length)} ${round(y - 90)} L${round(x + length)} ${round(y)} Z`),
+    rect(x + length * 0.41, y - 185, length * 0.15, 75, 8),
+    rect(x + length * 0.59, y - 185, length * 0.15, 75, 8),
+    line(x + length * 0.57, y - 100, x + length * 0.57, y),
+    ...[0.22, 0.78].flatMap(offset => [circle(x + length * offset, y, 62), circle(x + length * offset, y, 26)]),
+    circle(x + length - 20, y - 60, 14),
+    ...Array.from({ length: detail + 1 }, (_, i) => line(x - 40 - i * 30, y - 130 + i * 40, x - 140 - i * 30, y - 130 + i * 40)),
+    line(0, y + 62, CANVAS, y + 62),
+    ...Array.from({ length: 5 }, (_, i) => rect(40 + i * 210, y + 110, 120, 14))
+  ];
+};
+
+const gardenMotif = (random, { detail }) => [
+  ...sky(random, detail),
+  ...ground(random, 820),
+  ...Array.from({ length: 2 + detail }, (_, i) => {
+    const x = 140 + (i * (CANVAS - 280)) / (1 + detail) + random.between(-30, 30);
+    return flower(random, x, random.between(420, 560), random.between(60, 85), random.between(230, 320));
+  }).flat(),
+  ...Array.from({ length: detail }, () => butterfly(random, random.between(200, 820), random.between(280, 360), random.between(45, 60))).flat()
+];
+
+const landscapeMotif = (random, { detail }) => {
+  const houseX = random.between(520, 620);
+  return [
+    ...sky(random, detail),
+    path(`M0 620 L${round(random.between(150, 250))} ${round(random.between(330, 400))} L${round(random.between(380, 450))} 560 L${round(random.between(560, 650))} ${round(random.between(300, 380))} L${CANVAS} 620`),
+    ...ground(random, 800),
+    rect(houseX, 560, 260, 220),
+    polygon([[houseX - 30, 560], [houseX + 130, 430], [houseX + 290, 560]]),
+    rect(houseX + 100, 660, 60, 120, 6),
+    rect(houseX + 30, 600, 50, 50),
+    line(houseX + 55, 600, houseX + 55, 650),
+    rect(houseX + 180, 600, 50, 50),
+    line(houseX + 205, 600, houseX + 205, 650),
+    ...Array.from({ length: detail + 1 }, (_, i) => tree(random, 100 + i * 150, 800, random.between(130, 170))).flat()
+  ];
+};
+
+const MOTIFS = {
+  animal: animalMotif,
+  fish: fishMotif,
+  bird: birdMotif,
+  castle: castleMotif,
+  mandala: mandalaMotif,
+  vehicle: vehicleMotif,
+  garden: gardenMotif,
+  landscape: landscapeMotif
+};
+
+/**
+ * Render one procedural coloring page
+ *
+ * @param {string} prompt - Prompt text
+ * @param {Object} [options] - Render options
+ * @param {number} [options.index=0] - Variation index; each index renders a different page
+ * @param {string} [options.size='1024x1024'] - Size recorded in the SVG attributes
+ * @returns {{ svg: string, description: Object }} - SVG markup and what was drawn
+ */
+export const renderColoringPage = (prompt, { index = 0, size = '1024x1024' } = {}) => {
+  const description = describePrompt(prompt);
+  const random = createRandom(`${prompt}\u0000${index}`);
+  const [width, height] = size.split('x').map(Number);
+  const frame = description.border
+    ? [rect(24, 24, CANVAS - 48, CANVAS - 48, 24), rect(44, 44, CANVAS - 88, CANVAS - 88, 16)]
+    : [];
+
+  const elements = [...MOTIFS[description.motif](random, description), ...frame];
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width || CANVAS}" height="${height || CANVAS}" viewBox="0 0 ${CANVAS} ${CANVAS}">`,
+    `<rect width="${CANVAS}" height="${CANVAS}" fill="white"/>`,
+    `<g fill="white" stroke="black" stroke-width="${description.strokeWidth}" stroke-linecap="round" stroke-linejoin="round">`,
+    ...elements,
+    '</g>',
+    '</svg>'
+  ].join('\n');
+
+  return { svg, description };
+};
+
+const toDataUrl = (svg) => `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+
+/**
+ * Procedural line-art provider - no network, no cost
+ */
+class LocalImageProvider {
+  constructor() {
+    this.name = 'local';
+    this.models = { primary: MODEL, fallback: MODEL };
+    this.logger = logger;
+    this.requestIdCounter = 0;
+  }
+
+  generateRequestId() {
+    return `local_${Date.now()}_${++this.requestIdCounter}`;
+  }
+
+  buildMetadata({ size, requestId, startTime, count, description }) {
+    return {
+      model: MODEL,
+      provider: this.name,
+      size,
+      quality: 'vector',
+      generatedAt: new Date().toISOString(),
+      processingTime: Date.now() - startTime,
+      attemptCount: 1,
+      apiMode: 'local-procedural',
+      requestId,
+      costs: { ...FREE },
+      variationCount: count,
+      ...(description && { procedural: { motif: description.motif, subject: description.subject } })
+    };
+  }
+
+  /**
+   * Render procedural coloring pages for a prompt
+   *
+   * @param {string} prompt - Refined prompt
+   * @param {Object} options - Same options as OpenAIImageService.generateImage (requestId, size, n, onProgress)
+   * @returns {Promise<Object>} - Generation result with image URL and metadata
+   */
+  async generateImage(prompt, options = {}) {
+    const startTime = Date.now();
+    const requestId = options.requestId || this.generateRequestId();
+
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      throw new Error('Invalid prompt: must be a non-empty string');
+    }
+
+    const cleanPrompt = prompt.trim();
+    const size = options.size || '1024x1024';
+    const count = options.n || 1;
+    options.onProgress?.('model-attempt', { model: MODEL, attempt: 1 });
+
+    const pages = Array.from({ length: count }, (_, index) => renderColoringPage(cleanPrompt, { index, size }));
+    const images = pages.map(({ svg }, index) => ({
+      index,
+      imageUrl: toDataUrl(svg),
+      revisedPrompt: cleanPrompt,
+      costs: { ...FREE }
+    }));
+
+    const metadata = this.buildMetadata({ size, requestId, startTime, count, description: pages[0].description });
+    this.logger.info('Local procedural generation completed', {
+      requestId,
+      motif: pages[0].description.motif,
+      count,
+      processingTime: metadata.processingTime
+    });
+
+    return {
+      success: true,
+      imageUrl: images[0].imageUrl,
+      model: MODEL,
+      revisedPrompt: cleanPrompt,
+      images,
+      metadata
+    };
+  }
+
+  /**
+   * Turn an uploaded image into line art by tracing it locally
+   *
+   * @param {Buffer} imageBuffer - Source image as PNG
+   * @param {string} prompt - Edit instructions (unused - the trace follows the photo)
+   * @param {Object} options - Same options as generateImage (requestId, size, onProgress)
+   * @returns {Promise<Object>} - Generation result with image URL and metadata
+   */
+  async editImage(imageBuffer, prompt, options = {}) {
+    const startTime = Date.now();
+    const requestId = options.requestId || this.generateRequestId();
+
+    if (!Buffer.isBuffer(imageBuffer) || imageBuffer.length === 0) {
+      throw new Error('Invalid source image: must be a non-empty buffer');
+    }
+
+    options.onProgress?.('model-attempt', { model: MODEL, attempt: 1 });
+    const lineArt = await convertToLineArt(imageBuffer, { style: 'photo' });
+    if (!lineArt.success) {
+      throw new Error(`Local edit failed: ${lineArt.error}`);
+    }
+
+    const metadata = {
+      ...this.buildMetadata({ size: `${lineArt.width}x${lineArt.height}`, requestId, startTime, count: 1 }),
+      operation: 'edit'
+    };
+
+    return {
+      success: true,
+      imageUrl: lineArt.dataUrl,
+      model: MODEL,
+      images: [{ index: 0, imageUrl: lineArt.dataUrl, costs: { ...FREE } }],
+      metadata
+    };
+  }
+
+  async healthCheck() {
+    return {
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      service: 'Local Procedural Image Provider',
+      provider: this.name,
+      models: this.models,
+      mode: 'offline'
+    };
+  }
+
+  estimateCost(model = MODEL, size = '1024x1024', quality = 'vector') {
+    return { ...FREE, breakdown: { model, size, quality, outputTokens: 0 } };
+  }
+}
+
+// Export singleton instance for consistent usage
+const localImageProvider = new LocalImageProvider();
+export default localImageProvider;
+
+// Also export the class for testing
+export { LocalImageProvider };
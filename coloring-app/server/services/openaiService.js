@@ -52,7 +52,7 @@
  * - Request ID correlation for debugging and monitoring
  */
 
-import OpenAI from 'openai';
+import OpenAI, { toFile } from 'openai';
 import winston from 'winston';
 
 /**
@@ -92,6 +92,19 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
+/**
+ * Merge single-image API responses into one response shape
+ * 
+ * @param {Object[]} responses - API responses ({ data, usage })
+ * @returns {Object} - Combined response
+ */
+const mergeImageResponses = (responses) => ({
+  data: responses.flatMap(response => response.data),
+  usage: responses.some(response => response.usage)
+    ? { total_tokens: responses.reduce((total, response) => total + (response.usage?.total_tokens || 0), 0) }
+    : undefined
+});
+
 /**
  * Cost Calculator for OpenAI Image Generation
  * 
@@ -153,6 +166,37 @@ class CostCalculator {
       }
     };
   }
+
+  /**
+   * Calculate per-image and total cost for a batch of variations
+   * Output tokens are reported for the whole request, so they are split evenly per image
+   * @param {string} model - Model used (gpt-image-1 or dall-e-3)
+   * @param {string} size - Image size (1024x1024)
+   * @param {string} quality - Quality setting (high, standard, hd)
+   * @param {number} count - Number of images generated
+   * @param {number} outputTokens - Total output tokens for the request
+   * @returns {Object} Batch cost breakdown with perImage costs
+   */
+  calculateBatchCost(model, size, quality, count = 1, outputTokens = 0) {
+    const perImage = Array.from({ length: count }, () =>
+      this.calculateImageCost(model, size, quality, outputTokens / count)
+    );
+    const sum = (field) => Number(perImage.reduce((total, cost) => total + cost[field], 0).toFixed(4));
+
+    return {
+      imageCost: sum('imageCost'),
+      tokenCost: sum('tokenCost'),
+      totalCost: sum('totalCost'),
+      perImage,
+      breakdown: {
+        model,
+        size,
+        quality,
+        count,
+        outputTokens: outputTokens || 0
+      }
+    };
+  }
 }
 
 /**
@@ -287,6 +331,7 @@ class ContentFilter {
  */
 class OpenAIImageService {
   constructor() {
+    this.name = 'openai'; // Image provider name - see imageProviders.js
     this.logger = logger;
     this.costCalculator = new CostCalculator();
     this.contentFilter = new ContentFilter();
@@ -310,6 +355,13 @@ class OpenAIImageService {
     };
   }
 
+  /**
+   * Primary and fallback model names (image provider interface)
+   */
+  get models() {
+    return { primary: this.config.primaryModel, fallback: this.config.fallbackModel };
+  }
+
   /**
    * Get OpenAI API key with mock support for development
    * Evidence: architecture.md 6.1 - API cost mitigation
@@ -358,6 +410,8 @@ class OpenAIImageService {
    * @param {string} options.size - Image size (default: 1024x1024)
    * @param {string} options.quality - Quality setting (default: high for gpt-image-1)
    * @param {boolean} options.forceFallback - Force use of dall-e-3 (default: false)
+   * @param {Function} options.onProgress - Optional (stage, data) callback for model attempts and fallback
+   * @param {number} options.n - Number of variations to generate (default: 1)
    * @returns {Promise<Object>} - Generation result with image URL and metadata
    */
   async generateImage(prompt, options = {}) {
@@ -387,6 +441,7 @@ class OpenAIImageService {
 
     // Mock mode for development (no real API key)
     if (!this.hasRealApiKey()) {
+      options.onProgress?.('model-attempt', { model: this.config.primaryModel, attempt: 1, mock: true });
       return this.generateMockResponse(cleanPrompt, options, requestId, startTime);
     }
 
@@ -414,6 +469,10 @@ class OpenAIImageService {
           error: error.message,
           willTryFallback: true
         });
+        options.onProgress?.('model-fallback', {
+          from: this.config.primaryModel,
+          to: this.config.fallbackModel
+        });
       }
     }
 
@@ -446,9 +505,72 @@ class OpenAIImageService {
     }
   }
 
+  /**
+   * Redraw an uploaded image following an instruction prompt (image edit)
+   * Used for photo-to-coloring-page conversion. Only gpt-image-1 supports
+   * edits, so there is no dall-e-3 fallback here.
+   * 
+   * @param {Buffer} imageBuffer - Source image as PNG
+   * @param {string} prompt - Edit instructions
+   * @param {Object} options - Same options as generateImage (requestId, size, quality, onProgress)
+   * @returns {Promise<Object>} - Generation result with image URL and metadata
+   */
+  async editImage(imageBuffer, prompt, options = {}) {
+    const startTime = Date.now();
+    const requestId = options.requestId || this.generateRequestId();
+
+    if (!Buffer.isBuffer(imageBuffer) || imageBuffer.length === 0) {
+      throw new Error('Invalid source image: must be a non-empty buffer');
+    }
+
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      throw new Error('Invalid prompt: must be a non-empty string');
+    }
+
+    const cleanPrompt = prompt.trim();
+
+    if (!this.contentFilter.isContentAppropriate(cleanPrompt)) {
+      const inappropriateWords = this.contentFilter.getInappropriateKeywords(cleanPrompt);
+      throw new Error(`Content contains inappropriate terms: ${inappropriateWords.join(', ')}`);
+    }
+
+    this.logger.info('Starting image edit', {
+      requestId,
+      promptLength: cleanPrompt.length,
+      sourceImageSize: imageBuffer.length,
+      hasRealKey: this.hasRealApiKey()
+    });
+
+    let result;
+    if (!this.hasRealApiKey()) {
+      options.onProgress?.('model-attempt', { model: this.config.primaryModel, attempt: 1, mock: true });
+      result = this.generateMockResponse(cleanPrompt, { ...options, forceFallback: false }, requestId, startTime);
+    } else {
+      result = await this.generateWithModel(
+        this.config.primaryModel,
+        cleanPrompt,
+        {
+          ...options,
+          quality: options.quality || this.config.defaultQuality,
+          sourceImage: await toFile(imageBuffer, 'source.png', { type: 'image/png' })
+        },
+        requestId,
+        startTime
+      );
+    }
+
+    result.metadata.operation = 'edit';
+    return result;
+  }
+
   /**
    * Generate image with specific model and retry logic
    * 
+   * dall-e-3 only accepts n: 1, so its variations are requested one call at a
+   * time and each call is retried on its own - a rate limit on the third image
+   * never pays for the first two again. When a later call still fails, the
+   * images already generated (and paid for) are returned with metadata.partial.
+   * 
    * @param {string} model - Model to use (gpt-image-1 or dall-e-3)
    * @param {string} prompt - Image generation prompt  
    * @param {Object} options - Generation options
@@ -457,6 +579,66 @@ class OpenAIImageService {
    * @returns {Promise<Object>} - Generation result
    */
   async generateWithModel(model, prompt, options, requestId, startTime) {
+    // Prepare request parameters based on model
+    const requestParams = this.buildRequestParams(model, prompt, options);
+    const count = options.n || 1;
+
+    if (requestParams.image || count <= 1 || requestParams.n === count) {
+      const { response, attemptCount } = await this.requestWithRetry(model, requestParams, options, requestId, startTime);
+      return this.processSuccessfulResponse(response, model, requestParams, requestId, startTime, attemptCount);
+    }
+
+    const responses = [];
+    let attemptCount = 0;
+    let partialError = null;
+    for (let index = 0; index < count; index++) {
+      try {
+        const result = await this.requestWithRetry(model, { ...requestParams, n: 1 }, options, requestId, startTime);
+        responses.push(result.response);
+        attemptCount = Math.max(attemptCount, result.attemptCount);
+      } catch (error) {
+        // Nothing generated yet - the caller falls back or fails as for a single image
+        if (responses.length === 0) {
+          throw error;
+        }
+
+        partialError = error;
+        this.logger.warn('Variation failed, keeping the images already generated', {
+          requestId,
+          model,
+          requested: count,
+          generated: responses.length,
+          error: error.message
+        });
+        break;
+      }
+    }
+
+    const result = this.processSuccessfulResponse(
+      mergeImageResponses(responses),
+      model,
+      requestParams,
+      requestId,
+      startTime,
+      attemptCount
+    );
+    if (partialError) {
+      result.metadata.partial = { requested: count, generated: responses.length, error: partialError.message };
+    }
+    return result;
+  }
+
+  /**
+   * Send one image request, retrying rate limits and server errors
+   * 
+   * @param {string} model - Model to use
+   * @param {Object} requestParams - Parameters from buildRequestParams
+   * @param {Object} options - Generation options (onProgress)
+   * @param {string} requestId - Request ID for logging
+   * @param {number} startTime - Start timestamp
+   * @returns {Promise<Object>} - { response, attemptCount }
+   */
+  async requestWithRetry(model, requestParams, options, requestId, startTime) {
     let lastError = null;
 
     // Retry loop with exponential backoff
@@ -470,22 +652,15 @@ class OpenAIImageService {
           size: options.size || this.config.defaultSize,
           quality: options.quality
         });
+        options.onProgress?.('model-attempt', {
+          model,
+          attempt: attempt + 1,
+          maxRetries: this.config.maxRetries
+        });
 
-        // Prepare request parameters based on model
-        const requestParams = this.buildRequestParams(model, prompt, options);
-        
         // Make API call
-        const response = await this.openai.images.generate(requestParams);
-        
-        // Process successful response
-        return this.processSuccessfulResponse(
-          response,
-          model,
-          requestParams,
-          requestId,
-          startTime,
-          attempt + 1
-        );
+        const response = await this.requestImages(requestParams);
+        return { response, attemptCount: attempt + 1 };
 
       } catch (error) {
         lastError = error;
@@ -511,7 +686,7 @@ class OpenAIImageService {
           this.logger.error('Content policy violation detected', {
             requestId,
             model,
-            promptPreview: prompt.substring(0, 100)
+            promptPreview: requestParams.prompt.substring(0, 100)
           });
           throw new Error('Generated content violates OpenAI content policy. Please try a different prompt.');
         }
@@ -546,6 +721,19 @@ class OpenAIImageService {
     throw lastError;
   }
 
+  /**
+   * Request images from the API
+   * Requests carrying a source image go to the edit endpoint
+   *
+   * @param {Object} requestParams - Parameters from buildRequestParams
+   * @returns {Promise<Object>} - API response ({ data, usage })
+   */
+  async requestImages(requestParams) {
+    return requestParams.image
+      ? this.openai.images.edit(requestParams)
+      : this.openai.images.generate(requestParams);
+  }
+
   /**
    * Build request parameters based on model capabilities
    * Updated with full gpt-image-1 parameter support
@@ -555,14 +743,16 @@ class OpenAIImageService {
       model,
       prompt,
       size: options.size || this.config.defaultSize,
-      n: 1
+      // dall-e-3 rejects n > 1 - requestImages issues one call per variation instead
+      n: model === 'dall-e-3' ? 1 : (options.n || 1)
     };
 
     if (model === 'gpt-image-1') {
       // gpt-image-1 basic parameter support - format parameter not yet supported
       return {
         ...baseParams,
-        quality: options.quality || this.config.defaultQuality
+        quality: options.quality || this.config.defaultQuality,
+        ...(options.sourceImage && { image: options.sourceImage })
       };
     } else if (model === 'dall-e-3') {
       // dall-e-3 specific parameters (different quality values)
@@ -590,13 +780,22 @@ class OpenAIImageService {
     const imageBase64 = response.data[0].b64_json;
     const revisedPrompt = response.data[0].revised_prompt;
 
-    // Calculate costs
-    const costAnalysis = this.costCalculator.calculateImageCost(
+    // Calculate costs - per image when several variations were requested
+    const batchCost = this.costCalculator.calculateBatchCost(
       model,
       requestParams.size,
       requestParams.quality || 'standard',
+      response.data.length,
       response.usage?.total_tokens || 0
     );
+    const { perImage, ...costAnalysis } = batchCost;
+
+    const images = response.data.map((image, index) => ({
+      index,
+      imageUrl: image.url || `data:image/png;base64,${image.b64_json}`,
+      revisedPrompt: image.revised_prompt,
+      costs: perImage[index]
+    }));
 
     // Prepare response metadata
     const metadata = {
@@ -611,7 +810,8 @@ class OpenAIImageService {
       usage: response.usage,
       apiMode: 'real-openai-api',
       requestId,
-      hasBase64: !!imageBase64
+      hasBase64: !!imageBase64,
+      variationCount: images.length
     };
 
     // Log successful generation with cost tracking
@@ -630,6 +830,7 @@ class OpenAIImageService {
       imageUrl: imageUrl || `data:image/png;base64,${imageBase64}`,
       model,
       revisedPrompt,
+      images,
       metadata
     };
   }
@@ -640,6 +841,7 @@ class OpenAIImageService {
   generateMockResponse(prompt, options, requestId, startTime) {
     const processingTime = Date.now() - startTime;
     const model = options.forceFallback ? this.config.fallbackModel : this.config.primaryModel;
+    const count = options.n || 1;
     
     // Create mock SVG coloring page
     const mockImageData = {
@@ -654,10 +856,24 @@ class OpenAIImageService {
         mock: true,
         apiMode: 'mock-development',
         requestId,
-        costs: { imageCost: 0, tokenCost: 0, totalCost: 0, mock: true }
+        costs: { imageCost: 0, tokenCost: 0, totalCost: 0, mock: true },
+        variationCount: count
       }
     };
 
+    // Label each mock variation so they can be told apart in the picker
+    const mockSvg = Buffer.from(mockImageData.imageUrl.split(',')[1], 'base64').toString('utf8');
+    const images = Array.from({ length: count }, (_, index) => ({
+      index,
+      imageUrl: count === 1
+        ? mockImageData.imageUrl
+        : `data:image/svg+xml;base64,${Buffer.from(
+          mockSvg.replace('Mock Coloring Page', `Mock Coloring Page ${index + 1}`)
+        ).toString('base64')}`,
+      revisedPrompt: `Enhanced ${prompt} (mock development mode)`,
+      costs: { imageCost: 0, tokenCost: 0, totalCost: 0, mock: true }
+    }));
+
     this.logger.info('Mock image generation completed', {
       requestId,
       model,
@@ -667,9 +883,10 @@ class OpenAIImageService {
 
     return {
       success: true,
-      imageUrl: mockImageData.imageUrl,
+      imageUrl: images[0].imageUrl,
       model,
       revisedPrompt: `Enhanced ${prompt} (mock development mode)`,
+      images,
       metadata: mockImageData.metadata
     };
   }
@@ -8,13 +8,19 @@
  * - PDF generation endpoint (architecture.md Section 3.3.1)
  * - High-quality output (300 DPI) as specified in PRD
  * - Error handling and logging for production reliability
+ * - Vector output: traced SVG line art is drawn as PDF paths so large-format
+ *   prints stay crisp instead of upscaling a 1024px bitmap
+ * - Print options: page size presets (letter, A4, A5, 8.5x8.5 KDP), landscape,
+ *   margins, bleed and trim marks, plus an effective-DPI check per page
  * 
  * FLOW STEP 4: Part of the final step - "Return image to frontend for zoomable preview, 
  * with modal options to download as 300 DPI PDF or save to Firebase gallery"
  */
 
-import jsPDF from 'jspdf';
+import { jsPDF } from 'jspdf';
+import sharp from 'sharp';
 import winston from 'winston';
+import { exportSvg, loadImageSource } from './imageOptimization.js';
 
 // Logger configuration for PDF service
 const logger = winston.createLogger({
@@ -50,6 +56,66 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
+// Trim sizes in points (72 per inch), portrait
+export const PAGE_SIZES = {
+  letter: { label: 'US Letter (8.5" x 11")', width: 612, height: 792 },
+  a4: { label: 'A4 (210 x 297 mm)', width: 595.28, height: 841.89 },
+  a5: { label: 'A5 (148 x 210 mm)', width: 419.53, height: 595.28 },
+  'kdp-8.5x8.5': { label: 'KDP square (8.5" x 8.5")', width: 612, height: 612 }
+};
+
+export const PRINT_DEFAULTS = {
+  pageSize: 'letter',
+  orientation: 'portrait',
+  margin: 0.5, // inches, measured from the trim edge
+  bleed: false,
+  trimMarks: false
+};
+
+const POINTS_PER_INCH = 72;
+const BLEED_SIZE = 9; // 0.125" on every side - the KDP and print shop standard
+const SLUG_SIZE = 18; // Space outside the bleed for trim marks
+const TRIM_MARK_LENGTH = 12;
+const RECOMMENDED_DPI = 300;
+
+// Footer and book text by locale. The built-in PDF fonts only cover Latin
+// (WinAnsi) characters, so other scripts fall back to English.
+export const FOOTER_LABELS = {
+  en: {
+    generated: 'Generated: {date}',
+    appName: 'Coloring Book Creator',
+    contents: 'Contents',
+    page: 'Page {number}',
+    byAuthor: 'by {author}',
+    coverTagline: 'A Coloring Book Creator book'
+  },
+  es: {
+    generated: 'Creado el {date}',
+    appName: 'Creador de Libros para Colorear',
+    contents: 'Contenido',
+    page: 'Página {number}',
+    byAuthor: 'por {author}',
+    coverTagline: 'Un libro de Creador de Libros para Colorear'
+  },
+  fr: {
+    generated: 'Créé le {date}',
+    appName: 'Créateur de Coloriages',
+    contents: 'Sommaire',
+    page: 'Page {number}',
+    byAuthor: 'par {author}',
+    coverTagline: 'Un livre Créateur de Coloriages'
+  },
+  de: {
+    generated: 'Erstellt am {date}',
+    appName: 'Malbuch-Generator',
+    contents: 'Inhalt',
+    page: 'Seite {number}',
+    byAuthor: 'von {author}',
+    coverTagline: 'Ein Buch vom Malbuch-Generator'
+  }
+};
+const DEFAULT_FOOTER_LOCALE = 'en';
+
 /**
  * PDF Generation Service class
  * 
@@ -70,14 +136,30 @@ class PDFService {
   /**
    * Generate PDF from image URL
    * 
-   * CORE FUNCTIONALITY: Converts generated coloring page image to 300 DPI PDF
+   * CORE FUNCTIONALITY: Converts generated coloring page image to a printable PDF
    * 
    * @param {string} imageUrl - URL of the generated coloring page image
    * @param {Object} metadata - Image metadata including title, prompts, etc.
-   * @param {Object} options - PDF generation options
+   * @param {Object} options - Print options (see resolvePrintLayout) plus vector
    * @returns {Promise<Buffer>} - PDF file buffer
    */
   async generatePDF(imageUrl, metadata = {}, options = {}) {
+    const { buffer } = await this.generatePDFWithReport(imageUrl, metadata, options);
+    return buffer;
+  }
+
+  /**
+   * Generate PDF from image URL and report how well it will print
+   * 
+   * @param {string} imageUrl - URL of the generated coloring page image
+   * @param {Object} metadata - Image metadata including title, prompts, etc.
+   * @param {Object} options - Print options (see resolvePrintLayout)
+   * @param {boolean} [options.vector=false] - Trace raster pages and draw them as vector paths
+   * @param {boolean} [options.compress=true] - Compress the PDF streams
+   * @param {string} [options.locale='en'] - Language of the footer text and date
+   * @returns {Promise<{buffer: Buffer, report: Object}>} - PDF file buffer and print report
+   */
+  async generatePDFWithReport(imageUrl, metadata = {}, options = {}) {
     const startTime = Date.now();
     const requestId = `pdf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
@@ -94,61 +176,48 @@ class PDFService {
         throw new Error('Image URL is required for PDF generation');
       }
 
-      // Merge options with defaults
-      const pdfOptions = { ...this.defaultOptions, ...options };
-      
-      // Create new PDF document
-      const pdf = new jsPDF(pdfOptions);
-      
-      // Get PDF dimensions
-      const pageWidth = pdf.internal.pageSize.getWidth();
-      const pageHeight = pdf.internal.pageSize.getHeight();
-      
-      // Calculate margins (0.5 inch margins = 36 points)
-      const margin = 36;
-      const printableWidth = pageWidth - (2 * margin);
-      const printableHeight = pageHeight - (2 * margin);
+      const { vector = false, compress = true, locale, ...printOptions } = options;
+      const layout = this.resolvePrintLayout(printOptions);
+      const pdf = this.createDocument(layout, compress);
+      const { pageWidth, pageHeight, margin, offset } = layout;
 
       this.logger.debug('PDF page setup', {
         requestId,
+        pageSize: layout.pageSize,
+        orientation: layout.orientation,
         pageWidth,
         pageHeight,
-        printableWidth,
-        printableHeight,
-        margin
+        margin,
+        bleed: layout.bleed,
+        trimMarks: layout.trimMarks
       });
 
       // Fetch image data
       const imageData = await this.fetchImageData(imageUrl, requestId);
       
-      // Add image to PDF with proper scaling for 300 DPI
-      await this.addImageToPDF(pdf, imageData, {
-        x: margin,
-        y: margin,
-        maxWidth: printableWidth,
-        maxHeight: printableHeight,
+      // Add image inside the margins of the trimmed page
+      const placement = await this.addImageToPDF(pdf, imageData, {
+        x: offset + margin,
+        y: offset + margin,
+        maxWidth: pageWidth - (2 * margin),
+        maxHeight: pageHeight - (2 * margin),
+        vector,
         requestId
       });
 
       // Add metadata header if provided
       if (metadata.originalPrompt || metadata.title) {
-        this.addMetadataHeader(pdf, metadata, {
-          pageWidth,
-          margin,
-          requestId
-        });
+        this.addMetadataHeader(pdf, metadata, { ...layout, requestId });
       }
 
       // Add footer with generation info
-      this.addFooter(pdf, metadata, {
-        pageWidth,
-        pageHeight,
-        margin,
-        requestId
-      });
+      this.addFooter(pdf, metadata, { ...layout, requestId, locale });
+
+      this.finishPrintLayout(pdf, layout);
 
       // Generate PDF buffer
       const pdfBuffer = Buffer.from(pdf.output('arraybuffer'));
+      const report = this.buildPrintReport(layout, [placement]);
       
       const processingTime = Date.now() - startTime;
       
@@ -156,10 +225,11 @@ class PDFService {
         requestId,
         processingTime,
         pdfSize: pdfBuffer.length,
+        effectiveDpi: report.effectiveDpi,
         imageUrl: imageUrl.substring(0, 50) + '...'
       });
 
-      return pdfBuffer;
+      return { buffer: pdfBuffer, report };
 
     } catch (error) {
       const processingTime = Date.now() - startTime;
@@ -176,8 +246,165 @@ class PDFService {
     }
   }
 
+  /**
+   * Work out page geometry for the chosen print options
+   * 
+   * The trim box is the finished page size. Bleed adds 0.125" around it, and
+   * trim marks need a slug outside the bleed to sit in, so the PDF page (media
+   * box) grows by both. `offset` is where the trimmed page starts on the sheet.
+   * 
+   * @param {Object} options - Print options
+   * @param {string} [options.pageSize='letter'] - Key of PAGE_SIZES
+   * @param {string} [options.orientation='portrait'] - 'portrait' or 'landscape'
+   * @param {number} [options.margin=0.5] - Margin inside the trim edge, in inches
+   * @param {boolean} [options.bleed=false] - Add bleed around the trim edge
+   * @param {boolean} [options.trimMarks=false] - Draw crop marks at the corners
+   * @returns {Object} Layout in points: pageWidth/pageHeight (trim), mediaWidth/mediaHeight, margin, bleed, offset
+   */
+  resolvePrintLayout(options = {}) {
+    // Missing or undefined fields fall back to the defaults
+    const settings = Object.fromEntries(
+      Object.entries(PRINT_DEFAULTS).map(([key, value]) => [key, options[key] ?? value])
+    );
+    const pageSize = PAGE_SIZES[settings.pageSize] ? settings.pageSize : PRINT_DEFAULTS.pageSize;
+    const { width, height } = PAGE_SIZES[pageSize];
+    const landscape = settings.orientation === 'landscape';
+
+    const pageWidth = landscape ? Math.max(width, height) : Math.min(width, height);
+    const pageHeight = landscape ? Math.min(width, height) : Math.max(width, height);
+    const bleed = settings.bleed ? BLEED_SIZE : 0;
+    const offset = bleed + (settings.trimMarks ? SLUG_SIZE : 0);
+
+    return {
+      pageSize,
+      orientation: landscape ? 'landscape' : 'portrait',
+      pageWidth,
+      pageHeight,
+      mediaWidth: pageWidth + (2 * offset),
+      mediaHeight: pageHeight + (2 * offset),
+      margin: settings.margin * POINTS_PER_INCH,
+      bleed,
+      offset,
+      trimMarks: !!settings.trimMarks
+    };
+  }
+
+  /**
+   * Create a jsPDF document sized to the layout's media box
+   */
+  createDocument(layout, compress = true) {
+    return new jsPDF({
+      unit: 'pt',
+      format: [layout.mediaWidth, layout.mediaHeight],
+      orientation: layout.mediaWidth > layout.mediaHeight ? 'landscape' : 'portrait',
+      compress
+    });
+  }
+
+  /**
+   * Draw trim marks and record TrimBox/BleedBox on every page
+   * Print shops and KDP read the boxes to know where to cut.
+   * 
+   * @param {jsPDF} pdf - Finished PDF document
+   * @param {Object} layout - Result of resolvePrintLayout
+   */
+  finishPrintLayout(pdf, layout) {
+    const { pageWidth, pageHeight, mediaWidth, mediaHeight, bleed, offset, trimMarks } = layout;
+    if (offset === 0) return;
+
+    // PDF boxes use a bottom-left origin
+    const box = (inset) => ({
+      bottomLeftX: inset,
+      bottomLeftY: inset,
+      topRightX: mediaWidth - inset,
+      topRightY: mediaHeight - inset
+    });
+
+    for (let page = 1; page <= pdf.getNumberOfPages(); page++) {
+      const { pageContext } = pdf.getPageInfo(page);
+      pageContext.trimBox = box(offset);
+      pageContext.bleedBox = box(offset - bleed);
+
+      if (trimMarks) {
+        pdf.setPage(page);
+        this.addTrimMarks(pdf, { pageWidth, pageHeight, bleed, offset });
+      }
+    }
+  }
+
+  /**
+   * Corner crop marks in the slug, lined up with the trim edges and kept
+   * clear of the bleed so they never show on the finished page
+   */
+  addTrimMarks(pdf, options) {
+    const { pageWidth, pageHeight, bleed, offset } = options;
+    const left = offset;
+    const right = offset + pageWidth;
+    const top = offset;
+    const bottom = offset + pageHeight;
+    const start = bleed + 3;
+    const end = start + TRIM_MARK_LENGTH;
+
+    pdf.setDrawColor(0, 0, 0);
+    pdf.setLineWidth(0.25);
+
+    for (const x of [left, right]) {
+      const direction = x === left ? -1 : 1;
+      for (const y of [top, bottom]) {
+        const vertical = y === top ? -1 : 1;
+        // Horizontal mark along the trim line, then the vertical one
+        pdf.line(x + direction * start, y, x + direction * end, y);
+        pdf.line(x, y + vertical * start, x, y + vertical * end);
+      }
+    }
+  }
+
+  /**
+   * Summarize the print settings and warn about pages below print resolution
+   * 
+   * @param {Object} layout - Result of resolvePrintLayout
+   * @param {Array<Object>} placements - addImageToPDF results, one per page
+   * @returns {Object} Print report
+   */
+  buildPrintReport(layout, placements) {
+    const rasterPages = placements
+      .map((placement, index) => ({ ...placement, page: index + 1 }))
+      .filter(placement => !placement.vector);
+    const lowest = rasterPages.reduce(
+      (min, placement) => (min === null || placement.effectiveDpi < min.effectiveDpi ? placement : min),
+      null
+    );
+    const lowPages = rasterPages.filter(placement => placement.effectiveDpi < RECOMMENDED_DPI);
+
+    const warnings = [];
+    if (lowPages.length > 0) {
+      const paper = PAGE_SIZES[layout.pageSize].label;
+      const problem = placements.length > 1
+        ? `${lowPages.length} coloring page${lowPages.length !== 1 ? 's print' : ' prints'} below ${RECOMMENDED_DPI} DPI on ${paper} (lowest: ${lowest.effectiveDpi} DPI on coloring page ${lowest.page}).`
+        : `The image prints at ${lowest.effectiveDpi} DPI on ${paper}, below the recommended ${RECOMMENDED_DPI} DPI.`;
+      warnings.push(`${problem} Lines may look soft - try a smaller page size, larger margins or vector pages.`);
+    }
+
+    return {
+      pageSize: layout.pageSize,
+      orientation: layout.orientation,
+      trimSize: {
+        width: +(layout.pageWidth / POINTS_PER_INCH).toFixed(2),
+        height: +(layout.pageHeight / POINTS_PER_INCH).toFixed(2)
+      },
+      margin: +(layout.margin / POINTS_PER_INCH).toFixed(3),
+      bleed: layout.bleed > 0,
+      trimMarks: layout.trimMarks,
+      effectiveDpi: lowest ? lowest.effectiveDpi : null,
+      recommendedDpi: RECOMMENDED_DPI,
+      warnings
+    };
+  }
+
   /**
    * Fetch image data from URL
+   * Remote pages come from clients, so they go through the same guarded loader
+   * as SVG export (allowed hosts, timeout, size and content-type checks).
    * 
    * @param {string} imageUrl - URL of the image to fetch
    * @param {string} requestId - Request ID for logging
@@ -193,17 +420,14 @@ class PDFService {
       }
 
       // For HTTP URLs, fetch the image
-      const response = await fetch(imageUrl);
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
+      const buffer = await loadImageSource(imageUrl);
+      if (!Buffer.isBuffer(buffer)) {
+        throw new Error('Unsupported image source');
       }
-
-      const arrayBuffer = await response.arrayBuffer();
-      const buffer = Buffer.from(arrayBuffer);
       
-      // Determine image type from response headers or URL
-      const contentType = response.headers.get('content-type') || 'image/png';
+      // Determine image type from the downloaded bytes
+      const { format } = await sharp(buffer).metadata();
+      const contentType = `image/${format === 'jpg' ? 'jpeg' : format}`;
       const base64Data = buffer.toString('base64');
       const dataUrl = `data:${contentType};base64,${base64Data}`;
 
@@ -228,76 +452,468 @@ class PDFService {
   /**
    * Add image to PDF with proper scaling
    * 
+   * Image dimensions are read by jsPDF itself (getImageProperties) so this
+   * works on the server, where there is no DOM Image element.
+   * 
+   * jsPDF can't embed SVG: traced line-art SVGs are drawn as vector paths,
+   * any other SVG (e.g. mock pages) is rasterized first. With options.vector
+   * raster pages are traced and drawn as vectors too.
+   * 
    * @param {jsPDF} pdf - PDF document
    * @param {string} imageData - Base64 image data
    * @param {Object} options - Positioning and sizing options
+   * @returns {Promise<{vector: boolean, effectiveDpi?: number}>} - How the page was drawn;
+   *   bitmaps report the resolution they print at
    */
   async addImageToPDF(pdf, imageData, options) {
-    const { x, y, maxWidth, maxHeight, requestId } = options;
+    const { x, y, maxWidth, maxHeight, vector = false, requestId } = options;
     
     try {
-      // Create a new image element to get dimensions
-      const img = new Image();
+      if (imageData.startsWith('data:image/svg+xml')) {
+        const svg = this.decodeSvgDataUrl(imageData);
+        const traced = this.parseTracedSvg(svg);
+        if (traced) {
+          this.addVectorToPDF(pdf, traced, options);
+          return { vector: true };
+        }
+        imageData = await this.rasterizeSvg(svg);
+      } else if (vector) {
+        const result = await exportSvg(imageData);
+        const traced = result.success && this.parseTracedSvg(result.svg);
+        if (traced) {
+          this.addVectorToPDF(pdf, traced, options);
+          return { vector: true };
+        }
+        this.logger.warn('Vector tracing failed, embedding bitmap', { requestId, error: result.error });
+      }
+
+      const properties = pdf.getImageProperties(imageData);
+      const originalWidth = properties.width;
+      const originalHeight = properties.height;
       
-      return new Promise((resolve, reject) => {
-        img.onload = () => {
-          try {
-            const originalWidth = img.width;
-            const originalHeight = img.height;
-            
-            // Calculate scaling to fit within printable area while maintaining aspect ratio
-            const widthRatio = maxWidth / originalWidth;
-            const heightRatio = maxHeight / originalHeight;
-            const scale = Math.min(widthRatio, heightRatio);
-            
-            const scaledWidth = originalWidth * scale;
-            const scaledHeight = originalHeight * scale;
-            
-            // Center the image horizontally if it's smaller than max width
-            const centeredX = x + (maxWidth - scaledWidth) / 2;
-            
-            this.logger.debug('Adding image to PDF', {
-              requestId,
-              originalWidth,
-              originalHeight,
-              scaledWidth,
-              scaledHeight,
-              scale,
-              position: { x: centeredX, y }
-            });
-
-            // Add image to PDF
-            pdf.addImage(
-              imageData,
-              'JPEG', // jsPDF handles format conversion automatically
-              centeredX,
-              y,
-              scaledWidth,
-              scaledHeight,
-              undefined, // alias
-              'MEDIUM' // compression - balances quality and file size
-            );
-
-            resolve();
-          } catch (error) {
-            reject(error);
-          }
-        };
-        
-        img.onerror = () => {
-          reject(new Error('Failed to load image for PDF generation'));
-        };
-        
-        img.src = imageData;
+      // Calculate scaling to fit within printable area while maintaining aspect ratio
+      const widthRatio = maxWidth / originalWidth;
+      const heightRatio = maxHeight / originalHeight;
+      const scale = Math.min(widthRatio, heightRatio);
+      
+      const scaledWidth = originalWidth * scale;
+      const scaledHeight = originalHeight * scale;
+      const effectiveDpi = Math.round(originalWidth / (scaledWidth / POINTS_PER_INCH));
+      
+      // Center the image horizontally if it's smaller than max width
+      const centeredX = x + (maxWidth - scaledWidth) / 2;
+      
+      this.logger.debug('Adding image to PDF', {
+        requestId,
+        originalWidth,
+        originalHeight,
+        scaledWidth,
+        scaledHeight,
+        scale,
+        effectiveDpi,
+        position: { x: centeredX, y }
       });
 
+      // Add image to PDF
+      pdf.addImage(
+        imageData,
+        properties.fileType || 'PNG',
+        centeredX,
+        y,
+        scaledWidth,
+        scaledHeight,
+        undefined, // alias
+        'MEDIUM' // compression - balances quality and file size
+      );
+
+      return { vector: false, effectiveDpi };
+
     } catch (error) {
       this.logger.error('Failed to add image to PDF', {
         requestId,
         error: error.message
       });
-      throw error;
+      throw new Error(`Failed to load image for PDF generation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decode an SVG data URL (base64 or URL-encoded)
+   */
+  decodeSvgDataUrl(dataUrl) {
+    const [header, body] = dataUrl.split(',', 2);
+    return header.endsWith(';base64')
+      ? Buffer.from(body, 'base64').toString('utf8')
+      : decodeURIComponent(body);
+  }
+
+  /**
+   * Parse a traced line-art SVG into drawable paths
+   * Only SVGs made of filled paths with absolute M/L/Q/C/Z commands (what the
+   * tracer produces) are accepted; anything else returns null.
+   * 
+   * @param {string} svg - SVG markup
+   * @returns {{ width: number, height: number, paths: string[] }|null}
+   */
+  parseTracedSvg(svg) {
+    const viewBox = svg.match(/viewBox="\s*0[\s,]+0[\s,]+([\d.]+)[\s,]+([\d.]+)\s*"/);
+    const body = svg.replace(/^[\s\S]*?<svg[^>]*>/, '').replace(/<\/svg>\s*$/, '');
+    if (!viewBox || body.replace(/<path\s[^>]*\/>/g, '').trim() !== '') {
+      return null;
+    }
+
+    const paths = [...body.matchAll(/\sd="([^"]*)"/g)].map(match => match[1]);
+    if (paths.some(d => !/^[MLQCZ\d\s.,-]*$/.test(d))) {
+      return null;
+    }
+
+    return { width: parseFloat(viewBox[1]), height: parseFloat(viewBox[2]), paths };
+  }
+
+  /**
+   * Draw traced paths as filled PDF vector shapes, scaled to fit and centered
+   * horizontally like addImageToPDF. Quadratic curves become cubic ones.
+   * 
+   * @param {jsPDF} pdf - PDF document
+   * @param {Object} traced - Result of parseTracedSvg
+   * @param {Object} options - x, y, maxWidth, maxHeight, requestId
+   */
+  addVectorToPDF(pdf, traced, options) {
+    const { x, y, maxWidth, maxHeight, requestId } = options;
+    const scale = Math.min(maxWidth / traced.width, maxHeight / traced.height);
+    const offsetX = x + (maxWidth - traced.width * scale) / 2;
+    const px = (value) => offsetX + value * scale;
+    const py = (value) => y + value * scale;
+
+    pdf.setFillColor(0, 0, 0);
+
+    for (const d of traced.paths) {
+      const tokens = d.match(/[MLQCZ]|-?[\d.]+/g) || [];
+      const read = () => parseFloat(tokens.shift());
+      let current = [0, 0];
+      let command = null;
+
+      while (tokens.length) {
+        if (/[MLQCZ]/.test(tokens[0])) command = tokens.shift();
+
+        if (command === 'M') {
+          current = [read(), read()];
+          pdf.moveTo(px(current[0]), py(current[1]));
+        } else if (command === 'L') {
+          current = [read(), read()];
+          pdf.lineTo(px(current[0]), py(current[1]));
+        } else if (command === 'Q') {
+          const [cx, cy, ex, ey] = [read(), read(), read(), read()];
+          pdf.curveTo(
+            px(current[0] + (2 / 3) * (cx - current[0])), py(current[1] + (2 / 3) * (cy - current[1])),
+            px(ex + (2 / 3) * (cx - ex)), py(ey + (2 / 3) * (cy - ey)),
+            px(ex), py(ey)
+          );
+          current = [ex, ey];
+        } else if (command === 'C') {
+          const [c1x, c1y, c2x, c2y, ex, ey] = [read(), read(), read(), read(), read(), read()];
+          pdf.curveTo(px(c1x), py(c1y), px(c2x), py(c2y), px(ex), py(ey));
+          current = [ex, ey];
+        } else if (command === 'Z') {
+          pdf.close();
+          command = null;
+        } else {
+          tokens.shift(); // Stray number - skip rather than loop forever
+        }
+      }
+
+      pdf.fill();
+    }
+
+    this.logger.debug('Added vector line art to PDF', {
+      requestId,
+      pathCount: traced.paths.length,
+      scale
+    });
+  }
+
+  /**
+   * Render a non-traced SVG to a print-resolution PNG data URL
+   * 
+   * @param {string} svg - SVG markup
+   * @returns {Promise<string>} PNG data URL
+   */
+  async rasterizeSvg(svg) {
+    const png = await sharp(Buffer.from(svg), { density: 300 })
+      .resize(2048, 2048, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: { r: 255, g: 255, b: 255 } })
+      .png()
+      .toBuffer();
+
+    return `data:image/png;base64,${png.toString('base64')}`;
+  }
+
+  /**
+   * Generate a multi-page coloring book PDF
+   * 
+   * Layout: cover page → table of contents → one coloring page per image.
+   * With blankBacks every printed page gets an empty reverse side so books
+   * printed single-sided can be bound without colors bleeding through.
+   * 
+   * @param {Object} book - Book definition
+   * @param {string} book.title - Book title for the cover
+   * @param {string} [book.author] - Author shown on the cover
+   * @param {Array<{imageUrl: string, title?: string}>} book.pages - Ordered coloring pages
+   * @param {Object} [options] - Book layout options
+   * @param {boolean} [options.blankBacks=false] - Insert a blank page after every printed page
+   * @param {boolean} [options.pageNumbers=true] - Print page numbers on coloring pages
+   * @param {boolean} [options.tableOfContents=true] - Add a table of contents after the cover
+   * @param {boolean} [options.vector=false] - Draw pages as traced vector paths
+   * @param {string} [options.locale='en'] - Language of the cover, contents and default page titles
+   * @returns {Promise<Buffer>} - PDF file buffer
+   */
+  async generateBookPDF(book, options = {}) {
+    const { buffer } = await this.generateBookPDFWithReport(book, options);
+    return buffer;
+  }
+
+  /**
+   * Generate a multi-page coloring book PDF and report how well it will print
+   * 
+   * @param {Object} book - Book definition (see generateBookPDF)
+   * @param {Object} [options] - Book layout options plus print options (see resolvePrintLayout)
+   * @returns {Promise<{buffer: Buffer, report: Object}>} - PDF file buffer and print report
+   */
+  async generateBookPDFWithReport(book, options = {}) {
+    const startTime = Date.now();
+    const requestId = `book_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const {
+      blankBacks = false,
+      pageNumbers = true,
+      tableOfContents = true,
+      vector = false,
+      compress = true,
+      locale,
+      ...printOptions
+    } = options;
+    const pages = book.pages || [];
+    const labels = this.getLabels(locale);
+
+    try {
+      this.logger.info('Starting book PDF generation', {
+        requestId,
+        pageCount: pages.length,
+        blankBacks,
+        pageNumbers,
+        tableOfContents
+      });
+
+      if (pages.length === 0) {
+        throw new Error('A book needs at least one page');
+      }
+
+      const printLayout = this.resolvePrintLayout(printOptions);
+      const pdf = this.createDocument(printLayout, compress);
+      const { pageWidth, pageHeight, margin, offset } = printLayout;
+      const layoutOptions = { ...printLayout, requestId, labels };
+      const placements = [];
+
+      const layout = this.planBookLayout(pdf, pages, { blankBacks, tableOfContents, ...layoutOptions });
+
+      // Cover - jsPDF starts with one empty page
+      this.addCoverPage(pdf, book, layoutOptions);
+      if (blankBacks) pdf.addPage();
+
+      if (tableOfContents) {
+        this.addTableOfContents(pdf, layout.entries, layout.tocPageCount, { ...layoutOptions, blankBacks });
+      }
+
+      // Fetch one image at a time to keep memory flat for long books
+      for (const [index, page] of pages.entries()) {
+        pdf.addPage();
+
+        const pageTitle = layout.entries[index].title;
+        const imageData = await this.fetchImageData(page.imageUrl, requestId);
+        placements.push(await this.addImageToPDF(pdf, imageData, {
+          x: offset + margin,
+          y: offset + margin,
+          maxWidth: pageWidth - (2 * margin),
+          maxHeight: pageHeight - (2 * margin),
+          vector,
+          requestId
+        }));
+
+        this.addMetadataHeader(pdf, { title: pageTitle }, layoutOptions);
+
+        if (pageNumbers) {
+          this.addPageNumber(pdf, layout.entries[index].pageNumber, layoutOptions);
+        }
+
+        if (blankBacks) pdf.addPage();
+      }
+
+      this.finishPrintLayout(pdf, printLayout);
+
+      const pdfBuffer = Buffer.from(pdf.output('arraybuffer'));
+      const report = this.buildPrintReport(printLayout, placements);
+
+      this.logger.info('Book PDF generation completed successfully', {
+        requestId,
+        processingTime: Date.now() - startTime,
+        pdfSize: pdfBuffer.length,
+        totalPages: pdf.getNumberOfPages(),
+        effectiveDpi: report.effectiveDpi
+      });
+
+      return { buffer: pdfBuffer, report };
+
+    } catch (error) {
+      this.logger.error('Book PDF generation failed', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        processingTime: Date.now() - startTime,
+        pageCount: pages.length
+      });
+
+      throw new Error(`Book PDF generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Work out where every coloring page will land before drawing anything,
+   * so the table of contents can reference real page numbers
+   * 
+   * @param {jsPDF} pdf - PDF document (used for page metrics)
+   * @param {Array} pages - Ordered coloring pages
+   * @param {Object} options - blankBacks, tableOfContents, labels and page metrics
+   * @returns {{ entries: Array<{title: string, pageNumber: number}>, tocPageCount: number }}
+   */
+  planBookLayout(pdf, pages, options) {
+    const { blankBacks, tableOfContents, pageHeight, margin, labels = FOOTER_LABELS[DEFAULT_FOOTER_LOCALE] } = options;
+    const sheet = blankBacks ? 2 : 1; // physical pages per printed side
+
+    const tocPageCount = tableOfContents
+      ? Math.ceil(pages.length / this.getTocEntriesPerPage(pageHeight, margin))
+      : 0;
+
+    // Cover, then the table of contents, then the coloring pages
+    const firstPageNumber = 1 + sheet + (tocPageCount * sheet);
+
+    const entries = pages.map((page, index) => ({
+      title: page.title || labels.page.replace('{number}', index + 1),
+      pageNumber: firstPageNumber + (index * sheet)
+    }));
+
+    return { entries, tocPageCount };
+  }
+
+  /**
+   * Number of table of contents lines that fit on one page
+   * 
+   * @param {number} pageHeight - Page height in points
+   * @param {number} margin - Page margin in points
+   * @returns {number} - Entries per page
+   */
+  getTocEntriesPerPage(pageHeight, margin) {
+    const headingSpace = 60;
+    const lineHeight = 20;
+    return Math.max(1, Math.floor((pageHeight - (2 * margin) - headingSpace) / lineHeight));
+  }
+
+  /**
+   * Add the book cover with title and author
+   * 
+   * @param {jsPDF} pdf - PDF document
+   * @param {Object} book - Book title and author
+   * @param {Object} options - Page metrics and localized labels
+   */
+  addCoverPage(pdf, book, options) {
+    const { pageWidth, pageHeight, margin, offset = 0, requestId, labels } = options;
+    const centerText = (text, y) => {
+      pdf.text(text, offset + (pageWidth - pdf.getTextWidth(text)) / 2, offset + y);
+    };
+
+    // Decorative frame
+    pdf.setLineWidth(3);
+    pdf.rect(offset + margin, offset + margin, pageWidth - (2 * margin), pageHeight - (2 * margin));
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(32);
+    const titleLines = pdf.splitTextToSize(book.title, pageWidth - (4 * margin));
+    const titleY = pageHeight / 3;
+    titleLines.forEach((line, i) => centerText(line, titleY + (i * 40)));
+
+    if (book.author) {
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(16);
+      centerText(labels.byAuthor.replace('{author}', book.author), titleY + (titleLines.length * 40) + 20);
     }
+
+    pdf.setFontSize(10);
+    centerText(labels.coverTagline, pageHeight - (2 * margin));
+
+    this.logger.debug('Added cover page to book PDF', {
+      requestId,
+      title: book.title.substring(0, 50),
+      hasAuthor: !!book.author
+    });
+  }
+
+  /**
+   * Add table of contents pages listing each coloring page
+   * 
+   * @param {jsPDF} pdf - PDF document
+   * @param {Array<{title: string, pageNumber: number}>} entries - Planned pages
+   * @param {number} tocPageCount - Pages reserved for the table of contents
+   * @param {Object} options - Page metrics, localized labels and blankBacks flag
+   */
+  addTableOfContents(pdf, entries, tocPageCount, options) {
+    const { pageWidth, pageHeight, margin, offset = 0, requestId, labels } = options;
+    const perPage = this.getTocEntriesPerPage(pageHeight, margin);
+
+    for (let tocPage = 0; tocPage < tocPageCount; tocPage++) {
+      pdf.addPage();
+
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(20);
+      pdf.text(labels.contents, offset + margin, offset + margin + 24);
+
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(12);
+
+      entries.slice(tocPage * perPage, (tocPage + 1) * perPage).forEach((entry, i) => {
+        const y = offset + margin + 60 + (i * 20);
+        const number = String(entry.pageNumber);
+        const numberX = offset + pageWidth - margin - pdf.getTextWidth(number);
+        const [title] = pdf.splitTextToSize(entry.title, numberX - offset - margin - 40);
+
+        pdf.text(title, offset + margin, y);
+        pdf.text(number, numberX, y);
+      });
+
+      if (options.blankBacks) pdf.addPage();
+    }
+
+    this.logger.debug('Added table of contents to book PDF', {
+      requestId,
+      entries: entries.length,
+      tocPageCount
+    });
+  }
+
+  /**
+   * Add a centered page number in the bottom margin of the current page.
+   * The baseline sits halfway into the margin, kept inside the trim box so
+   * narrow margins don't push the number off the page.
+   * 
+   * @param {jsPDF} pdf - PDF document
+   * @param {number} pageNumber - Number to print
+   * @param {Object} options - Page metrics
+   */
+  addPageNumber(pdf, pageNumber, options) {
+    const { pageWidth, pageHeight, margin, offset = 0 } = options;
+    const text = String(pageNumber);
+    const baseline = Math.min(pageHeight - margin / 2 + 3, pageHeight - 2);
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(10);
+    pdf.text(text, offset + (pageWidth - pdf.getTextWidth(text)) / 2, offset + baseline);
   }
 
   /**
@@ -308,20 +924,20 @@ class PDFService {
    * @param {Object} options - Positioning options
    */
   addMetadataHeader(pdf, metadata, options) {
-    const { pageWidth, margin, requestId } = options;
+    const { pageWidth, margin, offset = 0, requestId } = options;
     
     try {
       const title = metadata.title || metadata.originalPrompt || 'Coloring Page';
-      const headerY = margin - 20; // 20 points above the image
+      const headerY = offset + margin - 20; // 20 points above the image
       
-      // Only add header if there's space
-      if (headerY > 10) {
+      // Only add header if there's space inside the trimmed page
+      if (margin - 20 > 10) {
         pdf.setFontSize(12);
         pdf.setFont('helvetica', 'bold');
         
         // Center the title
         const textWidth = pdf.getTextWidth(title);
-        const textX = (pageWidth - textWidth) / 2;
+        const textX = offset + (pageWidth - textWidth) / 2;
         
         pdf.text(title, textX, headerY);
         
@@ -340,38 +956,94 @@ class PDFService {
     }
   }
 
+  /**
+   * Language of the PDF labels for a locale
+   * Region variants use their language ('fr-CA' -> 'fr'); unsupported locales get English.
+   * 
+   * @param {string} [locale] - BCP 47 language tag
+   * @returns {string} - Key into FOOTER_LABELS
+   */
+  getLabelLanguage(locale) {
+    const language = String(locale || '').toLowerCase().split('-')[0];
+    return FOOTER_LABELS[language] ? language : DEFAULT_FOOTER_LOCALE;
+  }
+
+  /**
+   * PDF labels (footer, cover, contents, page titles) for a locale
+   * 
+   * @param {string} [locale] - BCP 47 language tag
+   * @returns {Object} - Entry of FOOTER_LABELS
+   */
+  getLabels(locale) {
+    return FOOTER_LABELS[this.getLabelLanguage(locale)];
+  }
+
+  /**
+   * Footer labels and date for a locale
+   * 
+   * @param {string} [locale] - BCP 47 language tag
+   * @param {Date} [date] - Generation date
+   * @returns {{locale: string, date: string, generated: string, appName: string}}
+   */
+  getFooterText(locale, date = new Date()) {
+    const language = String(locale || '').toLowerCase().split('-')[0];
+    const supported = this.getLabelLanguage(locale);
+    let footerLocale = supported === language ? locale : DEFAULT_FOOTER_LOCALE;
+
+    let formatted;
+    try {
+      formatted = new Intl.DateTimeFormat(footerLocale, { dateStyle: 'long' }).format(date);
+    } catch {
+      // Malformed region subtag - the language alone still formats
+      footerLocale = supported;
+      formatted = new Intl.DateTimeFormat(supported, { dateStyle: 'long' }).format(date);
+    }
+
+    const { generated, appName } = FOOTER_LABELS[supported];
+    return {
+      locale: footerLocale,
+      date: formatted,
+      generated: generated.replace('{date}', formatted),
+      appName
+    };
+  }
+
   /**
    * Add footer with generation info
    * 
    * @param {jsPDF} pdf - PDF document
    * @param {Object} metadata - Image metadata
    * @param {Object} options - Positioning options
+   * @param {string} [options.locale] - Language of the footer text and date
    */
   addFooter(pdf, metadata, options) {
-    const { pageWidth, pageHeight, margin, requestId } = options;
+    const { pageWidth, pageHeight, margin, offset = 0, requestId, locale } = options;
     
     try {
-      const footerY = pageHeight - margin + 15; // 15 points below the printable area
+      const footerY = offset + pageHeight - margin + 15; // 15 points below the printable area
       
-      // Only add footer if there's space
-      if (footerY < pageHeight - 5) {
+      // Only add footer if there's space inside the trimmed page
+      if (margin - 15 > 5) {
         pdf.setFontSize(8);
         pdf.setFont('helvetica', 'normal');
         
+        const footer = this.getFooterText(locale);
+
         // Left side: Generation date
-        const date = new Date().toLocaleDateString();
-        pdf.text(`Generated: ${date}`, margin, footerY);
+        const date = footer.date;
+        pdf.text(footer.generated, offset + margin, footerY);
         
         // Right side: App name
-        const appText = 'Coloring Book Creator';
+        const appText = footer.appName;
         const appTextWidth = pdf.getTextWidth(appText);
-        pdf.text(appText, pageWidth - margin - appTextWidth, footerY);
+        pdf.text(appText, offset + pageWidth - margin - appTextWidth, footerY);
         
         this.logger.debug('Added footer to PDF', {
           requestId,
           position: { y: footerY },
           date,
-          appText
+          appText,
+          locale: footer.locale
         });
       }
     } catch (error) {
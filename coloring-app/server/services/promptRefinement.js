@@ -64,6 +64,7 @@
  * - Expanded subject patterns (300+ keywords across 20+ categories)
  * - Advanced enhancement templates with rich descriptive language
  * - Default GPT-based intelligent refinement with template fallback
+ * - Pluggable refinement providers (OpenAI, OpenAI-compatible servers, templates) - see refinementProviders.js
  * - Comprehensive DALL-E optimization specifications
  * - Family-friendly content validation and input sanitization
  * - Full testing exports for comprehensive unit test coverage
@@ -71,6 +72,32 @@
 
 import OpenAI from 'openai';
 import winston from 'winston';
+import {
+  getRefinementProvider,
+  getComparisonProvider,
+  getRefinementTimeout,
+  listRefinementProviders
+} from './refinementProviders.js';
+import themeRegistry from './themeRegistry.js';
+import promptTranslationService from './promptTranslation.js';
+
+// Refined prompts run well past the 500 characters allowed for a description
+export const MAX_APPROVED_PROMPT_LENGTH = 2000;
+
+// "Must include" / "must avoid" lists - a few short items each, see validateConstraints
+export const MAX_CONSTRAINTS = 5;
+export const MAX_CONSTRAINT_LENGTH = 60;
+
+// Stronger wording for the things people most often want left out; anything
+// else becomes "no <item>"
+const AVOID_PHRASES = {
+  text: 'no text, letters, words or numbers',
+  words: 'no text, letters, words or numbers',
+  letters: 'no text, letters, words or numbers',
+  numbers: 'no text, letters, words or numbers',
+  background: 'plain white background with no background scenery',
+  scenery: 'plain white background with no background scenery'
+};
 
 /**
  * Logger configuration with structured output
@@ -141,8 +168,9 @@ class InputSanitizer {
     let sanitized = input.trim();
     
     // Remove potentially harmful characters but preserve coloring book terms
+    // Letters include accented ones so Spanish, French and German descriptions survive
     // Evidence: architecture.md 6.3 - Input sanitization for security
-    sanitized = sanitized.replace(/[^\w\s]/gi, '');
+    sanitized = sanitized.replace(/[^\p{L}\p{N}_\s]/gu, '');
     
     // Normalize whitespace
     sanitized = sanitized.replace(/\s+/g, ' ');
@@ -155,6 +183,34 @@ class InputSanitizer {
     return sanitized;
   }
 
+  /**
+   * Clean a refined prompt the user reviewed and possibly edited
+   * Unlike sanitizeText, punctuation is kept - refined prompts are comma-separated
+   * lists of details - and the limit fits a full refined prompt.
+   *
+   * @param {string} input - Approved refined prompt
+   * @returns {string} - Cleaned prompt
+   * @throws {Error} - If the prompt is empty or too long
+   */
+  static sanitizeApprovedPrompt(input) {
+    if (!input || typeof input !== 'string') {
+      throw new Error('Invalid approved prompt: must be a non-empty string');
+    }
+
+    // Markup and control characters never belong in an image prompt
+    const sanitized = input
+      .replace(/[<>{}[\]\\`]/g, '')
+      .replace(/\p{Cc}+/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (sanitized.length < 1 || sanitized.length > MAX_APPROVED_PROMPT_LENGTH) {
+      throw new Error(`Approved prompt must be between 1 and ${MAX_APPROVED_PROMPT_LENGTH} characters`);
+    }
+
+    return sanitized;
+  }
+
   static validateCustomizations(customizations) {
     if (!customizations || typeof customizations !== 'object') {
       return {};
@@ -194,18 +250,106 @@ class InputSanitizer {
       validatedCustomizations.border = customizations.border;
     }
 
-    // Validate theme
+    // Validate theme against the theme registry (shared/themes.json plus admin edits)
     if (customizations.theme) {
-      const validThemes = ['animals', 'mandalas', 'fantasy', 'nature', 'vehicles', 'food', 'holidays', 'sports'];
-      if (!validThemes.includes(customizations.theme)) {
+      if (!themeRegistry.has(customizations.theme)) {
         throw new Error('Invalid theme');
       }
       validatedCustomizations.theme = customizations.theme;
     }
 
+    // Validate must include / must avoid constraints
+    const mustInclude = this.validateConstraints(customizations.mustInclude, 'must include');
+    const mustAvoid = this.validateConstraints(customizations.mustAvoid, 'must avoid')
+      // "no text" and "text" mean the same thing in an avoid list
+      .map(item => item.replace(/^(no|without)\s+/i, ''));
+
+    const conflicting = mustInclude.filter(item => mustAvoid.includes(item));
+    if (conflicting.length > 0) {
+      throw new Error(`Cannot both include and avoid: ${conflicting.join(', ')}`);
+    }
+    if (mustInclude.length > 0) {
+      validatedCustomizations.mustInclude = mustInclude;
+    }
+    if (mustAvoid.length > 0) {
+      validatedCustomizations.mustAvoid = [...new Set(mustAvoid)];
+    }
+
     return validatedCustomizations;
   }
 
+  /**
+   * Validate a "must include" or "must avoid" list
+   * Every item ends up in the image prompt, so items get the same sanitizing
+   * and family-friendly checks as the description itself.
+   *
+   * @param {string[]} [items] - Short phrases such as "a crown" or "text"
+   * @param {string} label - List name used in error messages
+   * @returns {string[]} - Lower-cased, de-duplicated items (empty when none are given)
+   * @throws {Error} - If the list is malformed, too long or inappropriate
+   */
+  static validateConstraints(items, label) {
+    if (items === undefined || items === null) {
+      return [];
+    }
+    if (!Array.isArray(items)) {
+      throw new Error(`Invalid ${label} list: must be an array`);
+    }
+    if (items.length > MAX_CONSTRAINTS) {
+      throw new Error(`At most ${MAX_CONSTRAINTS} ${label} items are allowed`);
+    }
+
+    const sanitized = items.map(item => {
+      const clean = this.sanitizeText(item).toLowerCase();
+      if (clean.length > MAX_CONSTRAINT_LENGTH) {
+        throw new Error(`Each ${label} item must be at most ${MAX_CONSTRAINT_LENGTH} characters`);
+      }
+      return clean;
+    });
+
+    if (sanitized.length > 0) {
+      this.checkFamilyFriendly(sanitized.join(' '));
+    }
+
+    return [...new Set(sanitized)];
+  }
+
+  /**
+   * Validate a series character/style sheet
+   * The sheet text ends up in every page prompt, so it gets the same
+   * sanitizing and family-friendly checks as the user's own prompt.
+   *
+   * @param {Object} series - { id, name, characterName, characterDescription, artStyle, lineWeight }
+   * @returns {Object|null} - Sanitized sheet, or null when no series is given
+   */
+  static validateSeries(series) {
+    if (!series || typeof series !== 'object') {
+      return null;
+    }
+
+    if (typeof series.characterDescription !== 'string' || !series.characterDescription.trim()) {
+      throw new Error('Series character description is required');
+    }
+    const characterDescription = this.sanitizeText(series.characterDescription);
+
+    if (series.lineWeight && !['thin', 'medium', 'thick'].includes(series.lineWeight)) {
+      throw new Error('Invalid series line weight');
+    }
+
+    const sheet = {
+      id: typeof series.id === 'string' && /^[\w-]+$/.test(series.id) ? series.id : null,
+      name: series.name ? this.sanitizeText(series.name) : null,
+      characterName: series.characterName ? this.sanitizeText(series.characterName) : null,
+      characterDescription,
+      artStyle: series.artStyle ? this.sanitizeText(series.artStyle) : null,
+      lineWeight: series.lineWeight || null
+    };
+
+    this.checkFamilyFriendly([sheet.name, sheet.characterName, characterDescription, sheet.artStyle].filter(Boolean).join(' '));
+
+    return sheet;
+  }
+
   static checkFamilyFriendly(input) {
     // Comprehensive inappropriate content filter - 30+ keywords
     // Evidence: architecture.md 6.3 - Content moderation for family safety
@@ -427,6 +571,11 @@ class PromptRefinementService {
         'action figure', 'stuffed animal', 'building blocks'
       ]
     };
+
+    // Descriptions in other languages are translated before detection;
+    // English keywords keep English descriptions from being mistaken for them
+    this.translator = promptTranslationService;
+    this.translator.useEnglishSubjects(this.subjectPatterns);
     
     // Enhanced advanced templates with rich descriptive language for superior coloring book quality
     this.enhancementTemplates = {
@@ -601,17 +750,19 @@ class PromptRefinementService {
    * @param {string} userInput - Original user description
    * @param {Object} customizations - User preferences for complexity, age, etc.
    * @param {Object} options - Additional options like useGPT, requestId
-   * @returns {Promise<Object>} - Refined prompt with metadata
+   * @returns {Promise<Object>} - Refined prompt with metadata; a basic fallback prompt when the provider fails
+   * @throws {Error} - status 400 when the description, settings, constraints or series are invalid
    */
   async refinePrompt(userInput, customizations = {}, options = {}) {
     const startTime = Date.now();
     const requestId = options.requestId || this.generateRequestId();
+    // Optional stage callback used by the generation progress stream
+    const reportProgress = options.onProgress || (() => {});
     
     try {
       // Input sanitization and validation
-      const sanitizedInput = InputSanitizer.sanitizeText(userInput);
-      const validatedCustomizations = InputSanitizer.validateCustomizations(customizations);
-      InputSanitizer.checkFamilyFriendly(sanitizedInput);
+      reportProgress('sanitizing');
+      const { sanitizedInput, validatedCustomizations, series } = this.validateRequest(userInput, customizations, options.series);
 
       this.logger.info('Starting prompt refinement', {
         requestId,
@@ -621,44 +772,33 @@ class PromptRefinementService {
         options
       });
 
-      // Set defaults for missing customizations
-      const config = {
-        complexity: validatedCustomizations.complexity || 'medium',
-        ageGroup: validatedCustomizations.ageGroup || 'kids',
-        lineThickness: validatedCustomizations.lineThickness || 'medium',
-        border: validatedCustomizations.border || 'with',
-        theme: validatedCustomizations.theme || null
-      };
+      const config = this.resolveConfig(validatedCustomizations, series);
 
-      let refinedPrompt;
-      let method = 'template-based';
+      // Choose refinement provider - Evidence: architecture.md 4.1 - GPT enhancement option
+      // REFINEMENT_PROVIDER picks the backend (GPT by default with a real key);
+      // useGPT: false forces the template engine for this request
+      const provider = options.useGPT === false
+        ? getRefinementProvider('template')
+        : getRefinementProvider();
 
-      // Choose refinement method - Evidence: architecture.md 4.1 - GPT enhancement option
-      // FLOW STEP 2: Default to GPT refinement for superior quality with meta-prompt optimization
-      // Enhanced approach: GPT refinement is now the default for detailed, high-quality results
-      // Architecture: architecture.md 4.1 - Advanced AI-powered prompt enhancement with meta-prompts
-      const useGPT = options.useGPT !== false; // Default to true unless explicitly disabled
-      
-      if (useGPT) {
-        // Check if we have a real OpenAI API key available
-        const hasRealKey = process.env.OPENAI_API_KEY && 
-                          process.env.OPENAI_API_KEY !== 'sk-mock-key-for-testing' && 
-                          process.env.OPENAI_API_KEY.startsWith('sk-');
-        
-        if (hasRealKey) {
-          this.logger.info('Using GPT-based refinement method with meta-prompt template', { requestId });
-          refinedPrompt = await this.gptRefinement(sanitizedInput, config, requestId);
-          method = 'meta-prompt-gpt';
-        } else {
-          this.logger.warn('GPT refinement requested but no real API key available, falling back to template method', { requestId });
-          refinedPrompt = await this.templateRefinement(sanitizedInput, config);
-          method = 'template-fallback';
-        }
-      } else {
-        this.logger.info('Using template-based refinement method', { requestId });
-        refinedPrompt = await this.templateRefinement(sanitizedInput, config);
-        method = 'template-based';
-      }
+      // Categories and templates are English - refine the English version of the description
+      const translation = await this.translateInput(sanitizedInput, provider, requestId, reportProgress);
+      const englishInput = translation.text;
+
+      const detectedCategory = this.detectSubjectCategory(englishInput);
+      reportProgress('category-detected', { category: detectedCategory });
+
+      // Comparison runs alongside and is only logged, never awaited
+      const comparison = this.startComparison(provider, englishInput, config, requestId);
+
+      const refinement = await this.refineWithProvider(provider, englishInput, config, requestId);
+      let refinedPrompt = refinement.prompt;
+      const method = refinement.method;
+
+      comparison?.then(other => this.logComparison(requestId, englishInput, refinement, other));
+
+      // GPT may paraphrase the character or the constraints away - make sure they are always present
+      refinedPrompt = this.applyConstraints(this.applySeriesSheet(refinedPrompt, series), config);
 
       const processingTime = Date.now() - startTime;
 
@@ -671,7 +811,7 @@ class PromptRefinementService {
         originalLength: sanitizedInput.length,
         finalPrompt: refinedPrompt.substring(0, 200) + '...', // Log first 200 chars of final prompt
         finalPromptLength: refinedPrompt.length,
-        detectedCategory: this.detectSubjectCategory(sanitizedInput),
+        detectedCategory,
         appliedConfig: config
       });
 
@@ -679,10 +819,15 @@ class PromptRefinementService {
         success: true,
         refinedPrompt,
         originalInput: sanitizedInput,
-        detectedCategory: this.detectSubjectCategory(sanitizedInput),
+        ...this.describeTranslation(translation),
+        detectedCategory,
         appliedSettings: config,
+        series,
         metadata: {
           method,
+          provider: refinement.provider,
+          model: refinement.model,
+          ...(refinement.fallbackReason && { fallbackReason: refinement.fallbackReason }),
           processingTime,
           sanitized: true,
           familyFriendly: true
@@ -692,6 +837,13 @@ class PromptRefinementService {
 
     } catch (error) {
       const processingTime = Date.now() - startTime;
+
+      // Invalid input is the client's error - the fallback prompt would drop the
+      // constraints, series sheet and theme and still be generated and billed
+      if (error.status === 400) {
+        this.logger.warn('Prompt refinement rejected', { requestId, error: error.message, processingTime });
+        throw error;
+      }
       
       this.logger.error('Prompt refinement error', {
         requestId,
@@ -717,6 +869,146 @@ class PromptRefinementService {
     }
   }
 
+  /**
+   * Sanitize and check everything that ends up in the prompt
+   *
+   * @param {string} userInput - Original user description
+   * @param {Object} customizations - User preferences, including constraint lists
+   * @param {Object} [series] - Series character/style sheet
+   * @returns {Object} - { sanitizedInput, validatedCustomizations, series }
+   * @throws {Error} - status 400 when anything is malformed or not family-friendly
+   */
+  validateRequest(userInput, customizations, series) {
+    try {
+      const sanitizedInput = InputSanitizer.sanitizeText(userInput);
+      InputSanitizer.checkFamilyFriendly(sanitizedInput);
+      return {
+        sanitizedInput,
+        validatedCustomizations: InputSanitizer.validateCustomizations(customizations),
+        series: InputSanitizer.validateSeries(series)
+      };
+    } catch (error) {
+      throw Object.assign(error, { status: 400 });
+    }
+  }
+
+  /**
+   * English version of the description, checked like the original
+   * The family-friendly keywords are English, so the translation is checked too.
+   *
+   * @returns {Promise<Object>} - Translation from PromptTranslationService.translate
+   */
+  async translateInput(sanitizedInput, provider, requestId, reportProgress) {
+    const language = this.translator.detectLanguage(sanitizedInput);
+    if (language !== 'en') {
+      reportProgress('translating', { language });
+    }
+
+    const translation = await this.translator.translate(sanitizedInput, { language, provider, requestId });
+    if (translation.method !== 'none') {
+      try {
+        translation.text = InputSanitizer.sanitizeText(translation.text);
+        InputSanitizer.checkFamilyFriendly(translation.text);
+      } catch (error) {
+        throw Object.assign(error, { status: 400 });
+      }
+    }
+    return translation;
+  }
+
+  /**
+   * Result fields for a translated description - nothing for English input
+   *
+   * @returns {Object} - { language, translatedInput, translationMethod } or {}
+   */
+  describeTranslation(translation) {
+    return translation.method === 'none'
+      ? {}
+      : { language: translation.language, translatedInput: translation.text, translationMethod: translation.method };
+  }
+
+  /**
+   * Settings a prompt is refined with - defaults for missing customizations
+   * A series line weight wins so every page of the series uses the same lines;
+   * without a complexity the theme's default is used
+   */
+  resolveConfig(validatedCustomizations, series) {
+    const theme = themeRegistry.get(validatedCustomizations.theme);
+    return {
+      complexity: validatedCustomizations.complexity || theme?.defaultComplexity || 'medium',
+      ageGroup: validatedCustomizations.ageGroup || 'kids',
+      lineThickness: series?.lineWeight || validatedCustomizations.lineThickness || 'medium',
+      border: validatedCustomizations.border || 'with',
+      theme: validatedCustomizations.theme || null,
+      mustInclude: validatedCustomizations.mustInclude || [],
+      mustAvoid: validatedCustomizations.mustAvoid || [],
+      series
+    };
+  }
+
+  /**
+   * Use a refined prompt the user already reviewed instead of refining again
+   * Returns the same shape as refinePrompt so the generation pipeline can use
+   * either. Unlike refinePrompt there is no fallback: an unusable approved
+   * prompt is the client's error (status 400). The user can edit the prompt,
+   * so it gets the same family-friendly check as the description.
+   *
+   * @param {string} userInput - Original user description
+   * @param {string} approvedPrompt - Refined prompt as approved (and possibly edited) by the user
+   * @param {Object} customizations - User preferences for complexity, age, etc.
+   * @param {Object} options - requestId, series, onProgress
+   * @returns {Object} - Refinement result with metadata.method 'user-approved'
+   * @throws {Error} - status 400 when the description, settings or approved prompt are invalid or inappropriate
+   */
+  approveRefinedPrompt(userInput, approvedPrompt, customizations = {}, options = {}) {
+    const startTime = Date.now();
+    const requestId = options.requestId || this.generateRequestId();
+    const reportProgress = options.onProgress || (() => {});
+
+    try {
+      reportProgress('sanitizing');
+      const { sanitizedInput, validatedCustomizations, series } = this.validateRequest(userInput, customizations, options.series);
+      const config = this.resolveConfig(validatedCustomizations, series);
+      // The approved prompt is already English; the translation is only needed for the category
+      const translation = this.translator.translateSync(sanitizedInput, requestId);
+      const detectedCategory = this.detectSubjectCategory(translation.text);
+      reportProgress('category-detected', { category: detectedCategory });
+
+      const sanitizedPrompt = InputSanitizer.sanitizeApprovedPrompt(approvedPrompt);
+      InputSanitizer.checkFamilyFriendly(sanitizedPrompt);
+
+      // An edit may have dropped the series character or a constraint - put them back
+      const refinedPrompt = this.applyConstraints(this.applySeriesSheet(sanitizedPrompt, series), config);
+
+      this.logger.info('Using approved refined prompt', {
+        requestId,
+        originalInput: sanitizedInput,
+        finalPromptLength: refinedPrompt.length,
+        detectedCategory
+      });
+
+      return {
+        success: true,
+        refinedPrompt,
+        originalInput: sanitizedInput,
+        ...this.describeTranslation(translation),
+        detectedCategory,
+        appliedSettings: config,
+        series,
+        metadata: {
+          method: 'user-approved',
+          processingTime: Date.now() - startTime,
+          sanitized: true,
+          familyFriendly: true
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      this.logger.warn('Approved prompt rejected', { requestId, error: error.message });
+      throw Object.assign(error, { status: 400 });
+    }
+  }
+
   /**
    * Template-based refinement method (original approach)
    */
@@ -742,14 +1034,14 @@ class PromptRefinementService {
   }
 
   /**
-   * Enhanced GPT-based refinement method using advanced meta-prompt template
+   * Chat messages for GPT-style refinement using advanced meta-prompt template
+   * Shared by every chat provider (OpenAI and OpenAI-compatible servers)
    * 
-   * Uses OpenAI's GPT-4o (or GPT-4o-mini) with sophisticated meta-prompt for detailed enhancement:
+   * Asks the model to enhance the input with a sophisticated meta-prompt:
    * - Advanced meta-prompt template for rich texture, pose, background, and mood details
    * - Intelligent addition of contextual elements (environments, lighting, emotions)
    * - Enhanced descriptive language for superior coloring book quality
    * - Automatic inclusion of technical specifications for 300 DPI printing
-   * - Fallback to template method if GPT fails
    * 
    * ENHANCED TRANSFORMATION EXAMPLES:
    * 
@@ -779,13 +1071,23 @@ class PromptRefinementService {
    * 
    * Evidence: architecture.md 4.1 - Advanced AI-powered prompt enhancement with meta-prompts
    * Reference: architecture.md 6.3 - Consistent output formatting through structured prompts
-   * Pricing: GPT-4o text tokens at $5/1M input for detailed enhancement processing
    */
-  async gptRefinement(input, config, requestId) {
-    try {
-      // Enhanced meta-prompt template for detailed textures, poses, backgrounds, and mood
-      // Architecture: architecture.md 4.1 - Sophisticated meta-prompt approach for superior results
-      const enhancedMetaPrompt = `You are a professional coloring book artist and prompt engineer. Transform this simple input into a rich, detailed prompt for a family-friendly coloring book image.
+  buildRefinementMessages(input, config) {
+    const theme = themeRegistry.get(config.theme);
+    const themeLine = theme
+      ? `- Follow the ${theme.label} theme${theme.modifiers.length > 0 ? `: ${theme.modifiers.join(', ')}` : ''}\n`
+      : '';
+    const constraintPhrases = this.constraintPhrases(config);
+    const constraintSection = constraintPhrases.length > 0 ? [
+      '',
+      'CONSTRAINTS (these override the enhancement requirements above):',
+      config.mustInclude?.length > 0 && `- The image must clearly include: ${config.mustInclude.join(', ')}`,
+      config.mustAvoid?.length > 0 && `- The image must not contain: ${config.mustAvoid.join(', ')} - not even in the background`,
+      `- End the prompt with these phrases exactly: ${constraintPhrases.join(', ')}`,
+      ''
+    ].filter(line => line !== false).join('\n') : '';
+
+    const enhancedMetaPrompt = `You are a professional coloring book artist and prompt engineer. Transform this simple input into a rich, detailed prompt for a family-friendly coloring book image.
 
 ENHANCEMENT REQUIREMENTS:
 - Add specific TEXTURES (scales, fur, fabric patterns, surface details)
@@ -796,7 +1098,11 @@ ENHANCEMENT REQUIREMENTS:
 - Optimize for ${config.complexity} complexity level
 - Design for ${config.lineThickness} line thickness
 - Include ${config.border === 'with' ? 'decorative border elements' : 'clean edge presentation'}
-
+${themeLine}${config.series ? `
+SERIES CHARACTER SHEET (this page belongs to a series - keep the character identical on every page):
+- Character: ${this.describeSeriesCharacter(config.series)}
+- Copy the character description word for word; only the scene around the character may change
+` : ''}${constraintSection}
 INPUT TO ENHANCE: "${input}"
 CUSTOMIZATIONS: ${JSON.stringify(config)}
 
@@ -804,70 +1110,131 @@ EXAMPLE OUTPUT FORMAT:
 "intricate black-and-white line art of a [enhanced subject] with [specific textures], [detailed background environment], [dynamic pose description], [mood/atmosphere], ${config.complexity} complexity, ${config.ageGroup} style, ${config.lineThickness} lines, ${config.border === 'with' ? 'with decorative border' : 'without border'}, coloring book style, family-friendly, no shading, clear outlines, 300 DPI"
 
 Generate the enhanced prompt now:`;
-      
-      // Use GPT-4o for higher quality enhancement when available, fallback to GPT-4o-mini
-      const model = this.hasGPT4oAccess() ? 'gpt-4o' : 'gpt-4o-mini';
-      
-      const response = await this.openai.chat.completions.create({
-        model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert coloring book artist specializing in detailed, family-friendly line art with rich textures, dynamic poses, atmospheric backgrounds, and engaging moods.'
-          },
-          {
-            role: 'user',
-            content: enhancedMetaPrompt
-          }
-        ],
-        max_tokens: 300, // Increased for more detailed descriptions
-        temperature: 0.4, // Slightly higher for creative enhancement while maintaining consistency
-        top_p: 0.9 // Focus on high-probability creative additions
+
+    return [
+      {
+        role: 'system',
+        content: 'You are an expert coloring book artist specializing in detailed, family-friendly line art with rich textures, dynamic poses, atmospheric backgrounds, and engaging moods.'
+      },
+      {
+        role: 'user',
+        content: enhancedMetaPrompt
+      }
+    ];
+  }
+
+  /**
+   * Run a refinement provider with its timeout
+   * A provider that is not configured, fails or times out falls back to the
+   * template method, like GPT refinement always has.
+   *
+   * @param {Object} provider - Refinement provider from refinementProviders.js
+   * @param {string} input - Sanitized user input
+   * @param {Object} config - Applied settings
+   * @param {string} requestId - Request ID for logging
+   * @returns {Promise<Object>} - { prompt, method, provider, model, processingTime, fallbackReason? }
+   */
+  async refineWithProvider(provider, input, config, requestId) {
+    const startTime = Date.now();
+
+    if (!provider.isAvailable()) {
+      this.logger.warn('Refinement provider not configured, falling back to template method', {
+        requestId,
+        provider: provider.name
       });
+      return this.templateFallback(input, config, provider, 'not-configured', startTime);
+    }
 
-      const enhancedPrompt = response.choices[0].message.content.trim();
-      
-      // Log successful GPT enhancement with model used
-      this.logger.info('Enhanced GPT refinement completed successfully', {
+    const timeoutMs = getRefinementTimeout(provider.name);
+    let timer;
+
+    try {
+      const result = await Promise.race([
+        provider.refine({ input, config, requestId, service: this }),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`${provider.name} refinement timed out after ${timeoutMs}ms`)), timeoutMs);
+        })
+      ]);
+
+      this.logger.info('Provider refinement completed successfully', {
         requestId,
-        model,
+        provider: provider.name,
+        model: result.model,
         originalInput: input,
-        enhancedLength: enhancedPrompt.length,
-        method: 'enhanced-meta-prompt-gpt',
-        inputTokens: response.usage?.prompt_tokens,
-        outputTokens: response.usage?.completion_tokens,
-        totalTokens: response.usage?.total_tokens
+        enhancedLength: result.prompt.length,
+        method: provider.method,
+        inputTokens: result.usage?.prompt_tokens,
+        outputTokens: result.usage?.completion_tokens,
+        totalTokens: result.usage?.total_tokens
       });
-      
-      return enhancedPrompt;
-      
+
+      return {
+        prompt: result.prompt,
+        method: provider.method,
+        provider: provider.name,
+        model: result.model,
+        processingTime: Date.now() - startTime
+      };
     } catch (error) {
-      this.logger.warn('Enhanced GPT refinement failed, falling back to template method', {
+      this.logger.warn('Provider refinement failed, falling back to template method', {
         requestId,
+        provider: provider.name,
+        timeoutMs,
         error: error.message,
         errorType: error.name
       });
-      
-      // Fallback to enhanced template method
-      return this.templateRefinement(input, config);
+      return this.templateFallback(input, config, provider, error.message, startTime);
+    } finally {
+      clearTimeout(timer);
     }
   }
 
+  async templateFallback(input, config, provider, reason, startTime) {
+    return {
+      prompt: await this.templateRefinement(input, config),
+      method: 'template-fallback',
+      provider: provider.name,
+      model: 'templates',
+      fallbackReason: reason,
+      processingTime: Date.now() - startTime
+    };
+  }
+
   /**
-   * Check if GPT-4o access is available for enhanced processing
-   * GPT-4o provides superior enhancement quality but costs $5/1M input tokens
+   * Start the REFINEMENT_COMPARE provider next to the active one
+   *
+   * @returns {Promise<Object>|null} - Comparison result, or null when comparison is off
    */
-  hasGPT4oAccess() {
-    // Check if we have a real API key and environment allows GPT-4o usage
-    const hasRealKey = process.env.OPENAI_API_KEY && 
-                      process.env.OPENAI_API_KEY !== 'sk-mock-key-for-testing' && 
-                      process.env.OPENAI_API_KEY.startsWith('sk-');
-    
-    // Allow GPT-4o in production or when explicitly enabled
-    const allowGPT4o = process.env.NODE_ENV === 'production' || 
-                      process.env.ENABLE_GPT4O === 'true';
-    
-    return hasRealKey && allowGPT4o;
+  startComparison(provider, input, config, requestId) {
+    const other = getComparisonProvider(provider);
+    if (!other) {
+      return null;
+    }
+    return this.refineWithProvider(other, input, config, requestId)
+      .catch(error => ({ provider: other.name, error: error.message }));
+  }
+
+  /**
+   * Log both refinements of one request for offline evaluation
+   */
+  logComparison(requestId, input, primary, comparison) {
+    const describe = (result) => ({
+      provider: result.provider,
+      model: result.model,
+      method: result.method,
+      processingTime: result.processingTime,
+      ...(result.fallbackReason && { fallbackReason: result.fallbackReason }),
+      ...(result.error && { error: result.error }),
+      prompt: result.prompt
+    });
+
+    this.logger.info('Refinement comparison', {
+      requestId,
+      comparison: true,
+      originalInput: input,
+      primary: describe(primary),
+      compared: describe(comparison)
+    });
   }
 
   /**
@@ -940,6 +1307,9 @@ Generate the enhanced prompt now:`;
     const enhancedSpecs = [
       'professional black-and-white line art illustration of',
       description,
+      config.series ? `featuring the recurring series character ${this.describeSeriesCharacter(config.series)}` : null,
+      ...this.themeModifiers(config),
+      ...this.constraintPhrases(config),
       `optimized for ${config.complexity} complexity level with appropriate detail density`,
       `designed specifically for ${config.ageGroup} target audience with age-appropriate elements`,
       `featuring ${config.lineThickness} line thickness for optimal coloring experience`,
@@ -961,11 +1331,95 @@ Generate the enhanced prompt now:`;
       'white background',
       'professional illustration quality',
       'optimized for print reproduction'
-    ];
+    ].filter(Boolean);
 
     return enhancedSpecs.join(', ');
   }
 
+  /**
+   * One-line description of a series character, e.g.
+   * "Fenn: a small red fox with a blue scarf, drawn in whimsical storybook style"
+   */
+  describeSeriesCharacter(series) {
+    const name = series.characterName ? `${series.characterName}: ` : '';
+    const style = series.artStyle ? `, drawn in ${series.artStyle} style` : '';
+    return `${name}${series.characterDescription}${style}`;
+  }
+
+  /**
+   * Ensure the series character sheet is part of the refined prompt
+   *
+   * @param {string} prompt - Refined prompt
+   * @param {Object|null} series - Validated series sheet
+   * @returns {string} - Prompt containing the character description
+   */
+  applySeriesSheet(prompt, series) {
+    if (!series || prompt.toLowerCase().includes(series.characterDescription.toLowerCase())) {
+      return prompt;
+    }
+
+    return `${prompt}, featuring the recurring series character ${this.describeSeriesCharacter(series)}, identical in every page of the series`;
+  }
+
+  /**
+   * Prompt modifiers of the selected theme, e.g. ["botanical line art", ...]
+   */
+  themeModifiers(config) {
+    return themeRegistry.get(config.theme)?.modifiers || [];
+  }
+
+  /**
+   * Prompt phrases for the "must include" / "must avoid" constraints, e.g.
+   * ["must include a crown", "no text, letters, words or numbers"]
+   */
+  constraintPhrases(config) {
+    return [
+      ...(config.mustInclude || []).map(item => `must include ${item}`),
+      ...new Set((config.mustAvoid || []).map(item => AVOID_PHRASES[item] || `no ${item}`))
+    ];
+  }
+
+  /**
+   * Make sure every constraint phrase is in the prompt
+   * Template prompts already contain them; GPT output and edited prompts get
+   * any missing phrase appended.
+   *
+   * @param {string} prompt - Refined prompt
+   * @param {Object} config - Applied settings with mustInclude / mustAvoid
+   * @returns {string} - Prompt containing every constraint phrase
+   */
+  applyConstraints(prompt, config) {
+    const lowerPrompt = prompt.toLowerCase();
+    const missing = this.constraintPhrases(config).filter(phrase => !lowerPrompt.includes(phrase));
+
+    return missing.length > 0 ? `${prompt}, ${missing.join(', ')}` : prompt;
+  }
+
+  /**
+   * Edit instructions for turning an uploaded photo into a coloring page
+   * Applies the same coloring book specs as text prompts so both paths print alike
+   *
+   * @param {string} [hint] - Optional user description of the photo subject
+   * @param {Object} customizations - User customization options
+   * @returns {string} - Prompt for the image edit endpoint
+   */
+  buildPhotoConversionPrompt(hint, customizations = {}) {
+    const validatedCustomizations = InputSanitizer.validateCustomizations(customizations);
+    const subject = hint ? InputSanitizer.sanitizeText(hint) : 'the main subject of this photo';
+
+    return this.applyColoringBookSpecs(
+      `${subject}, redrawn from the provided photo as clean outlines that keep its pose, proportions and recognizable features, without photographic texture`,
+      {
+        complexity: validatedCustomizations.complexity || 'medium',
+        ageGroup: validatedCustomizations.ageGroup || 'kids',
+        lineThickness: validatedCustomizations.lineThickness || 'medium',
+        border: validatedCustomizations.border || 'without',
+        mustInclude: validatedCustomizations.mustInclude,
+        mustAvoid: validatedCustomizations.mustAvoid
+      }
+    );
+  }
+
   /**
    * Enhanced fallback prompt creation
    */
@@ -995,6 +1449,7 @@ Generate the enhanced prompt now:`;
   async healthCheck() {
     try {
       const startTime = Date.now();
+      const activeProvider = getRefinementProvider();
       
       // Basic service health
       const health = {
@@ -1007,6 +1462,13 @@ Generate the enhanced prompt now:`;
           enhancementTemplates: Object.keys(this.enhancementTemplates).length,
           gptRefinement: process.env.NODE_ENV !== 'development',
           winstonLogging: true
+        },
+        refinementProvider: {
+          active: activeProvider.name,
+          configured: activeProvider.isAvailable(),
+          timeoutMs: getRefinementTimeout(activeProvider.name),
+          compare: getComparisonProvider(activeProvider)?.name || null,
+          available: listRefinementProviders()
         }
       };
 
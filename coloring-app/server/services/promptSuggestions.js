@@ -0,0 +1,248 @@
+/**
+ * Prompt Suggestions for Coloring Book Creator
+ *
+ * Turns the keywords PromptRefinementService.subjectPatterns uses for category
+ * detection into suggestions for the create form:
+ *   suggest  - autocompletes the word being typed and offers idea prompts
+ *              ("a dragon in a castle") for the subject described so far
+ *   surprise - composes a random prompt from a subject, a setting and a theme
+ *
+ * Themes pick the subject categories they draw from (`categories` in
+ * shared/themes.json). Everything is built from the curated lists below, so
+ * suggestions stay family-friendly without a model call.
+ *
+ * Evidence: architecture.md Section 3.3.2 - Service layer pattern
+ */
+
+import promptRefinementService from './promptRefinement.js';
+import themeRegistry from './themeRegistry.js';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('prompt-suggestions');
+
+export const MAX_SUGGESTIONS = 10;
+
+// Fragments shorter than this match too many subjects to be useful
+const MIN_FRAGMENT_LENGTH = 2;
+
+// Patterns that describe a style, mood or occasion rather than something to draw
+const NOT_SUBJECTS = new Set([
+  'magic', 'magical', 'enchanted', 'mystical', 'legendary', 'mythical',
+  'prehistoric', 'fossil', 'ancient', 'dino',
+  'pattern', 'geometric', 'circular', 'symmetrical', 'ornate', 'decorative', 'intricate',
+  'landscape', 'scenery', 'lightning', 'coral', 'seaweed', 'solar system', 'nebula',
+  'home', 'toy', 'top', 'tank', 'fruit', 'vegetable', 'accessories',
+  'christmas', 'halloween', 'easter', 'birthday', 'valentine', 'thanksgiving', 'new year',
+  'party', 'celebration', 'holiday', 'festival', 'decoration', 'yoga'
+]);
+
+// Categories that only describe a look or a time of year - never used as subjects
+const NON_SUBJECT_CATEGORIES = new Set(['abstract', 'weather']);
+
+// Subjects read without an article ("fireworks", not "a fireworks")
+const MASS_NOUNS = new Set([
+  'blocks', 'building blocks', 'marbles', 'drums', 'shoes', 'pants', 'jewelry', 'fireworks',
+  'ice cream', 'candy', 'chocolate', 'cheese', 'bread', 'grass'
+]);
+
+// Only characters get an adjective ("a sleepy fox", not "a sleepy tractor")
+const CHARACTER_CATEGORIES = new Set([
+  'domesticAnimals', 'wildAnimals', 'prehistoric', 'marineLife', 'insects', 'fantasy', 'professions'
+]);
+
+const SETTINGS = {
+  domesticAnimals: ['in a cozy living room', 'on a sunny farm', 'in a flower garden', 'napping in a basket'],
+  wildAnimals: ['in the jungle', 'on the savanna', 'in a snowy forest', 'by a watering hole'],
+  prehistoric: ['in a fern forest', 'next to a volcano', 'by a prehistoric lake'],
+  marineLife: ['in a coral reef', 'under the sea', 'near a sunken ship'],
+  insects: ['on a flower', 'in a meadow', 'on a leaf after the rain'],
+  fantasy: ['in an enchanted forest', 'in a castle', 'above the clouds', 'in a magical garden'],
+  nature: ['at sunrise', 'in spring', 'under a starry sky'],
+  vehicles: ['on a city street', 'on a country road', 'crossing a bridge'],
+  food: ['on a picnic blanket', 'in a bakery window', 'at a birthday party'],
+  objects: ['in a playroom', 'on a bedroom shelf', 'in an attic full of treasures'],
+  sports: ['at the park', 'in a stadium', 'on the beach'],
+  holidays: ['by the fireplace', 'at a family party', 'in a snowy village'],
+  music: ['on a stage', 'in a music room', 'at an outdoor concert'],
+  mandalas: ['with flowers and leaves', 'with stars and moons', 'with ocean waves'],
+  architecture: ['on a hill', 'by the sea', 'in a little village'],
+  clothing: ['in a fancy wardrobe', 'at a costume party'],
+  space: ['in a starry sky', 'on the moon', 'near a twinkling galaxy'],
+  professions: ['at work', 'helping the neighborhood'],
+  toys: ['in a playroom', 'under a christmas tree', 'in a toy shop']
+};
+
+// Weather and seasons fit any scene, but not a pattern or outer space
+const GENERAL_SETTINGS = ['on a rainy day', 'in the snow', 'on a summer day', 'among autumn leaves'];
+const NO_GENERAL_SETTINGS = new Set(['mandalas', 'space']);
+
+const ADJECTIVES = ['friendly', 'happy', 'tiny', 'giant', 'sleepy', 'curious', 'brave', 'playful', 'cheerful'];
+
+/**
+ * "a dragon", "an owl", "a unicorn", "fireworks"
+ */
+const withArticle = (subject) => {
+  if (MASS_NOUNS.has(subject)) {
+    return subject;
+  }
+  return /^(?:[aeio]|u(?!ni|fo|se))/.test(subject) ? `an ${subject}` : `a ${subject}`;
+};
+
+/**
+ * How a subject reads in a prompt - sports are activities, the rest are things
+ */
+const describeSubject = ({ term, category }, adjective = null) => {
+  if (category === 'sports') {
+    return term.endsWith('ing') ? `a kid ${term}` : `a kid playing ${term}`;
+  }
+  return withArticle(adjective ? `${adjective} ${term}` : term);
+};
+
+const pick = (items, random) => items[Math.floor(random() * items.length)];
+
+/**
+ * Autocomplete and idea generation over the refinement subject patterns
+ */
+class PromptSuggestionService {
+  constructor(options = {}) {
+    this.refinementService = options.refinementService || promptRefinementService;
+    this.registry = options.registry || themeRegistry;
+    this.random = options.random || Math.random;
+    this.subjects = this.buildSubjects(this.refinementService.subjectPatterns);
+    this.logger = logger;
+  }
+
+  /**
+   * Drawable subjects from the category patterns; a term listed in several
+   * categories keeps its first one
+   *
+   * @param {Object} subjectPatterns - { category: [keyword, ...] }
+   * @returns {Array<{ term: string, category: string }>}
+   */
+  buildSubjects(subjectPatterns) {
+    const subjects = new Map();
+    for (const [category, patterns] of Object.entries(subjectPatterns)) {
+      if (NON_SUBJECT_CATEGORIES.has(category)) {
+        continue;
+      }
+      patterns
+        .filter(term => !NOT_SUBJECTS.has(term) && !subjects.has(term))
+        .forEach(term => subjects.set(term, { term, category }));
+    }
+    return [...subjects.values()];
+  }
+
+  /**
+   * Subject categories for a theme; all categories without a theme or when
+   * the theme lists none that exist
+   */
+  categoriesFor(themeId) {
+    const known = new Set(this.subjects.map(subject => subject.category));
+    const themed = (this.registry.get(themeId)?.categories || []).filter(category => known.has(category));
+    return themed.length > 0 ? themed : [...known];
+  }
+
+  /**
+   * Idea prompts for a subject: "a dragon in a castle", "a brave dragon above the clouds"
+   *
+   * @param {{ term: string, category: string }} subject - Subject to build on
+   * @param {number} count - Number of ideas
+   * @returns {string[]}
+   */
+  composeIdeas(subject, count) {
+    const settings = [
+      ...(SETTINGS[subject.category] || []),
+      ...(NO_GENERAL_SETTINGS.has(subject.category) ? [] : GENERAL_SETTINGS)
+    ];
+    const ideas = new Set();
+
+    for (let attempt = 0; ideas.size < count && attempt < count * 4; attempt++) {
+      const adjective = CHARACTER_CATEGORIES.has(subject.category) && this.random() < 0.5
+        ? pick(ADJECTIVES, this.random)
+        : null;
+      ideas.add(`${describeSubject(subject, adjective)} ${pick(settings, this.random)}`);
+    }
+
+    return [...ideas];
+  }
+
+  /**
+   * Suggestions for the description typed so far
+   *
+   * completions finish the last word ("a dra" → "a dragon"), preferring the
+   * theme's categories. ideas build on the subject already described, or offer
+   * the theme's sample prompts and random ideas while the description is empty.
+   *
+   * @param {string} [text] - Description typed so far
+   * @param {Object} [options]
+   * @param {string} [options.theme] - Selected theme id
+   * @param {number} [options.limit=5] - Maximum completions and ideas (each)
+   * @returns {{ completions: Array<{ text: string, subject: string, category: string }>, ideas: string[] }}
+   */
+  suggest(text = '', { theme = null, limit = 5 } = {}) {
+    const count = Math.min(Math.max(limit, 1), MAX_SUGGESTIONS);
+    const query = text.toLowerCase().replace(/\s+/g, ' ').trimStart();
+    const themeCategories = new Set(this.categoriesFor(theme));
+
+    // Complete the word being typed; nothing to complete after a trailing space
+    const fragment = query.endsWith(' ') ? '' : query.split(' ').pop();
+    const completions = fragment.length < MIN_FRAGMENT_LENGTH ? [] : this.subjects
+      .filter(({ term }) => term !== fragment && term.split(' ').some(word => word.startsWith(fragment)))
+      .sort((a, b) => Number(themeCategories.has(b.category)) - Number(themeCategories.has(a.category)) ||
+        Number(b.term.startsWith(fragment)) - Number(a.term.startsWith(fragment)) ||
+        a.term.length - b.term.length)
+      .slice(0, count)
+      .map(({ term, category }) => ({
+        text: `${query.slice(0, query.length - fragment.length)}${term}`,
+        subject: term,
+        category
+      }));
+
+    // Build ideas on the subject already described, if there is one
+    const described = this.subjects.find(({ term }) => new RegExp(`\\b${term}\\b`).test(query));
+    let ideas;
+    if (described) {
+      ideas = this.composeIdeas(described, count);
+    } else {
+      const samples = this.registry.get(theme)?.samplePrompts || [];
+      const random = this.subjects.filter(subject => themeCategories.has(subject.category));
+      ideas = [...new Set([
+        ...samples,
+        ...Array.from({ length: count }, () => this.composeIdeas(pick(random, this.random), 1)[0])
+      ])].slice(0, count);
+    }
+
+    return { completions, ideas };
+  }
+
+  /**
+   * A random prompt composed from a subject, a setting and a theme
+   * Without a theme one of the catalog's themes with categories is picked too.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.theme] - Theme id to stay within
+   * @returns {{ prompt: string, theme: string|null, category: string, subject: string }}
+   */
+  surprise({ theme = null } = {}) {
+    let themeId = this.registry.has(theme) ? theme : null;
+    if (!themeId) {
+      const themed = this.registry.list().filter(option => option.categories.length > 0);
+      themeId = themed.length > 0 ? pick(themed, this.random).id : null;
+    }
+
+    const categories = new Set(this.categoriesFor(themeId));
+    const subject = pick(this.subjects.filter(option => categories.has(option.category)), this.random);
+    const [prompt] = this.composeIdeas(subject, 1);
+
+    this.logger.debug('Surprise prompt composed', { prompt, theme: themeId, category: subject.category });
+
+    return { prompt, theme: themeId, category: subject.category, subject: subject.term };
+  }
+}
+
+// Export singleton instance for consistent usage
+const promptSuggestionService = new PromptSuggestionService();
+export default promptSuggestionService;
+
+// Also export the class for testing
+export { PromptSuggestionService };
@@ -0,0 +1,362 @@
+/**
+ * Prompt Translation for Coloring Book Creator
+ *
+ * Subject detection and the refinement templates only know English keywords,
+ * so descriptions typed in Spanish, French or German are translated first:
+ *   1. detectLanguage scores the words against small per-language word lists
+ *   2. a chat refinement provider (OpenAI or an OpenAI-compatible server)
+ *      translates the description when it is configured
+ *   3. otherwise, or when the provider fails, the local dictionary translates
+ *      common subjects, settings and small words word by word
+ *
+ * Words the dictionary doesn't know are kept as typed. The original text is
+ * kept for display; the English text is what gets categorized and refined.
+ *
+ * Evidence: architecture.md Section 3.3.2 - Service layer pattern
+ */
+
+import { getRefinementTimeout } from './refinementProviders.js';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('prompt-translation');
+
+export const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German'
+};
+
+// Function words that mark a language - the strongest signal in short descriptions
+const STOPWORDS = {
+  en: ['a', 'an', 'the', 'in', 'on', 'with', 'and', 'of', 'at', 'under', 'by', 'is', 'for', 'very', 'playing', 'flying'],
+  es: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'en', 'con', 'y', 'del', 'sobre', 'bajo', 'para', 'muy', 'junto', 'al'],
+  fr: ['le', 'la', 'les', 'un', 'une', 'des', 'dans', 'avec', 'et', 'du', 'sur', 'sous', 'au', 'aux', 'pour', 'très', 'près'],
+  de: ['der', 'die', 'das', 'ein', 'eine', 'einen', 'einem', 'einer', 'im', 'mit', 'und', 'auf', 'unter', 'dem', 'den', 'sehr', 'am', 'vor']
+};
+
+// Letters only (or mostly) used by one language
+const LETTER_HINTS = {
+  es: /[ñáíóú]/,
+  fr: /[çœàèêëîïôùûâ]/,
+  de: /[ßäöü]/
+};
+
+/**
+ * Word lists for the offline translation, lower case
+ * Phrases are matched before single words so "camión de bomberos" becomes "fire truck".
+ */
+const DICTIONARY = {
+  es: {
+    // Small words
+    el: 'the', la: 'the', los: 'the', las: 'the', un: 'a', una: 'a', unos: 'some', unas: 'some',
+    en: 'in', con: 'with', y: 'and', de: 'of', del: 'of the', al: 'to the', sobre: 'on', bajo: 'under',
+    junto: 'next', para: 'for', muy: 'very', que: 'that', su: 'its', sus: 'its',
+    // Phrases
+    'camión de bomberos': 'fire truck', 'coche de carreras': 'race car', 'arco iris': 'rainbow',
+    'árbol de navidad': 'christmas tree', 'oso de peluche': 'teddy bear', 'globo aerostático': 'hot air balloon',
+    'muñeco de nieve': 'snowman', 'estación espacial': 'space station', 'nave espacial': 'spaceship',
+    'pez dorado': 'goldfish', 'casa del árbol': 'treehouse', 'fondo del mar': 'bottom of the sea',
+    // Subjects
+    perro: 'dog', perrito: 'puppy', cachorro: 'puppy', gato: 'cat', gatito: 'kitten', conejo: 'rabbit',
+    caballo: 'horse', vaca: 'cow', cerdo: 'pig', oveja: 'sheep', pollo: 'chicken', gallina: 'chicken',
+    pato: 'duck', pájaro: 'bird', pez: 'fish', león: 'lion', tigre: 'tiger', elefante: 'elephant',
+    jirafa: 'giraffe', cebra: 'zebra', oso: 'bear', lobo: 'wolf', zorro: 'fox', mono: 'monkey',
+    ardilla: 'squirrel', búho: 'owl', dinosaurio: 'dinosaur', ballena: 'whale', delfín: 'dolphin',
+    tiburón: 'shark', pulpo: 'octopus', tortuga: 'turtle', pingüino: 'penguin', cangrejo: 'crab',
+    mariposa: 'butterfly', abeja: 'bee', mariquita: 'ladybug', araña: 'spider', caracol: 'snail',
+    dragón: 'dragon', unicornio: 'unicorn', hada: 'fairy', sirena: 'mermaid', mago: 'wizard',
+    bruja: 'witch', princesa: 'princess', príncipe: 'prince', castillo: 'castle', torre: 'tower',
+    árbol: 'tree', bosque: 'forest', flor: 'flower', flores: 'flowers', rosa: 'rose', girasol: 'sunflower',
+    jardín: 'garden', hoja: 'leaf', montaña: 'mountain', río: 'river', lago: 'lake', mar: 'sea',
+    océano: 'ocean', playa: 'beach', cascada: 'waterfall', nube: 'cloud', nubes: 'clouds', sol: 'sun',
+    luna: 'moon', estrella: 'star', estrellas: 'stars', coche: 'car', carro: 'car', camión: 'truck',
+    autobús: 'bus', bicicleta: 'bicycle', tren: 'train', avión: 'airplane', barco: 'boat', cohete: 'rocket',
+    tractor: 'tractor', pastel: 'cake', tarta: 'cake', galleta: 'cookie', helado: 'ice cream',
+    manzana: 'apple', plátano: 'banana', fresa: 'strawberry', casa: 'house', libro: 'book', pelota: 'ball',
+    cometa: 'kite', globo: 'balloon', sombrero: 'hat', corona: 'crown', robot: 'robot', muñeca: 'doll',
+    calabaza: 'pumpkin', regalo: 'gift', planeta: 'planet', astronauta: 'astronaut', extraterrestre: 'alien',
+    faro: 'lighthouse', puente: 'bridge', granja: 'farm', selva: 'jungle', nieve: 'snow', lluvia: 'rain',
+    fútbol: 'soccer', guitarra: 'guitar', piano: 'piano', niño: 'child', niña: 'girl', familia: 'family',
+    // Descriptions
+    pequeño: 'little', pequeña: 'little', grande: 'big', feliz: 'happy', mágico: 'magical', mágica: 'magical',
+    lindo: 'cute', linda: 'cute', bonito: 'pretty', bonita: 'pretty', amigable: 'friendly', volando: 'flying',
+    jugando: 'playing', durmiendo: 'sleeping', leyendo: 'reading', comiendo: 'eating', encantado: 'enchanted'
+  },
+  fr: {
+    le: 'the', la: 'the', les: 'the', un: 'a', une: 'a', des: 'some', dans: 'in', avec: 'with', et: 'and',
+    de: 'of', du: 'of the', sur: 'on', sous: 'under', au: 'at the', aux: 'at the', pour: 'for', très: 'very',
+    près: 'near', qui: 'that', son: 'its', sa: 'its', ses: 'its', en: 'in',
+    'camion de pompiers': 'fire truck', 'voiture de course': 'race car', 'arc en ciel': 'rainbow',
+    'sapin de noël': 'christmas tree', 'ours en peluche': 'teddy bear', 'montgolfière': 'hot air balloon',
+    'bonhomme de neige': 'snowman', 'station spatiale': 'space station', 'poisson rouge': 'goldfish',
+    'cabane dans les arbres': 'treehouse', 'fond de la mer': 'bottom of the sea', noël: 'christmas',
+    chien: 'dog', chiot: 'puppy', chat: 'cat', chaton: 'kitten', lapin: 'rabbit', cheval: 'horse',
+    vache: 'cow', cochon: 'pig', mouton: 'sheep', poule: 'chicken', canard: 'duck', oiseau: 'bird',
+    poisson: 'fish', lion: 'lion', tigre: 'tiger', éléphant: 'elephant', girafe: 'giraffe', zèbre: 'zebra',
+    ours: 'bear', loup: 'wolf', renard: 'fox', singe: 'monkey', écureuil: 'squirrel', hibou: 'owl',
+    chouette: 'owl', dinosaure: 'dinosaur', baleine: 'whale', dauphin: 'dolphin', requin: 'shark',
+    pieuvre: 'octopus', tortue: 'turtle', pingouin: 'penguin', manchot: 'penguin', crabe: 'crab',
+    papillon: 'butterfly', abeille: 'bee', coccinelle: 'ladybug', araignée: 'spider', escargot: 'snail',
+    dragon: 'dragon', licorne: 'unicorn', fée: 'fairy', sirène: 'mermaid', sorcier: 'wizard',
+    sorcière: 'witch', princesse: 'princess', prince: 'prince', château: 'castle', tour: 'tower',
+    arbre: 'tree', forêt: 'forest', fleur: 'flower', fleurs: 'flowers', rose: 'rose', tournesol: 'sunflower',
+    jardin: 'garden', feuille: 'leaf', montagne: 'mountain', rivière: 'river', lac: 'lake', mer: 'sea',
+    océan: 'ocean', plage: 'beach', cascade: 'waterfall', nuage: 'cloud', nuages: 'clouds', soleil: 'sun',
+    lune: 'moon', étoile: 'star', étoiles: 'stars', voiture: 'car', camion: 'truck', bus: 'bus',
+    vélo: 'bicycle', train: 'train', avion: 'airplane', bateau: 'boat', fusée: 'rocket', tracteur: 'tractor',
+    gâteau: 'cake', biscuit: 'cookie', glace: 'ice cream', pomme: 'apple', banane: 'banana', fraise: 'strawberry',
+    maison: 'house', livre: 'book', ballon: 'ball', cerf: 'deer', chapeau: 'hat', couronne: 'crown',
+    robot: 'robot', poupée: 'doll', citrouille: 'pumpkin', cadeau: 'gift', planète: 'planet',
+    astronaute: 'astronaut', extraterrestre: 'alien', phare: 'lighthouse', pont: 'bridge', ferme: 'farm',
+    jungle: 'jungle', neige: 'snow', pluie: 'rain', football: 'soccer', guitare: 'guitar', piano: 'piano',
+    enfant: 'child', fille: 'girl', garçon: 'boy', famille: 'family',
+    petit: 'little', petite: 'little', grand: 'big', grande: 'big', heureux: 'happy', magique: 'magical',
+    mignon: 'cute', mignonne: 'cute', joli: 'pretty', jolie: 'pretty', gentil: 'friendly', enchantée: 'enchanted',
+    enchanté: 'enchanted'
+  },
+  de: {
+    der: 'the', die: 'the', das: 'the', den: 'the', dem: 'the', des: 'of the', ein: 'a', eine: 'a',
+    einen: 'a', einem: 'a', einer: 'a', im: 'in the', in: 'in', mit: 'with', und: 'and', auf: 'on',
+    unter: 'under', am: 'at the', vor: 'in front of', neben: 'next to', über: 'over', sehr: 'very',
+    von: 'of', zum: 'to the', zur: 'to the', beim: 'at the',
+    feuerwehrauto: 'fire truck', rennauto: 'race car', regenbogen: 'rainbow', weihnachtsbaum: 'christmas tree',
+    teddybär: 'teddy bear', heißluftballon: 'hot air balloon', schneemann: 'snowman', raumstation: 'space station',
+    raumschiff: 'spaceship', goldfisch: 'goldfish', baumhaus: 'treehouse', meeresgrund: 'bottom of the sea',
+    hund: 'dog', welpe: 'puppy', hündchen: 'puppy', katze: 'cat', kätzchen: 'kitten', hase: 'rabbit',
+    kaninchen: 'rabbit', pferd: 'horse', pony: 'pony', kuh: 'cow', schwein: 'pig', schaf: 'sheep',
+    huhn: 'chicken', ente: 'duck', vogel: 'bird', fisch: 'fish', löwe: 'lion', tiger: 'tiger',
+    elefant: 'elephant', giraffe: 'giraffe', zebra: 'zebra', bär: 'bear', wolf: 'wolf', fuchs: 'fox',
+    affe: 'monkey', eichhörnchen: 'squirrel', eule: 'owl', dinosaurier: 'dinosaur', wal: 'whale',
+    delfin: 'dolphin', hai: 'shark', krake: 'octopus', schildkröte: 'turtle', pinguin: 'penguin',
+    krabbe: 'crab', schmetterling: 'butterfly', biene: 'bee', marienkäfer: 'ladybug', spinne: 'spider',
+    schnecke: 'snail', drache: 'dragon', drachen: 'dragon', einhorn: 'unicorn', fee: 'fairy',
+    meerjungfrau: 'mermaid', zauberer: 'wizard', hexe: 'witch', prinzessin: 'princess', prinz: 'prince',
+    schloss: 'castle', burg: 'castle', turm: 'tower', baum: 'tree', wald: 'forest', blume: 'flower',
+    blumen: 'flowers', rose: 'rose', sonnenblume: 'sunflower', garten: 'garden', blatt: 'leaf',
+    berg: 'mountain', fluss: 'river', see: 'lake', meer: 'sea', ozean: 'ocean', strand: 'beach',
+    wasserfall: 'waterfall', wolke: 'cloud', wolken: 'clouds', sonne: 'sun', mond: 'moon', stern: 'star',
+    sterne: 'stars', auto: 'car', lastwagen: 'truck', bus: 'bus', fahrrad: 'bicycle', zug: 'train',
+    flugzeug: 'airplane', boot: 'boat', schiff: 'ship', rakete: 'rocket', traktor: 'tractor', kuchen: 'cake',
+    torte: 'cake', keks: 'cookie', eis: 'ice cream', apfel: 'apple', banane: 'banana', erdbeere: 'strawberry',
+    haus: 'house', buch: 'book', ball: 'ball', ballon: 'balloon', hut: 'hat',
+    krone: 'crown', roboter: 'robot', puppe: 'doll', kürbis: 'pumpkin', geschenk: 'gift', planet: 'planet',
+    astronaut: 'astronaut', außerirdischer: 'alien', leuchtturm: 'lighthouse', brücke: 'bridge',
+    bauernhof: 'farm', dschungel: 'jungle', schnee: 'snow', regen: 'rain', fußball: 'soccer',
+    gitarre: 'guitar', klavier: 'piano', kind: 'child', mädchen: 'girl', junge: 'boy', familie: 'family',
+    klein: 'little', groß: 'big', glücklich: 'happy', fröhlich: 'happy', magisch: 'magical', süß: 'cute',
+    hübsch: 'pretty', freundlich: 'friendly', verzaubert: 'enchanted', fliegend: 'flying', spielend: 'playing',
+    schlafend: 'sleeping', lesend: 'reading'
+  }
+};
+
+// Longest phrases first so they win over the single words they contain
+const PHRASES = Object.fromEntries(Object.entries(DICTIONARY).map(([language, words]) => [
+  language,
+  Object.keys(words).filter(key => key.includes(' ')).sort((a, b) => b.length - a.length)
+]));
+
+// Translations that describe the word before them in Spanish and French
+const DESCRIPTIVE = new Set(['little', 'big', 'happy', 'magical', 'cute', 'pretty', 'friendly', 'enchanted']);
+const ADJECTIVES_FOLLOW_NOUN = new Set(['es', 'fr']);
+
+// Endings tried when an inflected word is not in the dictionary (plurals, adjective endings)
+const ENDINGS = {
+  es: ['es', 's'],
+  fr: ['x', 's', 'e'],
+  de: ['en', 'er', 'es', 'em', 'e', 'n', 's']
+};
+
+const tokenize = (text) => text.toLowerCase().split(/\s+/).filter(Boolean);
+
+/**
+ * Language detection and translation for descriptions before categorization
+ */
+class PromptTranslationService {
+  constructor(options = {}) {
+    this.englishWords = new Set(options.englishWords || []);
+    this.logger = logger;
+  }
+
+  /**
+   * English subject keywords, so English descriptions without function
+   * words ("dragon castle") are not mistaken for another language
+   *
+   * @param {Object} subjectPatterns - { category: [keyword, ...] }
+   */
+  useEnglishSubjects(subjectPatterns) {
+    this.englishWords = new Set(Object.values(subjectPatterns).flat().flatMap(tokenize));
+  }
+
+  /**
+   * Language of a description - 'en' unless another language clearly scores higher
+   *
+   * @param {string} text - Description
+   * @returns {string} - Language code from SUPPORTED_LANGUAGES
+   */
+  detectLanguage(text) {
+    const words = tokenize(text);
+    const scores = { en: 0, es: 0, fr: 0, de: 0 };
+
+    for (const word of words) {
+      Object.keys(scores).forEach(language => {
+        if (STOPWORDS[language].includes(word)) {
+          scores[language] += 1;
+        }
+      });
+      if (this.englishWords.has(word)) {
+        scores.en += 1;
+      }
+      Object.keys(DICTIONARY).forEach(language => {
+        if (!STOPWORDS[language].includes(word) && this.lookup(word, language)) {
+          scores[language] += 1;
+        }
+      });
+    }
+
+    Object.entries(LETTER_HINTS).forEach(([language, pattern]) => {
+      if (pattern.test(text.toLowerCase())) {
+        scores[language] += 2;
+      }
+    });
+
+    const [best, bestScore] = Object.entries(scores).sort(([, a], [, b]) => b - a)[0];
+    return best !== 'en' && bestScore > scores.en ? best : 'en';
+  }
+
+  /**
+   * Dictionary translation of one word, trying common inflected endings
+   */
+  lookup(word, language) {
+    const words = DICTIONARY[language];
+    if (Object.hasOwn(words, word)) {
+      return words[word];
+    }
+    // French elision survives sanitizing as a prefix: "l'arbre" → "larbre"
+    if (language === 'fr' && /^[ldj]./.test(word) && Object.hasOwn(words, word.slice(1))) {
+      return words[word.slice(1)];
+    }
+    const ending = ENDINGS[language].find(suffix => word.endsWith(suffix) && Object.hasOwn(words, word.slice(0, -suffix.length)));
+    return ending ? words[word.slice(0, -ending.length)] : null;
+  }
+
+  /**
+   * Word-by-word translation with the local dictionary
+   *
+   * @param {string} text - Description in `language`
+   * @param {string} language - Language code
+   * @returns {{ text: string, known: number, total: number }} - English text and how many words were found
+   */
+  translateLocally(text, language) {
+    let remaining = text.toLowerCase();
+    PHRASES[language].forEach(phrase => {
+      remaining = remaining.replace(new RegExp(`(^|\\s)${phrase}(?=\\s|$)`, 'g'), `$1${DICTIONARY[language][phrase].replace(/ /g, '_')}`);
+    });
+
+    const words = tokenize(remaining).map(word => {
+      if (word.includes('_')) {
+        return { text: word.replace(/_/g, ' '), known: true };
+      }
+      const translated = this.lookup(word, language);
+      return {
+        text: translated || word,
+        known: !!translated,
+        functionWord: STOPWORDS[language].includes(word),
+        descriptive: DESCRIPTIVE.has(translated)
+      };
+    });
+
+    // Spanish and French adjectives usually follow the noun: "un gato feliz" → "a happy cat"
+    if (ADJECTIVES_FOLLOW_NOUN.has(language)) {
+      for (let i = 1; i < words.length; i++) {
+        const previous = words[i - 1];
+        if (words[i].descriptive && previous.known && !previous.functionWord && !previous.descriptive) {
+          [words[i - 1], words[i]] = [words[i], previous];
+        }
+      }
+    }
+
+    return {
+      text: words.map(word => word.text).join(' '),
+      known: words.filter(word => word.known).length,
+      total: words.length
+    };
+  }
+
+  /**
+   * English version of a description for categorization and refinement
+   * A chat refinement provider translates when it is configured; the local
+   * dictionary is used otherwise and whenever the provider fails.
+   *
+   * @param {string} text - Sanitized description
+   * @param {Object} [options]
+   * @param {string} [options.language] - Language when already detected
+   * @param {Object} [options.provider] - Refinement provider; used when it has translate()
+   * @param {string} [options.requestId] - Request ID for logging
+   * @returns {Promise<{ language: string, original: string, text: string, method: string }>}
+   *   method is 'none' for English, 'provider' or 'dictionary' otherwise
+   */
+  async translate(text, { language = this.detectLanguage(text), provider = null, requestId } = {}) {
+    if (language === 'en') {
+      return { language, original: text, text, method: 'none' };
+    }
+
+    if (provider?.translate && provider.isAvailable()) {
+      let timer;
+      try {
+        const translated = await Promise.race([
+          provider.translate({ text, language: SUPPORTED_LANGUAGES[language] }),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`${provider.name} translation timed out`)), getRefinementTimeout(provider.name));
+          })
+        ]);
+        this.logger.info('Prompt translated by provider', { requestId, language, provider: provider.name });
+        return { language, original: text, text: translated, method: 'provider', provider: provider.name };
+      } catch (error) {
+        this.logger.warn('Provider translation failed, using the dictionary', {
+          requestId,
+          language,
+          provider: provider.name,
+          error: error.message
+        });
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    return this.translateWithDictionary(text, language, requestId);
+  }
+
+  /**
+   * Synchronous translation for callers that can't wait for a provider
+   * (approved prompts only need the English text for categorization)
+   *
+   * @param {string} text - Sanitized description
+   * @param {string} [requestId] - Request ID for logging
+   * @returns {{ language: string, original: string, text: string, method: string }}
+   */
+  translateSync(text, requestId) {
+    const language = this.detectLanguage(text);
+    return language === 'en'
+      ? { language, original: text, text, method: 'none' }
+      : this.translateWithDictionary(text, language, requestId);
+  }
+
+  translateWithDictionary(text, language, requestId) {
+    const translation = this.translateLocally(text, language);
+    this.logger.info('Prompt translated with the dictionary', {
+      requestId,
+      language,
+      knownWords: translation.known,
+      totalWords: translation.total
+    });
+    return { language, original: text, text: translation.text, method: 'dictionary' };
+  }
+}
+
+// Export singleton instance for consistent usage
+const promptTranslationService = new PromptTranslationService();
+export default promptTranslationService;
+
+// Also export the class for testing
+export { PromptTranslationService };
@@ -0,0 +1,240 @@
+/**
+ * Refinement Providers for Coloring Book Creator
+ *
+ * Registry of the backends that turn a short description into a detailed
+ * coloring page prompt. Selected with REFINEMENT_PROVIDER:
+ *   openai            - GPT-4o / GPT-4o-mini chat completions
+ *   openai-compatible - any server speaking the OpenAI chat API (a self-hosted
+ *                       model server), at REFINEMENT_COMPATIBLE_URL
+ *   template          - the built-in category templates, offline and free
+ * Without REFINEMENT_PROVIDER, OpenAI is used when a real API key is set and
+ * the template engine otherwise.
+ *
+ * Each provider has its own timeout (REFINEMENT_<NAME>_TIMEOUT_MS). With
+ * REFINEMENT_COMPARE set to a second provider, both run on every request and
+ * their outputs are logged side by side; only the active provider's prompt is used.
+ *
+ * Evidence: architecture.md Section 3.3.2 - Service layer pattern
+ */
+
+import OpenAI from 'openai';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('refinement-providers');
+
+const DEFAULT_TIMEOUTS = {
+  openai: 15000,
+  'openai-compatible': 30000,
+  template: 2000
+};
+
+const FALLBACK_TIMEOUT_MS = 15000;
+
+// Same sampling settings for every chat backend so comparisons are fair
+const CHAT_SETTINGS = {
+  max_tokens: 300,
+  temperature: 0.4,
+  top_p: 0.9
+};
+
+/**
+ * @typedef {Object} RefinementProvider
+ * @property {string} name - Registry name
+ * @property {string} method - Value recorded as metadata.method
+ * @property {() => boolean} isAvailable - Whether the provider is configured
+ * @property {(request: Object) => Promise<Object>} refine - ({ input, config, requestId, service }) => { prompt, model, usage }
+ * @property {(request: Object) => Promise<string>} [translate] - ({ text, language }) => English text; optional
+ */
+
+const PROVIDER_METHODS = ['isAvailable', 'refine'];
+
+export const hasRealOpenAIKey = () => !!process.env.OPENAI_API_KEY &&
+  process.env.OPENAI_API_KEY !== 'sk-mock-key-for-testing' &&
+  process.env.OPENAI_API_KEY.startsWith('sk-');
+
+/**
+ * Timeout for a provider from REFINEMENT_<NAME>_TIMEOUT_MS,
+ * e.g. REFINEMENT_OPENAI_COMPATIBLE_TIMEOUT_MS
+ *
+ * @param {string} name - Provider name
+ * @returns {number} - Timeout in milliseconds
+ */
+export const getRefinementTimeout = (name) => {
+  const variable = `REFINEMENT_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_TIMEOUT_MS`;
+  const configured = parseInt(process.env[variable], 10);
+  return configured > 0 ? configured : DEFAULT_TIMEOUTS[name] || FALLBACK_TIMEOUT_MS;
+};
+
+/**
+ * Provider backed by an OpenAI-style chat completions endpoint
+ * The client is created on first use so the base URL and key can come from the environment.
+ */
+class ChatRefinementProvider {
+  constructor({ name, method, model, clientOptions, isConfigured }) {
+    this.name = name;
+    this.method = method;
+    this.resolveModel = model;
+    this.clientOptions = clientOptions;
+    this.isConfigured = isConfigured;
+    this.client = null;
+  }
+
+  isAvailable() {
+    return this.isConfigured();
+  }
+
+  getClient() {
+    this.client ??= new OpenAI(this.clientOptions());
+    return this.client;
+  }
+
+  async refine({ input, config, service }) {
+    const model = this.resolveModel();
+    const response = await this.getClient().chat.completions.create({
+      model,
+      messages: service.buildRefinementMessages(input, config),
+      ...CHAT_SETTINGS
+    }, {
+      // The caller also enforces the timeout; this aborts the HTTP request itself
+      timeout: getRefinementTimeout(this.name),
+      maxRetries: 0
+    });
+
+    const prompt = response.choices?.[0]?.message?.content?.trim();
+    if (!prompt) {
+      throw new Error(`${this.name} returned an empty refinement`);
+    }
+
+    return { prompt, model, usage: response.usage };
+  }
+
+  /**
+   * Translate a description into English before it is categorized
+   *
+   * @param {Object} request - { text, language } with the language's English name
+   * @returns {Promise<string>} - English description
+   */
+  async translate({ text, language }) {
+    const response = await this.getClient().chat.completions.create({
+      model: this.resolveModel(),
+      messages: [
+        {
+          role: 'system',
+          content: 'You translate short coloring page descriptions into English. Reply with the translation only, no quotes or notes.'
+        },
+        { role: 'user', content: `Translate from ${language}: ${text}` }
+      ],
+      ...CHAT_SETTINGS,
+      temperature: 0
+    }, {
+      timeout: getRefinementTimeout(this.name),
+      maxRetries: 0
+    });
+
+    const translated = response.choices?.[0]?.message?.content?.trim();
+    if (!translated) {
+      throw new Error(`${this.name} returned an empty translation`);
+    }
+    return translated;
+  }
+}
+
+const templateProvider = {
+  name: 'template',
+  method: 'template-based',
+  isAvailable: () => true,
+  refine: async ({ input, config, service }) => ({
+    prompt: await service.templateRefinement(input, config),
+    model: 'templates'
+  })
+};
+
+const providers = new Map([
+  ['openai', new ChatRefinementProvider({
+    name: 'openai',
+    method: 'meta-prompt-gpt',
+    // GPT-4o in production or when ENABLE_GPT4O is set, GPT-4o-mini otherwise
+    model: () => (process.env.NODE_ENV === 'production' || process.env.ENABLE_GPT4O === 'true' ? 'gpt-4o' : 'gpt-4o-mini'),
+    clientOptions: () => ({ apiKey: process.env.OPENAI_API_KEY }),
+    isConfigured: hasRealOpenAIKey
+  })],
+  ['openai-compatible', new ChatRefinementProvider({
+    name: 'openai-compatible',
+    method: 'meta-prompt-openai-compatible',
+    model: () => process.env.REFINEMENT_COMPATIBLE_MODEL || 'llama3.1',
+    // Most self-hosted servers ignore the key, but the SDK requires one
+    clientOptions: () => ({
+      baseURL: process.env.REFINEMENT_COMPATIBLE_URL,
+      apiKey: process.env.REFINEMENT_COMPATIBLE_API_KEY || 'not-needed'
+    }),
+    isConfigured: () => !!process.env.REFINEMENT_COMPATIBLE_URL
+  })],
+  ['template', templateProvider]
+]);
+
+const warnedNames = new Set();
+
+/**
+ * Register an additional refinement provider
+ *
+ * @param {string} name - Name used in REFINEMENT_PROVIDER
+ * @param {RefinementProvider} provider - Provider implementation
+ */
+export const registerRefinementProvider = (name, provider) => {
+  const missing = PROVIDER_METHODS.filter(method => typeof provider?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Refinement provider "${name}" is missing ${missing.join(', ')}`);
+  }
+  providers.set(name, provider);
+};
+
+export const listRefinementProviders = () => [...providers.keys()];
+
+/**
+ * Provider name from REFINEMENT_PROVIDER, or the default for this environment
+ */
+export const resolveRefinementProviderName = () => {
+  const configured = process.env.REFINEMENT_PROVIDER?.trim().toLowerCase();
+  if (configured) {
+    return configured;
+  }
+  return hasRealOpenAIKey() ? 'openai' : 'template';
+};
+
+/**
+ * Active refinement provider
+ * An unknown REFINEMENT_PROVIDER is logged once and the template engine is used.
+ *
+ * @param {string} [name] - Provider name; defaults to the configured one
+ * @returns {RefinementProvider}
+ */
+export const getRefinementProvider = (name = resolveRefinementProviderName()) => {
+  if (providers.has(name)) {
+    return providers.get(name);
+  }
+
+  if (!warnedNames.has(name)) {
+    warnedNames.add(name);
+    logger.error('Unknown refinement provider, using template', {
+      provider: name,
+      available: listRefinementProviders()
+    });
+  }
+  return providers.get('template');
+};
+
+/**
+ * Provider to compare against from REFINEMENT_COMPARE, or null when comparison is off
+ *
+ * @param {RefinementProvider} active - Provider whose output is used
+ * @returns {RefinementProvider|null}
+ */
+export const getComparisonProvider = (active) => {
+  const name = process.env.REFINEMENT_COMPARE?.trim().toLowerCase();
+  if (!name || name === 'false') {
+    return null;
+  }
+
+  const provider = getRefinementProvider(name);
+  return provider === active ? null : provider;
+};
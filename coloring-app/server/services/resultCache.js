@@ -0,0 +1,262 @@
+/**
+ * Result Cache for Coloring Book Creator
+ *
+ * Serves repeated generations from stored results instead of paying for the
+ * same page twice. Entries are keyed on the normalized refined prompt,
+ * customizations and model, hashed like ImageCache.generateKey. Refinement
+ * with GPT rarely returns the same wording twice, so each entry also gets an
+ * alias keyed on the normalized original prompt - an identical request then
+ * skips refinement as well.
+ *
+ * Recent entries stay in memory (LRU); all entries are persisted in Firestore
+ * (`generation_cache`) when it is available so they survive restarts.
+ * Callers opt in per request.
+ *
+ * Evidence: architecture.md 6.1 - API cost mitigation
+ * Note: Only post-processed data URL pages are cached - remote URLs expire.
+ */
+
+import admin from 'firebase-admin';
+import { ImageCache } from './imageOptimization.js';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('result-cache');
+
+const CACHE_COLLECTION = 'generation_cache';
+
+// Stay under Firestore's 1MB document limit; larger entries are only kept in memory
+const MAX_PERSISTED_BYTES = 900000;
+
+const DEFAULT_TTL_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a prompt so near-identical wording hashes the same:
+ * case, accents, punctuation and spacing are ignored
+ *
+ * @param {string} text - Prompt text
+ * @returns {string} - Normalized prompt
+ */
+export const normalizePrompt = (text = '') => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Copy of a value with object keys sorted and empty values dropped,
+ * so equivalent customizations serialize identically
+ */
+const canonical = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonical);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      if (value[key] !== null && value[key] !== undefined && value[key] !== '') {
+        result[key] = canonical(value[key]);
+      }
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Memory + Firestore cache of finished generations
+ */
+class ResultCache {
+  constructor(options = {}) {
+    this.getDb = options.getDb || (() => (admin.apps.length ? admin.app().firestore() : null));
+    this.memory = new ImageCache(options.memorySize || 50);
+    this.ttlDays = options.ttlDays || parseInt(process.env.RESULT_CACHE_TTL_DAYS, 10) || DEFAULT_TTL_DAYS;
+    this.logger = logger;
+    this.stats = { hits: 0, misses: 0, stored: 0, savedCost: 0 };
+  }
+
+  /**
+   * Key for a request before refinement (original prompt, series sheet and settings)
+   *
+   * @param {Object} request - { prompt, customizations, series, variations, vectorize, model }
+   * @returns {string} - Cache key
+   */
+  inputKey({ prompt, customizations = {}, series = null, variations = 1, vectorize = false, model }) {
+    return this.memory.generateKey(
+      `input:${normalizePrompt(prompt)}`,
+      canonical({ customizations, series, variations, vectorize: !!vectorize, model })
+    );
+  }
+
+  /**
+   * Key for a refined prompt and its settings
+   *
+   * @param {Object} request - { refinedPrompt, customizations, variations, vectorize, model }
+   * @returns {string} - Cache key
+   */
+  resultKey({ refinedPrompt, customizations = {}, variations = 1, vectorize = false, model }) {
+    return this.memory.generateKey(
+      `refined:${normalizePrompt(refinedPrompt)}`,
+      canonical({ customizations, variations, vectorize: !!vectorize, model })
+    );
+  }
+
+  isExpired(entry, now = new Date()) {
+    return !entry || entry.expiresAt <= now.toISOString();
+  }
+
+  /**
+   * Look up a cached result
+   * Never throws - a cache failure just means generating again.
+   *
+   * @param {string} key - inputKey or resultKey
+   * @returns {Promise<Object|null>} - Cached entry or null
+   */
+  async get(key) {
+    let entry = this.memory.get(key);
+
+    if (!entry) {
+      entry = await this.load(key);
+      if (entry) this.memory.set(key, entry);
+    }
+
+    if (this.isExpired(entry)) {
+      this.stats.misses += 1;
+      return null;
+    }
+
+    this.stats.hits += 1;
+    this.stats.savedCost = Number((this.stats.savedCost + (entry.metadata?.costs?.totalCost || 0)).toFixed(4));
+    this.recordHit(entry.key);
+    return entry;
+  }
+
+  /**
+   * Read an entry from Firestore, following input-key aliases
+   */
+  async load(key) {
+    const db = this.getDb();
+    if (!db) {
+      return null;
+    }
+
+    try {
+      const doc = await db.collection(CACHE_COLLECTION).doc(key).get();
+      if (!doc.exists) return null;
+
+      const data = doc.data();
+      if (!data.aliasOf) return data;
+
+      const target = await db.collection(CACHE_COLLECTION).doc(data.aliasOf).get();
+      return target.exists ? target.data() : null;
+    } catch (error) {
+      this.logger.warn('Failed to read cached result', { key, error: error.message });
+      return null;
+    }
+  }
+
+  recordHit(key) {
+    const db = this.getDb();
+    if (!db) return;
+
+    db.collection(CACHE_COLLECTION).doc(key).update({
+      hits: admin.firestore.FieldValue.increment(1),
+      lastHitAt: new Date().toISOString()
+    }).catch(error => {
+      this.logger.warn('Failed to record cache hit', { key, error: error.message });
+    });
+  }
+
+  /**
+   * Whether a result can be cached - only data URLs, which don't expire
+   *
+   * @param {Object[]} images - Post-processed images ({ imageUrl, svgUrl })
+   * @returns {boolean}
+   */
+  isCacheable(images) {
+    return images.length > 0 && images.every(image => image.imageUrl?.startsWith('data:'));
+  }
+
+  /**
+   * Store a finished generation under its result key, with an alias for the input key
+   * Never throws - a result that can't be cached is still returned to the user.
+   *
+   * @param {Object} params - Cache parameters
+   * @param {string} params.key - resultKey
+   * @param {string} [params.inputKey] - inputKey alias
+   * @param {string} params.refinedPrompt - Refined prompt the images were generated from
+   * @param {string} params.model - Model that produced the images
+   * @param {Object[]} params.images - Post-processed images ({ imageUrl, svgUrl, revisedPrompt, costs })
+   * @param {Object} params.metadata - Generation metadata (costs, size, quality, refinementData, ...)
+   * @returns {Promise<boolean>} - Whether the entry was stored
+   */
+  async set({ key, inputKey, refinedPrompt, model, images, metadata }) {
+    if (!this.isCacheable(images)) {
+      return false;
+    }
+
+    const now = new Date();
+    const entry = {
+      key,
+      refinedPrompt,
+      model,
+      images: images.map(({ imageUrl, svgUrl, revisedPrompt, costs }) => ({
+        imageUrl,
+        ...(svgUrl && { svgUrl }),
+        ...(revisedPrompt && { revisedPrompt }),
+        ...(costs && { costs })
+      })),
+      metadata,
+      hits: 0,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlDays * DAY_MS).toISOString()
+    };
+
+    this.memory.set(key, entry);
+    if (inputKey) this.memory.set(inputKey, entry);
+    this.stats.stored += 1;
+
+    const db = this.getDb();
+    const size = Buffer.byteLength(JSON.stringify(entry), 'utf8');
+    if (!db || size > MAX_PERSISTED_BYTES) {
+      return true;
+    }
+
+    try {
+      const batch = db.batch();
+      batch.set(db.collection(CACHE_COLLECTION).doc(key), entry);
+      if (inputKey && inputKey !== key) {
+        batch.set(db.collection(CACHE_COLLECTION).doc(inputKey), {
+          aliasOf: key,
+          createdAt: entry.createdAt,
+          expiresAt: entry.expiresAt
+        });
+      }
+      await batch.commit();
+    } catch (error) {
+      this.logger.warn('Failed to persist cached result', { key, size, error: error.message });
+    }
+
+    return true;
+  }
+
+  /**
+   * Cache statistics for /api/health
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      memory: this.memory.getStats(),
+      persistent: !!this.getDb(),
+      ttlDays: this.ttlDays
+    };
+  }
+}
+
+// Export singleton instance for consistent usage
+const resultCache = new ResultCache();
+export default resultCache;
+
+// Also export the class for testing
+export { ResultCache };
@@ -0,0 +1,264 @@
+/**
+ * Theme Registry for Coloring Book Creator
+ *
+ * Data-driven catalog of page themes shared by the server and the client.
+ * Each theme defines its label, icon, the prompt modifiers refinement adds,
+ * a default complexity, the subject categories prompt suggestions draw from,
+ * sample prompts and an optional preview thumbnail.
+ *
+ * Themes come from shared/themes.json (or the file named by THEMES_FILE), which
+ * the client also bundles as its offline fallback. Admins can add, edit or hide
+ * themes through the API; those edits are stored in Firestore (`themes`) and
+ * override the file entry with the same id. Validation reads an in-memory
+ * snapshot, refreshed from Firestore every few minutes.
+ *
+ * Evidence: architecture.md Section 3.3.2 - Service layer pattern
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import admin from 'firebase-admin';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('theme-registry');
+
+const THEMES_COLLECTION = 'themes';
+
+const DEFAULT_THEMES_FILE = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'shared', 'themes.json');
+
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+const REFRESH_RETRY_MS = 30 * 1000; // After a failed read, so an outage doesn't cost a Firestore call per request
+
+export const THEME_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+
+const COMPLEXITY_LEVELS = ['simple', 'medium', 'detailed'];
+
+// Limits keep a theme's modifiers from crowding the user's description out of the prompt
+export const THEME_LIMITS = {
+  label: 40,
+  description: 120,
+  icon: 8,
+  modifiers: 5,
+  modifierLength: 100,
+  categories: 10,
+  categoryLength: 40,
+  samplePrompts: 6,
+  samplePromptLength: 120,
+  thumbnail: 500
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400, code: 'INVALID_THEME' });
+
+const readString = (value, field, maxLength, { required = false } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw badRequest(`Theme ${field} is required`);
+    }
+    return null;
+  }
+  if (typeof value !== 'string' || value.trim().length > maxLength) {
+    throw badRequest(`Theme ${field} must be text of at most ${maxLength} characters`);
+  }
+  return value.trim();
+};
+
+const readList = (value, field, maxItems, maxLength) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.length > maxItems) {
+    throw badRequest(`Theme ${field} must be a list of at most ${maxItems} items`);
+  }
+  return value.map(item => readString(item, field, maxLength, { required: true }));
+};
+
+/**
+ * Validate a theme definition from the JSON file or the admin API
+ *
+ * @param {Object} theme - Raw theme definition
+ * @returns {Object} - { id, label, description, icon, modifiers, defaultComplexity, categories, samplePrompts, thumbnail, enabled }
+ * @throws {Error} - status 400 when a field is missing or malformed
+ */
+export const normalizeTheme = (theme) => {
+  if (!theme || typeof theme !== 'object') {
+    throw badRequest('Theme must be an object');
+  }
+  if (typeof theme.id !== 'string' || !THEME_ID_PATTERN.test(theme.id)) {
+    throw badRequest('Theme id must be 2-40 lowercase letters, numbers or dashes');
+  }
+  if (theme.defaultComplexity && !COMPLEXITY_LEVELS.includes(theme.defaultComplexity)) {
+    throw badRequest('Theme default complexity must be simple, medium, or detailed');
+  }
+
+  const thumbnail = readString(theme.thumbnail, 'thumbnail', THEME_LIMITS.thumbnail);
+  if (thumbnail && !/^(https:\/\/|\/)/.test(thumbnail)) {
+    throw badRequest('Theme thumbnail must be an https:// URL or a path on this site');
+  }
+
+  return {
+    id: theme.id,
+    label: readString(theme.label, 'label', THEME_LIMITS.label, { required: true }),
+    description: readString(theme.description, 'description', THEME_LIMITS.description) || '',
+    icon: readString(theme.icon, 'icon', THEME_LIMITS.icon) || '',
+    modifiers: readList(theme.modifiers, 'modifiers', THEME_LIMITS.modifiers, THEME_LIMITS.modifierLength),
+    defaultComplexity: theme.defaultComplexity || null,
+    // Subject categories from PromptRefinementService.subjectPatterns, used for suggestions
+    categories: readList(theme.categories, 'categories', THEME_LIMITS.categories, THEME_LIMITS.categoryLength),
+    samplePrompts: readList(theme.samplePrompts, 'samplePrompts', THEME_LIMITS.samplePrompts, THEME_LIMITS.samplePromptLength),
+    thumbnail,
+    enabled: theme.enabled !== false
+  };
+};
+
+/**
+ * Read and validate a themes file ({ "themes": [...] })
+ *
+ * @param {string} path - JSON file path
+ * @returns {Object[]} - Normalized themes in file order
+ */
+export const loadThemeFile = (path) => {
+  const { themes } = JSON.parse(readFileSync(path, 'utf8'));
+  if (!Array.isArray(themes)) {
+    throw new Error(`${path} must contain a "themes" list`);
+  }
+  return themes.map(normalizeTheme);
+};
+
+/**
+ * Theme catalog from the JSON file with admin overrides from Firestore
+ */
+class ThemeRegistry {
+  constructor(options = {}) {
+    this.getDb = options.getDb || (() => (admin.apps.length ? admin.app().firestore() : null));
+    this.themesFile = options.themesFile || process.env.THEMES_FILE || DEFAULT_THEMES_FILE;
+    this.fileThemes = new Map(loadThemeFile(this.themesFile).map(theme => [theme.id, theme]));
+    this.overrides = new Map();
+    this.lastRefresh = 0;
+    this.lastFailure = 0;
+    this.logger = logger;
+  }
+
+  /**
+   * Every theme, file order first, then themes added by admins
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDisabled=false] - Include hidden themes (admin view)
+   * @returns {Object[]}
+   */
+  list({ includeDisabled = false } = {}) {
+    const ids = [...new Set([...this.fileThemes.keys(), ...this.overrides.keys()])];
+    return ids
+      .map(id => this.overrides.get(id) || this.fileThemes.get(id))
+      .filter(theme => includeDisabled || theme.enabled);
+  }
+
+  /**
+   * An enabled theme by id
+   *
+   * @param {string} id - Theme id
+   * @returns {Object|null}
+   */
+  get(id) {
+    const theme = this.overrides.get(id) || this.fileThemes.get(id);
+    return theme?.enabled ? theme : null;
+  }
+
+  has(id) {
+    return !!this.get(id);
+  }
+
+  /**
+   * Reload admin overrides from Firestore when the snapshot is older than
+   * REFRESH_INTERVAL_MS. A failed read keeps the previous snapshot and is
+   * not retried for REFRESH_RETRY_MS.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Reload regardless of age
+   */
+  async refresh({ force = false } = {}) {
+    const db = this.getDb();
+    const now = Date.now();
+    if (!db || (!force && (now - this.lastRefresh < REFRESH_INTERVAL_MS || now - this.lastFailure < REFRESH_RETRY_MS))) {
+      return;
+    }
+
+    try {
+      const snapshot = await db.collection(THEMES_COLLECTION).get();
+      const overrides = new Map();
+      snapshot.docs.forEach(doc => {
+        try {
+          overrides.set(doc.id, normalizeTheme({ ...doc.data(), id: doc.id }));
+        } catch (error) {
+          this.logger.warn('Skipping invalid stored theme', { themeId: doc.id, error: error.message });
+        }
+      });
+      this.overrides = overrides;
+      this.lastRefresh = Date.now();
+      this.lastFailure = 0;
+    } catch (error) {
+      this.lastFailure = Date.now();
+      this.logger.error('Failed to load themes from Firestore', { error: error.message });
+    }
+  }
+
+  /**
+   * Create or replace a theme (admin)
+   *
+   * @param {Object} theme - Theme definition including its id
+   * @param {string} [updatedBy] - Admin user ID recorded with the theme
+   * @returns {Promise<Object>} - The stored theme
+   * @throws {Error} - status 400 for an invalid theme, 503 without Firestore
+   */
+  async save(theme, updatedBy = null) {
+    const normalized = normalizeTheme(theme);
+    const db = this.getDb();
+    if (!db) {
+      throw Object.assign(new Error('Theme storage is not available'), { status: 503 });
+    }
+
+    const { id, ...fields } = normalized;
+    await db.collection(THEMES_COLLECTION).doc(id).set({
+      ...fields,
+      updatedBy,
+      updatedAt: new Date().toISOString()
+    });
+    this.overrides.set(id, normalized);
+
+    this.logger.info('Theme saved', { themeId: id, enabled: normalized.enabled, updatedBy });
+    return normalized;
+  }
+
+  /**
+   * Remove an admin theme; a theme from the JSON file reverts to its file version
+   *
+   * @param {string} id - Theme id
+   * @returns {Promise<Object|null>} - The theme now in effect, or null when it is gone
+   * @throws {Error} - status 404 when there is no stored theme with this id, 503 without Firestore
+   */
+  async remove(id) {
+    const db = this.getDb();
+    if (!db) {
+      throw Object.assign(new Error('Theme storage is not available'), { status: 503 });
+    }
+
+    const docRef = db.collection(THEMES_COLLECTION).doc(id);
+    const existing = await docRef.get();
+    if (!existing.exists) {
+      throw Object.assign(new Error('Theme not found'), { status: 404 });
+    }
+
+    await docRef.delete();
+    this.overrides.delete(id);
+
+    this.logger.info('Theme override removed', { themeId: id });
+    return this.fileThemes.get(id) || null;
+  }
+}
+
+// Export singleton instance for consistent usage
+const themeRegistry = new ThemeRegistry();
+export default themeRegistry;
+
+// Also export the class for testing
+export { ThemeRegistry };
@@ -20,8 +20,10 @@ const consoleFormat = printf(({ timestamp, level, message, service, ...meta }) =
 
 /**
  * Create logger instance with environment-based configuration
+ * Only loggers with handleExceptions register process-wide exception and
+ * rejection handlers - every handler adds a listener to `process`.
  */
-const createLogger = (serviceName = 'app') => {
+const createLogger = (serviceName = 'app', { handleExceptions = true } = {}) => {
   const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
     format: combine(
@@ -50,21 +52,23 @@ const createLogger = (serviceName = 'app') => {
     ],
     
     // Handle uncaught exceptions and rejections
-    exceptionHandlers: [
-      new winston.transports.File({ 
-        filename: path.join(process.cwd(), 'logs', 'exceptions.log'),
-        maxsize: 5242880,
-        maxFiles: 3
-      })
-    ],
-    
-    rejectionHandlers: [
-      new winston.transports.File({ 
-        filename: path.join(process.cwd(), 'logs', 'rejections.log'),
-        maxsize: 5242880,
-        maxFiles: 3
-      })
-    ],
+    ...(handleExceptions && {
+      exceptionHandlers: [
+        new winston.transports.File({ 
+          filename: path.join(process.cwd(), 'logs', 'exceptions.log'),
+          maxsize: 5242880,
+          maxFiles: 3
+        })
+      ],
+      
+      rejectionHandlers: [
+        new winston.transports.File({ 
+          filename: path.join(process.cwd(), 'logs', 'rejections.log'),
+          maxsize: 5242880,
+          maxFiles: 3
+        })
+      ]
+    }),
     
     exitOnError: false
   });
@@ -93,8 +97,9 @@ export const promptLogger = createLogger('prompt-refinement');
 
 /**
  * Logger factory for creating service-specific loggers
+ * Uncaught exceptions are already recorded by the application-wide loggers above.
  */
-export const getLogger = (serviceName) => createLogger(serviceName);
+export const getLogger = (serviceName) => createLogger(serviceName, { handleExceptions: false });
 
 /**
  * Enhanced logging methods with structured data
@@ -3,8 +3,10 @@ import ErrorBoundary from './components/ErrorBoundary'
 import PromptComponent from './components/PromptComponent'
 import AuthComponent from './components/AuthComponent.jsx'
 import GalleryComponent from './components/GalleryComponent.jsx'
+import SpendingDashboard from './components/SpendingDashboard.jsx'
 import Header from './components/Header'
 import Navigation from './components/Navigation'
+import { useCredits, useAdminStatus, useI18n } from './hooks'
 import { onAuthStateChanged } from 'firebase/auth'
 import { auth } from '../firebase-config.js'
 
@@ -12,7 +14,12 @@ function App() {
   const [isHighContrast, setIsHighContrast] = useState(false)
   const [user, setUser] = useState(null)
   const [authLoading, setAuthLoading] = useState(true)
-  const [currentView, setCurrentView] = useState('create') // 'create', 'gallery', 'auth'
+  const [currentView, setCurrentView] = useState('create') // 'create', 'gallery', 'spending', 'auth'
+  const [formPreset, setFormPreset] = useState(null) // Form values from a gallery page being made again
+  const credits = useCredits(user)
+  const refreshCredits = credits.refresh
+  const isAdmin = useAdminStatus(user)
+  const { t } = useI18n()
 
   // Auth state listener
   useEffect(() => {
@@ -54,11 +61,24 @@ function App() {
     setCurrentView(view)
   }, [])
 
+  // "Make again" in the gallery opens the create view prefilled with that page's settings
+  const handleMakeAgain = useCallback((formState) => {
+    setFormPreset(formState)
+    setCurrentView('create')
+  }, [])
+
+  const handleGenerated = useCallback(() => {
+    setFormPreset(null)
+    refreshCredits()
+  }, [refreshCredits])
+
   return (
     <ErrorBoundary>
       <div className="min-h-screen">
         <Header
           user={user}
+          credits={credits}
+          isAdmin={isAdmin}
           currentView={currentView}
           onViewChange={handleViewChange}
           isHighContrast={isHighContrast}
@@ -73,6 +93,7 @@ function App() {
             <Navigation
               currentView={currentView}
               user={user}
+              isAdmin={isAdmin}
               onViewChange={handleViewChange}
               className="flex items-center space-x-1 bg-gray-100 rounded-lg p-1"
               mobile={true}
@@ -83,7 +104,7 @@ function App() {
           {authLoading && (
             <div className="flex items-center justify-center py-12">
               <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
-              <span className="ml-3 text-gray-600">Loading...</span>
+              <span className="ms-3 text-gray-600">{t('app.loading')}</span>
             </div>
           )}
 
@@ -95,22 +116,25 @@ function App() {
                 <div>
                   <div className="text-center mb-8">
                     <h2 className="text-4xl font-handlee font-bold text-gray-800 mb-4">
-                      Create Beautiful Coloring Pages
+                      {t('app.createTitle')}
                     </h2>
                     <p className="text-lg text-gray-600 max-w-2xl mx-auto">
-                      Transform your ideas into stunning black-and-white line art perfect for coloring. 
-                      Just describe what you'd like, customize the details, and let AI create the perfect coloring page for you!
+                      {t('app.createIntro')}
                     </p>
                     {!user && (
                       <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg max-w-2xl mx-auto">
                         <p className="text-blue-800 text-sm">
-                          💡 <strong>Tip:</strong> Sign in to save your generated images to your personal gallery and access them anytime!
+                          💡 <strong>{t('app.tipLabel')}</strong> {t('app.tip')}
                         </p>
                       </div>
                     )}
                   </div>
                   
-                  <PromptComponent user={user} />
+                  <PromptComponent
+                    user={user}
+                    initialValues={formPreset || undefined}
+                    onGenerated={handleGenerated}
+                  />
                 </div>
               )}
 
@@ -119,14 +143,30 @@ function App() {
                 <div>
                   <div className="text-center mb-8">
                     <h2 className="text-4xl font-handlee font-bold text-gray-800 mb-4">
-                      Your Coloring Gallery
+                      {t('app.galleryTitle')}
+                    </h2>
+                    <p className="text-lg text-gray-600 max-w-2xl mx-auto">
+                      {t('app.galleryIntro')}
+                    </p>
+                  </div>
+                  
+                  <GalleryComponent user={user} onMakeAgain={handleMakeAgain} />
+                </div>
+              )}
+
+              {/* Spending View - admins only */}
+              {currentView === 'spending' && user && isAdmin && (
+                <div>
+                  <div className="text-center mb-8">
+                    <h2 className="text-4xl font-handlee font-bold text-gray-800 mb-4">
+                      {t('app.spendingTitle')}
                     </h2>
                     <p className="text-lg text-gray-600 max-w-2xl mx-auto">
-                      Browse through all your generated coloring pages. Click on any image to view it full size, or use the delete options to manage your collection.
+                      {t('app.spendingIntro')}
                     </p>
                   </div>
                   
-                  <GalleryComponent user={user} />
+                  <SpendingDashboard user={user} />
                 </div>
               )}
 
@@ -135,10 +175,10 @@ function App() {
                 <div>
                   <div className="text-center mb-8">
                     <h2 className="text-4xl font-handlee font-bold text-gray-800 mb-4">
-                      Join Coloring Book Creator
+                      {t('app.authTitle')}
                     </h2>
                     <p className="text-lg text-gray-600 max-w-2xl mx-auto">
-                      Create an account to save your generated coloring pages, build your personal gallery, and access your creations from anywhere.
+                      {t('app.authIntro')}
                     </p>
                   </div>
                   
@@ -156,7 +196,7 @@ function App() {
       <footer className="bg-white border-t border-gray-200 py-6">
         <div className="max-w-6xl mx-auto px-4 text-center">
           <p className="text-gray-600 text-sm">
-            Built with ❤️ for creative minds everywhere
+            {t('app.footer')}
           </p>
         </div>
       </footer>
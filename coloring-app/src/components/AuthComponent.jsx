@@ -21,8 +21,10 @@ import {
   updateProfile
 } from 'firebase/auth';
 import { auth, googleProvider, mockUsers } from '../../firebase-config.js';
+import { useI18n } from '../hooks';
 
 const AuthComponent = ({ onAuthStateChange }) => {
+  const { t } = useI18n();
   const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [authMode, setAuthMode] = useState('signin'); // 'signin', 'signup', 'reset'
@@ -56,25 +58,25 @@ const AuthComponent = ({ onAuthStateChange }) => {
     const newErrors = {};
 
     if (!formData.email) {
-      newErrors.email = 'Email is required';
+      newErrors.email = t('auth.errors.emailRequired');
     } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
-      newErrors.email = 'Email address is invalid';
+      newErrors.email = t('auth.errors.emailInvalid');
     }
 
     if (authMode !== 'reset') {
       if (!formData.password) {
-        newErrors.password = 'Password is required';
+        newErrors.password = t('auth.errors.passwordRequired');
       } else if (formData.password.length < 6) {
-        newErrors.password = 'Password must be at least 6 characters';
+        newErrors.password = t('auth.errors.passwordTooShort');
       }
 
       if (authMode === 'signup') {
         if (!formData.displayName) {
-          newErrors.displayName = 'Display name is required';
+          newErrors.displayName = t('auth.errors.displayNameRequired');
         }
 
         if (formData.password !== formData.confirmPassword) {
-          newErrors.confirmPassword = 'Passwords do not match';
+          newErrors.confirmPassword = t('auth.errors.passwordMismatch');
         }
       }
     }
@@ -119,7 +121,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
         displayName: formData.displayName
       });
 
-      setMessage('Account created successfully! Welcome to Coloring Book Creator.');
+      setMessage(t('auth.messages.accountCreated'));
       setFormData({
         email: '',
         password: '',
@@ -127,17 +129,17 @@ const AuthComponent = ({ onAuthStateChange }) => {
         displayName: ''
       });
     } catch (error) {
-      let errorMessage = 'Failed to create account';
+      let errorMessage = t('auth.errors.signUpFailed');
       
       switch (error.code) {
         case 'auth/email-already-in-use':
-          errorMessage = 'An account with this email already exists';
+          errorMessage = t('auth.errors.emailInUse');
           break;
         case 'auth/invalid-email':
-          errorMessage = 'Please enter a valid email address';
+          errorMessage = t('auth.errors.invalidEmail');
           break;
         case 'auth/weak-password':
-          errorMessage = 'Password should be at least 6 characters';
+          errorMessage = t('auth.errors.weakPassword');
           break;
         default:
           errorMessage = error.message;
@@ -158,7 +160,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
 
     try {
       await signInWithEmailAndPassword(auth, formData.email, formData.password);
-      setMessage('Welcome back!');
+      setMessage(t('auth.welcomeBack'));
       setFormData({
         email: '',
         password: '',
@@ -166,23 +168,23 @@ const AuthComponent = ({ onAuthStateChange }) => {
         displayName: ''
       });
     } catch (error) {
-      let errorMessage = 'Failed to sign in';
+      let errorMessage = t('auth.errors.signInFailed');
       
       switch (error.code) {
         case 'auth/user-not-found':
-          errorMessage = 'No account found with this email';
+          errorMessage = t('auth.errors.userNotFound');
           break;
         case 'auth/wrong-password':
-          errorMessage = 'Incorrect password';
+          errorMessage = t('auth.errors.wrongPassword');
           break;
         case 'auth/invalid-email':
-          errorMessage = 'Please enter a valid email address';
+          errorMessage = t('auth.errors.invalidEmail');
           break;
         case 'auth/user-disabled':
-          errorMessage = 'This account has been disabled';
+          errorMessage = t('auth.errors.userDisabled');
           break;
         case 'auth/too-many-requests':
-          errorMessage = 'Too many failed attempts. Please try again later.';
+          errorMessage = t('auth.errors.tooManyRequests');
           break;
         default:
           errorMessage = error.message;
@@ -197,7 +199,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
   // Password Reset
   const handlePasswordReset = async () => {
     if (!formData.email) {
-      setErrors({ email: 'Email is required for password reset' });
+      setErrors({ email: t('auth.errors.resetEmailRequired') });
       return;
     }
 
@@ -206,17 +208,17 @@ const AuthComponent = ({ onAuthStateChange }) => {
 
     try {
       await sendPasswordResetEmail(auth, formData.email);
-      setMessage('Password reset email sent! Check your inbox.');
+      setMessage(t('auth.messages.resetSent'));
       setFormData(prev => ({ ...prev, email: '' }));
     } catch (error) {
-      let errorMessage = 'Failed to send password reset email';
+      let errorMessage = t('auth.errors.resetFailed');
       
       switch (error.code) {
         case 'auth/user-not-found':
-          errorMessage = 'No account found with this email';
+          errorMessage = t('auth.errors.userNotFound');
           break;
         case 'auth/invalid-email':
-          errorMessage = 'Please enter a valid email address';
+          errorMessage = t('auth.errors.invalidEmail');
           break;
         default:
           errorMessage = error.message;
@@ -235,16 +237,16 @@ const AuthComponent = ({ onAuthStateChange }) => {
 
     try {
       await signInWithPopup(auth, googleProvider);
-      setMessage('Successfully signed in with Google!');
+      setMessage(t('auth.messages.googleSignedIn'));
     } catch (error) {
-      let errorMessage = 'Failed to sign in with Google';
+      let errorMessage = t('auth.errors.googleFailed');
       
       switch (error.code) {
         case 'auth/popup-closed-by-user':
-          errorMessage = 'Sign-in cancelled';
+          errorMessage = t('auth.errors.popupClosed');
           break;
         case 'auth/popup-blocked':
-          errorMessage = 'Popup blocked. Please allow popups and try again.';
+          errorMessage = t('auth.errors.popupBlocked');
           break;
         default:
           errorMessage = error.message;
@@ -259,7 +261,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
   // Mock User Sign In (Development Only)
   const handleMockUserSignIn = async (mockUser) => {
     if (process.env.NODE_ENV !== 'development') {
-      setErrors({ general: 'Mock users only available in development mode' });
+      setErrors({ general: t('auth.errors.mockOnly') });
       return;
     }
 
@@ -269,10 +271,10 @@ const AuthComponent = ({ onAuthStateChange }) => {
     try {
       // In a real app, you'd implement mock auth differently
       // For now, this simulates the flow with a message
-      setMessage(`Mock sign-in as ${mockUser.displayName} (Development mode)`);
+      setMessage(t('auth.messages.mockSignedIn', { name: mockUser.displayName }));
       console.log('Mock user selected:', mockUser);
     } catch (error) {
-      setErrors({ general: 'Failed to sign in with mock user' });
+      setErrors({ general: t('auth.errors.mockFailed') });
     } finally {
       setIsSubmitting(false);
     }
@@ -282,9 +284,9 @@ const AuthComponent = ({ onAuthStateChange }) => {
   const handleSignOut = async () => {
     try {
       await signOut(auth);
-      setMessage('Signed out successfully');
+      setMessage(t('auth.messages.signedOut'));
     } catch {
-      setErrors({ general: 'Failed to sign out' });
+      setErrors({ general: t('auth.errors.signOutFailed') });
     }
   };
 
@@ -306,7 +308,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
     return (
       <div className="flex items-center justify-center p-4">
         <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
-        <span className="ml-2 text-gray-600">Loading...</span>
+        <span className="ms-2 text-gray-600">{t('auth.loading')}</span>
       </div>
     );
   }
@@ -323,7 +325,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
           </div>
           
           <h3 className="text-lg font-semibold text-gray-900 mb-2">
-            Welcome back{user.displayName ? `, ${user.displayName}` : ''}!
+            {user.displayName ? t('auth.welcomeBackName', { name: user.displayName }) : t('auth.welcomeBack')}
           </h3>
           
           <p className="text-sm text-gray-600 mb-4">
@@ -334,7 +336,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
             onClick={handleSignOut}
             className="w-full bg-red-600 text-white py-2 px-4 rounded-md hover:bg-red-700 transition duration-200"
           >
-            Sign Out
+            {t('auth.signOut')}
           </button>
         </div>
       </div>
@@ -346,14 +348,10 @@ const AuthComponent = ({ onAuthStateChange }) => {
     <div className="bg-white rounded-lg shadow-md p-6 max-w-md mx-auto">
       <div className="text-center mb-6">
         <h2 className="text-2xl font-bold text-gray-900 mb-2">
-          {authMode === 'signin' && 'Sign In'}
-          {authMode === 'signup' && 'Create Account'}
-          {authMode === 'reset' && 'Reset Password'}
+          {t(`auth.titles.${authMode}`)}
         </h2>
         <p className="text-gray-600">
-          {authMode === 'signin' && 'Welcome back to Coloring Book Creator'}
-          {authMode === 'signup' && 'Join Coloring Book Creator today'}
-          {authMode === 'reset' && 'Enter your email to reset your password'}
+          {t(`auth.subtitles.${authMode}`)}
         </p>
       </div>
 
@@ -378,23 +376,23 @@ const AuthComponent = ({ onAuthStateChange }) => {
             disabled={isSubmitting}
             className="w-full flex items-center justify-center px-4 py-2 border border-gray-300 rounded-md shadow-sm bg-white text-gray-700 hover:bg-gray-50 transition duration-200 disabled:opacity-50"
           >
-            <svg className="w-5 h-5 mr-2" viewBox="0 0 24 24">
+            <svg className="w-5 h-5 me-2" viewBox="0 0 24 24">
               <path fill="currentColor" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
               <path fill="currentColor" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
               <path fill="currentColor" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"/>
               <path fill="currentColor" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"/>
             </svg>
-            Continue with Google
+            {t('auth.google')}
           </button>
 
           {/* Mock Users for Development */}
           {process.env.NODE_ENV === 'development' && (
             <details className="w-full">
               <summary className="w-full flex items-center justify-center px-4 py-2 border border-gray-300 rounded-md shadow-sm bg-gray-50 text-gray-700 hover:bg-gray-100 transition duration-200 cursor-pointer">
-                <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20">
+                <svg className="w-5 h-5 me-2" fill="currentColor" viewBox="0 0 20 20">
                   <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clipRule="evenodd" />
                 </svg>
-                Mock Users (Dev Only)
+                {t('auth.mockUsers')}
               </summary>
               <div className="mt-2 space-y-2">
                 {mockUsers.map((mockUser) => (
@@ -402,7 +400,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
                     key={mockUser.uid}
                     onClick={() => handleMockUserSignIn(mockUser)}
                     disabled={isSubmitting}
-                    className="w-full text-left px-3 py-2 text-sm bg-white border border-gray-200 rounded hover:bg-gray-50 transition duration-200 disabled:opacity-50"
+                    className="w-full text-start px-3 py-2 text-sm bg-white border border-gray-200 rounded hover:bg-gray-50 transition duration-200 disabled:opacity-50"
                   >
                     <div className="font-medium">{mockUser.displayName}</div>
                     <div className="text-gray-500 text-xs">{mockUser.email}</div>
@@ -417,7 +415,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
               <div className="w-full border-t border-gray-300" />
             </div>
             <div className="relative flex justify-center text-sm">
-              <span className="px-2 bg-white text-gray-500">Or continue with email</span>
+              <span className="px-2 bg-white text-gray-500">{t('auth.orEmail')}</span>
             </div>
           </div>
         </div>
@@ -429,7 +427,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
         {authMode === 'signup' && (
           <div>
             <label htmlFor="displayName" className="block text-sm font-medium text-gray-700 mb-1">
-              Full Name
+              {t('auth.fullName')}
             </label>
             <input
               type="text"
@@ -440,7 +438,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
               className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
                 errors.displayName ? 'border-red-500' : 'border-gray-300'
               }`}
-              placeholder="Enter your full name"
+              placeholder={t('auth.fullNamePlaceholder')}
             />
             {errors.displayName && (
               <p className="mt-1 text-sm text-red-600">{errors.displayName}</p>
@@ -451,7 +449,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
         {/* Email */}
         <div>
           <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
-            Email Address
+            {t('auth.email')}
           </label>
           <input
             type="email"
@@ -462,7 +460,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
             className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
               errors.email ? 'border-red-500' : 'border-gray-300'
             }`}
-            placeholder="Enter your email"
+            placeholder={t('auth.emailPlaceholder')}
           />
           {errors.email && (
             <p className="mt-1 text-sm text-red-600">{errors.email}</p>
@@ -473,7 +471,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
         {authMode !== 'reset' && (
           <div>
             <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-              Password
+              {t('auth.password')}
             </label>
             <input
               type="password"
@@ -484,7 +482,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
               className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
                 errors.password ? 'border-red-500' : 'border-gray-300'
               }`}
-              placeholder="Enter your password"
+              placeholder={t('auth.passwordPlaceholder')}
               minLength="6"
             />
             {errors.password && (
@@ -497,7 +495,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
         {authMode === 'signup' && (
           <div>
             <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
-              Confirm Password
+              {t('auth.confirmPassword')}
             </label>
             <input
               type="password"
@@ -508,7 +506,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
               className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
                 errors.confirmPassword ? 'border-red-500' : 'border-gray-300'
               }`}
-              placeholder="Confirm your password"
+              placeholder={t('auth.confirmPasswordPlaceholder')}
               minLength="6"
             />
             {errors.confirmPassword && (
@@ -521,8 +519,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
         {authMode === 'signup' && (
           <div className="bg-blue-50 border border-blue-200 rounded-md p-3">
             <p className="text-sm text-blue-800">
-              <strong>Age Verification:</strong> By creating an account, you confirm that you are at least 13 years old. 
-              Age verification may be required for payment processing and premium features.
+              <strong>{t('auth.ageLabel')}</strong> {t('auth.ageNote')}
             </p>
           </div>
         )}
@@ -535,15 +532,11 @@ const AuthComponent = ({ onAuthStateChange }) => {
         >
           {isSubmitting ? (
             <div className="flex items-center justify-center">
-              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-              Processing...
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white me-2"></div>
+              {t('auth.processing')}
             </div>
           ) : (
-            <>
-              {authMode === 'signin' && 'Sign In'}
-              {authMode === 'signup' && 'Create Account'}
-              {authMode === 'reset' && 'Send Reset Email'}
-            </>
+            t(`auth.submit.${authMode}`)
           )}
         </button>
       </form>
@@ -553,7 +546,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
         {authMode === 'signin' && (
           <>
             <p className="text-sm text-gray-600">
-              Don't have an account?{' '}
+              {t('auth.noAccount')}{' '}
               <button
                 onClick={() => {
                   setAuthMode('signup');
@@ -562,11 +555,11 @@ const AuthComponent = ({ onAuthStateChange }) => {
                 }}
                 className="text-blue-600 hover:text-blue-500 font-medium"
               >
-                Sign up
+                {t('auth.signUpLink')}
               </button>
             </p>
             <p className="text-sm text-gray-600">
-              Forgot your password?{' '}
+              {t('auth.forgotPassword')}{' '}
               <button
                 onClick={() => {
                   setAuthMode('reset');
@@ -575,7 +568,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
                 }}
                 className="text-blue-600 hover:text-blue-500 font-medium"
               >
-                Reset it
+                {t('auth.resetLink')}
               </button>
             </p>
           </>
@@ -583,7 +576,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
 
         {authMode === 'signup' && (
           <p className="text-sm text-gray-600">
-            Already have an account?{' '}
+            {t('auth.haveAccount')}{' '}
             <button
               onClick={() => {
                 setAuthMode('signin');
@@ -592,14 +585,14 @@ const AuthComponent = ({ onAuthStateChange }) => {
               }}
               className="text-blue-600 hover:text-blue-500 font-medium"
             >
-              Sign in
+              {t('auth.signInLink')}
             </button>
           </p>
         )}
 
         {authMode === 'reset' && (
           <p className="text-sm text-gray-600">
-            Remember your password?{' '}
+            {t('auth.rememberPassword')}{' '}
             <button
               onClick={() => {
                 setAuthMode('signin');
@@ -608,7 +601,7 @@ const AuthComponent = ({ onAuthStateChange }) => {
               }}
               className="text-blue-600 hover:text-blue-500 font-medium"
             >
-              Sign in
+              {t('auth.signInLink')}
             </button>
           </p>
         )}
@@ -0,0 +1,267 @@
+/**
+ * Book Builder Component for Coloring Book Creator
+ *
+ * Turns a selection of gallery images into one printable coloring book:
+ * - Reorder pages and give each one a title
+ * - Cover page with book title and author
+ * - Optional table of contents, page numbers and blank backs
+ *   (blank backs keep markers from bleeding through on single-sided prints)
+ * - Print settings shared with single-page PDFs: page size, margins, bleed,
+ *   trim marks and vector pages that stay crisp at large print sizes
+ *
+ * The PDF itself is assembled by the server (POST /api/generate-book-pdf),
+ * with the cover, contents and default page titles in the UI language.
+ */
+
+import React, { useState } from 'react';
+import { PrintSettingsPanel } from './PrintSettingsPanel';
+import { useI18n, usePrintSettings } from '../hooks';
+import { API_CONFIG, downloadBlob, truncateText, toPrintRequest, readPrintReport } from '../utils';
+
+const MAX_BOOK_PAGES = 50;
+
+const BookBuilder = ({ images, onClose }) => {
+  const { t, locale } = useI18n();
+  const [pages, setPages] = useState(() =>
+    images.slice(0, MAX_BOOK_PAGES).map(image => ({
+      id: image.id,
+      imageUrl: image.imageUrl,
+      title: truncateText(image.originalPrompt || '', 100)
+    }))
+  );
+  const [title, setTitle] = useState('');
+  const [author, setAuthor] = useState('');
+  const [options, setOptions] = useState({
+    tableOfContents: true,
+    pageNumbers: true,
+    blankBacks: false
+  });
+  const { settings: printSettings, errors: printErrors, isValid: isPrintValid, updateSetting: updatePrintSetting } = usePrintSettings();
+  const [printReport, setPrintReport] = useState(null);
+  const [isBuilding, setIsBuilding] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Swap a page with its neighbour (direction -1 = up, 1 = down)
+  const movePage = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= pages.length) return;
+
+    setPages(prev => {
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const removePage = (index) => {
+    setPages(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const updatePageTitle = (index, value) => {
+    setPages(prev => prev.map((page, i) => (i === index ? { ...page, title: value } : page)));
+  };
+
+  const toggleOption = (name) => {
+    setOptions(prev => ({ ...prev, [name]: !prev[name] }));
+  };
+
+  // Build and download the book PDF
+  const handleBuild = async () => {
+    setIsBuilding(true);
+    setError(null);
+    setPrintReport(null);
+
+    try {
+      const response = await fetch(API_CONFIG.endpoints.generateBookPdf, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          title: title.trim(),
+          author: author.trim() || undefined,
+          pages: pages.map(page => ({
+            imageUrl: page.imageUrl,
+            title: page.title.trim() || undefined
+          })),
+          ...options,
+          ...toPrintRequest(printSettings),
+          locale
+        })
+      });
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.details?.[0]?.msg || body.message || t('book.failed', { status: response.status }));
+      }
+
+      const pdfBlob = await response.blob();
+      downloadBlob(pdfBlob, `coloring-book-${Date.now()}.pdf`);
+
+      // Stay open to show low-resolution warnings; close when the book prints cleanly
+      const report = readPrintReport(response);
+      if (report?.warnings?.length) {
+        setPrintReport(report);
+      } else {
+        onClose();
+      }
+    } catch (err) {
+      console.error('Error building book:', err);
+      setError(err.message);
+    } finally {
+      setIsBuilding(false);
+    }
+  };
+
+  // Large gallery images are stored as placeholders and can't be printed
+  const unprintable = pages.filter(page => !/^(https?:|data:image\/)/.test(page.imageUrl || ''));
+  const canBuild = title.trim().length > 0 && pages.length > 0 && unprintable.length === 0 && isPrintValid && !isBuilding;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div
+        className="bg-white rounded-lg shadow-xl max-w-2xl w-full p-6 max-h-[90vh] overflow-y-auto"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="book-builder-title"
+      >
+        <h3 id="book-builder-title" className="text-lg font-semibold text-gray-900 mb-4">
+          {t('book.title')}
+        </h3>
+
+        {/* Cover details */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+          <label className="text-sm text-gray-700">
+            {t('book.bookTitle')}
+            <input
+              type="text"
+              value={title}
+              maxLength={100}
+              onChange={(e) => setTitle(e.target.value)}
+              className="mt-1 w-full border border-gray-300 rounded-md px-3 py-2"
+              placeholder={t('book.bookTitlePlaceholder')}
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            {t('book.author')}
+            <input
+              type="text"
+              value={author}
+              maxLength={100}
+              onChange={(e) => setAuthor(e.target.value)}
+              className="mt-1 w-full border border-gray-300 rounded-md px-3 py-2"
+              placeholder={t('book.authorPlaceholder')}
+            />
+          </label>
+        </div>
+
+        {/* Layout options */}
+        <div className="flex flex-wrap gap-4 mb-4 text-sm text-gray-700">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={options.tableOfContents} onChange={() => toggleOption('tableOfContents')} />
+            {t('book.tableOfContents')}
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={options.pageNumbers} onChange={() => toggleOption('pageNumbers')} />
+            {t('book.pageNumbers')}
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={options.blankBacks} onChange={() => toggleOption('blankBacks')} />
+            {t('book.blankBacks')}
+          </label>
+        </div>
+
+        {/* Print settings */}
+        <div className="mb-4 p-3 bg-gray-50 rounded-md">
+          <PrintSettingsPanel
+            settings={printSettings}
+            errors={printErrors}
+            onChange={updatePrintSetting}
+            report={printReport}
+            disabled={isBuilding}
+          />
+        </div>
+
+        {images.length > MAX_BOOK_PAGES && (
+          <p className="text-sm text-yellow-700 mb-2">
+            {t('book.pageLimit', { max: MAX_BOOK_PAGES })}
+          </p>
+        )}
+
+        {/* Page order */}
+        <ol className="space-y-2 mb-4">
+          {pages.map((page, index) => (
+            <li key={page.id} className="flex items-center gap-3 bg-gray-50 rounded-md p-2">
+              <span className="text-sm text-gray-500 w-6 text-right">{index + 1}.</span>
+              <img src={page.imageUrl} alt="" className="w-12 h-12 object-cover rounded" />
+              <input
+                type="text"
+                value={page.title}
+                maxLength={100}
+                onChange={(e) => updatePageTitle(index, e.target.value)}
+                className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+                aria-label={t('book.pageTitle', { number: index + 1 })}
+                placeholder={t('book.pagePlaceholder', { number: index + 1 })}
+              />
+              <button
+                onClick={() => movePage(index, -1)}
+                disabled={index === 0}
+                className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                aria-label={t('book.moveUp', { number: index + 1 })}
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => movePage(index, 1)}
+                disabled={index === pages.length - 1}
+                className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                aria-label={t('book.moveDown', { number: index + 1 })}
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => removePage(index)}
+                className="text-red-600 hover:text-red-700"
+                aria-label={t('book.remove', { number: index + 1 })}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ol>
+
+        {unprintable.length > 0 && (
+          <p className="text-sm text-red-600 mb-2">
+            {t('book.unprintable', { count: unprintable.length })}
+          </p>
+        )}
+
+        {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+        <div className="flex space-x-3 justify-end">
+          <button
+            onClick={onClose}
+            disabled={isBuilding}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 disabled:opacity-50"
+          >
+            {t('book.cancel')}
+          </button>
+          <button
+            onClick={handleBuild}
+            disabled={!canBuild}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isBuilding ? (
+              <div className="flex items-center">
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                {t('book.building')}
+              </div>
+            ) : (
+              t('book.download', { count: pages.length })
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookBuilder;
@@ -0,0 +1,256 @@
+/**
+ * Coloring Canvas Component for Coloring Book Creator
+ *
+ * Lets kids color a page right in the app (mouse, touch or stylus):
+ * - Bucket fill that stays inside the lines
+ * - Brush and eraser in three sizes
+ * - Undo/redo (Ctrl+Z / Ctrl+Y) and start over
+ * - Palettes built from the app's theme colors, plus a custom color
+ * - Download the colored page or save it to the gallery as a child of the original
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useColoringCanvas, useI18n } from '../hooks';
+import { COLORING_CONFIG, downloadBlob } from '../utils';
+
+const TOOLS = [
+  { id: 'fill', label: 'Fill', icon: '🪣' },
+  { id: 'brush', label: 'Brush', icon: '🖌️' },
+  { id: 'eraser', label: 'Eraser', icon: '🧽' }
+];
+
+const toolButtonClass = (active) =>
+  `px-3 py-1 text-sm rounded-md border transition duration-200 ${active
+    ? 'bg-blue-600 text-white border-blue-600'
+    : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`;
+
+/**
+ * @param {Object} props - Component props
+ * @param {string} props.imageUrl - Coloring page to color in
+ * @param {Function|null} props.onSave - Called with the colored image data URI, resolves to true when saved; null hides saving
+ * @param {Function} props.onClose - Closes the coloring view
+ */
+const ColoringCanvas = ({ imageUrl, onSave = null, onClose }) => {
+  const {
+    colorCanvasRef,
+    lineCanvasRef,
+    status,
+    error,
+    tool,
+    setTool,
+    color,
+    setColor,
+    brushSize,
+    setBrushSize,
+    canUndo,
+    canRedo,
+    undo,
+    redo,
+    clear,
+    exportImage,
+    pointerHandlers
+  } = useColoringCanvas(imageUrl);
+  const { t } = useI18n();
+
+  const [paletteId, setPaletteId] = useState(COLORING_CONFIG.defaultPalette);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  // Keyboard shortcuts for undo/redo
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      const key = event.key.toLowerCase();
+
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  const handleDownload = async () => {
+    const dataUrl = exportImage();
+    if (!dataUrl) return;
+
+    const blob = await (await fetch(dataUrl)).blob();
+    downloadBlob(blob, `colored-page-${Date.now()}.${blob.type === 'image/png' ? 'png' : 'jpg'}`);
+  };
+
+  const handleSave = async () => {
+    const dataUrl = exportImage();
+    if (!dataUrl) return;
+
+    setIsSaving(true);
+    setSaveMessage(null);
+
+    const saved = await onSave(dataUrl);
+    setIsSaving(false);
+    setSaveMessage(saved
+      ? { type: 'success', text: t('success.imageSaved') }
+      : { type: 'error', text: t('errors.coloringSave') });
+  };
+
+  const palette = COLORING_CONFIG.palettes[paletteId];
+  const isReady = status === 'ready';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-2 sm:p-4">
+      <div
+        className="bg-white rounded-lg shadow-xl max-w-4xl w-full p-4 sm:p-6 max-h-[95vh] overflow-y-auto"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="coloring-canvas-title"
+      >
+        <h3 id="coloring-canvas-title" className="text-lg font-semibold text-gray-900 mb-3">
+          Color Your Page
+        </h3>
+
+        {/* Tools */}
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          {TOOLS.map(item => (
+            <button
+              key={item.id}
+              type="button"
+              onClick={() => setTool(item.id)}
+              aria-pressed={tool === item.id}
+              className={toolButtonClass(tool === item.id)}
+            >
+              <span aria-hidden="true">{item.icon}</span> {item.label}
+            </button>
+          ))}
+
+          {tool !== 'fill' && (
+            <select
+              value={brushSize}
+              onChange={(e) => setBrushSize(Number(e.target.value))}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+              aria-label="Brush size"
+            >
+              {Object.entries(COLORING_CONFIG.brushSizes).map(([name, size]) => (
+                <option key={name} value={size}>{name[0].toUpperCase() + name.slice(1)}</option>
+              ))}
+            </select>
+          )}
+
+          <div className="flex gap-2 ml-auto">
+            <button type="button" onClick={undo} disabled={!canUndo} className={toolButtonClass(false) + ' disabled:opacity-40'}>
+              ↶ Undo
+            </button>
+            <button type="button" onClick={redo} disabled={!canRedo} className={toolButtonClass(false) + ' disabled:opacity-40'}>
+              ↷ Redo
+            </button>
+            <button type="button" onClick={clear} disabled={!isReady} className={toolButtonClass(false) + ' disabled:opacity-40'}>
+              Start over
+            </button>
+          </div>
+        </div>
+
+        {/* Palette */}
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <select
+            value={paletteId}
+            onChange={(e) => setPaletteId(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            aria-label="Palette"
+          >
+            {Object.entries(COLORING_CONFIG.palettes).map(([id, { label }]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+
+          <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Colors">
+            {palette.colors.map(swatch => (
+              <button
+                key={swatch}
+                type="button"
+                role="radio"
+                aria-checked={color === swatch}
+                aria-label={`Color ${swatch}`}
+                onClick={() => setColor(swatch)}
+                className={`w-8 h-8 rounded-full border-2 ${color === swatch ? 'border-gray-900 scale-110' : 'border-gray-300'}`}
+                style={{ backgroundColor: swatch }}
+              />
+            ))}
+          </div>
+
+          <label className="flex items-center gap-1 text-sm text-gray-700">
+            Custom
+            <input
+              type="color"
+              value={color}
+              onChange={(e) => setColor(e.target.value.toUpperCase())}
+              className="w-8 h-8 border-0 p-0 bg-transparent cursor-pointer"
+            />
+          </label>
+        </div>
+
+        {/* Canvas - outlines sit on top of the color layer and ignore the pointer */}
+        <div className="relative mx-auto w-full max-w-2xl bg-white border border-gray-200 rounded-md">
+          <canvas
+            ref={colorCanvasRef}
+            {...pointerHandlers}
+            className={`block w-full h-auto ${isReady ? 'cursor-crosshair' : 'invisible'}`}
+            style={{ touchAction: 'none' }}
+            aria-label="Coloring page"
+          />
+          <canvas
+            ref={lineCanvasRef}
+            className={`absolute inset-0 w-full h-full pointer-events-none ${isReady ? '' : 'invisible'}`}
+            aria-hidden="true"
+          />
+
+          {status === 'loading' && (
+            <div className="absolute inset-0 flex items-center justify-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          )}
+        </div>
+
+        {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+        {saveMessage && (
+          <p className={`text-sm mt-3 ${saveMessage.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>
+            {saveMessage.text}
+          </p>
+        )}
+
+        <div className="flex flex-wrap gap-3 justify-end mt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isSaving}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 disabled:opacity-50"
+          >
+            Close
+          </button>
+          <button
+            type="button"
+            onClick={handleDownload}
+            disabled={!isReady}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition duration-200 disabled:opacity-50"
+          >
+            Download
+          </button>
+          {onSave && (
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!isReady || isSaving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSaving ? 'Saving...' : 'Save to Gallery'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColoringCanvas;
@@ -0,0 +1,111 @@
+import React, { memo, useState } from 'react'
+import { useI18n } from '../hooks'
+
+/**
+ * Remaining generation credits in the header, with the plan and usage
+ * history in a dropdown
+ * @param {Object} props - Component props
+ * @param {Object} props.credits - Result of useCredits
+ * @param {string} props.className - Extra classes for the wrapper
+ */
+const CreditsWidget = ({ credits, className = "" }) => {
+  const { t, formatDate } = useI18n()
+  const [isOpen, setIsOpen] = useState(false)
+  const { account, history, isLoading, error, isLow, loadHistory } = credits
+
+  if (!account) {
+    return null
+  }
+
+  const toggle = () => {
+    if (!isOpen) {
+      loadHistory()
+    }
+    setIsOpen(!isOpen)
+  }
+
+  const entryLabel = (entry) => {
+    const status = entry.type === 'grant' ? 'grant' : entry.status
+    const label = t(`credits.entries.${status}`)
+    return label === `credits.entries.${status}` ? entry.type : label
+  }
+
+  const usedShare = account.monthlyCredits
+    ? Math.min(Math.max(1 - account.balance / account.monthlyCredits, 0), 1)
+    : 0
+
+  return (
+    <div className={`relative ${className}`}>
+      <button
+        onClick={toggle}
+        className={`flex items-center space-x-1 px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${
+          isLow
+            ? 'border-yellow-400 bg-yellow-50 text-yellow-800'
+            : 'border-gray-300 bg-white text-gray-700 hover:border-gray-400'
+        }`}
+        title={t('credits.buttonTitle')}
+        aria-expanded={isOpen}
+        aria-haspopup="dialog"
+      >
+        <span aria-hidden="true">🪙</span>
+        <span>{t('credits.balance', { count: account.balance })}</span>
+      </button>
+
+      {isOpen && (
+        <div
+          className="absolute right-0 mt-2 w-72 bg-white border border-gray-200 rounded-lg shadow-lg p-4 text-sm text-gray-700 z-30"
+          role="dialog"
+          aria-label={t('credits.dialogLabel')}
+        >
+          <div className="flex items-center justify-between mb-1">
+            <span className="font-medium">{t('credits.plan', { plan: account.planLabel })}</span>
+            <span className="text-gray-500">{t('credits.perMonth', { count: account.monthlyCredits })}</span>
+          </div>
+
+          <div className="h-2 bg-gray-100 rounded-full overflow-hidden mb-1">
+            <div
+              className={`h-full ${isLow ? 'bg-yellow-400' : 'bg-blue-500'}`}
+              style={{ width: `${Math.round((1 - usedShare) * 100)}%` }}
+            />
+          </div>
+          <p className="text-gray-500 mb-3">
+            {account.reserved > 0
+              ? t('credits.leftWithHeld', { count: account.balance, reserved: account.reserved })
+              : t('credits.left', { count: account.balance })}
+          </p>
+
+          {isLow && (
+            <p className="text-yellow-700 mb-3">{t('credits.low')}</p>
+          )}
+
+          <h3 className="font-medium mb-2">{t('credits.recent')}</h3>
+          {error && <p className="text-red-600">{error}</p>}
+          {isLoading && !history.length && <p className="text-gray-500">{t('credits.loading')}</p>}
+          {!isLoading && !error && !history.length && <p className="text-gray-500">{t('credits.empty')}</p>}
+
+          <ul className="max-h-60 overflow-y-auto divide-y divide-gray-100">
+            {history.map(entry => (
+              <li key={entry.id} className="flex items-start justify-between py-2 gap-2">
+                <div className="min-w-0">
+                  <p className="truncate" title={entry.description || undefined}>
+                    {entry.type === 'grant' ? entryLabel(entry) : entry.description || entryLabel(entry)}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatDate(entry.createdAt) || ''}
+                    {entry.type !== 'grant' && ` · ${entryLabel(entry)}`}
+                    {entry.variations > 1 && ` · ${t('credits.pages', { count: entry.variations })}`}
+                  </p>
+                </div>
+                <span className={`shrink-0 font-medium ${entry.type === 'grant' ? 'text-green-600' : 'text-gray-800'}`}>
+                  {entry.type === 'grant' ? '+' : entry.credits > 0 ? '-' : ''}{entry.credits}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default memo(CreditsWidget)
@@ -0,0 +1,168 @@
+/**
+ * GalleryCollections Component
+ *
+ * Strip of the user's collections above the gallery: "All pages" plus one card
+ * per collection with its cover and image count. Picking a card shows only that
+ * collection; the open collection can be renamed or deleted here, and new
+ * collections are created from the same strip.
+ *
+ * Evidence: architecture.md Section 3.2 - Form Architecture
+ */
+
+import React, { useState } from 'react';
+import { useI18n } from '../hooks';
+import { GALLERY_CONFIG } from '../utils';
+
+/**
+ * GalleryCollections Component
+ * @param {Object} props - Component props
+ * @param {Array} props.collections - Collections from useCollections
+ * @param {string} props.activeId - Open collection id, '' for all pages
+ * @param {Function} props.onSelect - Called with a collection id, or '' for all pages
+ * @param {Function} props.onCreate - Called with a name; resolves to the collection or null
+ * @param {Function} props.onRename - Called with (id, name); resolves to the update or null
+ * @param {Function} props.onDelete - Called with the collection to delete
+ * @param {Object|null} props.error - { key, params } of the last failed change
+ */
+export const GalleryCollections = ({ collections, activeId, onSelect, onCreate, onRename, onDelete, error }) => {
+  const { t } = useI18n();
+  const [editing, setEditing] = useState(null); // 'create' | 'rename'
+  const [name, setName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const active = collections.find(collection => collection.id === activeId) || null;
+
+  const startEditing = (mode) => {
+    setEditing(mode);
+    setName(mode === 'rename' && active ? active.name : '');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    setIsSaving(true);
+    const saved = editing === 'rename'
+      ? await onRename(activeId, trimmed)
+      : await onCreate(trimmed);
+    setIsSaving(false);
+
+    if (saved) {
+      setEditing(null);
+      if (editing === 'create') {
+        onSelect(saved.id);
+      }
+    }
+  };
+
+  const cardClassName = (selected) => `shrink-0 w-28 text-start rounded-lg border p-2 transition duration-200 ${
+    selected ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:border-gray-300'
+  }`;
+
+  return (
+    <div className="mb-6">
+      <div className="flex gap-3 overflow-x-auto pb-2" role="tablist" aria-label={t('gallery.collections.title')}>
+        <button
+          role="tab"
+          aria-selected={!activeId}
+          onClick={() => onSelect('')}
+          className={cardClassName(!activeId)}
+        >
+          <div className="aspect-square rounded bg-gray-100 flex items-center justify-center text-2xl mb-1" aria-hidden="true">
+            🖼️
+          </div>
+          <span className="block text-sm font-medium text-gray-900 truncate">{t('gallery.collections.all')}</span>
+        </button>
+
+        {collections.map(collection => (
+          <button
+            key={collection.id}
+            role="tab"
+            aria-selected={collection.id === activeId}
+            onClick={() => onSelect(collection.id)}
+            className={cardClassName(collection.id === activeId)}
+            title={collection.name}
+          >
+            <div className="aspect-square rounded bg-gray-100 overflow-hidden flex items-center justify-center text-2xl mb-1">
+              {collection.coverImageUrl ? (
+                <img src={collection.coverImageUrl} alt="" className="w-full h-full object-cover" />
+              ) : (
+                <span aria-hidden="true">📁</span>
+              )}
+            </div>
+            <span className="block text-sm font-medium text-gray-900 truncate">{collection.name}</span>
+            <span className="block text-xs text-gray-500">
+              {t('gallery.collections.imageCount', { count: collection.imageCount })}
+            </span>
+          </button>
+        ))}
+
+        <button
+          onClick={() => startEditing('create')}
+          className="shrink-0 w-28 rounded-lg border border-dashed border-gray-300 p-2 text-sm text-blue-600 hover:border-blue-400 hover:text-blue-500"
+        >
+          + {t('gallery.collections.new')}
+        </button>
+      </div>
+
+      {/* The open collection */}
+      {active && editing !== 'rename' && (
+        <div className="mt-2 flex items-center gap-3 text-sm">
+          <h3 className="font-semibold text-gray-900">{active.name}</h3>
+          <button
+            onClick={() => startEditing('rename')}
+            className="text-blue-600 hover:text-blue-500 font-medium"
+          >
+            {t('gallery.collections.rename')}
+          </button>
+          <button
+            onClick={() => onDelete(active)}
+            className="text-red-600 hover:text-red-500 font-medium"
+          >
+            {t('gallery.collections.delete')}
+          </button>
+        </div>
+      )}
+
+      {editing && (
+        <form onSubmit={handleSubmit} className="mt-2 flex flex-col sm:flex-row gap-2 text-sm">
+          <label className="sr-only" htmlFor="collection-name">{t('gallery.collections.nameLabel')}</label>
+          <input
+            id="collection-name"
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t('gallery.collections.namePlaceholder')}
+            maxLength={GALLERY_CONFIG.collections.nameLength}
+            autoFocus
+            className="flex-1 border border-gray-300 rounded-md px-2 py-1"
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={isSaving || !name.trim()}
+              className="bg-blue-600 text-white px-3 py-1 rounded-md hover:bg-blue-700 transition duration-200 disabled:opacity-50"
+            >
+              {editing === 'rename' ? t('gallery.collections.save') : t('gallery.collections.create')}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              disabled={isSaving}
+              className="px-3 py-1 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200"
+            >
+              {t('gallery.cancel')}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && (
+        <p className="mt-2 text-sm text-red-600" role="alert">{t(error.key, error.params)}</p>
+      )}
+    </div>
+  );
+};
+
+export default GalleryCollections;
@@ -6,139 +6,143 @@
  * - Firestore queries with user authentication
  * - Image grid with thumbnails and metadata
  * - Single and bulk delete functionality with confirmations
+ * - Book builder: bundle selected images into one printable PDF
+ * - Per-image PDF and SVG (vector) export using the remembered print settings
+ * - In-app coloring; colored versions are saved as children of the original
  * - Responsive design with loading and error states
- * - Real-time updates and offline support
+ * - Cursor-paged loading: older pages load as the user scrolls to the end
+ * - Collections: user-defined folders with covers; selected images move in bulk
  */
 
-import React, { useState, useEffect, memo } from 'react';
-import { 
-  collection, 
-  query, 
-  where, 
-  orderBy, 
-  onSnapshot, 
-  doc, 
-  deleteDoc,
-  writeBatch,
-  limit,
-  getDocs
-} from 'firebase/firestore';
-import { db } from '../../firebase-config.js';
-
-const GalleryComponent = ({ user }) => {
-  const [images, setImages] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
+import React, { useState, useEffect, useCallback, useMemo, memo } from 'react';
+import { doc, deleteDoc, writeBatch } from 'firebase/firestore';
+import { auth, db } from '../../firebase-config.js';
+import BookBuilder from './BookBuilder';
+import { GalleryFilterBar } from './GalleryFilterBar';
+import { GalleryCollections } from './GalleryCollections';
+import ColoringCanvas from './ColoringCanvas';
+import { PrintSettingsPanel } from './PrintSettingsPanel';
+import { usePrintSettings, useI18n, useGalleryPages, useCollections } from '../hooks';
+import { useIntersectionObserver } from '../hooks/useIntersectionObserver';
+import { API_CONFIG, GALLERY_CONFIG, downloadBlob, toPrintRequest, readPrintReport, toFormStateFromImage, isGalleryFiltered } from '../utils';
+
+// Large images are stored as placeholders and can't be exported
+const isExportable = (image) => /^(https?:|data:image\/)/.test(image.imageUrl || '');
+
+const GalleryComponent = ({ user, onMakeAgain = null }) => {
+  const [filters, setFilters] = useState(GALLERY_CONFIG.defaultFilters);
+  // Open collection, '' for all pages - kept apart so resetting filters stays in it
+  const [collectionId, setCollectionId] = useState('');
+  // Once the filter bar or a collection is used it stays on screen while results reload
+  const [hasFiltered, setHasFiltered] = useState(false);
+  const galleryQuery = useMemo(() => ({ ...filters, collection: collectionId }), [filters, collectionId]);
+  const {
+    images,
+    isLoading,
+    isLoadingMore,
+    error: loadError,
+    loadMoreFailed,
+    hasMore,
+    loadMore,
+    addImage,
+    removeImages
+  } = useGalleryPages(user, galleryQuery);
+  const {
+    collections,
+    error: collectionError,
+    loadCollections,
+    createCollection,
+    updateCollection,
+    deleteCollection,
+    moveImages,
+    removeFromCollection
+  } = useCollections(user);
+  const [isMoving, setIsMoving] = useState(false);
+  const [actionError, setError] = useState(null); // { key, params } - translated when shown
   const [selectedImages, setSelectedImages] = useState(new Set());
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [deleteTarget, setDeleteTarget] = useState(null); // 'single' or 'bulk'
   const [deleteImageId, setDeleteImageId] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [showBookBuilder, setShowBookBuilder] = useState(false);
+  const [exportingId, setExportingId] = useState(null);
+  const [coloringImage, setColoringImage] = useState(null);
+  const [showPrintSettings, setShowPrintSettings] = useState(false);
+  const { settings: printSettings, errors: printErrors, isValid: isPrintValid, updateSetting: updatePrintSetting } = usePrintSettings();
+  const { t, locale, formatDate: formatLocalizedDate } = useI18n();
+
+  const error = loadError || actionError;
+  const activeCollection = collections.find(collection => collection.id === collectionId) || null;
+
+  // Sentinel after the grid - observed only while it's rendered and another page exists
+  const showsGrid = !isLoading && !error && (images.length > 0 || hasMore);
+  const [isNearEnd, loadMoreRef] = useIntersectionObserver({
+    rootMargin: GALLERY_CONFIG.loadMoreMargin,
+    threshold: 0,
+    enabled: showsGrid && hasMore
+  });
 
-  // Real-time listener for user's images with fallback strategies
+  // loadMore changes after each page, so a sentinel still on screen pulls the next one too
   useEffect(() => {
-    if (!user) {
-      setImages([]);
-      setIsLoading(false);
-      return;
+    if (isNearEnd && hasMore && !loadMoreFailed) {
+      loadMore();
     }
+  }, [isNearEnd, hasMore, loadMoreFailed, loadMore]);
 
-    setIsLoading(true);
-    setError(null);
+  // Selections can't include pages the new results hide
+  const updateFilter = useCallback((field, value) => {
+    setFilters(prev => (prev[field] === value ? prev : { ...prev, [field]: value }));
+    setHasFiltered(true);
+    setSelectedImages(new Set());
+  }, []);
 
-    // SOLUTION: Progressive enhancement with fallback queries
-    const setupGalleryListener = async () => {
-      try {
-        let imagesQuery;
-        
-        // STRATEGY 1: Try optimized query with composite index
-        // Requires index: (userId ASC, createdAt DESC)
-        try {
-          imagesQuery = query(
-            collection(db, 'user_images'),
-            where('userId', '==', user.uid),
-            orderBy('createdAt', 'desc'),
-            limit(50)
-          );
-          
-          // Test the query with a single document to check if index exists
-          const testQuery = query(
-            collection(db, 'user_images'),
-            where('userId', '==', user.uid),
-            orderBy('createdAt', 'desc'),
-            limit(1)
-          );
-          
-          // This will throw if index doesn't exist  
-          await getDocs(testQuery);
-          console.log('✅ Using optimized query with composite index');
-          
-        } catch (indexError) {
-          console.warn('⚠️ Composite index not available, using fallback query:', indexError.message);
-          
-          // STRATEGY 2: Fallback query without orderBy (works without index)
-          // Client-side sorting will be applied
-          imagesQuery = query(
-            collection(db, 'user_images'),
-            where('userId', '==', user.uid),
-            limit(50)
-          );
-        }
-
-        // Set up real-time listener with the chosen query
-        const unsubscribe = onSnapshot(
-          imagesQuery,
-          (querySnapshot) => {
-            const imagesList = [];
-            querySnapshot.forEach((doc) => {
-              const data = doc.data();
-              imagesList.push({
-                id: doc.id,
-                ...data,
-                // Ensure createdAt is properly formatted for sorting
-                createdAt: data.createdAt || new Date()
-              });
-            });
-            
-            // STRATEGY 3: Client-side sorting if server-side orderBy failed
-            // This ensures consistent ordering regardless of index availability
-            const sortedImages = imagesList.sort((a, b) => {
-              const aTime = a.createdAt?.toDate ? a.createdAt.toDate() : new Date(a.createdAt);
-              const bTime = b.createdAt?.toDate ? b.createdAt.toDate() : new Date(b.createdAt);
-              return bTime - aTime; // DESC order (newest first)
-            });
-            
-            setImages(sortedImages);
-            setIsLoading(false);
-          },
-          (error) => {
-            console.error('Error fetching images:', error);
-            
-            // Enhanced error handling with specific messaging
-            if (error.code === 'failed-precondition') {
-              setError('Gallery index is being created. Please try again in a few minutes.');
-            } else if (error.code === 'permission-denied') {
-              setError('Access denied. Please sign in again.');
-            } else {
-              setError(`Failed to load gallery: ${error.message}`);
-            }
-            
-            setIsLoading(false);
-          }
-        );
+  const resetFilters = useCallback(() => {
+    setFilters(prev => ({ ...GALLERY_CONFIG.defaultFilters, sort: prev.sort }));
+    setSelectedImages(new Set());
+  }, []);
 
-        // Cleanup listener on unmount
-        return () => unsubscribe();
-        
-      } catch (error) {
-        console.error('Error setting up gallery listener:', error);
-        setError('Failed to initialize gallery. Please refresh the page.');
-        setIsLoading(false);
+  const selectCollection = useCallback((id) => {
+    setCollectionId(id);
+    setHasFiltered(true);
+    setSelectedImages(new Set());
+  }, []);
+
+  // Move the selection into a collection; in another collection's view they leave the page
+  const handleMoveSelected = async (targetId) => {
+    if (!targetId || selectedImages.size === 0) return;
+
+    const imageIds = [...selectedImages];
+    setIsMoving(true);
+    if (await moveImages(targetId, imageIds)) {
+      if (collectionId && collectionId !== targetId) {
+        removeImages(imageIds);
       }
-    };
+      setSelectedImages(new Set());
+    }
+    setIsMoving(false);
+  };
+
+  // Take the selection out of the open collection; the images stay in the gallery
+  const handleRemoveSelected = async () => {
+    if (!collectionId || selectedImages.size === 0) return;
+
+    const imageIds = [...selectedImages];
+    setIsMoving(true);
+    if (await removeFromCollection(collectionId, imageIds)) {
+      removeImages(imageIds);
+      setSelectedImages(new Set());
+    }
+    setIsMoving(false);
+  };
 
-    setupGalleryListener();
-  }, [user]);
+  // Deleting a collection keeps its images - show them all again
+  const handleDeleteCollection = async (collection) => {
+    if (!window.confirm(t('gallery.collections.confirmDelete', { name: collection.name }))) return;
+
+    if (await deleteCollection(collection.id)) {
+      selectCollection('');
+    }
+  };
 
   // Handle single image selection
   const handleImageSelect = (imageId) => {
@@ -160,6 +164,95 @@ const GalleryComponent = ({ user }) => {
     }
   };
 
+  // Download one image as PDF or traced SVG
+  const handleExport = async (image, format) => {
+    if (format === 'pdf' && !isPrintValid) {
+      setShowPrintSettings(true);
+      return;
+    }
+
+    setExportingId(image.id);
+
+    try {
+      const endpoint = format === 'svg' ? API_CONFIG.endpoints.exportSvg : API_CONFIG.endpoints.generatePdf;
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          imageUrl: image.imageUrl,
+          ...(format === 'pdf' && {
+            title: image.originalPrompt ? `Coloring Page: ${image.originalPrompt}`.slice(0, 100) : undefined,
+            metadata: { originalPrompt: image.originalPrompt, generatedAt: image.metadata?.generatedAt },
+            ...toPrintRequest(printSettings),
+            locale
+          })
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`${format.toUpperCase()} export failed: ${response.status}`);
+      }
+
+      downloadBlob(await response.blob(), `coloring-page-${image.id}.${format}`);
+
+      const warnings = readPrintReport(response)?.warnings || [];
+      if (warnings.length > 0) {
+        alert(warnings.join('\n'));
+      }
+    } catch (err) {
+      console.error('Error exporting image:', err);
+      // Not setError - that replaces the whole gallery with the error view
+      alert(t('gallery.errors.export', { format: format.toUpperCase() }));
+    } finally {
+      setExportingId(null);
+    }
+  };
+
+  // Save a colored version as a child of the original and show it at the top of the gallery
+  const handleSaveColored = async (parent, coloredImageUrl) => {
+    try {
+      const currentUser = auth.currentUser;
+      if (!currentUser) {
+        throw new Error('User not authenticated');
+      }
+
+      const idToken = await currentUser.getIdToken();
+      const response = await fetch(API_CONFIG.endpoints.saveImage, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${idToken}`
+        },
+        body: JSON.stringify({
+          imageUrl: coloredImageUrl,
+          originalPrompt: parent.originalPrompt || 'Colored page',
+          refinedPrompt: parent.refinedPrompt || undefined,
+          parentImageId: parent.id,
+          metadata: {
+            complexity: parent.metadata?.complexity,
+            ageGroup: parent.metadata?.ageGroup,
+            theme: parent.metadata?.theme,
+            source: 'digital-coloring'
+          }
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to save colored page: ${response.status}`);
+      }
+
+      const result = await response.json();
+      // New pages aren't in a collection yet
+      if (result.data && !collectionId) {
+        addImage(result.data);
+      }
+      return true;
+    } catch (err) {
+      console.error('Error saving colored page:', err);
+      return false;
+    }
+  };
+
   // Show delete confirmation for single image
   const handleSingleDelete = (imageId) => {
     setDeleteImageId(imageId);
@@ -180,11 +273,14 @@ const GalleryComponent = ({ user }) => {
     
     try {
       await deleteDoc(doc(db, 'user_images', imageId));
+      removeImages([imageId]);
+      // Collection counts and covers may have changed
+      if (collections.length > 0) loadCollections();
       setShowDeleteConfirm(false);
       setDeleteImageId(null);
     } catch (error) {
       console.error('Error deleting image:', error);
-      setError('Failed to delete image. Please try again.');
+      setError({ key: 'gallery.errors.deleteOne' });
     } finally {
       setIsDeleting(false);
     }
@@ -207,11 +303,13 @@ const GalleryComponent = ({ user }) => {
 
       await batch.commit();
       
+      removeImages(selectedImages);
+      if (collections.length > 0) loadCollections();
       setSelectedImages(new Set());
       setShowDeleteConfirm(false);
     } catch (error) {
       console.error('Error deleting images:', error);
-      setError('Failed to delete images. Please try again.');
+      setError({ key: 'gallery.errors.deleteMany' });
     } finally {
       setIsDeleting(false);
     }
@@ -233,55 +331,41 @@ const GalleryComponent = ({ user }) => {
     setDeleteImageId(null);
   };
 
-  // Format date for display
-  const formatDate = (timestamp) => {
-    if (!timestamp) return 'Unknown date';
-    
-    try {
-      const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
-      return new Intl.DateTimeFormat('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      }).format(date);
-    } catch {
-      return 'Invalid date';
-    }
-  };
+  // Format date for display in the selected language
+  const formatDate = (timestamp) =>
+    formatLocalizedDate(timestamp, { dateStyle: 'medium', timeStyle: 'short' }) || t('gallery.unknownDate');
 
   // Loading state
-  if (isLoading) {
+  if (isLoading && !hasFiltered) {
     return (
       <div className="bg-white rounded-lg shadow-md p-6">
-        <h2 className="text-2xl font-bold text-gray-900 mb-6">My Gallery</h2>
+        <h2 className="text-2xl font-bold text-gray-900 mb-6">{t('gallery.title')}</h2>
         <div className="flex items-center justify-center py-12">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
-          <span className="ml-3 text-gray-600">Loading your gallery...</span>
+          <span className="ms-3 text-gray-600">{t('gallery.loading')}</span>
         </div>
       </div>
     );
   }
 
   // Error state
-  if (error) {
+  if (error && !hasFiltered) {
     return (
       <div className="bg-white rounded-lg shadow-md p-6">
-        <h2 className="text-2xl font-bold text-gray-900 mb-6">My Gallery</h2>
+        <h2 className="text-2xl font-bold text-gray-900 mb-6">{t('gallery.title')}</h2>
         <div className="text-center py-12">
           <div className="text-red-600 mb-4">
             <svg className="w-16 h-16 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
           </div>
-          <h3 className="text-lg font-medium text-gray-900 mb-2">Unable to load gallery</h3>
-          <p className="text-gray-600 mb-4">{error}</p>
+          <h3 className="text-lg font-medium text-gray-900 mb-2">{t('gallery.loadErrorTitle')}</h3>
+          <p className="text-gray-600 mb-4">{t(error.key, error.params)}</p>
           <button
             onClick={() => window.location.reload()}
             className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition duration-200"
           >
-            Try Again
+            {t('gallery.tryAgain')}
           </button>
         </div>
       </div>
@@ -289,59 +373,167 @@ const GalleryComponent = ({ user }) => {
   }
 
   // No images state
-  if (images.length === 0) {
+  if (!showsGrid && !hasFiltered) {
     return (
       <div className="bg-white rounded-lg shadow-md p-6">
-        <h2 className="text-2xl font-bold text-gray-900 mb-6">My Gallery</h2>
+        <h2 className="text-2xl font-bold text-gray-900 mb-6">{t('gallery.title')}</h2>
         <div className="text-center py-12">
           <div className="text-gray-400 mb-4">
             <svg className="w-16 h-16 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
             </svg>
           </div>
-          <h3 className="text-lg font-medium text-gray-900 mb-2">No images yet</h3>
-          <p className="text-gray-600">Create your first coloring page to start building your gallery!</p>
+          <h3 className="text-lg font-medium text-gray-900 mb-2">{t('gallery.emptyTitle')}</h3>
+          <p className="text-gray-600">{t('gallery.emptyText')}</p>
         </div>
       </div>
     );
   }
 
+  // Number of colored versions per original image
+  const coloredCounts = images.reduce((counts, image) => {
+    if (image.parentImageId) {
+      counts[image.parentImageId] = (counts[image.parentImageId] || 0) + 1;
+    }
+    return counts;
+  }, {});
+
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
       {/* Header */}
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
         <h2 className="text-2xl font-bold text-gray-900 mb-4 sm:mb-0">
-          My Gallery ({images.length} image{images.length !== 1 ? 's' : ''})
+          {/* The total is only known once every page has loaded */}
+          {hasMore ? t('gallery.title') : t('gallery.titleWithCount', { count: images.length })}
         </h2>
         
         {/* Bulk Actions */}
         {images.length > 0 && (
           <div className="flex items-center space-x-3">
+            <button
+              onClick={() => setShowPrintSettings(prev => !prev)}
+              className="text-sm text-gray-600 hover:text-gray-800 font-medium"
+              aria-expanded={showPrintSettings}
+            >
+              {t('gallery.printSettings')}
+            </button>
+
             <button
               onClick={handleSelectAll}
               className="text-sm text-blue-600 hover:text-blue-500 font-medium"
             >
-              {selectedImages.size === images.length ? 'Deselect All' : 'Select All'}
+              {selectedImages.size === images.length ? t('gallery.deselectAll') : t('gallery.selectAll')}
             </button>
             
+            {selectedImages.size > 0 && (
+              <button
+                onClick={() => setShowBookBuilder(true)}
+                className="bg-blue-600 text-white px-3 py-1 rounded-md text-sm hover:bg-blue-700 transition duration-200"
+              >
+                {t('gallery.makeBook', { count: selectedImages.size })}
+              </button>
+            )}
+
+            {selectedImages.size > 0 && collections.length > 0 && (
+              <select
+                value=""
+                onChange={(e) => handleMoveSelected(e.target.value)}
+                disabled={isMoving}
+                aria-label={t('gallery.collections.moveSelected', { count: selectedImages.size })}
+                className="text-sm border border-gray-300 rounded-md px-2 py-1 disabled:opacity-50"
+              >
+                <option value="">{t('gallery.collections.moveSelected', { count: selectedImages.size })}</option>
+                {collections.filter(collection => collection.id !== collectionId).map(collection => (
+                  <option key={collection.id} value={collection.id}>{collection.name}</option>
+                ))}
+              </select>
+            )}
+
+            {selectedImages.size > 0 && activeCollection && (
+              <button
+                onClick={handleRemoveSelected}
+                disabled={isMoving}
+                className="text-sm text-gray-600 hover:text-gray-800 font-medium disabled:opacity-50"
+              >
+                {t('gallery.collections.removeSelected', { count: selectedImages.size })}
+              </button>
+            )}
+
             {selectedImages.size > 0 && (
               <button
                 onClick={handleBulkDelete}
                 className="bg-red-600 text-white px-3 py-1 rounded-md text-sm hover:bg-red-700 transition duration-200"
               >
-                Delete Selected ({selectedImages.size})
+                {t('gallery.deleteSelected', { count: selectedImages.size })}
               </button>
             )}
           </div>
         )}
       </div>
 
+      {/* Print settings used by every PDF download */}
+      {showPrintSettings && (
+        <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <PrintSettingsPanel
+            settings={printSettings}
+            errors={printErrors}
+            onChange={updatePrintSetting}
+          />
+        </div>
+      )}
+
+      {/* Collections - picking one shows only its images */}
+      <GalleryCollections
+        collections={collections}
+        activeId={collectionId}
+        onSelect={selectCollection}
+        onCreate={createCollection}
+        onRename={(id, name) => updateCollection(id, { name })}
+        onDelete={handleDeleteCollection}
+        error={collectionError}
+      />
+
+      {/* Search, filters and sort */}
+      <GalleryFilterBar filters={filters} onChange={updateFilter} onReset={resetFilters} />
+
+      {/* Results are reloading, failed or empty */}
+      {isLoading && (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          <span className="ms-3 text-gray-600">{t('gallery.loading')}</span>
+        </div>
+      )}
+      {!isLoading && error && (
+        <div className="text-center py-12">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">{t('gallery.loadErrorTitle')}</h3>
+          <p className="text-gray-600">{t(error.key, error.params)}</p>
+        </div>
+      )}
+      {!isLoading && !error && !showsGrid && collectionId && !isGalleryFiltered(filters) && (
+        <div className="text-center py-12">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">{t('gallery.collections.emptyTitle')}</h3>
+          <p className="text-gray-600">{t('gallery.collections.emptyText')}</p>
+        </div>
+      )}
+      {!isLoading && !error && !showsGrid && (!collectionId || isGalleryFiltered(filters)) && (
+        <div className="text-center py-12">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">{t('gallery.filters.noMatchesTitle')}</h3>
+          <p className="text-gray-600 mb-4">{t('gallery.filters.noMatchesText')}</p>
+          <button
+            onClick={resetFilters}
+            className="text-sm text-blue-600 hover:text-blue-500 font-medium"
+          >
+            {t('gallery.filters.reset')}
+          </button>
+        </div>
+      )}
+
       {/* Gallery Grid */}
       <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
         {images.map((image) => (
           <div key={image.id} className="relative group bg-gray-50 rounded-lg overflow-hidden">
             {/* Selection Checkbox */}
-            <div className="absolute top-2 left-2 z-10">
+            <div className="absolute top-2 start-2 z-10">
               <input
                 type="checkbox"
                 checked={selectedImages.has(image.id)}
@@ -353,8 +545,8 @@ const GalleryComponent = ({ user }) => {
             {/* Delete Button */}
             <button
               onClick={() => handleSingleDelete(image.id)}
-              className="absolute top-2 right-2 z-10 bg-red-600 text-white rounded-full p-1 opacity-0 group-hover:opacity-100 transition-opacity duration-200 hover:bg-red-700"
-              title="Delete image"
+              className="absolute top-2 end-2 z-10 bg-red-600 text-white rounded-full p-1 opacity-0 group-hover:opacity-100 transition-opacity duration-200 hover:bg-red-700"
+              title={t('gallery.deleteImage')}
             >
               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
@@ -365,12 +557,12 @@ const GalleryComponent = ({ user }) => {
             <div className="aspect-square">
               <img
                 src={image.imageUrl}
-                alt={image.originalPrompt || 'Generated coloring page'}
+                alt={image.originalPrompt || t('gallery.imageAlt')}
                 className="w-full h-full object-cover cursor-pointer hover:scale-105 transition-transform duration-200"
                 onClick={() => window.open(image.imageUrl, '_blank')}
                 onError={(e) => {
                   e.target.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjQiIGhlaWdodD0iMjQiIHZpZXdCb3g9IjAgMCAyNCAyNCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHBhdGggZD0iTTQgMTZMMTAuNTg2IDEwLjU4NkMxMS4zNjcgOS44MDUgMTIuNjMzIDkuODA1IDEzLjQxNCAxMC41ODZMMjAgMTdNMTQgMTFMMTUuNTg2IDkuNDE0QzE2LjM2NyA4LjYzMyAxNy42MzMgOC42MzMgMTguNDE0IDkuNDE0TDIwIDExTTE0IDdINy4wMU02IDEwSDEyQTIgMiAwIDAwMTQgOFY2QTIgMiAwIDAwMTIgNEg2QTIgMiAwIDAwNCA2VjE2QTIgMiAwIDAwNiAxOEgxOEEyIDIgMCAwMDIwIDE2VjE0IiBzdHJva2U9IiM5Q0E0QUYiIHN0cm9rZS13aWR0aD0iMiIgc3Ryb2tlLWxpbmVjYXA9InJvdW5kIiBzdHJva2UtbGluZWpvaW49InJvdW5kIi8+Cjwvc3ZnPg==';
-                  e.target.alt = 'Image not available';
+                  e.target.alt = t('gallery.imageUnavailable');
                 }}
               />
             </div>
@@ -378,23 +570,114 @@ const GalleryComponent = ({ user }) => {
             {/* Image Info */}
             <div className="p-3">
               <p className="text-sm text-gray-600 mb-1 line-clamp-2">
-                {image.originalPrompt || 'No description available'}
+                {image.originalPrompt || t('gallery.noDescription')}
               </p>
+              {image.metadata?.translation && (
+                <p className="text-xs text-gray-500 italic mb-1 line-clamp-2" title={t('gallery.translationTitle')}>
+                  {image.metadata.translation.translatedPrompt}
+                </p>
+              )}
               <p className="text-xs text-gray-400">
                 {formatDate(image.createdAt)}
               </p>
+
+              {/* Cover of the open collection */}
+              {activeCollection && (
+                image.id === activeCollection.coverImageId ? (
+                  <span className="mt-2 inline-block bg-amber-100 text-amber-800 text-xs px-2 py-1 rounded">
+                    {t('gallery.collections.cover')}
+                  </span>
+                ) : (
+                  <button
+                    onClick={() => updateCollection(activeCollection.id, { coverImageId: image.id })}
+                    className="mt-2 block text-xs text-blue-600 hover:text-blue-500 font-medium"
+                  >
+                    {t('gallery.collections.setCover')}
+                  </button>
+                )
+              )}
+
+              {/* Export */}
+              {isExportable(image) && (
+                <div className="mt-2 flex gap-2">
+                  {['pdf', 'svg'].map(format => (
+                    <button
+                      key={format}
+                      onClick={() => handleExport(image, format)}
+                      disabled={exportingId === image.id}
+                      className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                      title={format === 'svg' ? t('gallery.exportSvgTitle') : t('gallery.exportPdfTitle')}
+                    >
+                      {format.toUpperCase()}
+                    </button>
+                  ))}
+                  {/* Same description, settings and constraints - opens the create view */}
+                  {onMakeAgain && image.metadata?.source !== 'photo-upload' && !image.parentImageId && (
+                    <button
+                      onClick={() => onMakeAgain(toFormStateFromImage(image))}
+                      className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-700 hover:bg-gray-50"
+                      title={t('gallery.makeAgainTitle')}
+                    >
+                      {t('gallery.makeAgain')}
+                    </button>
+                  )}
+                  {/* Colored versions already have paint baked in - color the original instead */}
+                  {!image.parentImageId && (
+                    <button
+                      onClick={() => setColoringImage(image)}
+                      className="text-xs px-2 py-1 border border-gray-300 rounded text-gray-700 hover:bg-gray-50"
+                      title={t('gallery.colorTitle')}
+                    >
+                      {t('gallery.color')}
+                    </button>
+                  )}
+                </div>
+              )}
               
               {/* Metadata */}
               {image.metadata && (
                 <div className="mt-2 flex flex-wrap gap-1">
                   {image.metadata.complexity && (
                     <span className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded">
-                      {image.metadata.complexity}
+                      {t(`form.complexity.${image.metadata.complexity}`)}
                     </span>
                   )}
                   {image.metadata.ageGroup && (
                     <span className="inline-block bg-green-100 text-green-800 text-xs px-2 py-1 rounded">
-                      {image.metadata.ageGroup}
+                      {t(`form.age.${image.metadata.ageGroup}`)}
+                    </span>
+                  )}
+                  {image.metadata.series?.name && (
+                    <span
+                      className="inline-block bg-purple-100 text-purple-800 text-xs px-2 py-1 rounded"
+                      title={image.metadata.series.characterDescription}
+                    >
+                      {image.metadata.series.name}
+                    </span>
+                  )}
+                  {image.metadata.constraints?.mustInclude?.map(item => (
+                    <span key={`include-${item}`} className="inline-block bg-teal-100 text-teal-800 text-xs px-2 py-1 rounded">
+                      + {item}
+                    </span>
+                  ))}
+                  {image.metadata.constraints?.mustAvoid?.map(item => (
+                    <span key={`avoid-${item}`} className="inline-block bg-red-50 text-red-700 text-xs px-2 py-1 rounded">
+                      {t('gallery.avoidItem', { item })}
+                    </span>
+                  ))}
+                  {image.metadata.source === 'photo-upload' && (
+                    <span className="inline-block bg-yellow-100 text-yellow-800 text-xs px-2 py-1 rounded">
+                      {t('gallery.fromPhoto')}
+                    </span>
+                  )}
+                  {image.parentImageId && (
+                    <span className="inline-block bg-pink-100 text-pink-800 text-xs px-2 py-1 rounded">
+                      {t('gallery.coloredIn')}
+                    </span>
+                  )}
+                  {coloredCounts[image.id] > 0 && (
+                    <span className="inline-block bg-pink-50 text-pink-700 text-xs px-2 py-1 rounded">
+                      {t('gallery.coloredCount', { count: coloredCounts[image.id] })}
                     </span>
                   )}
                 </div>
@@ -404,6 +687,46 @@ const GalleryComponent = ({ user }) => {
         ))}
       </div>
 
+      {/* Infinite scroll - reaching this loads the next page */}
+      {showsGrid && (
+        <div ref={loadMoreRef} className="flex items-center justify-center py-6" aria-live="polite">
+          {isLoadingMore && (
+            <>
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+              <span className="ms-3 text-sm text-gray-600">{t('gallery.loadingMore')}</span>
+            </>
+          )}
+          {loadMoreFailed && !isLoadingMore && (
+            <>
+              <span className="text-sm text-red-600">{t('gallery.loadMoreFailed')}</span>
+              <button
+                onClick={loadMore}
+                className="ms-3 text-sm text-blue-600 hover:text-blue-500 font-medium"
+              >
+                {t('gallery.tryAgain')}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Book Builder - pages start in gallery order */}
+      {showBookBuilder && (
+        <BookBuilder
+          images={images.filter(image => selectedImages.has(image.id))}
+          onClose={() => setShowBookBuilder(false)}
+        />
+      )}
+
+      {/* Coloring view - colored pages are saved as children of this image */}
+      {coloringImage && (
+        <ColoringCanvas
+          imageUrl={coloringImage.imageUrl}
+          onSave={(coloredImageUrl) => handleSaveColored(coloringImage, coloredImageUrl)}
+          onClose={() => setColoringImage(null)}
+        />
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteConfirm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -416,13 +739,13 @@ const GalleryComponent = ({ user }) => {
               </div>
               
               <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                Confirm Deletion
+                {t('gallery.confirmTitle')}
               </h3>
               
               <p className="text-gray-600 mb-6">
                 {deleteTarget === 'single' 
-                  ? 'Are you sure you want to delete this image? This action cannot be undone.'
-                  : `Are you sure you want to delete ${selectedImages.size} selected image${selectedImages.size !== 1 ? 's' : ''}? This action cannot be undone.`
+                  ? t('gallery.confirmSingle')
+                  : t('gallery.confirmBulk', { count: selectedImages.size })
                 }
               </p>
               
@@ -432,7 +755,7 @@ const GalleryComponent = ({ user }) => {
                   disabled={isDeleting}
                   className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 disabled:opacity-50"
                 >
-                  Cancel
+                  {t('gallery.cancel')}
                 </button>
                 <button
                   onClick={confirmDelete}
@@ -441,11 +764,11 @@ const GalleryComponent = ({ user }) => {
                 >
                   {isDeleting ? (
                     <div className="flex items-center">
-                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                      Deleting...
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white me-2"></div>
+                      {t('gallery.deleting')}
                     </div>
                   ) : (
-                    'Delete'
+                    t('gallery.delete')
                   )}
                 </button>
               </div>
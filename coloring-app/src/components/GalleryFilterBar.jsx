@@ -0,0 +1,141 @@
+/**
+ * GalleryFilterBar Component
+ *
+ * Search box, filters (theme, complexity, age group, subject, model, date range)
+ * and sort order for the gallery. Filtering happens on the server; typing in the
+ * search box waits for a pause before the gallery reloads.
+ *
+ * Evidence: architecture.md Section 3.2 - Form Architecture
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useI18n, useThemes } from '../hooks';
+import { GALLERY_CONFIG, VALIDATION_CONFIG, PERFORMANCE_CONFIG, isGalleryFiltered } from '../utils';
+
+/**
+ * GalleryFilterBar Component
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Current values (see GALLERY_CONFIG.defaultFilters)
+ * @param {Function} props.onChange - Called with (field, value)
+ * @param {Function} props.onReset - Clears search and filters
+ */
+export const GalleryFilterBar = ({ filters, onChange, onReset }) => {
+  const { t } = useI18n();
+  const themes = useThemes();
+  const [searchText, setSearchText] = useState(filters.q);
+
+  // Follow outside changes, e.g. the reset button
+  useEffect(() => {
+    setSearchText(filters.q);
+  }, [filters.q]);
+
+  // Search once typing pauses instead of on every key
+  useEffect(() => {
+    if (searchText === filters.q) return undefined;
+
+    const timer = setTimeout(() => onChange('q', searchText), PERFORMANCE_CONFIG.debounceDelay);
+    return () => clearTimeout(timer);
+  }, [searchText, filters.q, onChange]);
+
+  const selectClassName = 'mt-1 w-full border border-gray-300 rounded-md px-2 py-1';
+
+  const renderSelect = (field, options) => (
+    <label className="block">
+      {t(`gallery.filters.${field}`)}
+      <select
+        value={filters[field]}
+        onChange={(e) => onChange(field, e.target.value)}
+        className={selectClassName}
+      >
+        <option value="">{t('gallery.filters.any')}</option>
+        {options.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3 text-sm text-gray-700" role="search">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <label className="block flex-1">
+          {t('gallery.filters.searchLabel')}
+          <input
+            type="search"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder={t('gallery.filters.searchPlaceholder')}
+            maxLength={100}
+            className={selectClassName}
+          />
+        </label>
+
+        <label className="block sm:w-48">
+          {t('gallery.filters.sort')}
+          <select
+            value={filters.sort}
+            onChange={(e) => onChange('sort', e.target.value)}
+            className={selectClassName}
+          >
+            {GALLERY_CONFIG.sorts.map(sort => (
+              <option key={sort} value={sort}>{t(`gallery.filters.sorts.${sort}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {renderSelect('theme', themes.map(theme => ({
+          value: theme.value,
+          label: theme.icon ? `${theme.icon} ${theme.label}` : theme.label
+        })))}
+        {renderSelect('complexity', VALIDATION_CONFIG.complexity.options.map(value => ({
+          value,
+          label: t(`form.complexity.${value}`)
+        })))}
+        {renderSelect('ageGroup', VALIDATION_CONFIG.ageGroup.options.map(value => ({
+          value,
+          label: t(`form.age.${value}`)
+        })))}
+        {renderSelect('category', GALLERY_CONFIG.categories.map(value => ({
+          value,
+          label: t(`gallery.filters.categories.${value}`)
+        })))}
+        {renderSelect('model', GALLERY_CONFIG.models.map(value => ({ value, label: value })))}
+
+        <label className="block">
+          {t('gallery.filters.from')}
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => onChange('from', e.target.value)}
+            className={selectClassName}
+          />
+        </label>
+        <label className="block">
+          {t('gallery.filters.to')}
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => onChange('to', e.target.value)}
+            className={selectClassName}
+          />
+        </label>
+
+        <div className="flex items-end">
+          <button
+            onClick={onReset}
+            disabled={!isGalleryFiltered(filters)}
+            className="text-sm text-blue-600 hover:text-blue-500 font-medium disabled:text-gray-400 disabled:cursor-not-allowed"
+          >
+            {t('gallery.filters.reset')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GalleryFilterBar;
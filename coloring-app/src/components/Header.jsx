@@ -1,6 +1,8 @@
 import React, { memo, useMemo } from 'react'
 import Navigation from './Navigation'
 import UserInfo from './UserInfo'
+import CreditsWidget from './CreditsWidget'
+import { useI18n } from '../hooks'
 
 // Memoized icon components
 const CrayonIcon = () => (
@@ -38,19 +40,23 @@ const ContrastIcon = () => (
 
 const Header = ({ 
   user, 
+  credits,
+  isAdmin,
   currentView, 
   onViewChange, 
   isHighContrast, 
   onToggleContrast 
 }) => {
+  const { t, locale, locales, setLocale } = useI18n()
+
   const contrastButtonConfig = useMemo(() => ({
     className: `flex items-center space-x-2 px-3 py-2 rounded-lg border-2 transition-all duration-200 hover:scale-105 ${
       isHighContrast
         ? 'bg-black text-white border-white'
         : 'bg-white text-gray-700 border-gray-300 hover:border-gray-400'
     }`,
-    text: isHighContrast ? 'Normal' : 'High Contrast'
-  }), [isHighContrast])
+    text: isHighContrast ? t('header.contrastNormal') : t('header.contrastHigh')
+  }), [isHighContrast, t])
 
   return (
     <header className="fixed top-0 left-0 right-0 bg-white shadow-sm z-20 h-15">
@@ -59,7 +65,7 @@ const Header = ({
         <div className="flex items-center space-x-3">
           <CrayonIcon />
           <h1 className="text-2xl font-handlee font-bold text-gray-800">
-            Coloring Book Creator
+            {t('header.title')}
           </h1>
         </div>
 
@@ -69,6 +75,7 @@ const Header = ({
           <Navigation
             currentView={currentView}
             user={user}
+            isAdmin={isAdmin}
             onViewChange={onViewChange}
             className="hidden md:flex items-center space-x-1 bg-gray-100 rounded-lg p-1"
           />
@@ -79,12 +86,30 @@ const Header = ({
             className="hidden sm:flex"
           />
 
+          {/* Remaining generation credits */}
+          {credits && <CreditsWidget credits={credits} />}
+
+          {/* Language Switcher - labels are in their own language */}
+          <select
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            className="px-2 py-2 rounded-lg border-2 border-gray-300 bg-white text-sm text-gray-700 hover:border-gray-400"
+            aria-label={t('header.language')}
+            title={t('header.language')}
+          >
+            {Object.entries(locales).map(([code, { label }]) => (
+              <option key={code} value={code} lang={code}>
+                {label}
+              </option>
+            ))}
+          </select>
+
           {/* High Contrast Toggle */}
           <button
             onClick={onToggleContrast}
             className={contrastButtonConfig.className}
-            title="Toggle High Contrast Mode"
-            aria-label="Toggle high contrast mode"
+            title={t('header.contrastToggle')}
+            aria-label={t('header.contrastToggle')}
             aria-pressed={isHighContrast}
           >
             <ContrastIcon />
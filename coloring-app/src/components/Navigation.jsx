@@ -1,12 +1,16 @@
 import React, { memo } from 'react'
+import { useI18n } from '../hooks'
 
 const Navigation = ({ 
   currentView, 
   user, 
+  isAdmin = false,
   onViewChange, 
   className = "",
   mobile = false
 }) => {
+  const { t } = useI18n()
+
   const getButtonClass = (view, isActive) => {
     const baseClass = mobile 
       ? "flex-1 px-3 py-2 rounded-md text-sm font-medium transition-colors"
@@ -25,7 +29,7 @@ const Navigation = ({
         onClick={() => onViewChange('create')}
         className={getButtonClass('create', currentView === 'create')}
       >
-        Create
+        {t('nav.create')}
       </button>
       
       {user && (
@@ -33,7 +37,16 @@ const Navigation = ({
           onClick={() => onViewChange('gallery')}
           className={getButtonClass('gallery', currentView === 'gallery')}
         >
-          Gallery
+          {t('nav.gallery')}
+        </button>
+      )}
+      
+      {user && isAdmin && (
+        <button
+          onClick={() => onViewChange('spending')}
+          className={getButtonClass('spending', currentView === 'spending')}
+        >
+          {t('nav.spending')}
         </button>
       )}
       
@@ -42,7 +55,7 @@ const Navigation = ({
           onClick={() => onViewChange('auth')}
           className={getButtonClass('auth', currentView === 'auth')}
         >
-          Sign In
+          {t('nav.signIn')}
         </button>
       )}
     </nav>
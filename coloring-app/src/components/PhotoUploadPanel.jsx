@@ -0,0 +1,204 @@
+/**
+ * PhotoUploadPanel Component
+ *
+ * Turns an uploaded photo or a child's drawing into a coloring page.
+ * "Trace" converts the image to line art on the server without any AI cost;
+ * "AI redraw" asks the image model to redraw it as clean coloring-book outlines.
+ * The result replaces the current preview like a normal generation.
+ *
+ * Evidence: architecture.md Section 3.2 - Form Architecture
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { PHOTO_UPLOAD_CONFIG, readFileAsDataUrl } from '../utils';
+import { useI18n } from '../hooks';
+
+/**
+ * PhotoUploadPanel Component
+ * @param {Object} props - Component props
+ * @param {Function} props.onConvert - Called with (imageDataUrl, options)
+ * @param {boolean} props.isGenerating - Disable while a generation or conversion runs
+ */
+export const PhotoUploadPanel = ({ onConvert, isGenerating = false }) => {
+  const { t } = useI18n();
+  const [file, setFile] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [options, setOptions] = useState({
+    ...PHOTO_UPLOAD_CONFIG.defaultOptions,
+    lineThickness: 'medium'
+  });
+  const [error, setError] = useState(null);
+
+  // Release the object URL used for the thumbnail
+  useEffect(() => {
+    if (!file) {
+      setPreviewUrl(null);
+      return undefined;
+    }
+
+    const url = URL.createObjectURL(file);
+    setPreviewUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  const updateOption = (field, value) => {
+    setOptions(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleFileChange = (event) => {
+    const selected = event.target.files?.[0] || null;
+    setError(null);
+
+    if (selected && !PHOTO_UPLOAD_CONFIG.acceptedTypes.includes(selected.type)) {
+      setError(t('errors.photoType'));
+      setFile(null);
+      return;
+    }
+
+    if (selected && selected.size > PHOTO_UPLOAD_CONFIG.maxFileSize) {
+      setError(t('errors.photoTooLarge'));
+      setFile(null);
+      return;
+    }
+
+    setFile(selected);
+  };
+
+  const handleConvert = async () => {
+    if (!file) return;
+    setError(null);
+
+    try {
+      const image = await readFileAsDataUrl(file);
+      const { lineThickness, ...conversion } = options;
+      await onConvert(image, { ...conversion, customizations: { lineThickness } });
+    } catch (err) {
+      console.error('[PhotoUploadPanel] Conversion error:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Card className="rounded-2xl shadow-md doodle-border bg-white">
+      <CardHeader>
+        <CardTitle className="card-title-enhanced">
+          {t('photo.title')}
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        <div>
+          <label htmlFor="photo-upload" className="label-enhanced">
+            {t('photo.fileLabel')}
+          </label>
+          <input
+            id="photo-upload"
+            type="file"
+            accept={PHOTO_UPLOAD_CONFIG.acceptedTypes.join(',')}
+            onChange={handleFileChange}
+            disabled={isGenerating}
+            className="block w-full text-sm text-gray-600 file:mr-3 file:rounded-md file:border-0 file:bg-gray-100 file:px-3 file:py-2"
+          />
+        </div>
+
+        {previewUrl && (
+          <img
+            src={previewUrl}
+            alt={t('photo.previewAlt')}
+            className="max-h-40 rounded-lg border border-gray-200 object-contain"
+          />
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <Select
+            value={options.mode}
+            onValueChange={(value) => updateOption('mode', value)}
+            disabled={isGenerating}
+          >
+            <SelectTrigger className="select-enhanced w-full border-gray-300" aria-label={t('photo.method')}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="local">{t('photo.modes.local')}</SelectItem>
+              <SelectItem value="ai">{t('photo.modes.ai')}</SelectItem>
+            </SelectContent>
+          </Select>
+
+          <Select
+            value={options.lineThickness}
+            onValueChange={(value) => updateOption('lineThickness', value)}
+            disabled={isGenerating}
+          >
+            <SelectTrigger className="select-enhanced w-full border-gray-300" aria-label={t('photo.lineThickness')}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="thin">{t('photo.lines.thin')}</SelectItem>
+              <SelectItem value="medium">{t('photo.lines.medium')}</SelectItem>
+              <SelectItem value="thick">{t('photo.lines.thick')}</SelectItem>
+            </SelectContent>
+          </Select>
+
+          {options.mode === 'local' && (
+            <>
+              <Select
+                value={options.style}
+                onValueChange={(value) => updateOption('style', value)}
+                disabled={isGenerating}
+              >
+                <SelectTrigger className="select-enhanced w-full border-gray-300" aria-label={t('photo.imageType')}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="photo">{t('photo.styles.photo')}</SelectItem>
+                  <SelectItem value="drawing">{t('photo.styles.drawing')}</SelectItem>
+                </SelectContent>
+              </Select>
+
+              <Select
+                value={options.detail}
+                onValueChange={(value) => updateOption('detail', value)}
+                disabled={isGenerating}
+              >
+                <SelectTrigger className="select-enhanced w-full border-gray-300" aria-label={t('photo.detailLevel')}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="low">{t('photo.details.low')}</SelectItem>
+                  <SelectItem value="medium">{t('photo.details.medium')}</SelectItem>
+                  <SelectItem value="high">{t('photo.details.high')}</SelectItem>
+                </SelectContent>
+              </Select>
+            </>
+          )}
+        </div>
+
+        {options.mode === 'ai' && (
+          <Input
+            value={options.prompt}
+            maxLength={500}
+            onChange={(e) => updateOption('prompt', e.target.value)}
+            placeholder={t('photo.promptPlaceholder')}
+            aria-label={t('photo.promptLabel')}
+            disabled={isGenerating}
+          />
+        )}
+
+        {error && <p className="error-message mt-1">{error}</p>}
+
+        <Button
+          type="button"
+          onClick={handleConvert}
+          disabled={!file || isGenerating}
+          className="w-full font-handlee"
+        >
+          {isGenerating ? t('photo.converting') : t('photo.convert')}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
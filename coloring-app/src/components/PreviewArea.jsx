@@ -8,10 +8,12 @@
  * Best Practice: Component separation for better maintainability
  */
 
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { TransformWrapper, TransformComponent } from 'react-zoom-pan-pinch';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { useResponsive } from '../hooks';
+import { PrintSettingsPanel } from './PrintSettingsPanel';
+import { formatUsd } from '../utils';
 
 /**
  * PreviewArea Component
@@ -20,14 +22,53 @@ import { useResponsive } from '../hooks';
  * @param {boolean} props.isGenerating - Loading state
  * @param {string} props.refinedPrompt - AI-refined prompt text
  * @param {Object} props.formData - Original form data for context
+ * @param {number} props.progress - Generation progress (0-100) from server stages
+ * @param {Object|null} props.progressStage - Current server stage ({ stage, label, model, attempt })
+ * @param {Array} props.variations - Candidate images ({ index, imageUrl, costs }) when several were generated
+ * @param {number} props.activeVariation - Index of the variation shown in the preview
+ * @param {Function} props.onSelectVariation - Called with a variation index to preview it
+ * @param {Function|null} props.onSaveVariations - Called with the indices to keep; null hides saving
+ * @param {Function|null} props.onDownloadPDF - Downloads the current page as PDF; null hides the button
+ * @param {Function|null} props.onDownloadSVG - Downloads the current page as traced SVG; null hides the button
+ * @param {Function|null} props.onColorIn - Opens the in-app coloring view; null hides the button
+ * @param {Object|null} props.printSettings - PDF print settings; null hides the print settings panel
+ * @param {Object} props.printErrors - Print settings field errors
+ * @param {Function} props.onPrintSettingChange - Called with (field, value)
+ * @param {Object|null} props.printReport - Print report from the last PDF download
+ * @param {Object|null} props.cacheInfo - Result cache metadata ({ hit, savedCost }) of the last generation
+ * @param {Object|null} props.refinementPreview - Refined prompt awaiting approval ({ originalPrompt, refinedPrompt, detectedCategory, appliedSettings, translation })
+ * @param {boolean} props.isRefining - A refinement preview is being requested
+ * @param {Function} props.onApproveRefinement - Called with the approved (possibly edited) prompt to generate the page
+ * @param {Function} props.onRegenerateRefinement - Asks for a fresh refinement of the same description
+ * @param {Function} props.onDiscardRefinement - Drops the preview
  */
 export const PreviewArea = ({
   imageUrl = null,
   isGenerating = false,
   refinedPrompt = '',
-  formData = {}
+  formData = {},
+  progress = 0,
+  progressStage = null,
+  variations = [],
+  activeVariation = 0,
+  onSelectVariation = () => {},
+  onSaveVariations = null,
+  onDownloadPDF = null,
+  onDownloadSVG = null,
+  onColorIn = null,
+  printSettings = null,
+  printErrors = {},
+  onPrintSettingChange = () => {},
+  printReport = null,
+  cacheInfo = null,
+  refinementPreview = null,
+  isRefining = false,
+  onApproveRefinement = () => {},
+  onRegenerateRefinement = () => {},
+  onDiscardRefinement = () => {}
 }) => {
   const { classes } = useResponsive();
+  const isReviewing = !isGenerating && (!!refinementPreview || isRefining);
 
   return (
     <Card className={classes({
@@ -36,17 +77,68 @@ export const PreviewArea = ({
     })}>
       <CardHeader>
         <CardTitle className="card-title-enhanced">
-          {imageUrl ? '🎉 Your Masterpiece' : '🎨 Preview Area'}
+          {isReviewing ? '📝 Review Your Prompt' : imageUrl ? '🎉 Your Masterpiece' : '🎨 Preview Area'}
         </CardTitle>
       </CardHeader>
       
       <CardContent className="p-6">
-        {imageUrl ? (
-          <GeneratedImageDisplay 
-            imageUrl={imageUrl}
+        {isGenerating ? (
+          <PreviewPlaceholder
+            isGenerating={isGenerating}
+            progress={progress}
+            progressStage={progressStage}
             refinedPrompt={refinedPrompt}
-            formData={formData}
           />
+        ) : isReviewing ? (
+          <RefinementReview
+            preview={refinementPreview}
+            isRefining={isRefining}
+            onApprove={onApproveRefinement}
+            onRegenerate={onRegenerateRefinement}
+            onDiscard={onDiscardRefinement}
+          />
+        ) : imageUrl ? (
+          <>
+            {variations.length > 1 && (
+              <VariationPicker
+                variations={variations}
+                activeVariation={activeVariation}
+                onSelect={onSelectVariation}
+                onSave={onSaveVariations}
+              />
+            )}
+            {cacheInfo?.hit && (
+              <p className="mb-3 text-sm text-green-700 bg-green-50 border border-green-200 rounded-lg px-3 py-2" role="status">
+                ♻️ Reused an identical page from earlier - saved {formatUsd(cacheInfo.savedCost)}
+              </p>
+            )}
+            <GeneratedImageDisplay 
+              imageUrl={imageUrl}
+              refinedPrompt={refinedPrompt}
+              formData={formData}
+            />
+            <ExportActions
+              onDownloadPDF={onDownloadPDF}
+              onDownloadSVG={onDownloadSVG}
+              onColorIn={onColorIn}
+            />
+            {onDownloadPDF && printSettings && (
+              <details className="mt-4 p-3 bg-gray-50 rounded-lg border border-gray-200" open={!!printReport?.warnings?.length}>
+                <summary className="cursor-pointer font-handlee font-medium text-gray-700">
+                  🖨️ Print settings
+                </summary>
+                <div className="mt-3">
+                  <PrintSettingsPanel
+                    settings={printSettings}
+                    errors={printErrors}
+                    onChange={onPrintSettingChange}
+                    imageUrl={imageUrl}
+                    report={printReport}
+                  />
+                </div>
+              </details>
+            )}
+          </>
         ) : (
           <PreviewPlaceholder isGenerating={isGenerating} />
         )}
@@ -107,10 +199,282 @@ const GeneratedImageDisplay = ({ imageUrl, refinedPrompt, formData }) => {
   );
 };
 
+// Same limit as the server's approvedPrompt validation
+const MAX_APPROVED_PROMPT_LENGTH = 2000;
+
+/**
+ * Refinement Review - the refined prompt, detected category and applied
+ * settings before anything is paid for. The prompt can be edited, refined
+ * again, or approved for drawing as it stands.
+ */
+const RefinementReview = ({ preview, isRefining, onApprove, onRegenerate, onDiscard }) => {
+  const [draft, setDraft] = useState(preview?.refinedPrompt || '');
+
+  // A fresh refinement replaces whatever was typed
+  useEffect(() => {
+    setDraft(preview?.refinedPrompt || '');
+  }, [preview]);
+
+  if (!preview) {
+    return (
+      <div className="preview-placeholder" aria-live="polite">
+        <div className="emoji animate-spin">⏳</div>
+        <p className="main-text">Refining your idea...</p>
+      </div>
+    );
+  }
+
+  const trimmed = draft.trim();
+  const isEdited = trimmed !== preview.refinedPrompt;
+  const isTooLong = trimmed.length > MAX_APPROVED_PROMPT_LENGTH;
+  const settings = preview.appliedSettings || {};
+
+  return (
+    <div className="space-y-4 text-left">
+      <div className="text-sm">
+        <span className="font-handlee font-medium text-gray-600">Your Description:</span>
+        <p className="italic font-handlee text-gray-800 mt-1">"{preview.originalPrompt}"</p>
+        {preview.translation && (
+          <p className="text-xs text-gray-500 mt-1">
+            Read as: "{preview.translation.translatedPrompt}"
+          </p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {preview.detectedCategory && (
+          <span className="inline-block bg-accent-pink/20 text-pink-800 text-xs px-2 py-1 rounded-full font-handlee">
+            {preview.detectedCategory}
+          </span>
+        )}
+        {settings.complexity && (
+          <span className="inline-block bg-pastel-blue/20 text-pastel-blue text-xs px-2 py-1 rounded-full font-handlee">
+            {settings.complexity} complexity
+          </span>
+        )}
+        {settings.ageGroup && (
+          <span className="inline-block bg-pastel-green/20 text-green-800 text-xs px-2 py-1 rounded-full font-handlee">
+            {settings.ageGroup} style
+          </span>
+        )}
+        {settings.lineThickness && (
+          <span className="inline-block bg-pastel-purple/20 text-purple-800 text-xs px-2 py-1 rounded-full font-handlee">
+            {settings.lineThickness} lines
+          </span>
+        )}
+        {settings.theme && (
+          <span className="inline-block bg-accent-pink/20 text-pink-800 text-xs px-2 py-1 rounded-full font-handlee">
+            {settings.theme} theme
+          </span>
+        )}
+        {settings.border && (
+          <span className="inline-block bg-yellow-100 text-yellow-800 text-xs px-2 py-1 rounded-full font-handlee">
+            {settings.border} border
+          </span>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor="refined-prompt" className="font-handlee font-medium text-gray-600 text-sm">
+          AI Enhancement {isEdited && <span className="text-gray-400">(edited)</span>}
+        </label>
+        <textarea
+          id="refined-prompt"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          disabled={isRefining}
+          className="input-enhanced w-full h-40 p-3 mt-1 border-2 border-gray-300 text-sm focus:border-pastel-blue focus:outline-none"
+        />
+        <p className={`text-xs font-handlee mt-1 ${isTooLong ? 'text-error-pink' : 'text-gray-500'}`}>
+          {trimmed.length}/{MAX_APPROVED_PROMPT_LENGTH} characters · refining is free, you're only charged when the page is drawn
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2 justify-end">
+        <button
+          type="button"
+          onClick={onDiscard}
+          className="px-3 py-1 text-sm font-handlee rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          Discard
+        </button>
+        <button
+          type="button"
+          onClick={onRegenerate}
+          disabled={isRefining}
+          className="px-3 py-1 text-sm font-handlee rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {isRefining ? 'Refining...' : '🔄 Refine again'}
+        </button>
+        <button
+          type="button"
+          onClick={() => onApprove(trimmed)}
+          disabled={isRefining || !trimmed || isTooLong}
+          className="px-3 py-1 text-sm font-handlee rounded-md border border-pastel-blue bg-pastel-blue/20 text-gray-800 hover:bg-pastel-blue/40 disabled:opacity-50"
+        >
+          🎨 Draw this page
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Export buttons - PDF for home printing, SVG for print shops and cutting machines,
+ * or color the page in right here
+ */
+const ExportActions = ({ onDownloadPDF, onDownloadSVG, onColorIn }) => {
+  if (!onDownloadPDF && !onDownloadSVG && !onColorIn) return null;
+
+  return (
+    <div className="mt-4 flex flex-wrap justify-center gap-2">
+      {onColorIn && (
+        <button
+          type="button"
+          onClick={onColorIn}
+          className="px-3 py-1 text-sm font-handlee rounded-md border border-pastel-blue bg-pastel-blue/20 text-gray-800 hover:bg-pastel-blue/40"
+        >
+          🖍️ Color it in
+        </button>
+      )}
+      {onDownloadPDF && (
+        <button
+          type="button"
+          onClick={onDownloadPDF}
+          className="px-3 py-1 text-sm font-handlee rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          Download PDF
+        </button>
+      )}
+      {onDownloadSVG && (
+        <button
+          type="button"
+          onClick={onDownloadSVG}
+          className="px-3 py-1 text-sm font-handlee rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+          title="Scalable vector file for print shops and cutting machines"
+        >
+          Download SVG
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Formats a per-image cost, e.g. "$0.167"
+ */
+const formatCost = (costs) => {
+  const total = costs?.totalCost;
+  return typeof total === 'number' ? `$${total.toFixed(3)}` : null;
+};
+
+/**
+ * Variation Picker - thumbnails of every candidate with per-image cost.
+ * Clicking a thumbnail previews it; checked variations can be kept in the gallery.
+ */
+const VariationPicker = ({ variations, activeVariation, onSelect, onSave }) => {
+  const [selected, setSelected] = useState([]);
+
+  // A new batch starts with nothing checked
+  useEffect(() => {
+    setSelected([]);
+  }, [variations]);
+
+  const toggleSelected = (index) => {
+    setSelected(prev => prev.includes(index)
+      ? prev.filter(i => i !== index)
+      : [...prev, index].sort((a, b) => a - b)
+    );
+  };
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm text-gray-600 font-handlee mb-2">
+        Pick your favorite of {variations.length} variations
+      </p>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3" role="listbox" aria-label="Generated variations">
+        {variations.map((variation, i) => {
+          const cost = formatCost(variation.costs);
+          const isActive = i === activeVariation;
+
+          return (
+            <div
+              key={variation.index ?? i}
+              className={`relative rounded-lg border-2 p-1 bg-white ${isActive ? 'border-pastel-blue' : 'border-gray-200'}`}
+            >
+              <button
+                type="button"
+                role="option"
+                aria-selected={isActive}
+                onClick={() => onSelect(i)}
+                className="block w-full"
+                aria-label={`Preview variation ${i + 1}`}
+              >
+                <img
+                  src={variation.imageUrl}
+                  alt={`Variation ${i + 1}`}
+                  className="w-full h-20 object-contain"
+                />
+              </button>
+
+              <div className="flex items-center justify-between mt-1 text-xs font-handlee text-gray-600">
+                {onSave ? (
+                  <label className="flex items-center gap-1 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(i)}
+                      onChange={() => toggleSelected(i)}
+                      aria-label={`Keep variation ${i + 1}`}
+                    />
+                    #{i + 1}
+                  </label>
+                ) : (
+                  <span>#{i + 1}</span>
+                )}
+                {cost && <span title="Cost of this image">{cost}</span>}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {onSave && (
+        <div className="mt-3 text-right">
+          <button
+            type="button"
+            onClick={() => onSave(selected)}
+            disabled={selected.length === 0}
+            className="text-sm font-handlee px-3 py-1 rounded-full bg-pastel-purple/30 text-purple-800 disabled:opacity-50"
+          >
+            💾 Keep selected ({selected.length}) in gallery
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
 /**
- * Preview Placeholder for empty state
+ * Describes the current server stage, e.g. "Drawing your coloring page... (gpt-image-1, attempt 2)"
  */
-const PreviewPlaceholder = ({ isGenerating }) => {
+const describeStage = (progressStage) => {
+  if (!progressStage) return 'AI is working its magic...';
+
+  const details = [];
+  if (progressStage.category) details.push(progressStage.category);
+  if (progressStage.model) details.push(progressStage.model);
+  if (progressStage.attempt > 1) details.push(`attempt ${progressStage.attempt}`);
+
+  return details.length > 0
+    ? `${progressStage.label} (${details.join(', ')})`
+    : progressStage.label;
+};
+
+/**
+ * Preview Placeholder for empty state and live generation progress
+ */
+const PreviewPlaceholder = ({ isGenerating, progress = 0, progressStage = null, refinedPrompt = '' }) => {
   return (
     <div className="preview-placeholder">
       <div className={`emoji ${isGenerating ? 'animate-spin' : ''}`}>
@@ -128,17 +492,38 @@ const PreviewPlaceholder = ({ isGenerating }) => {
         </p>
       )}
       
-      {/* Loading Progress Indicator */}
+      {/* Loading Progress Indicator - driven by server stage events */}
       {isGenerating && (
         <div className="mt-4 w-full max-w-xs mx-auto">
-          <div className="bg-gray-200 rounded-full h-2 overflow-hidden">
+          <div
+            className="bg-gray-200 rounded-full h-2 overflow-hidden"
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={progress}
+          >
             <div 
-              className="bg-pastel-blue h-full rounded-full transition-all duration-1000 animate-pulse"
-              style={{ width: '70%' }}
+              className="bg-pastel-blue h-full rounded-full transition-all duration-1000"
+              style={{ width: `${progress}%` }}
             ></div>
           </div>
-          <p className="text-xs text-gray-500 mt-2 font-handlee">
-            AI is working its magic...
+          <p className="text-xs text-gray-500 mt-2 font-handlee" aria-live="polite">
+            {describeStage(progressStage)}
+          </p>
+        </div>
+      )}
+
+      {/* Refined prompt arrives before the image is done */}
+      {isGenerating && refinedPrompt && (
+        <div className="mt-4 p-3 bg-gray-50 rounded-lg border border-gray-200 text-left max-w-md mx-auto">
+          <span className="font-handlee font-medium text-gray-600 text-sm">
+            AI Enhancement:
+          </span>
+          <p className="text-xs text-gray-500 font-handlee mt-1" title={refinedPrompt}>
+            {refinedPrompt.length > 200 
+              ? refinedPrompt.substring(0, 200) + '...' 
+              : refinedPrompt
+            }
           </p>
         </div>
       )}
@@ -220,4 +605,4 @@ const ImageMetadata = ({ refinedPrompt, formData }) => {
 /**
  * Export individual components for flexible usage
  */
-export { GeneratedImageDisplay, PreviewPlaceholder, ImageMetadata };
\ No newline at end of file
+export { GeneratedImageDisplay, PreviewPlaceholder, ImageMetadata, VariationPicker, RefinementReview };
\ No newline at end of file
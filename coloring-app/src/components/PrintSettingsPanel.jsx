@@ -0,0 +1,149 @@
+/**
+ * PrintSettingsPanel Component
+ *
+ * Page size, orientation, margins, bleed, trim marks and vector pages for
+ * PDF downloads. Shows an estimate of the resolution the page will print at
+ * and any warnings from the server's print report after a download.
+ *
+ * Evidence: architecture.md Section 3.2 - Form Architecture
+ */
+
+import React, { useState, useEffect } from 'react';
+import { PRINT_CONFIG, estimatePrintDpi } from '../utils';
+
+// SVG pages are traced or rasterized at print resolution on the server
+const isBitmap = (imageUrl) => !!imageUrl && !/^data:image\/svg\+xml|\.svg(\?|$)/i.test(imageUrl);
+
+/**
+ * PrintSettingsPanel Component
+ * @param {Object} props - Component props
+ * @param {Object} props.settings - Print settings (see PRINT_CONFIG.defaultSettings)
+ * @param {Object} props.errors - Field errors, e.g. { margin }
+ * @param {Function} props.onChange - Called with (field, value)
+ * @param {string|null} props.imageUrl - Page to estimate print resolution for; null skips the estimate
+ * @param {Object|null} props.report - Print report from the last PDF download
+ * @param {boolean} props.disabled - Disable while a PDF is being built
+ */
+export const PrintSettingsPanel = ({
+  settings,
+  errors = {},
+  onChange,
+  imageUrl = null,
+  report = null,
+  disabled = false
+}) => {
+  const [imageSize, setImageSize] = useState(null);
+
+  // Natural size of the page, for the DPI estimate
+  useEffect(() => {
+    setImageSize(null);
+    if (!isBitmap(imageUrl)) return undefined;
+
+    let cancelled = false;
+    const image = new Image();
+    image.onload = () => {
+      if (!cancelled) setImageSize({ width: image.naturalWidth, height: image.naturalHeight });
+    };
+    image.src = imageUrl;
+
+    return () => {
+      cancelled = true;
+    };
+  }, [imageUrl]);
+
+  const estimatedDpi = imageSize && !settings.vector
+    ? estimatePrintDpi(imageSize.width, imageSize.height, settings)
+    : null;
+  const isLowResolution = estimatedDpi !== null && estimatedDpi < PRINT_CONFIG.recommendedDpi;
+
+  return (
+    <div className="space-y-3 text-sm text-gray-700">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <label className="block">
+          Page size
+          <select
+            value={settings.pageSize}
+            onChange={(e) => onChange('pageSize', e.target.value)}
+            disabled={disabled}
+            className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1"
+          >
+            {Object.entries(PRINT_CONFIG.pageSizes).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="block">
+          Orientation
+          <select
+            value={settings.orientation}
+            onChange={(e) => onChange('orientation', e.target.value)}
+            disabled={disabled}
+            className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1"
+          >
+            <option value="portrait">Portrait</option>
+            <option value="landscape">Landscape</option>
+          </select>
+        </label>
+
+        <label className="block">
+          Margin (inches)
+          <input
+            type="number"
+            value={settings.margin}
+            min={PRINT_CONFIG.margin.min}
+            max={PRINT_CONFIG.margin.max}
+            step={PRINT_CONFIG.margin.step}
+            onChange={(e) => onChange('margin', e.target.value)}
+            disabled={disabled}
+            aria-invalid={!!errors.margin}
+            className={`mt-1 w-full border rounded-md px-2 py-1 ${errors.margin ? 'border-red-500' : 'border-gray-300'}`}
+          />
+        </label>
+      </div>
+
+      {errors.margin && <p className="text-red-600">{errors.margin}</p>}
+
+      <div className="flex flex-wrap gap-4">
+        <label className="flex items-center gap-2" title="Adds 0.125 inch around the page for printers that trim after printing">
+          <input
+            type="checkbox"
+            checked={settings.bleed}
+            onChange={() => onChange('bleed', !settings.bleed)}
+            disabled={disabled}
+          />
+          Bleed (0.125")
+        </label>
+        <label className="flex items-center gap-2" title="Crop marks at the corners showing where to cut">
+          <input
+            type="checkbox"
+            checked={settings.trimMarks}
+            onChange={() => onChange('trimMarks', !settings.trimMarks)}
+            disabled={disabled}
+          />
+          Trim marks
+        </label>
+        <label className="flex items-center gap-2" title="Traces pages into vector lines - sharp at any print size">
+          <input
+            type="checkbox"
+            checked={settings.vector}
+            onChange={() => onChange('vector', !settings.vector)}
+            disabled={disabled}
+          />
+          Vector pages
+        </label>
+      </div>
+
+      {estimatedDpi !== null && (
+        <p className={isLowResolution ? 'text-yellow-700' : 'text-gray-500'}>
+          Prints at about {estimatedDpi} DPI
+          {isLowResolution && ` - below the recommended ${PRINT_CONFIG.recommendedDpi} DPI. Try a smaller page size, larger margins or vector pages.`}
+        </p>
+      )}
+
+      {report?.warnings?.map(warning => (
+        <p key={warning} className="text-yellow-700" role="status">{warning}</p>
+      ))}
+    </div>
+  );
+};
@@ -16,11 +16,13 @@ import { Button } from './ui/button';
 import { Card, CardContent } from './ui/card';
 import { PromptForm } from './PromptForm';
 import { PreviewArea } from './PreviewArea';
-import { useGeneration, useResponsive } from '../hooks';
+import { PhotoUploadPanel } from './PhotoUploadPanel';
+import ColoringCanvas from './ColoringCanvas';
+import { useGeneration, useResponsive, usePrintSettings } from '../hooks';
 import { DEFAULT_FORM_STATE } from '../utils';
 import '../styles/index.css';
 
-const PromptComponent = ({ user }) => {
+const PromptComponent = ({ user, onGenerated, initialValues = DEFAULT_FORM_STATE }) => {
   // Debug: Log component mount - Evidence: architecture.md Section 4.1 Debug Logging
   console.log('[PromptComponent] Component mounted/re-rendered', { user: !!user });
   
@@ -32,10 +34,33 @@ const PromptComponent = ({ user }) => {
     generatedImage,
     refinedPrompt,
     error,
+    metadata,
+    progress,
+    progressStage,
+    variations,
+    activeVariation,
     generateImage,
+    convertPhoto,
     downloadPDF,
-    saveToGallery
-  } = useGeneration({ user });
+    downloadSVG,
+    saveToGallery,
+    selectVariation,
+    saveVariationsToGallery,
+    saveColoredVersion,
+    printReport,
+    refinementPreview,
+    isRefining,
+    previewRefinement,
+    generateFromPreview,
+    discardRefinement
+  } = useGeneration({ user, onSuccess: onGenerated });
+
+  const {
+    settings: printSettings,
+    errors: printErrors,
+    isValid: isPrintValid,
+    updateSetting: updatePrintSetting
+  } = usePrintSettings();
   
   const { isMobile, isDesktop, classes } = useResponsive();
   
@@ -43,6 +68,7 @@ const PromptComponent = ({ user }) => {
   const [showModal, setShowModal] = useState(false);
   const [showErrorModal, setShowErrorModal] = useState(false);
   const [isHighContrast, setIsHighContrast] = useState(false);
+  const [showColoring, setShowColoring] = useState(false);
 
   // High contrast toggle handler
   const handleHighContrastToggle = () => {
@@ -81,11 +107,46 @@ const PromptComponent = ({ user }) => {
     }
   };
 
+  // Two-step flow: refine first, then generate from the approved prompt
+  const handlePreview = async (formValues) => {
+    const result = await previewRefinement(formValues);
+    if (result && !result.success) {
+      setShowErrorModal(true);
+    }
+  };
+
+  const handleApproveRefinement = async (approvedPrompt) => {
+    const result = await generateFromPreview(approvedPrompt);
+
+    if (result?.success) {
+      setShowModal(true);
+    } else if (result) {
+      setShowErrorModal(true);
+    }
+  };
+
+  // Photo upload handler - the converted page opens in the same result dialog
+  const handlePhotoConvert = async (image, conversionOptions) => {
+    console.log('[PromptComponent] Photo conversion requested', { mode: conversionOptions.mode });
+    const result = await convertPhoto(image, conversionOptions);
+
+    if (result?.success) {
+      setShowModal(true);
+    } else if (result) {
+      setShowErrorModal(true);
+    }
+  };
+
   // PDF download handler - Evidence: architecture.md Section 3.4 Modal Actions
   const handleDownloadPDF = async () => {
     console.log('[PromptComponent] PDF download clicked');
+    if (!isPrintValid) {
+      alert(Object.values(printErrors)[0]);
+      return;
+    }
+
     try {
-      const result = await downloadPDF();
+      const result = await downloadPDF(printSettings);
       console.log('[PromptComponent] PDF download result:', result);
       if (result) {
         setShowModal(false);
@@ -112,6 +173,20 @@ const PromptComponent = ({ user }) => {
     }
   };
 
+  // Keep the variations the user picked - saves each one as its own gallery image
+  const handleSaveVariations = async (indices) => {
+    console.log('[PromptComponent] Save variations clicked', { count: indices.length });
+    try {
+      const result = await saveVariationsToGallery(user, indices);
+      if (result) {
+        alert(`${indices.length} ${indices.length === 1 ? 'page' : 'pages'} saved to your gallery!`);
+      }
+    } catch (err) {
+      console.error('[PromptComponent] Variation save error:', err);
+      setShowErrorModal(true);
+    }
+  };
+
   // Enhanced Crayon Icon for header
   const CrayonIcon = () => (
     <svg className="crayon-icon" fill="currentColor" viewBox="0 0 24 24" width="32" height="32">
@@ -157,11 +232,22 @@ const PromptComponent = ({ user }) => {
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 max-w-7xl mx-auto">
         {/* Form Section using extracted PromptForm component */}
         {/* Evidence: architecture.md Section 3.2.1 Component Integration */}
-        <PromptForm
-          onSubmit={handleSubmit}
-          isGenerating={isGenerating}
-          initialValues={DEFAULT_FORM_STATE}
-        />
+        <div className="space-y-8">
+          <PromptForm
+            onSubmit={handleSubmit}
+            isGenerating={isGenerating}
+            initialValues={initialValues}
+            user={user}
+            onPreview={handlePreview}
+            isRefining={isRefining}
+          />
+
+          {/* Photo upload - converts a photo or drawing instead of a text prompt */}
+          <PhotoUploadPanel
+            onConvert={handlePhotoConvert}
+            isGenerating={isGenerating}
+          />
+        </div>
 
         {/* Preview Section using extracted PreviewArea component */}
         <PreviewArea
@@ -169,9 +255,37 @@ const PromptComponent = ({ user }) => {
           isGenerating={isGenerating}
           refinedPrompt={refinedPrompt}
           formData={DEFAULT_FORM_STATE}
+          progress={progress}
+          progressStage={progressStage}
+          variations={variations}
+          activeVariation={activeVariation}
+          onSelectVariation={selectVariation}
+          onSaveVariations={user ? handleSaveVariations : null}
+          onDownloadPDF={handleDownloadPDF}
+          onDownloadSVG={downloadSVG}
+          onColorIn={() => setShowColoring(true)}
+          printSettings={printSettings}
+          printErrors={printErrors}
+          onPrintSettingChange={updatePrintSetting}
+          printReport={printReport}
+          cacheInfo={metadata?.cache}
+          refinementPreview={refinementPreview}
+          isRefining={isRefining}
+          onApproveRefinement={handleApproveRefinement}
+          onRegenerateRefinement={() => refinementPreview && handlePreview(refinementPreview.formData)}
+          onDiscardRefinement={discardRefinement}
         />
       </div>
 
+      {/* In-app coloring - saving needs an account, downloading doesn't */}
+      {showColoring && generatedImage && (
+        <ColoringCanvas
+          imageUrl={generatedImage}
+          onSave={user ? (coloredImage) => saveColoredVersion(user, coloredImage) : null}
+          onClose={() => setShowColoring(false)}
+        />
+      )}
+
       {/* Enhanced Post-Generation Dialog - Evidence: architecture.md Section 3.4 Modal Interface */}
       <Dialog open={showModal} onOpenChange={setShowModal}>
         <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto modal-backdrop">
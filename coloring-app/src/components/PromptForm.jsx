@@ -17,73 +17,128 @@ import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from './
 import { RadioGroup, RadioGroupItem } from './ui/radio-group';
 import { Checkbox } from './ui/checkbox';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from './ui/tooltip';
-import { useValidation, useResponsive } from '../hooks';
-import { THEME_OPTIONS, DEFAULT_FORM_STATE } from '../utils';
-
-/**
- * Theme option icons
- */
-const AnimalIcon = () => (
-  <svg className="theme-icon" fill="currentColor" viewBox="0 0 20 20">
-    <path d="M10 2L3 7v11c0 1.1.9 2 2 2h10c1.1 0 2-.9 2-2V7l-7-5zM10 4.5L15 8v9H5V8l5-3.5z"/>
-    <circle cx="8" cy="11" r="1"/>
-    <circle cx="12" cy="11" r="1"/>
-    <path d="M8 14c0 1.1 1.3 2 3 2s3-.9 3-2"/>
-  </svg>
-);
-
-const MandalaIcon = () => (
-  <svg className="theme-icon" fill="currentColor" viewBox="0 0 20 20">
-    <circle cx="10" cy="10" r="8" fill="none" stroke="currentColor" strokeWidth="2"/>
-    <circle cx="10" cy="10" r="4" fill="none" stroke="currentColor" strokeWidth="1"/>
-    <circle cx="10" cy="10" r="1" fill="currentColor"/>
-    <path d="M10 2v2M10 16v2M2 10h2M16 10h2M5.05 5.05l1.41 1.41M13.54 13.54l1.41 1.41M5.05 14.95l1.41-1.41M13.54 6.46l1.41-1.41"/>
-  </svg>
-);
-
-const FantasyIcon = () => (
-  <svg className="theme-icon" fill="currentColor" viewBox="0 0 20 20">
-    <path d="M10 2l2 6h6l-5 4 2 6-5-4-5 4 2-6-5-4h6z"/>
-    <circle cx="6" cy="8" r="1"/>
-    <circle cx="14" cy="8" r="1"/>
-  </svg>
-);
-
-const NatureIcon = () => (
-  <svg className="theme-icon" fill="currentColor" viewBox="0 0 20 20">
-    <path d="M10 2C8 2 6 4 6 6c0 1 0 2 1 3-1 0-2 0-3 1-1 1-1 3 0 4 1 1 2 1 3 1-1 1-1 2-1 3 0 2 2 4 4 4s4-2 4-4c0-1 0-2-1-3 1 0 2 0 3-1 1-1 1-3 0-4-1-1-2-1-3-1 1-1 1-2 1-3 0-2-2-4-4-4z"/>
-  </svg>
-);
+import { SeriesPanel } from './SeriesPanel';
+import { useValidation, useResponsive, useThemes, usePromptSuggestions, useI18n } from '../hooks';
+import { DEFAULT_FORM_STATE, CONSTRAINT_CONFIG, VALIDATION_CONFIG } from '../utils';
 
 const MagicWandIcon = () => (
-  <svg className="w-4 h-4 mr-2 inline" fill="currentColor" viewBox="0 0 20 20">
+  <svg className="w-4 h-4 me-2 inline" fill="currentColor" viewBox="0 0 20 20">
     <path d="M11 2L9 6l-4-2 4 6H3l8 2v4l2-6 4 2-4-6h6L11 2z"/>
   </svg>
 );
 
 const PaintbrushIcon = () => (
-  <svg className="w-4 h-4 mr-2" fill="currentColor" viewBox="0 0 20 20">
+  <svg className="w-4 h-4 me-2" fill="currentColor" viewBox="0 0 20 20">
     <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clipRule="evenodd" />
   </svg>
 );
 
 const CheckIcon = () => (
-  <svg className="w-4 h-4 text-green-500 ml-2" fill="currentColor" viewBox="0 0 20 20">
+  <svg className="w-4 h-4 text-green-500 ms-2" fill="currentColor" viewBox="0 0 20 20">
     <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
   </svg>
 );
 
+/**
+ * Editable list of short "must include" / "must avoid" items
+ * Items are added with Enter or a comma and removed with their × button;
+ * suggestions add common items with one click.
+ * @param {Object} props - Component props
+ * @param {string} props.id - Input id
+ * @param {string} props.label - Field label
+ * @param {string} props.placeholder - Input placeholder
+ * @param {string[]} props.items - Current items
+ * @param {string[]} props.suggestions - One-click items
+ * @param {Function} props.onChange - Called with the new list
+ * @param {boolean} props.disabled - Disables editing
+ */
+const ConstraintList = ({ id, label, placeholder, items = [], suggestions = [], onChange, disabled }) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = React.useState('');
+  const isFull = items.length >= CONSTRAINT_CONFIG.maxItems;
+
+  const addItem = (value) => {
+    const item = value.trim().toLowerCase().slice(0, CONSTRAINT_CONFIG.maxLength);
+    if (item && !isFull && !items.includes(item)) {
+      onChange([...items, item]);
+    }
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addItem(draft);
+    } else if (e.key === 'Backspace' && !draft && items.length > 0) {
+      onChange(items.slice(0, -1));
+    }
+  };
+
+  const unusedSuggestions = suggestions.filter(suggestion => !items.includes(suggestion));
+
+  return (
+    <div>
+      <label htmlFor={id} className="label-enhanced">
+        {label}
+      </label>
+      <div className="flex flex-wrap gap-2 mb-2">
+        {items.map(item => (
+          <span key={item} className="inline-flex items-center rounded-full bg-blue-100 px-3 py-1 text-sm text-blue-800">
+            {item}
+            <button
+              type="button"
+              onClick={() => onChange(items.filter(existing => existing !== item))}
+              disabled={disabled}
+              className="ms-2 text-blue-600 hover:text-blue-900"
+              aria-label={t('form.removeItem', { item })}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {unusedSuggestions.map(suggestion => (
+          <button
+            key={suggestion}
+            type="button"
+            onClick={() => addItem(suggestion)}
+            disabled={disabled || isFull}
+            className="rounded-full border border-dashed border-gray-300 px-3 py-1 text-sm text-gray-600 hover:border-blue-400 hover:text-blue-700"
+          >
+            + {suggestion}
+          </button>
+        ))}
+      </div>
+      <Input
+        id={id}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => draft && addItem(draft)}
+        placeholder={isFull ? t('form.maxItems', { count: CONSTRAINT_CONFIG.maxItems }) : placeholder}
+        maxLength={CONSTRAINT_CONFIG.maxLength}
+        disabled={disabled || isFull}
+      />
+    </div>
+  );
+};
+
 /**
  * PromptForm Component
  * @param {Object} props - Component props
  * @param {Function} props.onSubmit - Form submission handler
  * @param {boolean} props.isGenerating - Loading state
  * @param {Object} props.initialValues - Initial form values
+ * @param {Object|null} props.user - Signed-in user (enables series sheets)
+ * @param {Function|null} props.onPreview - Refines without generating so the prompt can be reviewed; null hides the button
+ * @param {boolean} props.isRefining - Refinement preview loading state
  */
 export const PromptForm = ({
   onSubmit,
   isGenerating = false,
-  initialValues = DEFAULT_FORM_STATE
+  initialValues = DEFAULT_FORM_STATE,
+  user = null,
+  onPreview = null,
+  isRefining = false
 }) => {
   // Custom hooks for form logic
   const {
@@ -98,6 +153,52 @@ export const PromptForm = ({
   } = useValidation(initialValues);
 
   const { isMobile, classes } = useResponsive();
+  const { t } = useI18n();
+  const themes = useThemes();
+  const selectedTheme = themes.find(theme => theme.value === values.theme);
+  const { completions, ideas, surprise } = usePromptSuggestions(values.prompt, selectedTheme, { themes });
+
+  /**
+   * Field error in the current language
+   * Validation messages are English, so only the failing rule is taken from them.
+   * @param {string} fieldName - Form field
+   * @returns {string|null} Translated message
+   */
+  const translatedFieldError = (fieldName) => {
+    if (!getFieldError(fieldName)) {
+      return null;
+    }
+    const maxLength = VALIDATION_CONFIG[fieldName]?.maxLength;
+    return maxLength && String(values[fieldName] || '').length > maxLength
+      ? t('form.errors.tooLong', { count: maxLength })
+      : t(`form.errors.${fieldName}`);
+  };
+
+  /**
+   * Selects a theme and starts from its default complexity
+   * @param {string} value - Theme id
+   */
+  const handleThemeChange = (value) => {
+    updateField('theme', value);
+    const theme = themes.find(option => option.value === value);
+    if (theme?.defaultComplexity) {
+      updateField('complexity', theme.defaultComplexity);
+    }
+  };
+
+  /**
+   * Fills in a random prompt, and its theme when none is selected yet
+   */
+  const handleSurprise = async () => {
+    const result = await surprise();
+    if (!result) {
+      return;
+    }
+    updateField('prompt', result.prompt);
+    if (!values.theme && result.theme) {
+      handleThemeChange(result.theme);
+    }
+  };
 
   /**
    * Handles form submission
@@ -129,6 +230,16 @@ export const PromptForm = ({
     }
   };
 
+  /**
+   * Asks for the refined prompt first - the image is generated once it is approved
+   */
+  const handlePreview = () => {
+    const validationResult = validateAll();
+    if (validationResult.isValid && !isGenerating && !isRefining) {
+      onPreview(values);
+    }
+  };
+
   /**
    * Handles accordion state for desktop expansion
    */
@@ -155,7 +266,7 @@ export const PromptForm = ({
     })}>
       <CardHeader>
         <CardTitle className="card-title-enhanced">
-          Create Your Coloring Page
+          {t('form.title')}
         </CardTitle>
       </CardHeader>
       
@@ -164,14 +275,14 @@ export const PromptForm = ({
           {/* Prompt Input - Evidence: architecture.md Section 3.2.1 Input Fields */}
           <div>
             <label className="label-enhanced">
-              Describe your coloring page *
+              {t('form.promptLabel')}
             </label>
             <div className="relative">
               <textarea
                 value={values.prompt}
                 onChange={(e) => updateField('prompt', e.target.value)}
                 onBlur={() => touchField('prompt')}
-                placeholder="e.g., unicorn in a forest"
+                placeholder={t('form.promptPlaceholder')}
                 className={`input-enhanced w-full h-24 p-3 border-2 resize-none ${
                   shouldShowError('prompt')
                     ? 'field-invalid'
@@ -182,54 +293,96 @@ export const PromptForm = ({
                 style={{ minHeight: '100px' }}
                 aria-invalid={shouldShowError('prompt')}
                 aria-describedby="prompt-error"
-                aria-label="Describe your coloring page"
+                aria-label={t('form.promptAria')}
                 disabled={isGenerating}
               />
               {values.prompt && !shouldShowError('prompt') && (
-                <div className="absolute top-2 right-2">
+                <div className="absolute top-2 end-2">
                   <CheckIcon />
                 </div>
               )}
             </div>
             {shouldShowError('prompt') ? (
               <p id="prompt-error" className="error-message">
-                {getFieldError('prompt')}
+                {translatedFieldError('prompt')}
               </p>
             ) : values.prompt && !shouldShowError('prompt') ? (
               <p className="success-message">
-                Great description!
+                {t('form.promptGood')}
               </p>
             ) : null}
+
+            {/* Suggestions - completions finish the last word, ideas replace the description */}
+            {completions.length > 0 && (
+              <div className="mt-2 flex flex-wrap items-center gap-2 text-sm" aria-label={t('form.completions')}>
+                {completions.map(completion => (
+                  <button
+                    key={completion.text}
+                    type="button"
+                    onClick={() => updateField('prompt', completion.text)}
+                    disabled={isGenerating}
+                    className="rounded-full bg-blue-50 px-3 py-1 text-blue-700 hover:bg-blue-100"
+                  >
+                    {completion.subject}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+              {ideas.length > 0 && <span className="text-gray-500">{t('form.tryIdeas')}</span>}
+              {ideas.map(idea => (
+                <button
+                  key={idea}
+                  type="button"
+                  onClick={() => updateField('prompt', idea)}
+                  disabled={isGenerating}
+                  className="rounded-full border border-gray-300 px-3 py-1 text-gray-700 hover:border-blue-400 hover:text-blue-700"
+                >
+                  {idea}
+                </button>
+              ))}
+              <button
+                type="button"
+                onClick={handleSurprise}
+                disabled={isGenerating}
+                className="rounded-full border border-dashed border-purple-300 px-3 py-1 text-purple-700 hover:bg-purple-50"
+              >
+                {t('form.surprise')}
+              </button>
+            </div>
           </div>
 
           {/* Theme Dropdown - Evidence: architecture.md Section 3.2.2 Theme Selection */}
           <div>
             <label className="label-enhanced flex items-center">
               <MagicWandIcon />
-              Select Theme (optional)
+              {t('form.themeLabel')}
             </label>
             <Select 
               value={values.theme} 
-              onValueChange={(value) => updateField('theme', value)}
+              onValueChange={handleThemeChange}
               disabled={isGenerating}
             >
               <SelectTrigger className="select-enhanced w-full">
-                <SelectValue placeholder="Choose a theme (optional)" />
+                <SelectValue placeholder={t('form.themePlaceholder')} />
               </SelectTrigger>
               <SelectContent>
-                {THEME_OPTIONS.map(option => (
+                {themes.map(option => (
                   <SelectItem key={option.value} value={option.value}>
-                    <div className="flex items-center">
-                      {option.value === 'animals' && <AnimalIcon />}
-                      {option.value === 'mandalas' && <MandalaIcon />}
-                      {option.value === 'fantasy' && <FantasyIcon />}
-                      {option.value === 'nature' && <NatureIcon />}
-                      {option.label}
+                    <div className="flex items-center gap-2">
+                      {option.thumbnail && (
+                        <img src={option.thumbnail} alt="" className="w-8 h-8 rounded border border-gray-200 bg-white" loading="lazy" />
+                      )}
+                      <span>{option.icon} {option.label}</span>
                     </div>
                   </SelectItem>
                 ))}
               </SelectContent>
             </Select>
+
+            {selectedTheme?.description && (
+              <p className="mt-2 text-sm text-gray-600">{selectedTheme.description}</p>
+            )}
           </div>
 
           {/* Customization Accordion - Evidence: architecture.md Section 3.2.3 Customization Options */}
@@ -242,7 +395,7 @@ export const PromptForm = ({
           >
             <AccordionItem value="customizations">
               <AccordionTrigger className="font-handlee text-gray-700 hover:text-pastel-blue">
-                <span className="label-enhanced mb-0">Customization Options</span>
+                <span className="label-enhanced mb-0">{t('form.customizations')}</span>
               </AccordionTrigger>
               <AccordionContent className="space-y-6 pt-4">
                 
@@ -252,11 +405,11 @@ export const PromptForm = ({
                     <Tooltip>
                       <TooltipTrigger asChild>
                         <label className="label-enhanced cursor-help">
-                          Detail Complexity *
+                          {t('form.complexityLabel')}
                         </label>
                       </TooltipTrigger>
                       <TooltipContent className="tooltip-custom">
-                        Choose complexity level appropriate for your target audience
+                        {t('form.complexityHint')}
                       </TooltipContent>
                     </Tooltip>
                   </TooltipProvider>
@@ -275,17 +428,17 @@ export const PromptForm = ({
                             values.complexity === option ? 'selected' : ''
                           }`}
                         >
-                          {option.charAt(0).toUpperCase() + option.slice(1)}
+                          {t(`form.complexity.${option}`)}
                         </label>
                       </div>
                     ))}
                   </RadioGroup>
                   {!shouldShowError('complexity') && values.complexity ? (
                     <div className="success-message mt-2">
-                      Perfect choice!
+                      {t('form.complexityGood')}
                     </div>
                   ) : shouldShowError('complexity') ? (
-                    <p className="error-message mt-1">{getFieldError('complexity')}</p>
+                    <p className="error-message mt-1">{translatedFieldError('complexity')}</p>
                   ) : null}
                 </div>
 
@@ -295,11 +448,11 @@ export const PromptForm = ({
                     <Tooltip>
                       <TooltipTrigger asChild>
                         <label className="label-enhanced cursor-help">
-                          Age Group *
+                          {t('form.ageLabel')}
                         </label>
                       </TooltipTrigger>
                       <TooltipContent className="tooltip-custom">
-                        Choose for kid-friendly simplicity or adult complexity
+                        {t('form.ageHint')}
                       </TooltipContent>
                     </Tooltip>
                   </TooltipProvider>
@@ -318,17 +471,17 @@ export const PromptForm = ({
                             values.ageGroup === option ? 'selected' : ''
                           }`}
                         >
-                          {option.charAt(0).toUpperCase() + option.slice(1)}
+                          {t(`form.age.${option}`)}
                         </label>
                       </div>
                     ))}
                   </RadioGroup>
                   {!shouldShowError('ageGroup') && values.ageGroup ? (
                     <div className="success-message mt-2">
-                      Great selection!
+                      {t('form.ageGood')}
                     </div>
                   ) : shouldShowError('ageGroup') ? (
-                    <p className="error-message mt-1">{getFieldError('ageGroup')}</p>
+                    <p className="error-message mt-1">{translatedFieldError('ageGroup')}</p>
                   ) : null}
                 </div>
 
@@ -342,7 +495,7 @@ export const PromptForm = ({
                     disabled={isGenerating}
                   />
                   <label htmlFor="border" className="label-enhanced mb-0 cursor-pointer">
-                    With Decorative Border
+                    {t('form.border')}
                   </label>
                 </div>
 
@@ -352,11 +505,11 @@ export const PromptForm = ({
                     <Tooltip>
                       <TooltipTrigger asChild>
                         <label className="label-enhanced cursor-help">
-                          Line Thickness *
+                          {t('form.lineLabel')}
                         </label>
                       </TooltipTrigger>
                       <TooltipContent className="tooltip-custom">
-                        Thicker lines are easier for younger children to color
+                        {t('form.lineHint')}
                       </TooltipContent>
                     </Tooltip>
                   </TooltipProvider>
@@ -370,23 +523,109 @@ export const PromptForm = ({
                         ? 'field-valid'
                         : 'border-gray-300'
                     }`}>
-                      <SelectValue placeholder="Select thickness" />
+                      <SelectValue placeholder={t('form.linePlaceholder')} />
                     </SelectTrigger>
                     <SelectContent>
-                      <SelectItem value="thin">Thin Lines (Advanced)</SelectItem>
-                      <SelectItem value="medium">Medium Lines (Standard)</SelectItem>
-                      <SelectItem value="thick">Thick Lines (Kid-Friendly)</SelectItem>
+                      {['thin', 'medium', 'thick'].map(option => (
+                        <SelectItem key={option} value={option}>{t(`form.line.${option}`)}</SelectItem>
+                      ))}
                     </SelectContent>
                   </Select>
                   {!shouldShowError('lineThickness') && values.lineThickness ? (
                     <div className="success-message mt-2">
-                      Excellent thickness choice!
+                      {t('form.lineGood')}
                     </div>
                   ) : shouldShowError('lineThickness') ? (
-                    <p className="error-message mt-1">{getFieldError('lineThickness')}</p>
+                    <p className="error-message mt-1">{translatedFieldError('lineThickness')}</p>
                   ) : null}
                 </div>
 
+                {/* Constraints - things the page must show or leave out */}
+                <ConstraintList
+                  id="mustInclude"
+                  label={t('form.mustInclude')}
+                  placeholder={t('form.mustIncludePlaceholder')}
+                  items={values.mustInclude}
+                  suggestions={CONSTRAINT_CONFIG.suggestions.mustInclude}
+                  onChange={(items) => updateField('mustInclude', items)}
+                  disabled={isGenerating}
+                />
+                <ConstraintList
+                  id="mustAvoid"
+                  label={t('form.mustAvoid')}
+                  placeholder={t('form.mustAvoidPlaceholder')}
+                  items={values.mustAvoid}
+                  suggestions={CONSTRAINT_CONFIG.suggestions.mustAvoid}
+                  onChange={(items) => updateField('mustAvoid', items)}
+                  disabled={isGenerating}
+                />
+
+                {/* Variations - several candidates from one refined prompt */}
+                <div>
+                  <TooltipProvider>
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <label className="label-enhanced cursor-help">
+                          {t('form.variationsLabel')}
+                        </label>
+                      </TooltipTrigger>
+                      <TooltipContent className="tooltip-custom">
+                        {t('form.variationsHint')}
+                      </TooltipContent>
+                    </Tooltip>
+                  </TooltipProvider>
+                  <Select
+                    value={String(values.variations || 1)}
+                    onValueChange={(value) => updateField('variations', Number(value))}
+                    disabled={isGenerating}
+                  >
+                    <SelectTrigger className="select-enhanced w-full border-gray-300">
+                      <SelectValue placeholder={t('form.variationsPlaceholder')} />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {[1, 2, 3, 4].map(count => (
+                        <SelectItem key={count} value={String(count)}>{t('form.variations', { count })}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                {/* Result cache - identical requests are served from an earlier page */}
+                <div className="flex items-center space-x-3">
+                  <Checkbox
+                    id="reuseResults"
+                    checked={values.reuseResults}
+                    onCheckedChange={(checked) => updateField('reuseResults', checked)}
+                    className="checkbox-enhanced"
+                    disabled={isGenerating}
+                  />
+                  <label htmlFor="reuseResults" className="label-enhanced mb-0 cursor-pointer">
+                    {t('form.reuse')}
+                  </label>
+                </div>
+
+                {/* Series - same character and style on every page */}
+                <div>
+                  <TooltipProvider>
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <label className="label-enhanced cursor-help">
+                          {t('form.seriesLabel')}
+                        </label>
+                      </TooltipTrigger>
+                      <TooltipContent className="tooltip-custom">
+                        {t('form.seriesHint')}
+                      </TooltipContent>
+                    </Tooltip>
+                  </TooltipProvider>
+                  <SeriesPanel
+                    user={user}
+                    value={values.series}
+                    onChange={(series) => updateField('series', series)}
+                    disabled={isGenerating}
+                  />
+                </div>
+
               </AccordionContent>
             </AccordionItem>
           </Accordion>
@@ -427,8 +666,8 @@ export const PromptForm = ({
                         e.target.style.backgroundColor = '#A7C7E7';
                       }
                     }}
-                    aria-label="Generate coloring page"
-                    title={!isValid ? "Fill required fields to generate" : "Generate coloring page"}
+                    aria-label={t('form.generateTitle')}
+                    title={!isValid ? t('form.generateDisabledTitle') : t('form.generateTitle')}
                     onClick={(e) => {
                       // Debug button click - Evidence: architecture.md Section 3.2 Button debugging
                       console.log('[PromptForm] Generate button clicked:', {
@@ -457,22 +696,36 @@ export const PromptForm = ({
                   >
                     {isGenerating ? (
                       <div className="flex items-center justify-center">
-                        <div className="loading-spinner mr-2"></div>
-                        Generating Magic...
+                        <div className="loading-spinner me-2"></div>
+                        {t('form.generating')}
                       </div>
                     ) : (
                       <div className="flex items-center justify-center">
                         <PaintbrushIcon />
-                        Generate Coloring Page
+                        {t('form.generate')}
                       </div>
                     )}
                   </Button>
                 </TooltipTrigger>
                 <TooltipContent className="tooltip-custom">
-                  Create your masterpiece!
+                  {t('form.generateTooltip')}
                 </TooltipContent>
               </Tooltip>
             </TooltipProvider>
+
+            {/* Two-step flow - review and edit the refined prompt before paying for an image */}
+            {onPreview && (
+              <Button
+                type="button"
+                variant="outline"
+                onClick={handlePreview}
+                disabled={!isValid || isGenerating || isRefining}
+                className="w-full mt-3 font-handlee"
+                title={t('form.previewTitle')}
+              >
+                {isRefining ? t('form.refining') : t('form.preview')}
+              </Button>
+            )}
           </div>
 
         </form>
@@ -0,0 +1,180 @@
+/**
+ * SeriesPanel Component
+ *
+ * Lets a signed-in user pick or define a series character/style sheet.
+ * While a series is selected every generated page reuses the same character
+ * description, art style and line weight, so a whole book shows one character.
+ *
+ * Evidence: architecture.md Section 3.2 - Form Architecture
+ */
+
+import React, { useState } from 'react';
+import { Input } from './ui/input';
+import { Button } from './ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { useSeries } from '../hooks';
+
+const NO_SERIES = 'none';
+
+const EMPTY_SHEET = {
+  name: '',
+  characterName: '',
+  characterDescription: '',
+  artStyle: '',
+  lineWeight: 'medium'
+};
+
+/**
+ * SeriesPanel Component
+ * @param {Object} props - Component props
+ * @param {Object|null} props.user - Signed-in user; series require an account
+ * @param {Object|null} props.value - Selected series sheet
+ * @param {Function} props.onChange - Called with the selected sheet or null
+ * @param {boolean} props.disabled - Disable while generating
+ */
+export const SeriesPanel = ({ user, value = null, onChange, disabled = false }) => {
+  const { series, isLoading, error, saveSeries } = useSeries(user);
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!user) {
+    return (
+      <p className="text-sm text-gray-500 font-handlee">
+        Sign in to create a series with the same character on every page.
+      </p>
+    );
+  }
+
+  // Start from the selected sheet when editing; saved sheets use null for empty fields
+  const startDraft = () => {
+    setDraft(value ? {
+      id: value.id,
+      name: value.name || '',
+      characterName: value.characterName || '',
+      characterDescription: value.characterDescription || '',
+      artStyle: value.artStyle || '',
+      lineWeight: value.lineWeight || 'medium'
+    } : { ...EMPTY_SHEET });
+  };
+
+  const updateDraft = (field, fieldValue) => {
+    setDraft(prev => ({ ...prev, [field]: fieldValue }));
+  };
+
+  const handleSelect = (id) => {
+    onChange(id === NO_SERIES ? null : series.find(item => item.id === id) || null);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await saveSeries({
+      ...draft,
+      name: draft.name.trim(),
+      characterName: draft.characterName.trim() || undefined,
+      characterDescription: draft.characterDescription.trim(),
+      artStyle: draft.artStyle.trim() || undefined
+    });
+    setIsSaving(false);
+
+    if (saved) {
+      onChange(saved);
+      setDraft(null);
+    }
+  };
+
+  const canSave = draft && draft.name.trim() && draft.characterDescription.trim() && !isSaving;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <Select
+          value={value?.id || NO_SERIES}
+          onValueChange={handleSelect}
+          disabled={disabled || isLoading}
+        >
+          <SelectTrigger className="select-enhanced w-full border-gray-300">
+            <SelectValue placeholder={isLoading ? 'Loading series...' : 'No series'} />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={NO_SERIES}>No series (single page)</SelectItem>
+            {series.map(item => (
+              <SelectItem key={item.id} value={item.id}>
+                {item.name}{item.characterName ? ` - ${item.characterName}` : ''}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button
+          type="button"
+          variant="outline"
+          onClick={startDraft}
+          disabled={disabled || !!draft}
+        >
+          {value ? 'Edit' : 'New'}
+        </Button>
+      </div>
+
+      {value && !draft && (
+        <p className="text-xs text-gray-500 font-handlee">
+          Every page will feature {value.characterName || 'the character'}: {value.characterDescription}
+        </p>
+      )}
+
+      {draft && (
+        <div className="space-y-2 p-3 bg-gray-50 rounded-lg border border-gray-200">
+          <Input
+            value={draft.name}
+            maxLength={60}
+            onChange={(e) => updateDraft('name', e.target.value)}
+            placeholder="Series name, e.g. Fox Tales"
+            aria-label="Series name"
+          />
+          <Input
+            value={draft.characterName}
+            maxLength={60}
+            onChange={(e) => updateDraft('characterName', e.target.value)}
+            placeholder="Character name, e.g. Fenn"
+            aria-label="Character name"
+          />
+          <textarea
+            value={draft.characterDescription}
+            maxLength={500}
+            rows={3}
+            onChange={(e) => updateDraft('characterDescription', e.target.value)}
+            placeholder="What the character looks like, e.g. a small red fox with a blue scarf and round glasses"
+            aria-label="Character description"
+            className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+          />
+          <Input
+            value={draft.artStyle}
+            maxLength={200}
+            onChange={(e) => updateDraft('artStyle', e.target.value)}
+            placeholder="Art style, e.g. whimsical storybook"
+            aria-label="Art style"
+          />
+          <Select value={draft.lineWeight} onValueChange={(weight) => updateDraft('lineWeight', weight)}>
+            <SelectTrigger className="select-enhanced w-full border-gray-300" aria-label="Line weight">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="thin">Thin Lines</SelectItem>
+              <SelectItem value="medium">Medium Lines</SelectItem>
+              <SelectItem value="thick">Thick Lines</SelectItem>
+            </SelectContent>
+          </Select>
+
+          <div className="flex justify-end gap-2">
+            <Button type="button" variant="ghost" onClick={() => setDraft(null)} disabled={isSaving}>
+              Cancel
+            </Button>
+            <Button type="button" onClick={handleSave} disabled={!canSave}>
+              {isSaving ? 'Saving...' : 'Save Series'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="error-message mt-1">{error}</p>}
+    </div>
+  );
+};
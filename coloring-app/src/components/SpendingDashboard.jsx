@@ -0,0 +1,183 @@
+/**
+ * Spending Dashboard for Coloring Book Creator
+ *
+ * Admin view of what generations cost: totals for the chosen range, spend per
+ * day, week or month, and breakdowns by model (gpt-image-1 vs the dall-e-3
+ * fallback), detected category and user. The same report downloads as CSV.
+ */
+
+import React, { memo } from 'react';
+import { useI18n, useSpendingReport } from '../hooks';
+import { REPORTS_CONFIG, formatUsd } from '../utils';
+
+const SummaryCard = ({ label, value }) => (
+  <div className="bg-white border border-gray-200 rounded-lg p-4">
+    <p className="text-sm text-gray-500">{label}</p>
+    <p className="text-2xl font-semibold text-gray-800">{value}</p>
+  </div>
+);
+
+const BreakdownTable = ({ title, rows }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4">
+      <h3 className="font-medium text-gray-800 mb-3">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('spending.empty')}</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="font-normal pb-2">{t('spending.columns.name')}</th>
+              <th className="font-normal pb-2 text-right">{t('spending.columns.pages')}</th>
+              <th className="font-normal pb-2 text-right">{t('spending.columns.cost')}</th>
+              <th className="font-normal pb-2 text-right">{t('spending.columns.share')}</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rows.map(row => (
+              <tr key={row.key}>
+                <td className="py-1 pr-2 truncate max-w-[10rem]" title={row.label || row.key}>{row.label || row.key}</td>
+                <td className="py-1 text-right">{row.images}</td>
+                <td className="py-1 text-right">{formatUsd(row.totalCost)}</td>
+                <td className="py-1 text-right text-gray-500">{Math.round(row.share * 100)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const SpendingDashboard = ({ user }) => {
+  const { t } = useI18n();
+  const {
+    filters,
+    report,
+    isLoading,
+    isExporting,
+    error,
+    updateFilter,
+    loadReport,
+    downloadCsv
+  } = useSpendingReport(user);
+
+  const maxBucketCost = Math.max(...(report?.buckets || []).map(bucket => bucket.totalCost), 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="flex flex-wrap items-end gap-3 bg-white border border-gray-200 rounded-lg p-4 text-sm text-gray-700">
+        <label className="block">
+          {t('spending.groupBy')}
+          <select
+            value={filters.period}
+            onChange={(e) => updateFilter('period', e.target.value)}
+            className="mt-1 block border border-gray-300 rounded-md px-2 py-1"
+          >
+            {REPORTS_CONFIG.periods.map(period => (
+              <option key={period} value={period}>{t(`spending.periods.${period}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          {t('spending.from')}
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            className="mt-1 block border border-gray-300 rounded-md px-2 py-1"
+          />
+        </label>
+        <label className="block">
+          {t('spending.to')}
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            className="mt-1 block border border-gray-300 rounded-md px-2 py-1"
+          />
+        </label>
+        <div className="flex gap-2 ml-auto">
+          <button
+            onClick={loadReport}
+            disabled={isLoading}
+            className="px-3 py-2 rounded-md border border-gray-300 hover:border-gray-400 disabled:opacity-50"
+          >
+            {isLoading ? t('spending.loading') : t('spending.refresh')}
+          </button>
+          <button
+            onClick={downloadCsv}
+            disabled={isExporting || !report}
+            className="px-3 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isExporting ? t('spending.exporting') : t('spending.downloadCsv')}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700" role="alert">
+          {error}
+        </div>
+      )}
+
+      {report && (
+        <>
+          <p className="text-sm text-gray-500">
+            {t('spending.range', { from: report.from, to: report.to })}
+            {report.truncated && ` - ${t('spending.truncated')}`}
+          </p>
+
+          {/* Totals */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <SummaryCard label={t('spending.totalSpend')} value={formatUsd(report.totals.totalCost)} />
+            <SummaryCard label={t('spending.generations')} value={report.totals.generations} />
+            <SummaryCard label={t('spending.pages')} value={report.totals.images} />
+            <SummaryCard
+              label={t('spending.averagePerPage')}
+              value={formatUsd(report.totals.images ? report.totals.totalCost / report.totals.images : 0)}
+            />
+          </div>
+
+          {/* Spend per period */}
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <h3 className="font-medium text-gray-800 mb-3">
+              {t(`spending.spendPer.${filters.period}`)}
+            </h3>
+            {report.buckets.length === 0 ? (
+              <p className="text-sm text-gray-500">{t('spending.empty')}</p>
+            ) : (
+              <ul className="space-y-1 text-sm">
+                {report.buckets.map(bucket => (
+                  <li key={bucket.start} className="flex items-center gap-3">
+                    <span className="w-24 shrink-0 text-gray-500">{bucket.start}</span>
+                    <div className="flex-1 h-4 bg-gray-100 rounded">
+                      <div
+                        className="h-full bg-blue-500 rounded"
+                        style={{ width: `${maxBucketCost ? (bucket.totalCost / maxBucketCost) * 100 : 0}%` }}
+                      />
+                    </div>
+                    <span className="w-20 shrink-0 text-right">{formatUsd(bucket.totalCost)}</span>
+                    <span className="w-16 shrink-0 text-right text-gray-500">{t('spending.bucketPages', { count: bucket.images })}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Breakdowns */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            {REPORTS_CONFIG.breakdowns.map(key => (
+              <BreakdownTable key={key} title={t(`spending.breakdowns.${key}`)} rows={report[key]} />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default memo(SpendingDashboard);
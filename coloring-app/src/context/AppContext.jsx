@@ -30,7 +30,8 @@ const initialState = {
     generatedImage: null,
     refinedPrompt: '',
     metadata: null,
-    progress: 0
+    progress: 0,
+    stage: null
   },
   
   // UI state
@@ -151,11 +152,23 @@ function appReducer(state, action) {
         };
         
       case ACTION_TYPES.UPDATE_GENERATION_PROGRESS:
+        // Payload is a number, or a server stage event { progress, stage, refinedPrompt }
+        if (typeof action.payload === 'number') {
+          return {
+            ...state,
+            generationState: {
+              ...state.generationState,
+              progress: action.payload
+            }
+          };
+        }
         return {
           ...state,
           generationState: {
             ...state.generationState,
-            progress: action.payload
+            progress: action.payload.progress ?? state.generationState.progress,
+            stage: action.payload.stage ?? state.generationState.stage,
+            refinedPrompt: action.payload.refinedPrompt || state.generationState.refinedPrompt
           }
         };
         
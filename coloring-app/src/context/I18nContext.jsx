@@ -0,0 +1,91 @@
+/**
+ * Internationalization Context Provider
+ *
+ * Holds the UI locale and hands components a translator bound to it:
+ * - Locale detected from the saved choice, then the browser languages
+ * - Choice persisted to localStorage
+ * - <html lang> and <html dir> kept in sync so right-to-left locales flip the layout
+ *
+ * Components outside the provider (tests, isolated stories) get English.
+ * Read it with the useI18n hook.
+ */
+
+import React, { createContext, useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_STORAGE_KEY,
+  detectLocale,
+  getDirection,
+  createTranslator,
+  formatLocalizedDate,
+  toSupportedLocale
+} from '../utils/i18n.js';
+
+/**
+ * Context value shared by the provider and the English fallback
+ * @param {string} locale - Locale code
+ * @param {Function} setLocale - Locale setter
+ * @returns {Object} { locale, dir, locales, setLocale, t, formatDate }
+ */
+const buildValue = (locale, setLocale) => ({
+  locale,
+  dir: getDirection(locale),
+  locales: LOCALES,
+  setLocale,
+  t: createTranslator(locale),
+  formatDate: (value, options) => formatLocalizedDate(value, locale, options)
+});
+
+const I18nContext = createContext(buildValue(DEFAULT_LOCALE, () => {}));
+
+// Saved locale, or null when storage is unavailable (private mode, SSR)
+const readStoredLocale = () => {
+  try {
+    return localStorage.getItem(LOCALE_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * I18n Context Provider Component
+ * @param {Object} props - Component props
+ * @param {ReactNode} props.children - Child components
+ * @param {string} props.initialLocale - Overrides detection (tests)
+ * @returns {JSX.Element} Context provider wrapper
+ */
+export function I18nProvider({ children, initialLocale }) {
+  const [locale, setLocaleState] = useState(() =>
+    toSupportedLocale(initialLocale) ||
+    detectLocale(readStoredLocale(), typeof navigator !== 'undefined' ? navigator.languages : [])
+  );
+
+  const setLocale = useCallback((next) => {
+    const supported = toSupportedLocale(next);
+    if (!supported) return;
+
+    setLocaleState(supported);
+    try {
+      localStorage.setItem(LOCALE_STORAGE_KEY, supported);
+    } catch (error) {
+      console.warn('Failed to save language preference:', error);
+    }
+  }, []);
+
+  // Mirror the locale on <html> for screen readers, fonts and RTL layout
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = getDirection(locale);
+  }, [locale]);
+
+  const contextValue = useMemo(() => buildValue(locale, setLocale), [locale, setLocale]);
+
+  return (
+    <I18nContext.Provider value={contextValue}>
+      {children}
+    </I18nContext.Provider>
+  );
+}
+
+export default I18nContext;
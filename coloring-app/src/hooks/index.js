@@ -12,4 +12,15 @@
 
 export { useValidation } from './useValidation.js';
 export { useGeneration } from './useGeneration.js';
-export { useResponsive } from './useResponsive.js';
\ No newline at end of file
+export { useResponsive } from './useResponsive.js';
+export { useSeries } from './useSeries.js';
+export { useColoringCanvas } from './useColoringCanvas.js';
+export { usePrintSettings } from './usePrintSettings.js';
+export { useCredits } from './useCredits.js';
+export { useAdminStatus } from './useAdminStatus.js';
+export { useSpendingReport } from './useSpendingReport.js';
+export { useThemes } from './useThemes.js';
+export { usePromptSuggestions } from './usePromptSuggestions.js';
+export { useI18n } from './useI18n.js';
+export { useGalleryPages } from './useGalleryPages.js';
+export { useCollections } from './useCollections.js';
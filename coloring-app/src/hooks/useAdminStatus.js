@@ -0,0 +1,57 @@
+/**
+ * useAdminStatus Hook
+ *
+ * Asks the server whether the signed-in user is an admin (Firebase custom
+ * claim or ADMIN_EMAILS), so admin-only views like the spending dashboard
+ * only appear for them. The server checks again on every admin request.
+ *
+ * Evidence: architecture.md Section 4.1 API Integration
+ */
+
+import { useState, useEffect } from 'react';
+import { auth } from '../../firebase-config.js';
+import { API_CONFIG, createLogger } from '../utils';
+
+const logger = createLogger('useAdminStatus');
+
+/**
+ * Custom hook for the admin flag
+ * @param {Object|null} user - Signed-in user
+ * @returns {boolean} Whether the user is an admin
+ */
+export const useAdminStatus = (user) => {
+  const [isAdmin, setIsAdmin] = useState(false);
+
+  useEffect(() => {
+    setIsAdmin(false);
+    if (!user) return undefined;
+
+    let cancelled = false;
+
+    const checkStatus = async () => {
+      try {
+        const idToken = await auth.currentUser?.getIdToken();
+        if (!idToken) return;
+
+        const response = await fetch(API_CONFIG.endpoints.authStatus, {
+          headers: { 'Authorization': `Bearer ${idToken}` }
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!cancelled) {
+          setIsAdmin(response.ok && result.user?.isAdmin === true);
+        }
+      } catch (err) {
+        logger.warn('Failed to check admin status:', err);
+      }
+    };
+
+    checkStatus();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  return isAdmin;
+};
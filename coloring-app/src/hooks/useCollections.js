@@ -0,0 +1,188 @@
+/**
+ * useCollections Hook
+ *
+ * Loads and edits the signed-in user's gallery collections ("Birthday party",
+ * "Dinosaur book"). An image is in at most one collection, so moving images
+ * into a collection takes them out of any other. Counts and covers come from
+ * the server, so the list is reloaded after images move.
+ *
+ * Evidence: architecture.md Section 4.1 API Integration
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import { auth } from '../../firebase-config.js';
+import { API_CONFIG, GALLERY_CONFIG, createLogger } from '../utils';
+
+const logger = createLogger('useCollections');
+
+/**
+ * Authenticated request against the collections endpoint
+ * @param {string} path - Path after /collections, e.g. '/abc/images'
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Response data
+ */
+const requestCollections = async (path = '', options = {}) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('User not authenticated');
+  }
+
+  const idToken = await currentUser.getIdToken();
+  const response = await fetch(`${API_CONFIG.endpoints.collections}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${idToken}`
+    }
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw Object.assign(
+      new Error(result.details?.[0]?.msg || result.message || `Collections request failed: ${response.status}`),
+      { status: response.status }
+    );
+  }
+
+  return result.data;
+};
+
+/**
+ * Translatable error for a failed collection request
+ * @param {Error} err - Request error
+ * @returns {Object} { key, params }
+ */
+const toCollectionError = (err) => (err.status === 409
+  ? { key: 'gallery.collections.errors.duplicate' }
+  : { key: 'gallery.collections.errors.failed', params: { message: err.message } });
+
+/**
+ * Custom hook for gallery collections
+ * @param {Object|null} user - Signed-in user; collections are only loaded for signed-in users
+ * @returns {Object} Collections list and actions
+ */
+export const useCollections = (user) => {
+  const [collections, setCollections] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null); // { key, params }
+
+  /**
+   * Reloads the user's collections with their counts and covers
+   */
+  const loadCollections = useCallback(async () => {
+    if (!user) {
+      setCollections([]);
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const data = await requestCollections();
+      setCollections(data.collections || []);
+    } catch (err) {
+      logger.error('Failed to load collections:', err);
+      setError(toCollectionError(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  /**
+   * Runs a change and reloads the list; failures are kept in `error`
+   * @param {string} action - Name for the log
+   * @param {Function} change - Async request
+   * @returns {Promise<*|null>} Request result, or null on failure
+   */
+  const runChange = useCallback(async (action, change) => {
+    setError(null);
+
+    try {
+      const result = await change();
+      await loadCollections();
+      return result;
+    } catch (err) {
+      logger.error(`Failed to ${action}:`, err);
+      setError(toCollectionError(err));
+      return null;
+    }
+  }, [loadCollections]);
+
+  /**
+   * Creates an empty collection
+   * @param {string} name - Collection name
+   * @returns {Promise<Object|null>} The collection, or null on failure
+   */
+  const createCollection = useCallback((name) => runChange('create collection', async () => {
+    const data = await requestCollections('', { method: 'POST', body: JSON.stringify({ name }) });
+    return data.collection;
+  }), [runChange]);
+
+  /**
+   * Renames a collection and/or sets its cover
+   * @param {string} collectionId - Collection id
+   * @param {Object} changes - { name } and/or { coverImageId }
+   * @returns {Promise<Object|null>} Updated fields, or null on failure
+   */
+  const updateCollection = useCallback((collectionId, changes) => runChange('update collection', async () => {
+    const data = await requestCollections(`/${encodeURIComponent(collectionId)}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    });
+    return data.collection;
+  }), [runChange]);
+
+  /**
+   * Deletes a collection; its images stay in the gallery
+   * @param {string} collectionId - Collection id
+   * @returns {Promise<boolean>} Whether it was deleted
+   */
+  const deleteCollection = useCallback(async (collectionId) => {
+    const result = await runChange('delete collection', () =>
+      requestCollections(`/${encodeURIComponent(collectionId)}`, { method: 'DELETE' }));
+    return result !== null;
+  }, [runChange]);
+
+  /**
+   * Moves images into a collection, or takes them out of it
+   * @param {string} collectionId - Collection id
+   * @param {Iterable<string>} imageIds - Images to move
+   * @param {boolean} remove - Take the images out instead
+   * @returns {Promise<boolean>} Whether every image was moved
+   */
+  const changeImages = useCallback(async (collectionId, imageIds, remove) => {
+    const ids = [...imageIds];
+    const path = `/${encodeURIComponent(collectionId)}/images${remove ? '/remove' : ''}`;
+    const { imagesPerRequest } = GALLERY_CONFIG.collections;
+
+    const result = await runChange(remove ? 'remove images' : 'move images', async () => {
+      for (let index = 0; index < ids.length; index += imagesPerRequest) {
+        await requestCollections(path, {
+          method: 'POST',
+          body: JSON.stringify({ imageIds: ids.slice(index, index + imagesPerRequest) })
+        });
+      }
+      return true;
+    });
+    return result === true;
+  }, [runChange]);
+
+  const moveImages = useCallback((collectionId, imageIds) => changeImages(collectionId, imageIds, false), [changeImages]);
+  const removeFromCollection = useCallback((collectionId, imageIds) => changeImages(collectionId, imageIds, true), [changeImages]);
+
+  useEffect(() => {
+    loadCollections();
+  }, [loadCollections]);
+
+  return {
+    collections,
+    isLoading,
+    error,
+    loadCollections,
+    createCollection,
+    updateCollection,
+    deleteCollection,
+    moveImages,
+    removeFromCollection
+  };
+};
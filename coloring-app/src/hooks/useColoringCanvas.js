@@ -0,0 +1,290 @@
+/**
+ * useColoringCanvas Hook
+ *
+ * State and drawing logic for the in-app coloring mode.
+ * The page is split into two stacked canvases: the outline layer on top
+ * (so brush strokes never cover the lines) and a color layer underneath
+ * that the bucket, brush and eraser paint on. Undo/redo keeps snapshots
+ * of the color layer.
+ *
+ * Evidence: architecture.md Section 3.1 - Custom Hooks Architecture
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import {
+  COLORING_CONFIG,
+  buildLineMask,
+  toLineLayer,
+  floodFill,
+  fitCanvasSize,
+  hexToRgb,
+  createLogger
+} from '../utils';
+import { useI18n } from './useI18n.js';
+
+const logger = createLogger('useColoringCanvas');
+
+const PAPER_COLOR = '#FFFFFF';
+
+/**
+ * Loads an image for canvas use. Remote images are requested with CORS so the
+ * canvas stays readable; servers that don't allow it make the load fail.
+ * @param {string} src - Image URL or data URI
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  if (!src.startsWith('data:')) {
+    image.crossOrigin = 'anonymous';
+  }
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Image failed to load'));
+  image.src = src;
+});
+
+/**
+ * Custom hook for the coloring canvas
+ * @param {string|null} imageUrl - Coloring page to color in
+ * @returns {Object} Canvas refs, tool state, pointer handlers and actions
+ */
+export const useColoringCanvas = (imageUrl) => {
+  const colorCanvasRef = useRef(null);
+  const lineCanvasRef = useRef(null);
+  const lineMaskRef = useRef(null);
+  const historyRef = useRef({ snapshots: [], index: -1 });
+  const strokeRef = useRef(null);
+
+  const [status, setStatus] = useState('loading');
+  const { t } = useI18n();
+  const [errorKey, setErrorKey] = useState(null); // ERROR_MESSAGES key, translated on return
+  const [tool, setTool] = useState('fill');
+  const [color, setColor] = useState(COLORING_CONFIG.palettes[COLORING_CONFIG.defaultPalette].colors[0]);
+  const [brushSize, setBrushSize] = useState(COLORING_CONFIG.brushSizes.medium);
+  const [historyState, setHistoryState] = useState({ canUndo: false, canRedo: false });
+
+  const getColorContext = () => colorCanvasRef.current?.getContext('2d', { willReadFrequently: true });
+
+  const syncHistoryState = () => {
+    const { snapshots, index } = historyRef.current;
+    setHistoryState({ canUndo: index > 0, canRedo: index < snapshots.length - 1 });
+  };
+
+  /**
+   * Records the current color layer as a new undo step
+   * Drops any redo steps and the oldest snapshot once the limit is reached.
+   */
+  const pushHistory = useCallback(() => {
+    const canvas = colorCanvasRef.current;
+    const context = getColorContext();
+    if (!canvas || !context) return;
+
+    const history = historyRef.current;
+    const snapshots = history.snapshots.slice(0, history.index + 1);
+    snapshots.push(context.getImageData(0, 0, canvas.width, canvas.height));
+
+    // The first snapshot is the blank page, plus maxHistory undo steps
+    while (snapshots.length > COLORING_CONFIG.maxHistory + 1) {
+      snapshots.shift();
+    }
+
+    historyRef.current = { snapshots, index: snapshots.length - 1 };
+    syncHistoryState();
+  }, []);
+
+  const restoreSnapshot = useCallback((index) => {
+    const context = getColorContext();
+    const snapshot = historyRef.current.snapshots[index];
+    if (!context || !snapshot) return;
+
+    context.putImageData(snapshot, 0, 0);
+    historyRef.current.index = index;
+    syncHistoryState();
+  }, []);
+
+  const undo = useCallback(() => {
+    const { index } = historyRef.current;
+    if (index > 0) restoreSnapshot(index - 1);
+  }, [restoreSnapshot]);
+
+  const redo = useCallback(() => {
+    const { snapshots, index } = historyRef.current;
+    if (index < snapshots.length - 1) restoreSnapshot(index + 1);
+  }, [restoreSnapshot]);
+
+  /**
+   * Wipes all color back to blank paper (can be undone)
+   */
+  const clear = useCallback(() => {
+    const canvas = colorCanvasRef.current;
+    const context = getColorContext();
+    if (!canvas || !context) return;
+
+    context.fillStyle = PAPER_COLOR;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    pushHistory();
+  }, [pushHistory]);
+
+  // Load the page into the outline layer and start with blank paper
+  useEffect(() => {
+    if (!imageUrl) return undefined;
+
+    let cancelled = false;
+    setStatus('loading');
+    setErrorKey(null);
+
+    loadImage(imageUrl)
+      .then((image) => {
+        if (cancelled) return;
+
+        const colorCanvas = colorCanvasRef.current;
+        const lineCanvas = lineCanvasRef.current;
+        if (!colorCanvas || !lineCanvas) return;
+
+        const { width, height } = fitCanvasSize(image.naturalWidth, image.naturalHeight);
+        [colorCanvas, lineCanvas].forEach(canvas => {
+          canvas.width = width;
+          canvas.height = height;
+        });
+
+        // Draw on white so transparent pages read as paper
+        const lineContext = lineCanvas.getContext('2d', { willReadFrequently: true });
+        lineContext.fillStyle = PAPER_COLOR;
+        lineContext.fillRect(0, 0, width, height);
+        lineContext.drawImage(image, 0, 0, width, height);
+
+        // Throws a SecurityError when a remote image was served without CORS
+        const page = lineContext.getImageData(0, 0, width, height);
+        lineMaskRef.current = buildLineMask(page);
+        lineContext.putImageData(toLineLayer(page), 0, 0);
+
+        const colorContext = getColorContext();
+        colorContext.fillStyle = PAPER_COLOR;
+        colorContext.fillRect(0, 0, width, height);
+
+        historyRef.current = { snapshots: [], index: -1 };
+        pushHistory();
+        setStatus('ready');
+        logger.log('Coloring page ready', { width, height });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        logger.error('Failed to load coloring page:', err);
+        setErrorKey('coloringLoad');
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [imageUrl, pushHistory]);
+
+  /**
+   * Converts a pointer position to canvas pixels (the canvas is scaled by CSS)
+   */
+  const getCanvasPoint = (event) => {
+    const canvas = colorCanvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  };
+
+  const drawStroke = useCallback((from, to) => {
+    const context = getColorContext();
+    context.strokeStyle = tool === 'eraser' ? PAPER_COLOR : color;
+    context.lineWidth = brushSize;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.beginPath();
+    context.moveTo(from.x, from.y);
+    context.lineTo(to.x, to.y);
+    context.stroke();
+  }, [tool, color, brushSize]);
+
+  const handlePointerDown = useCallback((event) => {
+    if (status !== 'ready') return;
+    event.preventDefault();
+    const point = getCanvasPoint(event);
+
+    if (tool === 'fill') {
+      const canvas = colorCanvasRef.current;
+      const context = getColorContext();
+      const layer = context.getImageData(0, 0, canvas.width, canvas.height);
+
+      if (floodFill(layer, lineMaskRef.current, point.x, point.y, hexToRgb(color)) > 0) {
+        context.putImageData(layer, 0, 0);
+        pushHistory();
+      }
+      return;
+    }
+
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    strokeRef.current = point;
+    drawStroke(point, point);
+  }, [status, tool, color, drawStroke, pushHistory]);
+
+  const handlePointerMove = useCallback((event) => {
+    if (!strokeRef.current) return;
+    const point = getCanvasPoint(event);
+    drawStroke(strokeRef.current, point);
+    strokeRef.current = point;
+  }, [drawStroke]);
+
+  const handlePointerUp = useCallback(() => {
+    if (!strokeRef.current) return;
+    strokeRef.current = null;
+    pushHistory();
+  }, [pushHistory]);
+
+  /**
+   * Flattens color and outlines into one image
+   * Falls back to JPEG when the PNG would be too large for the gallery.
+   * @returns {string|null} Image data URI
+   */
+  const exportImage = useCallback(() => {
+    const colorCanvas = colorCanvasRef.current;
+    const lineCanvas = lineCanvasRef.current;
+    if (!colorCanvas || !lineCanvas || status !== 'ready') return null;
+
+    const output = document.createElement('canvas');
+    output.width = colorCanvas.width;
+    output.height = colorCanvas.height;
+    const context = output.getContext('2d');
+    context.drawImage(colorCanvas, 0, 0);
+    context.drawImage(lineCanvas, 0, 0);
+
+    let dataUrl = output.toDataURL('image/png');
+    for (const quality of [0.9, 0.75]) {
+      if (dataUrl.length <= COLORING_CONFIG.maxSaveBytes) break;
+      dataUrl = output.toDataURL('image/jpeg', quality);
+    }
+
+    return dataUrl;
+  }, [status]);
+
+  return {
+    colorCanvasRef,
+    lineCanvasRef,
+    status,
+    error: errorKey ? t(`errors.${errorKey}`) : null,
+    tool,
+    setTool,
+    color,
+    setColor,
+    brushSize,
+    setBrushSize,
+    canUndo: historyState.canUndo,
+    canRedo: historyState.canRedo,
+    undo,
+    redo,
+    clear,
+    exportImage,
+    pointerHandlers: {
+      onPointerDown: handlePointerDown,
+      onPointerMove: handlePointerMove,
+      onPointerUp: handlePointerUp,
+      onPointerCancel: handlePointerUp
+    }
+  };
+};
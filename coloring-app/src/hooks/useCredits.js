@@ -0,0 +1,110 @@
+/**
+ * useCredits Hook
+ *
+ * Loads the signed-in user's generation credits: plan, remaining balance and
+ * the ledger of monthly grants and per-generation charges. Each generation
+ * reserves its estimated cost and then settles at what the images actually cost.
+ *
+ * Evidence: architecture.md Section 4.1 API Integration
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import { auth } from '../../firebase-config.js';
+import { API_CONFIG, CREDITS_CONFIG, createLogger } from '../utils';
+import { useI18n } from './useI18n.js';
+
+const logger = createLogger('useCredits');
+
+/**
+ * Authenticated GET against a credits endpoint
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<Object>} Response data
+ */
+const requestCredits = async (url) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('User not authenticated');
+  }
+
+  const idToken = await currentUser.getIdToken();
+  const response = await fetch(url, {
+    headers: { 'Authorization': `Bearer ${idToken}` }
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `Credits request failed: ${response.status}`);
+  }
+
+  return result.data;
+};
+
+/**
+ * Custom hook for generation credits
+ * @param {Object|null} user - Signed-in user; credits are only loaded for signed-in users
+ * @returns {Object} Account, history and actions
+ */
+export const useCredits = (user) => {
+  const [account, setAccount] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const { t } = useI18n();
+  const [errorKey, setErrorKey] = useState(null); // ERROR_MESSAGES key, translated on return
+
+  /**
+   * Reloads the plan and balance
+   */
+  const refresh = useCallback(async () => {
+    if (!user) {
+      setAccount(null);
+      setHistory([]);
+      return;
+    }
+
+    setErrorKey(null);
+
+    try {
+      const data = await requestCredits(API_CONFIG.endpoints.credits);
+      setAccount(data.account);
+    } catch (err) {
+      logger.error('Failed to load credits:', err);
+      setErrorKey('creditsLoad');
+    }
+  }, [user]);
+
+  /**
+   * Loads the most recent ledger entries
+   */
+  const loadHistory = useCallback(async () => {
+    if (!user) return;
+
+    setIsLoading(true);
+    setErrorKey(null);
+
+    try {
+      const data = await requestCredits(
+        `${API_CONFIG.endpoints.creditHistory}?limit=${CREDITS_CONFIG.historyLimit}`
+      );
+      setHistory(data.history || []);
+    } catch (err) {
+      logger.error('Failed to load credit history:', err);
+      setErrorKey('creditsLoad');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    account,
+    history,
+    isLoading,
+    error: errorKey ? t(`errors.${errorKey}`) : null,
+    isLow: !!account && account.balance < CREDITS_CONFIG.lowBalance,
+    refresh,
+    loadHistory
+  };
+};
@@ -0,0 +1,171 @@
+/**
+ * useGalleryPages Hook
+ *
+ * Loads the signed-in user's gallery a page at a time from the gallery endpoint.
+ * Each response carries a cursor for the next page; loadMore appends that page,
+ * so the gallery can grow as the user scrolls instead of stopping at a fixed count.
+ * Search, filters and sort are applied on the server; changing them reloads
+ * from the first page.
+ *
+ * Evidence: architecture.md Section 4.1 API Integration
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { auth } from '../../firebase-config.js';
+import { API_CONFIG, GALLERY_CONFIG, createLogger, toGalleryQuery } from '../utils';
+
+const logger = createLogger('useGalleryPages');
+
+/**
+ * Authenticated GET of one gallery page
+ * @param {Object} filters - Filter bar values
+ * @param {string|null} cursor - nextCursor of the previous page
+ * @returns {Promise<Object>} { images, pagination }
+ */
+const requestPage = async (filters, cursor) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('User not authenticated');
+  }
+
+  const params = new URLSearchParams({ ...toGalleryQuery(filters), limit: String(GALLERY_CONFIG.pageSize) });
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+
+  const idToken = await currentUser.getIdToken();
+  const response = await fetch(`${API_CONFIG.endpoints.gallery}?${params}`, {
+    headers: { 'Authorization': `Bearer ${idToken}` }
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw Object.assign(new Error(result.message || `Gallery request failed: ${response.status}`), {
+      status: response.status
+    });
+  }
+
+  return result.data;
+};
+
+/**
+ * Custom hook for the paged gallery
+ * @param {Object|null} user - Signed-in user; the gallery is only loaded for signed-in users
+ * @param {Object} filters - Search, filters and sort (see GALLERY_CONFIG.defaultFilters)
+ * @returns {Object} Loaded images, paging state and actions
+ */
+export const useGalleryPages = (user, filters = GALLERY_CONFIG.defaultFilters) => {
+  const [images, setImages] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(!!user);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState(null); // { key, params } - first page failed
+  const [loadMoreFailed, setLoadMoreFailed] = useState(false);
+
+  // Responses for an earlier user or a superseded reload are dropped
+  const requestIdRef = useRef(0);
+
+  /**
+   * Reloads the gallery from the newest page
+   */
+  const refresh = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    setImages([]);
+    setNextCursor(null);
+    setError(null);
+    setLoadMoreFailed(false);
+    setIsLoadingMore(false);
+
+    if (!user) {
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const data = await requestPage(filters, null);
+      if (requestId !== requestIdRef.current) return;
+
+      setImages(data.images || []);
+      setNextCursor(data.pagination?.nextCursor || null);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+
+      logger.error('Failed to load gallery:', err);
+      setError(err.status === 401 || err.status === 403
+        ? { key: 'gallery.errors.accessDenied' }
+        : { key: 'gallery.errors.loadFailed', params: { message: err.message } });
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setIsLoading(false);
+      }
+    }
+  }, [user, filters]);
+
+  /**
+   * Appends the next page; does nothing while a page is loading or after the last one
+   */
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || isLoading || isLoadingMore) return;
+
+    const requestId = requestIdRef.current;
+    setIsLoadingMore(true);
+    setLoadMoreFailed(false);
+
+    try {
+      const data = await requestPage(filters, nextCursor);
+      if (requestId !== requestIdRef.current) return;
+
+      // An image saved while paging can appear on two pages - keep the first copy
+      setImages(prev => {
+        const loadedIds = new Set(prev.map(image => image.id));
+        return [...prev, ...(data.images || []).filter(image => !loadedIds.has(image.id))];
+      });
+      setNextCursor(data.pagination?.nextCursor || null);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+
+      logger.error('Failed to load more gallery pages:', err);
+      setLoadMoreFailed(true);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setIsLoadingMore(false);
+      }
+    }
+  }, [filters, nextCursor, isLoading, isLoadingMore]);
+
+  /**
+   * Puts a newly saved image at the top without reloading
+   * @param {Object} image - Saved image as returned by the save endpoint
+   */
+  const addImage = useCallback((image) => {
+    setImages(prev => [image, ...prev.filter(item => item.id !== image.id)]);
+  }, []);
+
+  /**
+   * Drops deleted images from the loaded pages
+   * @param {Iterable<string>} imageIds - Deleted image ids
+   */
+  const removeImages = useCallback((imageIds) => {
+    const removed = new Set(imageIds);
+    setImages(prev => prev.filter(image => !removed.has(image.id)));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    images,
+    isLoading,
+    isLoadingMore,
+    error,
+    loadMoreFailed,
+    hasMore: !!nextCursor,
+    loadMore,
+    refresh,
+    addImage,
+    removeImages
+  };
+};
@@ -8,19 +8,96 @@
  * Best Practice: Separation of concerns - API logic in custom hooks
  */
 
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef, useEffect } from 'react';
 import { auth } from '../../firebase-config.js';
 import { 
   API_CONFIG, 
   ERROR_MESSAGES, 
   SUCCESS_MESSAGES,
+  GENERATION_STAGES,
   formatApiError, 
   retryWithBackoff,
+  delay,
+  readEventStream,
+  downloadBlob,
+  toPrintRequest,
+  readPrintReport,
   createLogger 
 } from '../utils';
+import { useI18n } from './useI18n.js';
 
 const logger = createLogger('useGeneration');
 
+/**
+ * Active job persistence so a reload can resume polling
+ * localStorage may be unavailable (private mode, SSR) - failures are ignored
+ */
+const getActiveJobId = () => {
+  try {
+    return window.localStorage.getItem(API_CONFIG.jobPolling.storageKey);
+  } catch {
+    return null;
+  }
+};
+
+const setActiveJobId = (jobId) => {
+  try {
+    if (jobId) {
+      window.localStorage.setItem(API_CONFIG.jobPolling.storageKey, jobId);
+    } else {
+      window.localStorage.removeItem(API_CONFIG.jobPolling.storageKey);
+    }
+  } catch {
+    // Ignore storage errors - the job still completes, it just can't be resumed
+  }
+};
+
+/**
+ * Bearer token for the signed-in user, so generations are charged to their credits
+ * and saved to their gallery. Waits for Firebase to restore the session first -
+ * a job resumed after a reload is only visible to the user who started it.
+ * @returns {Promise<Object>} Authorization header, or no headers when signed out
+ */
+const getAuthHeaders = async () => {
+  await auth.authStateReady?.();
+  const idToken = await auth.currentUser?.getIdToken();
+  return idToken ? { Authorization: `Bearer ${idToken}` } : {};
+};
+
+/**
+ * Request body shared by generation jobs and the refinement preview
+ * @param {Object} formData - Form data (plus approvedPrompt when generating from a preview)
+ * @returns {Object} Request body
+ */
+const toGenerationRequest = (formData) => ({
+  prompt: formData.prompt,
+  customizations: {
+    complexity: formData.complexity || 'medium',
+    ageGroup: formData.ageGroup || 'kids',
+    lineThickness: formData.lineThickness || 'medium',
+    border: formData.border ? 'with' : 'without',
+    theme: formData.theme || null,
+    // "Must include" / "must avoid" constraints; omitted when empty
+    mustInclude: formData.mustInclude?.length ? formData.mustInclude : undefined,
+    mustAvoid: formData.mustAvoid?.length ? formData.mustAvoid : undefined
+  },
+  // Several candidates from one refinement; omitted for the default single image
+  variations: Number(formData.variations) > 1 ? Number(formData.variations) : undefined,
+  // Opt-in: an identical earlier generation is returned for free
+  useCache: formData.reuseResults || undefined,
+  // Refined prompt the user approved in the preview - the server won't refine again
+  approvedPrompt: formData.approvedPrompt?.trim() || undefined,
+  // Series character/style sheet keeps the same character on every page
+  series: formData.series ? {
+    id: formData.series.id,
+    name: formData.series.name,
+    characterName: formData.series.characterName || undefined,
+    characterDescription: formData.series.characterDescription,
+    artStyle: formData.series.artStyle || undefined,
+    lineWeight: formData.series.lineWeight || undefined
+  } : undefined
+});
+
 /**
  * Custom hook for image generation workflow
  * @param {Object} options - Configuration options
@@ -35,6 +112,9 @@ export const useGeneration = (options = {}) => {
     retryDelay = API_CONFIG.retryConfig.delay
   } = options;
 
+  // Messages shown to the user follow the selected UI language
+  const { t, locale } = useI18n();
+
   // State management
   const [isGenerating, setIsGenerating] = useState(false);
   const [generatedImage, setGeneratedImage] = useState(null);
@@ -42,68 +122,280 @@ export const useGeneration = (options = {}) => {
   const [error, setError] = useState(null);
   const [metadata, setMetadata] = useState(null);
   const [progress, setProgress] = useState(0);
+  const [jobStatus, setJobStatus] = useState(null);
+  const [progressStage, setProgressStage] = useState(null);
+  const [variations, setVariations] = useState([]);
+  const [activeVariation, setActiveVariation] = useState(0);
+  const [printReport, setPrintReport] = useState(null);
+  // Refinement preview awaiting the user's approval ({ formData, refinedPrompt, detectedCategory, ... })
+  const [refinementPreview, setRefinementPreview] = useState(null);
+  const [isRefining, setIsRefining] = useState(false);
 
   // Refs for cleanup
   const abortControllerRef = useRef(null);
+  // Gallery IDs of images already saved, so colored versions can link to their original
+  const savedImageIdsRef = useRef(new Map());
+  const unmountedRef = useRef(false);
 
   /**
-   * Calls the image generation API
+   * Starts a background generation job
    * @param {Object} formData - Form data for generation
-   * @returns {Promise<Object>} API response
+   * @returns {Promise<string>} Job ID
    */
-  const callImageGenerationAPI = useCallback(async (formData) => {
-    // Create abort controller for cancellation
-    abortControllerRef.current = new AbortController();
+  const submitGenerationJob = useCallback(async (formData) => {
+    logger.log('Starting generation job', { formData });
+
+    const requestData = toGenerationRequest(formData);
+
+    const response = await fetch(API_CONFIG.endpoints.generationJobs, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await getAuthHeaders())
+      },
+      body: JSON.stringify(requestData),
+      signal: abortControllerRef.current?.signal
+    });
+
+    if (!response.ok) {
+      // Keep the server's reason (out of credits, daily budget, validation) for the error message
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.details?.[0]?.msg || result.message || `API request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    logger.log('Generation job created', { jobId: data.jobId, status: data.status });
+
+    return data.jobId;
+  }, []);
+
+  /**
+   * Applies a server job status or pipeline stage to the progress state
+   * @param {string} stage - Job status or pipeline stage name
+   * @param {Object} data - Stage details (model, attempt, category, refinedPrompt)
+   */
+  const applyStage = useCallback((stage, data = {}) => {
+    const stageConfig = GENERATION_STAGES[stage];
+    if (!stageConfig) return;
+
+    // Progress only moves forward - replayed or polled stages never rewind the bar
+    setProgress(prev => Math.max(prev, stageConfig.progress));
+    setProgressStage({ ...data, stage, label: stageConfig.label });
+
+    if (data.refinedPrompt) {
+      setRefinedPrompt(data.refinedPrompt);
+    }
+  }, []);
+
+  /**
+   * Follows a job's Server-Sent Events stream until it finishes
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Generation result, or null if the stream ended early
+   */
+  const streamJob = useCallback(async (jobId) => {
+    const response = await fetch(`${API_CONFIG.endpoints.generationJobs}/${jobId}/events`, {
+      headers: { Accept: 'text/event-stream', ...(await getAuthHeaders()) },
+      signal: abortControllerRef.current?.signal
+    });
+
+    if (!response.ok || !response.body) {
+      return null;
+    }
 
+    let outcome = null;
+    await readEventStream(response, (type, data) => {
+      if (type === 'status') {
+        setJobStatus(data.status);
+        applyStage(data.status);
+      } else if (type === 'progress') {
+        applyStage(data.stage, data);
+      } else if (type === 'done' || type === 'failed') {
+        setJobStatus(type);
+        outcome = data;
+      }
+    });
+
+    if (outcome?.status === 'failed') {
+      const jobError = new Error(outcome.error?.message || ERROR_MESSAGES.apiGeneral);
+      jobError.name = 'JobFailedError';
+      throw jobError;
+    }
+
+    return outcome?.result || null;
+  }, [applyStage]);
+
+  /**
+   * Waits for a generation job - streams stages when possible, polls otherwise
+   * There is no client-side deadline: the job is already paid for, so polling
+   * continues until the server reports it done or failed, or no longer knows it.
+   * @param {string} jobId - Job ID returned by the jobs endpoint
+   * @returns {Promise<Object>} Generation result payload
+   */
+  const waitForJob = useCallback(async (jobId) => {
     try {
-      logger.log('Starting image generation API call', { formData });
-      
-      // Debug API call - Evidence: architecture.md Section 4.1 API Integration debugging
-      const requestData = {
-        prompt: formData.prompt,
-        customizations: {
-          complexity: formData.complexity || 'medium',
-          ageGroup: formData.ageGroup || 'kids',
-          lineThickness: formData.lineThickness || 'medium',
-          border: formData.border ? 'with' : 'without',
-          theme: formData.theme || null
+      const streamed = await streamJob(jobId);
+      if (streamed) {
+        return streamed;
+      }
+    } catch (error) {
+      // Cancellation and job failures are final; a broken stream falls back to polling
+      if (error.name === 'AbortError' || error.name === 'JobFailedError') {
+        throw error;
+      }
+      logger.warn('Progress stream unavailable, falling back to polling', error);
+    }
+
+    for (;;) {
+      // Transient network errors shouldn't abandon a job that is still running;
+      // status reads are safe to repeat, so this is where retries happen
+      const job = await retryWithBackoff(async () => {
+        const response = await fetch(`${API_CONFIG.endpoints.generationJobs}/${jobId}`, {
+          headers: await getAuthHeaders(),
+          signal: abortControllerRef.current?.signal
+        });
+
+        if (response.status === 404) {
+          const notFound = new Error('Generation job not found or expired');
+          notFound.name = 'JobNotFoundError';
+          throw notFound;
         }
-      };
-      
-      console.log('[useGeneration] Making API call to:', API_CONFIG.endpoints.generate);
-      console.log('[useGeneration] Request data:', requestData);
 
-      const response = await fetch(API_CONFIG.endpoints.generate, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestData),
-        signal: abortControllerRef.current.signal
-      });
+        if (!response.ok) {
+          throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        }
 
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        const data = await response.json();
+        return data.job;
+      }, enableRetry ? maxRetries : 1, retryDelay);
+
+      setJobStatus(job.status);
+      if (job.progress) {
+        applyStage(job.progress.stage, job.progress);
       }
+      applyStage(job.status, job.refinedPrompt ? { refinedPrompt: job.refinedPrompt } : {});
 
-      const data = await response.json();
-      logger.log('Image generation API response received', { 
-        success: data.success,
-        hasImage: !!data.imageUrl,
-        hasRefinedPrompt: !!data.refinedPrompt
-      });
+      if (job.status === 'done') {
+        return job.result;
+      }
+
+      if (job.status === 'failed') {
+        const jobError = new Error(job.error?.message || ERROR_MESSAGES.apiGeneral);
+        jobError.name = 'JobFailedError';
+        throw jobError;
+      }
+
+      await delay(API_CONFIG.jobPolling.interval);
+    }
+  }, [streamJob, applyStage, enableRetry, maxRetries, retryDelay]);
+
+  /**
+   * Shows a successful generation or photo conversion result
+   * @param {Object} result - Server result payload
+   * @returns {Object} Success summary for the caller
+   */
+  const applyResult = useCallback((result) => {
+    if (!result?.success) {
+      throw new Error(result?.message || ERROR_MESSAGES.apiGeneral);
+    }
 
-      return data;
+    // Update state with successful result
+    setRefinedPrompt(result.refinedPrompt || '');
+    setGeneratedImage(result.imageUrl);
+    // Keep the original prompt with the metadata - gallery saves require it
+    setMetadata(result.metadata ? { ...result.metadata, originalPrompt: result.originalPrompt } : null);
+    setVariations(result.variations || []);
+    setActiveVariation(0);
+    setPrintReport(null);
+    setRefinementPreview(null);
+    setProgress(100);
+
+    // Signed-in generations are saved by the server - don't save them twice
+    if (result.galleryImageId) {
+      savedImageIdsRef.current.set(result.imageUrl, result.galleryImageId);
+    }
+
+    // Store metadata globally for PDF generation
+    if (result.metadata) {
+      window.lastGeneratedMetadata = result.metadata;
+    }
+
+    logger.log('Image generation completed successfully');
+    
+    // Call success callback
+    onSuccess?.(result);
+
+    return {
+      success: true,
+      image: result.imageUrl,
+      refinedPrompt: result.refinedPrompt,
+      metadata: result.metadata
+    };
+  }, [onSuccess]);
+
+  /**
+   * Runs a generation job from submission (or resume) to result
+   * @param {Function} getJobId - Async function resolving to the job ID to track
+   * @returns {Promise<Object|null>} Generation result
+   */
+  const runGenerationJob = useCallback(async (getJobId) => {
+    abortControllerRef.current = new AbortController();
+    setIsGenerating(true);
+    setError(null);
+    setRefinedPrompt('');
+    setVariations([]);
+    setProgress(0);
+    setProgressStage(null);
+    applyStage('queued');
+
+    let jobId = null;
+    try {
+      jobId = await getJobId();
+      setActiveJobId(jobId);
+
+      const result = await waitForJob(jobId);
+      setActiveJobId(null);
+
+      return applyResult(result);
     } catch (error) {
+      // Leave the job stored when the component unmounts so it can be resumed
+      if (error.name === 'AbortError' && unmountedRef.current) {
+        return null;
+      }
+
+      // Only a finished, failed, expired or cancelled job is forgotten - after a
+      // network failure the job may still be running and is resumed on reload
+      const jobEnded = ['JobFailedError', 'JobNotFoundError', 'AbortError'].includes(error.name);
+      if (!jobId || jobEnded) {
+        setActiveJobId(null);
+      }
+
       if (error.name === 'AbortError') {
         logger.log('Image generation was cancelled');
-        throw new Error('Generation cancelled');
       }
+
+      const formattedError = formatApiError(error, t);
+      setError(formattedError);
+      
+      logger.error('Image generation failed:', error);
       
-      logger.error('Image generation API error:', error);
-      throw error;
+      // Call error callback
+      onError?.(formattedError, error);
+
+      return {
+        success: false,
+        error: formattedError,
+        originalError: error
+      };
+    } finally {
+      if (!unmountedRef.current) {
+        setIsGenerating(false);
+        setProgress(0);
+        setJobStatus(null);
+        setProgressStage(null);
+      }
+      abortControllerRef.current = null;
     }
-  }, []);
+  }, [waitForJob, applyStage, applyResult, onError, t]);
 
   /**
    * Main image generation handler
@@ -116,56 +408,147 @@ export const useGeneration = (options = {}) => {
       return null;
     }
 
+    // Not retried: creating a job isn't idempotent, so a retry after a lost
+    // response would start (and charge for) a second generation
+    return runGenerationJob(() => submitGenerationJob(formData));
+  }, [isGenerating, runGenerationJob, submitGenerationJob]);
+
+  /**
+   * Refines the prompt without generating an image, so the user can review
+   * and edit it first. Refining is free; nothing is charged until generation.
+   * @param {Object} formData - Validated form data
+   * @returns {Promise<Object|null>} Result with the preview, or null when busy
+   */
+  const previewRefinement = useCallback(async (formData) => {
+    if (isGenerating || isRefining) {
+      logger.warn('Generation or refinement already in progress');
+      return null;
+    }
+
+    setIsRefining(true);
+    setError(null);
+
+    try {
+      const { prompt, customizations, series } = toGenerationRequest(formData);
+      logger.log('Requesting refinement preview', { prompt });
+
+      const response = await fetch(API_CONFIG.endpoints.refinePrompt, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ prompt, customizations, series })
+      });
+
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || !result.refinedPrompt) {
+        throw new Error(result.details?.[0]?.msg || result.message || `API request failed: ${response.status} ${response.statusText}`);
+      }
+
+      const preview = {
+        formData,
+        originalPrompt: result.originalPrompt,
+        refinedPrompt: result.refinedPrompt,
+        detectedCategory: result.metadata?.detectedCategory || null,
+        appliedSettings: result.metadata?.appliedSettings || {},
+        translation: result.metadata?.translation || null,
+        method: result.metadata?.method || null
+      };
+      setRefinementPreview(preview);
+      return { success: true, preview };
+    } catch (error) {
+      const formattedError = formatApiError(error, t);
+      setError(formattedError);
+      logger.error('Refinement preview failed:', error);
+      onError?.(formattedError, error);
+
+      return {
+        success: false,
+        error: formattedError,
+        originalError: error
+      };
+    } finally {
+      if (!unmountedRef.current) {
+        setIsRefining(false);
+      }
+    }
+  }, [isGenerating, isRefining, onError, t]);
+
+  /**
+   * Generates the page from the previewed refinement without refining again
+   * @param {string} approvedPrompt - Refined prompt as approved (and possibly edited) by the user
+   * @returns {Promise<Object|null>} Generation result
+   */
+  const generateFromPreview = useCallback((approvedPrompt) => {
+    if (!refinementPreview) {
+      return null;
+    }
+    return generateImage({ ...refinementPreview.formData, approvedPrompt });
+  }, [refinementPreview, generateImage]);
+
+  /**
+   * Drops the refinement preview without generating
+   */
+  const discardRefinement = useCallback(() => {
+    setRefinementPreview(null);
+  }, []);
+
+  /**
+   * Converts an uploaded photo or drawing into a coloring page
+   * The result replaces the current image like a normal generation, so it can
+   * be previewed, downloaded as PDF and saved to the gallery
+   * @param {string} image - Image data URL
+   * @param {Object} conversionOptions - mode, style, detail, prompt and customizations
+   * @returns {Promise<Object>} Conversion result
+   */
+  const convertPhoto = useCallback(async (image, conversionOptions = {}) => {
+    if (isGenerating) {
+      logger.warn('Generation already in progress');
+      return null;
+    }
+
+    abortControllerRef.current = new AbortController();
     setIsGenerating(true);
     setError(null);
+    setRefinedPrompt('');
+    setVariations([]);
     setProgress(0);
+    setProgressStage(null);
 
     try {
-      // Update progress
-      setProgress(25);
+      const { mode, style, detail, prompt, customizations } = conversionOptions;
+      logger.log('Starting photo conversion', { mode, style, detail });
 
-      const operation = () => callImageGenerationAPI(formData);
-      
-      // Use retry logic if enabled
-      const result = enableRetry 
-        ? await retryWithBackoff(operation, maxRetries, retryDelay)
-        : await operation();
-
-      setProgress(75);
-
-      if (result.success) {
-        // Update state with successful result
-        setRefinedPrompt(result.refinedPrompt || '');
-        setGeneratedImage(result.imageUrl);
-        setMetadata(result.metadata || null);
-        setProgress(100);
-
-        // Store metadata globally for PDF generation
-        if (result.metadata) {
-          window.lastGeneratedMetadata = result.metadata;
-        }
+      // Signed-in conversions are charged and saved to the gallery
+      const response = await fetch(API_CONFIG.endpoints.convertPhoto, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await getAuthHeaders())
+        },
+        body: JSON.stringify({
+          image,
+          mode,
+          style,
+          detail,
+          prompt: prompt?.trim() || undefined,
+          customizations
+        }),
+        signal: abortControllerRef.current.signal
+      });
 
-        logger.log('Image generation completed successfully');
-        
-        // Call success callback
-        onSuccess?.(result);
-
-        return {
-          success: true,
-          image: result.imageUrl,
-          refinedPrompt: result.refinedPrompt,
-          metadata: result.metadata
-        };
-      } else {
-        throw new Error(result.message || ERROR_MESSAGES.apiGeneral);
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.details?.[0]?.msg || result.message || `API request failed: ${response.status} ${response.statusText}`);
       }
+
+      return applyResult(result);
     } catch (error) {
-      const formattedError = formatApiError(error);
+      if (error.name === 'AbortError' && unmountedRef.current) {
+        return null;
+      }
+
+      const formattedError = formatApiError(error, t);
       setError(formattedError);
-      
-      logger.error('Image generation failed:', error);
-      
-      // Call error callback
+      logger.error('Photo conversion failed:', error);
       onError?.(formattedError, error);
 
       return {
@@ -174,11 +557,33 @@ export const useGeneration = (options = {}) => {
         originalError: error
       };
     } finally {
-      setIsGenerating(false);
-      setProgress(0);
+      if (!unmountedRef.current) {
+        setIsGenerating(false);
+        setProgress(0);
+      }
       abortControllerRef.current = null;
     }
-  }, [isGenerating, callImageGenerationAPI, enableRetry, maxRetries, retryDelay, onSuccess, onError]);
+  }, [isGenerating, applyResult, onError, t]);
+
+  /**
+   * Resume a job left running by a previous page load
+   */
+  useEffect(() => {
+    unmountedRef.current = false;
+
+    const storedJobId = getActiveJobId();
+    if (storedJobId) {
+      logger.log('Resuming generation job', { jobId: storedJobId });
+      runGenerationJob(async () => storedJobId);
+    }
+
+    return () => {
+      unmountedRef.current = true;
+      abortControllerRef.current?.abort();
+    };
+    // Only resume once on mount
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
   /**
    * Cancels the current generation
@@ -189,18 +594,22 @@ export const useGeneration = (options = {}) => {
       logger.log('Generation cancelled by user');
     }
     
+    setActiveJobId(null);
     setIsGenerating(false);
     setProgress(0);
+    setJobStatus(null);
+    setProgressStage(null);
     setError('Generation cancelled');
   }, []);
 
   /**
    * Downloads generated image as PDF
+   * @param {Object} printSettings - Page size, orientation, margin, bleed, trim marks and vector
    * @returns {Promise<boolean>} Success status
    */
-  const downloadPDF = useCallback(async () => {
+  const downloadPDF = useCallback(async (printSettings = {}) => {
     if (!generatedImage) {
-      const error = ERROR_MESSAGES.pdfMissingImage;
+      const error = t('errors.pdfMissingImage');
       setError(error);
       onError?.(error);
       return false;
@@ -231,7 +640,10 @@ export const useGeneration = (options = {}) => {
         body: JSON.stringify({
           imageUrl: generatedImage,
           title: `Coloring Page: ${metadata?.originalPrompt || 'Generated'}`,
-          metadata: pdfMetadata
+          metadata: pdfMetadata,
+          ...toPrintRequest(printSettings),
+          // Footer date and labels in the reader's language
+          locale
         })
       });
 
@@ -239,6 +651,9 @@ export const useGeneration = (options = {}) => {
         throw new Error(`PDF generation failed: ${response.status}`);
       }
 
+      // Low-resolution warnings for the chosen page size
+      setPrintReport(readPrintReport(response));
+
       const pdfBlob = await response.blob();
       
       // Create download link
@@ -255,14 +670,113 @@ export const useGeneration = (options = {}) => {
       logger.log('PDF downloaded successfully');
       return true;
     } catch (error) {
-      const formattedError = formatApiError(error);
+      const formattedError = formatApiError(error, t);
       setError(formattedError);
       onError?.(formattedError, error);
       return false;
     } finally {
       setIsGenerating(false);
     }
-  }, [generatedImage, refinedPrompt, metadata, onError]);
+  }, [generatedImage, refinedPrompt, metadata, onError, t, locale]);
+
+  /**
+   * Downloads the generated image as a traced, scalable SVG
+   * @returns {Promise<boolean>} Success status
+   */
+  const downloadSVG = useCallback(async () => {
+    if (!generatedImage) {
+      const error = t('errors.pdfMissingImage');
+      setError(error);
+      onError?.(error);
+      return false;
+    }
+
+    setIsGenerating(true);
+    setError(null);
+
+    try {
+      logger.log('Starting SVG export');
+
+      const response = await fetch(API_CONFIG.endpoints.exportSvg, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ imageUrl: generatedImage })
+      });
+
+      if (!response.ok) {
+        throw new Error(`SVG export failed: ${response.status}`);
+      }
+
+      downloadBlob(await response.blob(), `coloring-page-${Date.now()}.svg`);
+      logger.log('SVG downloaded successfully');
+      return true;
+    } catch (error) {
+      logger.error('SVG export failed:', error);
+      setError(t('errors.svgExport'));
+      onError?.(t('errors.svgExport'), error);
+      return false;
+    } finally {
+      setIsGenerating(false);
+    }
+  }, [generatedImage, onError, t]);
+
+  /**
+   * Posts one image to the gallery save endpoint
+   * @param {string} imageUrl - Image URL or data URI to save
+   * @param {Object} extraMetadata - Metadata merged over the generation metadata
+   * @param {string|null} parentImageId - Gallery ID of the original when saving a colored version
+   * @returns {Promise<string>} Saved gallery image ID
+   */
+  const postGalleryImage = useCallback(async (imageUrl, extraMetadata = {}, parentImageId = null) => {
+    const currentUser = auth.currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const idToken = await currentUser.getIdToken();
+    const enhancedMetadata = window.lastGeneratedMetadata || {};
+    
+    const imageData = {
+      imageUrl,
+      originalPrompt: metadata?.originalPrompt || '',
+      refinedPrompt: refinedPrompt,
+      metadata: {
+        ...metadata,
+        dalleRevisedPrompt: enhancedMetadata.revised_prompt || null,
+        apiMode: enhancedMetadata.apiMode || 'unknown',
+        model: enhancedMetadata.model || 'dall-e-3',
+        generatedAt: enhancedMetadata.generatedAt || new Date().toISOString(),
+        processingTime: enhancedMetadata.processingTime || null,
+        retryCount: enhancedMetadata.retryCount || 0,
+        quality: enhancedMetadata.quality || 'standard',
+        ...extraMetadata
+      },
+      ...(parentImageId && { parentImageId })
+    };
+
+    const response = await fetch(API_CONFIG.endpoints.saveImage, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${idToken}`
+      },
+      body: JSON.stringify(imageData)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to save image: ${response.status}`);
+    }
+
+    const result = await response.json();
+    
+    if (!result.success) {
+      throw new Error(result.message || ERROR_MESSAGES.gallerySave);
+    }
+
+    return result.imageId;
+  }, [refinedPrompt, metadata]);
 
   /**
    * Saves generated image to user's gallery
@@ -271,79 +785,137 @@ export const useGeneration = (options = {}) => {
    */
   const saveToGallery = useCallback(async (user) => {
     if (!user) {
-      const error = ERROR_MESSAGES.galleryAuth;
+      const error = t('errors.galleryAuth');
       setError(error);
       onError?.(error);
       return false;
     }
 
     if (!generatedImage) {
-      const error = ERROR_MESSAGES.pdfMissingImage;
+      const error = t('errors.pdfMissingImage');
       setError(error);
       onError?.(error);
       return false;
     }
 
+    if (savedImageIdsRef.current.has(generatedImage)) {
+      logger.log('Image already in gallery');
+      return true;
+    }
+
     setIsGenerating(true);
     setError(null);
 
     try {
       logger.log('Starting gallery save');
       
-      const currentUser = auth.currentUser;
-      if (!currentUser) {
-        throw new Error('User not authenticated');
-      }
-      
-      const idToken = await currentUser.getIdToken();
-      const enhancedMetadata = window.lastGeneratedMetadata || {};
-      
-      const imageData = {
-        imageUrl: generatedImage,
-        originalPrompt: metadata?.originalPrompt || '',
-        refinedPrompt: refinedPrompt,
-        metadata: {
-          ...metadata,
-          dalleRevisedPrompt: enhancedMetadata.revised_prompt || null,
-          apiMode: enhancedMetadata.apiMode || 'unknown',
-          model: enhancedMetadata.model || 'dall-e-3',
-          generatedAt: enhancedMetadata.generatedAt || new Date().toISOString(),
-          processingTime: enhancedMetadata.processingTime || null,
-          retryCount: enhancedMetadata.retryCount || 0,
-          quality: enhancedMetadata.quality || 'standard'
-        }
-      };
+      const imageId = await postGalleryImage(generatedImage);
+      savedImageIdsRef.current.set(generatedImage, imageId);
+      logger.log('Image saved to gallery successfully:', imageId);
+      return true;
+    } catch (error) {
+      const formattedError = formatApiError(error, t);
+      setError(formattedError);
+      onError?.(formattedError, error);
+      return false;
+    } finally {
+      setIsGenerating(false);
+    }
+  }, [generatedImage, postGalleryImage, onError, t]);
 
-      const response = await fetch(API_CONFIG.endpoints.saveImage, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${idToken}`
-        },
-        body: JSON.stringify(imageData)
-      });
+  /**
+   * Shows one of the generated variations as the current image
+   * PDF download and single saves then use that variation
+   * @param {number} index - Variation index
+   */
+  const selectVariation = useCallback((index) => {
+    const variation = variations[index];
+    if (!variation) return;
 
-      if (!response.ok) {
-        throw new Error(`Failed to save image: ${response.status}`);
-      }
+    setActiveVariation(index);
+    setGeneratedImage(variation.imageUrl);
+    setPrintReport(null);
+    setMetadata(prev => prev ? { ...prev, costs: variation.costs, variationIndex: index } : prev);
+  }, [variations]);
 
-      const result = await response.json();
-      
-      if (result.success) {
-        logger.log('Image saved to gallery successfully:', result.imageId);
-        return true;
-      } else {
-        throw new Error(result.message || ERROR_MESSAGES.gallerySave);
+  /**
+   * Saves the chosen variations to the user's gallery
+   * @param {Object} user - User object
+   * @param {number[]} indices - Variation indices to keep
+   * @returns {Promise<boolean>} Success status
+   */
+  const saveVariationsToGallery = useCallback(async (user, indices = []) => {
+    if (!user) {
+      const error = t('errors.galleryAuth');
+      setError(error);
+      onError?.(error);
+      return false;
+    }
+
+    const chosen = indices.map(index => variations[index]).filter(Boolean);
+    if (chosen.length === 0) {
+      const error = t('errors.pdfMissingImage');
+      setError(error);
+      onError?.(error);
+      return false;
+    }
+
+    setIsGenerating(true);
+    setError(null);
+
+    try {
+      logger.log('Saving selected variations to gallery', { count: chosen.length });
+
+      for (const variation of chosen) {
+        const imageId = await postGalleryImage(variation.imageUrl, {
+          costs: variation.costs,
+          revisedPrompt: variation.revisedPrompt || metadata?.revisedPrompt,
+          variationIndex: variation.index,
+          variationCount: variations.length
+        });
+        savedImageIdsRef.current.set(variation.imageUrl, imageId);
       }
+
+      logger.log('Variations saved to gallery successfully');
+      return true;
     } catch (error) {
-      const formattedError = formatApiError(error);
+      const formattedError = formatApiError(error, t);
       setError(formattedError);
       onError?.(formattedError, error);
       return false;
     } finally {
       setIsGenerating(false);
     }
-  }, [generatedImage, refinedPrompt, metadata, onError]);
+  }, [variations, metadata, postGalleryImage, onError, t]);
+
+  /**
+   * Saves a colored-in version of the current page as a child of the original.
+   * The original is saved first when it isn't in the gallery yet.
+   * Errors are left to the coloring view, which shows its own message.
+   * @param {Object} user - User object
+   * @param {string} coloredImageUrl - Colored page as a data URI
+   * @returns {Promise<boolean>} Success status
+   */
+  const saveColoredVersion = useCallback(async (user, coloredImageUrl) => {
+    if (!user || !generatedImage) {
+      return false;
+    }
+
+    try {
+      let parentImageId = savedImageIdsRef.current.get(generatedImage);
+      if (!parentImageId) {
+        parentImageId = await postGalleryImage(generatedImage);
+        savedImageIdsRef.current.set(generatedImage, parentImageId);
+      }
+
+      const imageId = await postGalleryImage(coloredImageUrl, { source: 'digital-coloring' }, parentImageId);
+      logger.log('Colored version saved to gallery:', { imageId, parentImageId });
+      return true;
+    } catch (error) {
+      logger.error('Failed to save colored version:', error);
+      return false;
+    }
+  }, [generatedImage, postGalleryImage]);
 
   /**
    * Resets the generation state
@@ -353,6 +925,10 @@ export const useGeneration = (options = {}) => {
     setRefinedPrompt('');
     setError(null);
     setMetadata(null);
+    setVariations([]);
+    setActiveVariation(0);
+    setPrintReport(null);
+    setRefinementPreview(null);
     setProgress(0);
     
     // Cancel any ongoing generation
@@ -379,12 +955,27 @@ export const useGeneration = (options = {}) => {
     error,
     metadata,
     progress,
+    progressStage,
+    jobStatus,
+    variations,
+    activeVariation,
+    printReport,
+    refinementPreview,
+    isRefining,
     
     // Actions
     generateImage,
+    previewRefinement,
+    generateFromPreview,
+    discardRefinement,
+    convertPhoto,
     cancelGeneration,
     downloadPDF,
+    downloadSVG,
     saveToGallery,
+    selectVariation,
+    saveVariationsToGallery,
+    saveColoredVersion,
     reset,
     clearError,
     
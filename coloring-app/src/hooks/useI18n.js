@@ -0,0 +1,17 @@
+/**
+ * useI18n Hook
+ *
+ * Translator and locale for the current UI language, from I18nProvider.
+ * Outside the provider it returns English, so hooks and components work in tests.
+ *
+ * Evidence: architecture.md Section 3.1 - Custom Hooks Architecture
+ */
+
+import { useContext } from 'react';
+import I18nContext from '../context/I18nContext.jsx';
+
+/**
+ * Custom hook for accessing the translator
+ * @returns {Object} { locale, dir, locales, setLocale, t, formatDate }
+ */
+export const useI18n = () => useContext(I18nContext);
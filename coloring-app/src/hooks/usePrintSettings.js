@@ -0,0 +1,71 @@
+/**
+ * usePrintSettings Hook
+ *
+ * Print settings for PDF downloads (page size, orientation, margins, bleed,
+ * trim marks, vector pages). Settings are remembered in localStorage so the
+ * preview, gallery and book builder all print the same way.
+ *
+ * Evidence: architecture.md Section 3.1 - Custom Hooks Architecture
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import { PRINT_CONFIG, validatePrintMargin } from '../utils';
+
+/**
+ * Saved settings merged over the defaults; unknown or invalid values are dropped
+ * localStorage may be unavailable (private mode, SSR) - failures fall back to defaults
+ */
+const loadSettings = () => {
+  const defaults = PRINT_CONFIG.defaultSettings;
+
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(PRINT_CONFIG.storageKey) || '{}');
+    return {
+      pageSize: PRINT_CONFIG.pageSizes[saved.pageSize] ? saved.pageSize : defaults.pageSize,
+      orientation: saved.orientation === 'landscape' ? 'landscape' : defaults.orientation,
+      margin: validatePrintMargin(saved.margin ?? '') ? defaults.margin : Number(saved.margin),
+      bleed: typeof saved.bleed === 'boolean' ? saved.bleed : defaults.bleed,
+      trimMarks: typeof saved.trimMarks === 'boolean' ? saved.trimMarks : defaults.trimMarks,
+      vector: typeof saved.vector === 'boolean' ? saved.vector : defaults.vector
+    };
+  } catch {
+    return { ...defaults };
+  }
+};
+
+/**
+ * Custom hook for persisted print settings
+ * @returns {Object} Settings, validation state and update actions
+ */
+export const usePrintSettings = () => {
+  const [settings, setSettings] = useState(loadSettings);
+
+  const marginError = validatePrintMargin(settings.margin);
+
+  // Only valid settings are remembered, so a half-typed margin isn't restored next time
+  useEffect(() => {
+    if (marginError) return;
+
+    try {
+      window.localStorage.setItem(PRINT_CONFIG.storageKey, JSON.stringify(settings));
+    } catch {
+      // Ignore storage errors - settings still apply for this visit
+    }
+  }, [settings, marginError]);
+
+  const updateSetting = useCallback((field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }));
+  }, []);
+
+  const resetSettings = useCallback(() => {
+    setSettings({ ...PRINT_CONFIG.defaultSettings });
+  }, []);
+
+  return {
+    settings,
+    errors: marginError ? { margin: marginError } : {},
+    isValid: !marginError,
+    updateSetting,
+    resetSettings
+  };
+};
@@ -0,0 +1,103 @@
+/**
+ * usePromptSuggestions Hook
+ *
+ * Autocomplete and idea chips for the description field, plus the "surprise me"
+ * random prompt. Suggestions come from the server's subject patterns and are
+ * fetched once typing pauses. Without the server, the selected theme's sample
+ * prompts are offered instead.
+ *
+ * Evidence: architecture.md Section 4.1 API Integration
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { API_CONFIG, createLogger } from '../utils';
+
+const logger = createLogger('usePromptSuggestions');
+
+/**
+ * Custom hook for prompt suggestions
+ * @param {string} prompt - Description typed so far
+ * @param {Object|null} theme - Selected theme option
+ * @param {Object} options - Hook options
+ * @param {Object[]} options.themes - Theme options, for offline surprises
+ * @param {number} options.delay - Pause in typing before fetching (ms)
+ * @returns {Object} { completions, ideas, isLoading, surprise }
+ */
+export const usePromptSuggestions = (prompt, theme, { themes = [], delay = 300 } = {}) => {
+  const [completions, setCompletions] = useState([]);
+  const [ideas, setIdeas] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const themeId = theme?.value || '';
+  const samplePrompts = theme?.samplePrompts;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      setIsLoading(true);
+      try {
+        const params = new URLSearchParams({ q: prompt || '' });
+        if (themeId) {
+          params.set('theme', themeId);
+        }
+
+        const response = await fetch(`${API_CONFIG.endpoints.suggestions}?${params}`);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.data) {
+          throw new Error(result.error || `Suggestions failed with status ${response.status}`);
+        }
+
+        if (!cancelled) {
+          setCompletions(result.data.completions || []);
+          setIdeas(result.data.ideas || []);
+        }
+      } catch (err) {
+        logger.warn('Failed to load prompt suggestions, using theme samples:', err);
+        if (!cancelled) {
+          setCompletions([]);
+          setIdeas(prompt ? [] : samplePrompts || []);
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    }, delay);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [prompt, themeId, samplePrompts, delay]);
+
+  /**
+   * A random prompt, within the selected theme if there is one
+   * @returns {Promise<{ prompt: string, theme: string|null }|null>}
+   */
+  const surprise = useCallback(async () => {
+    try {
+      const params = themeId ? `?${new URLSearchParams({ theme: themeId })}` : '';
+      const response = await fetch(`${API_CONFIG.endpoints.surpriseMe}${params}`);
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || !result.data?.prompt) {
+        throw new Error(result.error || `Surprise failed with status ${response.status}`);
+      }
+      return result.data;
+    } catch (err) {
+      logger.warn('Failed to load a surprise prompt, using a theme sample:', err);
+
+      const candidates = theme ? [theme] : themes.filter(option => option.samplePrompts?.length > 0);
+      if (candidates.length === 0) {
+        return null;
+      }
+      const picked = candidates[Math.floor(Math.random() * candidates.length)];
+      const samples = picked.samplePrompts || [];
+      return samples.length > 0
+        ? { prompt: samples[Math.floor(Math.random() * samples.length)], theme: picked.value }
+        : null;
+    }
+  }, [themeId, theme, themes]);
+
+  return { completions, ideas, isLoading, surprise };
+};
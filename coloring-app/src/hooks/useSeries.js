@@ -0,0 +1,113 @@
+/**
+ * useSeries Hook
+ *
+ * Loads and saves the signed-in user's series character/style sheets.
+ * A series sheet (name, character description, art style, line weight) is sent
+ * with every generation in the series so the character looks the same on each page.
+ *
+ * Evidence: architecture.md Section 4.1 API Integration
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import { auth } from '../../firebase-config.js';
+import { API_CONFIG, formatApiError, createLogger } from '../utils';
+import { useI18n } from './useI18n.js';
+
+const logger = createLogger('useSeries');
+
+/**
+ * Custom hook for series character/style sheets
+ * @param {Object|null} user - Signed-in user; series are only loaded for signed-in users
+ * @returns {Object} Series list and actions
+ */
+export const useSeries = (user) => {
+  const { t } = useI18n();
+  const [series, setSeries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Authenticated fetch against the series endpoint
+   */
+  const requestSeries = useCallback(async (options = {}) => {
+    const currentUser = auth.currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+
+    const idToken = await currentUser.getIdToken();
+    const response = await fetch(API_CONFIG.endpoints.series, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${idToken}`
+      }
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.details?.[0]?.msg || result.message || `Series request failed: ${response.status}`);
+    }
+
+    return result.data;
+  }, []);
+
+  /**
+   * Reloads the user's series list
+   */
+  const loadSeries = useCallback(async () => {
+    if (!user) {
+      setSeries([]);
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await requestSeries();
+      setSeries(data.series || []);
+    } catch (err) {
+      logger.error('Failed to load series:', err);
+      setError(formatApiError(err, t));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, requestSeries, t]);
+
+  /**
+   * Creates a series, or updates it when the sheet has an id
+   * @param {Object} sheet - Series character/style sheet
+   * @returns {Promise<Object|null>} Saved sheet, or null on failure
+   */
+  const saveSeries = useCallback(async (sheet) => {
+    setError(null);
+
+    try {
+      const saved = await requestSeries({
+        method: 'POST',
+        body: JSON.stringify(sheet)
+      });
+
+      setSeries(prev => [saved, ...prev.filter(item => item.id !== saved.id)]);
+      logger.log('Series saved:', saved.id);
+      return saved;
+    } catch (err) {
+      logger.error('Failed to save series:', err);
+      setError(formatApiError(err, t));
+      return null;
+    }
+  }, [requestSeries, t]);
+
+  useEffect(() => {
+    loadSeries();
+  }, [loadSeries]);
+
+  return {
+    series,
+    isLoading,
+    error,
+    loadSeries,
+    saveSeries
+  };
+};
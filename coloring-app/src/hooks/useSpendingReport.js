@@ -0,0 +1,122 @@
+/**
+ * useSpendingReport Hook
+ *
+ * Loads the admin spending report - generation costs per day, week or month,
+ * broken down by user, model and category - and downloads it as CSV.
+ *
+ * Evidence: architecture.md Section 4.1 API Integration
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import { auth } from '../../firebase-config.js';
+import { API_CONFIG, REPORTS_CONFIG, ERROR_MESSAGES, downloadBlob, createLogger } from '../utils';
+
+const logger = createLogger('useSpendingReport');
+
+/**
+ * Report URL for the given period, range and format
+ */
+const buildReportUrl = ({ period, from, to }, format = 'json') => {
+  const params = new URLSearchParams({ period, format });
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  return `${API_CONFIG.endpoints.costReport}?${params}`;
+};
+
+/**
+ * Authenticated GET against the report endpoint
+ * @param {string} url - Report URL
+ * @returns {Promise<Response>} Successful response
+ */
+const requestReport = async (url) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error(ERROR_MESSAGES.reportLoad);
+  }
+
+  const idToken = await currentUser.getIdToken();
+  const response = await fetch(url, {
+    headers: { 'Authorization': `Bearer ${idToken}` }
+  });
+
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    // Server messages explain bad dates or missing admin access; anything else gets the generic message
+    throw new Error(result.details?.[0]?.msg || result.message || ERROR_MESSAGES.reportLoad);
+  }
+
+  return response;
+};
+
+/**
+ * Custom hook for the spending report
+ * @param {Object|null} user - Signed-in admin
+ * @returns {Object} Report, filters and actions
+ */
+export const useSpendingReport = (user) => {
+  const [filters, setFilters] = useState({ period: REPORTS_CONFIG.defaultPeriod, from: '', to: '' });
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Reloads the report for the current filters
+   */
+  const loadReport = useCallback(async () => {
+    if (!user) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await requestReport(buildReportUrl(filters));
+      const result = await response.json();
+      setReport(result.data);
+    } catch (err) {
+      logger.error('Failed to load spending report:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user, filters]);
+
+  /**
+   * Downloads the report for the current filters as CSV
+   */
+  const downloadCsv = useCallback(async () => {
+    setIsExporting(true);
+    setError(null);
+
+    try {
+      const response = await requestReport(buildReportUrl(filters, 'csv'));
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1]
+        || `spending-${filters.period}.csv`;
+      downloadBlob(await response.blob(), filename);
+    } catch (err) {
+      logger.error('Failed to export spending report:', err);
+      setError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  }, [filters]);
+
+  const updateFilter = useCallback((field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  }, []);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  return {
+    filters,
+    report,
+    isLoading,
+    isExporting,
+    error,
+    updateFilter,
+    loadReport,
+    downloadCsv
+  };
+};
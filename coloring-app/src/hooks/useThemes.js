@@ -0,0 +1,47 @@
+/**
+ * useThemes Hook
+ *
+ * Loads the theme catalog from the server so themes added or edited by admins
+ * show up without a new build. Until the list arrives, or when the server
+ * can't be reached, the catalog bundled from shared/themes.json is used.
+ *
+ * Evidence: architecture.md Section 4.1 API Integration
+ */
+
+import { useState, useEffect } from 'react';
+import { API_CONFIG, THEME_OPTIONS, toThemeOption, createLogger } from '../utils';
+
+const logger = createLogger('useThemes');
+
+/**
+ * Custom hook for the theme catalog
+ * @returns {Object[]} Theme options ({ value, label, description, icon, defaultComplexity, samplePrompts, thumbnail })
+ */
+export const useThemes = () => {
+  const [themes, setThemes] = useState(THEME_OPTIONS);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadThemes = async () => {
+      try {
+        const response = await fetch(API_CONFIG.endpoints.themes);
+        const result = await response.json().catch(() => ({}));
+
+        if (!cancelled && response.ok && Array.isArray(result.data?.themes)) {
+          setThemes(result.data.themes.map(toThemeOption));
+        }
+      } catch (err) {
+        logger.warn('Failed to load themes, using the bundled catalog:', err);
+      }
+    };
+
+    loadThemes();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return themes;
+};
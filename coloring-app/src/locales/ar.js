@@ -0,0 +1,508 @@
+/**
+ * Arabic UI messages (right-to-left)
+ * Keys mirror en.js; missing keys fall back to English.
+ * Plurals use all six Arabic categories: zero, one, two, few, many, other.
+ */
+
+export default {
+  header: {
+    title: 'صانع كتب التلوين',
+    contrastNormal: 'عادي',
+    contrastHigh: 'تباين عالٍ',
+    contrastToggle: 'تشغيل التباين العالي أو إيقافه',
+    language: 'اللغة'
+  },
+
+  nav: {
+    create: 'إنشاء',
+    gallery: 'المعرض',
+    spending: 'النفقات',
+    signIn: 'تسجيل الدخول'
+  },
+
+  app: {
+    loading: 'جارٍ التحميل...',
+    createTitle: 'أنشئ صفحات تلوين جميلة',
+    createIntro: 'حوّل أفكارك إلى رسومات خطية بالأبيض والأسود مثالية للتلوين. صِف ما تريده، واضبط التفاصيل، ودع الذكاء الاصطناعي يصنع لك صفحة التلوين المثالية!',
+    tipLabel: 'نصيحة:',
+    tip: 'سجّل الدخول لحفظ صورك في معرضك الشخصي والوصول إليها في أي وقت!',
+    galleryTitle: 'معرض التلوين الخاص بك',
+    galleryIntro: 'تصفّح كل صفحات التلوين التي أنشأتها. انقر على أي صورة لعرضها بالحجم الكامل، أو استخدم خيارات الحذف لتنظيم مجموعتك.',
+    spendingTitle: 'النفقات',
+    spendingIntro: 'تكلفة توليد الصور يوميًا أو أسبوعيًا أو شهريًا، موزعة حسب النموذج والفئة والمستخدم.',
+    authTitle: 'انضم إلى صانع كتب التلوين',
+    authIntro: 'أنشئ حسابًا لحفظ صفحات التلوين وبناء معرضك الشخصي والوصول إلى إبداعاتك من أي مكان.',
+    footer: 'صُنع بـ ❤️ للعقول المبدعة في كل مكان'
+  },
+
+  form: {
+    title: 'أنشئ صفحة التلوين الخاصة بك',
+    promptLabel: 'صِف صفحة التلوين *',
+    promptAria: 'صِف صفحة التلوين',
+    promptPlaceholder: 'مثال: unicorn in a forest',
+    promptGood: 'وصف رائع!',
+    completions: 'اقتراحات للإكمال',
+    tryIdeas: 'جرّب:',
+    surprise: '🎲 فاجئني',
+    themeLabel: 'اختر موضوعًا (اختياري)',
+    themePlaceholder: 'اختر موضوعًا (اختياري)',
+    customizations: 'خيارات التخصيص',
+    complexityLabel: 'مستوى التفاصيل *',
+    complexityHint: 'اختر مستوى التفاصيل المناسب لجمهورك',
+    complexityGood: 'اختيار ممتاز!',
+    complexity: {
+      simple: 'بسيط',
+      medium: 'متوسط',
+      detailed: 'مفصّل'
+    },
+    ageLabel: 'الفئة العمرية *',
+    ageHint: 'بساطة للأطفال أو تفاصيل أكثر للكبار',
+    ageGood: 'اختيار رائع!',
+    age: {
+      kids: 'أطفال',
+      teens: 'مراهقون',
+      adults: 'بالغون'
+    },
+    border: 'مع إطار زخرفي',
+    lineLabel: 'سُمك الخطوط *',
+    lineHint: 'الخطوط السميكة أسهل في التلوين للأطفال الصغار',
+    linePlaceholder: 'اختر السُمك',
+    lineGood: 'سُمك ممتاز!',
+    line: {
+      thin: 'خطوط رفيعة (متقدم)',
+      medium: 'خطوط متوسطة (قياسي)',
+      thick: 'خطوط سميكة (للأطفال)'
+    },
+    mustInclude: 'يجب أن تتضمن (اختياري)',
+    mustIncludePlaceholder: 'مثال: a crown - اضغط Enter للإضافة',
+    mustAvoid: 'يجب أن تتجنب (اختياري)',
+    mustAvoidPlaceholder: 'مثال: text - اضغط Enter للإضافة',
+    removeItem: 'إزالة {item}',
+    maxItems: {
+      one: 'عنصر واحد كحد أقصى',
+      two: 'عنصران كحد أقصى',
+      few: 'حتى {count} عناصر',
+      many: 'حتى {count} عنصرًا',
+      other: 'حتى {count} عنصر'
+    },
+    variationsLabel: 'النسخ',
+    variationsHint: 'أنشئ عدة نسخ واحتفظ بالمفضلة لديك (تُحتسب تكلفة كل صورة)',
+    variationsPlaceholder: 'عدد النسخ',
+    variations: {
+      one: 'صفحة واحدة',
+      two: 'نسختان',
+      few: '{count} نسخ',
+      many: '{count} نسخة',
+      other: '{count} نسخة'
+    },
+    reuse: 'إعادة استخدام صفحة مطابقة سابقة (مجانًا)',
+    seriesLabel: 'سلسلة',
+    seriesHint: 'حافظ على شكل الشخصية نفسه في كل صفحات الكتاب',
+    generate: 'إنشاء صفحة التلوين',
+    generating: 'جارٍ صنع السحر...',
+    generateTitle: 'إنشاء صفحة التلوين',
+    generateDisabledTitle: 'املأ الحقول المطلوبة للإنشاء',
+    generateTooltip: 'اصنع تحفتك الفنية!',
+    preview: '📝 معاينة الوصف أولًا (مجانًا)',
+    previewTitle: 'راجع الوصف المحسَّن بالذكاء الاصطناعي وعدّله قبل الرسم - التحسين مجاني',
+    refining: 'جارٍ تحسين فكرتك...',
+    errors: {
+      prompt: 'يرجى إدخال وصف',
+      complexity: 'اختر مستوى التفاصيل',
+      ageGroup: 'اختر الفئة العمرية',
+      lineThickness: 'اختر سُمك الخطوط',
+      tooLong: {
+        one: 'الحد الأقصى حرف واحد',
+        two: 'الحد الأقصى حرفان',
+        few: 'الحد الأقصى {count} أحرف',
+        many: 'الحد الأقصى {count} حرفًا',
+        other: 'الحد الأقصى {count} حرف'
+      }
+    }
+  },
+
+  auth: {
+    loading: 'جارٍ التحميل...',
+    titles: {
+      signin: 'تسجيل الدخول',
+      signup: 'إنشاء حساب',
+      reset: 'إعادة تعيين كلمة المرور'
+    },
+    subtitles: {
+      signin: 'مرحبًا بعودتك إلى صانع كتب التلوين',
+      signup: 'انضم إلى صانع كتب التلوين اليوم',
+      reset: 'أدخل بريدك الإلكتروني لإعادة تعيين كلمة المرور'
+    },
+    submit: {
+      signin: 'تسجيل الدخول',
+      signup: 'إنشاء حساب',
+      reset: 'إرسال رسالة إعادة التعيين'
+    },
+    welcomeBack: 'مرحبًا بعودتك!',
+    welcomeBackName: 'مرحبًا بعودتك يا {name}!',
+    signOut: 'تسجيل الخروج',
+    google: 'المتابعة باستخدام Google',
+    mockUsers: 'مستخدمون تجريبيون (للتطوير فقط)',
+    orEmail: 'أو تابع بالبريد الإلكتروني',
+    fullName: 'الاسم الكامل',
+    fullNamePlaceholder: 'أدخل اسمك الكامل',
+    email: 'البريد الإلكتروني',
+    emailPlaceholder: 'أدخل بريدك الإلكتروني',
+    password: 'كلمة المرور',
+    passwordPlaceholder: 'أدخل كلمة المرور',
+    confirmPassword: 'تأكيد كلمة المرور',
+    confirmPasswordPlaceholder: 'أكّد كلمة المرور',
+    ageLabel: 'التحقق من العمر:',
+    ageNote: 'بإنشاء حساب، تؤكد أن عمرك 13 عامًا على الأقل. قد يلزم التحقق من العمر للدفع والميزات المميزة.',
+    processing: 'جارٍ المعالجة...',
+    noAccount: 'ليس لديك حساب؟',
+    signUpLink: 'سجّل الآن',
+    forgotPassword: 'نسيت كلمة المرور؟',
+    resetLink: 'أعد تعيينها',
+    haveAccount: 'لديك حساب بالفعل؟',
+    rememberPassword: 'تذكرت كلمة المرور؟',
+    signInLink: 'سجّل الدخول',
+    messages: {
+      accountCreated: 'تم إنشاء الحساب بنجاح! مرحبًا بك في صانع كتب التلوين.',
+      resetSent: 'تم إرسال رسالة إعادة التعيين! تحقق من بريدك الوارد.',
+      googleSignedIn: 'تم تسجيل الدخول باستخدام Google بنجاح!',
+      mockSignedIn: 'تسجيل دخول تجريبي باسم {name} (وضع التطوير)',
+      signedOut: 'تم تسجيل الخروج بنجاح'
+    },
+    errors: {
+      emailRequired: 'البريد الإلكتروني مطلوب',
+      emailInvalid: 'البريد الإلكتروني غير صالح',
+      passwordRequired: 'كلمة المرور مطلوبة',
+      passwordTooShort: 'يجب أن تتكون كلمة المرور من 6 أحرف على الأقل',
+      displayNameRequired: 'الاسم مطلوب',
+      passwordMismatch: 'كلمتا المرور غير متطابقتين',
+      resetEmailRequired: 'البريد الإلكتروني مطلوب لإعادة تعيين كلمة المرور',
+      signUpFailed: 'تعذّر إنشاء الحساب',
+      signInFailed: 'تعذّر تسجيل الدخول',
+      resetFailed: 'تعذّر إرسال رسالة إعادة التعيين',
+      googleFailed: 'تعذّر تسجيل الدخول باستخدام Google',
+      emailInUse: 'يوجد حساب بهذا البريد الإلكتروني بالفعل',
+      invalidEmail: 'يرجى إدخال بريد إلكتروني صالح',
+      weakPassword: 'يجب أن تتكون كلمة المرور من 6 أحرف على الأقل',
+      userNotFound: 'لا يوجد حساب بهذا البريد الإلكتروني',
+      wrongPassword: 'كلمة المرور غير صحيحة',
+      userDisabled: 'تم تعطيل هذا الحساب',
+      tooManyRequests: 'محاولات فاشلة كثيرة. يرجى المحاولة لاحقًا.',
+      popupClosed: 'تم إلغاء تسجيل الدخول',
+      popupBlocked: 'تم حظر النافذة المنبثقة. يرجى السماح بالنوافذ المنبثقة والمحاولة مرة أخرى.',
+      mockOnly: 'المستخدمون التجريبيون متاحون في وضع التطوير فقط',
+      mockFailed: 'تعذّر تسجيل الدخول بالمستخدم التجريبي',
+      signOutFailed: 'تعذّر تسجيل الخروج'
+    }
+  },
+
+  gallery: {
+    title: 'معرضي',
+    titleWithCount: {
+      zero: 'معرضي (لا توجد صور)',
+      one: 'معرضي (صورة واحدة)',
+      two: 'معرضي (صورتان)',
+      few: 'معرضي ({count} صور)',
+      many: 'معرضي ({count} صورة)',
+      other: 'معرضي ({count} صورة)'
+    },
+    loading: 'جارٍ تحميل معرضك...',
+    loadErrorTitle: 'تعذّر تحميل المعرض',
+    tryAgain: 'حاول مرة أخرى',
+    loadingMore: 'جارٍ تحميل المزيد من الصفحات...',
+    loadMoreFailed: 'تعذّر تحميل المزيد من الصفحات.',
+    emptyTitle: 'لا توجد صور بعد',
+    emptyText: 'أنشئ أول صفحة تلوين لتبدأ معرضك!',
+    printSettings: 'إعدادات الطباعة',
+    selectAll: 'تحديد الكل',
+    deselectAll: 'إلغاء تحديد الكل',
+    makeBook: 'إنشاء كتاب ({count})',
+    deleteSelected: 'حذف المحدد ({count})',
+    deleteImage: 'حذف الصورة',
+    imageAlt: 'صفحة تلوين منشأة',
+    imageUnavailable: 'الصورة غير متاحة',
+    noDescription: 'لا يوجد وصف',
+    translationTitle: 'النص الإنجليزي الذي رُسمت منه الصفحة',
+    unknownDate: 'تاريخ غير معروف',
+    exportPdfTitle: 'ملف PDF قابل للطباعة',
+    exportSvgTitle: 'ملف متجهي قابل للتحجيم للمطابع وآلات القص',
+    makeAgain: 'أعد الإنشاء',
+    makeAgainTitle: 'أنشئ صفحة جديدة بالوصف والإعدادات والقيود نفسها',
+    color: 'لوّن',
+    colorTitle: 'لوّن هذه الصفحة في التطبيق',
+    avoidItem: 'بدون {item}',
+    fromPhoto: 'من صورة',
+    coloredIn: 'ملوّنة',
+    coloredCount: {
+      one: 'نسخة ملوّنة واحدة',
+      two: 'نسختان ملوّنتان',
+      few: '{count} نسخ ملوّنة',
+      many: '{count} نسخة ملوّنة',
+      other: '{count} نسخة ملوّنة'
+    },
+    confirmTitle: 'تأكيد الحذف',
+    confirmSingle: 'هل تريد بالتأكيد حذف هذه الصورة؟ لا يمكن التراجع عن هذا الإجراء.',
+    confirmBulk: {
+      one: 'هل تريد بالتأكيد حذف الصورة المحددة؟ لا يمكن التراجع عن هذا الإجراء.',
+      two: 'هل تريد بالتأكيد حذف الصورتين المحددتين؟ لا يمكن التراجع عن هذا الإجراء.',
+      few: 'هل تريد بالتأكيد حذف {count} صور محددة؟ لا يمكن التراجع عن هذا الإجراء.',
+      many: 'هل تريد بالتأكيد حذف {count} صورة محددة؟ لا يمكن التراجع عن هذا الإجراء.',
+      other: 'هل تريد بالتأكيد حذف {count} صورة محددة؟ لا يمكن التراجع عن هذا الإجراء.'
+    },
+    cancel: 'إلغاء',
+    delete: 'حذف',
+    deleting: 'جارٍ الحذف...',
+    filters: {
+      searchLabel: 'بحث',
+      searchPlaceholder: 'ابحث في صفحاتك...',
+      theme: 'السمة',
+      complexity: 'مستوى التفاصيل',
+      ageGroup: 'الفئة العمرية',
+      category: 'الموضوع',
+      model: 'النموذج',
+      from: 'من',
+      to: 'إلى',
+      sort: 'ترتيب حسب',
+      any: 'الكل',
+      reset: 'مسح عوامل التصفية',
+      noMatchesTitle: 'لا توجد صفحات مطابقة',
+      noMatchesText: 'جرّب كلمات أخرى أو أزل بعض عوامل التصفية.',
+      sorts: {
+        newest: 'الأحدث أولاً',
+        oldest: 'الأقدم أولاً',
+        title: 'العنوان (أ-ي)'
+      },
+      categories: {
+        domesticAnimals: 'الحيوانات الأليفة وحيوانات المزرعة',
+        wildAnimals: 'الحيوانات البرية',
+        prehistoric: 'الديناصورات',
+        marineLife: 'الحياة البحرية',
+        insects: 'الحشرات',
+        fantasy: 'الخيال',
+        nature: 'الطبيعة',
+        vehicles: 'المركبات',
+        food: 'الطعام',
+        objects: 'الأشياء',
+        sports: 'الرياضة',
+        holidays: 'الأعياد',
+        music: 'الموسيقى',
+        mandalas: 'الماندالا',
+        abstract: 'تجريدي',
+        architecture: 'المباني',
+        clothing: 'الملابس',
+        space: 'الفضاء',
+        professions: 'الناس والمهن',
+        weather: 'الطقس والفصول',
+        toys: 'الألعاب',
+        general: 'أخرى'
+      }
+    },
+    collections: {
+      title: 'المجموعات',
+      all: 'كل الصفحات',
+      new: 'مجموعة جديدة',
+      nameLabel: 'اسم المجموعة',
+      namePlaceholder: 'مثلًا: حفلة عيد ميلاد',
+      create: 'إنشاء',
+      save: 'حفظ',
+      rename: 'إعادة تسمية',
+      delete: 'حذف المجموعة',
+      confirmDelete: 'حذف المجموعة "{name}"؟ ستبقى صفحاتها في معرضك.',
+      imageCount: {
+        zero: 'لا توجد صفحات',
+        one: 'صفحة واحدة',
+        two: 'صفحتان',
+        few: '{count} صفحات',
+        many: '{count} صفحة',
+        other: '{count} صفحة'
+      },
+      moveSelected: 'نقل إلى مجموعة ({count})',
+      removeSelected: 'إزالة من المجموعة ({count})',
+      cover: 'الغلاف',
+      setCover: 'تعيين كغلاف',
+      emptyTitle: 'هذه المجموعة فارغة',
+      emptyText: 'اختر صفحات من كل الصفحات وانقلها إلى هنا.',
+      errors: {
+        duplicate: 'لديك بالفعل مجموعة بهذا الاسم.',
+        failed: 'تعذّر تحديث مجموعاتك: {message}'
+      }
+    },
+    errors: {
+      accessDenied: 'تم رفض الوصول. يرجى تسجيل الدخول مرة أخرى.',
+      loadFailed: 'تعذّر تحميل المعرض: {message}',
+      deleteOne: 'تعذّر حذف الصورة. يرجى المحاولة مرة أخرى.',
+      deleteMany: 'تعذّر حذف الصور. يرجى المحاولة مرة أخرى.',
+      export: 'تعذّر تصدير {format}. يرجى المحاولة مرة أخرى.'
+    }
+  },
+
+  book: {
+    title: 'إنشاء كتاب تلوين',
+    bookTitle: 'عنوان الكتاب *',
+    bookTitlePlaceholder: 'مغامرتي في المحيط',
+    author: 'المؤلف',
+    authorPlaceholder: 'اسمك',
+    tableOfContents: 'جدول المحتويات',
+    pageNumbers: 'أرقام الصفحات',
+    blankBacks: 'ظهر فارغ للصفحات (طباعة على وجه واحد)',
+    pageLimit: 'الحد الأقصى للكتاب {max} صفحة؛ أُضيفت أول {max} صورة محددة فقط.',
+    pageTitle: 'عنوان الصفحة {number}',
+    pagePlaceholder: 'الصفحة {number}',
+    moveUp: 'نقل الصفحة {number} لأعلى',
+    moveDown: 'نقل الصفحة {number} لأسفل',
+    remove: 'إزالة الصفحة {number}',
+    unprintable: {
+      one: 'الصورة المحددة أكبر من أن تُطبع من المعرض. أزلها للمتابعة.',
+      two: 'الصورتان المحددتان أكبر من أن تُطبعا من المعرض. أزلهما للمتابعة.',
+      few: '{count} صور محددة أكبر من أن تُطبع من المعرض. أزلها للمتابعة.',
+      many: '{count} صورة محددة أكبر من أن تُطبع من المعرض. أزلها للمتابعة.',
+      other: '{count} صورة محددة أكبر من أن تُطبع من المعرض. أزلها للمتابعة.'
+    },
+    cancel: 'إلغاء',
+    building: 'جارٍ الإنشاء...',
+    download: {
+      one: 'تنزيل الكتاب بصيغة PDF (صفحة واحدة)',
+      two: 'تنزيل الكتاب بصيغة PDF (صفحتان)',
+      few: 'تنزيل الكتاب بصيغة PDF ({count} صفحات)',
+      many: 'تنزيل الكتاب بصيغة PDF ({count} صفحة)',
+      other: 'تنزيل الكتاب بصيغة PDF ({count} صفحة)'
+    },
+    failed: 'تعذّر إنشاء الكتاب: {status}'
+  },
+
+  credits: {
+    buttonTitle: 'أرصدة التوليد',
+    balance: {
+      zero: 'لا توجد أرصدة',
+      one: 'رصيد واحد',
+      two: 'رصيدان',
+      few: '{count} أرصدة',
+      many: '{count} رصيدًا',
+      other: '{count} رصيد'
+    },
+    dialogLabel: 'استخدام الأرصدة',
+    plan: 'خطة {plan}',
+    perMonth: '{count} / شهريًا',
+    left: 'المتبقي {count}',
+    leftWithHeld: 'المتبقي {count}، و{reserved} محجوزة لصفحات قيد الإنشاء',
+    low: 'رصيدك منخفض - تحجز الصفحة حتى 34 رصيدًا أثناء رسمها، ولا تُحاسب إلا على تكلفتها الفعلية.',
+    recent: 'الاستخدام الأخير',
+    loading: 'جارٍ التحميل...',
+    empty: 'لا يوجد استخدام بعد',
+    pages: {
+      one: 'صفحة واحدة',
+      two: 'صفحتان',
+      few: '{count} صفحات',
+      many: '{count} صفحة',
+      other: '{count} صفحة'
+    },
+    entries: {
+      grant: 'الأرصدة الشهرية',
+      reserved: 'قيد التنفيذ',
+      settled: 'توليد',
+      refunded: 'مُسترد'
+    }
+  },
+
+  spending: {
+    groupBy: 'التجميع حسب',
+    from: 'من',
+    to: 'إلى',
+    loading: 'جارٍ التحميل...',
+    refresh: 'تحديث',
+    exporting: 'جارٍ التصدير...',
+    downloadCsv: 'تنزيل CSV',
+    range: 'من {from} إلى {to} (UTC)',
+    truncated: 'هذه الفترة تضم عمليات توليد أكثر من أن تُشمل كلها؛ ضيّق التواريخ للحصول على إجماليات دقيقة.',
+    totalSpend: 'إجمالي الإنفاق',
+    generations: 'عمليات التوليد',
+    pages: 'الصفحات',
+    averagePerPage: 'المتوسط لكل صفحة',
+    spendPer: {
+      day: 'الإنفاق اليومي',
+      week: 'الإنفاق الأسبوعي',
+      month: 'الإنفاق الشهري'
+    },
+    empty: 'لا توجد عمليات توليد في هذه الفترة',
+    bucketPages: '{count} ص',
+    columns: {
+      name: 'الاسم',
+      pages: 'الصفحات',
+      cost: 'التكلفة',
+      share: 'النسبة'
+    },
+    periods: {
+      day: 'يومي',
+      week: 'أسبوعي',
+      month: 'شهري'
+    },
+    breakdowns: {
+      byModel: 'حسب النموذج',
+      byCategory: 'حسب الفئة',
+      byUser: 'حسب المستخدم'
+    }
+  },
+
+  photo: {
+    title: 'حوّل صورة إلى صفحة تلوين',
+    fileLabel: 'صورة أو رسمة',
+    previewAlt: 'الصورة المحددة',
+    method: 'طريقة التحويل',
+    modes: {
+      local: 'تتبّع الخطوط (مجانًا)',
+      ai: 'إعادة الرسم بالذكاء الاصطناعي (مدفوع)'
+    },
+    lineThickness: 'سُمك الخط',
+    lines: {
+      thin: 'خطوط رفيعة',
+      medium: 'خطوط متوسطة',
+      thick: 'خطوط سميكة'
+    },
+    imageType: 'نوع الصورة',
+    styles: {
+      photo: 'صورة فوتوغرافية',
+      drawing: 'رسمة على ورق'
+    },
+    detailLevel: 'مستوى التفاصيل',
+    details: {
+      low: 'تفاصيل قليلة',
+      medium: 'تفاصيل متوسطة',
+      high: 'تفاصيل كثيرة'
+    },
+    promptPlaceholder: 'ماذا في الصورة؟ مثلًا: كلبنا ماكس على الشاطئ',
+    promptLabel: 'وصف الصورة',
+    convert: 'التحويل إلى صفحة تلوين',
+    converting: 'جارٍ التحويل...'
+  },
+
+  errors: {
+    apiGeneral: 'تعذّر إنشاء صفحة التلوين. يرجى المحاولة مرة أخرى.',
+    apiTimeout: 'انتهت مهلة الطلب. يرجى المحاولة مرة أخرى.',
+    apiRateLimit: 'طلبات كثيرة جدًا. يرجى الانتظار قليلًا ثم المحاولة مرة أخرى.',
+    apiContentPolicy: 'المحتوى يخالف إرشادات أمان الذكاء الاصطناعي. يرجى تجربة وصف مختلف.',
+    apiFamilyFriendly: 'يرجى استخدام محتوى مناسب للعائلة فقط.',
+    pdfGeneration: 'تعذّر إنشاء ملف PDF. يرجى المحاولة مرة أخرى.',
+    pdfMissingImage: 'لا توجد صورة لإنشاء ملف PDF',
+    svgExport: 'تعذّر تصدير SVG. يرجى المحاولة مرة أخرى.',
+    printMargin: 'يجب أن يكون الهامش بين 0 و1.5 بوصة',
+    insufficientCredits: 'رصيدك غير كافٍ لهذه الصفحة. جرّب عددًا أقل من النسخ أو انتظر رصيد الشهر القادم.',
+    creditsLoad: 'تعذّر تحميل رصيدك.',
+    budgetExceeded: 'تم بلوغ الحد اليومي للإنشاء. يرجى المحاولة غدًا.',
+    reportLoad: 'تعذّر تحميل تقرير النفقات. يرجى المحاولة مرة أخرى.',
+    galleryAuth: 'يرجى تسجيل الدخول لحفظ الصور في معرضك',
+    gallerySave: 'تعذّر حفظ الصورة في المعرض. يرجى المحاولة مرة أخرى.',
+    photoType: 'يرجى اختيار صورة بصيغة PNG أو JPEG أو WebP أو GIF',
+    photoTooLarge: 'الصورة كبيرة جدًا. يرجى اختيار صورة أصغر من 6 ميغابايت.',
+    coloringLoad: 'لا يمكن تلوين هذه الصفحة في التطبيق. جرّب تنزيلها وطباعتها.',
+    coloringSave: 'تعذّر حفظ صفحتك الملوّنة. يرجى المحاولة مرة أخرى.',
+    formInvalid: 'يرجى ملء جميع الحقول المطلوبة',
+    promptRequired: 'يرجى إدخال وصف لصفحة التلوين'
+  },
+
+  success: {
+    imageGenerated: 'تم إنشاء صفحة التلوين بنجاح!',
+    pdfDownloaded: 'تم تنزيل ملف PDF بنجاح',
+    imageSaved: 'تم حفظ الصورة في معرضك!',
+    formValid: 'تم ملء جميع الحقول بشكل صحيح'
+  }
+};
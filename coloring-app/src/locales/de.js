@@ -0,0 +1,471 @@
+/**
+ * German UI messages
+ * Keys mirror en.js; missing keys fall back to English.
+ */
+
+export default {
+  header: {
+    title: 'Malbuch-Generator',
+    contrastNormal: 'Normal',
+    contrastHigh: 'Hoher Kontrast',
+    contrastToggle: 'Hohen Kontrast ein- oder ausschalten',
+    language: 'Sprache'
+  },
+
+  nav: {
+    create: 'Erstellen',
+    gallery: 'Galerie',
+    spending: 'Ausgaben',
+    signIn: 'Anmelden'
+  },
+
+  app: {
+    loading: 'Wird geladen...',
+    createTitle: 'Wunderschöne Ausmalbilder erstellen',
+    createIntro: 'Verwandle deine Ideen in schwarz-weiße Strichzeichnungen, die sich perfekt zum Ausmalen eignen. Beschreibe einfach, was du möchtest, passe die Details an und lass die KI dein Ausmalbild erstellen!',
+    tipLabel: 'Tipp:',
+    tip: 'Melde dich an, um deine Bilder in deiner persönlichen Galerie zu speichern und jederzeit darauf zuzugreifen!',
+    galleryTitle: 'Deine Ausmalgalerie',
+    galleryIntro: 'Stöbere in all deinen Ausmalbildern. Klicke auf ein Bild, um es in voller Größe zu sehen, oder nutze die Löschoptionen, um deine Sammlung zu verwalten.',
+    spendingTitle: 'Ausgaben',
+    spendingIntro: 'Was die Bildgenerierung pro Tag, Woche oder Monat gekostet hat - aufgeschlüsselt nach Modell, Kategorie und Nutzer.',
+    authTitle: 'Beim Malbuch-Generator mitmachen',
+    authIntro: 'Erstelle ein Konto, um deine Ausmalbilder zu speichern, deine Galerie aufzubauen und überall auf deine Werke zuzugreifen.',
+    footer: 'Mit ❤️ für kreative Köpfe überall gemacht'
+  },
+
+  form: {
+    title: 'Erstelle dein Ausmalbild',
+    promptLabel: 'Beschreibe dein Ausmalbild *',
+    promptAria: 'Beschreibe dein Ausmalbild',
+    promptPlaceholder: 'z. B. ein Einhorn im Wald',
+    promptGood: 'Tolle Beschreibung!',
+    completions: 'Vorschläge zum Vervollständigen',
+    tryIdeas: 'Probier:',
+    surprise: '🎲 Überrasch mich',
+    themeLabel: 'Thema wählen (optional)',
+    themePlaceholder: 'Wähle ein Thema (optional)',
+    customizations: 'Anpassungsoptionen',
+    complexityLabel: 'Detailgrad *',
+    complexityHint: 'Wähle den Detailgrad passend zu deiner Zielgruppe',
+    complexityGood: 'Perfekte Wahl!',
+    complexity: {
+      simple: 'Einfach',
+      medium: 'Mittel',
+      detailed: 'Detailliert'
+    },
+    ageLabel: 'Altersgruppe *',
+    ageHint: 'Kinderfreundlich einfach oder anspruchsvoll für Erwachsene',
+    ageGood: 'Gute Auswahl!',
+    age: {
+      kids: 'Kinder',
+      teens: 'Jugendliche',
+      adults: 'Erwachsene'
+    },
+    border: 'Mit dekorativem Rahmen',
+    lineLabel: 'Linienstärke *',
+    lineHint: 'Dickere Linien lassen sich von jüngeren Kindern leichter ausmalen',
+    linePlaceholder: 'Linienstärke wählen',
+    lineGood: 'Ausgezeichnete Linienstärke!',
+    line: {
+      thin: 'Dünne Linien (Fortgeschritten)',
+      medium: 'Mittlere Linien (Standard)',
+      thick: 'Dicke Linien (Kinderfreundlich)'
+    },
+    mustInclude: 'Muss enthalten (optional)',
+    mustIncludePlaceholder: 'z. B. a crown - mit Enter hinzufügen',
+    mustAvoid: 'Muss vermeiden (optional)',
+    mustAvoidPlaceholder: 'z. B. text - mit Enter hinzufügen',
+    removeItem: '{item} entfernen',
+    maxItems: {
+      one: 'Bis zu {count} Eintrag',
+      other: 'Bis zu {count} Einträge'
+    },
+    variationsLabel: 'Varianten',
+    variationsHint: 'Erzeuge mehrere Versionen und behalte deine Favoriten (jedes Bild wird berechnet)',
+    variationsPlaceholder: 'Anzahl der Varianten',
+    variations: {
+      one: '{count} Seite',
+      other: '{count} Varianten'
+    },
+    reuse: 'Identische frühere Seite wiederverwenden (kostenlos)',
+    seriesLabel: 'Serie',
+    seriesHint: 'Eine Figur sieht auf jeder Seite eines Buches gleich aus',
+    generate: 'Ausmalbild erstellen',
+    generating: 'Magie entsteht...',
+    generateTitle: 'Ausmalbild erstellen',
+    generateDisabledTitle: 'Fülle die Pflichtfelder aus, um zu erstellen',
+    generateTooltip: 'Erschaffe dein Meisterwerk!',
+    preview: '📝 Zuerst die Beschreibung ansehen (kostenlos)',
+    previewTitle: 'Sieh dir die von der KI verbesserte Beschreibung vor dem Zeichnen an und bearbeite sie - das Verbessern ist kostenlos',
+    refining: 'Deine Idee wird verfeinert...',
+    errors: {
+      prompt: 'Bitte gib eine Beschreibung ein',
+      complexity: 'Wähle einen Detailgrad',
+      ageGroup: 'Wähle eine Altersgruppe',
+      lineThickness: 'Wähle eine Linienstärke',
+      tooLong: {
+        one: 'Höchstens {count} Zeichen erlaubt',
+        other: 'Höchstens {count} Zeichen erlaubt'
+      }
+    }
+  },
+
+  auth: {
+    loading: 'Wird geladen...',
+    titles: {
+      signin: 'Anmelden',
+      signup: 'Konto erstellen',
+      reset: 'Passwort zurücksetzen'
+    },
+    subtitles: {
+      signin: 'Willkommen zurück beim Malbuch-Generator',
+      signup: 'Mach noch heute beim Malbuch-Generator mit',
+      reset: 'Gib deine E-Mail-Adresse ein, um dein Passwort zurückzusetzen'
+    },
+    submit: {
+      signin: 'Anmelden',
+      signup: 'Konto erstellen',
+      reset: 'Link zum Zurücksetzen senden'
+    },
+    welcomeBack: 'Willkommen zurück!',
+    welcomeBackName: 'Willkommen zurück, {name}!',
+    signOut: 'Abmelden',
+    google: 'Weiter mit Google',
+    mockUsers: 'Testnutzer (nur Entwicklung)',
+    orEmail: 'Oder weiter mit E-Mail',
+    fullName: 'Vollständiger Name',
+    fullNamePlaceholder: 'Gib deinen vollständigen Namen ein',
+    email: 'E-Mail-Adresse',
+    emailPlaceholder: 'Gib deine E-Mail-Adresse ein',
+    password: 'Passwort',
+    passwordPlaceholder: 'Gib dein Passwort ein',
+    confirmPassword: 'Passwort bestätigen',
+    confirmPasswordPlaceholder: 'Bestätige dein Passwort',
+    ageLabel: 'Altersprüfung:',
+    ageNote: 'Mit dem Erstellen eines Kontos bestätigst du, dass du mindestens 13 Jahre alt bist. Für Zahlungen und Premium-Funktionen kann eine Altersprüfung nötig sein.',
+    processing: 'Wird verarbeitet...',
+    noAccount: 'Noch kein Konto?',
+    signUpLink: 'Registrieren',
+    forgotPassword: 'Passwort vergessen?',
+    resetLink: 'Zurücksetzen',
+    haveAccount: 'Schon ein Konto?',
+    rememberPassword: 'Passwort wieder eingefallen?',
+    signInLink: 'Anmelden',
+    messages: {
+      accountCreated: 'Konto erstellt! Willkommen beim Malbuch-Generator.',
+      resetSent: 'E-Mail zum Zurücksetzen gesendet! Sieh in deinem Posteingang nach.',
+      googleSignedIn: 'Erfolgreich mit Google angemeldet!',
+      mockSignedIn: 'Testanmeldung als {name} (Entwicklungsmodus)',
+      signedOut: 'Erfolgreich abgemeldet'
+    },
+    errors: {
+      emailRequired: 'E-Mail-Adresse ist erforderlich',
+      emailInvalid: 'E-Mail-Adresse ist ungültig',
+      passwordRequired: 'Passwort ist erforderlich',
+      passwordTooShort: 'Das Passwort muss mindestens 6 Zeichen lang sein',
+      displayNameRequired: 'Name ist erforderlich',
+      passwordMismatch: 'Die Passwörter stimmen nicht überein',
+      resetEmailRequired: 'Zum Zurücksetzen wird deine E-Mail-Adresse benötigt',
+      signUpFailed: 'Konto konnte nicht erstellt werden',
+      signInFailed: 'Anmeldung fehlgeschlagen',
+      resetFailed: 'E-Mail zum Zurücksetzen konnte nicht gesendet werden',
+      googleFailed: 'Anmeldung mit Google fehlgeschlagen',
+      emailInUse: 'Mit dieser E-Mail-Adresse gibt es bereits ein Konto',
+      invalidEmail: 'Bitte gib eine gültige E-Mail-Adresse ein',
+      weakPassword: 'Das Passwort sollte mindestens 6 Zeichen lang sein',
+      userNotFound: 'Kein Konto mit dieser E-Mail-Adresse gefunden',
+      wrongPassword: 'Falsches Passwort',
+      userDisabled: 'Dieses Konto wurde deaktiviert',
+      tooManyRequests: 'Zu viele Fehlversuche. Bitte versuche es später erneut.',
+      popupClosed: 'Anmeldung abgebrochen',
+      popupBlocked: 'Pop-up blockiert. Bitte erlaube Pop-ups und versuche es erneut.',
+      mockOnly: 'Testnutzer gibt es nur im Entwicklungsmodus',
+      mockFailed: 'Anmeldung mit Testnutzer fehlgeschlagen',
+      signOutFailed: 'Abmelden fehlgeschlagen'
+    }
+  },
+
+  gallery: {
+    title: 'Meine Galerie',
+    titleWithCount: {
+      one: 'Meine Galerie ({count} Bild)',
+      other: 'Meine Galerie ({count} Bilder)'
+    },
+    loading: 'Deine Galerie wird geladen...',
+    loadErrorTitle: 'Galerie konnte nicht geladen werden',
+    tryAgain: 'Erneut versuchen',
+    loadingMore: 'Weitere Seiten werden geladen...',
+    loadMoreFailed: 'Weitere Seiten konnten nicht geladen werden.',
+    emptyTitle: 'Noch keine Bilder',
+    emptyText: 'Erstelle dein erstes Ausmalbild, um deine Galerie zu beginnen!',
+    printSettings: 'Druckeinstellungen',
+    selectAll: 'Alle auswählen',
+    deselectAll: 'Auswahl aufheben',
+    makeBook: 'Buch erstellen ({count})',
+    deleteSelected: 'Auswahl löschen ({count})',
+    deleteImage: 'Bild löschen',
+    imageAlt: 'Erstelltes Ausmalbild',
+    imageUnavailable: 'Bild nicht verfügbar',
+    noDescription: 'Keine Beschreibung vorhanden',
+    translationTitle: 'Englischer Text, nach dem die Seite gezeichnet wurde',
+    unknownDate: 'Unbekanntes Datum',
+    exportPdfTitle: 'Druckbares PDF',
+    exportSvgTitle: 'Skalierbare Vektordatei für Druckereien und Schneideplotter',
+    makeAgain: 'Nochmal',
+    makeAgainTitle: 'Neue Seite mit derselben Beschreibung, denselben Einstellungen und Vorgaben erstellen',
+    color: 'Ausmalen',
+    colorTitle: 'Diese Seite in der App ausmalen',
+    avoidItem: 'ohne {item}',
+    fromPhoto: 'Aus Foto',
+    coloredIn: 'Ausgemalt',
+    coloredCount: {
+      one: '{count} ausgemalt',
+      other: '{count} ausgemalt'
+    },
+    confirmTitle: 'Löschen bestätigen',
+    confirmSingle: 'Möchtest du dieses Bild wirklich löschen? Das kann nicht rückgängig gemacht werden.',
+    confirmBulk: {
+      one: 'Möchtest du {count} ausgewähltes Bild wirklich löschen? Das kann nicht rückgängig gemacht werden.',
+      other: 'Möchtest du {count} ausgewählte Bilder wirklich löschen? Das kann nicht rückgängig gemacht werden.'
+    },
+    cancel: 'Abbrechen',
+    delete: 'Löschen',
+    deleting: 'Wird gelöscht...',
+    filters: {
+      searchLabel: 'Suchen',
+      searchPlaceholder: 'In deinen Seiten suchen...',
+      theme: 'Thema',
+      complexity: 'Detailgrad',
+      ageGroup: 'Altersgruppe',
+      category: 'Motiv',
+      model: 'Modell',
+      from: 'Von',
+      to: 'Bis',
+      sort: 'Sortieren nach',
+      any: 'Alle',
+      reset: 'Filter zurücksetzen',
+      noMatchesTitle: 'Keine passenden Seiten',
+      noMatchesText: 'Versuche andere Wörter oder entferne einige Filter.',
+      sorts: {
+        newest: 'Neueste zuerst',
+        oldest: 'Älteste zuerst',
+        title: 'Titel (A-Z)'
+      },
+      categories: {
+        domesticAnimals: 'Haus- und Hoftiere',
+        wildAnimals: 'Wildtiere',
+        prehistoric: 'Dinosaurier',
+        marineLife: 'Meerestiere',
+        insects: 'Insekten',
+        fantasy: 'Fantasy',
+        nature: 'Natur',
+        vehicles: 'Fahrzeuge',
+        food: 'Essen',
+        objects: 'Gegenstände',
+        sports: 'Sport',
+        holidays: 'Feiertage',
+        music: 'Musik',
+        mandalas: 'Mandalas',
+        abstract: 'Abstrakt',
+        architecture: 'Gebäude',
+        clothing: 'Kleidung',
+        space: 'Weltraum',
+        professions: 'Menschen und Berufe',
+        weather: 'Wetter und Jahreszeiten',
+        toys: 'Spielzeug',
+        general: 'Sonstiges'
+      }
+    },
+    collections: {
+      title: 'Sammlungen',
+      all: 'Alle Seiten',
+      new: 'Neue Sammlung',
+      nameLabel: 'Name der Sammlung',
+      namePlaceholder: 'z. B. Geburtstagsfeier',
+      create: 'Erstellen',
+      save: 'Speichern',
+      rename: 'Umbenennen',
+      delete: 'Sammlung löschen',
+      confirmDelete: 'Sammlung „{name}“ löschen? Ihre Seiten bleiben in deiner Galerie.',
+      imageCount: {
+        one: '{count} Seite',
+        other: '{count} Seiten'
+      },
+      moveSelected: 'In Sammlung verschieben ({count})',
+      removeSelected: 'Aus Sammlung entfernen ({count})',
+      cover: 'Titelbild',
+      setCover: 'Als Titelbild festlegen',
+      emptyTitle: 'Diese Sammlung ist leer',
+      emptyText: 'Wähle Seiten unter Alle Seiten aus und verschiebe sie hierher.',
+      errors: {
+        duplicate: 'Du hast bereits eine Sammlung mit diesem Namen.',
+        failed: 'Deine Sammlungen konnten nicht aktualisiert werden: {message}'
+      }
+    },
+    errors: {
+      accessDenied: 'Zugriff verweigert. Bitte melde dich erneut an.',
+      loadFailed: 'Galerie konnte nicht geladen werden: {message}',
+      deleteOne: 'Bild konnte nicht gelöscht werden. Bitte versuche es erneut.',
+      deleteMany: 'Bilder konnten nicht gelöscht werden. Bitte versuche es erneut.',
+      export: '{format}-Export fehlgeschlagen. Bitte versuche es erneut.'
+    }
+  },
+
+  book: {
+    title: 'Malbuch zusammenstellen',
+    bookTitle: 'Buchtitel *',
+    bookTitlePlaceholder: 'Mein Meeresabenteuer',
+    author: 'Autor',
+    authorPlaceholder: 'Dein Name',
+    tableOfContents: 'Inhaltsverzeichnis',
+    pageNumbers: 'Seitenzahlen',
+    blankBacks: 'Leere Rückseiten (einseitiger Druck)',
+    pageLimit: 'Bücher haben höchstens {max} Seiten; nur die ersten {max} ausgewählten Bilder wurden hinzugefügt.',
+    pageTitle: 'Titel für Seite {number}',
+    pagePlaceholder: 'Seite {number}',
+    moveUp: 'Seite {number} nach oben',
+    moveDown: 'Seite {number} nach unten',
+    remove: 'Seite {number} entfernen',
+    unprintable: {
+      one: '{count} ausgewähltes Bild ist zu groß, um aus der Galerie gedruckt zu werden. Entferne es, um fortzufahren.',
+      other: '{count} ausgewählte Bilder sind zu groß, um aus der Galerie gedruckt zu werden. Entferne sie, um fortzufahren.'
+    },
+    cancel: 'Abbrechen',
+    building: 'Wird erstellt...',
+    download: {
+      one: 'Buch als PDF herunterladen ({count} Seite)',
+      other: 'Buch als PDF herunterladen ({count} Seiten)'
+    },
+    failed: 'Buch konnte nicht erstellt werden: {status}'
+  },
+
+  credits: {
+    buttonTitle: 'Generierungs-Credits',
+    balance: {
+      one: '{count} Credit',
+      other: '{count} Credits'
+    },
+    dialogLabel: 'Credit-Verbrauch',
+    plan: 'Tarif {plan}',
+    perMonth: '{count} / Monat',
+    left: '{count} übrig',
+    leftWithHeld: '{count} übrig, {reserved} für laufende Seiten reserviert',
+    low: 'Fast aufgebraucht - eine Seite reserviert beim Zeichnen bis zu 34 Credits, berechnet wird nur, was sie tatsächlich kostet.',
+    recent: 'Letzte Nutzung',
+    loading: 'Wird geladen...',
+    empty: 'Noch keine Nutzung',
+    pages: {
+      one: '{count} Seite',
+      other: '{count} Seiten'
+    },
+    entries: {
+      grant: 'Monatliche Credits',
+      reserved: 'In Arbeit',
+      settled: 'Generierung',
+      refunded: 'Erstattet'
+    }
+  },
+
+  spending: {
+    groupBy: 'Gruppieren nach',
+    from: 'Von',
+    to: 'Bis',
+    loading: 'Wird geladen...',
+    refresh: 'Aktualisieren',
+    exporting: 'Wird exportiert...',
+    downloadCsv: 'CSV herunterladen',
+    range: '{from} bis {to} (UTC)',
+    truncated: 'dieser Zeitraum enthält zu viele Generierungen, um alle einzubeziehen; grenze die Daten für genaue Summen ein.',
+    totalSpend: 'Gesamtausgaben',
+    generations: 'Generierungen',
+    pages: 'Seiten',
+    averagePerPage: 'Durchschnitt pro Seite',
+    spendPer: {
+      day: 'Ausgaben pro Tag',
+      week: 'Ausgaben pro Woche',
+      month: 'Ausgaben pro Monat'
+    },
+    empty: 'Keine Generierungen in diesem Zeitraum',
+    bucketPages: '{count} S.',
+    columns: {
+      name: 'Name',
+      pages: 'Seiten',
+      cost: 'Kosten',
+      share: 'Anteil'
+    },
+    periods: {
+      day: 'Täglich',
+      week: 'Wöchentlich',
+      month: 'Monatlich'
+    },
+    breakdowns: {
+      byModel: 'Nach Modell',
+      byCategory: 'Nach Kategorie',
+      byUser: 'Nach Nutzer'
+    }
+  },
+
+  photo: {
+    title: 'Foto in ein Ausmalbild verwandeln',
+    fileLabel: 'Foto oder Zeichnung',
+    previewAlt: 'Ausgewähltes Bild',
+    method: 'Umwandlungsmethode',
+    modes: {
+      local: 'Umrisse nachzeichnen (kostenlos)',
+      ai: 'Mit KI neu zeichnen (kostenpflichtig)'
+    },
+    lineThickness: 'Linienstärke',
+    lines: {
+      thin: 'Dünne Linien',
+      medium: 'Mittlere Linien',
+      thick: 'Dicke Linien'
+    },
+    imageType: 'Bildart',
+    styles: {
+      photo: 'Foto',
+      drawing: 'Zeichnung auf Papier'
+    },
+    detailLevel: 'Detailgrad',
+    details: {
+      low: 'Wenig Details',
+      medium: 'Mittlere Details',
+      high: 'Viele Details'
+    },
+    promptPlaceholder: 'Was ist auf dem Foto? z. B. unser Hund Max am Strand',
+    promptLabel: 'Fotobeschreibung',
+    convert: 'In Ausmalbild umwandeln',
+    converting: 'Wird umgewandelt...'
+  },
+
+  errors: {
+    apiGeneral: 'Das Ausmalbild konnte nicht erstellt werden. Bitte versuche es erneut.',
+    apiTimeout: 'Zeitüberschreitung der Anfrage. Bitte versuche es erneut.',
+    apiRateLimit: 'Zu viele Anfragen. Bitte warte kurz und versuche es erneut.',
+    apiContentPolicy: 'Der Inhalt verstößt gegen die KI-Sicherheitsrichtlinien. Bitte versuche eine andere Beschreibung.',
+    apiFamilyFriendly: 'Bitte verwende nur familienfreundliche Inhalte.',
+    pdfGeneration: 'PDF konnte nicht erstellt werden. Bitte versuche es erneut.',
+    pdfMissingImage: 'Kein Bild für das PDF vorhanden',
+    svgExport: 'SVG-Export fehlgeschlagen. Bitte versuche es erneut.',
+    printMargin: 'Der Rand muss zwischen 0 und 1,5 Zoll liegen',
+    insufficientCredits: 'Nicht genug Guthaben für diese Seite. Versuche weniger Varianten oder warte auf das Guthaben des nächsten Monats.',
+    creditsLoad: 'Dein Guthaben konnte nicht geladen werden.',
+    budgetExceeded: 'Das tägliche Erstellungslimit ist erreicht. Bitte versuche es morgen erneut.',
+    reportLoad: 'Der Ausgabenbericht konnte nicht geladen werden. Bitte versuche es erneut.',
+    galleryAuth: 'Bitte melde dich an, um Bilder in deiner Galerie zu speichern',
+    gallerySave: 'Bild konnte nicht in der Galerie gespeichert werden. Bitte versuche es erneut.',
+    photoType: 'Bitte wähle ein PNG-, JPEG-, WebP- oder GIF-Bild',
+    photoTooLarge: 'Das Foto ist zu groß. Bitte wähle ein Bild unter 6 MB.',
+    coloringLoad: 'Diese Seite kann nicht in der App ausgemalt werden. Lade sie herunter und drucke sie aus.',
+    coloringSave: 'Deine ausgemalte Seite konnte nicht gespeichert werden. Bitte versuche es erneut.',
+    formInvalid: 'Bitte fülle alle Pflichtfelder aus',
+    promptRequired: 'Bitte gib eine Beschreibung für dein Ausmalbild ein'
+  },
+
+  success: {
+    imageGenerated: 'Dein Ausmalbild wurde erfolgreich erstellt!',
+    pdfDownloaded: 'PDF erfolgreich heruntergeladen',
+    imageSaved: 'Bild in deiner Galerie gespeichert!',
+    formValid: 'Alle Felder korrekt ausgefüllt'
+  }
+};
@@ -0,0 +1,449 @@
+/**
+ * English UI messages - the source catalog
+ *
+ * Every other catalog mirrors these keys; anything missing there falls back
+ * to this file. Plural messages are keyed by Intl.PluralRules category and
+ * picked with the `count` parameter. Error and success messages come from
+ * constants so code outside React keeps using the same English text.
+ */
+
+import { ERROR_MESSAGES, SUCCESS_MESSAGES } from '../utils/constants.js';
+
+export default {
+  header: {
+    title: 'Coloring Book Creator',
+    contrastNormal: 'Normal',
+    contrastHigh: 'High Contrast',
+    contrastToggle: 'Toggle high contrast mode',
+    language: 'Language'
+  },
+
+  nav: {
+    create: 'Create',
+    gallery: 'Gallery',
+    spending: 'Spending',
+    signIn: 'Sign In'
+  },
+
+  app: {
+    loading: 'Loading...',
+    createTitle: 'Create Beautiful Coloring Pages',
+    createIntro: 'Transform your ideas into stunning black-and-white line art perfect for coloring. Just describe what you\'d like, customize the details, and let AI create the perfect coloring page for you!',
+    tipLabel: 'Tip:',
+    tip: 'Sign in to save your generated images to your personal gallery and access them anytime!',
+    galleryTitle: 'Your Coloring Gallery',
+    galleryIntro: 'Browse through all your generated coloring pages. Click on any image to view it full size, or use the delete options to manage your collection.',
+    spendingTitle: 'Spending',
+    spendingIntro: 'What image generation has cost, by day, week or month - broken down by model, category and user.',
+    authTitle: 'Join Coloring Book Creator',
+    authIntro: 'Create an account to save your generated coloring pages, build your personal gallery, and access your creations from anywhere.',
+    footer: 'Built with ❤️ for creative minds everywhere'
+  },
+
+  form: {
+    title: 'Create Your Coloring Page',
+    promptLabel: 'Describe your coloring page *',
+    promptAria: 'Describe your coloring page',
+    promptPlaceholder: 'e.g., unicorn in a forest',
+    promptGood: 'Great description!',
+    completions: 'Suggested completions',
+    tryIdeas: 'Try:',
+    surprise: '🎲 Surprise me',
+    themeLabel: 'Select Theme (optional)',
+    themePlaceholder: 'Choose a theme (optional)',
+    customizations: 'Customization Options',
+    complexityLabel: 'Detail Complexity *',
+    complexityHint: 'Choose complexity level appropriate for your target audience',
+    complexityGood: 'Perfect choice!',
+    complexity: {
+      simple: 'Simple',
+      medium: 'Medium',
+      detailed: 'Detailed'
+    },
+    ageLabel: 'Age Group *',
+    ageHint: 'Choose for kid-friendly simplicity or adult complexity',
+    ageGood: 'Great selection!',
+    age: {
+      kids: 'Kids',
+      teens: 'Teens',
+      adults: 'Adults'
+    },
+    border: 'With Decorative Border',
+    lineLabel: 'Line Thickness *',
+    lineHint: 'Thicker lines are easier for younger children to color',
+    linePlaceholder: 'Select thickness',
+    lineGood: 'Excellent thickness choice!',
+    line: {
+      thin: 'Thin Lines (Advanced)',
+      medium: 'Medium Lines (Standard)',
+      thick: 'Thick Lines (Kid-Friendly)'
+    },
+    mustInclude: 'Must include (optional)',
+    mustIncludePlaceholder: 'e.g., a crown - press Enter to add',
+    mustAvoid: 'Must avoid (optional)',
+    mustAvoidPlaceholder: 'e.g., text - press Enter to add',
+    removeItem: 'Remove {item}',
+    maxItems: {
+      one: 'Up to {count} item',
+      other: 'Up to {count} items'
+    },
+    variationsLabel: 'Variations',
+    variationsHint: 'Generate several versions and keep your favorites (each image is billed)',
+    variationsPlaceholder: 'Number of variations',
+    variations: {
+      one: '{count} Page',
+      other: '{count} Variations'
+    },
+    reuse: 'Reuse an identical earlier page (free)',
+    seriesLabel: 'Series',
+    seriesHint: 'Keep one character looking the same across every page of a book',
+    generate: 'Generate Coloring Page',
+    generating: 'Generating Magic...',
+    generateTitle: 'Generate coloring page',
+    generateDisabledTitle: 'Fill required fields to generate',
+    generateTooltip: 'Create your masterpiece!',
+    preview: '📝 Preview the prompt first (free)',
+    previewTitle: 'See and edit the AI-refined prompt before drawing - refining is free',
+    refining: 'Refining your idea...',
+    errors: {
+      prompt: 'Please enter a description',
+      complexity: 'Select complexity',
+      ageGroup: 'Select age group',
+      lineThickness: 'Select line thickness',
+      tooLong: {
+        one: 'Maximum {count} character allowed',
+        other: 'Maximum {count} characters allowed'
+      }
+    }
+  },
+
+  auth: {
+    loading: 'Loading...',
+    titles: {
+      signin: 'Sign In',
+      signup: 'Create Account',
+      reset: 'Reset Password'
+    },
+    subtitles: {
+      signin: 'Welcome back to Coloring Book Creator',
+      signup: 'Join Coloring Book Creator today',
+      reset: 'Enter your email to reset your password'
+    },
+    submit: {
+      signin: 'Sign In',
+      signup: 'Create Account',
+      reset: 'Send Reset Email'
+    },
+    welcomeBack: 'Welcome back!',
+    welcomeBackName: 'Welcome back, {name}!',
+    signOut: 'Sign Out',
+    google: 'Continue with Google',
+    mockUsers: 'Mock Users (Dev Only)',
+    orEmail: 'Or continue with email',
+    fullName: 'Full Name',
+    fullNamePlaceholder: 'Enter your full name',
+    email: 'Email Address',
+    emailPlaceholder: 'Enter your email',
+    password: 'Password',
+    passwordPlaceholder: 'Enter your password',
+    confirmPassword: 'Confirm Password',
+    confirmPasswordPlaceholder: 'Confirm your password',
+    ageLabel: 'Age Verification:',
+    ageNote: 'By creating an account, you confirm that you are at least 13 years old. Age verification may be required for payment processing and premium features.',
+    processing: 'Processing...',
+    noAccount: 'Don\'t have an account?',
+    signUpLink: 'Sign up',
+    forgotPassword: 'Forgot your password?',
+    resetLink: 'Reset it',
+    haveAccount: 'Already have an account?',
+    rememberPassword: 'Remember your password?',
+    signInLink: 'Sign in',
+    messages: {
+      accountCreated: 'Account created successfully! Welcome to Coloring Book Creator.',
+      resetSent: 'Password reset email sent! Check your inbox.',
+      googleSignedIn: 'Successfully signed in with Google!',
+      mockSignedIn: 'Mock sign-in as {name} (Development mode)',
+      signedOut: 'Signed out successfully'
+    },
+    errors: {
+      emailRequired: 'Email is required',
+      emailInvalid: 'Email address is invalid',
+      passwordRequired: 'Password is required',
+      passwordTooShort: 'Password must be at least 6 characters',
+      displayNameRequired: 'Display name is required',
+      passwordMismatch: 'Passwords do not match',
+      resetEmailRequired: 'Email is required for password reset',
+      signUpFailed: 'Failed to create account',
+      signInFailed: 'Failed to sign in',
+      resetFailed: 'Failed to send password reset email',
+      googleFailed: 'Failed to sign in with Google',
+      emailInUse: 'An account with this email already exists',
+      invalidEmail: 'Please enter a valid email address',
+      weakPassword: 'Password should be at least 6 characters',
+      userNotFound: 'No account found with this email',
+      wrongPassword: 'Incorrect password',
+      userDisabled: 'This account has been disabled',
+      tooManyRequests: 'Too many failed attempts. Please try again later.',
+      popupClosed: 'Sign-in cancelled',
+      popupBlocked: 'Popup blocked. Please allow popups and try again.',
+      mockOnly: 'Mock users only available in development mode',
+      mockFailed: 'Failed to sign in with mock user',
+      signOutFailed: 'Failed to sign out'
+    }
+  },
+
+  gallery: {
+    title: 'My Gallery',
+    titleWithCount: {
+      one: 'My Gallery ({count} image)',
+      other: 'My Gallery ({count} images)'
+    },
+    loading: 'Loading your gallery...',
+    loadErrorTitle: 'Unable to load gallery',
+    tryAgain: 'Try Again',
+    loadingMore: 'Loading more pages...',
+    loadMoreFailed: 'Couldn\'t load more pages.',
+    emptyTitle: 'No images yet',
+    emptyText: 'Create your first coloring page to start building your gallery!',
+    printSettings: 'Print Settings',
+    selectAll: 'Select All',
+    deselectAll: 'Deselect All',
+    makeBook: 'Make Book ({count})',
+    deleteSelected: 'Delete Selected ({count})',
+    deleteImage: 'Delete image',
+    imageAlt: 'Generated coloring page',
+    imageUnavailable: 'Image not available',
+    noDescription: 'No description available',
+    translationTitle: 'English text the page was drawn from',
+    unknownDate: 'Unknown date',
+    exportPdfTitle: 'Printable PDF',
+    exportSvgTitle: 'Scalable vector file for print shops and cutting machines',
+    makeAgain: 'Make again',
+    makeAgainTitle: 'Make a new page with the same description, settings and constraints',
+    color: 'Color',
+    colorTitle: 'Color this page in the app',
+    avoidItem: 'no {item}',
+    fromPhoto: 'From photo',
+    coloredIn: 'Colored in',
+    coloredCount: {
+      one: '{count} colored',
+      other: '{count} colored'
+    },
+    confirmTitle: 'Confirm Deletion',
+    confirmSingle: 'Are you sure you want to delete this image? This action cannot be undone.',
+    confirmBulk: {
+      one: 'Are you sure you want to delete {count} selected image? This action cannot be undone.',
+      other: 'Are you sure you want to delete {count} selected images? This action cannot be undone.'
+    },
+    cancel: 'Cancel',
+    delete: 'Delete',
+    deleting: 'Deleting...',
+    filters: {
+      searchLabel: 'Search',
+      searchPlaceholder: 'Search your pages...',
+      theme: 'Theme',
+      complexity: 'Complexity',
+      ageGroup: 'Age group',
+      category: 'Subject',
+      model: 'Model',
+      from: 'From',
+      to: 'To',
+      sort: 'Sort by',
+      any: 'Any',
+      reset: 'Clear filters',
+      noMatchesTitle: 'No matching pages',
+      noMatchesText: 'Try other words or clear some filters.',
+      sorts: {
+        newest: 'Newest first',
+        oldest: 'Oldest first',
+        title: 'Title (A-Z)'
+      },
+      categories: {
+        domesticAnimals: 'Pets & farm animals',
+        wildAnimals: 'Wild animals',
+        prehistoric: 'Dinosaurs',
+        marineLife: 'Sea life',
+        insects: 'Insects',
+        fantasy: 'Fantasy',
+        nature: 'Nature',
+        vehicles: 'Vehicles',
+        food: 'Food',
+        objects: 'Objects',
+        sports: 'Sports',
+        holidays: 'Holidays',
+        music: 'Music',
+        mandalas: 'Mandalas',
+        abstract: 'Abstract',
+        architecture: 'Buildings',
+        clothing: 'Clothing',
+        space: 'Space',
+        professions: 'People & jobs',
+        weather: 'Weather & seasons',
+        toys: 'Toys',
+        general: 'Other'
+      }
+    },
+    collections: {
+      title: 'Collections',
+      all: 'All pages',
+      new: 'New collection',
+      nameLabel: 'Collection name',
+      namePlaceholder: 'e.g. Birthday party',
+      create: 'Create',
+      save: 'Save',
+      rename: 'Rename',
+      delete: 'Delete collection',
+      confirmDelete: 'Delete the collection "{name}"? Its pages stay in your gallery.',
+      imageCount: {
+        one: '{count} page',
+        other: '{count} pages'
+      },
+      moveSelected: 'Move to collection ({count})',
+      removeSelected: 'Remove from collection ({count})',
+      cover: 'Cover',
+      setCover: 'Set as cover',
+      emptyTitle: 'This collection is empty',
+      emptyText: 'Select pages under All pages and move them here.',
+      errors: {
+        duplicate: 'You already have a collection with that name.',
+        failed: 'Couldn\'t update your collections: {message}'
+      }
+    },
+    errors: {
+      accessDenied: 'Access denied. Please sign in again.',
+      loadFailed: 'Failed to load gallery: {message}',
+      deleteOne: 'Failed to delete image. Please try again.',
+      deleteMany: 'Failed to delete images. Please try again.',
+      export: 'Failed to export {format}. Please try again.'
+    }
+  },
+
+  book: {
+    title: 'Build a Coloring Book',
+    bookTitle: 'Book title *',
+    bookTitlePlaceholder: 'My Ocean Adventure',
+    author: 'Author',
+    authorPlaceholder: 'Your name',
+    tableOfContents: 'Table of contents',
+    pageNumbers: 'Page numbers',
+    blankBacks: 'Blank backs (single-sided printing)',
+    pageLimit: 'Books are limited to {max} pages; only the first {max} selected images were added.',
+    pageTitle: 'Title for page {number}',
+    pagePlaceholder: 'Page {number}',
+    moveUp: 'Move page {number} up',
+    moveDown: 'Move page {number} down',
+    remove: 'Remove page {number}',
+    unprintable: {
+      one: '{count} selected image is too large to print from the gallery. Remove it to continue.',
+      other: '{count} selected images are too large to print from the gallery. Remove them to continue.'
+    },
+    cancel: 'Cancel',
+    building: 'Building...',
+    download: {
+      one: 'Download Book PDF ({count} page)',
+      other: 'Download Book PDF ({count} pages)'
+    },
+    failed: 'Book generation failed: {status}'
+  },
+
+  credits: {
+    buttonTitle: 'Generation credits',
+    balance: {
+      one: '{count} credit',
+      other: '{count} credits'
+    },
+    dialogLabel: 'Credit usage',
+    plan: '{plan} plan',
+    perMonth: '{count} / month',
+    left: '{count} left',
+    leftWithHeld: '{count} left, {reserved} held for pages in progress',
+    low: 'Running low - a page holds up to 34 credits while it\'s drawn, and you\'re charged what it actually costs.',
+    recent: 'Recent usage',
+    loading: 'Loading...',
+    empty: 'No usage yet',
+    pages: {
+      one: '{count} page',
+      other: '{count} pages'
+    },
+    entries: {
+      grant: 'Monthly credits',
+      reserved: 'In progress',
+      settled: 'Generation',
+      refunded: 'Refunded'
+    }
+  },
+
+  spending: {
+    groupBy: 'Group by',
+    from: 'From',
+    to: 'To',
+    loading: 'Loading...',
+    refresh: 'Refresh',
+    exporting: 'Exporting...',
+    downloadCsv: 'Download CSV',
+    range: '{from} to {to} (UTC)',
+    truncated: 'this range has too many generations to include them all; narrow the dates for exact totals.',
+    totalSpend: 'Total spend',
+    generations: 'Generations',
+    pages: 'Pages',
+    averagePerPage: 'Average per page',
+    spendPer: {
+      day: 'Spend per day',
+      week: 'Spend per week',
+      month: 'Spend per month'
+    },
+    empty: 'No generations in this range',
+    bucketPages: '{count} pg',
+    columns: {
+      name: 'Name',
+      pages: 'Pages',
+      cost: 'Cost',
+      share: 'Share'
+    },
+    periods: {
+      day: 'Daily',
+      week: 'Weekly',
+      month: 'Monthly'
+    },
+    breakdowns: {
+      byModel: 'By model',
+      byCategory: 'By category',
+      byUser: 'By user'
+    }
+  },
+
+  photo: {
+    title: 'Turn a Photo into a Coloring Page',
+    fileLabel: 'Photo or drawing',
+    previewAlt: 'Selected upload',
+    method: 'Conversion method',
+    modes: {
+      local: 'Trace outlines (free)',
+      ai: 'AI redraw (billed)'
+    },
+    lineThickness: 'Line thickness',
+    lines: {
+      thin: 'Thin Lines',
+      medium: 'Medium Lines',
+      thick: 'Thick Lines'
+    },
+    imageType: 'Image type',
+    styles: {
+      photo: 'Photo',
+      drawing: 'Drawing on paper'
+    },
+    detailLevel: 'Detail level',
+    details: {
+      low: 'Low detail',
+      medium: 'Medium detail',
+      high: 'High detail'
+    },
+    promptPlaceholder: 'What\'s in the photo? e.g. our dog Max on the beach',
+    promptLabel: 'Photo description',
+    convert: 'Convert to Coloring Page',
+    converting: 'Converting...'
+  },
+
+  errors: ERROR_MESSAGES,
+  success: SUCCESS_MESSAGES
+};
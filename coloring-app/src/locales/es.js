@@ -0,0 +1,471 @@
+/**
+ * Spanish UI messages
+ * Keys mirror en.js; missing keys fall back to English.
+ */
+
+export default {
+  header: {
+    title: 'Creador de Libros para Colorear',
+    contrastNormal: 'Normal',
+    contrastHigh: 'Alto contraste',
+    contrastToggle: 'Activar o desactivar el alto contraste',
+    language: 'Idioma'
+  },
+
+  nav: {
+    create: 'Crear',
+    gallery: 'Galería',
+    spending: 'Gastos',
+    signIn: 'Iniciar sesión'
+  },
+
+  app: {
+    loading: 'Cargando...',
+    createTitle: 'Crea preciosas páginas para colorear',
+    createIntro: 'Convierte tus ideas en dibujos de líneas en blanco y negro perfectos para colorear. Describe lo que quieres, ajusta los detalles y deja que la IA cree la página ideal para ti.',
+    tipLabel: 'Consejo:',
+    tip: 'Inicia sesión para guardar tus imágenes en tu galería personal y verlas cuando quieras.',
+    galleryTitle: 'Tu galería para colorear',
+    galleryIntro: 'Explora todas las páginas que has creado. Haz clic en una imagen para verla a tamaño completo o usa las opciones de borrado para organizar tu colección.',
+    spendingTitle: 'Gastos',
+    spendingIntro: 'Lo que ha costado generar imágenes por día, semana o mes, desglosado por modelo, categoría y usuario.',
+    authTitle: 'Únete al Creador de Libros para Colorear',
+    authIntro: 'Crea una cuenta para guardar tus páginas, construir tu galería personal y acceder a tus creaciones desde cualquier lugar.',
+    footer: 'Hecho con ❤️ para mentes creativas de todo el mundo'
+  },
+
+  form: {
+    title: 'Crea tu página para colorear',
+    promptLabel: 'Describe tu página para colorear *',
+    promptAria: 'Describe tu página para colorear',
+    promptPlaceholder: 'p. ej., un unicornio en un bosque',
+    promptGood: '¡Gran descripción!',
+    completions: 'Sugerencias para completar',
+    tryIdeas: 'Prueba:',
+    surprise: '🎲 Sorpréndeme',
+    themeLabel: 'Elige un tema (opcional)',
+    themePlaceholder: 'Elige un tema (opcional)',
+    customizations: 'Opciones de personalización',
+    complexityLabel: 'Nivel de detalle *',
+    complexityHint: 'Elige el nivel de detalle adecuado para tu público',
+    complexityGood: '¡Elección perfecta!',
+    complexity: {
+      simple: 'Sencillo',
+      medium: 'Medio',
+      detailed: 'Detallado'
+    },
+    ageLabel: 'Grupo de edad *',
+    ageHint: 'Elige sencillez para niños o complejidad para adultos',
+    ageGood: '¡Buena selección!',
+    age: {
+      kids: 'Niños',
+      teens: 'Adolescentes',
+      adults: 'Adultos'
+    },
+    border: 'Con borde decorativo',
+    lineLabel: 'Grosor de línea *',
+    lineHint: 'Las líneas gruesas son más fáciles de colorear para los más pequeños',
+    linePlaceholder: 'Elige el grosor',
+    lineGood: '¡Excelente grosor!',
+    line: {
+      thin: 'Líneas finas (avanzado)',
+      medium: 'Líneas medias (estándar)',
+      thick: 'Líneas gruesas (para niños)'
+    },
+    mustInclude: 'Debe incluir (opcional)',
+    mustIncludePlaceholder: 'p. ej., a crown - pulsa Intro para añadir',
+    mustAvoid: 'Debe evitar (opcional)',
+    mustAvoidPlaceholder: 'p. ej., text - pulsa Intro para añadir',
+    removeItem: 'Quitar {item}',
+    maxItems: {
+      one: 'Hasta {count} elemento',
+      other: 'Hasta {count} elementos'
+    },
+    variationsLabel: 'Variaciones',
+    variationsHint: 'Genera varias versiones y quédate con tus favoritas (se cobra cada imagen)',
+    variationsPlaceholder: 'Número de variaciones',
+    variations: {
+      one: '{count} página',
+      other: '{count} variaciones'
+    },
+    reuse: 'Reutilizar una página idéntica anterior (gratis)',
+    seriesLabel: 'Serie',
+    seriesHint: 'Mantén el mismo aspecto de un personaje en todas las páginas de un libro',
+    generate: 'Generar página para colorear',
+    generating: 'Creando magia...',
+    generateTitle: 'Generar página para colorear',
+    generateDisabledTitle: 'Completa los campos obligatorios para generar',
+    generateTooltip: '¡Crea tu obra maestra!',
+    preview: '📝 Ver primero la descripción (gratis)',
+    previewTitle: 'Revisa y edita la descripción mejorada por la IA antes de dibujar; mejorarla es gratis',
+    refining: 'Mejorando tu idea...',
+    errors: {
+      prompt: 'Escribe una descripción',
+      complexity: 'Elige un nivel de detalle',
+      ageGroup: 'Elige un grupo de edad',
+      lineThickness: 'Elige un grosor de línea',
+      tooLong: {
+        one: 'Se permite como máximo {count} carácter',
+        other: 'Se permiten como máximo {count} caracteres'
+      }
+    }
+  },
+
+  auth: {
+    loading: 'Cargando...',
+    titles: {
+      signin: 'Iniciar sesión',
+      signup: 'Crear cuenta',
+      reset: 'Restablecer contraseña'
+    },
+    subtitles: {
+      signin: 'Te damos la bienvenida de nuevo al Creador de Libros para Colorear',
+      signup: 'Únete hoy al Creador de Libros para Colorear',
+      reset: 'Introduce tu correo para restablecer la contraseña'
+    },
+    submit: {
+      signin: 'Iniciar sesión',
+      signup: 'Crear cuenta',
+      reset: 'Enviar correo de restablecimiento'
+    },
+    welcomeBack: '¡Hola de nuevo!',
+    welcomeBackName: '¡Hola de nuevo, {name}!',
+    signOut: 'Cerrar sesión',
+    google: 'Continuar con Google',
+    mockUsers: 'Usuarios de prueba (solo desarrollo)',
+    orEmail: 'O continúa con tu correo',
+    fullName: 'Nombre completo',
+    fullNamePlaceholder: 'Escribe tu nombre completo',
+    email: 'Correo electrónico',
+    emailPlaceholder: 'Escribe tu correo',
+    password: 'Contraseña',
+    passwordPlaceholder: 'Escribe tu contraseña',
+    confirmPassword: 'Confirmar contraseña',
+    confirmPasswordPlaceholder: 'Repite tu contraseña',
+    ageLabel: 'Verificación de edad:',
+    ageNote: 'Al crear una cuenta confirmas que tienes al menos 13 años. Puede requerirse verificar la edad para pagos y funciones premium.',
+    processing: 'Procesando...',
+    noAccount: '¿No tienes cuenta?',
+    signUpLink: 'Regístrate',
+    forgotPassword: '¿Olvidaste tu contraseña?',
+    resetLink: 'Restablécela',
+    haveAccount: '¿Ya tienes cuenta?',
+    rememberPassword: '¿Recuerdas tu contraseña?',
+    signInLink: 'Inicia sesión',
+    messages: {
+      accountCreated: '¡Cuenta creada! Te damos la bienvenida al Creador de Libros para Colorear.',
+      resetSent: '¡Correo de restablecimiento enviado! Revisa tu bandeja de entrada.',
+      googleSignedIn: '¡Has iniciado sesión con Google!',
+      mockSignedIn: 'Sesión de prueba como {name} (modo desarrollo)',
+      signedOut: 'Has cerrado la sesión'
+    },
+    errors: {
+      emailRequired: 'El correo es obligatorio',
+      emailInvalid: 'El correo no es válido',
+      passwordRequired: 'La contraseña es obligatoria',
+      passwordTooShort: 'La contraseña debe tener al menos 6 caracteres',
+      displayNameRequired: 'El nombre es obligatorio',
+      passwordMismatch: 'Las contraseñas no coinciden',
+      resetEmailRequired: 'Escribe tu correo para restablecer la contraseña',
+      signUpFailed: 'No se pudo crear la cuenta',
+      signInFailed: 'No se pudo iniciar sesión',
+      resetFailed: 'No se pudo enviar el correo de restablecimiento',
+      googleFailed: 'No se pudo iniciar sesión con Google',
+      emailInUse: 'Ya existe una cuenta con este correo',
+      invalidEmail: 'Escribe un correo válido',
+      weakPassword: 'La contraseña debe tener al menos 6 caracteres',
+      userNotFound: 'No hay ninguna cuenta con este correo',
+      wrongPassword: 'Contraseña incorrecta',
+      userDisabled: 'Esta cuenta está desactivada',
+      tooManyRequests: 'Demasiados intentos fallidos. Inténtalo más tarde.',
+      popupClosed: 'Inicio de sesión cancelado',
+      popupBlocked: 'Ventana emergente bloqueada. Permite las ventanas emergentes e inténtalo de nuevo.',
+      mockOnly: 'Los usuarios de prueba solo están disponibles en modo desarrollo',
+      mockFailed: 'No se pudo iniciar sesión con el usuario de prueba',
+      signOutFailed: 'No se pudo cerrar la sesión'
+    }
+  },
+
+  gallery: {
+    title: 'Mi galería',
+    titleWithCount: {
+      one: 'Mi galería ({count} imagen)',
+      other: 'Mi galería ({count} imágenes)'
+    },
+    loading: 'Cargando tu galería...',
+    loadErrorTitle: 'No se pudo cargar la galería',
+    tryAgain: 'Reintentar',
+    loadingMore: 'Cargando más páginas...',
+    loadMoreFailed: 'No se pudieron cargar más páginas.',
+    emptyTitle: 'Aún no hay imágenes',
+    emptyText: '¡Crea tu primera página para colorear y empieza tu galería!',
+    printSettings: 'Ajustes de impresión',
+    selectAll: 'Seleccionar todo',
+    deselectAll: 'Quitar selección',
+    makeBook: 'Crear libro ({count})',
+    deleteSelected: 'Borrar selección ({count})',
+    deleteImage: 'Borrar imagen',
+    imageAlt: 'Página para colorear generada',
+    imageUnavailable: 'Imagen no disponible',
+    noDescription: 'Sin descripción',
+    translationTitle: 'Texto en inglés con el que se dibujó la página',
+    unknownDate: 'Fecha desconocida',
+    exportPdfTitle: 'PDF para imprimir',
+    exportSvgTitle: 'Archivo vectorial escalable para imprentas y máquinas de corte',
+    makeAgain: 'Repetir',
+    makeAgainTitle: 'Crea una página nueva con la misma descripción, ajustes y restricciones',
+    color: 'Colorear',
+    colorTitle: 'Colorea esta página en la app',
+    avoidItem: 'sin {item}',
+    fromPhoto: 'Desde foto',
+    coloredIn: 'Coloreada',
+    coloredCount: {
+      one: '{count} coloreada',
+      other: '{count} coloreadas'
+    },
+    confirmTitle: 'Confirmar borrado',
+    confirmSingle: '¿Seguro que quieres borrar esta imagen? Esta acción no se puede deshacer.',
+    confirmBulk: {
+      one: '¿Seguro que quieres borrar {count} imagen seleccionada? Esta acción no se puede deshacer.',
+      other: '¿Seguro que quieres borrar {count} imágenes seleccionadas? Esta acción no se puede deshacer.'
+    },
+    cancel: 'Cancelar',
+    delete: 'Borrar',
+    deleting: 'Borrando...',
+    filters: {
+      searchLabel: 'Buscar',
+      searchPlaceholder: 'Busca en tus páginas...',
+      theme: 'Tema',
+      complexity: 'Complejidad',
+      ageGroup: 'Edad',
+      category: 'Tema del dibujo',
+      model: 'Modelo',
+      from: 'Desde',
+      to: 'Hasta',
+      sort: 'Ordenar por',
+      any: 'Cualquiera',
+      reset: 'Borrar filtros',
+      noMatchesTitle: 'Ninguna página coincide',
+      noMatchesText: 'Prueba con otras palabras o quita algunos filtros.',
+      sorts: {
+        newest: 'Más recientes',
+        oldest: 'Más antiguas',
+        title: 'Título (A-Z)'
+      },
+      categories: {
+        domesticAnimals: 'Mascotas y granja',
+        wildAnimals: 'Animales salvajes',
+        prehistoric: 'Dinosaurios',
+        marineLife: 'Vida marina',
+        insects: 'Insectos',
+        fantasy: 'Fantasía',
+        nature: 'Naturaleza',
+        vehicles: 'Vehículos',
+        food: 'Comida',
+        objects: 'Objetos',
+        sports: 'Deportes',
+        holidays: 'Fiestas',
+        music: 'Música',
+        mandalas: 'Mandalas',
+        abstract: 'Abstracto',
+        architecture: 'Edificios',
+        clothing: 'Ropa',
+        space: 'Espacio',
+        professions: 'Personas y oficios',
+        weather: 'Clima y estaciones',
+        toys: 'Juguetes',
+        general: 'Otros'
+      }
+    },
+    collections: {
+      title: 'Colecciones',
+      all: 'Todas las páginas',
+      new: 'Nueva colección',
+      nameLabel: 'Nombre de la colección',
+      namePlaceholder: 'p. ej. Fiesta de cumpleaños',
+      create: 'Crear',
+      save: 'Guardar',
+      rename: 'Renombrar',
+      delete: 'Eliminar colección',
+      confirmDelete: '¿Eliminar la colección "{name}"? Sus páginas se quedan en tu galería.',
+      imageCount: {
+        one: '{count} página',
+        other: '{count} páginas'
+      },
+      moveSelected: 'Mover a colección ({count})',
+      removeSelected: 'Quitar de la colección ({count})',
+      cover: 'Portada',
+      setCover: 'Usar como portada',
+      emptyTitle: 'Esta colección está vacía',
+      emptyText: 'Selecciona páginas en Todas las páginas y muévelas aquí.',
+      errors: {
+        duplicate: 'Ya tienes una colección con ese nombre.',
+        failed: 'No se pudieron actualizar tus colecciones: {message}'
+      }
+    },
+    errors: {
+      accessDenied: 'Acceso denegado. Vuelve a iniciar sesión.',
+      loadFailed: 'No se pudo cargar la galería: {message}',
+      deleteOne: 'No se pudo borrar la imagen. Inténtalo de nuevo.',
+      deleteMany: 'No se pudieron borrar las imágenes. Inténtalo de nuevo.',
+      export: 'No se pudo exportar el {format}. Inténtalo de nuevo.'
+    }
+  },
+
+  book: {
+    title: 'Crear un libro para colorear',
+    bookTitle: 'Título del libro *',
+    bookTitlePlaceholder: 'Mi aventura en el océano',
+    author: 'Autor',
+    authorPlaceholder: 'Tu nombre',
+    tableOfContents: 'Índice',
+    pageNumbers: 'Números de página',
+    blankBacks: 'Reversos en blanco (impresión a una cara)',
+    pageLimit: 'Los libros tienen un máximo de {max} páginas; solo se añadieron las primeras {max} imágenes seleccionadas.',
+    pageTitle: 'Título de la página {number}',
+    pagePlaceholder: 'Página {number}',
+    moveUp: 'Subir la página {number}',
+    moveDown: 'Bajar la página {number}',
+    remove: 'Quitar la página {number}',
+    unprintable: {
+      one: '{count} imagen seleccionada es demasiado grande para imprimirse desde la galería. Quítala para continuar.',
+      other: '{count} imágenes seleccionadas son demasiado grandes para imprimirse desde la galería. Quítalas para continuar.'
+    },
+    cancel: 'Cancelar',
+    building: 'Creando...',
+    download: {
+      one: 'Descargar libro en PDF ({count} página)',
+      other: 'Descargar libro en PDF ({count} páginas)'
+    },
+    failed: 'No se pudo crear el libro: {status}'
+  },
+
+  credits: {
+    buttonTitle: 'Créditos de generación',
+    balance: {
+      one: '{count} crédito',
+      other: '{count} créditos'
+    },
+    dialogLabel: 'Uso de créditos',
+    plan: 'Plan {plan}',
+    perMonth: '{count} / mes',
+    left: 'Quedan {count}',
+    leftWithHeld: 'Quedan {count}, {reserved} reservados para páginas en curso',
+    low: 'Te quedan pocos: una página reserva hasta 34 créditos mientras se dibuja y solo se cobra lo que cuesta realmente.',
+    recent: 'Uso reciente',
+    loading: 'Cargando...',
+    empty: 'Aún no hay uso',
+    pages: {
+      one: '{count} página',
+      other: '{count} páginas'
+    },
+    entries: {
+      grant: 'Créditos mensuales',
+      reserved: 'En curso',
+      settled: 'Generación',
+      refunded: 'Reembolsado'
+    }
+  },
+
+  spending: {
+    groupBy: 'Agrupar por',
+    from: 'Desde',
+    to: 'Hasta',
+    loading: 'Cargando...',
+    refresh: 'Actualizar',
+    exporting: 'Exportando...',
+    downloadCsv: 'Descargar CSV',
+    range: '{from} a {to} (UTC)',
+    truncated: 'este intervalo tiene demasiadas generaciones para incluirlas todas; acota las fechas para obtener totales exactos.',
+    totalSpend: 'Gasto total',
+    generations: 'Generaciones',
+    pages: 'Páginas',
+    averagePerPage: 'Media por página',
+    spendPer: {
+      day: 'Gasto por día',
+      week: 'Gasto por semana',
+      month: 'Gasto por mes'
+    },
+    empty: 'No hay generaciones en este intervalo',
+    bucketPages: '{count} pág.',
+    columns: {
+      name: 'Nombre',
+      pages: 'Páginas',
+      cost: 'Coste',
+      share: 'Parte'
+    },
+    periods: {
+      day: 'Diario',
+      week: 'Semanal',
+      month: 'Mensual'
+    },
+    breakdowns: {
+      byModel: 'Por modelo',
+      byCategory: 'Por categoría',
+      byUser: 'Por usuario'
+    }
+  },
+
+  photo: {
+    title: 'Convierte una foto en una página para colorear',
+    fileLabel: 'Foto o dibujo',
+    previewAlt: 'Imagen seleccionada',
+    method: 'Método de conversión',
+    modes: {
+      local: 'Trazar contornos (gratis)',
+      ai: 'Redibujar con IA (de pago)'
+    },
+    lineThickness: 'Grosor de línea',
+    lines: {
+      thin: 'Líneas finas',
+      medium: 'Líneas medias',
+      thick: 'Líneas gruesas'
+    },
+    imageType: 'Tipo de imagen',
+    styles: {
+      photo: 'Foto',
+      drawing: 'Dibujo en papel'
+    },
+    detailLevel: 'Nivel de detalle',
+    details: {
+      low: 'Poco detalle',
+      medium: 'Detalle medio',
+      high: 'Mucho detalle'
+    },
+    promptPlaceholder: '¿Qué hay en la foto? p. ej., nuestro perro Max en la playa',
+    promptLabel: 'Descripción de la foto',
+    convert: 'Convertir en página para colorear',
+    converting: 'Convirtiendo...'
+  },
+
+  errors: {
+    apiGeneral: 'No se pudo generar la página para colorear. Inténtalo de nuevo.',
+    apiTimeout: 'La solicitud tardó demasiado. Inténtalo de nuevo.',
+    apiRateLimit: 'Demasiadas solicitudes. Espera un momento e inténtalo de nuevo.',
+    apiContentPolicy: 'El contenido no cumple las normas de seguridad de la IA. Prueba con otra descripción.',
+    apiFamilyFriendly: 'Usa solo contenido apto para toda la familia.',
+    pdfGeneration: 'No se pudo generar el PDF. Inténtalo de nuevo.',
+    pdfMissingImage: 'No hay ninguna imagen para generar el PDF',
+    svgExport: 'No se pudo exportar el SVG. Inténtalo de nuevo.',
+    printMargin: 'El margen debe estar entre 0 y 1,5 pulgadas',
+    insufficientCredits: 'No tienes créditos suficientes para esta página. Prueba con menos variaciones o espera a los créditos del mes que viene.',
+    creditsLoad: 'No se pudieron cargar tus créditos.',
+    budgetExceeded: 'Se ha alcanzado el límite diario de generación. Inténtalo mañana.',
+    reportLoad: 'No se pudo cargar el informe de gastos. Inténtalo de nuevo.',
+    galleryAuth: 'Inicia sesión para guardar imágenes en tu galería',
+    gallerySave: 'No se pudo guardar la imagen en la galería. Inténtalo de nuevo.',
+    photoType: 'Elige una imagen PNG, JPEG, WebP o GIF',
+    photoTooLarge: 'La foto es demasiado grande. Elige una imagen de menos de 6 MB.',
+    coloringLoad: 'Esta página no se puede colorear en la app. Descárgala e imprímela.',
+    coloringSave: 'No se pudo guardar tu página coloreada. Inténtalo de nuevo.',
+    formInvalid: 'Completa todos los campos obligatorios',
+    promptRequired: 'Escribe una descripción para tu página para colorear'
+  },
+
+  success: {
+    imageGenerated: '¡Tu página para colorear está lista!',
+    pdfDownloaded: 'PDF descargado',
+    imageSaved: '¡Imagen guardada en tu galería!',
+    formValid: 'Todos los campos están completos'
+  }
+};
@@ -0,0 +1,471 @@
+/**
+ * French UI messages
+ * Keys mirror en.js; missing keys fall back to English.
+ */
+
+export default {
+  header: {
+    title: 'Créateur de Coloriages',
+    contrastNormal: 'Normal',
+    contrastHigh: 'Contraste élevé',
+    contrastToggle: 'Activer ou désactiver le contraste élevé',
+    language: 'Langue'
+  },
+
+  nav: {
+    create: 'Créer',
+    gallery: 'Galerie',
+    spending: 'Dépenses',
+    signIn: 'Se connecter'
+  },
+
+  app: {
+    loading: 'Chargement...',
+    createTitle: 'Créez de superbes coloriages',
+    createIntro: 'Transformez vos idées en dessins au trait noir et blanc, parfaits à colorier. Décrivez ce que vous voulez, ajustez les détails et laissez l\'IA créer le coloriage idéal pour vous !',
+    tipLabel: 'Astuce :',
+    tip: 'Connectez-vous pour enregistrer vos images dans votre galerie personnelle et les retrouver à tout moment !',
+    galleryTitle: 'Votre galerie de coloriages',
+    galleryIntro: 'Parcourez tous vos coloriages. Cliquez sur une image pour l\'afficher en grand, ou utilisez les options de suppression pour gérer votre collection.',
+    spendingTitle: 'Dépenses',
+    spendingIntro: 'Le coût de la génération d\'images par jour, semaine ou mois, réparti par modèle, catégorie et utilisateur.',
+    authTitle: 'Rejoignez le Créateur de Coloriages',
+    authIntro: 'Créez un compte pour enregistrer vos coloriages, constituer votre galerie et retrouver vos créations partout.',
+    footer: 'Fait avec ❤️ pour les esprits créatifs du monde entier'
+  },
+
+  form: {
+    title: 'Créez votre coloriage',
+    promptLabel: 'Décrivez votre coloriage *',
+    promptAria: 'Décrivez votre coloriage',
+    promptPlaceholder: 'ex. : une licorne dans la forêt',
+    promptGood: 'Belle description !',
+    completions: 'Suggestions de saisie',
+    tryIdeas: 'Essayez :',
+    surprise: '🎲 Surprenez-moi',
+    themeLabel: 'Choisir un thème (facultatif)',
+    themePlaceholder: 'Choisissez un thème (facultatif)',
+    customizations: 'Options de personnalisation',
+    complexityLabel: 'Niveau de détail *',
+    complexityHint: 'Choisissez le niveau de détail adapté à votre public',
+    complexityGood: 'Parfait !',
+    complexity: {
+      simple: 'Simple',
+      medium: 'Moyen',
+      detailed: 'Détaillé'
+    },
+    ageLabel: 'Tranche d\'âge *',
+    ageHint: 'Simplicité pour les enfants ou complexité pour les adultes',
+    ageGood: 'Bon choix !',
+    age: {
+      kids: 'Enfants',
+      teens: 'Ados',
+      adults: 'Adultes'
+    },
+    border: 'Avec bordure décorative',
+    lineLabel: 'Épaisseur du trait *',
+    lineHint: 'Les traits épais sont plus faciles à colorier pour les plus jeunes',
+    linePlaceholder: 'Choisissez l\'épaisseur',
+    lineGood: 'Excellente épaisseur !',
+    line: {
+      thin: 'Traits fins (avancé)',
+      medium: 'Traits moyens (standard)',
+      thick: 'Traits épais (pour enfants)'
+    },
+    mustInclude: 'À inclure (facultatif)',
+    mustIncludePlaceholder: 'ex. : a crown - appuyez sur Entrée pour ajouter',
+    mustAvoid: 'À éviter (facultatif)',
+    mustAvoidPlaceholder: 'ex. : text - appuyez sur Entrée pour ajouter',
+    removeItem: 'Retirer {item}',
+    maxItems: {
+      one: 'Jusqu\'à {count} élément',
+      other: 'Jusqu\'à {count} éléments'
+    },
+    variationsLabel: 'Variantes',
+    variationsHint: 'Générez plusieurs versions et gardez vos préférées (chaque image est facturée)',
+    variationsPlaceholder: 'Nombre de variantes',
+    variations: {
+      one: '{count} page',
+      other: '{count} variantes'
+    },
+    reuse: 'Réutiliser une page identique déjà créée (gratuit)',
+    seriesLabel: 'Série',
+    seriesHint: 'Gardez le même personnage sur toutes les pages d\'un livre',
+    generate: 'Générer le coloriage',
+    generating: 'La magie opère...',
+    generateTitle: 'Générer le coloriage',
+    generateDisabledTitle: 'Remplissez les champs obligatoires pour générer',
+    generateTooltip: 'Créez votre chef-d\'œuvre !',
+    preview: '📝 Voir d\'abord la description (gratuit)',
+    previewTitle: 'Relisez et modifiez la description améliorée par l\'IA avant le dessin ; l\'amélioration est gratuite',
+    refining: 'Amélioration de votre idée...',
+    errors: {
+      prompt: 'Saisissez une description',
+      complexity: 'Choisissez un niveau de détail',
+      ageGroup: 'Choisissez une tranche d\'âge',
+      lineThickness: 'Choisissez une épaisseur de trait',
+      tooLong: {
+        one: '{count} caractère maximum',
+        other: '{count} caractères maximum'
+      }
+    }
+  },
+
+  auth: {
+    loading: 'Chargement...',
+    titles: {
+      signin: 'Se connecter',
+      signup: 'Créer un compte',
+      reset: 'Réinitialiser le mot de passe'
+    },
+    subtitles: {
+      signin: 'Bon retour sur le Créateur de Coloriages',
+      signup: 'Rejoignez le Créateur de Coloriages dès aujourd\'hui',
+      reset: 'Saisissez votre e-mail pour réinitialiser votre mot de passe'
+    },
+    submit: {
+      signin: 'Se connecter',
+      signup: 'Créer un compte',
+      reset: 'Envoyer l\'e-mail de réinitialisation'
+    },
+    welcomeBack: 'Bon retour !',
+    welcomeBackName: 'Bon retour, {name} !',
+    signOut: 'Se déconnecter',
+    google: 'Continuer avec Google',
+    mockUsers: 'Utilisateurs fictifs (dév. uniquement)',
+    orEmail: 'Ou continuer avec votre e-mail',
+    fullName: 'Nom complet',
+    fullNamePlaceholder: 'Saisissez votre nom complet',
+    email: 'Adresse e-mail',
+    emailPlaceholder: 'Saisissez votre e-mail',
+    password: 'Mot de passe',
+    passwordPlaceholder: 'Saisissez votre mot de passe',
+    confirmPassword: 'Confirmer le mot de passe',
+    confirmPasswordPlaceholder: 'Confirmez votre mot de passe',
+    ageLabel: 'Vérification de l\'âge :',
+    ageNote: 'En créant un compte, vous confirmez avoir au moins 13 ans. Une vérification de l\'âge peut être demandée pour les paiements et les fonctions premium.',
+    processing: 'Traitement...',
+    noAccount: 'Pas encore de compte ?',
+    signUpLink: 'S\'inscrire',
+    forgotPassword: 'Mot de passe oublié ?',
+    resetLink: 'Le réinitialiser',
+    haveAccount: 'Vous avez déjà un compte ?',
+    rememberPassword: 'Vous vous souvenez de votre mot de passe ?',
+    signInLink: 'Se connecter',
+    messages: {
+      accountCreated: 'Compte créé ! Bienvenue sur le Créateur de Coloriages.',
+      resetSent: 'E-mail de réinitialisation envoyé ! Consultez votre boîte de réception.',
+      googleSignedIn: 'Connecté avec Google !',
+      mockSignedIn: 'Connexion fictive en tant que {name} (mode développement)',
+      signedOut: 'Vous êtes déconnecté'
+    },
+    errors: {
+      emailRequired: 'L\'e-mail est obligatoire',
+      emailInvalid: 'L\'adresse e-mail n\'est pas valide',
+      passwordRequired: 'Le mot de passe est obligatoire',
+      passwordTooShort: 'Le mot de passe doit contenir au moins 6 caractères',
+      displayNameRequired: 'Le nom est obligatoire',
+      passwordMismatch: 'Les mots de passe ne correspondent pas',
+      resetEmailRequired: 'Saisissez votre e-mail pour réinitialiser le mot de passe',
+      signUpFailed: 'Impossible de créer le compte',
+      signInFailed: 'Impossible de se connecter',
+      resetFailed: 'Impossible d\'envoyer l\'e-mail de réinitialisation',
+      googleFailed: 'Impossible de se connecter avec Google',
+      emailInUse: 'Un compte existe déjà avec cet e-mail',
+      invalidEmail: 'Saisissez une adresse e-mail valide',
+      weakPassword: 'Le mot de passe doit contenir au moins 6 caractères',
+      userNotFound: 'Aucun compte trouvé avec cet e-mail',
+      wrongPassword: 'Mot de passe incorrect',
+      userDisabled: 'Ce compte a été désactivé',
+      tooManyRequests: 'Trop de tentatives. Réessayez plus tard.',
+      popupClosed: 'Connexion annulée',
+      popupBlocked: 'Fenêtre bloquée. Autorisez les fenêtres pop-up et réessayez.',
+      mockOnly: 'Les utilisateurs fictifs ne sont disponibles qu\'en mode développement',
+      mockFailed: 'Impossible de se connecter avec l\'utilisateur fictif',
+      signOutFailed: 'Impossible de se déconnecter'
+    }
+  },
+
+  gallery: {
+    title: 'Ma galerie',
+    titleWithCount: {
+      one: 'Ma galerie ({count} image)',
+      other: 'Ma galerie ({count} images)'
+    },
+    loading: 'Chargement de votre galerie...',
+    loadErrorTitle: 'Impossible de charger la galerie',
+    tryAgain: 'Réessayer',
+    loadingMore: 'Chargement d\'autres pages...',
+    loadMoreFailed: 'Impossible de charger plus de pages.',
+    emptyTitle: 'Aucune image pour l\'instant',
+    emptyText: 'Créez votre premier coloriage pour commencer votre galerie !',
+    printSettings: 'Paramètres d\'impression',
+    selectAll: 'Tout sélectionner',
+    deselectAll: 'Tout désélectionner',
+    makeBook: 'Créer un livre ({count})',
+    deleteSelected: 'Supprimer la sélection ({count})',
+    deleteImage: 'Supprimer l\'image',
+    imageAlt: 'Coloriage généré',
+    imageUnavailable: 'Image indisponible',
+    noDescription: 'Aucune description',
+    translationTitle: 'Texte anglais à partir duquel la page a été dessinée',
+    unknownDate: 'Date inconnue',
+    exportPdfTitle: 'PDF imprimable',
+    exportSvgTitle: 'Fichier vectoriel pour imprimeurs et machines de découpe',
+    makeAgain: 'Refaire',
+    makeAgainTitle: 'Créer une nouvelle page avec la même description, les mêmes réglages et contraintes',
+    color: 'Colorier',
+    colorTitle: 'Colorier cette page dans l\'application',
+    avoidItem: 'sans {item}',
+    fromPhoto: 'D\'après photo',
+    coloredIn: 'Colorié',
+    coloredCount: {
+      one: '{count} colorié',
+      other: '{count} coloriés'
+    },
+    confirmTitle: 'Confirmer la suppression',
+    confirmSingle: 'Voulez-vous vraiment supprimer cette image ? Cette action est irréversible.',
+    confirmBulk: {
+      one: 'Voulez-vous vraiment supprimer {count} image sélectionnée ? Cette action est irréversible.',
+      other: 'Voulez-vous vraiment supprimer {count} images sélectionnées ? Cette action est irréversible.'
+    },
+    cancel: 'Annuler',
+    delete: 'Supprimer',
+    deleting: 'Suppression...',
+    filters: {
+      searchLabel: 'Rechercher',
+      searchPlaceholder: 'Rechercher dans vos pages...',
+      theme: 'Thème',
+      complexity: 'Complexité',
+      ageGroup: 'Âge',
+      category: 'Sujet',
+      model: 'Modèle',
+      from: 'Du',
+      to: 'Au',
+      sort: 'Trier par',
+      any: 'Tous',
+      reset: 'Effacer les filtres',
+      noMatchesTitle: 'Aucune page correspondante',
+      noMatchesText: 'Essayez d\'autres mots ou retirez des filtres.',
+      sorts: {
+        newest: 'Plus récentes',
+        oldest: 'Plus anciennes',
+        title: 'Titre (A-Z)'
+      },
+      categories: {
+        domesticAnimals: 'Animaux domestiques',
+        wildAnimals: 'Animaux sauvages',
+        prehistoric: 'Dinosaures',
+        marineLife: 'Vie marine',
+        insects: 'Insectes',
+        fantasy: 'Fantastique',
+        nature: 'Nature',
+        vehicles: 'Véhicules',
+        food: 'Nourriture',
+        objects: 'Objets',
+        sports: 'Sports',
+        holidays: 'Fêtes',
+        music: 'Musique',
+        mandalas: 'Mandalas',
+        abstract: 'Abstrait',
+        architecture: 'Bâtiments',
+        clothing: 'Vêtements',
+        space: 'Espace',
+        professions: 'Personnes et métiers',
+        weather: 'Météo et saisons',
+        toys: 'Jouets',
+        general: 'Autre'
+      }
+    },
+    collections: {
+      title: 'Collections',
+      all: 'Toutes les pages',
+      new: 'Nouvelle collection',
+      nameLabel: 'Nom de la collection',
+      namePlaceholder: 'ex. Fête d\'anniversaire',
+      create: 'Créer',
+      save: 'Enregistrer',
+      rename: 'Renommer',
+      delete: 'Supprimer la collection',
+      confirmDelete: 'Supprimer la collection « {name} » ? Ses pages restent dans votre galerie.',
+      imageCount: {
+        one: '{count} page',
+        other: '{count} pages'
+      },
+      moveSelected: 'Déplacer vers une collection ({count})',
+      removeSelected: 'Retirer de la collection ({count})',
+      cover: 'Couverture',
+      setCover: 'Choisir comme couverture',
+      emptyTitle: 'Cette collection est vide',
+      emptyText: 'Sélectionnez des pages dans Toutes les pages et déplacez-les ici.',
+      errors: {
+        duplicate: 'Vous avez déjà une collection portant ce nom.',
+        failed: 'Impossible de mettre à jour vos collections : {message}'
+      }
+    },
+    errors: {
+      accessDenied: 'Accès refusé. Reconnectez-vous.',
+      loadFailed: 'Impossible de charger la galerie : {message}',
+      deleteOne: 'Impossible de supprimer l\'image. Réessayez.',
+      deleteMany: 'Impossible de supprimer les images. Réessayez.',
+      export: 'Impossible d\'exporter le {format}. Réessayez.'
+    }
+  },
+
+  book: {
+    title: 'Créer un livre de coloriage',
+    bookTitle: 'Titre du livre *',
+    bookTitlePlaceholder: 'Mon aventure dans l\'océan',
+    author: 'Auteur',
+    authorPlaceholder: 'Votre nom',
+    tableOfContents: 'Sommaire',
+    pageNumbers: 'Numéros de page',
+    blankBacks: 'Versos blancs (impression recto seul)',
+    pageLimit: 'Les livres sont limités à {max} pages ; seules les {max} premières images sélectionnées ont été ajoutées.',
+    pageTitle: 'Titre de la page {number}',
+    pagePlaceholder: 'Page {number}',
+    moveUp: 'Monter la page {number}',
+    moveDown: 'Descendre la page {number}',
+    remove: 'Retirer la page {number}',
+    unprintable: {
+      one: '{count} image sélectionnée est trop grande pour être imprimée depuis la galerie. Retirez-la pour continuer.',
+      other: '{count} images sélectionnées sont trop grandes pour être imprimées depuis la galerie. Retirez-les pour continuer.'
+    },
+    cancel: 'Annuler',
+    building: 'Création...',
+    download: {
+      one: 'Télécharger le livre PDF ({count} page)',
+      other: 'Télécharger le livre PDF ({count} pages)'
+    },
+    failed: 'La création du livre a échoué : {status}'
+  },
+
+  credits: {
+    buttonTitle: 'Crédits de génération',
+    balance: {
+      one: '{count} crédit',
+      other: '{count} crédits'
+    },
+    dialogLabel: 'Utilisation des crédits',
+    plan: 'Formule {plan}',
+    perMonth: '{count} / mois',
+    left: '{count} restants',
+    leftWithHeld: '{count} restants, {reserved} réservés pour des pages en cours',
+    low: 'Solde bas : une page réserve jusqu\'à 34 crédits pendant son dessin, et seul son coût réel est facturé.',
+    recent: 'Utilisation récente',
+    loading: 'Chargement...',
+    empty: 'Aucune utilisation pour l\'instant',
+    pages: {
+      one: '{count} page',
+      other: '{count} pages'
+    },
+    entries: {
+      grant: 'Crédits mensuels',
+      reserved: 'En cours',
+      settled: 'Génération',
+      refunded: 'Remboursé'
+    }
+  },
+
+  spending: {
+    groupBy: 'Regrouper par',
+    from: 'Du',
+    to: 'Au',
+    loading: 'Chargement...',
+    refresh: 'Actualiser',
+    exporting: 'Export...',
+    downloadCsv: 'Télécharger le CSV',
+    range: 'Du {from} au {to} (UTC)',
+    truncated: 'cette période compte trop de générations pour toutes les inclure ; réduisez les dates pour des totaux exacts.',
+    totalSpend: 'Dépense totale',
+    generations: 'Générations',
+    pages: 'Pages',
+    averagePerPage: 'Moyenne par page',
+    spendPer: {
+      day: 'Dépense par jour',
+      week: 'Dépense par semaine',
+      month: 'Dépense par mois'
+    },
+    empty: 'Aucune génération sur cette période',
+    bucketPages: '{count} p.',
+    columns: {
+      name: 'Nom',
+      pages: 'Pages',
+      cost: 'Coût',
+      share: 'Part'
+    },
+    periods: {
+      day: 'Quotidien',
+      week: 'Hebdomadaire',
+      month: 'Mensuel'
+    },
+    breakdowns: {
+      byModel: 'Par modèle',
+      byCategory: 'Par catégorie',
+      byUser: 'Par utilisateur'
+    }
+  },
+
+  photo: {
+    title: 'Transformer une photo en coloriage',
+    fileLabel: 'Photo ou dessin',
+    previewAlt: 'Image sélectionnée',
+    method: 'Méthode de conversion',
+    modes: {
+      local: 'Tracer les contours (gratuit)',
+      ai: 'Redessin par IA (facturé)'
+    },
+    lineThickness: 'Épaisseur des traits',
+    lines: {
+      thin: 'Traits fins',
+      medium: 'Traits moyens',
+      thick: 'Traits épais'
+    },
+    imageType: 'Type d\'image',
+    styles: {
+      photo: 'Photo',
+      drawing: 'Dessin sur papier'
+    },
+    detailLevel: 'Niveau de détail',
+    details: {
+      low: 'Peu de détails',
+      medium: 'Détails moyens',
+      high: 'Beaucoup de détails'
+    },
+    promptPlaceholder: 'Que montre la photo ? ex. notre chien Max à la plage',
+    promptLabel: 'Description de la photo',
+    convert: 'Convertir en coloriage',
+    converting: 'Conversion...'
+  },
+
+  errors: {
+    apiGeneral: 'Impossible de générer le coloriage. Réessayez.',
+    apiTimeout: 'La requête a expiré. Réessayez.',
+    apiRateLimit: 'Trop de requêtes. Patientez un instant puis réessayez.',
+    apiContentPolicy: 'Ce contenu enfreint les règles de sécurité de l\'IA. Essayez une autre description.',
+    apiFamilyFriendly: 'Utilisez uniquement du contenu adapté à toute la famille.',
+    pdfGeneration: 'Impossible de générer le PDF. Réessayez.',
+    pdfMissingImage: 'Aucune image disponible pour générer le PDF',
+    svgExport: 'Impossible d\'exporter le SVG. Réessayez.',
+    printMargin: 'La marge doit être comprise entre 0 et 1,5 pouce',
+    insufficientCredits: 'Crédits insuffisants pour cette page. Essayez moins de variantes ou attendez les crédits du mois prochain.',
+    creditsLoad: 'Impossible de charger vos crédits.',
+    budgetExceeded: 'La limite quotidienne de génération est atteinte. Réessayez demain.',
+    reportLoad: 'Impossible de charger le rapport de dépenses. Réessayez.',
+    galleryAuth: 'Connectez-vous pour enregistrer des images dans votre galerie',
+    gallerySave: 'Impossible d\'enregistrer l\'image dans la galerie. Réessayez.',
+    photoType: 'Choisissez une image PNG, JPEG, WebP ou GIF',
+    photoTooLarge: 'Cette photo est trop lourde. Choisissez une image de moins de 6 Mo.',
+    coloringLoad: 'Cette page ne peut pas être coloriée dans l\'application. Téléchargez-la et imprimez-la.',
+    coloringSave: 'Impossible d\'enregistrer votre page coloriée. Réessayez.',
+    formInvalid: 'Remplissez tous les champs obligatoires',
+    promptRequired: 'Saisissez une description pour votre coloriage'
+  },
+
+  success: {
+    imageGenerated: 'Votre coloriage est prêt !',
+    pdfDownloaded: 'PDF téléchargé',
+    imageSaved: 'Image enregistrée dans votre galerie !',
+    formValid: 'Tous les champs sont correctement remplis'
+  }
+};
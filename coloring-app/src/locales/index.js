@@ -0,0 +1,12 @@
+/**
+ * UI message catalogs by locale code
+ * Add a language by creating its catalog here and listing it in LOCALES (utils/i18n.js).
+ */
+
+import en from './en.js';
+import es from './es.js';
+import fr from './fr.js';
+import de from './de.js';
+import ar from './ar.js';
+
+export const MESSAGES = { en, es, fr, de, ar };
@@ -0,0 +1,149 @@
+/**
+ * Coloring Mode Pixel Utilities
+ *
+ * Pure functions behind the in-app coloring canvas. They work on plain
+ * { data, width, height } RGBA buffers (the shape of canvas ImageData),
+ * so they can be tested without a real canvas.
+ *
+ * The page is kept in two layers: the outlines (black, with alpha from
+ * how dark each pixel was) drawn on top, and a color layer underneath
+ * that the bucket, brush and eraser paint on.
+ */
+
+import { COLORING_CONFIG } from './constants.js';
+
+/**
+ * Converts a #RRGGBB color to [r, g, b]
+ * @param {string} hex - Hex color
+ * @returns {number[]} RGB components
+ */
+export const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+/**
+ * Marks the outline pixels of a page, i.e. the boundaries for the bucket fill
+ * Transparent pixels count as paper, not outline.
+ * @param {Object} page - RGBA pixels of the original page ({ data, width, height })
+ * @param {number} threshold - Luminance below which a pixel is an outline
+ * @returns {Uint8Array} 1 for outline pixels, 0 elsewhere
+ */
+export const buildLineMask = (page, threshold = COLORING_CONFIG.lineThreshold) => {
+  const { data, width, height } = page;
+  const mask = new Uint8Array(width * height);
+
+  for (let i = 0; i < mask.length; i++) {
+    const offset = i * 4;
+    const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+    mask[i] = data[offset + 3] >= 128 && luminance < threshold ? 1 : 0;
+  }
+
+  return mask;
+};
+
+/**
+ * Turns a page into its outline layer in place: black pixels whose alpha is the
+ * original darkness, so white paper becomes transparent and anti-aliased edges stay smooth
+ * @param {Object} page - RGBA pixels ({ data, width, height }), modified in place
+ * @returns {Object} The same page
+ */
+export const toLineLayer = (page) => {
+  const { data } = page;
+
+  for (let offset = 0; offset < data.length; offset += 4) {
+    const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+    const alpha = Math.round((255 - luminance) * (data[offset + 3] / 255));
+    data[offset] = 0;
+    data[offset + 1] = 0;
+    data[offset + 2] = 0;
+    data[offset + 3] = alpha;
+  }
+
+  return page;
+};
+
+/**
+ * Bucket fill on the color layer.
+ * Fills the 4-connected area around (x, y) whose color is within `tolerance`
+ * of the clicked pixel, stopping at outline pixels so paint stays inside the lines.
+ * @param {Object} layer - RGBA color layer ({ data, width, height }), modified in place
+ * @param {Uint8Array} lineMask - Outline pixels from buildLineMask
+ * @param {number} x - Start column
+ * @param {number} y - Start row
+ * @param {number[]} rgb - Fill color
+ * @param {number} tolerance - Maximum per-channel difference from the start color
+ * @returns {number} Number of pixels filled (0 when clicking an outline or the same color)
+ */
+export const floodFill = (layer, lineMask, x, y, rgb, tolerance = COLORING_CONFIG.fillTolerance) => {
+  const { data, width, height } = layer;
+  const startX = Math.floor(x);
+  const startY = Math.floor(y);
+
+  if (startX < 0 || startY < 0 || startX >= width || startY >= height) return 0;
+
+  const start = startY * width + startX;
+  if (lineMask[start]) return 0;
+
+  const startOffset = start * 4;
+  const target = [data[startOffset], data[startOffset + 1], data[startOffset + 2]];
+  if (target[0] === rgb[0] && target[1] === rgb[1] && target[2] === rgb[2]) return 0;
+
+  const visited = new Uint8Array(width * height);
+  const matches = (index) => {
+    if (visited[index] || lineMask[index]) return false;
+    const offset = index * 4;
+    return Math.abs(data[offset] - target[0]) <= tolerance
+      && Math.abs(data[offset + 1] - target[1]) <= tolerance
+      && Math.abs(data[offset + 2] - target[2]) <= tolerance;
+  };
+
+  // Scanline fill - fill a whole row run, then queue the rows above and below
+  const stack = [start];
+  let filled = 0;
+
+  while (stack.length > 0) {
+    const index = stack.pop();
+    if (!matches(index)) continue;
+
+    const row = Math.floor(index / width);
+    const rowStart = row * width;
+    let left = index;
+    let right = index;
+
+    while (left > rowStart && matches(left - 1)) left--;
+    while (right < rowStart + width - 1 && matches(right + 1)) right++;
+
+    for (let i = left; i <= right; i++) {
+      const offset = i * 4;
+      data[offset] = rgb[0];
+      data[offset + 1] = rgb[1];
+      data[offset + 2] = rgb[2];
+      data[offset + 3] = 255;
+      visited[i] = 1;
+      filled++;
+
+      if (row > 0 && matches(i - width)) stack.push(i - width);
+      if (row < height - 1 && matches(i + width)) stack.push(i + width);
+    }
+  }
+
+  return filled;
+};
+
+/**
+ * Size that fits a page inside the coloring canvas, keeping its aspect ratio
+ * @param {number} width - Natural image width (0 for SVGs without one)
+ * @param {number} height - Natural image height
+ * @param {number} maxSize - Longest allowed side
+ * @returns {{ width: number, height: number }} Canvas size
+ */
+export const fitCanvasSize = (width, height, maxSize = COLORING_CONFIG.maxCanvasSize) => {
+  if (!width || !height) return { width: maxSize, height: maxSize };
+
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return {
+    width: Math.round(width * scale),
+    height: Math.round(height * scale)
+  };
+};
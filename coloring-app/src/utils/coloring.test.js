@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { buildLineMask, toLineLayer, floodFill, fitCanvasSize, hexToRgb } from './coloring';
+
+// White page with a black vertical line in the middle column
+const makePage = (width = 5, height = 3, lineColumn = 2) => {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    const offset = (y * width + lineColumn) * 4;
+    data[offset] = 0;
+    data[offset + 1] = 0;
+    data[offset + 2] = 0;
+  }
+  return { data, width, height };
+};
+
+const pixelAt = (layer, x, y) => Array.from(layer.data.slice((y * layer.width + x) * 4, (y * layer.width + x) * 4 + 3));
+
+describe('coloring utilities', () => {
+  it('fills up to the outline without crossing it', () => {
+    const page = makePage();
+    const mask = buildLineMask(page);
+    const layer = { data: new Uint8ClampedArray(page.data.length).fill(255), width: page.width, height: page.height };
+
+    const filled = floodFill(layer, mask, 0, 1, hexToRgb('#EF4444'));
+
+    expect(filled).toBe(6); // 2 columns x 3 rows left of the line
+    expect(pixelAt(layer, 1, 2)).toEqual([239, 68, 68]);
+    expect(pixelAt(layer, 3, 0)).toEqual([255, 255, 255]);
+  });
+
+  it('ignores clicks on outlines and on areas that already have the color', () => {
+    const page = makePage();
+    const mask = buildLineMask(page);
+    const layer = { data: new Uint8ClampedArray(page.data.length).fill(255), width: page.width, height: page.height };
+
+    expect(floodFill(layer, mask, 2, 1, [255, 0, 0])).toBe(0);
+    expect(floodFill(layer, mask, 4, 1, [255, 255, 255])).toBe(0);
+    expect(floodFill(layer, mask, 9, 9, [255, 0, 0])).toBe(0);
+  });
+
+  it('turns white paper transparent in the outline layer', () => {
+    const page = toLineLayer(makePage());
+
+    expect(page.data[3]).toBe(0); // paper
+    expect(Array.from(page.data.slice(8, 12))).toEqual([0, 0, 0, 255]); // outline
+  });
+
+  it('scales large pages down to the canvas limit', () => {
+    expect(fitCanvasSize(2048, 1024, 1024)).toEqual({ width: 1024, height: 512 });
+    expect(fitCanvasSize(600, 800, 1024)).toEqual({ width: 600, height: 800 });
+    expect(fitCanvasSize(0, 0, 1024)).toEqual({ width: 1024, height: 1024 });
+  });
+});
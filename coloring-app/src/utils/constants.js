@@ -9,6 +9,8 @@
  * Best Practice: Single source of truth for application constants
  */
 
+import themeCatalog from '../../shared/themes.json';
+
 // Application metadata
 export const APP_CONFIG = {
   name: 'Coloring Book Creator',
@@ -63,33 +65,22 @@ export const VALIDATION_CONFIG = {
   }
 };
 
-// Theme options with metadata - Evidence: architecture.md Section 2.2 Theme System
-export const THEME_OPTIONS = [
-  {
-    value: 'animals',
-    label: 'Animals',
-    description: 'Cute animals and pets',
-    icon: 'paw'
-  },
-  {
-    value: 'mandalas',
-    label: 'Mandalas',
-    description: 'Intricate circular patterns',
-    icon: 'flower'
-  },
-  {
-    value: 'fantasy',
-    label: 'Fantasy',
-    description: 'Magical creatures and scenes',
-    icon: 'unicorn'
-  },
-  {
-    value: 'nature',
-    label: 'Nature',
-    description: 'Trees, flowers, and landscapes',
-    icon: 'leaf'
-  }
-];
+// Theme options - the catalog is shared with the server (shared/themes.json).
+// Bundled as the offline fallback; useThemes loads the live list including admin edits
+// Evidence: architecture.md Section 2.2 Theme System
+export const toThemeOption = (theme) => ({
+  value: theme.id,
+  label: theme.label,
+  description: theme.description || '',
+  icon: theme.icon || '',
+  defaultComplexity: theme.defaultComplexity || null,
+  samplePrompts: theme.samplePrompts || [],
+  thumbnail: theme.thumbnail || null
+});
+
+export const THEME_OPTIONS = themeCatalog.themes
+  .filter(theme => theme.enabled !== false)
+  .map(toThemeOption);
 
 // Animation configurations - Evidence: architecture.md Section 2.3 Animations
 export const ANIMATION_CONFIG = {
@@ -127,8 +118,23 @@ export const ANIMATION_CONFIG = {
 export const API_CONFIG = {
   endpoints: {
     generate: '/api/generate',
+    generationJobs: '/api/generate/jobs',
+    refinePrompt: '/api/refine-prompt',
+    themes: '/api/themes',
+    suggestions: '/api/suggestions',
+    surpriseMe: '/api/suggestions/surprise',
     generatePdf: '/api/generate-pdf',
-    saveImage: '/api/auth/save-image'
+    generateBookPdf: '/api/generate-book-pdf',
+    convertPhoto: '/api/convert-photo',
+    exportSvg: '/api/export-svg',
+    saveImage: '/api/auth/save-image',
+    gallery: '/api/auth/get-gallery',
+    series: '/api/auth/series',
+    collections: '/api/auth/collections',
+    credits: '/api/auth/credits',
+    creditHistory: '/api/auth/credits/history',
+    authStatus: '/api/auth/auth-status',
+    costReport: '/api/auth/reports/costs'
   },
   
   timeout: 120000, // 2 minutes
@@ -136,9 +142,34 @@ export const API_CONFIG = {
   retryConfig: {
     attempts: 3,
     delay: 1000
+  },
+  
+  // Background generation jobs - status is polled until done or failed
+  jobPolling: {
+    interval: 2000,
+    storageKey: 'coloring-app-active-generation-job'
   }
 };
 
+// Generation progress - job statuses and server pipeline stages with their progress share
+// Evidence: architecture.md Section 4.1 API Integration
+export const GENERATION_STAGES = {
+  queued: { label: 'Waiting for an artist...', progress: 5 },
+  refining: { label: 'Refining your idea...', progress: 10 },
+  sanitizing: { label: 'Checking your description...', progress: 15 },
+  translating: { label: 'Translating your description...', progress: 20 },
+  'category-detected': { label: 'Figuring out what to draw...', progress: 25 },
+  'refined-prompt-ready': { label: 'Prompt ready - starting to draw...', progress: 40 },
+  'cache-hit': { label: 'Found an identical page we already drew...', progress: 75 },
+  generating: { label: 'Drawing your coloring page...', progress: 45 },
+  'model-attempt': { label: 'Drawing your coloring page...', progress: 55 },
+  'model-fallback': { label: 'Trying a backup artist (DALL·E 3)...', progress: 65 },
+  'post-processing': { label: 'Cleaning up the lines for printing...', progress: 80 },
+  'saving-to-gallery': { label: 'Saving to your gallery...', progress: 90 },
+  done: { label: 'Done!', progress: 100 },
+  failed: { label: 'Generation failed', progress: 0 }
+};
+
 // Responsive breakpoints - Evidence: architecture.md Section 2.4 Responsive Design
 export const BREAKPOINTS = {
   mobile: 768,
@@ -155,7 +186,147 @@ export const DEFAULT_FORM_STATE = {
   complexity: 'medium', // Default to medium complexity for balanced detail
   ageGroup: 'kids', // Default to kid-friendly for family content
   border: false,
-  lineThickness: 'medium' // Default to medium thickness for general use
+  lineThickness: 'medium', // Default to medium thickness for general use
+  variations: 1, // Number of candidate pages generated from one refined prompt (1-4)
+  reuseResults: false, // Serve an identical earlier page from the server's result cache (free)
+  mustInclude: [], // Things the page must show, e.g. "a crown"
+  mustAvoid: [], // Things the page must leave out, e.g. "text" or "background"
+  series: null // Series character/style sheet shared by every page of a series
+};
+
+// "Must include" / "must avoid" lists - limits match the server's InputSanitizer.validateConstraints
+export const CONSTRAINT_CONFIG = {
+  maxItems: 5,
+  maxLength: 60,
+  suggestions: {
+    mustInclude: [],
+    mustAvoid: ['text', 'background', 'people']
+  }
+};
+
+// Photo uploads converted into coloring pages - the base64 upload must fit the
+// server's 10mb JSON body limit, so files are capped below that
+export const PHOTO_UPLOAD_CONFIG = {
+  maxFileSize: 6 * 1024 * 1024, // 6MB (~8MB once base64 encoded)
+  acceptedTypes: ['image/png', 'image/jpeg', 'image/webp', 'image/gif'],
+  defaultOptions: {
+    mode: 'local', // 'local' traces the photo for free; 'ai' redraws it with gpt-image-1
+    style: 'photo',
+    detail: 'medium',
+    prompt: ''
+  }
+};
+
+// Print settings for PDF downloads - page sizes mirror the server's PAGE_SIZES (inches, portrait)
+export const PRINT_CONFIG = {
+  pageSizes: {
+    letter: { label: 'US Letter (8.5" x 11")', width: 8.5, height: 11 },
+    a4: { label: 'A4 (210 x 297 mm)', width: 8.27, height: 11.69 },
+    a5: { label: 'A5 (148 x 210 mm)', width: 5.83, height: 8.27 },
+    'kdp-8.5x8.5': { label: 'KDP square (8.5" x 8.5")', width: 8.5, height: 8.5 }
+  },
+  margin: { min: 0, max: 1.5, step: 0.125 }, // inches from the trim edge
+  recommendedDpi: 300,
+  defaultSettings: {
+    pageSize: 'letter',
+    orientation: 'portrait',
+    margin: 0.5,
+    bleed: false,
+    trimMarks: false,
+    vector: false
+  },
+  storageKey: 'coloring-app-print-settings'
+};
+
+// In-app coloring mode - palettes reuse the app's theme colors
+export const COLORING_CONFIG = {
+  maxCanvasSize: 1024, // Longest side in pixels; larger pages are scaled down
+  maxHistory: 20, // Undo steps kept (one full-canvas snapshot each)
+  lineThreshold: 160, // Pixels darker than this are outlines that stop the bucket fill
+  fillTolerance: 32, // How different a neighbouring color may be and still get filled
+  brushSizes: { small: 6, medium: 14, large: 28 },
+  maxSaveBytes: 900000, // Stay under the gallery's 1MB image limit
+  palettes: {
+    pastel: {
+      label: 'Pastel',
+      colors: [
+        THEME_COLORS.pastelBlue,
+        THEME_COLORS.pastelGreen,
+        THEME_COLORS.pastelPurple,
+        THEME_COLORS.accentPink,
+        THEME_COLORS.pastelPink
+      ]
+    },
+    bright: {
+      label: 'Bright',
+      colors: [
+        THEME_COLORS.error,
+        THEME_COLORS.warning,
+        THEME_COLORS.success,
+        THEME_COLORS.info,
+        THEME_COLORS.hoverBlue,
+        THEME_COLORS.errorPink
+      ]
+    },
+    calm: {
+      label: 'Calm',
+      colors: [
+        THEME_COLORS.darkMode,
+        THEME_COLORS.mutedGray,
+        THEME_COLORS.pastelBlue,
+        THEME_COLORS.pastelGreen,
+        THEME_COLORS.success
+      ]
+    }
+  },
+  defaultPalette: 'bright'
+};
+
+// Generation credits - one credit is one cent of image generation cost
+export const CREDITS_CONFIG = {
+  lowBalance: 40, // Below this the widget warns - a gpt-image-1 page reserves up to 34 credits
+  historyLimit: 20
+};
+
+// Gallery paging - pages load as the user scrolls near the end of the grid
+export const GALLERY_CONFIG = {
+  pageSize: 24, // Fills whole rows of the 2, 3 and 4 column grids
+  loadMoreMargin: '400px', // Start the next page this far before the end is on screen
+
+  // Filter bar - empty values are left out of the request
+  defaultFilters: {
+    q: '',
+    theme: '',
+    complexity: '',
+    ageGroup: '',
+    category: '',
+    model: '',
+    from: '',
+    to: '',
+    sort: 'newest'
+  },
+  sorts: ['newest', 'oldest', 'title'],
+  // Subject categories detected by prompt refinement
+  categories: [
+    'domesticAnimals', 'wildAnimals', 'prehistoric', 'marineLife', 'insects', 'fantasy',
+    'nature', 'vehicles', 'food', 'objects', 'sports', 'holidays', 'music', 'mandalas',
+    'abstract', 'architecture', 'clothing', 'space', 'professions', 'weather', 'toys', 'general'
+  ],
+  models: ['gpt-image-1', 'dall-e-3', 'local-procedural'],
+
+  // User-defined collections (folders) - limits match the collections endpoints
+  collections: {
+    nameLength: 60,
+    imagesPerRequest: 50 // Larger moves are sent in several requests
+  }
+};
+
+// Admin spending dashboard - totals of the OpenAI costs recorded for every generation
+// Labels live in the message catalogs under spending.periods and spending.breakdowns
+export const REPORTS_CONFIG = {
+  periods: ['day', 'week', 'month'],
+  defaultPeriod: 'day',
+  breakdowns: ['byModel', 'byCategory', 'byUser']
 };
 
 // Error messages - Evidence: architecture.md Section 3.4 Error Handling
@@ -170,11 +341,27 @@ export const ERROR_MESSAGES = {
   // PDF errors
   pdfGeneration: 'Failed to generate PDF. Please try again.',
   pdfMissingImage: 'No image available for PDF generation',
+  svgExport: 'Failed to export SVG. Please try again.',
+  printMargin: 'Margin must be between 0 and 1.5 inches',
   
+  // Credit errors
+  insufficientCredits: 'Not enough credits for this page. Try fewer variations, or wait for next month\'s credits.',
+  creditsLoad: 'Failed to load your credits.',
+  budgetExceeded: 'The daily generation limit has been reached. Please try again tomorrow.',
+  reportLoad: 'Failed to load the spending report. Please try again.',
+
   // Gallery errors
   galleryAuth: 'Please sign in to save images to your gallery',
   gallerySave: 'Failed to save image to gallery. Please try again.',
   
+  // Photo upload errors
+  photoType: 'Please choose a PNG, JPEG, WebP or GIF image',
+  photoTooLarge: 'That photo is too large. Please choose an image under 6MB.',
+
+  // Coloring mode errors
+  coloringLoad: 'This page can\'t be colored in the app. Try downloading it and printing instead.',
+  coloringSave: 'Failed to save your colored page. Please try again.',
+
   // Form validation
   formInvalid: 'Please fill in all required fields',
   promptRequired: 'Please enter a description for your coloring page'
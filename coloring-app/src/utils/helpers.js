@@ -8,7 +8,7 @@
  * Best Practice: DRY principle - Don't Repeat Yourself
  */
 
-import { VALIDATION_CONFIG, ERROR_MESSAGES, BREAKPOINTS } from './constants.js';
+import { VALIDATION_CONFIG, ERROR_MESSAGES, BREAKPOINTS, PRINT_CONFIG, DEFAULT_FORM_STATE, GALLERY_CONFIG } from './constants.js';
 
 /**
  * Form Validation Helpers
@@ -231,33 +231,46 @@ export const cleanText = (str) => {
  * Evidence: architecture.md Section 4.1 API Integration
  */
 
-/**
- * Formats API errors into user-friendly messages
- * @param {Error} error - The error object
- * @returns {string} User-friendly error message
- */
-export const formatApiError = (error) => {
-  if (!error) return ERROR_MESSAGES.apiGeneral;
-  
-  const message = error.message?.toLowerCase() || '';
+// ERROR_MESSAGES key for an API error
+const getApiErrorKey = (error) => {
+  const message = error?.message?.toLowerCase() || '';
   
   if (message.includes('content_policy') || message.includes('content policy')) {
-    return ERROR_MESSAGES.apiContentPolicy;
+    return 'apiContentPolicy';
+  }
+  
+  if (message.includes('daily spending limit')) {
+    return 'budgetExceeded';
   }
   
   if (message.includes('rate_limit') || message.includes('429') || message.includes('too many')) {
-    return ERROR_MESSAGES.apiRateLimit;
+    return 'apiRateLimit';
   }
   
   if (message.includes('timeout')) {
-    return ERROR_MESSAGES.apiTimeout;
+    return 'apiTimeout';
+  }
+  
+  if (message.includes('not enough credits') || message.includes('insufficient credits')) {
+    return 'insufficientCredits';
   }
   
   if (message.includes('family-friendly')) {
-    return ERROR_MESSAGES.apiFamilyFriendly;
+    return 'apiFamilyFriendly';
   }
   
-  return ERROR_MESSAGES.apiGeneral;
+  return 'apiGeneral';
+};
+
+/**
+ * Formats API errors into user-friendly messages
+ * @param {Error} error - The error object
+ * @param {Function|null} translate - Translator from useI18n; English when omitted
+ * @returns {string} User-friendly error message
+ */
+export const formatApiError = (error, translate = null) => {
+  const key = getApiErrorKey(error);
+  return translate ? translate(`errors.${key}`) : ERROR_MESSAGES[key];
 };
 
 /**
@@ -295,6 +308,47 @@ export const retryWithBackoff = async (operation, maxAttempts = 3, baseDelay = 1
   throw lastError;
 };
 
+/**
+ * Reads a Server-Sent Events response body and reports each event
+ * Uses fetch streaming instead of EventSource so auth headers can be sent
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {Function} onEvent - Called with (type, data) for every event with JSON data
+ * @returns {Promise<void>} Resolves when the stream closes
+ */
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let type = 'message';
+      const dataLines = [];
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      });
+
+      // Comment-only chunks (heartbeats) carry no data
+      if (dataLines.length > 0) {
+        onEvent(type, JSON.parse(dataLines.join('\n')));
+      }
+
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+};
+
 /**
  * DOM and Event Helpers
  */
@@ -364,6 +418,122 @@ export const downloadBlob = (blob, filename) => {
   window.URL.revokeObjectURL(url);
 };
 
+/**
+ * Formats a dollar amount; sub-cent costs keep up to four decimals
+ * @param {number} value - Amount in US dollars
+ * @returns {string} Formatted amount, e.g. "$0.167"
+ */
+export const formatUsd = (value) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 4
+}).format(value || 0);
+
+/**
+ * Reads a file (e.g. an uploaded photo) as a data URL
+ * @param {File|Blob} file - The file to read
+ * @returns {Promise<string>} Base64 data URL
+ */
+export const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error('Failed to read file'));
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Print Helpers
+ */
+
+/**
+ * Checks a print margin (inches) entered in the print settings
+ * @param {number|string} margin - Margin value from the form
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validatePrintMargin = (margin) => {
+  const value = Number(margin);
+  const { min, max } = PRINT_CONFIG.margin;
+  return margin === '' || !Number.isFinite(value) || value < min || value > max
+    ? ERROR_MESSAGES.printMargin
+    : null;
+};
+
+/**
+ * Turns saved print settings into PDF endpoint request fields
+ * @param {Object} settings - Print settings (see PRINT_CONFIG.defaultSettings)
+ * @returns {Object} pageSize, orientation, margin, bleed, trimMarks and vector
+ */
+export const toPrintRequest = (settings = {}) => {
+  const { pageSize, orientation, margin, bleed, trimMarks, vector } = {
+    ...PRINT_CONFIG.defaultSettings,
+    ...settings
+  };
+  return { pageSize, orientation, margin: Number(margin), bleed, trimMarks, vector };
+};
+
+/**
+ * Form values for making a gallery page again with the same settings,
+ * constraints and series
+ * @param {Object} image - Gallery image with originalPrompt and metadata
+ * @returns {Object} Form state (see DEFAULT_FORM_STATE)
+ */
+export const toFormStateFromImage = (image = {}) => {
+  const metadata = image.metadata || {};
+  const settings = metadata.refinementData?.appliedSettings || metadata;
+
+  return {
+    ...DEFAULT_FORM_STATE,
+    prompt: image.originalPrompt || '',
+    theme: settings.theme || DEFAULT_FORM_STATE.theme,
+    complexity: settings.complexity || DEFAULT_FORM_STATE.complexity,
+    ageGroup: settings.ageGroup || DEFAULT_FORM_STATE.ageGroup,
+    lineThickness: settings.lineThickness || DEFAULT_FORM_STATE.lineThickness,
+    border: settings.border ? settings.border === 'with' : DEFAULT_FORM_STATE.border,
+    mustInclude: metadata.constraints?.mustInclude || DEFAULT_FORM_STATE.mustInclude,
+    mustAvoid: metadata.constraints?.mustAvoid || DEFAULT_FORM_STATE.mustAvoid,
+    series: metadata.series || DEFAULT_FORM_STATE.series
+  };
+};
+
+/**
+ * Estimates the DPI a bitmap prints at with the given settings.
+ * Mirrors the server's fit-inside-margins layout; the server's X-Print-Report is authoritative.
+ * @param {number} imageWidth - Image width in pixels
+ * @param {number} imageHeight - Image height in pixels
+ * @param {Object} settings - Print settings
+ * @returns {number|null} Estimated DPI, or null when it can't be worked out
+ */
+export const estimatePrintDpi = (imageWidth, imageHeight, settings = {}) => {
+  const { pageSize, orientation, margin } = toPrintRequest(settings);
+  const size = PRINT_CONFIG.pageSizes[pageSize];
+  if (!size || !imageWidth || !imageHeight || validatePrintMargin(margin)) return null;
+
+  const landscape = orientation === 'landscape';
+  const pageWidth = landscape ? Math.max(size.width, size.height) : Math.min(size.width, size.height);
+  const pageHeight = landscape ? Math.min(size.width, size.height) : Math.max(size.width, size.height);
+  const inchesPerPixel = Math.min(
+    (pageWidth - (2 * margin)) / imageWidth,
+    (pageHeight - (2 * margin)) / imageHeight
+  );
+
+  return inchesPerPixel > 0 ? Math.round(1 / inchesPerPixel) : null;
+};
+
+/**
+ * Reads the print report the PDF endpoints send in the X-Print-Report header
+ * @param {Response} response - fetch response of a PDF download
+ * @returns {Object|null} Print report ({ effectiveDpi, warnings, ... }) or null
+ */
+export const readPrintReport = (response) => {
+  try {
+    const header = response.headers.get('X-Print-Report');
+    return header ? JSON.parse(header) : null;
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Data Processing Helpers
  */
@@ -450,4 +620,23 @@ export const createLogger = (namespace) => ({
   error: (...args) => {
     console.error(`[${namespace}]`, ...args);
   }
-});
\ No newline at end of file
+});
+
+/**
+ * Whether the gallery search or any filter is set (the sort order doesn't count)
+ * @param {Object} filters - Filter bar values (see GALLERY_CONFIG.defaultFilters)
+ * @returns {boolean}
+ */
+export const isGalleryFiltered = (filters = {}) => Object.entries(filters)
+  .some(([field, value]) => field !== 'sort' && !!value && value !== GALLERY_CONFIG.defaultFilters[field]);
+
+/**
+ * Gallery endpoint query for the filter bar values; empty values and the default sort are left out
+ * @param {Object} filters - Filter bar values (see GALLERY_CONFIG.defaultFilters)
+ * @returns {Object} Query parameters
+ */
+export const toGalleryQuery = (filters = {}) => Object.fromEntries(
+  Object.entries(filters)
+    .map(([field, value]) => [field, typeof value === 'string' ? value.trim() : value])
+    .filter(([field, value]) => !!value && !(field === 'sort' && value === GALLERY_CONFIG.defaultFilters.sort))
+);
@@ -0,0 +1,142 @@
+/**
+ * Internationalization utilities
+ *
+ * Message lookup, interpolation, pluralization and date formatting for the
+ * UI catalogs in src/locales. Built on the browser's Intl APIs so no extra
+ * library is needed. Missing translations fall back to English, then to the
+ * key itself so a gap is visible rather than blank.
+ *
+ * Evidence: architecture.md Section 4.4 - Module Organization
+ */
+
+import { MESSAGES } from '../locales/index.js';
+
+// Supported UI languages; dir drives the page layout direction
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr' },
+  es: { label: 'Español', dir: 'ltr' },
+  fr: { label: 'Français', dir: 'ltr' },
+  de: { label: 'Deutsch', dir: 'ltr' },
+  ar: { label: 'العربية', dir: 'rtl' }
+};
+
+export const DEFAULT_LOCALE = 'en';
+export const LOCALE_STORAGE_KEY = 'coloring-app-locale';
+
+/**
+ * Reduce a language tag to a supported locale code
+ * @param {string} tag - e.g. 'fr-CA'
+ * @returns {string|null} Supported code or null
+ */
+export const toSupportedLocale = (tag) => {
+  if (typeof tag !== 'string') return null;
+  const code = tag.toLowerCase().split(/[-_]/)[0];
+  return Object.prototype.hasOwnProperty.call(LOCALES, code) ? code : null;
+};
+
+/**
+ * Pick the UI locale: a saved choice wins, then the browser's languages
+ * @param {string|null} stored - Previously selected locale
+ * @param {string[]} languages - Browser preferences (navigator.languages)
+ * @returns {string} Supported locale code
+ */
+export const detectLocale = (stored = null, languages = []) => {
+  const saved = toSupportedLocale(stored);
+  if (saved) return saved;
+
+  for (const language of languages || []) {
+    const match = toSupportedLocale(language);
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+};
+
+/**
+ * Layout direction for a locale
+ * @param {string} locale - Locale code
+ * @returns {'ltr'|'rtl'}
+ */
+export const getDirection = (locale) => LOCALES[locale]?.dir || 'ltr';
+
+// Walk a dotted key such as 'gallery.title' through a catalog
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+const pluralRulesCache = new Map();
+
+const selectPlural = (locale, forms, count) => {
+  if (!pluralRulesCache.has(locale)) {
+    pluralRulesCache.set(locale, new Intl.PluralRules(locale));
+  }
+  const category = count === 0 && forms.zero !== undefined
+    ? 'zero'
+    : pluralRulesCache.get(locale).select(count);
+  return forms[category] ?? forms.other;
+};
+
+/**
+ * Replace {name} placeholders with parameter values
+ * @param {string} message - Message template
+ * @param {Object} params - Values to insert
+ * @returns {string}
+ */
+export const interpolate = (message, params = {}) =>
+  message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  );
+
+/**
+ * Translate a message key
+ * Plural messages are objects keyed by Intl.PluralRules category
+ * (one, few, many, other...) and are chosen with params.count.
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Interpolation values
+ * @param {Object} messages - Catalogs by locale (defaults to the app catalogs)
+ * @returns {string} Translated message
+ */
+export const translate = (locale, key, params = {}, messages = MESSAGES) => {
+  let message = lookup(messages[locale], key);
+  let messageLocale = locale;
+  if (message === undefined) {
+    message = lookup(messages[DEFAULT_LOCALE], key);
+    messageLocale = DEFAULT_LOCALE;
+  }
+  if (message === undefined) {
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    message = selectPlural(messageLocale, message, Number(params.count) || 0);
+    if (message === undefined) return key;
+  }
+  return interpolate(message, params);
+};
+
+/**
+ * Bind translate() to one locale
+ * @param {string} locale - Locale code
+ * @param {Object} messages - Catalogs by locale
+ * @returns {Function} t(key, params)
+ */
+export const createTranslator = (locale = DEFAULT_LOCALE, messages = MESSAGES) =>
+  (key, params) => translate(locale, key, params, messages);
+
+/**
+ * Format a date for the locale
+ * Accepts Firestore timestamps, Date objects, ISO strings and epoch numbers.
+ * @param {*} value - Date-like value
+ * @param {string} locale - Locale code
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string|null} Formatted date, or null when it can't be read
+ */
+export const formatLocalizedDate = (value, locale = DEFAULT_LOCALE, options = { dateStyle: 'medium' }) => {
+  if (!value) return null;
+  try {
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    return new Intl.DateTimeFormat(locale, options).format(date);
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { detectLocale, getDirection, translate, createTranslator, formatLocalizedDate } from './i18n';
+import { MESSAGES } from '../locales';
+
+// Every key path in a catalog, plural forms collapsed to their message key
+const keyPaths = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  return value && typeof value === 'object' && !('other' in value) ? keyPaths(value, path) : [path];
+});
+
+describe('i18n utilities', () => {
+  it('prefers the saved locale, then the browser languages, then English', () => {
+    expect(detectLocale('de', ['fr-FR'])).toBe('de');
+    expect(detectLocale(null, ['pt-BR', 'fr-CA', 'en'])).toBe('fr');
+    expect(detectLocale('xx', ['ja'])).toBe('en');
+    expect(getDirection('ar')).toBe('rtl');
+    expect(getDirection('es')).toBe('ltr');
+  });
+
+  it('interpolates parameters and falls back to English, then the key', () => {
+    const messages = { en: { greeting: 'Hello {name}', only: 'English only' }, es: { greeting: 'Hola {name}' } };
+
+    expect(translate('es', 'greeting', { name: 'Ana' }, messages)).toBe('Hola Ana');
+    expect(translate('es', 'only', {}, messages)).toBe('English only');
+    expect(translate('es', 'missing.key', {}, messages)).toBe('missing.key');
+  });
+
+  it('picks plural forms with the locale rules', () => {
+    const t = createTranslator('en');
+    expect(t('gallery.titleWithCount', { count: 1 })).toBe('My Gallery (1 image)');
+    expect(t('gallery.titleWithCount', { count: 3 })).toBe('My Gallery (3 images)');
+
+    const ar = createTranslator('ar');
+    expect(ar('gallery.titleWithCount', { count: 0 })).toBe('معرضي (لا توجد صور)');
+    expect(ar('gallery.titleWithCount', { count: 2 })).toBe('معرضي (صورتان)');
+    expect(ar('gallery.titleWithCount', { count: 5 })).toBe('معرضي (5 صور)');
+    expect(ar('gallery.titleWithCount', { count: 11 })).toBe('معرضي (11 صورة)');
+  });
+
+  it('formats dates for the locale and tolerates bad input', () => {
+    const date = new Date('2026-03-05T12:00:00Z');
+    expect(formatLocalizedDate(date, 'de', { dateStyle: 'long', timeZone: 'UTC' })).toBe('5. März 2026');
+    expect(formatLocalizedDate({ toDate: () => date }, 'en', { dateStyle: 'long', timeZone: 'UTC' })).toBe('March 5, 2026');
+    expect(formatLocalizedDate('not a date', 'en')).toBeNull();
+    expect(formatLocalizedDate(null, 'en')).toBeNull();
+  });
+
+  it('translates every English key in each catalog', () => {
+    const english = keyPaths(MESSAGES.en);
+    for (const [locale, catalog] of Object.entries(MESSAGES)) {
+      expect(english.filter(path => !keyPaths(catalog).includes(path)), locale).toEqual([]);
+    }
+  });
+});
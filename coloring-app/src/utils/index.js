@@ -14,4 +14,10 @@
 export * from './constants.js';
 
 // Export all helper functions
-export * from './helpers.js';
\ No newline at end of file
+export * from './helpers.js';
+
+// Export coloring mode pixel utilities
+export * from './coloring.js';
+
+// Export UI translation helpers
+export * from './i18n.js';